@@ -30,7 +30,9 @@ import {
 import logger from './src/utils/logger.js';
 import { extractAmount as extractAmountFromImageNew } from './services/ocr-service.js';
 import { isAdmin, requireAdmin } from './src/middleware/adminGuard.js';
-import { pendingPaymentConfirmations } from './src/state/store.js';
+import { setPendingPaymentConfirmation, takePendingPaymentConfirmation } from './src/state/store.js';
+import { getCurrentTenant, getTelegramBotToken, getTenantBranding } from './src/config/tenant-context.js';
+import { getExampleOrderId, getOrderIdPatternSource } from './src/utils/order-id.js';
 
 /**
  * Extract amount/nominal from image using OCR with watermark-resistant preprocessing
@@ -41,7 +43,7 @@ import { pendingPaymentConfirmations } from './src/state/store.js';
  */
 async function extractAmountFromImage(message, options = {}) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       console.warn('⚠️ [OCR_AMOUNT] TELEGRAM_BOT_TOKEN not set, cannot download image for OCR');
       return null;
@@ -120,7 +122,7 @@ async function extractAmountFromImage(message, options = {}) {
  */
 async function extractAmountFromImageLegacy(message) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       return null;
     }
@@ -504,7 +506,7 @@ async function extractAmountFromImageLegacy(message) {
  */
 async function extractOrderIdFromImage(message, sendMessage) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       console.warn('⚠️ [OCR] TELEGRAM_BOT_TOKEN not set, cannot download image for OCR');
       return null;
@@ -547,8 +549,8 @@ async function extractOrderIdFromImage(message, sendMessage) {
         const { data: { text } } = await worker.recognize(imageUrl);
         console.log(`🔍 [OCR] Extracted text from image (first 300 chars): "${text.substring(0, 300)}"`);
         
-        // Look for order ID pattern in OCR text (use literal DKM, not character class)
-        const orderIdPattern = /(DKM\/\d{8}\/\d{6})/i;
+        // Look for order ID pattern in OCR text (tenant's order ID prefix)
+        const orderIdPattern = new RegExp(`(${getOrderIdPatternSource()})`, 'i');
         const match = text.match(orderIdPattern);
         
         if (match) {
@@ -590,22 +592,12 @@ export async function handlePaymentConfirmation(chatId, userId, response, sendMe
     return false; // Not a payment confirmation
   }
   
-  // Find pending confirmation for this user
-  let foundKey = null;
-  for (const [key, data] of pendingPaymentConfirmations.entries()) {
-    if (key.startsWith(`${userId}:`)) {
-      foundKey = key;
-      break;
-    }
-  }
-  
-  if (!foundKey) {
+  // Find (and consume) pending confirmation for this user
+  const confirmation = await takePendingPaymentConfirmation(userId);
+  if (!confirmation) {
     return false; // No pending confirmation
   }
   
-  const confirmation = pendingPaymentConfirmations.get(foundKey);
-  pendingPaymentConfirmations.delete(foundKey);
-  
   if (responseUpper === 'YES') {
     // Accept the payment
     try {
@@ -688,7 +680,7 @@ export async function handleAdminAuth(chatId, userId, messageText, sendMessage)
       return;
     }
     
-    const setupCode = process.env.ADMIN_SETUP_CODE;
+    const setupCode = getCurrentTenant().adminSetupCode;
     if (!setupCode) {
       await sendMessage(chatId, '❌ Admin setup tidak dikonfigurasi. Hubungi administrator sistem.');
       console.error('⚠️ ADMIN_SETUP_CODE not set in environment variables');
@@ -811,12 +803,12 @@ export async function handleParseOrder(chatId, userId, messageText, sendMessage,
     let isEdit = false;
     
     // Try to extract Invoice from form (format: "Invoice: DKM/20260104/000001")
-    const invoiceMatch = orderText.match(/Invoice\s*:\s*(DKM\/\d{8}\/\d{6})/i);
+    const invoiceMatch = orderText.match(new RegExp(`Invoice\\s*:\\s*(${getOrderIdPatternSource()})`, 'i'));
     if (invoiceMatch) {
       orderId = invoiceMatch[1];
     } else {
       // Fallback: Look for order ID pattern anywhere in the message
-      const orderIdMatch = orderText.match(/(DKM\/\d{8}\/\d{6})/i);
+      const orderIdMatch = orderText.match(new RegExp(`(${getOrderIdPatternSource()})`, 'i'));
       if (orderIdMatch) {
         orderId = orderIdMatch[1];
       }
@@ -918,7 +910,7 @@ export async function handleOrderDetail(chatId, userId, orderId, sendMessage) {
     }
 
     if (!orderId || !orderId.trim()) {
-      await sendMessage(chatId, '❌ Format: /order_detail <ORDER_ID>\n\nContoh: /order_detail DKM/20260104/000001');
+      await sendMessage(chatId, '❌ Format: /order_detail <ORDER_ID>\n\nContoh: /order_detail ' + getExampleOrderId(1));
       return;
     }
 
@@ -1190,22 +1182,21 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
     const combinedText = `${messageText} ${caption}`.trim();
 
     // Extract order_id from text/caption (support with/without backticks)
-    // Pattern: DKM/YYYYMMDD/000001 or `DKM/YYYYMMDD/000001`
-    // IMPORTANT: Use literal "DKM" not character class [DKM] to avoid matching partial strings like "M/20260109"
+    // Pattern: PREFIX/YYYYMMDD/000001 or `PREFIX/YYYYMMDD/000001` (tenant's order ID prefix)
     // Try multiple patterns to be more flexible
     let orderIdMatch = null;
     
     // Pattern 1: Exact match with word boundaries or backticks
-    orderIdMatch = combinedText.match(/(?:^|\s|`)(DKM\/\d{8}\/\d{6})(?:\s|`|$)/i);
+    orderIdMatch = combinedText.match(new RegExp(`(?:^|\\s|\`)(${getOrderIdPatternSource()})(?:\\s|\`|$)`, 'i'));
     
     // Pattern 2: After /pay command
     if (!orderIdMatch) {
-      orderIdMatch = combinedText.match(/\/pay\s+(DKM\/\d{8}\/\d{6})/i);
+      orderIdMatch = combinedText.match(new RegExp(`\\/pay\\s+(${getOrderIdPatternSource()})`, 'i'));
     }
     
     // Pattern 3: Anywhere in text (more lenient)
     if (!orderIdMatch) {
-      orderIdMatch = combinedText.match(/(DKM\/\d{8}\/\d{6})/i);
+      orderIdMatch = combinedText.match(new RegExp(`(${getOrderIdPatternSource()})`, 'i'));
     }
     
     let orderId = null;
@@ -1234,9 +1225,9 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
         chatId,
         '❌ Order ID tidak ditemukan di caption atau gambar.\n\n' +
         '**Format caption:**\n' +
-        '`/pay DKM/20260108/000001`\n\n' +
+        '`/pay ' + getExampleOrderId(1) + '`\n\n' +
         'Atau:\n' +
-        '`DKM/20260108/000001`\n\n' +
+        '`' + getExampleOrderId(1) + '`\n\n' +
         'Pastikan order ID ada di caption foto/bukti transfer, atau terlihat jelas di gambar.'
       );
       return;
@@ -1317,8 +1308,7 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
       
       if (suspiciousCheck.isSuspicious) {
         // Store pending confirmation with evidence info
-        const confirmationKey = `${userId}:${orderId}`;
-        pendingPaymentConfirmations.set(confirmationKey, {
+        await setPendingPaymentConfirmation(userId, orderId, {
           orderId,
           expectedAmount,
           enteredAmount: extractedAmount,
@@ -1415,10 +1405,10 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
       chatId,
       '❌ Format: /pay <ORDER_ID> <AMOUNT>\n\n' +
       '**Contoh:**\n' +
-      '`/pay DKM/20260104/000001 235.000`\n' +
-      'Atau: `/pay DKM/20260104/000001 Rp 235.000`\n\n' +
+      '`/pay ' + getExampleOrderId(1) + ' 235.000`\n' +
+      'Atau: `/pay ' + getExampleOrderId(1) + ' Rp 235.000`\n\n' +
       '**Atau upload foto bukti transfer dengan caption:**\n' +
-      '`/pay DKM/20260104/000001`\n\n' +
+      '`/pay ' + getExampleOrderId(1) + '`\n\n' +
       '(Jumlah akan dihitung otomatis dari total pesanan)'
     );
     return;
@@ -1447,7 +1437,7 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
         '• 235,000\n' +
         '• Rp 235.000\n' +
         '• 235000\n\n' +
-        'Contoh: `/pay DKM/20260104/000001 235.000`'
+        'Contoh: `/pay ' + getExampleOrderId(1) + ' 235.000`'
       );
       return;
     }
@@ -1459,8 +1449,7 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
       const suspicious = detectSuspiciousPayment(expectedAmount, newPaymentAmount);
       if (suspicious.isSuspicious) {
         // Store pending confirmation
-        const confirmationKey = `${userId}:${orderId}`;
-        pendingPaymentConfirmations.set(confirmationKey, {
+        await setPendingPaymentConfirmation(userId, orderId, {
           orderId,
           expectedAmount,
           enteredAmount: newPaymentAmount,
@@ -2312,7 +2301,7 @@ function formatOrderFormTemplate(order) {
   form += `Metode Pengiriman: ${order.delivery_method || 'Pickup'}\n\n`;
   form += `Biaya Pengiriman (Rp): ${deliveryFeeFormatted}\n\n`;
   form += `Notes:\n${notesText}\n\n`;
-  form += `Mendapatkan info Dawet Kemayu Menteng dari:\n`;
+  form += `Mendapatkan info ${getTenantBranding().businessName} dari:\n`;
   form += `${order.source || 'Teman / Instagram / Facebook / TikTok / Lainnya'}`;
 
   return form;
@@ -2346,7 +2335,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     if (replyToMessage && replyToMessage.text) {
       formText = replyToMessage.text.trim();
       // Extract order ID from command message (first line)
-      const commandMatch = messageText.match(/^\/edit\s+(DKM\/\d{8}\/\d{6})/i);
+      const commandMatch = messageText.match(new RegExp(`^\\/edit\\s+(${getOrderIdPatternSource()})`, 'i'));
       if (commandMatch) {
         orderId = commandMatch[1];
       }
@@ -2358,7 +2347,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
       const firstLine = lines[0] || '';
       
       // Try to extract order ID from first line
-      const orderIdMatch = firstLine.match(/^\/edit\s+(DKM\/\d{8}\/\d{6})/i);
+      const orderIdMatch = firstLine.match(new RegExp(`^\\/edit\\s+(${getOrderIdPatternSource()})`, 'i'));
       if (orderIdMatch) {
         orderId = orderIdMatch[1];
         // Form is everything after first line (remove empty lines at start)
@@ -2366,7 +2355,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         logger.debug(`[EDIT_ORDER] Extracted from same message - orderId: ${orderId}, form length: ${formText.length}`);
       } else {
         // Fallback: Try to find order ID anywhere in message
-        const orderIdPattern = /(DKM\/\d{8}\/\d{6})/i;
+        const orderIdPattern = new RegExp(`(${getOrderIdPatternSource()})`, 'i');
         const globalMatch = messageText.match(orderIdPattern);
         if (globalMatch) {
           orderId = globalMatch[1];
@@ -2387,13 +2376,13 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         '❌ Format: /edit <ORDER_ID>\n\n' +
         'Kemudian kirim form pesanan yang sudah diupdate.\n\n' +
         '**Contoh penggunaan (1 pesan):**\n' +
-        '/edit DKM/20260107/000037\n\n' +
+        '/edit ' + getExampleOrderId(37) + '\n\n' +
         'Nama Pemesan: Novi\n' +
         'No HP Penerima: 081234567\n' +
         'Alamat Penerima: ...\n' +
         '(form lengkap)\n\n' +
         '**Atau (2 pesan):**\n' +
-        '1. Ketik: /edit DKM/20260107/000037\n' +
+        '1. Ketik: /edit ' + getExampleOrderId(37) + '\n' +
         '2. Reply pesan tersebut dengan form yang sudah diedit'
       );
       return;
@@ -2408,7 +2397,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         '❌ Form pesanan tidak ditemukan atau terlalu pendek.\n\n' +
         'Pastikan Anda mengirim form pesanan lengkap setelah perintah /edit.\n\n' +
         '**Format:**\n' +
-        '/edit DKM/20260107/000037\n\n' +
+        '/edit ' + getExampleOrderId(37) + '\n\n' +
         'Nama Pemesan: ...\n' +
         'No HP Penerima: ...\n' +
         'Alamat Penerima: ...\n' +
@@ -2766,7 +2755,7 @@ export async function handleCancel(chatId, userId, orderId, sendMessage) {
   }
 
   if (!orderId) {
-    await sendMessage(chatId, '❌ Format: `/cancel <ORDER_ID>`\n\nContoh: `/cancel DKM/20260104/000001`');
+    await sendMessage(chatId, '❌ Format: `/cancel <ORDER_ID>`\n\nContoh: `/cancel ' + getExampleOrderId(1) + '`');
     return;
   }
 
@@ -2825,7 +2814,7 @@ export async function handleComplete(chatId, userId, orderId, sendMessage) {
   }
 
   if (!orderId) {
-    await sendMessage(chatId, '❌ Format: `/complete <ORDER_ID>`\n\nContoh: `/complete DKM/20260104/000001`');
+    await sendMessage(chatId, '❌ Format: `/complete <ORDER_ID>`\n\nContoh: `/complete ' + getExampleOrderId(1) + '`');
     return;
   }
 
@@ -195,6 +195,88 @@ export async function initializeStorage() {
       // Don't throw - continue without Payment_History sheet (optional)
     }
 
+    // Initialize Capacity sheet (daily production limits)
+    try {
+      const { ensureCapacitySheet } = await import('./src/repos/capacity.repo.js');
+      await ensureCapacitySheet();
+      console.log('✅ [INIT] Capacity sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Capacity sheet:', error.message);
+      // Don't throw - continue without capacity limits (optional)
+    }
+
+    // Initialize Promos sheet (promo codes)
+    try {
+      const { ensurePromosSheet } = await import('./src/repos/promos.repo.js');
+      await ensurePromosSheet();
+      console.log('✅ [INIT] Promos sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Promos sheet:', error.message);
+      // Don't throw - continue without promo codes (optional)
+    }
+
+    // Initialize Delivery_Zones sheet (ongkir estimates per area)
+    try {
+      const { ensureDeliveryZonesSheet } = await import('./src/repos/delivery-zones.repo.js');
+      await ensureDeliveryZonesSheet();
+      console.log('✅ [INIT] Delivery_Zones sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Delivery_Zones sheet:', error.message);
+      // Don't throw - continue without ongkir estimates (optional)
+    }
+
+    // Initialize Reminder_Rules sheet (reminder schedule, seeded with the default rules)
+    try {
+      const { ensureReminderRulesSheet } = await import('./src/repos/reminder-rules.repo.js');
+      await ensureReminderRulesSheet();
+      console.log('✅ [INIT] Reminder_Rules sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Reminder_Rules sheet:', error.message);
+      // Don't throw - the daily job falls back to the default rules
+    }
+
+    // Initialize Product_Variants sheet (variant groups per product, seeded with the dawet sizes and toppings)
+    try {
+      const { ensureProductVariantsSheet } = await import('./src/repos/product-variants.repo.js');
+      await ensureProductVariantsSheet();
+      console.log('✅ [INIT] Product_Variants sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Product_Variants sheet:', error.message);
+      // Don't throw - items are priced by name until the sheet exists
+    }
+
+    // Initialize Packaging_Rules sheet (packaging charged per order, seeded with the dawet styrofoam box)
+    try {
+      const { ensurePackagingRulesSheet } = await import('./src/repos/packaging-rules.repo.js');
+      await ensurePackagingRulesSheet();
+      console.log('✅ [INIT] Packaging_Rules sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Packaging_Rules sheet:', error.message);
+      // Don't throw - no packaging is charged until the sheet exists
+    }
+
+    // Initialize Order_Events sheet (order audit log)
+    try {
+      const { ensureOrderEventsSheet } = await import('./src/repos/order-events.repo.js');
+      await ensureOrderEventsSheet();
+      console.log('✅ [INIT] Order_Events sheet initialized');
+    } catch (error) {
+      console.error('⚠️  Error initializing Order_Events sheet:', error.message);
+      // Don't throw - events are recorded once the sheet can be created
+    }
+
+    // Initialize Settings sheet (payment policy overrides) and load payment policy
+    try {
+      const { ensureSettingsSheet } = await import('./src/repos/settings.repo.js');
+      const { loadPaymentPolicy } = await import('./src/services/payment-policy.js');
+      await ensureSettingsSheet();
+      const policy = await loadPaymentPolicy();
+      console.log(`✅ [INIT] Settings sheet initialized (DP ${Math.round(policy.dpPercentage * 100)}%, full payment from H-${policy.fullPaymentCutoffDays})`);
+    } catch (error) {
+      console.error('⚠️  Error initializing Settings sheet:', error.message);
+      // Don't throw - continue with env/default payment policy
+    }
+
   } catch (error) {
     console.error('❌ Error initializing Google Sheets:', error.message);
     console.error('❌ [INIT] Stack:', error.stack);
@@ -1,7 +1,6 @@
 /**
  * DAWET Backend Server
- * Handles Telegram bot and manual WhatsApp message input
- * (Temporary solution while waiting for WhatsApp API access)
+ * Handles Telegram bot, WhatsApp Cloud API webhook, web chat and manual WhatsApp message input
  */
 
 import express from 'express';
@@ -14,19 +13,40 @@ import { promisify } from 'util';
 const execAsync = promisify(exec);
 
 // Validate environment variables at startup
-import { validateEnv } from './src/config/env.js';
+import { validateEnv, getEnv } from './src/config/env.js';
 
 // Import from repositories directly
 import { initializeStorage } from './google-sheets.js'; // TODO: Move to storage.repo.js
 import { saveMessage, getOrCreateConversation, getAllMessages, getMessagesByConversation, getAllConversations, getConversationById } from './src/repos/conversations.repo.js';
-import { saveOrder, getAllOrders, generateOrderId, updateOrderStatus, getOrderById, ensureOrdersPaymentHeaders } from './src/repos/orders.repo.js';
+import { saveOrder, getAllOrders, getOrdersByEventDate, generateOrderId, updateOrderStatus, getOrderById, ensureOrdersPaymentHeaders } from './src/repos/orders.repo.js';
+import { getOrdersCacheStats, startOrdersCacheRefresh } from './src/repos/orders-cache.js';
+import { getOrderEvents } from './src/repos/order-events.repo.js';
 import { markReminderSent } from './src/services/reminder-system.js';
 import { getPriceList } from './src/repos/price-list.repo.js';
 import {
-  validateStatusTransition,
-  getStatusNotificationMessage,
-  getTelegramChatIdFromOrder,
-} from './src/services/order-status-notifications.js';
+  createOrder,
+  editOrder,
+  changeOrderStatus,
+  cancelOrder,
+  recordOrderPayment,
+  ORDER_ACTION_ERRORS,
+} from './src/services/order-lifecycle.js';
+import { getPaymentsByOrderId } from './src/repos/payment-history.repo.js';
+import {
+  MAX_EVIDENCE_BYTES,
+  isAllowedEvidenceType,
+  uploadPaymentEvidence,
+  downloadPaymentEvidence,
+} from './src/services/payment-evidence.js';
+import {
+  MAX_STATEMENT_BYTES,
+  RECONCILIATION_ERRORS,
+  proposeReconciliation,
+  getReconciliation,
+  confirmReconciliation,
+} from './src/services/payment-reconciliation.js';
+import { getSalesAnalytics } from './src/services/sales-analytics.js';
+import { getOrderPackaging } from './src/services/packaging-calculator.js';
 import {
   parseOrderFromMessage,
   parseOrderFromMessageAuto,
@@ -42,13 +62,16 @@ import {
 } from './src/services/price-calculator.js';
 import { formatPrice, escapeMarkdown } from './src/utils/formatting.js';
 import { formatOrderConfirmation } from './src/utils/order-formatter.js';
-import { ORDER_STATUS } from './src/utils/constants.js';
+import { ORDER_STATUS, PLATFORMS, INVOICE_VARIANTS, ORDER_EVENT_SOURCES, PERMISSIONS, ROLE_PERMISSIONS, USER_ROLES } from './src/utils/constants.js';
+import { generateInvoicePdf, getInvoiceVariant, getInvoiceFilename } from './src/services/invoice-pdf.js';
+import { getCalendarFeedTokens, isValidCalendarFeedToken, parseDeliveryMethodFilter, buildDeliveriesIcs } from './src/services/ical-feed.js';
 import { ORDER_NOT_FOUND, INVOICE_ERROR } from './src/utils/messages.js';
 import {
   formatMenuMessage,
   isMenuRequest,
   isFAQQuestion,
   getFAQAnswer,
+  formatBusinessLocation,
 } from './src/utils/bot-menu.js';
 import {
   isFutureDate,
@@ -72,11 +95,19 @@ import {
   handleComplete,
 } from './admin-bot-commands.js';
 import { isAdmin } from './src/middleware/adminGuard.js';
+import { requireApiPermission, getRequestRole, roleHasPermission, getStatusChangePermission, getTelegramUserRole } from './src/middleware/permissions.js';
+import { authenticateDashboardRequest, restoreTenantContext } from './src/middleware/dashboardAuth.js';
+import { subscribeDashboardEvents, DASHBOARD_EVENT_PERMISSIONS } from './src/services/dashboard-events.js';
+import { isDashboardAuthDisabled, verifyTelegramLogin, createSessionToken, revokeSession } from './src/services/dashboard-auth.js';
 import {
   checkAndSendRemindersForToday,
   runDailyRemindersJob,
   ensureRemindersSheet,
 } from './src/services/reminder-system.js';
+import { syncCalendarWithOrders } from './src/services/calendar-sync.js';
+import { getTenantUsage } from './src/services/plan-limits.js';
+import { getOrderIdPattern } from './src/utils/order-id.js';
+import { getCalendarClient } from './src/services/google-calendar.js';
 import {
   getFallbackMessage,
   getIncompleteOrderMessage,
@@ -84,26 +115,38 @@ import {
   markFallbackSent,
   detectLanguage,
 } from './src/utils/message-fallback.js';
-import { sendTelegramMessage } from './src/services/telegramService.js';
+import { sendTelegramMessage, getTelegramWebhookSecret, verifyTelegramWebhookSecret } from './src/services/telegramService.js';
 import {
-  processedConfirmations,
-  sentInvoices,
-  processedCommands,
-  processedCallbacks,
-  orderStateByChat,
-  orderFinalizationLocks,
-  ORDER_STATE_TTL_MS,
-  LOCK_TTL_MS,
-  getChatStateKey,
+  sendWhatsAppMessage,
+  sendWhatsAppTemplate,
+  verifyWhatsAppSignature,
+  getWhatsAppConfig,
+} from './src/services/whatsappService.js';
+import {
+  PROCESSED_NAMESPACES,
+  INVOICE_SENT_TTL_MS,
+  markProcessed,
+  isProcessed,
   getOrderState,
   setOrderState,
   clearOrderState,
   acquireOrderLock,
   releaseOrderLock,
-  cleanupExpiredLocks,
 } from './src/state/store.js';
+import { getStateStore } from './src/state/stores/index.js';
 import { routeTelegramMessage } from './src/handlers/telegramRouter.js';
+import { routeWhatsAppWebhook } from './src/handlers/whatsappRouter.js';
+import { routeWebChatMessage, isValidWebSessionId } from './src/handlers/webChatRouter.js';
 import { handleCallbackQuery } from './src/handlers/callbackHandler.js';
+import { getTenants, getTenant, getDefaultTenant, getTenantSummary } from './src/config/tenants.js';
+import {
+  runWithTenant,
+  forEachTenant,
+  getCurrentTenant,
+  getCurrentTenantId,
+  getTelegramBotToken,
+  getTenantBranding,
+} from './src/config/tenant-context.js';
 
 // Get directory paths for ES modules (needed for .env path resolution)
 const __filename = fileURLToPath(import.meta.url);
@@ -130,13 +173,19 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware to parse JSON
-app.use(express.json());
+// Keep the raw body so webhook signatures (WhatsApp X-Hub-Signature-256) can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // CORS middleware (allow frontend to call API)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -144,6 +193,9 @@ app.use((req, res, next) => {
   }
 });
 
+// Dashboard API authentication (session token / API key) - sets req.auth for requireApiPermission()
+app.use(authenticateDashboardRequest);
+
 // Serve static files from the frontend build directory
 // The dist folder is one level up from the server directory
 const distPath = path.join(__dirname, '..', 'dist');
@@ -152,22 +204,33 @@ app.use(express.static(distPath));
 // Telegram Bot API base URL
 const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
 
-// For polling (local development)
-let lastUpdateId = 0;
-let pollingInterval = null;
+// For polling (local development): one bot per tenant
+const pollingStates = new Map(); // tenant ID -> { lastUpdateId, interval, webhookDeleted }
 
-// Cache bot username to avoid repeated API calls
-let cachedBotUsername = null;
+// Cache bot usernames (per tenant bot) to avoid repeated API calls
+const cachedBotUsernames = new Map(); // tenant ID -> username
 
 /**
- * Get bot username from Telegram API (cached)
+ * Get the polling state of the current tenant's bot
+ */
+function getPollingState() {
+  const tenantId = getCurrentTenantId();
+  if (!pollingStates.has(tenantId)) {
+    pollingStates.set(tenantId, { lastUpdateId: 0, interval: null, webhookDeleted: false });
+  }
+  return pollingStates.get(tenantId);
+}
+
+/**
+ * Get bot username of the current tenant from Telegram API (cached)
  */
 async function getBotUsername() {
-  if (cachedBotUsername) {
-    return cachedBotUsername;
+  const tenantId = getCurrentTenantId();
+  if (cachedBotUsernames.has(tenantId)) {
+    return cachedBotUsernames.get(tenantId);
   }
 
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
   if (!botToken) {
     return null;
   }
@@ -178,8 +241,8 @@ async function getBotUsername() {
     const data = await response.json();
 
     if (data.ok && data.result?.username) {
-      cachedBotUsername = data.result.username;
-      return cachedBotUsername;
+      cachedBotUsernames.set(tenantId, data.result.username);
+      return data.result.username;
     }
   } catch (error) {
     console.warn('⚠️ Could not fetch bot username:', error.message);
@@ -227,27 +290,12 @@ function stripBotMentions(text, botUsername) {
  * Telegram sends messages to this endpoint when customers message the bot
  */
 
-// GET route for health check / testing
-app.get('/api/webhooks/telegram', (req, res) => {
-  res.status(200).json({ 
-    ok: true, 
-    message: 'telegram webhook endpoint live',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// POST route for Telegram webhook updates
-app.post('/api/webhooks/telegram', async (req, res) => {
-  console.log('✅ [WEBHOOK] Webhook route hit');
-  console.log('✅ [WEBHOOK] Telegram update received');
-
-  // Always respond 200 OK to Telegram immediately
-  res.status(200).send('OK');
-
-  // Process the webhook
+/**
+ * Process a Telegram update (webhook) in the current tenant's context
+ * @param {Object} update - Telegram update
+ */
+async function processTelegramUpdate(update) {
   try {
-    const update = req.body;
-
     // Telegram sends updates in this structure
     // Handle both private messages and group messages
     if (update.message) {
@@ -265,23 +313,79 @@ app.post('/api/webhooks/telegram', async (req, res) => {
     console.error('❌ [WEBHOOK] Error processing Telegram webhook:', error);
     console.error('❌ [WEBHOOK] Stack:', error.stack);
   }
+}
+
+// GET route for health check / testing
+app.get('/api/webhooks/telegram', (req, res) => {
+  res.status(200).json({ 
+    ok: true, 
+    message: 'telegram webhook endpoint live',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// POST route for Telegram webhook updates (bot of the default tenant)
+app.post('/api/webhooks/telegram', async (req, res) => {
+  const tenant = getDefaultTenant();
+  // Reject updates without the secret token registered with setWebhook (forged updates)
+  if (!verifyTelegramWebhookSecret(tenant, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    console.warn('⚠️ [WEBHOOK] Invalid Telegram secret token, request rejected');
+    return res.sendStatus(401);
+  }
+  console.log('✅ [WEBHOOK] Webhook route hit');
+  console.log('✅ [WEBHOOK] Telegram update received');
+
+  // Always respond 200 OK to Telegram immediately
+  res.status(200).send('OK');
+
+  await runWithTenant(tenant, () => processTelegramUpdate(req.body));
+});
+
+// Per-tenant webhook: each tenant's bot is registered with /api/webhooks/telegram/<tenant ID>
+app.get('/api/webhooks/telegram/:tenantId', (req, res) => {
+  const tenant = getTenant(req.params.tenantId);
+  if (!tenant) {
+    return res.status(404).json({ ok: false, error: `Unknown tenant "${req.params.tenantId}"` });
+  }
+  res.status(200).json({
+    ok: true,
+    message: `telegram webhook endpoint live (tenant ${tenant.id})`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/webhooks/telegram/:tenantId', async (req, res) => {
+  const tenant = getTenant(req.params.tenantId);
+  if (!tenant) {
+    console.warn(`⚠️ [WEBHOOK] Telegram update for unknown tenant "${req.params.tenantId}"`);
+    return res.status(404).send('Unknown tenant');
+  }
+  if (!verifyTelegramWebhookSecret(tenant, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    console.warn(`⚠️ [WEBHOOK] Invalid Telegram secret token for tenant ${tenant.id}, request rejected`);
+    return res.sendStatus(401);
+  }
+  console.log(`✅ [WEBHOOK] Telegram update received (tenant ${tenant.id})`);
+
+  // Always respond 200 OK to Telegram immediately
+  res.status(200).send('OK');
+
+  await runWithTenant(tenant, () => processTelegramUpdate(req.body));
 });
 
 /**
- * Delete webhook (needed before polling)
+ * Delete webhook of the current tenant's bot (needed before polling)
  * Telegram doesn't allow webhook and polling at the same time
  */
-let webhookDeleted = false;
-
 async function deleteWebhook() {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
+  const pollingState = getPollingState();
   
   if (!botToken) {
     return;
   }
 
   // Only delete once at startup
-  if (webhookDeleted) {
+  if (pollingState.webhookDeleted) {
     return;
   }
 
@@ -292,10 +396,10 @@ async function deleteWebhook() {
 
     if (data.ok) {
       console.log('✅ Webhook removed (required for polling mode)');
-      webhookDeleted = true;
+      pollingState.webhookDeleted = true;
     } else {
       console.log('ℹ️  No webhook to remove (or already removed)');
-      webhookDeleted = true;
+      pollingState.webhookDeleted = true;
     }
   } catch (error) {
 
@@ -305,16 +409,18 @@ async function deleteWebhook() {
 /**
  * Step 1B: Polling Mode (for local development)
  * Instead of webhook, we ask Telegram for new messages every few seconds
+ * Polls the current tenant's bot (call inside runWithTenant; updates are handled in that tenant's context)
  */
 async function startPolling() {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
+  const pollingState = getPollingState();
   
   if (!botToken) {
 
     return;
   }
 
-  console.log('🔄 Starting Telegram polling (local development mode)...');
+  console.log(`🔄 Starting Telegram polling for tenant ${getCurrentTenantId()} (local development mode)...`);
   
   // First, remove any existing webhook (required!)
   await deleteWebhook();
@@ -323,14 +429,14 @@ async function startPolling() {
   await new Promise(resolve => setTimeout(resolve, 1000));
 
   // Poll every 2 seconds
-  pollingInterval = setInterval(async () => {
+  pollingState.interval = setInterval(async () => {
     try {
-      const url = `${TELEGRAM_API_BASE}${botToken}/getUpdates?offset=${lastUpdateId + 1}&timeout=1`;
+      const url = `${TELEGRAM_API_BASE}${botToken}/getUpdates?offset=${pollingState.lastUpdateId + 1}&timeout=1`;
       const response = await fetch(url);
 
       if (!response.ok) {
         // Handle 409 error specifically (only log once, don't spam)
-        if (response.status === 409 && !webhookDeleted) {
+        if (response.status === 409 && !pollingState.webhookDeleted) {
           console.error('❌ Error 409: Webhook conflict. Removing webhook...');
           await deleteWebhook();
           await new Promise(resolve => setTimeout(resolve, 3000));
@@ -361,7 +467,7 @@ async function startPolling() {
           if (update.callback_query) {
             handleCallbackQuery(update.callback_query);
           }
-          lastUpdateId = update.update_id;
+          pollingState.lastUpdateId = update.update_id;
         });
       }
     } catch (error) {
@@ -372,21 +478,279 @@ async function startPolling() {
 }
 
 /**
- * Stop polling (cleanup)
+ * Stop polling of all tenants' bots (cleanup)
  */
 function stopPolling() {
-  if (pollingInterval) {
-    clearInterval(pollingInterval);
-    pollingInterval = null;
+  for (const pollingState of pollingStates.values()) {
+    if (pollingState.interval) {
+      clearInterval(pollingState.interval);
+      pollingState.interval = null;
+    }
+  }
+}
 
+/**
+ * Register the webhook of the current tenant's bot (production)
+ * The default tenant's bot uses /api/webhooks/telegram, other tenants /api/webhooks/telegram/<tenant ID>.
+ * The tenant's secret token is registered too; updates without it are rejected by the webhook routes.
+ */
+async function registerTelegramWebhook() {
+  const botToken = getTelegramBotToken();
+  const tenant = getCurrentTenant();
+  if (!botToken) {
+    console.warn(`⚠️  [WEBHOOK] No bot token for tenant ${tenant.id}, cannot register webhook`);
+    return;
+  }
+
+  try {
+    // Get webhook URL from environment or construct from Render URL
+    // WEBHOOK_URL may already include the full path, so check first
+    let baseUrl = process.env.WEBHOOK_URL || 
+                  process.env.RENDER_EXTERNAL_URL || 
+                  (process.env.RENDER_SERVICE_NAME ? `https://${process.env.RENDER_SERVICE_NAME}.onrender.com` : null);
+    
+    if (!baseUrl) {
+      console.warn(`⚠️  [WEBHOOK] WEBHOOK_URL or RENDER_EXTERNAL_URL not set, cannot auto-register webhook`);
+      console.warn(`⚠️  [WEBHOOK] Please manually set webhook URL in Telegram Bot settings (with secret_token = TELEGRAM_WEBHOOK_SECRET)`);
+      return;
+    }
+
+    // Remove trailing slash and the webhook path, if WEBHOOK_URL already includes it
+    const legacyWebhookPath = '/api/webhooks/telegram';
+    baseUrl = baseUrl.replace(/\/$/, '');
+    if (baseUrl.endsWith(legacyWebhookPath)) {
+      baseUrl = baseUrl.slice(0, -legacyWebhookPath.length);
+    }
+    const webhookPath = tenant.isDefault ? legacyWebhookPath : `${legacyWebhookPath}/${tenant.id}`;
+    const fullWebhookUrl = `${baseUrl}${webhookPath}`;
+    
+    console.log(`ℹ️  [WEBHOOK] Setting webhook URL for tenant ${tenant.id}: ${fullWebhookUrl}`);
+    
+    const setWebhookUrl = `${TELEGRAM_API_BASE}${botToken}/setWebhook`;
+    const response = await fetch(setWebhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: fullWebhookUrl,
+        secret_token: getTelegramWebhookSecret(tenant), // checked on every update (X-Telegram-Bot-Api-Secret-Token)
+        drop_pending_updates: true,
+      }),
+    });
+    
+    const data = await response.json();
+    if (data.ok) {
+      console.log(`✅ [WEBHOOK] Webhook registered successfully: ${fullWebhookUrl}`);
+    } else {
+      console.error(`❌ [WEBHOOK] Failed to register webhook: ${data.description || 'Unknown error'}`);
+      console.error(`❌ [WEBHOOK] Response:`, JSON.stringify(data, null, 2));
+    }
+  } catch (error) {
+    console.error(`❌ [WEBHOOK] Error setting webhook:`, error.message);
+    console.error(`❌ [WEBHOOK] Stack:`, error.stack);
   }
 }
 
+/**
+ * Step 1C: Receive Messages from WhatsApp Cloud API
+ * GET: webhook verification handshake (hub.mode, hub.verify_token, hub.challenge)
+ * POST: incoming messages and delivery statuses (signed with X-Hub-Signature-256)
+ */
+app.get('/api/webhooks/whatsapp', (req, res) => {
+  const { verifyToken } = getWhatsAppConfig();
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+    console.log('✅ [WHATSAPP_WEBHOOK] Webhook verified');
+    return res.status(200).send(challenge);
+  }
+
+  console.warn('⚠️ [WHATSAPP_WEBHOOK] Webhook verification failed (mode or verify token mismatch)');
+  res.sendStatus(403);
+});
+
+app.post('/api/webhooks/whatsapp', async (req, res) => {
+  // Reject unsigned or tampered requests before doing any work
+  if (!verifyWhatsAppSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    console.warn('⚠️ [WHATSAPP_WEBHOOK] Invalid signature, request rejected');
+    return res.sendStatus(401);
+  }
+
+  // Always respond 200 OK to WhatsApp immediately (it retries slow webhooks)
+  res.status(200).send('OK');
+
+  try {
+    await routeWhatsAppWebhook(req.body);
+  } catch (error) {
+    console.error('❌ [WHATSAPP_WEBHOOK] Error processing WhatsApp webhook:', error);
+    console.error('❌ [WHATSAPP_WEBHOOK] Stack:', error.stack);
+  }
+});
+
+/**
+ * Step 1D: Web Chat
+ * Customer chat from the web, handled by the same order/confirmation handlers as Telegram and WhatsApp
+ * Body: { sessionId, name?, text } or { sessionId, action, messageId? } (button press)
+ * Response: { messages: [{ id, type, text, markdown, buttons, media }] }
+ */
+app.post('/api/chat/web', async (req, res) => {
+  try {
+    const { sessionId, name, text, action, messageId } = req.body;
+
+    if (!isValidWebSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Missing or invalid "sessionId" (8-64 characters: letters, digits, _ or -)' });
+    }
+
+    if (!text && !action) {
+      return res.status(400).json({ error: 'Missing "text" or "action" field' });
+    }
+
+    const messages = await routeWebChatMessage({ sessionId, name, text, action, messageId });
+    res.json({ messages });
+  } catch (error) {
+    console.error('❌ [WEB_CHAT] Error processing web chat message:', error);
+    res.status(500).json({ error: 'Failed to process message', details: error.message });
+  }
+});
+
+/**
+ * Dashboard login configuration (public, per tenant: X-Tenant-Id header or ?tenant=)
+ * Response: { botUsername, authDisabled, tenant } - botUsername is used by the Telegram Login Widget
+ */
+app.get('/api/auth/config', async (req, res) => {
+  res.json({
+    botUsername: await getBotUsername(),
+    authDisabled: isDashboardAuthDisabled(),
+    tenant: getTenantSummary(getCurrentTenant()),
+  });
+});
+
+/**
+ * Dashboard login with the Telegram Login Widget (public)
+ * Body: the widget's user data { id, first_name, last_name?, username?, photo_url?, auth_date, hash }
+ * Response: { token, expiresAt, user } - send the token as "Authorization: Bearer <token>"
+ */
+app.post('/api/auth/telegram', async (req, res) => {
+  try {
+    const verification = verifyTelegramLogin(req.body);
+    if (!verification.valid) {
+      console.log(`❌ [DASHBOARD_AUTH] Telegram login rejected: ${verification.error}`);
+      return res.status(401).json({ error: verification.error });
+    }
+
+    const { user } = verification;
+    const role = await getTelegramUserRole(user.id);
+    if (role !== USER_ROLES.ADMIN && role !== USER_ROLES.STAFF) {
+      console.log(`❌ [DASHBOARD_AUTH] Telegram user ${user.id} has no dashboard access (role: ${role})`);
+      return res.status(403).json({ error: 'This Telegram account has no dashboard access. Ask an admin to run /role in the bot.' });
+    }
+
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username || user.id;
+    const { token, expiresAt } = createSessionToken({ id: user.id, name, username: user.username, photoUrl: user.photoUrl });
+    console.log(`✅ [DASHBOARD_AUTH] Telegram user ${user.id} logged in (role: ${role})`);
+
+    res.json({
+      token,
+      expiresAt,
+      user: { id: user.id, name, username: user.username, photoUrl: user.photoUrl, role, permissions: ROLE_PERMISSIONS[role] },
+    });
+  } catch (error) {
+    console.error('❌ [DASHBOARD_AUTH] Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+/**
+ * Current dashboard user (session, API key, or the local user when DASHBOARD_AUTH_DISABLED=true)
+ */
+app.get('/api/auth/me', (req, res) => {
+  const role = getRequestRole(req);
+  const user = req.auth
+    ? { id: req.auth.userId, name: req.auth.name, username: req.auth.username, photoUrl: req.auth.photoUrl, role }
+    : { id: 'local', name: 'Local', username: '', photoUrl: '', role };
+
+  res.json({
+    user: { ...user, permissions: ROLE_PERMISSIONS[role] },
+    tenant: getTenantSummary(getCurrentTenant()),
+    authType: req.auth?.type || 'disabled',
+    expiresAt: req.auth?.session ? new Date(req.auth.session.exp * 1000).toISOString() : null,
+  });
+});
+
+/**
+ * Log out (the session token stops working immediately)
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.auth?.session) {
+      await revokeSession(req.auth.session);
+      console.log(`✅ [DASHBOARD_AUTH] Telegram user ${req.auth.userId} logged out`);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('❌ [DASHBOARD_AUTH] Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
+});
+
+// Live dashboard updates: reconnect delay for the browser and heartbeat interval (proxies close idle connections)
+const DASHBOARD_EVENTS_RETRY_MS = 5000;
+const DASHBOARD_EVENTS_HEARTBEAT_MS = 25000;
+
+/**
+ * Live dashboard updates (Server-Sent Events)
+ * Streams the tenant's dashboard events the user's role may see (see DASHBOARD_EVENT_PERMISSIONS); the dashboard
+ * refetches the affected data and stops polling while connected. EventSource can't send headers, so
+ * browsers pass the session token as ?access_token= (accepted on this route only).
+ */
+app.get('/api/events', requireApiPermission(PERMISSIONS.ORDERS_VIEW), (req, res) => {
+  const role = getRequestRole(req);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Don't let reverse proxies buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${DASHBOARD_EVENTS_RETRY_MS}\n\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ role })}\n\n`);
+
+  const tenantId = getCurrentTenantId();
+  const unsubscribe = subscribeDashboardEvents((event) => {
+    if (event.tenantId !== tenantId) {
+      return;
+    }
+    const permission = DASHBOARD_EVENT_PERMISSIONS[event.type];
+    if (permission && !roleHasPermission(role, permission)) {
+      return;
+    }
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), DASHBOARD_EVENTS_HEARTBEAT_MS);
+
+  // End the stream when the session expires - the reconnect then gets a 401 and the dashboard goes to /login
+  const sessionExpiresInMs = req.auth?.session ? req.auth.session.exp * 1000 - Date.now() : null;
+  const expiryTimer = sessionExpiresInMs !== null
+    ? setTimeout(() => res.end(), Math.min(Math.max(sessionExpiresInMs, 0), 2 ** 31 - 1))
+    : null;
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (expiryTimer) {
+      clearTimeout(expiryTimer);
+    }
+  });
+});
+
 /**
  * Step 2: Manual WhatsApp Message Input
  * Merchant manually inputs WhatsApp messages they received
  */
-app.post('/api/messages/whatsapp-manual', async (req, res) => {
+app.post('/api/messages/whatsapp-manual', requireApiPermission(PERMISSIONS.MESSAGES_SEND), async (req, res) => {
   try {
     const { from, text, timestamp } = req.body;
 
@@ -449,7 +813,7 @@ async function handleTelegramMessage(message) {
   const captionText = (message.caption || '').trim();
   const messageTextForPay = (message.text || '').trim();
   const hasPayCommand = captionText.toLowerCase().includes('/pay') || messageTextForPay.toLowerCase().includes('/pay');
-  const hasOrderIdPattern = /DKM\/\d{8}\/\d{6}/i.test(captionText) || /DKM\/\d{8}\/\d{6}/i.test(messageTextForPay);
+  const hasOrderIdPattern = getOrderIdPattern().test(captionText) || getOrderIdPattern().test(messageTextForPay);
   
   if ((message.photo || message.document) && (hasPayCommand || hasOrderIdPattern)) {
 
@@ -560,7 +924,7 @@ async function handleTelegramMessage(message) {
     let orderProcessed = false;
     if (chatType === 'private') {
       // Check if we're awaiting a form (from previous /pesan command)
-      const state = getOrderState(chatId, userId, chatType);
+      const state = await getOrderState(chatId, userId, chatType);
       const shouldParse = state?.mode === 'AWAITING_FORM' || detectOrderFormat(message.text);
       
       if (shouldParse) {
@@ -574,7 +938,7 @@ async function handleTelegramMessage(message) {
 
             // Clear state if order was successfully parsed
             if (parsedOrder.customer_name || parsedOrder.items.length > 0) {
-              clearOrderState(chatId, userId, chatType);
+              await clearOrderState(chatId, userId, chatType);
             }
           } catch (parseError) {
             // Handle parsing errors (e.g., invalid delivery_fee)
@@ -803,7 +1167,7 @@ async function handleTelegramMessage(message) {
             `Metode pengiriman: Pickup/GrabExpress/Custom\n` +
             `Biaya Pengiriman (Rp): [Nominal]\n` +
             `Notes: [Catatan]\n\n` +
-            `Mendapatkan info Dawet Kemayu Menteng dari: [Sumber]`;
+            `Mendapatkan info ${getTenantBranding().businessName} dari: [Sumber]`;
           
           const fullMessage = incompleteMessage + formatTemplate;
           await sendTelegramMessage(message.chat.id, fullMessage);
@@ -915,9 +1279,6 @@ async function handleTelegramMessage(message) {
 // No need to redefine it here
 
 
-// Clean up expired locks every 5 minutes
-setInterval(cleanupExpiredLocks, 5 * 60 * 1000);
-
 /**
  * Finalize order - centralized function to handle order confirmation
  * This ensures idempotency and prevents duplicate writes
@@ -928,7 +1289,8 @@ setInterval(cleanupExpiredLocks, 5 * 60 * 1000);
 async function finalizeOrder(orderId) {
 
   // Acquire lock to prevent concurrent processing
-  if (!acquireOrderLock(orderId)) {
+  const lockToken = await acquireOrderLock(orderId);
+  if (!lockToken) {
 
     // Return existing order if available
     try {
@@ -1005,7 +1367,7 @@ async function finalizeOrder(orderId) {
     // Create Google Calendar event for confirmed order
     if (order.event_date) {
       try {
-        const { createCalendarEvent } = await import('./google-calendar.js');
+        const { createCalendarEvent } = await import('./src/services/google-calendar.js');
         const calendarEventId = await createCalendarEvent(order);
         if (calendarEventId) {
 
@@ -1035,7 +1397,7 @@ async function finalizeOrder(orderId) {
     throw error;
   } finally {
     // Always release lock, even on error
-    releaseOrderLock(orderId);
+    await releaseOrderLock(orderId, lockToken);
   }
 }
 
@@ -1046,25 +1408,17 @@ async function finalizeOrder(orderId) {
  */
 async function handleOrderConfirmation(chatId, orderId, messageId) {
 
-  // Prevent duplicate processing (in-memory guard - additional safety)
+  // Prevent duplicate processing (state store guard - additional safety)
   // For button clicks: use orderId + messageId
   // For manual responses: use orderId only (invoice sent check will handle duplicates)
   const confirmationKey = messageId ? `${orderId}_${messageId}` : orderId;
-  if (processedConfirmations.has(confirmationKey)) {
-    console.log(`⚠️ [ORDER_CONFIRM] Order confirmation already processed (in-memory), skipping: ${orderId}`);
+  if (!(await markProcessed(PROCESSED_NAMESPACES.CONFIRMATIONS, confirmationKey))) {
+    console.log(`⚠️ [ORDER_CONFIRM] Order confirmation already processed, skipping: ${orderId}`);
     return;
   }
-  processedConfirmations.add(confirmationKey);
-  
-  // Clean up old entries (keep only last 1000)
-  if (processedConfirmations.size > 1000) {
-    const firstKey = processedConfirmations.values().next().value;
-    processedConfirmations.delete(firstKey);
-  }
   
   // Additional guard: Check if invoice was already sent for this order (within last 10 seconds)
-  const invoiceSent = sentInvoices.get(orderId);
-  if (invoiceSent && (Date.now() - invoiceSent.sentAt) < 10000) {
+  if (await isProcessed(PROCESSED_NAMESPACES.INVOICES, orderId)) {
     console.log(`⚠️ [ORDER_CONFIRM] Invoice already sent for order ${orderId} (within last 10s), skipping duplicate send`);
     return;
   }
@@ -1106,16 +1460,8 @@ async function handleOrderConfirmation(chatId, orderId, messageId) {
     console.log('📄 [ORDER_CONFIRM] Sending invoice (recap) for order:', orderId);
     await sendTelegramMessage(chatId, invoice);
     
-    // Mark invoice as sent (with TTL for cleanup)
-    sentInvoices.set(orderId, { sentAt: Date.now() });
-    
-    // Clean up old invoice tracking entries (older than 60 seconds)
-    const now = Date.now();
-    for (const [oid, data] of sentInvoices.entries()) {
-      if (now - data.sentAt > 60000) {
-        sentInvoices.delete(oid);
-      }
-    }
+    // Mark invoice as sent (expires after 10 seconds)
+    await markProcessed(PROCESSED_NAMESPACES.INVOICES, orderId, INVOICE_SENT_TTL_MS);
 
     // NOTE: Payment notification (💰 PEMBAYARAN PENUH) is NOT sent during confirmation.
     // Payment reminders are handled separately by the reminder system (H-4, H-3, H-1).
@@ -1165,7 +1511,7 @@ async function handleOrderCancellation(chatId, orderId, messageId) {
  * Edit message text (to update confirmation message)
  */
 async function editMessageText(chatId, messageId, text) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
   if (!botToken) return;
 
   // Guard: Never send null or undefined text
@@ -1232,7 +1578,7 @@ async function editMessageText(chatId, messageId, text) {
  * Edit message reply markup (remove inline keyboard)
  */
 async function editMessageReplyMarkup(chatId, messageId, replyMarkup = null) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
   if (!botToken) return;
 
   try {
@@ -1353,17 +1699,10 @@ async function handleTelegramCommand(message) {
   // Deduplication: prevent duplicate command processing
   // Use update_id if available (from webhook context), otherwise use chatId:messageId
   const dedupeKey = message.update_id ? `update_${message.update_id}` : `${chatId}:${messageId}`;
-  if (processedCommands.has(dedupeKey)) {
+  if (!(await markProcessed(PROCESSED_NAMESPACES.COMMANDS, dedupeKey))) {
     console.log(`[DEDUP] skip key=${dedupeKey} command="${messageText.substring(0, 20)}"`);
     return; // Already processed, skip
   }
-  processedCommands.add(dedupeKey);
-  
-  // Clean up old entries (keep only last 1000)
-  if (processedCommands.size > 1000) {
-    const firstKey = processedCommands.values().next().value;
-    processedCommands.delete(firstKey);
-  }
   
   // Parse command with payload extraction
   const { command: rawCommand, args, payload } = parseCommand(messageText);
@@ -1383,7 +1722,7 @@ async function handleTelegramCommand(message) {
     case '/start':
       sendTelegramMessage(chatId, 
         'Halo 👋\n' +
-        'Selamat datang di Admin Assistant Bot Dawet Kemayu Menteng 🍹\n\n' +
+        'Selamat datang di Admin Assistant Bot ' + getTenantBranding().businessName + ' 🍹\n\n' +
         'Aku akan membantu kamu mencatat pesanan, memantau pembayaran,\n' +
         'dan mengingatkan jadwal penting supaya tidak ada yang terlewat.\n\n' +
         'Untuk mulai pesan, ketik /pesan.\n' +
@@ -1392,14 +1731,14 @@ async function handleTelegramCommand(message) {
       break;
     case '/pesan':
       // Set state to AWAITING_FORM for this chat (if no payload)
-      const currentState = getOrderState(chatId, userId, chatType);
+      const currentState = await getOrderState(chatId, userId, chatType);
 
       // Check if payload exists (order form in same message)
       if (payload && payload.trim().length > 0) {
         console.log(`🔍 [PESAN] Payload detected (${payload.length} chars), parsing order...`);
         
         // Clear any existing state (order is being processed)
-        clearOrderState(chatId, userId, chatType);
+        await clearOrderState(chatId, userId, chatType);
         
         // Parse order from payload
         const detectedFormat = detectOrderFormat(payload);
@@ -1662,7 +2001,7 @@ async function handleTelegramCommand(message) {
         }
       } else {
         // No payload - set state to AWAITING_FORM and send instruction
-        setOrderState(chatId, userId, chatType, 'AWAITING_FORM');
+        await setOrderState(chatId, userId, chatType, 'AWAITING_FORM');
         const instruction = chatType === 'private' 
           ? 'Silakan paste format pesanan yang sudah diisi ya kak 😊\n(Template ada di /help)'
           : 'Silakan kirim /pesan@dawetkemayumenteng_bot + format pesanan dalam 1 pesan ya kak 😊 (template di /help).';
@@ -1678,8 +2017,7 @@ async function handleTelegramCommand(message) {
     case '/location':
       sendTelegramMessage(chatId,
         '📍 **Lokasi:**\n\n' +
-        'Dawet Kemayu Menteng\n' +
-        'Jl. Kemayu Menteng, Jakarta\n\n' +
+        formatBusinessLocation() +
         'Untuk informasi lebih detail, silakan hubungi kami!'
       );
       break;
@@ -1704,7 +2042,7 @@ async function handleTelegramCommand(message) {
         'Biaya Pengiriman (Rp):\n' +
         '(diisi oleh Admin)\n\n' +
         'Notes:\n\n' +
-        'Mendapatkan info Dawet Kemayu Menteng dari:\n' +
+        'Mendapatkan info ' + getTenantBranding().businessName + ' dari:\n' +
         'Teman / Instagram / Facebook / TikTok / Lainnya'
       );
       break;
@@ -1852,17 +2190,55 @@ async function handleTelegramCommand(message) {
 }
 
 /**
- * Step 3: Send Message via Telegram
- * Our API endpoint to send messages via Telegram bot
+ * Step 3: Send Message via Telegram or WhatsApp
+ * Our API endpoint to send messages via Telegram bot or WhatsApp Cloud API
+ * Body: { chatId, text, platform? = 'telegram' }
+ * WhatsApp only: { template: { name, language?, params? } } instead of text (outside the 24h window)
  */
-app.post('/api/messages/send', async (req, res) => {
+app.post('/api/messages/send', requireApiPermission(PERMISSIONS.MESSAGES_SEND), async (req, res) => {
   try {
-    const { chatId, text } = req.body;
+    const { chatId, text, template } = req.body;
+    const platform = (req.body.platform || PLATFORMS.TELEGRAM).toLowerCase();
 
-    if (!chatId || !text) {
+    if (platform !== PLATFORMS.TELEGRAM && platform !== PLATFORMS.WHATSAPP) {
+      return res.status(400).json({ error: `Invalid "platform" (use ${PLATFORMS.TELEGRAM} or ${PLATFORMS.WHATSAPP})` });
+    }
+
+    if (!chatId || (!text && !(platform === PLATFORMS.WHATSAPP && template?.name))) {
       return res.status(400).json({ error: 'Missing "chatId" or "text" field' });
     }
 
+    if (platform === PLATFORMS.WHATSAPP) {
+      // Send message via WhatsApp Cloud API (template if given, otherwise text)
+      const result = template?.name
+        ? await sendWhatsAppTemplate(chatId, template.name, {
+            languageCode: template.language || undefined,
+            bodyParams: Array.isArray(template.params) ? template.params : [],
+          })
+        : await sendWhatsAppMessage(chatId, text);
+
+      const conversation = await getOrCreateConversation(result.to, 'Merchant', null, PLATFORMS.WHATSAPP);
+
+      await saveMessage({
+        id: `whatsapp_sent_${result.message_id}`,
+        conversationId: conversation.id,
+        from: result.to,
+        fromName: 'Merchant',
+        text: text || `[template: ${template.name}]`,
+        messageType: template?.name ? 'template' : 'text',
+        direction: 'outbound',
+        source: PLATFORMS.WHATSAPP,
+        status: 'sent',
+      });
+
+      return res.json({
+        success: true,
+        messageId: result.message_id,
+        chatId: result.to,
+        message: 'Message sent successfully via WhatsApp',
+      });
+    }
+
     // Send message via Telegram Bot API
     const result = await sendTelegramMessage(chatId, text);
 
@@ -1893,7 +2269,7 @@ app.post('/api/messages/send', async (req, res) => {
       message: 'Message sent successfully via Telegram',
     });
   } catch (error) {
-    console.error('❌ Error sending Telegram message:', error);
+    console.error('❌ Error sending message:', error);
     res.status(500).json({ error: 'Failed to send message', details: error.message });
   }
 });
@@ -1951,7 +2327,7 @@ function sanitizeMarkdown(text) {
 /**
  * Get all messages (for testing/API)
  */
-app.get('/api/messages', async (req, res) => {
+app.get('/api/messages', requireApiPermission(PERMISSIONS.MESSAGES_VIEW), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const messages = await getAllMessages(limit);
@@ -1965,7 +2341,7 @@ app.get('/api/messages', async (req, res) => {
 /**
  * Get all conversations
  */
-app.get('/api/conversations', async (req, res) => {
+app.get('/api/conversations', requireApiPermission(PERMISSIONS.MESSAGES_VIEW), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const conversations = await getAllConversations(limit);
@@ -1979,7 +2355,7 @@ app.get('/api/conversations', async (req, res) => {
 /**
  * Get all orders with filtering and search
  */
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', requireApiPermission(PERMISSIONS.ORDERS_VIEW), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const status = req.query.status; // Filter by status
@@ -1988,7 +2364,8 @@ app.get('/api/orders', async (req, res) => {
     const endDate = req.query.endDate;
     const eventDate = req.query.eventDate; // Filter by event_date (for today/tomorrow)
     
-    let orders = await getAllOrders(1000); // Get more than limit to filter
+    // event_date uses the Orders cache date index; otherwise get more than limit to filter
+    let orders = eventDate ? await getOrdersByEventDate(eventDate) : await getAllOrders(1000);
     
     // Filter by status
     if (status) {
@@ -2006,26 +2383,6 @@ app.get('/api/orders', async (req, res) => {
       );
     }
     
-    // Filter by event_date (for today/tomorrow orders)
-    if (eventDate) {
-      orders = orders.filter(order => {
-        if (!order.event_date) return false;
-        // Normalize both dates to YYYY-MM-DD for comparison
-        const orderEventDate = order.event_date.toString().trim();
-        const targetDate = eventDate.toString().trim();
-        // Handle both YYYY-MM-DD and DD/MM/YYYY formats
-        if (orderEventDate === targetDate) return true;
-        // Try to normalize DD/MM/YYYY to YYYY-MM-DD
-        const ddmmyyyyMatch = orderEventDate.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-        if (ddmmyyyyMatch) {
-          const [, day, month, year] = ddmmyyyyMatch;
-          const normalized = `${year}-${month}-${day}`;
-          return normalized === targetDate;
-        }
-        return false;
-      });
-    }
-    
     // Filter by date range (created_at)
     if (startDate || endDate) {
       orders = orders.filter(order => {
@@ -2040,6 +2397,9 @@ app.get('/api/orders', async (req, res) => {
     // Apply limit
     orders = orders.slice(0, limit);
     
+    // Packaging lines for the dashboard (calculated for orders saved before packaging_json)
+    orders = await Promise.all(orders.map(async order => ({ ...order, packaging: await getOrderPackaging(order) })));
+    
     res.json({ orders, count: orders.length });
   } catch (error) {
     console.error('❌ Error getting orders:', error);
@@ -2051,7 +2411,7 @@ app.get('/api/orders', async (req, res) => {
  * Manually trigger reminder job (for admin)
  * DEPRECATED: WaitingList is no longer used - reminders are handled by runDailyRemindersJob
  */
-app.post('/api/waiting-list/check', async (req, res) => {
+app.post('/api/waiting-list/check', requireApiPermission(PERMISSIONS.REMINDERS_RUN), async (req, res) => {
   try {
     // Use reminder job instead of waiting list check
     await runDailyRemindersJob(sendTelegramMessage);
@@ -2065,7 +2425,7 @@ app.post('/api/waiting-list/check', async (req, res) => {
 /**
  * Get single order by ID
  */
-app.get('/api/orders/:id', async (req, res) => {
+app.get('/api/orders/:id', requireApiPermission(PERMISSIONS.ORDERS_VIEW), async (req, res) => {
   try {
     // Decode the order ID to handle URL-encoded slashes (e.g., DKM/20260103/000003)
     const orderId = decodeURIComponent(req.params.id);
@@ -2102,6 +2462,7 @@ app.get('/api/orders/:id', async (req, res) => {
       // Pricing fields (snake_case only, with proper defaults)
       product_total: order.product_total ?? 0,
       packaging_fee: order.packaging_fee ?? 0,
+      packaging: await getOrderPackaging(order),
       delivery_fee: order.delivery_fee ?? 0,
       total_amount: totalAmount, // Use total_amount (canonical) with fallback to final_total
       // Payment fields (with computed defaults if missing)
@@ -2120,91 +2481,207 @@ app.get('/api/orders/:id', async (req, res) => {
 });
 
 /**
- * Update order status
+ * Download order invoice PDF
+ * Query: ?variant=invoice|receipt (default: receipt if fully paid, otherwise invoice)
  */
-app.patch('/api/orders/:id/status', async (req, res) => {
+app.get('/api/orders/:id/invoice.pdf', requireApiPermission(PERMISSIONS.PAYMENTS_VIEW), async (req, res) => {
   try {
-    // Decode the order ID to handle URL-encoded slashes (e.g., DKM/20260103/000003)
     const orderId = decodeURIComponent(req.params.id);
-    const { status } = req.body;
-    
-    if (!status) {
-      return res.status(400).json({ error: 'Status is required' });
+    const order = await getOrderById(orderId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-    
-    // Valid statuses (including 'waiting' for waiting list orders)
-    const validStatuses = ['pending', 'pending_confirmation', 'confirmed', 'processing', 'ready', 'delivering', 'completed', 'cancelled', 'waiting'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+
+    if (order.status === ORDER_STATUS.CANCELLED || order.status === ORDER_STATUS.PENDING_CONFIRMATION) {
+      return res.status(409).json({ error: `Invoice is not available for ${order.status} orders` });
     }
-    
-    // Get current order to validate transition
-    // getOrderById checks Orders sheet
+
+    const variant = req.query.variant || getInvoiceVariant(order);
+    if (!Object.values(INVOICE_VARIANTS).includes(variant)) {
+      return res.status(400).json({ error: `Invalid "variant" (use ${Object.values(INVOICE_VARIANTS).join(' or ')})` });
+    }
+    if (variant === INVOICE_VARIANTS.RECEIPT && getInvoiceVariant(order) !== INVOICE_VARIANTS.RECEIPT) {
+      return res.status(409).json({ error: 'Order is not fully paid, receipt is not available yet' });
+    }
+
+    const priceList = await getPriceList();
+    const pdf = await generateInvoicePdf(order, priceList, { variant });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getInvoiceFilename(order, variant)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ [API_INVOICE] Error generating invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate invoice', details: error.message });
+  }
+});
+
+/**
+ * Get order history (Order_Events audit log, oldest first)
+ */
+app.get('/api/orders/:id/events', requireApiPermission(PERMISSIONS.ORDERS_VIEW), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
     const order = await getOrderById(orderId);
-    
+
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
-    
-    // Validate status transition (merchant actions only - customers complete orders via bot)
-    const currentStatus = order.status || 'pending';
-    const validation = validateStatusTransition(currentStatus, status, true); // true = isMerchantAction
-    
-    if (!validation.valid) {
-      return res.status(400).json({ 
-        error: validation.error || 'Invalid status transition',
-        currentStatus,
-        requestedStatus: status,
-      });
+
+    const events = await getOrderEvents(order.id);
+    res.json({ events, count: events.length });
+  } catch (error) {
+    console.error('❌ [API_ORDER_EVENTS] Error getting order events:', error);
+    res.status(500).json({ error: 'Failed to get order events', details: error.message });
+  }
+});
+
+/**
+ * iCal feed of upcoming deliveries (read-only calendar subscription for drivers / kitchen staff)
+ * Query: ?token=<one of CALENDAR_FEED_TOKENS> (required), ?method=Pickup,GrabExpress,Custom (optional filter)
+ */
+app.get('/api/calendar/deliveries.ics', async (req, res) => {
+  try {
+    if (getCalendarFeedTokens().length === 0) {
+      return res.status(404).json({ error: 'Calendar feed is disabled (CALENDAR_FEED_TOKENS not set)' });
+    }
+    if (!isValidCalendarFeedToken(req.query.token)) {
+      console.warn('⚠️ [API_CALENDAR_FEED] Invalid or missing token');
+      return res.status(403).json({ error: 'Invalid calendar feed token' });
     }
-    
-    // Try to update in Orders sheet first
-    let orderUpdated = false;
-    
-    try {
-      await updateOrderStatus(orderId, status);
-      orderUpdated = true;
 
+    let deliveryMethods;
+    try {
+      deliveryMethods = parseDeliveryMethodFilter(req.query.method);
     } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
+    // Every order (served from the Orders cache) - a limit would keep the oldest rows and drop new deliveries
+    const orders = await getAllOrders(Infinity);
+    const ics = buildDeliveriesIcs(orders, { deliveryMethods });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="deliveries.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('❌ [API_CALENDAR_FEED] Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed', details: error.message });
+  }
+});
+
+/**
+ * Respond with the HTTP error for a failed order action (see ORDER_ACTION_ERRORS)
+ */
+function sendOrderActionError(res, result) {
+  const statusCodes = {
+    [ORDER_ACTION_ERRORS.NOT_FOUND]: 404,
+    [ORDER_ACTION_ERRORS.VALIDATION_FAILED]: 400,
+    [ORDER_ACTION_ERRORS.INVALID_TRANSITION]: 400,
+    [ORDER_ACTION_ERRORS.CAPACITY_EXCEEDED]: 409,
+    [ORDER_ACTION_ERRORS.AMBIGUOUS_ITEMS]: 422,
+    [ORDER_ACTION_ERRORS.ORDER_CLOSED]: 409,
+  };
+  const { success, errorCode, ...details } = result;
+  res.status(statusCodes[errorCode] || 400).json({ ...details, code: errorCode });
+}
+
+/**
+ * Audit info for order changes made through the dashboard API
+ */
+function getDashboardAudit(req) {
+  return { actorId: req.auth?.userId || '', source: ORDER_EVENT_SOURCES.DASHBOARD };
+}
+
+/**
+ * Price list (item names and unit prices) for the dashboard order form
+ */
+app.get('/api/price-list', requireApiPermission(PERMISSIONS.ORDERS_VIEW), async (req, res) => {
+  try {
+    const priceList = await getPriceList();
+    const items = Object.entries(priceList).map(([name, price]) => ({ name, price }));
+    res.json({ items, count: items.length });
+  } catch (error) {
+    console.error('❌ Error fetching price list:', error);
+    res.status(500).json({ error: 'Failed to fetch price list', details: error.message });
+  }
+});
+
+/**
+ * Create an order from the dashboard
+ * Body: { customer_name, phone_number, address, event_date, delivery_time, delivery_method,
+ *         items: [{ name, quantity }], notes?, receiver_name?, event_name?, promo_code?, delivery_fee? }
+ */
+app.post('/api/orders', requireApiPermission(PERMISSIONS.ORDERS_CREATE), async (req, res) => {
+  try {
+    const result = await createOrder(req.body || {}, getDashboardAudit(req));
+    if (!result.success) {
+      return sendOrderActionError(res, result);
     }
-    
-    // Get updated order from Orders sheet
-    const updatedOrders = await getAllOrders(1000);
-    order = updatedOrders.find(o => o.id === orderId);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found in Orders' });
+    res.status(201).json({ order: result.order, capacity: result.capacity, message: 'Order created successfully' });
+  } catch (error) {
+    console.error('❌ Error creating order:', error);
+    res.status(500).json({ error: 'Failed to create order', details: error.message });
+  }
+});
+
+/**
+ * Edit an order (items, date, address, ...) - only the fields in the body change
+ */
+app.put('/api/orders/:id', requireApiPermission(PERMISSIONS.ORDERS_EDIT), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
+    const result = await editOrder(orderId, req.body || {}, getDashboardAudit(req));
+    if (!result.success) {
+      return sendOrderActionError(res, result);
     }
+    res.json({ order: result.order, changedFields: result.changedFields, capacity: result.capacity, message: 'Order updated successfully' });
+  } catch (error) {
+    console.error('❌ Error editing order:', error);
+    res.status(500).json({ error: 'Failed to update order', details: error.message });
+  }
+});
+
+/**
+ * Update order status (merchant transitions, validated with validateStatusTransition)
+ * Body: { status, reason? } - the customer is notified like with the bot's /status and /cancel
+ */
+app.patch('/api/orders/:id/status', requireApiPermission(PERMISSIONS.ORDERS_VIEW), async (req, res) => {
+  try {
+    // Decode the order ID to handle URL-encoded slashes (e.g., DKM/20260103/000003)
+    const orderId = decodeURIComponent(req.params.id);
+    const { status, reason } = req.body;
     
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found after update' });
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
     }
     
-    // Send notification to customer via Telegram (if status change warrants notification)
-    const notificationStatuses = ['processing', 'ready', 'delivering', 'completed', 'cancelled'];
-    if (notificationStatuses.includes(status) && currentStatus !== status) {
-      try {
-        const telegramChatId = await getTelegramChatIdFromOrder(order);
-        
-        if (telegramChatId) {
-          const notificationMessage = getStatusNotificationMessage(status, order);
-          await sendTelegramMessage(telegramChatId, notificationMessage);
+    // Valid statuses (including 'waiting' for waiting list orders)
+    const validStatuses = ['pending', 'pending_confirmation', 'confirmed', 'processing', 'ready', 'delivering', 'completed', 'cancelled', 'waiting'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+    }
 
-        } else {
+    // Staff may only mark progress (processing/ready/delivering); other changes need their own permission
+    const role = getRequestRole(req);
+    const requiredPermission = getStatusChangePermission(status);
+    if (!roleHasPermission(role, requiredPermission)) {
+      return res.status(403).json({ error: 'Forbidden', role, requiredPermission });
+    }
 
-        }
-      } catch (error) {
-        console.error(`❌ Error sending status notification for order ${orderId}:`, error);
-        // Don't fail the status update if notification fails
-      }
+    const result = await changeOrderStatus(orderId, status, getDashboardAudit(req), { reason });
+    if (!result.success) {
+      return sendOrderActionError(res, { ...result, requestedStatus: status });
     }
     
     res.json({ 
-      order, 
+      order: result.order, 
       message: 'Order status updated successfully',
-      previousStatus: currentStatus,
+      previousStatus: result.previousStatus,
       newStatus: status,
+      customerNotified: result.customerNotified,
     });
   } catch (error) {
     console.error('❌ Error updating order status:', error);
@@ -2212,6 +2689,213 @@ app.patch('/api/orders/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * Cancel an order with a reason (sent to the customer)
+ * Body: { reason }
+ */
+app.post('/api/orders/:id/cancel', requireApiPermission(PERMISSIONS.ORDERS_CANCEL), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'Cancellation reason is required' });
+    }
+
+    const result = await cancelOrder(orderId, reason, getDashboardAudit(req));
+    if (!result.success) {
+      return sendOrderActionError(res, result);
+    }
+    res.json({ order: result.order, previousStatus: result.previousStatus, customerNotified: result.customerNotified, message: 'Order cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling order:', error);
+    res.status(500).json({ error: 'Failed to cancel order', details: error.message });
+  }
+});
+
+/**
+ * Payments of an order (Payment_History, oldest first)
+ */
+app.get('/api/orders/:id/payments', requireApiPermission(PERMISSIONS.PAYMENTS_VIEW), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
+    const payments = await getPaymentsByOrderId(orderId);
+    res.json({
+      payments: payments.map(payment => ({ ...payment, has_evidence: Boolean(payment.proof_file_id) })),
+      count: payments.length,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payments:', error);
+    res.status(500).json({ error: 'Failed to fetch payments', details: error.message });
+  }
+});
+
+/**
+ * Upload payment evidence (raw body: JPEG/PNG/WebP image or PDF, max 10 MB)
+ * Response: { fileId } - pass it as proofFileId when recording the payment
+ */
+app.post(
+  '/api/orders/:id/payments/evidence',
+  requireApiPermission(PERMISSIONS.PAYMENTS_RECORD),
+  express.raw({ type: () => true, limit: MAX_EVIDENCE_BYTES }),
+  restoreTenantContext, // the body stream's callbacks run outside the tenant context
+  async (req, res) => {
+    try {
+      const orderId = decodeURIComponent(req.params.id);
+      const mimeType = req.get('Content-Type') || '';
+      if (!isAllowedEvidenceType(mimeType)) {
+        return res.status(415).json({ error: 'Evidence must be a JPEG, PNG or WebP image or a PDF' });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Evidence file is empty' });
+      }
+
+      const order = await getOrderById(orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const evidence = await uploadPaymentEvidence(orderId, { buffer: req.body, mimeType }, { name: req.auth?.name });
+      res.status(201).json(evidence);
+    } catch (error) {
+      console.error('❌ Error uploading payment evidence:', error);
+      res.status(500).json({ error: 'Failed to upload payment evidence', details: error.message });
+    }
+  }
+);
+
+/**
+ * Record a payment for an order
+ * Body: { amount, method: 'transfer' | 'manual', note?, proofFileId? }
+ */
+app.post('/api/orders/:id/payments', requireApiPermission(PERMISSIONS.PAYMENTS_RECORD), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
+    const { amount, method, note, proofFileId } = req.body || {};
+    const result = await recordOrderPayment(
+      orderId,
+      { amount, method, note, proofFileId, proofCaption: proofFileId ? 'Diunggah dari dashboard' : '' },
+      getDashboardAudit(req)
+    );
+    if (!result.success) {
+      return sendOrderActionError(res, result);
+    }
+    res.status(201).json({ payment: result.payment, summary: result.summary, order: result.order, message: 'Payment recorded' });
+  } catch (error) {
+    console.error('❌ Error recording payment:', error);
+    res.status(500).json({ error: 'Failed to record payment', details: error.message });
+  }
+});
+
+/**
+ * Download the evidence of a payment (image/PDF stored in Telegram)
+ */
+app.get('/api/orders/:id/payments/:paymentId/evidence', requireApiPermission(PERMISSIONS.PAYMENTS_VIEW), async (req, res) => {
+  try {
+    const orderId = decodeURIComponent(req.params.id);
+    const paymentId = decodeURIComponent(req.params.paymentId);
+    const payments = await getPaymentsByOrderId(orderId);
+    const payment = payments.find(p => p.payment_id === paymentId);
+    if (!payment || !payment.proof_file_id) {
+      return res.status(404).json({ error: 'Payment evidence not found' });
+    }
+
+    const evidence = await downloadPaymentEvidence(payment.proof_file_id);
+    res.setHeader('Content-Type', evidence.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="bukti-${paymentId.replace(/\//g, '-')}.${evidence.extension || 'bin'}"`);
+    res.send(evidence.buffer);
+  } catch (error) {
+    console.error('❌ Error downloading payment evidence:', error);
+    res.status(500).json({ error: 'Failed to download payment evidence', details: error.message });
+  }
+});
+
+/**
+ * Send a failed reconciliation result as an HTTP error
+ */
+function sendReconciliationError(res, result) {
+  const statusCodes = {
+    [RECONCILIATION_ERRORS.INVALID_FILE]: 400,
+    [RECONCILIATION_ERRORS.VALIDATION_FAILED]: 400,
+    [RECONCILIATION_ERRORS.NOT_FOUND]: 404,
+    [RECONCILIATION_ERRORS.BUSY]: 409,
+  };
+  res.status(statusCodes[result.errorCode] || 400).json({ error: result.error, code: result.errorCode });
+}
+
+/**
+ * Import a bank statement (raw body: BCA/Mandiri CSV export, max 2 MB)
+ * Query: fileName (optional, helps to detect the bank)
+ * Response: { reconciliation } with a proposed order per credit - nothing is recorded until confirmed
+ */
+app.post(
+  '/api/payments/reconciliations',
+  requireApiPermission(PERMISSIONS.PAYMENTS_RECORD),
+  express.raw({ type: () => true, limit: MAX_STATEMENT_BYTES }),
+  restoreTenantContext, // the body stream's callbacks run outside the tenant context
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Statement file is empty' });
+      }
+
+      const result = await proposeReconciliation(req.body.toString('utf8'), {
+        fileName: String(req.query.fileName || ''),
+        uploadedBy: getDashboardAudit(req),
+      });
+      if (!result.success) {
+        return sendReconciliationError(res, result);
+      }
+      res.status(201).json({ reconciliation: result.batch });
+    } catch (error) {
+      console.error('❌ Error importing bank statement:', error);
+      res.status(500).json({ error: 'Failed to import bank statement', details: error.message });
+    }
+  }
+);
+
+/**
+ * Get an imported bank statement with its matches (kept for 24 hours)
+ */
+app.get('/api/payments/reconciliations/:id', requireApiPermission(PERMISSIONS.PAYMENTS_RECORD), async (req, res) => {
+  try {
+    const reconciliation = await getReconciliation(req.params.id);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found or expired' });
+    }
+    res.json({ reconciliation });
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation', details: error.message });
+  }
+});
+
+/**
+ * Record confirmed statement lines as payments
+ * Body: { lines: [{ lineNumber, orderId }] } (omit lines to record every proposed match)
+ */
+app.post('/api/payments/reconciliations/:id/confirm', requireApiPermission(PERMISSIONS.PAYMENTS_RECORD), async (req, res) => {
+  try {
+    const lines = req.body?.lines;
+    if (lines !== undefined && !Array.isArray(lines)) {
+      return res.status(400).json({ error: 'lines must be an array of { lineNumber, orderId }' });
+    }
+
+    const result = await confirmReconciliation(req.params.id, lines || null, getDashboardAudit(req));
+    if (!result.success) {
+      return sendReconciliationError(res, result);
+    }
+    res.json({
+      reconciliation: result.batch,
+      recorded: result.recorded.length,
+      failed: result.failed.length,
+      message: `${result.recorded.length} payment(s) recorded`,
+    });
+  } catch (error) {
+    console.error('❌ Error confirming reconciliation:', error);
+    res.status(500).json({ error: 'Failed to confirm reconciliation', details: error.message });
+  }
+});
+
 /**
  * Extract order ID from message text
  * Looks for patterns like "DKM/YYYYMMDD/000001" or "done DKM/..."
@@ -2220,7 +2904,7 @@ function extractOrderIdFromText(text) {
   if (!text) return null;
   
   // Match order ID pattern: DKM/YYYYMMDD/000001
-  const orderIdPattern = /DKM\/\d{8}\/\d{6}/i;
+  const orderIdPattern = getOrderIdPattern();
   const match = text.match(orderIdPattern);
   
   if (match) {
@@ -2384,7 +3068,7 @@ async function handleCustomerOrderCompletion(chatId, customerTelegramId, message
  * Customer completion endpoint (for future use with webhooks)
  * POST /api/orders/:orderId/complete
  */
-app.post('/api/orders/:id/complete', async (req, res) => {
+app.post('/api/orders/:id/complete', requireApiPermission(PERMISSIONS.ORDERS_COMPLETE), async (req, res) => {
   try {
     const orderId = decodeURIComponent(req.params.id);
     const { chatId, customerTelegramId } = req.body;
@@ -2425,7 +3109,7 @@ app.post('/api/orders/:id/complete', async (req, res) => {
 
     // Update order status to completed (customer action, not merchant)
     try {
-      await updateOrderStatus(orderId, 'completed');
+      await updateOrderStatus(orderId, 'completed', { actorId: chatId, source: ORDER_EVENT_SOURCES.CUSTOMER_CHAT });
     } catch (error) {
       throw error; // Re-throw error if order not found
     }
@@ -2447,7 +3131,7 @@ app.post('/api/orders/:id/complete', async (req, res) => {
 /**
  * Get messages by conversation
  */
-app.get('/api/conversations/:conversationId/messages', async (req, res) => {
+app.get('/api/conversations/:conversationId/messages', requireApiPermission(PERMISSIONS.MESSAGES_VIEW), async (req, res) => {
   try {
     const { conversationId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -2462,8 +3146,8 @@ app.get('/api/conversations/:conversationId/messages', async (req, res) => {
 /**
  * Get spreadsheet link
  */
-app.get('/api/spreadsheet', (req, res) => {
-  const spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
+app.get('/api/spreadsheet', requireApiPermission(PERMISSIONS.ORDERS_EDIT), (req, res) => {
+  const { spreadsheetId } = getCurrentTenant();
   if (spreadsheetId) {
     res.json({
       url: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`,
@@ -2479,6 +3163,52 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Sales analytics per day/week/month (revenue, orders, cups per size, average order value,
+ * DP vs full-paid amounts, cancellations and payments received)
+ * Query: from, to (YYYY-MM-DD, inclusive; default: today and the 7 days / 12 weeks / 12 months before),
+ * granularity (day|week|month, default: day), dateBasis (order|event, default: order = created_at)
+ */
+app.get('/api/analytics/sales', requireApiPermission(PERMISSIONS.PAYMENTS_VIEW), async (req, res) => {
+  try {
+    const result = await getSalesAnalytics({
+      from: req.query.from,
+      to: req.query.to,
+      granularity: req.query.granularity,
+      dateBasis: req.query.dateBasis,
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.errorCode });
+    }
+    res.json(result.analytics);
+  } catch (error) {
+    console.error('❌ Error getting sales analytics:', error);
+    res.status(500).json({ error: 'Failed to get sales analytics', details: error.message });
+  }
+});
+
+/**
+ * Orders cache hit/miss counters and Google Sheets request counts (quota usage)
+ * Google Sheets allows 300 read and 300 write requests per minute per project by default.
+ */
+app.get('/api/cache/stats', requireApiPermission(PERMISSIONS.SYSTEM_VIEW), (req, res) => {
+  res.json({ orders: getOrdersCacheStats() });
+});
+
+/**
+ * Current tenant, its plan and usage against the plan limits
+ * Response: { tenant, plan: { id, name, maxConversationsPerMonth, maxTeamMembers }, usage: { month,
+ * conversations: { used, limit }, teamMembers: { used, limit } } } - a null limit means unlimited
+ */
+app.get('/api/tenant', requireApiPermission(PERMISSIONS.SYSTEM_VIEW), async (req, res) => {
+  try {
+    res.json(await getTenantUsage());
+  } catch (error) {
+    console.error('❌ [PLAN_LIMITS] Error getting tenant usage:', error);
+    res.status(500).json({ error: 'Failed to get tenant usage', details: error.message });
+  }
+});
+
 // Catch-all handler: serve index.html for any non-API routes
 // This allows React Router to handle client-side routing
 // IMPORTANT: This must be the LAST route handler
@@ -2565,9 +3295,14 @@ async function killProcessOnPort(port) {
   console.log(`   2. Set DATABASE_URL in .env file (PostgreSQL)`);
 
 
+  // Load tenants first: an invalid TENANTS_FILE stops startup
+  const tenants = getTenants();
+
   try {
-    // Initialize Google Sheets
-    await initializeStorage();
+    // Initialize storage of every tenant (Google Sheets or local file)
+    for (const tenant of tenants) {
+      await runWithTenant(tenant, () => initializeStorage());
+    }
     console.log('✅ [INIT] Google Sheets storage initialized successfully');
   } catch (error) {
     console.error(`❌ [INIT] Google Sheets initialization failed:`, error.message);
@@ -2583,72 +3318,18 @@ async function killProcessOnPort(port) {
       throw error; // Stop startup
     }
   }
-  
+
+  // Select the conversation state backend now (a corrupt state file fails at startup, not on the first message)
+  getStateStore();
+
   // Start polling only in development mode
   // In production, use webhook instead
   if (process.env.NODE_ENV === 'production') {
     console.log(`\n🌐 Production mode: Using webhook (polling disabled)`);
-    
-    // Set webhook URL for production
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    if (botToken) {
-      try {
-        // Get webhook URL from environment or construct from Render URL
-        // WEBHOOK_URL may already include the full path, so check first
-        let baseUrl = process.env.WEBHOOK_URL || 
-                      process.env.RENDER_EXTERNAL_URL || 
-                      (process.env.RENDER_SERVICE_NAME ? `https://${process.env.RENDER_SERVICE_NAME}.onrender.com` : null);
-        
-        if (!baseUrl) {
-          console.warn(`⚠️  [WEBHOOK] WEBHOOK_URL or RENDER_EXTERNAL_URL not set, cannot auto-register webhook`);
-          console.warn(`⚠️  [WEBHOOK] Please manually set webhook URL in Telegram Bot settings`);
-        } else {
-          // Remove trailing slash if present
-          baseUrl = baseUrl.replace(/\/$/, '');
-          
-          // Check if baseUrl already includes the webhook path
-          const webhookPath = '/api/webhooks/telegram';
-          let fullWebhookUrl;
-          
-          if (baseUrl.endsWith(webhookPath)) {
-            // Already includes the path, use as-is
-            fullWebhookUrl = baseUrl;
-            console.log(`ℹ️  [WEBHOOK] WEBHOOK_URL already includes path, using as-is: ${fullWebhookUrl}`);
-          } else {
-            // Append the path
-            fullWebhookUrl = `${baseUrl}${webhookPath}`;
-          }
-          
-          console.log(`ℹ️  [WEBHOOK] Setting webhook URL: ${fullWebhookUrl}`);
-          
-          const setWebhookUrl = `${TELEGRAM_API_BASE}${botToken}/setWebhook`;
-          const response = await fetch(setWebhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              url: fullWebhookUrl,
-              drop_pending_updates: true,
-            }),
-          });
-          
-          const data = await response.json();
-          if (data.ok) {
-            console.log(`✅ [WEBHOOK] Webhook registered successfully: ${fullWebhookUrl}`);
-          } else {
-            console.error(`❌ [WEBHOOK] Failed to register webhook: ${data.description || 'Unknown error'}`);
-            console.error(`❌ [WEBHOOK] Response:`, JSON.stringify(data, null, 2));
-          }
-        }
-      } catch (error) {
-        console.error(`❌ [WEBHOOK] Error setting webhook:`, error.message);
-        console.error(`❌ [WEBHOOK] Stack:`, error.stack);
-      }
-    } else {
-      console.warn(`⚠️  [WEBHOOK] TELEGRAM_BOT_TOKEN not set, cannot register webhook`);
-    }
+    await forEachTenant(() => registerTelegramWebhook(), 'WEBHOOK');
   } else {
     console.log(`   (This will automatically remove any existing webhook)`);
-    startPolling();
+    await forEachTenant(() => startPolling(), 'POLLING');
   }
   
   // Start waiting list checker (check every hour)
@@ -2656,24 +3337,34 @@ async function killProcessOnPort(port) {
   // startWaitingListChecker(); // Disabled - use runDailyRemindersJob instead
   
   // Initialize Reminders sheet
-  try {
-    await ensureRemindersSheet();
+  await forEachTenant(async () => {
+    try {
+      await ensureRemindersSheet();
 
-  } catch (error) {
-    console.error('⚠️ Reminders sheet initialization failed:', error.message);
-  }
+    } catch (error) {
+      console.error('⚠️ Reminders sheet initialization failed:', error.message);
+    }
+  }, 'INIT');
   
   // Ensure Orders sheet has payment headers
-  try {
-    await ensureOrdersPaymentHeaders();
-    console.log('✅ Orders payment headers initialized successfully');
-  } catch (error) {
-    console.error('⚠️ Orders payment headers initialization failed:', error.message);
-    console.error('⚠️ Orders payment headers initialization stack:', error.stack);
-  }
+  await forEachTenant(async () => {
+    try {
+      await ensureOrdersPaymentHeaders();
+      console.log('✅ Orders payment headers initialized successfully');
+    } catch (error) {
+      console.error('⚠️ Orders payment headers initialization failed:', error.message);
+      console.error('⚠️ Orders payment headers initialization stack:', error.stack);
+    }
+  }, 'INIT');
   
   // Start reminder scheduler (check every 6 hours)
   startReminderScheduler();
+
+  // Keep the Orders cache warm while it is being read
+  await forEachTenant(() => startOrdersCacheRefresh(), 'ORDERS_CACHE');
+
+  // Start Google Calendar sync (orders ↔ calendar events)
+  startCalendarSyncScheduler();
   });
 })();
 
@@ -2726,7 +3417,7 @@ function getNext7AMJakarta() {
 
 /**
  * Start reminder scheduler (checks for H-4/H-3/H-1 reminders)
- * Schedules reminders to run at 7 AM Jakarta time every day
+ * Schedules reminders to run at 7 AM Jakarta time every day, for every tenant
  */
 function startReminderScheduler() {
 
@@ -2750,7 +3441,7 @@ function startReminderScheduler() {
     // Schedule run at 7 AM
     setTimeout(() => {
 
-      runDailyRemindersJob(sendTelegramMessage);
+      forEachTenant(() => runDailyRemindersJob(sendTelegramMessage), 'REMINDER_SCHEDULER');
       
       // Schedule next run (recursive)
       scheduleNextRun();
@@ -2763,6 +3454,40 @@ function startReminderScheduler() {
   console.log('✅ [REMINDER_SCHEDULER] Reminder scheduler started (runs daily at 7 AM Jakarta time)');
 }
 
+/**
+ * Start Google Calendar sync scheduler
+ * Runs syncCalendarWithOrders() every GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES (default: 15, 0 = disabled)
+ * for every tenant with a calendar
+ */
+function startCalendarSyncScheduler() {
+  const intervalMinutes = parseInt(getEnv('GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES', '15'), 10);
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    console.log('ℹ️ [CALENDAR_SYNC] Calendar sync scheduler disabled (GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES=0)');
+    return;
+  }
+  const calendarTenants = getTenants().filter(tenant => runWithTenant(tenant, () => getCalendarClient()));
+  if (calendarTenants.length === 0) {
+    console.log('ℹ️ [CALENDAR_SYNC] Google Calendar not configured - sync scheduler not started');
+    return;
+  }
+
+  const runSync = async () => {
+    for (const tenant of calendarTenants) {
+      try {
+        await runWithTenant(tenant, () => syncCalendarWithOrders());
+      } catch (error) {
+        console.error(`❌ [CALENDAR_SYNC] Scheduled sync failed for tenant ${tenant.id}:`, error.message);
+      }
+    }
+  };
+
+  // First run shortly after startup, then on the interval
+  setTimeout(runSync, 60 * 1000);
+  setInterval(runSync, intervalMinutes * 60 * 1000);
+
+  console.log(`✅ [CALENDAR_SYNC] Calendar sync scheduler started (every ${intervalMinutes} minute(s))`);
+}
+
 /**
  * DEPRECATED: Check waiting list for orders due today and send reminders
  * 
@@ -2791,14 +3516,27 @@ function startWaitingListChecker() {
   return;
 }
 
+/**
+ * Close the state store before exit (flushes pending file writes, disconnects Redis)
+ */
+async function closeStateStore() {
+  try {
+    await getStateStore().close();
+  } catch (error) {
+    console.error('❌ [STATE] Error closing state store:', error.message);
+  }
+}
+
 // Cleanup on exit
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
 
   stopPolling();
+  await closeStateStore();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   stopPolling();
+  await closeStateStore();
   process.exit(0);
 });
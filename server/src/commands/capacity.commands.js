@@ -0,0 +1,69 @@
+/**
+ * Capacity Commands
+ * Handles production capacity admin commands
+ */
+
+import { getDailyCapacity, getCapacityEnforcement } from '../services/capacity-checker.js';
+import { getJakartaTodayISO, addDaysJakarta } from '../utils/date-utils.js';
+import { formatPrice } from '../utils/formatting.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPACITY_SCOPES, CAPACITY_ENFORCEMENT, PERMISSIONS } from '../utils/constants.js';
+
+/**
+ * Handle /capacity command - Show production capacity usage for a date
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {string} dateStr - Date (YYYY-MM-DD, DD/MM/YYYY, today/hari ini, tomorrow/besok)
+ * @param {Function} sendMessage - Function to send Telegram message
+ */
+export async function handleCapacity(chatId, userId, dateStr, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.CAPACITY_VIEW, sendMessage, chatId))) {
+    return;
+  }
+
+  try {
+    let targetDate = dateStr;
+    if (dateStr === 'today' || dateStr === 'hari ini') {
+      targetDate = getJakartaTodayISO();
+    } else if (dateStr === 'tomorrow' || dateStr === 'besok') {
+      targetDate = addDaysJakarta(getJakartaTodayISO(), 1);
+    }
+
+    const daily = await getDailyCapacity(targetDate);
+    if (!daily) {
+      await sendMessage(chatId, '❌ Format tanggal tidak valid. Gunakan: YYYY-MM-DD atau DD/MM/YYYY\n\nContoh: /capacity 2026-01-18');
+      return;
+    }
+
+    if (daily.entries.length === 0) {
+      await sendMessage(
+        chatId,
+        `ℹ️ Belum ada batas kapasitas untuk tanggal ${daily.date}.\n\n` +
+        `Tambahkan batas di sheet **Capacity** (scope, name, date, max_qty).`
+      );
+      return;
+    }
+
+    let message = `📊 **KAPASITAS PRODUKSI**\n`;
+    message += `📅 Tanggal: ${daily.date}\n\n`;
+
+    daily.entries.forEach(entry => {
+      const scopeLabel = entry.scope === CAPACITY_SCOPES.CATEGORY ? 'kategori' : 'item';
+      const statusIcon = entry.remaining === 0 ? '🔴' : (entry.used / entry.maxQty >= 0.8 ? '🟡' : '🟢');
+      message += `${statusIcon} ${entry.name} (${scopeLabel})\n`;
+      message += `   Terpakai: ${formatPrice(entry.used)} / ${formatPrice(entry.maxQty)}\n`;
+      message += `   Sisa: ${formatPrice(entry.remaining)}\n`;
+      if (entry.notes) {
+        message += `   📝 ${entry.notes}\n`;
+      }
+    });
+
+    message += `\nMode: ${getCapacityEnforcement() === CAPACITY_ENFORCEMENT.REJECT ? 'tolak pesanan yang melebihi kapasitas' : 'peringatan saja'}`;
+
+    await sendMessage(chatId, message);
+  } catch (error) {
+    console.error('❌ [CAPACITY] Error:', error);
+    console.error('❌ [CAPACITY] Stack:', error.stack);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengambil kapasitas produksi. Silakan coba lagi.');
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Customer Commands
+ * Handles /pesanan_saya (list own orders) and /lacak (track one order)
+ *
+ * Customers only see orders linked to their own conversation (same chat + platform).
+ * In Telegram the conversation is per chat, so these commands only work in a private chat with the bot.
+ */
+
+import { getOrdersByConversationId, getOrderById } from '../repos/orders.repo.js';
+import { findConversation } from '../repos/conversations.repo.js';
+import { formatPaymentStatusMessage, calculateRemainingBalance, calculateMinDP } from '../services/payment-tracker.js';
+import { getPaymentPolicy, getPaymentDeadlineDays, requiresFullPayment } from '../services/payment-policy.js';
+import { getStatusDisplayName, formatStatusTimeline } from '../services/order-status-notifications.js';
+import { getMessenger } from '../services/messaging/index.js';
+import { formatRupiah } from '../utils/formatting.js';
+import { toISODateJakarta, getDaysDiffJakarta } from '../utils/date-utils.js';
+import { THANK_YOU_TRUST_EMOJI } from '../utils/messages.js';
+import { ORDER_STATUS, PAYMENT_STATUS, PLATFORMS } from '../utils/constants.js';
+import { getBankTransferAccount } from '../config/tenant-context.js';
+import { getExampleOrderId } from '../utils/order-id.js';
+
+// Most recent orders shown by /pesanan_saya
+const MAX_LISTED_ORDERS = 10;
+
+const PRIVATE_CHAT_ONLY = '❌ Perintah ini hanya bisa digunakan di chat pribadi dengan bot.';
+
+/**
+ * Check whether the command was sent in a private chat
+ * Private chats have chat ID == user ID (Telegram); WhatsApp and web chats are always private
+ * @param {number|string} chatId - Chat ID
+ * @param {number|string} userId - User ID
+ * @returns {boolean} True if private chat
+ */
+function isPrivateChat(chatId, userId) {
+  return String(chatId) === String(userId);
+}
+
+/**
+ * Get the customer's conversation for this chat
+ * @param {number|string} chatId - Chat ID
+ * @param {Function} sendMessage - Function to send message (identifies the platform)
+ * @returns {Promise<Object|null>} Conversation, or null if the chat has no conversation yet
+ */
+async function getCustomerConversation(chatId, sendMessage) {
+  const platform = getMessenger(sendMessage).platform || PLATFORMS.TELEGRAM;
+  return await findConversation(chatId, platform);
+}
+
+/**
+ * Build next steps for the customer based on order and payment status
+ * @param {Object} order - Order object
+ * @returns {string} Next steps (one per line)
+ */
+function formatNextSteps(order) {
+  const totalAmount = order.total_amount || order.final_total || 0;
+  const paidAmount = order.paid_amount || 0;
+  const remainingBalance = calculateRemainingBalance(totalAmount, paidAmount);
+  const paymentStatus = order.payment_status || PAYMENT_STATUS.UNPAID;
+  const bankAccount = getBankTransferAccount();
+  const steps = [];
+
+  switch (order.status) {
+    case 'pending':
+    case ORDER_STATUS.PENDING_CONFIRMATION:
+      return '• Balas **Y** untuk konfirmasi pesanan atau **T** untuk membatalkan.';
+    case ORDER_STATUS.WAITING:
+      return '• Kami akan menghubungi Anda jika slot produksi tersedia.';
+    case ORDER_STATUS.CANCELLED:
+      return '• Jika Anda memiliki pertanyaan, silakan hubungi kami.';
+    case ORDER_STATUS.COMPLETED:
+    case ORDER_STATUS.CLOSED:
+      return `• ${THANK_YOU_TRUST_EMOJI}`;
+  }
+
+  if (paymentStatus !== PAYMENT_STATUS.FULL_PAID && remainingBalance > 0) {
+    const daysUntil = getDaysDiffJakarta(toISODateJakarta(order.event_date));
+    const paymentDeadlineDays = getPaymentDeadlineDays(getPaymentPolicy());
+
+    if (paymentStatus === PAYMENT_STATUS.UNPAID && !requiresFullPayment(daysUntil, totalAmount)) {
+      steps.push(`• Lakukan pembayaran DP minimal Rp ${formatRupiah(Math.max(calculateMinDP(totalAmount) - paidAmount, 0))}.`);
+      steps.push(`• Pelunasan Rp ${formatRupiah(remainingBalance)} paling lambat H-${paymentDeadlineDays} sebelum pengiriman.`);
+    } else {
+      steps.push(`• Lakukan pelunasan Rp ${formatRupiah(remainingBalance)} paling lambat H-${paymentDeadlineDays} sebelum pengiriman.`);
+    }
+    steps.push(`• Transfer ke ${bankAccount.BANK_NAME} ${bankAccount.ACCOUNT_NUMBER} a.n. ${bankAccount.ACCOUNT_NAME}, lalu kirim bukti transfer ke admin dengan menyertakan Order ID.`);
+  }
+
+  if (order.status === 'delivering') {
+    steps.push('• Setelah menerima pesanan, balas "selesai" untuk menandai pesanan sebagai selesai.');
+  } else if (paymentStatus === PAYMENT_STATUS.FULL_PAID) {
+    steps.push('• Pembayaran sudah lunas. Kami akan menginformasikan Anda saat pesanan siap dikirim.');
+  }
+
+  steps.push(`• Ketik /invoice ${order.id} untuk mengunduh invoice.`);
+  return steps.join('\n');
+}
+
+/**
+ * Handle /pesanan_saya command - List the customer's own orders (most recent first)
+ * @param {number|string} chatId - Chat ID
+ * @param {number|string} userId - User ID
+ * @param {Function} sendMessage - Function to send message
+ */
+export async function handleMyOrders(chatId, userId, sendMessage) {
+  try {
+    if (!isPrivateChat(chatId, userId)) {
+      await sendMessage(chatId, PRIVATE_CHAT_ONLY);
+      return;
+    }
+
+    const conversation = await getCustomerConversation(chatId, sendMessage);
+    const orders = conversation ? await getOrdersByConversationId(conversation.id) : [];
+
+    if (orders.length === 0) {
+      await sendMessage(chatId, '📭 Anda belum memiliki pesanan.\n\nKetik /pesan untuk membuat pesanan baru.');
+      return;
+    }
+
+    let message = `📦 **PESANAN SAYA**\n\n`;
+    orders.slice(0, MAX_LISTED_ORDERS).forEach((order, index) => {
+      const totalAmount = order.total_amount || order.final_total || 0;
+      const remainingBalance = calculateRemainingBalance(totalAmount, order.paid_amount || 0);
+
+      message += `${index + 1}. \`${order.id}\`\n`;
+      message += `   📅 ${order.event_date || '-'}${order.delivery_time ? ` ${order.delivery_time}` : ''}\n`;
+      message += `   📋 Status: ${getStatusDisplayName(order.status)}\n`;
+      if (order.status !== ORDER_STATUS.CANCELLED) {
+        message += `   💳 ${order.payment_status || PAYMENT_STATUS.UNPAID} - Sisa: Rp ${formatRupiah(remainingBalance)}\n`;
+      }
+      message += `\n`;
+    });
+
+    if (orders.length > MAX_LISTED_ORDERS) {
+      message += `Menampilkan ${MAX_LISTED_ORDERS} dari ${orders.length} pesanan terbaru.\n\n`;
+    }
+    message += `Ketik /lacak <order_id> untuk melihat detail dan status pesanan.`;
+
+    await sendMessage(chatId, message);
+  } catch (error) {
+    console.error('❌ [MY_ORDERS] Error listing customer orders:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengambil daftar pesanan. Silakan coba lagi.');
+  }
+}
+
+/**
+ * Handle /lacak command - Show status timeline, payment status and next steps for one of the customer's orders
+ * @param {number|string} chatId - Chat ID
+ * @param {number|string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {Function} sendMessage - Function to send message
+ */
+export async function handleTrackOrder(chatId, userId, orderId, sendMessage) {
+  if (!orderId) {
+    await sendMessage(chatId, '❌ Format: /lacak <order_id>\n\nContoh: /lacak ' + getExampleOrderId() + '\n\nKetik /pesanan_saya untuk melihat daftar pesanan Anda.');
+    return;
+  }
+
+  try {
+    if (!isPrivateChat(chatId, userId)) {
+      await sendMessage(chatId, PRIVATE_CHAT_ONLY);
+      return;
+    }
+
+    const conversation = await getCustomerConversation(chatId, sendMessage);
+    const order = conversation ? await getOrderById(orderId) : null;
+
+    // Same reply for unknown and foreign orders (don't reveal other customers' orders)
+    if (!order || order.conversation_id !== conversation.id) {
+      await sendMessage(chatId, `❌ Order ${orderId} tidak ditemukan.`);
+      return;
+    }
+
+    let message = `🔎 **LACAK PESANAN**\n\n`;
+    message += `📋 Order ID: \`${order.id}\`\n`;
+    if (order.event_date) {
+      message += `📅 Tanggal Pengiriman: ${order.event_date}\n`;
+    }
+    if (order.delivery_time) {
+      message += `🕐 Jam Pengiriman: ${order.delivery_time}\n`;
+    }
+    if (order.delivery_method && order.delivery_method !== '-') {
+      message += `🚚 Metode Pengiriman: ${order.delivery_method}\n`;
+    }
+
+    message += `\n📍 **Status Pesanan**\n${formatStatusTimeline(order.status)}\n\n`;
+
+    if (order.status !== ORDER_STATUS.CANCELLED) {
+      message += `${formatPaymentStatusMessage(order)}\n\n`;
+    }
+
+    message += `👉 **Langkah Selanjutnya**\n${formatNextSteps(order)}`;
+
+    await sendMessage(chatId, message);
+  } catch (error) {
+    console.error('❌ [TRACK_ORDER] Error tracking order:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengambil status pesanan. Silakan coba lagi.');
+  }
+}
@@ -12,6 +12,8 @@ export {
   handleEditOrder,
   handleCancel,
   handleComplete,
+  handleOrderHistory,
+  handleDeliveryFee,
 } from './orders.commands.js';
 
 // Payment commands
@@ -21,9 +23,38 @@ export {
   handlePaymentStatus,
 } from './payments.commands.js';
 
+// Bank statement reconciliation
+export {
+  handleBankStatementImport,
+  handleReconciliationAction,
+} from './reconciliation.commands.js';
+
 // Reports commands
 export {
   handleRecapH1,
   handleOrdersDate,
   handleOrdersUnpaid,
 } from './reports.commands.js';
+
+// Capacity commands
+export {
+  handleCapacity,
+} from './capacity.commands.js';
+
+// Invoice commands
+export {
+  handleInvoice,
+} from './invoice.commands.js';
+
+// Customer commands
+export {
+  handleMyOrders,
+  handleTrackOrder,
+} from './customer.commands.js';
+
+// System commands
+export {
+  handleAdminAuth,
+  handleSetRole,
+  handleListRoles,
+} from './system.commands.js';
@@ -0,0 +1,92 @@
+/**
+ * Invoice Commands
+ * Handles /invoice (PDF invoice, or "LUNAS" receipt once the order is fully paid)
+ */
+
+import { getOrderById } from '../repos/orders.repo.js';
+import { getConversationById } from '../repos/conversations.repo.js';
+import { getPriceList } from '../repos/price-list.repo.js';
+import { hasPermission } from '../middleware/permissions.js';
+import { generateInvoicePdf, getInvoiceVariant, getInvoiceNumber, getInvoiceFilename } from '../services/invoice-pdf.js';
+import { getMessenger, createDocumentMessage } from '../services/messaging/index.js';
+import { ORDER_STATUS, INVOICE_VARIANTS, PLATFORMS, PERMISSIONS } from '../utils/constants.js';
+import { getExampleOrderId } from '../utils/order-id.js';
+
+/**
+ * Check whether the chat belongs to the customer who placed the order
+ * @param {Object} order - Order object
+ * @param {string} platform - Platform of the chat (PLATFORMS value)
+ * @param {number|string} chatId - Chat ID
+ * @returns {Promise<boolean>} True if the order's conversation is this chat
+ */
+async function isOrderOwner(order, platform, chatId) {
+  if (!order.conversation_id) {
+    return false;
+  }
+  const conversation = await getConversationById(order.conversation_id);
+  if (!conversation) {
+    return false;
+  }
+  return String(conversation.platform_reference || '').toLowerCase() === platform &&
+    String(conversation.external_user_id) === String(chatId);
+}
+
+/**
+ * Handle /invoice command - Send the order invoice as a PDF document
+ * Admins can request any order; customers only their own orders (any channel)
+ * @param {string} chatId - Chat ID
+ * @param {number|string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {Function} sendMessage - Function to send message
+ */
+export async function handleInvoice(chatId, userId, orderId, sendMessage) {
+  if (!orderId) {
+    await sendMessage(chatId, '❌ Format: /invoice <order_id>\n\nContoh: /invoice ' + getExampleOrderId());
+    return;
+  }
+
+  try {
+    const messenger = getMessenger(sendMessage);
+    const platform = messenger.platform || PLATFORMS.TELEGRAM;
+    const order = await getOrderById(orderId);
+
+    // Admin/staff roles are Telegram user IDs, so only Telegram users can see other customers' invoices
+    const canAccess = order && (
+      (platform === PLATFORMS.TELEGRAM && await hasPermission(userId, PERMISSIONS.PAYMENTS_VIEW)) ||
+      await isOrderOwner(order, platform, chatId)
+    );
+
+    // Same reply for unknown and foreign orders (don't reveal other customers' orders)
+    if (!canAccess) {
+      await sendMessage(chatId, `❌ Order ${orderId} tidak ditemukan.`);
+      return;
+    }
+
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      await sendMessage(chatId, `❌ Order ${order.id} sudah dibatalkan, invoice tidak dapat dibuat.`);
+      return;
+    }
+
+    if (order.status === ORDER_STATUS.PENDING_CONFIRMATION) {
+      await sendMessage(chatId, `⚠️ Order ${order.id} belum dikonfirmasi. Invoice tersedia setelah pesanan dikonfirmasi.`);
+      return;
+    }
+
+    const priceList = await getPriceList();
+    const variant = getInvoiceVariant(order);
+    const pdf = await generateInvoicePdf(order, priceList, { variant });
+
+    const caption = variant === INVOICE_VARIANTS.RECEIPT
+      ? `✅ **Kwitansi LUNAS**\nNo: \`${getInvoiceNumber(order.id, variant)}\``
+      : `🧾 **Invoice**\nNo: \`${getInvoiceNumber(order.id, variant)}\``;
+
+    await messenger.send(chatId, createDocumentMessage({
+      buffer: pdf,
+      filename: getInvoiceFilename(order, variant),
+      mimeType: 'application/pdf',
+    }, { caption }));
+  } catch (error) {
+    console.error('❌ [INVOICE] Error sending invoice PDF:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat membuat invoice. Silakan coba lagi.');
+  }
+}
@@ -5,23 +5,41 @@
 
 import { getAllOrders, getOrderById, saveOrder, generateOrderId, updateOrderStatus } from '../repos/orders.repo.js';
 import { getPriceList } from '../repos/price-list.repo.js';
+import { recordOrderEvent, getOrderEvents } from '../repos/order-events.repo.js';
 import { calculateOrderTotal } from '../services/price-calculator.js';
 import { formatPrice, formatCurrencyIDR } from '../utils/formatting.js';
 import { formatOrderHeader, formatOrderItems, formatPaymentSummary, formatNotes } from '../utils/order-message-formatter.js';
-import { ORDER_STATUS } from '../utils/constants.js';
+import { ORDER_STATUS, ORDER_EVENT_TYPES, ORDER_EVENT_SOURCES, DELIVERY_FEE_SOURCE, PERMISSIONS, PROGRESS_STATUSES } from '../utils/constants.js';
 import {
   parseOrderFromMessageAuto,
   validateOrder,
 } from '../services/order-parser.js';
-import { requireAdmin, isAdmin } from '../middleware/adminGuard.js';
+import { requirePermission, getStatusChangePermission } from '../middleware/permissions.js';
+import {
+  checkOrderCapacity,
+  isCapacityRejected,
+  formatCapacityRejection,
+  formatCapacityNotice,
+} from '../services/capacity-checker.js';
+import { formatPromoNotice } from '../services/promo-validator.js';
+import { resolveOrderItems, formatItemClarification, haveSameItems } from '../services/item-resolver.js';
+import { getOrderPackaging, getPackagingFee, formatPackagingLineName } from '../services/packaging-calculator.js';
+import { findDeliveryZone, formatDeliveryFeeNotice, isZoneFeeMethod } from '../services/delivery-fee-calculator.js';
+import {
+  getStatusDisplayName,
+  validateStatusTransition,
+} from '../services/order-status-notifications.js';
+import { changeOrderStatus, cancelOrder, saveOrderEdit } from '../services/order-lifecycle.js';
+import { getExampleOrderId, getOrderIdPatternSource } from '../utils/order-id.js';
 import logger from '../utils/logger.js';
+import { getTenantBranding } from '../config/tenant-context.js';
 
 /**
  * Handle /new_order command
  * Creates empty order with generated ID
  */
 export async function handleNewOrder(chatId, userId, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_CREATE, sendMessage, chatId))) {
     return;
   }
 
@@ -44,7 +62,7 @@ export async function handleNewOrder(chatId, userId, sendMessage) {
  * Parses order template and saves to database
  */
 export async function handleParseOrder(chatId, userId, messageText, sendMessage, replyToMessage = null) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_CREATE, sendMessage, chatId))) {
     return;
   }
 
@@ -94,18 +112,26 @@ export async function handleParseOrder(chatId, userId, messageText, sendMessage,
       return;
     }
 
+    // Resolve items to product variants (size, toppings)
+    const resolution = await resolveOrderItems(parsedOrder.items);
+    if (resolution.ambiguities.length > 0) {
+      await sendMessage(chatId, formatItemClarification(resolution.ambiguities));
+      return;
+    }
+    parsedOrder.items = resolution.items;
+
     // Check if this is an edit (order ID in form)
     // Look for "Invoice:" field or order ID pattern in the message (DKM/YYYYMMDD/000001)
     let orderId = null;
     let isEdit = false;
     
     // Try to extract Invoice from form (format: "Invoice: DKM/20260110/000005")
-    const invoiceMatch = orderText.match(/Invoice\s*:\s*(DKM\/\d{8}\/\d{6})/i);
+    const invoiceMatch = orderText.match(new RegExp(`Invoice\\s*:\\s*(${getOrderIdPatternSource()})`, 'i'));
     if (invoiceMatch) {
       orderId = invoiceMatch[1];
     } else {
       // Fallback: Look for order ID pattern anywhere in the message
-      const orderIdMatch = orderText.match(/(DKM\/\d{8}\/\d{6})/i);
+      const orderIdMatch = orderText.match(new RegExp(`(${getOrderIdPatternSource()})`, 'i'));
       if (orderIdMatch) {
         orderId = orderIdMatch[1];
       }
@@ -142,13 +168,22 @@ export async function handleParseOrder(chatId, userId, messageText, sendMessage,
       items: parsedOrder.items,
       notes: parsedOrder.notes,
       delivery_method: parsedOrder.delivery_method,
+      promo_code: parsedOrder.promo_code || null,
       delivery_fee: parsedOrder.delivery_fee,
+      delivery_fee_source: parsedOrder.delivery_fee_source || null,
       // If editing, preserve existing status and created_at (don't overwrite)
       // If new, set default values
       status: isEdit ? undefined : 'pending',
       created_at: isEdit ? undefined : new Date().toISOString(),
     };
 
+    // Check daily production capacity (edits don't count the order's previous quantities)
+    const capacity = await checkOrderCapacity(orderData, { excludeOrderId: orderId });
+    if (isCapacityRejected(capacity)) {
+      await sendMessage(chatId, formatCapacityRejection(capacity));
+      return;
+    }
+
     // Save order (will update if exists, create if new)
     await saveOrder(orderData);
 
@@ -176,6 +211,12 @@ export async function handleParseOrder(chatId, userId, messageText, sendMessage,
       summary += `   Subtotal: Rp ${formatPrice(item.itemTotal)}\n`;
     });
     summary += `\n💰 **Total: Rp ${formatPrice(calculation.subtotal)}**\n`;
+    if (orderData.discount_amount > 0) {
+      summary += `🏷️ Diskon (${orderData.promo_code}): -Rp ${formatPrice(orderData.discount_amount)}\n`;
+    }
+    summary += formatPromoNotice(orderData);
+    summary += formatDeliveryFeeNotice(orderData);
+    summary += formatCapacityNotice(capacity);
     summary += `\n${isEdit ? '✅ Order berhasil diperbarui!' : '✅ Order berhasil disimpan!'}`;
 
     await sendMessage(chatId, summary);
@@ -193,17 +234,13 @@ export async function handleOrderDetail(chatId, userId, orderId, sendMessage) {
   logger.debug(`[ORDER_DETAIL] Command received - chatId: ${chatId}, userId: ${userId}, orderId: ${orderId || 'MISSING'}`);
   
   try {
-    // Check admin access
-    const isUserAdmin = await isAdmin(userId);
-    logger.debug(`[ORDER_DETAIL] Admin check - userId: ${userId}, isAdmin: ${isUserAdmin}`);
-    
-    if (!isUserAdmin) {
-      await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini. Perintah ini hanya untuk admin.');
+    // Check access (admin and staff)
+    if (!(await requirePermission(userId, PERMISSIONS.ORDERS_VIEW, sendMessage, chatId))) {
       return;
     }
 
     if (!orderId || !orderId.trim()) {
-      await sendMessage(chatId, '❌ Format: /order_detail <ORDER_ID>\n\nContoh: /order_detail DKM/20260110/000005');
+      await sendMessage(chatId, '❌ Format: /order_detail <ORDER_ID>\n\nContoh: /order_detail ' + getExampleOrderId());
       return;
     }
 
@@ -283,25 +320,8 @@ export async function handleOrderDetail(chatId, userId, orderId, sendMessage) {
     // Use shared formatter for items
     detail += formatOrderItems(order.items || []);
     
-    // Calculate packaging for payment summary
-    const hasPackagingRequest = notes.some(note => {
-      const noteLower = String(note || '').toLowerCase().trim();
-      return noteLower.includes('packaging') && 
-             (noteLower.includes('ya') || noteLower.includes('yes'));
-    });
-    
-    const totalCups = (order.items || []).reduce((sum, item) => {
-      const name = (item.name || '').toLowerCase();
-      if (name.includes('dawet') && 
-          (name.includes('small') || name.includes('medium') || name.includes('large')) && 
-          !name.includes('botol')) {
-        return sum + (item.quantity || 0);
-      }
-      return sum;
-    }, 0);
-    
-    const packagingBoxes = hasPackagingRequest && totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-    const packagingFee = packagingBoxes * 40000;
+    // Packaging lines saved on the order (or calculated for older orders)
+    const packagingFee = getPackagingFee(await getOrderPackaging({ ...order, notes }));
     const deliveryFee = parseFloat(order.delivery_fee) || 0;
     
     // Use shared formatter for payment summary
@@ -325,16 +345,31 @@ export async function handleOrderDetail(chatId, userId, orderId, sendMessage) {
 
 /**
  * Handle /status command
- * Quick status check
+ * Quick status check, or mark the order's progress: /status <order_id> [processing|ready|delivering]
+ * (cancel and complete have their own commands: /cancel, /complete)
  */
-export async function handleStatus(chatId, userId, orderId, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
-    await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
+export async function handleStatus(chatId, userId, orderId, sendMessage, newStatus = null) {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_VIEW, sendMessage, chatId))) {
     return;
   }
 
   if (!orderId) {
-    await sendMessage(chatId, '❌ Format: /status <order_id>');
+    await sendMessage(chatId, `❌ Format: /status <order_id> [${PROGRESS_STATUSES.join('|')}]`);
+    return;
+  }
+
+  const targetStatus = newStatus ? String(newStatus).toLowerCase().trim() : null;
+  if (targetStatus && !PROGRESS_STATUSES.includes(targetStatus)) {
+    await sendMessage(
+      chatId,
+      `❌ Status "${newStatus}" tidak bisa diubah lewat /status.\n\n` +
+      `Status yang bisa dipakai: ${PROGRESS_STATUSES.join(', ')}\n` +
+      `Untuk membatalkan gunakan /cancel, untuk menyelesaikan gunakan /complete.`
+    );
+    return;
+  }
+
+  if (targetStatus && !(await requirePermission(userId, getStatusChangePermission(targetStatus), sendMessage, chatId))) {
     return;
   }
 
@@ -346,6 +381,29 @@ export async function handleStatus(chatId, userId, orderId, sendMessage) {
       return;
     }
 
+    if (targetStatus) {
+      const currentStatus = order.status || 'pending';
+      const validation = validateStatusTransition(currentStatus, targetStatus, true); // true = merchant action
+      if (!validation.valid) {
+        await sendMessage(
+          chatId,
+          `❌ Status order ${order.id} tidak bisa diubah dari "${getStatusDisplayName(currentStatus)}" ke "${getStatusDisplayName(targetStatus)}".`
+        );
+        return;
+      }
+
+      if (currentStatus !== targetStatus) {
+        // Updates the status and notifies the customer (same as the dashboard)
+        await changeOrderStatus(order.id, targetStatus, { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND });
+      }
+
+      await sendMessage(
+        chatId,
+        `✅ Status order ${order.id} sekarang: **${getStatusDisplayName(targetStatus)}**`
+      );
+      return;
+    }
+
     await sendMessage(
       chatId,
       `📋 **Order Status**\n\n` +
@@ -360,6 +418,109 @@ export async function handleStatus(chatId, userId, orderId, sendMessage) {
   }
 }
 
+// Most recent events shown by /history (keeps the reply under Telegram's message limit)
+const MAX_HISTORY_EVENTS = 30;
+
+// Order_Events source labels for /history
+const EVENT_SOURCE_LABELS = {
+  [ORDER_EVENT_SOURCES.BOT_COMMAND]: 'Bot',
+  [ORDER_EVENT_SOURCES.CUSTOMER_CHAT]: 'Customer',
+  [ORDER_EVENT_SOURCES.DASHBOARD]: 'Dashboard',
+  [ORDER_EVENT_SOURCES.SCHEDULER]: 'Scheduler',
+  [ORDER_EVENT_SOURCES.CALENDAR]: 'Google Calendar',
+  [ORDER_EVENT_SOURCES.SYSTEM]: 'System',
+};
+
+/**
+ * Format an Order_Events value for /history (code span, long values truncated)
+ */
+function formatEventValue(value) {
+  const text = String(value || '-').replace(/`/g, "'");
+  return `\`${text.length > 60 ? `${text.substring(0, 57)}...` : text}\``;
+}
+
+/**
+ * Format one Order_Events row for /history
+ * @param {Object} event - Event from getOrderEvents()
+ * @returns {string} Event description (multi-line)
+ */
+function formatOrderEvent(event) {
+  let line;
+  switch (event.event_type) {
+    case ORDER_EVENT_TYPES.STATUS_CHANGED:
+      line = `🔄 Status: ${getStatusDisplayName(event.old_value)} → ${getStatusDisplayName(event.new_value)}`;
+      break;
+    case ORDER_EVENT_TYPES.ORDER_CANCELLED:
+      line = `❌ Dibatalkan (${getStatusDisplayName(event.old_value)} → ${getStatusDisplayName(event.new_value)})`;
+      break;
+    case ORDER_EVENT_TYPES.PAYMENT_UPDATED:
+      line = `💰 Pembayaran: ${formatCurrencyIDR(parseFloat(event.old_value) || 0)} → ${formatCurrencyIDR(parseFloat(event.new_value) || 0)}`;
+      break;
+    case ORDER_EVENT_TYPES.ORDER_EDITED:
+      line = `✏️ Edit ${formatEventValue(event.field)}: ${formatEventValue(event.old_value)} → ${formatEventValue(event.new_value)}`;
+      break;
+    default:
+      line = `📋 ${formatEventValue(event.event_type)} ${formatEventValue(event.field)}: ${formatEventValue(event.old_value)} → ${formatEventValue(event.new_value)}`;
+  }
+
+  const source = EVENT_SOURCE_LABELS[event.source] || event.source || '-';
+  line += `\n   👤 ${source}${event.actor_id ? ` (${event.actor_id})` : ''}`;
+  if (event.note) {
+    line += `\n   📝 ${event.note.replace(/[_*`[]/g, ' ').replace(/\n/g, ' | ')}`;
+  }
+  return line;
+}
+
+/**
+ * Handle /history command
+ * Show the Order_Events audit log of an order (admin only)
+ */
+export async function handleOrderHistory(chatId, userId, orderId, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_VIEW, sendMessage, chatId))) {
+    return;
+  }
+
+  if (!orderId) {
+    await sendMessage(chatId, '❌ Format: /history <order_id>\n\nContoh: /history ' + getExampleOrderId());
+    return;
+  }
+
+  try {
+    const order = await getOrderById(orderId);
+    if (!order) {
+      await sendMessage(chatId, `❌ Order ${orderId} tidak ditemukan.`);
+      return;
+    }
+
+    const events = await getOrderEvents(order.id);
+
+    let message = `🕓 **RIWAYAT ORDER**\n\n`;
+    message += `📋 Order ID: \`${order.id}\`\n`;
+    message += `👤 Customer: ${order.customer_name || 'N/A'}\n`;
+    message += `📅 Dibuat: ${order.created_at ? new Date(order.created_at).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' }) : 'N/A'}\n\n`;
+
+    if (events.length === 0) {
+      message += 'Belum ada perubahan yang tercatat untuk order ini.';
+      await sendMessage(chatId, message);
+      return;
+    }
+
+    if (events.length > MAX_HISTORY_EVENTS) {
+      message += `Menampilkan ${MAX_HISTORY_EVENTS} dari ${events.length} perubahan terakhir.\n\n`;
+    }
+
+    events.slice(-MAX_HISTORY_EVENTS).forEach((event, index) => {
+      const time = event.created_at ? new Date(event.created_at).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' }) : '-';
+      message += `${index + 1}. ${time}\n   ${formatOrderEvent(event)}\n\n`;
+    });
+
+    await sendMessage(chatId, message.trim());
+  } catch (error) {
+    console.error('❌ [HISTORY] Error getting order history:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengambil riwayat order.');
+  }
+}
+
 /**
  * Format order data into editable form template (pre-filled with existing data)
  */
@@ -428,8 +589,9 @@ function formatOrderFormTemplate(order) {
   form += `(1 box Rp40.000 untuk 50 cup): ${hasPackaging ? 'YA' : 'TIDAK'}\n\n`;
   form += `Metode Pengiriman: ${order.delivery_method || 'Pickup'}\n\n`;
   form += `Biaya Pengiriman (Rp): ${deliveryFeeFormatted}\n\n`;
+  form += `Kode Promo: ${order.promo_code || '-'}\n\n`;
   form += `Notes:\n${notesText}\n\n`;
-  form += `Mendapatkan info Dawet Kemayu Menteng dari:\n`;
+  form += `Mendapatkan info ${getTenantBranding().businessName} dari:\n`;
   form += `${order.source || 'Teman / Instagram / Facebook / TikTok / Lainnya'}`;
 
   return form;
@@ -444,7 +606,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
   
   try {
     // Check admin access
-    if (!(await requireAdmin(userId, sendMessage, chatId))) {
+    if (!(await requirePermission(userId, PERMISSIONS.ORDERS_EDIT, sendMessage, chatId))) {
       return;
     }
 
@@ -456,7 +618,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     if (replyToMessage && replyToMessage.text) {
       formText = replyToMessage.text.trim();
       // Extract order ID from command message (first line)
-      const commandMatch = messageText.match(/^\/edit\s+(DKM\/\d{8}\/\d{6})/i);
+      const commandMatch = messageText.match(new RegExp(`^\\/edit\\s+(${getOrderIdPatternSource()})`, 'i'));
       if (commandMatch) {
         orderId = commandMatch[1];
       }
@@ -468,7 +630,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
       const firstLine = lines[0] || '';
       
       // Try to extract order ID from first line
-      const orderIdMatch = firstLine.match(/^\/edit\s+(DKM\/\d{8}\/\d{6})/i);
+      const orderIdMatch = firstLine.match(new RegExp(`^\\/edit\\s+(${getOrderIdPatternSource()})`, 'i'));
       if (orderIdMatch) {
         orderId = orderIdMatch[1];
         // Form is everything after first line (remove empty lines at start)
@@ -476,7 +638,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         logger.debug(`[EDIT_ORDER] Extracted from same message - orderId: ${orderId}, form length: ${formText.length}`);
       } else {
         // Fallback: Try to find order ID anywhere in message
-        const orderIdPattern = /(DKM\/\d{8}\/\d{6})/i;
+        const orderIdPattern = new RegExp(`(${getOrderIdPatternSource()})`, 'i');
         const globalMatch = messageText.match(orderIdPattern);
         if (globalMatch) {
           orderId = globalMatch[1];
@@ -497,13 +659,13 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         '❌ Format: /edit <ORDER_ID>\n\n' +
         'Kemudian kirim form pesanan yang sudah diupdate.\n\n' +
         '**Contoh penggunaan (1 pesan):**\n' +
-        '/edit DKM/20260110/000037\n\n' +
+        '/edit ' + getExampleOrderId(37) + '\n\n' +
         'Nama Pemesan: Novi\n' +
         'No HP Penerima: 081234567\n' +
         'Alamat Penerima: ...\n' +
         '(form lengkap)\n\n' +
         '**Atau (2 pesan):**\n' +
-        '1. Ketik: /edit DKM/20260110/000037\n' +
+        '1. Ketik: /edit ' + getExampleOrderId(37) + '\n' +
         '2. Reply pesan tersebut dengan form yang sudah diedit'
       );
       return;
@@ -518,7 +680,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
         '❌ Form pesanan tidak ditemukan atau terlalu pendek.\n\n' +
         'Pastikan Anda mengirim form pesanan lengkap setelah perintah /edit.\n\n' +
         '**Format:**\n' +
-        '/edit DKM/20260110/000037\n\n' +
+        '/edit ' + getExampleOrderId(37) + '\n\n' +
         'Nama Pemesan: ...\n' +
         'No HP Penerima: ...\n' +
         'Alamat Penerima: ...\n' +
@@ -562,6 +724,16 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
       return;
     }
 
+    // Resolve items to product variants (size, toppings)
+    if (parsedOrder.items.length > 0) {
+      const resolution = await resolveOrderItems(parsedOrder.items);
+      if (resolution.ambiguities.length > 0) {
+        await sendMessage(chatId, formatItemClarification(resolution.ambiguities));
+        return;
+      }
+      parsedOrder.items = resolution.items;
+    }
+
     // Prepare updated order data - merge parsed form with existing order
     // Support partial updates: only update fields that are provided in form
     // For fields not in form, keep existing values
@@ -649,7 +821,7 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
       logger.debug(`[EDIT_ORDER] Existing: ${existingItemsJson}`);
       logger.debug(`[EDIT_ORDER] Parsed: ${parsedItemsJson}`);
       
-      if (parsedItemsJson !== existingItemsJson) {
+      if (!haveSameItems(parsedOrder.items, existingOrder.items)) {
         updatedOrderData.items = parsedOrder.items; // Use parsed items (from form)
         changedFields.push('items');
         logger.debug(`[EDIT_ORDER] Items changed - using parsed items:`, JSON.stringify(parsedOrder.items));
@@ -689,19 +861,25 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     
     // If delivery_fee is explicitly provided in form (even if 0), use it
     // Otherwise keep existing
+    // A fee changed by the admin is no longer an estimate (ADMIN_OVERRIDE)
+    updatedOrderData.delivery_fee_source = existingOrder.delivery_fee_source || '';
     if (parsedOrder.delivery_fee !== null && parsedOrder.delivery_fee !== undefined) {
       updatedOrderData.delivery_fee = parsedDeliveryFee;
       if (parsedDeliveryFee !== existingDeliveryFee) {
         changedFields.push('delivery_fee');
+        updatedOrderData.delivery_fee_source = DELIVERY_FEE_SOURCE.ADMIN_OVERRIDE;
       }
     } else {
       updatedOrderData.delivery_fee = existingDeliveryFee;
     }
     
-    // Preserve existing metadata (don't change on edit)
-    updatedOrderData.status = existingOrder.status || 'pending';
-    updatedOrderData.created_at = existingOrder.created_at;
-    updatedOrderData.conversation_id = existingOrder.conversation_id || '';
+    // Promo code - update if the "Kode Promo" line is in the form ("-" or empty removes it), otherwise keep existing
+    updatedOrderData.promo_code = parsedOrder.promo_code !== null && parsedOrder.promo_code !== undefined
+      ? parsedOrder.promo_code
+      : (existingOrder.promo_code || '');
+    if (updatedOrderData.promo_code !== (existingOrder.promo_code || '')) {
+      changedFields.push('promo_code');
+    }
     
     // Log what changed
     if (changedFields.length > 0) {
@@ -719,7 +897,11 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     logger.debug(`[EDIT_ORDER] Items JSON string:`, JSON.stringify(updatedOrderData.items));
     
     // CRITICAL: Save order to Google Sheets - this MUST persist the update
-    const savedOrder = await saveOrder(updatedOrderData);
+    // saveOrderEdit keeps status/payments and writes the Order_Events audit log
+    const savedOrder = await saveOrderEdit(existingOrder, updatedOrderData, changedFields, {
+      actorId: userId,
+      source: ORDER_EVENT_SOURCES.BOT_COMMAND,
+    });
     
     logger.debug(`[EDIT_ORDER] Order saved successfully. Totals:`, {
       productTotal: savedOrder.productTotal,
@@ -763,35 +945,9 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     
     const calculation = calculateOrderTotal(displayItems, priceList);
 
-    // Calculate packaging info (for display) from verified order
-    let totalCups = 0;
-    let hasPackagingRequest = false;
-    
-    // Count total cups from items (Dawet Small/Medium/Large, excluding botol)
-    displayItems.forEach(item => {
-      const itemName = (item.name || '').toLowerCase();
-      if (itemName.includes('dawet') && 
-          (itemName.includes('small') || itemName.includes('medium') || itemName.includes('large'))) {
-        if (!itemName.includes('botol')) {
-          totalCups += parseInt(item.quantity || 0);
-        }
-      }
-    });
-    
-    // Check if packaging is requested in notes
-    const notes = displayOrder.notes || [];
-    hasPackagingRequest = notes.some(note => {
-      const noteLower = String(note || '').toLowerCase().trim();
-      return noteLower.includes('packaging styrofoam') && 
-             (noteLower.includes(': ya') || noteLower.includes(': yes') || 
-              noteLower === 'packaging styrofoam: ya' || noteLower === 'packaging styrofoam: yes');
-    });
-    
-    // Calculate required packaging boxes (1 box per 50 cups, rounded up)
-    const packagingBoxes = hasPackagingRequest && totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-    
-    // Use packaging fee from saved order (calculated by computeOrderTotals)
-    const packagingFee = savedOrder.packagingFee || (packagingBoxes * 40000);
+    // Packaging lines calculated by computeOrderTotals while saving
+    const packagingLines = savedOrder.packaging || [];
+    const packagingFee = savedOrder.packagingFee || 0;
 
     // Format update summary using verified order data
     let summary = `✅ **ORDER UPDATED**\n\n`;
@@ -813,12 +969,12 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     }
     summary += `\n📦 **Items:**\n`;
     
-    // Display regular items (filter out any packaging items that might be in the list)
+    // Display regular items (packaging items are shown as the calculated packaging lines below)
+    const packagingNames = packagingLines.map(line => line.name.toLowerCase());
     let itemIndex = 1;
     calculation.itemDetails.forEach((item) => {
       const itemName = (item.name || '').toLowerCase();
-      // Skip packaging items (we'll add calculated one below)
-      if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
+      if (packagingNames.some(name => itemName.includes(name))) {
         return;
       }
       summary += `${itemIndex}. ${item.name} (${item.quantity}x)\n`;
@@ -828,17 +984,19 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
       itemIndex++;
     });
     
-    // Add packaging item if requested (use saved packaging fee from computeOrderTotals)
-    if (hasPackagingRequest && packagingBoxes > 0 && packagingFee > 0) {
-      summary += `${itemIndex}. Packaging Styrofoam (50 cup) (${packagingBoxes}x)\n`;
-      summary += `   Subtotal: Rp ${formatPrice(packagingFee)}\n`;
-    }
+    // Add packaging lines (calculated by computeOrderTotals)
+    packagingLines.forEach((line) => {
+      summary += `${itemIndex}. ${formatPackagingLineName(line)} (${line.quantity}x)\n`;
+      summary += `   Subtotal: Rp ${formatPrice(line.total)}\n`;
+      itemIndex++;
+    });
     
     // Use totals from savedOrder (which includes packaging fee calculated by computeOrderTotals)
     const productTotal = savedOrder.productTotal || calculation.subtotal;
     const totalWithPackaging = productTotal + packagingFee;
     const deliveryFee = savedOrder.deliveryFee || displayOrder.delivery_fee || 0;
-    const grandTotal = savedOrder.totalAmount || (totalWithPackaging + deliveryFee);
+    const discountAmount = savedOrder.discountAmount || 0;
+    const grandTotal = savedOrder.totalAmount || (totalWithPackaging + deliveryFee - discountAmount);
     
     summary += `\n💰 **Product Total: Rp ${formatPrice(productTotal)}**\n`;
     if (packagingFee > 0) {
@@ -848,6 +1006,10 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
     if (deliveryFee > 0) {
       summary += `🚚 **Delivery Fee: Rp ${formatPrice(deliveryFee)}**\n`;
     }
+    if (discountAmount > 0) {
+      summary += `🏷️ **Diskon (${savedOrder.promo_code}): -Rp ${formatPrice(discountAmount)}**\n`;
+    }
+    summary += formatPromoNotice(savedOrder);
     summary += `💰 **Grand Total: Rp ${formatPrice(grandTotal)}**\n`;
     summary += `\n✅ Order berhasil diperbarui!`;
 
@@ -862,16 +1024,16 @@ export async function handleEditOrder(chatId, userId, messageText, sendMessage,
 
 /**
  * Handle /cancel command
- * Cancel an order (admin only)
+ * Cancel an order with an optional reason: /cancel <order_id> [alasan]
+ * The customer is notified (with the reason) on the chat the order came from
  */
-export async function handleCancel(chatId, userId, orderId, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
-    await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
+export async function handleCancel(chatId, userId, orderId, sendMessage, reason = '') {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_CANCEL, sendMessage, chatId))) {
     return;
   }
 
   if (!orderId) {
-    await sendMessage(chatId, '❌ Format: `/cancel <ORDER_ID>`\n\nContoh: `/cancel DKM/20260110/000005`');
+    await sendMessage(chatId, '❌ Format: `/cancel <ORDER_ID> [alasan]`\n\nContoh: `/cancel ' + getExampleOrderId() + ' Customer batal acara`');
     return;
   }
 
@@ -893,19 +1055,19 @@ export async function handleCancel(chatId, userId, orderId, sendMessage) {
       return;
     }
 
-    // Update status to CANCELLED
-    await updateOrderStatus(orderId, ORDER_STATUS.CANCELLED);
-    
-    // Try to notify customer (if conversation_id exists)
-    // Note: sendMessage function is not available here, so we'll skip customer notification
-    // Customer will see status update when they check order status
-    console.log(`ℹ️ [CANCEL] Customer notification skipped (use order-status-notifications for full notification)`);
+    const trimmedReason = String(reason || '').trim();
+    const result = await cancelOrder(orderId, trimmedReason, { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND });
+    if (!result.success) {
+      await sendMessage(chatId, `❌ Order \`${orderId}\` tidak dapat dibatalkan: ${result.error}`);
+      return;
+    }
 
     await sendMessage(
       chatId,
       `✅ Order \`${orderId}\` berhasil dibatalkan.\n\n` +
       `Status: **CANCELLED**\n` +
-      `Alasan: Dibatalkan oleh admin`
+      `Alasan: ${trimmedReason || 'Dibatalkan oleh admin'}` +
+      (result.customerNotified ? '\n\n📨 Customer sudah diberi tahu.' : '')
     );
   } catch (error) {
     console.error('❌ [CANCEL] Error cancelling order:', error);
@@ -919,13 +1081,12 @@ export async function handleCancel(chatId, userId, orderId, sendMessage) {
  * Mark an order as completed (admin only)
  */
 export async function handleComplete(chatId, userId, orderId, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
-    await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_COMPLETE, sendMessage, chatId))) {
     return;
   }
 
   if (!orderId) {
-    await sendMessage(chatId, '❌ Format: `/complete <ORDER_ID>`\n\nContoh: `/complete DKM/20260110/000005`');
+    await sendMessage(chatId, '❌ Format: `/complete <ORDER_ID>`\n\nContoh: `/complete ' + getExampleOrderId() + '`');
     return;
   }
 
@@ -962,7 +1123,7 @@ export async function handleComplete(chatId, userId, orderId, sendMessage) {
     }
 
     // Update status to COMPLETED
-    await updateOrderStatus(orderId, ORDER_STATUS.COMPLETED);
+    await updateOrderStatus(orderId, ORDER_STATUS.COMPLETED, { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND });
     
     // Try to notify customer (if conversation_id exists)
     // Note: sendMessage function is not available here, so we'll skip customer notification
@@ -980,3 +1141,107 @@ export async function handleComplete(chatId, userId, orderId, sendMessage) {
     await sendMessage(chatId, `❌ Terjadi kesalahan: ${error.message || 'Gagal menyelesaikan pesanan.'}`);
   }
 }
+
+// Delivery fee source labels for /ongkir
+const DELIVERY_FEE_SOURCE_LABELS = {
+  [DELIVERY_FEE_SOURCE.USER_INPUT]: 'diisi customer',
+  [DELIVERY_FEE_SOURCE.USER_EMPTY]: 'belum diisi',
+  [DELIVERY_FEE_SOURCE.NOT_PROVIDED]: 'belum diisi',
+  [DELIVERY_FEE_SOURCE.ZONE_ESTIMATE]: 'estimasi zona',
+  [DELIVERY_FEE_SOURCE.ADMIN_OVERRIDE]: 'diubah admin',
+};
+
+/**
+ * Handle /ongkir command
+ * Without amount: show the order's ongkir and the delivery zone suggestion
+ * With amount: override the ongkir (recalculates total, DP and remaining balance)
+ */
+export async function handleDeliveryFee(chatId, userId, orderId, amountText, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.ORDERS_EDIT, sendMessage, chatId))) {
+    return;
+  }
+
+  if (!orderId) {
+    await sendMessage(
+      chatId,
+      '❌ Format: /ongkir <order_id> [nominal]\n\n' +
+      'Contoh:\n' +
+      '/ongkir ' + getExampleOrderId() + ' → lihat ongkir dan estimasi zona\n' +
+      '/ongkir ' + getExampleOrderId() + ' 35000 → ubah ongkir'
+    );
+    return;
+  }
+
+  try {
+    const order = await getOrderById(orderId);
+    if (!order) {
+      await sendMessage(chatId, `❌ Order ${orderId} tidak ditemukan.`);
+      return;
+    }
+
+    const currentFee = parseFloat(order.delivery_fee) || 0;
+
+    if (!amountText) {
+      const zone = await findDeliveryZone(order.address);
+      let message = `🚚 **ONGKIR ORDER**\n\n`;
+      message += `📋 Order ID: \`${order.id}\`\n`;
+      message += `📍 Alamat: ${order.address || '-'}\n`;
+      message += `🚚 Metode: ${order.delivery_method || '-'}\n`;
+      message += `💰 Ongkir: ${formatCurrencyIDR(currentFee)}`;
+      message += `${DELIVERY_FEE_SOURCE_LABELS[order.delivery_fee_source] ? ` (${DELIVERY_FEE_SOURCE_LABELS[order.delivery_fee_source]})` : ''}\n\n`;
+      if (zone) {
+        message += `🗺️ Estimasi zona: ${formatCurrencyIDR(zone.fee)} (${zone.type} ${zone.area})\n`;
+      } else {
+        message += `🗺️ Tidak ada zona yang cocok dengan alamat ini.\n`;
+      }
+      if (!isZoneFeeMethod(order.delivery_method)) {
+        message += `ℹ️ Estimasi otomatis hanya untuk GrabExpress/Custom.\n`;
+      }
+      message += `\nKetik /ongkir ${order.id} <nominal> untuk mengubah ongkir.`;
+      await sendMessage(chatId, message);
+      return;
+    }
+
+    const newFee = parseInt(String(amountText).replace(/rp/gi, '').replace(/[\s.,]/g, ''), 10);
+    if (isNaN(newFee) || newFee < 0) {
+      await sendMessage(chatId, '❌ Nominal ongkir harus berupa angka. Contoh: /ongkir ' + getExampleOrderId() + ' 35000');
+      return;
+    }
+
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      await sendMessage(chatId, `❌ Order ${order.id} sudah dibatalkan. Ongkir tidak dapat diubah.`);
+      return;
+    }
+
+    // Re-save the whole order so totals, DP and remaining balance follow the new ongkir
+    // (payment_status is recalculated from paid_amount and the new total)
+    const savedOrder = await saveOrder({
+      ...order,
+      delivery_fee: newFee,
+      delivery_fee_source: DELIVERY_FEE_SOURCE.ADMIN_OVERRIDE,
+      payment_status: undefined,
+    });
+
+    await recordOrderEvent({
+      orderId: order.id,
+      eventType: ORDER_EVENT_TYPES.ORDER_EDITED,
+      field: 'delivery_fee',
+      oldValue: currentFee,
+      newValue: newFee,
+      actorId: userId,
+      source: ORDER_EVENT_SOURCES.BOT_COMMAND,
+      note: `Ongkir override (sebelumnya: ${order.delivery_fee_source || '-'})`,
+    });
+
+    await sendMessage(
+      chatId,
+      `✅ Ongkir order \`${order.id}\` diperbarui.\n\n` +
+      `🚚 Ongkir: ${formatCurrencyIDR(currentFee)} → ${formatCurrencyIDR(newFee)}\n` +
+      `💰 Total: ${formatCurrencyIDR(savedOrder.totalAmount)}\n` +
+      `💳 Sisa: ${formatCurrencyIDR(savedOrder.remainingBalance)}`
+    );
+  } catch (error) {
+    console.error('❌ [ONGKIR] Error updating delivery fee:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengubah ongkir.');
+  }
+}
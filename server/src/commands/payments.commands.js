@@ -6,9 +6,12 @@
 import { getOrderById, updateOrderPayment, updateOrderPaymentWithEvidence } from '../repos/orders.repo.js';
 import { formatPrice, formatCurrencyIDR } from '../utils/formatting.js';
 import { formatPaymentStatusMessage, detectSuspiciousPayment, parseIDRAmount } from '../services/payment-tracker.js';
-import { requireAdmin } from '../middleware/adminGuard.js';
-import { pendingPaymentConfirmations } from '../state/store.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { setPendingPaymentConfirmation } from '../state/store.js';
+import { PERMISSIONS } from '../utils/constants.js';
 import { extractAmount as extractAmountFromImageNew } from '../../services/ocr-service.js';
+import { getTelegramBotToken } from '../config/tenant-context.js';
+import { getExampleOrderId, getOrderIdPatternSource } from '../utils/order-id.js';
 
 /**
  * Extract amount/nominal from image using OCR with watermark-resistant preprocessing
@@ -16,7 +19,7 @@ import { extractAmount as extractAmountFromImageNew } from '../../services/ocr-s
  */
 async function extractAmountFromImage(message, options = {}) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       console.warn('⚠️ [OCR_AMOUNT] TELEGRAM_BOT_TOKEN not set, cannot download image for OCR');
       return null;
@@ -91,7 +94,7 @@ async function extractAmountFromImage(message, options = {}) {
  */
 async function extractAmountFromImageLegacy(message) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       return null;
     }
@@ -411,7 +414,7 @@ async function extractAmountFromImageLegacy(message) {
  */
 async function extractOrderIdFromImage(message, sendMessage) {
   try {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const botToken = getTelegramBotToken();
     if (!botToken) {
       console.warn('⚠️ [OCR] TELEGRAM_BOT_TOKEN not set, cannot download image for OCR');
       return null;
@@ -453,8 +456,8 @@ async function extractOrderIdFromImage(message, sendMessage) {
         const { data: { text } } = await worker.recognize(imageUrl);
         console.log(`🔍 [OCR] Extracted text from image (first 300 chars): "${text.substring(0, 300)}"`);
         
-        // Look for order ID pattern in OCR text (use literal DKM, not character class)
-        const orderIdPattern = /(DKM\/\d{8}\/\d{6})/i;
+        // Look for order ID pattern in OCR text (tenant's order ID prefix)
+        const orderIdPattern = new RegExp(`(${getOrderIdPatternSource()})`, 'i');
         const match = text.match(orderIdPattern);
         
         if (match) {
@@ -483,6 +486,10 @@ async function extractOrderIdFromImage(message, sendMessage) {
  * Extracts order_id from caption and auto-calculates amount from order
  */
 export async function handlePayWithEvidence(chatId, userId, message, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_RECORD, sendMessage, chatId))) {
+    return;
+  }
+
   try {
     // Check both caption and message text (in case user types /pay in text and uploads photo)
     const caption = message.caption || '';
@@ -490,21 +497,20 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
     const combinedText = `${messageText} ${caption}`.trim();
 
     // Extract order_id from text/caption (support with/without backticks)
-    // IMPORTANT: Use literal "DKM" not character class [DKM] to avoid matching partial strings
-    // Order ID format: DKM/YYYYMMDD/000005 (date-based)
+    // Order ID format: PREFIX/YYYYMMDD/000005 (tenant's order ID prefix, date-based)
     let orderIdMatch = null;
     
     // Pattern 1: Exact match with word boundaries or backticks
-    orderIdMatch = combinedText.match(/(?:^|\s|`)(DKM\/\d{8}\/\d{6})(?:\s|`|$)/i);
+    orderIdMatch = combinedText.match(new RegExp(`(?:^|\\s|\`)(${getOrderIdPatternSource()})(?:\\s|\`|$)`, 'i'));
     
     // Pattern 2: After /pay command
     if (!orderIdMatch) {
-      orderIdMatch = combinedText.match(/\/pay\s+(DKM\/\d{8}\/\d{6})/i);
+      orderIdMatch = combinedText.match(new RegExp(`\\/pay\\s+(${getOrderIdPatternSource()})`, 'i'));
     }
     
     // Pattern 3: Anywhere in text (more lenient)
     if (!orderIdMatch) {
-      orderIdMatch = combinedText.match(/(DKM\/\d{8}\/\d{6})/i);
+      orderIdMatch = combinedText.match(new RegExp(`(${getOrderIdPatternSource()})`, 'i'));
     }
     
     let orderId = null;
@@ -531,9 +537,9 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
         chatId,
         '❌ Order ID tidak ditemukan di caption atau gambar.\n\n' +
         '**Format caption:**\n' +
-        '`/pay DKM/20260110/000005`\n\n' +
+        '`/pay ' + getExampleOrderId() + '`\n\n' +
         'Atau:\n' +
-        '`DKM/20260110/000005`\n\n' +
+        '`' + getExampleOrderId() + '`\n\n' +
         'Pastikan order ID ada di caption foto/bukti transfer, atau terlihat jelas di gambar.'
       );
       return;
@@ -608,8 +614,7 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
       const suspiciousCheck = detectSuspiciousPayment(expectedAmount, extractedAmount);
       
       // ALWAYS ask for confirmation (auto-approval flow)
-      const confirmationKey = `${userId}:${orderId}`;
-      pendingPaymentConfirmations.set(confirmationKey, {
+      await setPendingPaymentConfirmation(userId, orderId, {
         orderId,
         amountInput: extractedAmount,
         remainingBalance,
@@ -644,8 +649,7 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
       const remainingBalance = Math.max(0, expectedAmount - currentPaidAmount);
       
       // ALWAYS ask for confirmation
-      const confirmationKey = `${userId}:${orderId}`;
-      pendingPaymentConfirmations.set(confirmationKey, {
+      await setPendingPaymentConfirmation(userId, orderId, {
         orderId,
         amountInput: expectedAmount,
         remainingBalance,
@@ -683,8 +687,7 @@ export async function handlePayWithEvidence(chatId, userId, message, sendMessage
  * Update payment for an order (accumulates with existing paid amount)
  */
 export async function handlePay(chatId, userId, orderId, amountInput, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
-    await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
+  if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_RECORD, sendMessage, chatId))) {
     return;
   }
 
@@ -693,10 +696,10 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
       chatId,
       '❌ Format: /pay <ORDER_ID> <AMOUNT>\n\n' +
       '**Contoh:**\n' +
-      '`/pay DKM/20260110/000005 235.000`\n' +
-      'Atau: `/pay DKM/20260110/000005 Rp 235.000`\n\n' +
+      '`/pay ' + getExampleOrderId() + ' 235.000`\n' +
+      'Atau: `/pay ' + getExampleOrderId() + ' Rp 235.000`\n\n' +
       '**Atau upload foto bukti transfer dengan caption:**\n' +
-      '`/pay DKM/20260110/000005`\n\n' +
+      '`/pay ' + getExampleOrderId() + '`\n\n' +
       '(Jumlah akan dihitung otomatis dari total pesanan)'
     );
     return;
@@ -724,7 +727,7 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
         '• 235,000\n' +
         '• Rp 235.000\n' +
         '• 235000\n\n' +
-        'Contoh: `/pay DKM/20260110/000005 235.000`'
+        'Contoh: `/pay ' + getExampleOrderId() + ' 235.000`'
       );
       return;
     }
@@ -750,8 +753,7 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
     }
     
     // ALWAYS ask for confirmation (auto-approval flow)
-    const confirmationKey = `${userId}:${orderId}`;
-    pendingPaymentConfirmations.set(confirmationKey, {
+    await setPendingPaymentConfirmation(userId, orderId, {
       orderId,
       amountInput: newPaymentAmount,
       remainingBalance,
@@ -801,8 +803,7 @@ export async function handlePay(chatId, userId, orderId, amountInput, sendMessag
  * Show payment status only
  */
 export async function handlePaymentStatus(chatId, userId, orderId, sendMessage) {
-  if (!(await requireAdmin(userId, sendMessage, chatId))) {
-    await sendMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
+  if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_VIEW, sendMessage, chatId))) {
     return;
   }
 
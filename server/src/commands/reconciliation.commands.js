@@ -0,0 +1,327 @@
+/**
+ * Reconciliation Commands
+ * Bank statement import from Telegram: an admin sends a BCA/Mandiri CSV export as a document,
+ * the bot replies with the proposed matches and records them after the "Catat" button is pressed.
+ * Lines to review (order ID found, but the order is paid or the amount differs) get their own button
+ * and are only recorded when that button is pressed.
+ * Same matching and recording as the dashboard import (services/payment-reconciliation.js).
+ */
+
+import { downloadTelegramFile } from '../services/telegramService.js';
+import { getMessenger } from '../services/messaging/index.js';
+import {
+  MAX_STATEMENT_BYTES,
+  RECONCILIATION_LINE_STATUS,
+  RECONCILIATION_MATCH_TYPES,
+  RECONCILIATION_REASONS,
+  RECONCILIATION_ERRORS,
+  proposeReconciliation,
+  getReconciliation,
+  confirmReconciliation,
+} from '../services/payment-reconciliation.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { formatCurrencyIDR } from '../utils/formatting.js';
+import { PERMISSIONS, RECONCILIATION_ACTIONS, ORDER_EVENT_SOURCES } from '../utils/constants.js';
+
+// Statement lines listed per section in a Telegram reply (the dashboard shows all of them)
+const MAX_LISTED_LINES = 15;
+
+// Indonesian labels for reasons shown next to a line
+const REASON_LABELS = {
+  [RECONCILIATION_REASONS.ORDER_NOT_FOUND]: 'order tidak ditemukan',
+  [RECONCILIATION_REASONS.ORDER_CANCELLED]: 'order sudah dibatalkan',
+  [RECONCILIATION_REASONS.NO_MATCHING_ORDER]: 'tidak ada order dengan nominal ini',
+  [RECONCILIATION_REASONS.AMOUNT_DIFFERS]: 'nominal beda dengan tagihan',
+  [RECONCILIATION_REASONS.ORDER_ALREADY_PAID]: 'order sudah lunas',
+};
+
+const MATCH_TYPE_LABELS = {
+  [RECONCILIATION_MATCH_TYPES.REFERENCE]: 'ID order',
+  [RECONCILIATION_MATCH_TYPES.AMOUNT]: 'nominal',
+  [RECONCILIATION_MATCH_TYPES.AMOUNT_NAME]: 'nominal + nama',
+  [RECONCILIATION_MATCH_TYPES.MANUAL]: 'manual',
+};
+
+/**
+ * Bank descriptions as plain text (Markdown characters removed, shortened)
+ */
+function toPlainDescription(description) {
+  const text = String(description || '').replace(/[_*`[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+/**
+ * Format YYYY-MM-DD as DD/MM
+ */
+function formatShortDate(dateISO) {
+  const [, month, day] = String(dateISO || '').split('-');
+  return day && month ? `${day}/${month}` : dateISO;
+}
+
+/**
+ * Format statement lines as a list (one line each, truncated after MAX_LISTED_LINES)
+ * @param {Array} lines - Batch lines
+ * @param {Function} formatLine - line → text
+ */
+function formatLineList(lines, formatLine) {
+  const listed = lines.slice(0, MAX_LISTED_LINES).map(line => `• ${formatLine(line)}`);
+  if (lines.length > MAX_LISTED_LINES) {
+    listed.push(`… dan ${lines.length - MAX_LISTED_LINES} lainnya (lihat dashboard)`);
+  }
+  return listed.join('\n');
+}
+
+/**
+ * Lines that still need manual checking (no order or several candidates)
+ */
+function formatUnmatchedSection(batch) {
+  const unmatched = batch.lines.filter(line =>
+    line.status === RECONCILIATION_LINE_STATUS.UNMATCHED || line.status === RECONCILIATION_LINE_STATUS.AMBIGUOUS
+  );
+  if (unmatched.length === 0) {
+    return '';
+  }
+  return `\n\n⚠️ **Perlu dicek manual (${unmatched.length}):**\n` + formatLineList(unmatched, line => {
+    const reason = line.status === RECONCILIATION_LINE_STATUS.AMBIGUOUS
+      ? `cocok dengan ${line.candidates.length} order`
+      : line.reasons.map(code => REASON_LABELS[code] || code).join(', ');
+    return `${formatShortDate(line.date)} ${formatCurrencyIDR(line.amount)} - ${toPlainDescription(line.description)} (${reason})`;
+  });
+}
+
+/**
+ * Reference matches that are only recorded when the admin presses their button
+ */
+function formatReviewSection(batch) {
+  const toReview = batch.lines.filter(line => line.status === RECONCILIATION_LINE_STATUS.NEEDS_REVIEW);
+  if (toReview.length === 0) {
+    return '';
+  }
+  return `\n\n🔎 **Cek dulu sebelum dicatat (${toReview.length}):**\n` + formatLineList(toReview, line => {
+    const reason = line.reasons.map(code => REASON_LABELS[code] || code).join(', ');
+    return `${formatShortDate(line.date)} ${formatCurrencyIDR(line.amount)} → \`${line.orderId}\` (${reason})`;
+  });
+}
+
+/**
+ * One button per line to review (same limit as the listed lines)
+ * @param {Object} batch - Reconciliation batch
+ * @returns {Array} inline_keyboard rows
+ */
+function buildReviewButtons(batch) {
+  return batch.lines
+    .filter(line => line.status === RECONCILIATION_LINE_STATUS.NEEDS_REVIEW)
+    .slice(0, MAX_LISTED_LINES)
+    .map(line => [{
+      text: `⚠️ Catat ${formatCurrencyIDR(line.amount)} → ${line.orderId}`,
+      callback_data: `${RECONCILIATION_ACTIONS.CONFIRM_LINE}${batch.id}:${line.lineNumber}`,
+    }]);
+}
+
+/**
+ * Format the proposal of an imported statement
+ * @param {Object} batch - Reconciliation batch
+ * @returns {string} Message text
+ */
+function formatProposalMessage(batch) {
+  const { summary } = batch;
+  const matched = batch.lines.filter(line => line.status === RECONCILIATION_LINE_STATUS.MATCHED);
+
+  let message = `🏦 **Mutasi ${batch.bank.toUpperCase()}**`;
+  if (batch.accountNumber) {
+    message += ` (rek. ${batch.accountNumber})`;
+  }
+  message += `\n💵 ${summary.credits} transfer masuk, total ${formatCurrencyIDR(summary.totalAmount)}\n`;
+  if (summary.alreadyRecorded > 0) {
+    message += `ℹ️ ${summary.alreadyRecorded} transfer sudah pernah dicatat (dilewati)\n`;
+  }
+
+  if (matched.length > 0) {
+    message += `\n✅ **Cocok dengan order (${matched.length}):**\n` + formatLineList(matched, line =>
+      `${formatShortDate(line.date)} ${formatCurrencyIDR(line.amount)} → \`${line.orderId}\` (${MATCH_TYPE_LABELS[line.matchType]})`
+    );
+  }
+
+  message += formatReviewSection(batch);
+  message += formatUnmatchedSection(batch);
+
+  if (matched.length > 0) {
+    message += `\n\nTekan **Catat** untuk mencatat ${matched.length} pembayaran. Untuk memilih order secara manual, buka Import Mutasi di dashboard.`;
+  } else if (summary.needsReview === 0) {
+    message += '\n\nTidak ada transfer yang bisa dicocokkan otomatis. Pilih order secara manual di dashboard (Import Mutasi).';
+  }
+  if (summary.needsReview > 0) {
+    message += '\n\nTransfer yang perlu dicek tidak ikut dicatat. Tekan tombol ⚠️ transfernya untuk tetap mencatat, atau pilih order lain di dashboard.';
+  }
+  return message;
+}
+
+/**
+ * Handle a bank statement CSV sent as a Telegram document
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {Object} message - Telegram message with a CSV document
+ * @param {Function} sendMessage - Function to send Telegram message
+ */
+export async function handleBankStatementImport(chatId, userId, message, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_RECORD, sendMessage, chatId))) {
+    return;
+  }
+
+  const document = message.document;
+  if (document.file_size && document.file_size > MAX_STATEMENT_BYTES) {
+    await sendMessage(chatId, '❌ File mutasi terlalu besar (maks 2 MB). Export mutasi per bulan saja.');
+    return;
+  }
+
+  try {
+    const file = await downloadTelegramFile(document.file_id);
+    const result = await proposeReconciliation(file.buffer.toString('utf8'), {
+      fileName: document.file_name,
+      uploadedBy: { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND },
+    });
+
+    if (!result.success) {
+      const reason = result.errorCode === RECONCILIATION_ERRORS.INVALID_FILE
+        ? 'Format file tidak dikenali. Kirim export mutasi BCA atau Mandiri dalam format CSV.'
+        : result.error;
+      await sendMessage(chatId, `❌ Gagal membaca mutasi: ${reason}`);
+      return;
+    }
+
+    const { batch } = result;
+    const hasMatches = batch.summary.matched > 0;
+    const replyMarkup = {
+      inline_keyboard: [
+        [
+          ...(hasMatches ? [{ text: `✅ Catat ${batch.summary.matched} pembayaran`, callback_data: `${RECONCILIATION_ACTIONS.CONFIRM}${batch.id}` }] : []),
+          { text: '❌ Batal', callback_data: `${RECONCILIATION_ACTIONS.CANCEL}${batch.id}` },
+        ],
+        ...buildReviewButtons(batch),
+      ],
+    };
+    await sendMessage(chatId, formatProposalMessage(batch), replyMarkup);
+  } catch (error) {
+    console.error('❌ [RECONCILIATION] Error importing bank statement:', error);
+    await sendMessage(chatId, `❌ Terjadi kesalahan: ${error.message || 'Gagal memproses file mutasi. Silakan coba lagi.'}`);
+  }
+}
+
+/**
+ * Explain a failed confirmation to the admin
+ */
+function formatConfirmError(result) {
+  const reason = {
+    [RECONCILIATION_ERRORS.NOT_FOUND]: 'Data import sudah kedaluwarsa (24 jam). Kirim ulang file mutasi.',
+    [RECONCILIATION_ERRORS.BUSY]: 'Mutasi ini sedang dicatat. Tunggu sebentar.',
+  }[result.errorCode] || result.error;
+  return `❌ ${reason}`;
+}
+
+/**
+ * Record one line to review (its ⚠️ button was pressed) with the referenced order
+ * The proposal's buttons stay: the other lines can still be recorded, and a second press is skipped
+ * because the line is then RECORDED
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {string} payload - "<batchId>:<lineNumber>"
+ * @param {Function} sendMessage - Function to send Telegram message
+ */
+async function handleReviewedLine(chatId, userId, payload, sendMessage) {
+  const [batchId, lineNumber] = payload.split(':');
+  const batch = await getReconciliation(batchId);
+  if (!batch) {
+    await sendMessage(chatId, formatConfirmError({ errorCode: RECONCILIATION_ERRORS.NOT_FOUND }));
+    return;
+  }
+  const line = batch.lines.find(l => l.lineNumber === Number(lineNumber));
+  if (!line || !line.orderId) {
+    await sendMessage(chatId, '❌ Transfer tidak ditemukan di mutasi ini.');
+    return;
+  }
+  if (line.status === RECONCILIATION_LINE_STATUS.RECORDED || line.status === RECONCILIATION_LINE_STATUS.ALREADY_RECORDED) {
+    await sendMessage(chatId, `ℹ️ Transfer ${formatCurrencyIDR(line.amount)} → \`${line.orderId}\` sudah dicatat.`);
+    return;
+  }
+
+  const result = await confirmReconciliation(
+    batchId,
+    [{ lineNumber: line.lineNumber, orderId: line.orderId }],
+    { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND }
+  );
+  if (!result.success) {
+    await sendMessage(chatId, formatConfirmError(result));
+    return;
+  }
+
+  if (result.recorded.length > 0) {
+    await sendMessage(chatId, `✅ **Pembayaran dicatat:** \`${line.orderId}\` ${formatCurrencyIDR(line.amount)}`);
+  } else if (result.failed.length > 0) {
+    await sendMessage(chatId, `❌ Gagal mencatat \`${line.orderId}\` ${formatCurrencyIDR(line.amount)}: ${result.failed[0].error}`);
+  } else {
+    await sendMessage(chatId, `ℹ️ Transfer ${formatCurrencyIDR(line.amount)} → \`${line.orderId}\` sudah dicatat.`);
+  }
+}
+
+/**
+ * Handle the Catat/Batal buttons of a statement proposal and the ⚠️ button of a line to review
+ * @param {Object} params - { chatId, userId, action, messageId }
+ * @param {Function} sendMessage - Function to send Telegram message
+ */
+export async function handleReconciliationAction({ chatId, userId, action, messageId }, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_RECORD, sendMessage, chatId))) {
+    return;
+  }
+
+  if (action.startsWith(RECONCILIATION_ACTIONS.CONFIRM_LINE)) {
+    try {
+      await handleReviewedLine(chatId, userId, action.slice(RECONCILIATION_ACTIONS.CONFIRM_LINE.length), sendMessage);
+    } catch (error) {
+      console.error('❌ [RECONCILIATION] Error recording reviewed line:', error);
+      await sendMessage(chatId, `❌ Terjadi kesalahan: ${error.message || 'Gagal mencatat pembayaran. Silakan coba lagi.'}`);
+    }
+    return;
+  }
+
+  const isConfirm = action.startsWith(RECONCILIATION_ACTIONS.CONFIRM);
+  const batchId = action.replace(isConfirm ? RECONCILIATION_ACTIONS.CONFIRM : RECONCILIATION_ACTIONS.CANCEL, '');
+
+  // Remove buttons to prevent double-click
+  if (messageId) {
+    try {
+      await getMessenger(sendMessage).clearButtons(chatId, messageId);
+    } catch (error) {
+      console.warn(`⚠️ [RECONCILIATION] Could not remove buttons (non-critical):`, error.message);
+    }
+  }
+
+  if (!isConfirm) {
+    // Nothing was recorded; the batch expires on its own
+    await sendMessage(chatId, '❌ Import mutasi dibatalkan. Tidak ada pembayaran yang dicatat.');
+    return;
+  }
+
+  try {
+    // Only the proposed matches - lines to review keep their own button
+    const result = await confirmReconciliation(batchId, null, { actorId: userId, source: ORDER_EVENT_SOURCES.BOT_COMMAND });
+    if (!result.success) {
+      await sendMessage(chatId, formatConfirmError(result));
+      return;
+    }
+
+    let message = `✅ **${result.recorded.length} pembayaran dicatat** dari mutasi ${result.batch.bank.toUpperCase()}.`;
+    if (result.recorded.length > 0) {
+      message += '\n' + formatLineList(result.recorded, line => `\`${line.orderId}\` ${formatCurrencyIDR(line.amount)}`);
+    }
+    if (result.failed.length > 0) {
+      message += `\n\n❌ **Gagal (${result.failed.length}):**\n` + formatLineList(result.failed, line => `\`${line.orderId}\` ${formatCurrencyIDR(line.amount)} - ${line.error}`);
+    }
+    message += formatReviewSection(result.batch);
+    message += formatUnmatchedSection(result.batch);
+    const reviewButtons = buildReviewButtons(result.batch);
+    await sendMessage(chatId, message, reviewButtons.length > 0 ? { inline_keyboard: reviewButtons } : null);
+  } catch (error) {
+    console.error('❌ [RECONCILIATION] Error confirming reconciliation:', error);
+    await sendMessage(chatId, `❌ Terjadi kesalahan: ${error.message || 'Gagal mencatat pembayaran. Silakan coba lagi.'}`);
+  }
+}
@@ -6,8 +6,9 @@
 import { getAllOrders } from '../repos/orders.repo.js';
 import { formatPrice, formatCurrencyIDR } from '../utils/formatting.js';
 import { getJakartaTodayISO, addDaysJakarta, toISODateJakarta } from '../utils/date-utils.js';
-import { isAdmin } from '../middleware/adminGuard.js';
-import { PAYMENT_STATUS } from '../utils/constants.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { PAYMENT_STATUS, PERMISSIONS } from '../utils/constants.js';
+import { getOrderPackaging, formatPackagingLineName } from '../services/packaging-calculator.js';
 
 /**
  * Get orders by ISO date (centralized filter function)
@@ -157,6 +158,42 @@ async function formatNotesForRecap(notesJson) {
   }
 }
 
+/**
+ * Format the items of a recap order, with the order's packaging lines (services/packaging-calculator.js)
+ * @param {Object} order - Order
+ * @param {string} logTag - Log tag of the caller
+ * @returns {Promise<string>} Items list ("- (tidak ada)" if empty)
+ */
+async function formatRecapItems(order, logTag) {
+  let itemsList = '';
+  try {
+    // Get items: prefer parsed items array, fallback to items_json string
+    const itemsData = order.items || order.items_json || '[]';
+    const items = typeof itemsData === 'string' ? JSON.parse(itemsData) : itemsData;
+    if (Array.isArray(items) && items.length > 0) {
+      const packagingLines = await getOrderPackaging({ ...order, items });
+      const packagingNames = packagingLines.map(line => line.name.toLowerCase());
+
+      items.forEach(item => {
+        const itemName = (item.name || item.item || '').toLowerCase();
+        // Packaging items are shown as the calculated packaging line
+        if (packagingNames.some(name => itemName.includes(name))) {
+          return;
+        }
+        itemsList += `• ${item.quantity || 0}x ${item.name || item.item || 'Unknown'}\n`;
+      });
+
+      packagingLines.forEach(line => {
+        itemsList += `• ${line.quantity}x ${formatPackagingLineName(line)}\n`;
+      });
+    }
+  } catch (e) {
+    console.warn(`⚠️ [${logTag}] Error formatting items:`, e.message);
+  }
+
+  return itemsList.trim() ? itemsList : '- (tidak ada)\n';
+}
+
 /**
  * Format order recap message (H-1 recap format)
  */
@@ -186,83 +223,11 @@ async function formatRecapMessage(orders, date) {
     const paymentStatus = order.payment_status || 'UNPAID';
     const remainingBalance = order.remaining_balance || 0;
     
-    // Get items: prefer parsed items array, fallback to items_json string
-    const itemsData = order.items || order.items_json || '[]';
-    
     // Get notes: prefer parsed notes array, fallback to notes_json string
     const notesData = order.notes || order.notes_json || '[]';
     
-    // Calculate total cups and required styrofoam boxes
-    let totalCups = 0;
-    let hasPackagingInItems = false;
-    
-    try {
-      const items = typeof itemsData === 'string' ? JSON.parse(itemsData) : itemsData;
-      if (Array.isArray(items)) {
-        items.forEach(item => {
-          const qty = parseInt(item.quantity || 0);
-          const itemName = (item.name || item.item || '').toLowerCase();
-          
-          // Check if packaging is in items
-          if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-            hasPackagingInItems = true;
-            return;
-          }
-          
-          // Check if item is a cup-based product (Dawet Small/Medium/Large)
-          if (itemName.includes('dawet') && 
-              (itemName.includes('small') || 
-               itemName.includes('medium') || 
-               itemName.includes('large'))) {
-            // Exclude botol items (they're not cups)
-            if (!itemName.includes('botol')) {
-              totalCups += qty;
-            }
-          }
-        });
-      }
-    } catch (e) {
-      console.warn('⚠️ [FORMAT_RECAP] Error calculating total cups:', e.message);
-    }
-    
-    // Calculate styrofoam boxes needed (1 box per 50 cups, rounded up)
-    const styrofoamBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-    
-    // Format items list (replace packaging with calculated quantity)
-    let itemsList = '';
-    try {
-      const items = typeof itemsData === 'string' ? JSON.parse(itemsData) : itemsData;
-      if (Array.isArray(items) && items.length > 0) {
-        let packagingShown = false;
-        items.forEach(item => {
-          const itemName = (item.name || item.item || '').toLowerCase();
-          
-          // If this is a packaging item, show calculated quantity
-          if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-            if (styrofoamBoxes > 0) {
-              itemsList += `• ${styrofoamBoxes}x Packaging Styrofoam (50 cup)\n`;
-              packagingShown = true;
-            }
-            return; // Skip original packaging item
-          }
-          
-          // Display other items normally
-          itemsList += `• ${item.quantity || 0}x ${item.name || item.item || 'Unknown'}\n`;
-        });
-        
-        // If packaging needed but not in items, add it
-        if (styrofoamBoxes > 0 && !packagingShown) {
-          itemsList += `• ${styrofoamBoxes}x Packaging Styrofoam (50 cup)\n`;
-        }
-      }
-    } catch (e) {
-      console.warn('⚠️ [FORMAT_RECAP] Error formatting items:', e.message);
-      itemsList = '- (tidak ada)\n';
-    }
-    
-    if (!itemsList.trim()) {
-      itemsList = '- (tidak ada)\n';
-    }
+    // Format items list (packaging lines from the order instead of packaging items)
+    const itemsList = await formatRecapItems(order, 'FORMAT_RECAP');
     
     // Format notes (single line format, not bullet list)
     let notesStr = '';
@@ -358,83 +323,11 @@ async function formatOrderListMessage(orders, date) {
     const deliveryFee = parseFloat(order.delivery_fee || 0);
     const finalTotal = parseFloat(order.total_amount || order.final_total || 0);
     
-    // Get items: prefer parsed items array, fallback to items_json string
-    const itemsData = order.items || order.items_json || '[]';
-    
     // Get notes: prefer parsed notes array, fallback to notes_json string
     const notesData = order.notes || order.notes_json || '[]';
     
-    // Calculate total cups and required styrofoam boxes
-    let totalCups = 0;
-    let hasPackagingInItems = false;
-    
-    try {
-      const items = typeof itemsData === 'string' ? JSON.parse(itemsData) : itemsData;
-      if (Array.isArray(items)) {
-        items.forEach(item => {
-          const qty = parseInt(item.quantity || 0);
-          const itemName = (item.name || item.item || '').toLowerCase();
-          
-          // Check if packaging is in items
-          if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-            hasPackagingInItems = true;
-            return;
-          }
-          
-          // Check if item is a cup-based product (Dawet Small/Medium/Large)
-          if (itemName.includes('dawet') && 
-              (itemName.includes('small') || 
-               itemName.includes('medium') || 
-               itemName.includes('large'))) {
-            // Exclude botol items (they're not cups)
-            if (!itemName.includes('botol')) {
-              totalCups += qty;
-            }
-          }
-        });
-      }
-    } catch (e) {
-      console.warn('⚠️ [FORMAT_ORDER_LIST] Error calculating total cups:', e.message);
-    }
-    
-    // Calculate styrofoam boxes needed (1 box per 50 cups, rounded up)
-    const styrofoamBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-    
-    // Format items list (replace packaging with calculated quantity)
-    let itemsList = '';
-    try {
-      const items = typeof itemsData === 'string' ? JSON.parse(itemsData) : itemsData;
-      if (Array.isArray(items) && items.length > 0) {
-        let packagingShown = false;
-        items.forEach(item => {
-          const itemName = (item.name || item.item || '').toLowerCase();
-          
-          // If this is a packaging item, show calculated quantity
-          if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-            if (styrofoamBoxes > 0) {
-              itemsList += `• ${styrofoamBoxes}x Packaging Styrofoam (50 cup)\n`;
-              packagingShown = true;
-            }
-            return; // Skip original packaging item
-          }
-          
-          // Display other items normally
-          itemsList += `• ${item.quantity || 0}x ${item.name || item.item || 'Unknown'}\n`;
-        });
-        
-        // If packaging needed but not in items, add it
-        if (styrofoamBoxes > 0 && !packagingShown) {
-          itemsList += `• ${styrofoamBoxes}x Packaging Styrofoam (50 cup)\n`;
-        }
-      }
-    } catch (e) {
-      console.warn('⚠️ [FORMAT_ORDER_LIST] Error formatting items:', e.message);
-      itemsList = '- (tidak ada)\n';
-    }
-    
-    if (!itemsList.trim()) {
-      itemsList = '- (tidak ada)\n';
-    }
+    // Format items list (packaging lines from the order instead of packaging items)
+    const itemsList = await formatRecapItems(order, 'FORMAT_ORDER_LIST');
     
     // Format notes (single line format, not bullet list)
     let notesStr = '';
@@ -501,9 +394,8 @@ function getTomorrowDate() {
  */
 export async function handleRecapH1(chatId, userId, sendMessage) {
   try {
-    // Check admin access
-    if (!(await isAdmin(userId))) {
-      await sendMessage(chatId, 'Maaf, command ini hanya untuk admin.');
+    // Check access
+    if (!(await requirePermission(userId, PERMISSIONS.ORDERS_VIEW, sendMessage, chatId))) {
       return;
     }
     
@@ -535,9 +427,8 @@ export async function handleRecapH1(chatId, userId, sendMessage) {
  */
 export async function handleOrdersDate(chatId, userId, dateStr, sendMessage) {
   try {
-    // Check admin access
-    if (!(await isAdmin(userId))) {
-      await sendMessage(chatId, 'Maaf, command ini hanya untuk admin.');
+    // Check access
+    if (!(await requirePermission(userId, PERMISSIONS.ORDERS_VIEW, sendMessage, chatId))) {
       return;
     }
     
@@ -691,9 +582,8 @@ async function formatUnpaidOrdersMessage(orders, date) {
  */
 export async function handleOrdersUnpaid(chatId, userId, sendMessage) {
   try {
-    // Check admin access
-    if (!(await isAdmin(userId))) {
-      await sendMessage(chatId, 'Maaf, command ini hanya untuk admin.');
+    // Check access
+    if (!(await requirePermission(userId, PERMISSIONS.PAYMENTS_VIEW, sendMessage, chatId))) {
       return;
     }
     
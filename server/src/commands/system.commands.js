@@ -3,8 +3,12 @@
  * Handles system-level admin commands (authentication, etc.)
  */
 
-import { upsertUserRole } from '../repos/users.repo.js';
+import { upsertUserRole, getUsers } from '../repos/users.repo.js';
 import { requireAdmin } from '../middleware/adminGuard.js';
+import { requirePermission, invalidateUserRoleCache, isEnvAdmin, roleHasPermission } from '../middleware/permissions.js';
+import { checkTeamMemberLimit, formatTeamMemberLimitMessage } from '../services/plan-limits.js';
+import { getCurrentTenant } from '../config/tenant-context.js';
+import { USER_ROLES, PERMISSIONS, PLATFORMS, COMMAND_PERMISSIONS } from '../utils/constants.js';
 
 /**
  * Handle /admin_auth command - Bootstrap admin using setup code
@@ -23,10 +27,10 @@ export async function handleAdminAuth(chatId, userId, messageText, sendMessage)
       return;
     }
     
-    const setupCode = process.env.ADMIN_SETUP_CODE;
+    const setupCode = getCurrentTenant().adminSetupCode;
     if (!setupCode) {
       await sendMessage(chatId, '❌ Admin setup tidak dikonfigurasi. Hubungi administrator sistem.');
-      console.error('⚠️ ADMIN_SETUP_CODE not set in environment variables');
+      console.error(`⚠️ No admin setup code for tenant ${getCurrentTenant().id} (ADMIN_SETUP_CODE / adminSetupCode)`);
       return;
     }
     
@@ -34,6 +38,12 @@ export async function handleAdminAuth(chatId, userId, messageText, sendMessage)
       await sendMessage(chatId, '❌ Kode tidak valid. Silakan coba lagi.');
       return;
     }
+
+    const teamLimit = await checkTeamMemberLimit(PLATFORMS.TELEGRAM, userId);
+    if (!teamLimit.allowed) {
+      await sendMessage(chatId, formatTeamMemberLimitMessage(teamLimit.limit));
+      return;
+    }
     
     // Get user info from Telegram message context
     // We need display name - try to get from message or use default
@@ -52,6 +62,9 @@ export async function handleAdminAuth(chatId, userId, messageText, sendMessage)
       '• /status <ORDER_ID>\n' +
       '• /pay <ORDER_ID> <AMOUNT>\n' +
       '• /payment_status <ORDER_ID>\n' +
+      '• /invoice <ORDER_ID>\n' +
+      '• /history <ORDER_ID>\n' +
+      '• /ongkir <ORDER_ID> [nominal]\n' +
       '• /today_reminder'
     );
 
@@ -60,3 +73,173 @@ export async function handleAdminAuth(chatId, userId, messageText, sendMessage)
     await sendMessage(chatId, '❌ Terjadi kesalahan saat memberikan akses admin. Silakan coba lagi.');
   }
 }
+
+const ROLE_USAGE = '❌ Format: /role @username <admin|staff|customer>\n\n' +
+  'Contoh:\n' +
+  '• /role @budi staff\n' +
+  '• /role 123456789 staff (Telegram user ID)\n' +
+  '• Reply pesan orangnya dengan: /role staff';
+
+/**
+ * Format a user for role messages (e.g. "@budi (Budi)" or "123456789 (Budi)")
+ */
+function formatRoleUser(user) {
+  const handle = user.username ? `@${user.username}` : user.userId;
+  return user.displayName ? `${handle} (${user.displayName})` : handle;
+}
+
+/**
+ * Get the Telegram commands a role may use (from COMMAND_PERMISSIONS)
+ * @param {string} role - USER_ROLES value
+ * @returns {Array<string>} Commands
+ */
+function getRoleCommands(role) {
+  return Object.entries(COMMAND_PERMISSIONS)
+    .filter(([, permission]) => roleHasPermission(role, permission))
+    .map(([command]) => command);
+}
+
+/**
+ * Resolve the target user of /role
+ * @param {string|undefined} target - "@username", Telegram user ID, or undefined (use replied message)
+ * @param {Object|null} replyToMessage - Replied Telegram message
+ * @returns {Promise<Object|null>} { userId, displayName, username } or null if not found
+ */
+async function resolveRoleTarget(target, replyToMessage) {
+  if (!target) {
+    const from = replyToMessage?.from;
+    if (!from?.id || from.is_bot) {
+      return null;
+    }
+    return {
+      userId: String(from.id),
+      displayName: [from.first_name, from.last_name].filter(Boolean).join(' '),
+      username: from.username || '',
+    };
+  }
+
+  const telegramUsers = (await getUsers()).filter(user => user.platform === PLATFORMS.TELEGRAM);
+
+  if (/^\d+$/.test(target)) {
+    const existing = telegramUsers.find(user => user.userId === target);
+    return existing || { userId: target, displayName: '', username: '' };
+  }
+
+  // @username: only known once the user is in the Users sheet (the Bot API can't look up usernames)
+  const username = target.replace(/^@/, '').toLowerCase();
+  const replyFrom = replyToMessage?.from;
+  if (replyFrom?.username && replyFrom.username.toLowerCase() === username) {
+    return {
+      userId: String(replyFrom.id),
+      displayName: [replyFrom.first_name, replyFrom.last_name].filter(Boolean).join(' '),
+      username: replyFrom.username,
+    };
+  }
+  return telegramUsers.find(user => user.username.toLowerCase() === username) || null;
+}
+
+/**
+ * Handle /role command - Set the role of a Telegram user
+ * Usage: /role @username staff, /role <user_id> staff, or reply to the user's message with /role staff
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID (the admin)
+ * @param {Array<string>} args - Command arguments
+ * @param {Function} sendMessage - Function to send Telegram message
+ * @param {Object|null} replyToMessage - Replied Telegram message (optional)
+ */
+export async function handleSetRole(chatId, userId, args, sendMessage, replyToMessage = null) {
+  if (!(await requirePermission(userId, PERMISSIONS.ROLES_MANAGE, sendMessage, chatId))) {
+    return;
+  }
+
+  const [first, second] = args;
+  const roleArg = second ?? first;
+  const target = second !== undefined ? first : undefined;
+  const role = String(roleArg || '').toLowerCase().trim();
+
+  if (!roleArg || !Object.values(USER_ROLES).includes(role)) {
+    await sendMessage(chatId, ROLE_USAGE);
+    return;
+  }
+
+  try {
+    const targetUser = await resolveRoleTarget(target, replyToMessage);
+    if (!targetUser) {
+      await sendMessage(
+        chatId,
+        target
+          ? `❌ User ${target} belum terdaftar.\n\nReply pesan orangnya dengan /role ${role}, atau gunakan Telegram user ID-nya.`
+          : ROLE_USAGE
+      );
+      return;
+    }
+
+    if (targetUser.userId === String(userId)) {
+      await sendMessage(chatId, '❌ Anda tidak bisa mengubah role Anda sendiri.');
+      return;
+    }
+
+    if (role !== USER_ROLES.CUSTOMER) {
+      const teamLimit = await checkTeamMemberLimit(PLATFORMS.TELEGRAM, targetUser.userId);
+      if (!teamLimit.allowed) {
+        await sendMessage(chatId, formatTeamMemberLimitMessage(teamLimit.limit));
+        return;
+      }
+    }
+
+    await upsertUserRole(PLATFORMS.TELEGRAM, targetUser.userId, targetUser.displayName, role, true, {
+      username: targetUser.username,
+    });
+    invalidateUserRoleCache(targetUser.userId);
+    console.log(`✅ [ROLE] User ${targetUser.userId} is now ${role} (set by ${userId})`);
+
+    const commands = getRoleCommands(role);
+    let message = `✅ Role ${formatRoleUser(targetUser)} sekarang: **${role}**`;
+    if (role === USER_ROLES.ADMIN) {
+      message += '\n\nSemua perintah admin tersedia.';
+    } else if (commands.length > 0) {
+      message += `\n\nPerintah yang bisa dipakai:\n${commands.map(command => `• ${command}`).join('\n')}`;
+    }
+    if (role !== USER_ROLES.ADMIN && isEnvAdmin(targetUser.userId)) {
+      message += '\n\n⚠️ User ini terdaftar sebagai admin di konfigurasi server (ADMIN_TELEGRAM_USER_IDS), jadi tetap admin sampai dihapus dari sana.';
+    }
+
+    await sendMessage(chatId, message);
+  } catch (error) {
+    console.error('❌ [ROLE] Error setting role:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengubah role. Silakan coba lagi.');
+  }
+}
+
+/**
+ * Handle /roles command - List Telegram admins and staff
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {Function} sendMessage - Function to send Telegram message
+ */
+export async function handleListRoles(chatId, userId, sendMessage) {
+  if (!(await requirePermission(userId, PERMISSIONS.ROLES_MANAGE, sendMessage, chatId))) {
+    return;
+  }
+
+  try {
+    const users = (await getUsers()).filter(user => user.platform === PLATFORMS.TELEGRAM && user.isActive);
+
+    const sections = [USER_ROLES.ADMIN, USER_ROLES.STAFF].map(role => {
+      const roleUsers = users.filter(user => user.role === role);
+      const lines = roleUsers.length > 0
+        ? roleUsers.map(user => `• ${formatRoleUser(user)}`).join('\n')
+        : '• -';
+      return `**${role.toUpperCase()}** (${roleUsers.length})\n${lines}`;
+    });
+
+    await sendMessage(
+      chatId,
+      `👥 **Role Pengguna**\n\n${sections.join('\n\n')}\n\n` +
+      `Ubah role: /role @username <admin|staff|customer>`
+    );
+  } catch (error) {
+    console.error('❌ [ROLE] Error listing roles:', error);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengambil daftar role. Silakan coba lagi.');
+  }
+}
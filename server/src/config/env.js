@@ -18,12 +18,51 @@ if (process.env.NODE_ENV !== 'production' || !process.env.RENDER) {
   dotenv.config({ path: envPath });
 }
 
+/**
+ * Supported storage backends
+ * - sheets: Google Sheets (production default)
+ * - local: JSON file on disk (offline development, tests, quota fallback)
+ */
+export const STORAGE_BACKENDS = {
+  SHEETS: 'sheets',
+  LOCAL: 'local',
+};
+
+/**
+ * Default location of the local storage file (relative to server root)
+ * Use ":memory:" to keep data in memory only (nothing is written to disk)
+ */
+const DEFAULT_LOCAL_STORAGE_FILE = path.resolve(__dirname, '../../data/local-storage.json');
+
+/**
+ * Supported conversation state backends (order sessions, pending confirmations, dedupe keys, locks)
+ * - memory: in-process only, lost on restart (default)
+ * - file: JSON file on disk, survives restarts of a single instance
+ * - redis: Redis-compatible server, shared by every instance (required for horizontal scaling)
+ */
+export const STATE_BACKENDS = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  REDIS: 'redis',
+};
+
+/**
+ * Default location of the state file used by the file backend (relative to server root)
+ */
+const DEFAULT_STATE_FILE = path.resolve(__dirname, '../../data/state.json');
+
 /**
  * Required environment variables
  * These must be set for the application to function
  */
 const REQUIRED_ENV_VARS = [
   'TELEGRAM_BOT_TOKEN',
+];
+
+/**
+ * Variables only required by the Google Sheets storage backend
+ */
+const SHEETS_REQUIRED_ENV_VARS = [
   'GOOGLE_SPREADSHEET_ID',
 ];
 
@@ -43,8 +82,29 @@ export function validateEnv() {
   const missing = [];
   const errors = [];
 
+  let storageBackend;
+  try {
+    storageBackend = getStorageBackend();
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  try {
+    if (getStateBackend() === STATE_BACKENDS.REDIS && !getEnv('REDIS_URL')) {
+      missing.push('REDIS_URL');
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Google credentials are only needed when Sheets is the storage backend
+  const usesSheets = storageBackend === STORAGE_BACKENDS.SHEETS;
+  const requiredVars = usesSheets
+    ? [...REQUIRED_ENV_VARS, ...SHEETS_REQUIRED_ENV_VARS]
+    : REQUIRED_ENV_VARS;
+
   // Check required variables
-  for (const varName of REQUIRED_ENV_VARS) {
+  for (const varName of requiredVars) {
     if (!process.env[varName] || process.env[varName].trim() === '' || process.env[varName] === '__FILL_ME__') {
       missing.push(varName);
     }
@@ -52,6 +112,10 @@ export function validateEnv() {
 
   // Check conditional variables (at least one must be set)
   for (const [groupName, varNames] of Object.entries(CONDITIONAL_ENV_VARS)) {
+    if (groupName === 'googleAuth' && !usesSheets) {
+      continue;
+    }
+
     const hasAny = varNames.some(varName => {
       const value = process.env[varName];
       return value && value.trim() !== '' && value !== '__FILL_ME__';
@@ -107,3 +171,69 @@ export function getEnv(varName, defaultValue = undefined) {
   }
   return undefined;
 }
+
+/**
+ * Get the configured storage backend
+ * Reads STORAGE_BACKEND (default: "sheets")
+ * @returns {string} One of STORAGE_BACKENDS values
+ * @throws {Error} If STORAGE_BACKEND has an unsupported value
+ */
+export function getStorageBackend() {
+  const backend = getEnv('STORAGE_BACKEND', STORAGE_BACKENDS.SHEETS).trim().toLowerCase();
+  if (!Object.values(STORAGE_BACKENDS).includes(backend)) {
+    throw new Error(
+      `Invalid STORAGE_BACKEND "${backend}". Use one of: ${Object.values(STORAGE_BACKENDS).join(', ')}`
+    );
+  }
+  return backend;
+}
+
+/**
+ * Get the file path used by the local storage backend
+ * Reads LOCAL_STORAGE_FILE (relative paths resolve from server root)
+ * @returns {string} Absolute file path, or ":memory:" for in-memory storage
+ */
+export function getLocalStoragePath() {
+  const file = getEnv('LOCAL_STORAGE_FILE');
+  if (!file) {
+    return DEFAULT_LOCAL_STORAGE_FILE;
+  }
+  if (file === ':memory:' || path.isAbsolute(file)) {
+    return file;
+  }
+  const serverRoot = path.resolve(__dirname, '../..');
+  return path.resolve(serverRoot, file);
+}
+
+/**
+ * Get the configured conversation state backend
+ * Reads STATE_BACKEND (default: "memory")
+ * @returns {string} One of STATE_BACKENDS values
+ * @throws {Error} If STATE_BACKEND has an unsupported value
+ */
+export function getStateBackend() {
+  const backend = getEnv('STATE_BACKEND', STATE_BACKENDS.MEMORY).trim().toLowerCase();
+  if (!Object.values(STATE_BACKENDS).includes(backend)) {
+    throw new Error(
+      `Invalid STATE_BACKEND "${backend}". Use one of: ${Object.values(STATE_BACKENDS).join(', ')}`
+    );
+  }
+  return backend;
+}
+
+/**
+ * Get the file path used by the file state backend
+ * Reads STATE_FILE (relative paths resolve from server root)
+ * @returns {string} Absolute file path
+ */
+export function getStateFilePath() {
+  const file = getEnv('STATE_FILE');
+  if (!file) {
+    return DEFAULT_STATE_FILE;
+  }
+  if (path.isAbsolute(file)) {
+    return file;
+  }
+  const serverRoot = path.resolve(__dirname, '../..');
+  return path.resolve(serverRoot, file);
+}
@@ -0,0 +1,115 @@
+/**
+ * Tenant Context
+ * Tracks which tenant the current request, update or job belongs to (AsyncLocalStorage), so repos,
+ * caches and the state store pick the tenant's storage without passing the tenant around.
+ *
+ * - Webhooks, polling and dashboard requests run inside runWithTenant()
+ * - Scheduled jobs run once per tenant with forEachTenant()
+ * - Code running outside any context (startup, scripts, WhatsApp) belongs to the default tenant
+ *
+ * Module-level caches must be per tenant: use createTenantState() instead of a module variable.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getTenants, getDefaultTenant, getTenantPlan } from './tenants.js';
+
+const tenantStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function in the context of a tenant
+ * Everything it awaits, schedules or calls sees this tenant in getCurrentTenant().
+ * @param {Object} tenant - Tenant (from getTenant())
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithTenant(tenant, fn) {
+  return tenantStorage.run(tenant, fn);
+}
+
+/**
+ * Get the tenant of the current context
+ * @returns {Object} Tenant (the default tenant outside any context)
+ */
+export function getCurrentTenant() {
+  return tenantStorage.getStore() || getDefaultTenant();
+}
+
+/**
+ * Get the ID of the current tenant
+ * @returns {string} Tenant ID
+ */
+export function getCurrentTenantId() {
+  return getCurrentTenant().id;
+}
+
+/**
+ * Get the plan of the current tenant
+ * @returns {Object} TENANT_PLANS entry
+ */
+export function getCurrentTenantPlan() {
+  return getTenantPlan(getCurrentTenant());
+}
+
+/**
+ * Get the Telegram bot token of the current tenant
+ * @returns {string} Bot token (empty if not configured)
+ */
+export function getTelegramBotToken() {
+  return getCurrentTenant().botToken;
+}
+
+/**
+ * Get the branding of the current tenant
+ * @returns {{businessName: string, address: string, logoPath: string}}
+ */
+export function getTenantBranding() {
+  return getCurrentTenant().branding;
+}
+
+/**
+ * Get the bank account customers transfer to (BANK_TRANSFER_ACCOUNT for the default tenant)
+ * @returns {{BANK_NAME: string, ACCOUNT_NUMBER: string, ACCOUNT_NAME: string}}
+ */
+export function getBankTransferAccount() {
+  return getCurrentTenant().bankAccount;
+}
+
+/**
+ * Get the admin Telegram user IDs of the current tenant (ADMIN_TELEGRAM_USER_IDS for the default tenant)
+ * @returns {Array<number>} User IDs
+ */
+export function getTenantAdminIds() {
+  return getCurrentTenant().adminIds;
+}
+
+/**
+ * Run a function once per tenant, one tenant at a time
+ * A failing tenant is logged and doesn't stop the others.
+ * @param {Function} fn - async (tenant) => void
+ * @param {string} label - Log tag of the job (e.g. "REMINDER_SCHEDULER")
+ */
+export async function forEachTenant(fn, label = 'TENANTS') {
+  for (const tenant of getTenants()) {
+    try {
+      await runWithTenant(tenant, () => fn(tenant));
+    } catch (error) {
+      console.error(`❌ [${label}] Failed for tenant ${tenant.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Create per-tenant module state (caches, in-flight promises, flags)
+ * @param {Function} createState - Returns the initial state of one tenant
+ * @returns {Function} Returns the current tenant's state (created on first use)
+ */
+export function createTenantState(createState) {
+  const states = new Map(); // tenant ID -> state
+  return () => {
+    const tenantId = getCurrentTenantId();
+    if (!states.has(tenantId)) {
+      states.set(tenantId, createState());
+    }
+    return states.get(tenantId);
+  };
+}
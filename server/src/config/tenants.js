@@ -0,0 +1,320 @@
+/**
+ * Tenants
+ * Merchants served by this server. Every tenant has its own Telegram bot, storage (spreadsheet or
+ * local file), order ID prefix, branding, admins and plan. Price list, orders, users and settings live
+ * in the tenant's own storage, so tenants never see each other's data.
+ *
+ * - The default tenant is built from the existing environment variables (TELEGRAM_BOT_TOKEN,
+ *   GOOGLE_SPREADSHEET_ID, ADMIN_TELEGRAM_USER_IDS, ...), so a single-merchant setup needs no changes.
+ * - More tenants are listed in TENANTS_FILE (JSON array, see tenants.example.json).
+ *
+ * Which tenant a request belongs to is tracked by src/config/tenant-context.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getEnv, getStorageBackend, getLocalStoragePath, STORAGE_BACKENDS } from './env.js';
+import { BANK_TRANSFER_ACCOUNT } from '../utils/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Subscription plans (same as the landing page pricing, src/components/landing/Pricing.tsx)
+ * null = unlimited
+ * - maxConversationsPerMonth: customer conversations (chats) with at least one message in a calendar month
+ * - maxTeamMembers: admins and staff (Users sheet roles and adminIds)
+ */
+export const TENANT_PLANS = {
+  starter: { id: 'starter', name: 'Starter', maxConversationsPerMonth: 500, maxTeamMembers: 1 },
+  growth: { id: 'growth', name: 'Growth', maxConversationsPerMonth: 2000, maxTeamMembers: 5 },
+  business: { id: 'business', name: 'Business', maxConversationsPerMonth: null, maxTeamMembers: null },
+};
+
+export const DEFAULT_TENANT_ID = 'default';
+
+// Tenant IDs appear in webhook URLs and state keys
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+// Order IDs look like PREFIX/YYYYMMDD/NNNNNN
+const ORDER_ID_PREFIX_PATTERN = /^[A-Z0-9]{2,6}$/;
+
+// Characters Telegram accepts in a webhook secret_token
+const WEBHOOK_SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+const DEFAULT_BRANDING = {
+  businessName: 'Dawet Kemayu Menteng',
+  address: 'Jl. Kemayu Menteng, Jakarta',
+  logoPath: '',
+};
+
+let tenantsCache = null; // { tenants: Map<string, Object>, defaultTenantId: string }
+
+/**
+ * Parse a comma-separated list of Telegram user IDs
+ * @param {string|Array} value - "123,456" or [123, 456]
+ * @returns {Array<number>} User IDs
+ */
+function parseAdminIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return ids
+    .map(id => parseInt(String(id).trim()))
+    .filter(id => !isNaN(id));
+}
+
+/**
+ * Get the local storage file of a tenant from TENANTS_FILE
+ * Defaults to local-storage.<id>.json next to LOCAL_STORAGE_FILE (in memory when that is ":memory:")
+ */
+function getTenantLocalStoragePath(id, configured) {
+  const defaultPath = getLocalStoragePath();
+  if (configured) {
+    return configured === ':memory:' || path.isAbsolute(configured)
+      ? configured
+      : path.resolve(__dirname, '../..', configured);
+  }
+  if (defaultPath === ':memory:') {
+    return defaultPath;
+  }
+  const { dir, name, ext } = path.parse(defaultPath);
+  return path.join(dir, `${name}.${id}${ext || '.json'}`);
+}
+
+/**
+ * Build the default tenant from environment variables
+ * - DEFAULT_TENANT_ID (default: "default"), TENANT_NAME, TENANT_PLAN (default: business = no limits)
+ * - ORDER_ID_PREFIX (default: DKM), BUSINESS_NAME, BUSINESS_ADDRESS, INVOICE_LOGO_PATH
+ * @returns {Object} Tenant
+ */
+function buildDefaultTenant() {
+  return {
+    id: getEnv('DEFAULT_TENANT_ID', DEFAULT_TENANT_ID).trim().toLowerCase(),
+    name: getEnv('TENANT_NAME', getEnv('BUSINESS_NAME', DEFAULT_BRANDING.businessName)),
+    plan: getEnv('TENANT_PLAN', TENANT_PLANS.business.id).trim().toLowerCase(),
+    botToken: getEnv('TELEGRAM_BOT_TOKEN', ''),
+    webhookSecret: getEnv('TELEGRAM_WEBHOOK_SECRET', ''),
+    spreadsheetId: getEnv('GOOGLE_SPREADSHEET_ID', ''),
+    localStorageFile: getLocalStoragePath(),
+    orderIdPrefix: getEnv('ORDER_ID_PREFIX', 'DKM').trim().toUpperCase(),
+    branding: {
+      businessName: getEnv('BUSINESS_NAME', DEFAULT_BRANDING.businessName),
+      address: getEnv('BUSINESS_ADDRESS', DEFAULT_BRANDING.address),
+      logoPath: getEnv('INVOICE_LOGO_PATH', DEFAULT_BRANDING.logoPath),
+    },
+    bankAccount: BANK_TRANSFER_ACCOUNT,
+    adminIds: parseAdminIds(getEnv('ADMIN_TELEGRAM_USER_IDS', '')),
+    adminSetupCode: getEnv('ADMIN_SETUP_CODE', ''),
+    apiKeys: getEnv('DASHBOARD_API_KEYS', ''),
+    calendarId: getEnv('GOOGLE_CALENDAR_ID', 'primary'),
+    calendarFeedTokens: getEnv('CALENDAR_FEED_TOKENS', ''),
+    isDefault: true,
+  };
+}
+
+/**
+ * Build a tenant from a TENANTS_FILE entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object} Tenant
+ */
+function buildFileTenant(entry) {
+  const id = String(entry.id || '').trim().toLowerCase();
+  const branding = entry.branding || {};
+  const bankAccount = entry.bankAccount || {};
+  return {
+    id,
+    name: entry.name || id,
+    plan: String(entry.plan || TENANT_PLANS.starter.id).trim().toLowerCase(),
+    botToken: entry.botToken || '',
+    webhookSecret: entry.webhookSecret || '',
+    spreadsheetId: entry.spreadsheetId || '',
+    localStorageFile: getTenantLocalStoragePath(id, entry.localStorageFile),
+    orderIdPrefix: String(entry.orderIdPrefix || '').trim().toUpperCase(),
+    branding: {
+      businessName: branding.businessName || entry.name || id,
+      address: branding.address || '',
+      logoPath: branding.logoPath || '',
+    },
+    // Shown in payment instructions, invoices and reminders
+    bankAccount: {
+      BANK_NAME: bankAccount.bankName || '',
+      ACCOUNT_NUMBER: String(bankAccount.accountNumber || ''),
+      ACCOUNT_NAME: bankAccount.accountName || '',
+    },
+    adminIds: parseAdminIds(entry.adminIds),
+    adminSetupCode: entry.adminSetupCode || '',
+    // Same format as DASHBOARD_API_KEYS ("name:role:key"), as an array or comma-separated string
+    apiKeys: Array.isArray(entry.apiKeys) ? entry.apiKeys.join(',') : (entry.apiKeys || ''),
+    calendarId: entry.calendarId || '',
+    // Same format as CALENDAR_FEED_TOKENS, as an array or comma-separated string
+    calendarFeedTokens: Array.isArray(entry.calendarFeedTokens) ? entry.calendarFeedTokens.join(',') : (entry.calendarFeedTokens || ''),
+    isDefault: false,
+  };
+}
+
+/**
+ * Validate a tenant
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function validateTenant(tenant) {
+  const problems = [];
+  if (!TENANT_ID_PATTERN.test(tenant.id)) {
+    problems.push('id must be 2-32 characters: lowercase letters, digits or -');
+  }
+  if (!TENANT_PLANS[tenant.plan]) {
+    problems.push(`plan must be one of: ${Object.keys(TENANT_PLANS).join(', ')}`);
+  }
+  if (!ORDER_ID_PREFIX_PATTERN.test(tenant.orderIdPrefix)) {
+    problems.push('orderIdPrefix must be 2-6 characters: uppercase letters or digits');
+  }
+  if (!tenant.isDefault && !tenant.botToken) {
+    problems.push('botToken is required');
+  }
+  if (tenant.webhookSecret && !WEBHOOK_SECRET_PATTERN.test(tenant.webhookSecret)) {
+    problems.push('webhookSecret must be 1-256 characters: letters, digits, _ or -');
+  }
+  if (!tenant.bankAccount.BANK_NAME || !tenant.bankAccount.ACCOUNT_NUMBER || !tenant.bankAccount.ACCOUNT_NAME) {
+    problems.push('bankAccount needs bankName, accountNumber and accountName');
+  }
+  if (!tenant.isDefault && getStorageBackend() === STORAGE_BACKENDS.SHEETS && !tenant.spreadsheetId) {
+    problems.push('spreadsheetId is required with the Google Sheets storage backend');
+  }
+  return problems;
+}
+
+/**
+ * Read the extra tenants from TENANTS_FILE
+ * @returns {Array<Object>} Raw entries (empty when TENANTS_FILE is not set)
+ * @throws {Error} If the file can't be read or is not a JSON array
+ */
+function readTenantsFile() {
+  const file = getEnv('TENANTS_FILE');
+  if (!file) {
+    return [];
+  }
+
+  const filePath = path.isAbsolute(file) ? file : path.resolve(__dirname, '../..', file);
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read TENANTS_FILE at ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`TENANTS_FILE at ${filePath} must contain a JSON array of tenants`);
+  }
+  return entries;
+}
+
+/**
+ * Load and validate all tenants (cached; see resetTenants)
+ * @returns {{tenants: Map<string, Object>, defaultTenantId: string}}
+ * @throws {Error} If a tenant is invalid or two tenants share an ID, order ID prefix, bot token or storage
+ */
+function loadTenants() {
+  if (tenantsCache) {
+    return tenantsCache;
+  }
+
+  const defaultTenant = buildDefaultTenant();
+  const all = [defaultTenant, ...readTenantsFile().map(buildFileTenant)];
+  const tenants = new Map();
+  const errors = [];
+
+  for (const tenant of all) {
+    const label = tenant.isDefault ? 'default tenant' : `tenant "${tenant.id || '?'}"`;
+    validateTenant(tenant).forEach(problem => errors.push(`${label}: ${problem}`));
+
+    if (tenants.has(tenant.id)) {
+      errors.push(`${label}: duplicate id`);
+      continue;
+    }
+    for (const other of tenants.values()) {
+      if (other.orderIdPrefix === tenant.orderIdPrefix) {
+        errors.push(`${label}: orderIdPrefix ${tenant.orderIdPrefix} is already used by "${other.id}"`);
+      }
+      if (tenant.botToken && other.botToken === tenant.botToken) {
+        errors.push(`${label}: botToken is already used by "${other.id}"`);
+      }
+      if (tenant.spreadsheetId && other.spreadsheetId === tenant.spreadsheetId) {
+        errors.push(`${label}: spreadsheetId is already used by "${other.id}"`);
+      }
+      if (tenant.localStorageFile !== ':memory:' && other.localStorageFile === tenant.localStorageFile) {
+        errors.push(`${label}: localStorageFile is already used by "${other.id}"`);
+      }
+    }
+    tenants.set(tenant.id, Object.freeze({
+      ...tenant,
+      branding: Object.freeze(tenant.branding),
+      bankAccount: Object.freeze({ ...tenant.bankAccount }),
+    }));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid tenant configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  tenantsCache = { tenants, defaultTenantId: defaultTenant.id };
+  if (tenants.size > 1) {
+    console.log(`🏪 [TENANTS] Loaded ${tenants.size} tenants: ${[...tenants.keys()].join(', ')}`);
+  }
+  return tenantsCache;
+}
+
+/**
+ * Get all tenants (the default tenant first)
+ * @returns {Array<Object>} Tenants
+ */
+export function getTenants() {
+  return [...loadTenants().tenants.values()];
+}
+
+/**
+ * Get a tenant by ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} Tenant, or null if unknown
+ */
+export function getTenant(tenantId) {
+  return loadTenants().tenants.get(String(tenantId || '').trim().toLowerCase()) || null;
+}
+
+/**
+ * Get the default tenant (built from the environment variables)
+ * @returns {Object} Tenant
+ */
+export function getDefaultTenant() {
+  const { tenants, defaultTenantId } = loadTenants();
+  return tenants.get(defaultTenantId);
+}
+
+/**
+ * Get the plan of a tenant
+ * @param {Object} tenant - Tenant
+ * @returns {Object} TENANT_PLANS entry
+ */
+export function getTenantPlan(tenant) {
+  return TENANT_PLANS[tenant.plan];
+}
+
+/**
+ * Get the public summary of a tenant (for the dashboard; no tokens, codes or storage details)
+ * @param {Object} tenant - Tenant
+ * @returns {{id: string, name: string, plan: string, orderIdPrefix: string, branding: {businessName: string, address: string}}}
+ */
+export function getTenantSummary(tenant) {
+  return {
+    id: tenant.id,
+    name: tenant.name,
+    plan: tenant.plan,
+    orderIdPrefix: tenant.orderIdPrefix,
+    branding: { businessName: tenant.branding.businessName, address: tenant.branding.address },
+  };
+}
+
+/**
+ * Forget the loaded tenants (re-read environment and TENANTS_FILE on next use)
+ * Intended for tests and scripts.
+ */
+export function resetTenants() {
+  tenantsCache = null;
+}
@@ -1,10 +1,18 @@
 /**
  * Callback Handler
- * Handles Telegram callback queries (button clicks)
+ * Handles button clicks: Telegram callback queries and channel-neutral button actions
  */
 
-import { processedCallbacks } from '../state/store.js';
+import { PROCESSED_NAMESPACES, markProcessed } from '../state/store.js';
 import { handleOrderConfirmation, handleOrderCancellation } from './orderConfirmationHandler.js';
+import { sendTelegramMessage } from '../services/telegramService.js';
+import { getMessenger } from '../services/messaging/index.js';
+import { getOrderById } from '../repos/orders.repo.js';
+import { ORDER_NOT_FOUND } from '../utils/messages.js';
+import { handleReconciliationAction } from '../commands/reconciliation.commands.js';
+import { handleOrderWizardAction } from './orderWizardHandler.js';
+import { BUTTON_ACTIONS, RECONCILIATION_ACTIONS, ORDER_WIZARD_ACTION_PREFIX } from '../utils/constants.js';
+import { getTelegramBotToken } from '../config/tenant-context.js';
 
 const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
 
@@ -14,7 +22,7 @@ const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
  * @param {string|null} text - Optional text to show to user
  */
 async function answerCallbackQuery(callbackQueryId, text = null) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
   if (!botToken) return;
 
   try {
@@ -41,38 +49,54 @@ async function answerCallbackQuery(callbackQueryId, text = null) {
 }
 
 /**
- * Edit message reply markup (remove inline keyboard)
+ * Handle a button action (Telegram callback data, WhatsApp reply button ID or web action)
+ * Channel-neutral: buttons are cleared and replies are sent through the messenger behind sendMessage
+ * @param {Object} params - { chatId, action, messageId, conversation, userId, chatType }
+ *   conversation (optional): only act on orders of this conversation (actions from untrusted clients)
+ *   userId/chatType (optional): find the /pesan wizard session of the user (default: private chat)
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ * @returns {Promise<boolean>} True if the action was recognized
  */
-async function editMessageReplyMarkup(chatId, messageId, replyMarkup = null) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  if (!botToken) return;
+export async function handleButtonAction({ chatId, action, messageId = null, conversation = null, userId = null, chatType = 'private' }, sendMessage = sendTelegramMessage) {
+  if (action.startsWith(ORDER_WIZARD_ACTION_PREFIX)) {
+    await handleOrderWizardAction({ chatId, userId: userId ?? chatId, chatType, action, messageId, conversation }, sendMessage);
+    return true;
+  }
 
-  try {
-    const url = `${TELEGRAM_API_BASE}${botToken}/editMessageReplyMarkup`;
-    const payload = {
-      chat_id: chatId,
-      message_id: messageId,
-    };
-    
-    // If replyMarkup is explicitly null, remove keyboard
-    if (replyMarkup === null) {
-      payload.reply_markup = { inline_keyboard: [] };
-    } else if (replyMarkup) {
-      payload.reply_markup = replyMarkup;
+  const isConfirm = action.startsWith(BUTTON_ACTIONS.CONFIRM_ORDER);
+  const isCancel = action.startsWith(BUTTON_ACTIONS.CANCEL_ORDER);
+
+  if (!isConfirm && !isCancel) {
+    console.log(`⏸️ [BUTTON_ACTION] Unknown action "${action}"`);
+    return false;
+  }
+
+  const orderId = action.replace(isConfirm ? BUTTON_ACTIONS.CONFIRM_ORDER : BUTTON_ACTIONS.CANCEL_ORDER, '');
+
+  if (conversation) {
+    const order = await getOrderById(orderId);
+    if (!order || order.conversation_id !== conversation.id) {
+      console.warn(`⚠️ [BUTTON_ACTION] Order ${orderId} does not belong to conversation ${conversation.id}, ignoring`);
+      await sendMessage(chatId, ORDER_NOT_FOUND);
+      return true;
     }
-    
-    await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
+  }
 
-  } catch (error) {
-    console.error('❌ [EDIT_KEYBOARD] Error editing message reply markup:', error);
-    // Non-critical, continue execution
+  // Remove buttons to prevent double-click
+  if (messageId) {
+    try {
+      await getMessenger(sendMessage).clearButtons(chatId, messageId);
+    } catch (error) {
+      console.warn(`⚠️ [BUTTON_ACTION] Could not remove buttons (non-critical):`, error.message);
+    }
   }
+
+  if (isConfirm) {
+    await handleOrderConfirmation(chatId, orderId, messageId, sendMessage);
+  } else {
+    await handleOrderCancellation(chatId, orderId, messageId, sendMessage);
+  }
+  return true;
 }
 
 /**
@@ -86,44 +110,24 @@ export async function handleCallbackQuery(callbackQuery) {
 
   // Check if this callback was already processed (prevent Telegram retries)
   const callbackKey = `${callbackId}_${data}`;
-  if (processedCallbacks.has(callbackKey)) {
+  // Marked as processed immediately (atomic, so a retry on another instance is skipped too)
+  if (!(await markProcessed(PROCESSED_NAMESPACES.CALLBACKS, callbackKey))) {
     // Still answer the callback to stop Telegram retry
     await answerCallbackQuery(callbackId);
     return;
   }
-  
-  // Mark as processed immediately
-  processedCallbacks.add(callbackKey);
 
   try {
     // Answer callback query IMMEDIATELY to stop Telegram retry
     await answerCallbackQuery(callbackId);
 
-    if (data.startsWith('confirm_order_')) {
-      const orderId = data.replace('confirm_order_', '');
-
-      // Remove inline keyboard to prevent double-click
-      try {
-        await editMessageReplyMarkup(chatId, messageId, null);
-      } catch (error) {
-        console.warn(`⚠️ [CALLBACK] Could not remove keyboard (non-critical):`, error.message);
-      }
-      
-      await handleOrderConfirmation(chatId, orderId, messageId);
-      return; // CRITICAL: Return early to prevent any other processing
-    } else if (data.startsWith('cancel_order_')) {
-      const orderId = data.replace('cancel_order_', '');
-
-      // Remove inline keyboard
-      try {
-        await editMessageReplyMarkup(chatId, messageId, null);
-      } catch (error) {
-        console.warn(`⚠️ [CALLBACK] Could not remove keyboard (non-critical):`, error.message);
-      }
-      
-      await handleOrderCancellation(chatId, orderId, messageId);
-      return; // CRITICAL: Return early
+    // Bank statement import buttons are admin actions (permission checked with the Telegram user)
+    if (Object.values(RECONCILIATION_ACTIONS).some(prefix => data.startsWith(prefix))) {
+      await handleReconciliationAction({ chatId, userId: from?.id, action: data, messageId }, sendTelegramMessage);
+      return;
     }
+
+    await handleButtonAction({ chatId, action: data, messageId, userId: from?.id, chatType: message.chat.type });
   } catch (error) {
     console.error('❌ [CALLBACK] Error handling callback query:', error);
     console.error(`❌ [CALLBACK] Stack:`, error.stack);
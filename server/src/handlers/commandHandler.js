@@ -3,23 +3,17 @@
  * Parses and dispatches Telegram bot commands
  */
 
-import { processedCommands } from '../state/store.js';
-import { getOrderState, setOrderState, clearOrderState } from '../state/store.js';
+import { PROCESSED_NAMESPACES, markProcessed, setOrderState, clearOrderState } from '../state/store.js';
 import { sendTelegramMessage } from '../services/telegramService.js';
-import { isAdmin } from '../middleware/adminGuard.js';
+import { requirePermission, invalidateUserRoleCache } from '../middleware/permissions.js';
 import { getOrCreateConversation } from '../repos/conversations.repo.js';
-import { generateOrderId, saveOrder } from '../repos/orders.repo.js';
+import { PLATFORMS, COMMAND_PERMISSIONS } from '../utils/constants.js';
 import { getPriceList } from '../repos/price-list.repo.js';
-import {
-  detectOrderFormat,
-  parseOrderFromMessageAuto,
-  validateOrder,
-  formatOrderSummary,
-} from '../services/order-parser.js';
-import { calculateOrderTotal, separateItemsFromNotes } from '../services/price-calculator.js';
-import { formatOrderConfirmation } from '../utils/order-formatter.js';
-import { isFutureDate } from '../utils/date-utils.js';
-import { formatMenuMessage } from '../utils/bot-menu.js';
+import { parseOrderFromMessageAuto, validateOrder } from '../services/order-parser.js';
+import { separateItemsFromNotes } from '../services/price-calculator.js';
+import { submitOrder } from './orderSubmissionHandler.js';
+import { isOrderWizardAvailable, startOrderWizard } from './orderWizardHandler.js';
+import { formatMenuMessage, formatBusinessLocation } from '../utils/bot-menu.js';
 import {
   handleNewOrder,
   handleParseOrder,
@@ -33,9 +27,18 @@ import {
   handleOrdersUnpaid,
   handleCancel,
   handleComplete,
+  handleCapacity,
+  handleInvoice,
+  handleMyOrders,
+  handleTrackOrder,
+  handleOrderHistory,
+  handleDeliveryFee,
+  handleAdminAuth,
+  handleSetRole,
+  handleListRoles,
 } from '../commands/index.js';
-import { handleAdminAuth } from '../../admin-bot-commands.js';
 import { checkAndSendRemindersForToday } from '../services/reminder-system.js';
+import { getTenantBranding } from '../config/tenant-context.js';
 
 /**
  * Normalize command string - remove bot username suffix and normalize
@@ -116,9 +119,11 @@ function parseCommand(messageText) {
 
 /**
  * Handle Telegram bot commands (/start, /help, etc.)
+ * Also used for WhatsApp customer commands (normalized to the Telegram message shape by whatsappRouter)
  * @param {Object} message - Telegram message object
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
  */
-export async function handleTelegramCommand(message) {
+export async function handleTelegramCommand(message, sendMessage = sendTelegramMessage) {
   const chatId = message.chat.id;
   const userId = message.from?.id;
   const chatType = message.chat?.type || 'unknown';
@@ -128,17 +133,10 @@ export async function handleTelegramCommand(message) {
   // Deduplication: prevent duplicate command processing
   // Use update_id if available (from webhook context), otherwise use chatId:messageId
   const dedupeKey = message.update_id ? `update_${message.update_id}` : `${chatId}:${messageId}`;
-  if (processedCommands.has(dedupeKey)) {
+  if (!(await markProcessed(PROCESSED_NAMESPACES.COMMANDS, dedupeKey))) {
     console.log(`[DEDUP] skip key=${dedupeKey} command="${messageText.substring(0, 20)}"`);
     return; // Already processed, skip
   }
-  processedCommands.add(dedupeKey);
-  
-  // Clean up old entries (keep only last 1000)
-  if (processedCommands.size > 1000) {
-    const firstKey = processedCommands.values().next().value;
-    processedCommands.delete(firstKey);
-  }
   
   // Parse command with payload extraction
   const { command: rawCommand, args, payload } = parseCommand(messageText);
@@ -149,34 +147,35 @@ export async function handleTelegramCommand(message) {
   
   // If no valid command, handle as unknown
   if (!normalizedCommand) {
-    await sendTelegramMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk daftar perintah.');
+    await sendMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk daftar perintah.');
+    return;
+  }
+
+  // Role-based access control: admin/staff commands need the permission from COMMAND_PERMISSIONS
+  const requiredPermission = COMMAND_PERMISSIONS[normalizedCommand];
+  if (requiredPermission && !(await requirePermission(userId, requiredPermission, sendMessage, chatId))) {
     return;
   }
 
   switch (normalizedCommand) {
     case '/start':
-      await sendTelegramMessage(chatId, 
+      await sendMessage(chatId, 
         'Halo 👋\n' +
-        'Selamat datang di Admin Assistant Bot Dawet Kemayu Menteng 🍹\n\n' +
+        'Selamat datang di Admin Assistant Bot ' + getTenantBranding().businessName + ' 🍹\n\n' +
         'Aku akan membantu kamu mencatat pesanan, memantau pembayaran,\n' +
         'dan mengingatkan jadwal penting supaya tidak ada yang terlewat.\n\n' +
         'Untuk mulai pesan, ketik /pesan.\n' +
+        'Untuk melihat pesanan Anda, ketik /pesanan_saya.\n' +
         'Ketik /help untuk bantuan.'
       );
       break;
     case '/pesan':
-      // Set state to AWAITING_FORM for this chat (if no payload)
-      const currentState = getOrderState(chatId, userId, chatType);
-
       // Check if payload exists (order form in same message)
       if (payload && payload.trim().length > 0) {
         console.log(`🔍 [PESAN] Payload detected (${payload.length} chars), parsing order...`);
         
         // Clear any existing state (order is being processed)
-        clearOrderState(chatId, userId, chatType);
-        
-        // Parse order from payload
-        const detectedFormat = detectOrderFormat(payload);
+        await clearOrderState(chatId, userId, chatType);
 
         let parsedOrder;
         try {
@@ -186,7 +185,7 @@ export async function handleTelegramCommand(message) {
           if (parseError.field === 'delivery_fee' || parseError.field === 'shipping_fee') {
             const errorMessage = `❌ ${parseError.message}`;
             const replyToId = chatType !== 'private' ? message.message_id : null;
-            await sendTelegramMessage(chatId, errorMessage, null, replyToId);
+            await sendMessage(chatId, errorMessage, null, replyToId);
             return;
           }
           throw parseError; // Re-throw other errors
@@ -203,64 +202,15 @@ export async function handleTelegramCommand(message) {
         const validation = validateOrder(parsedOrder);
         
         if (validation.valid) {
-          // Process order (similar to handleTelegramMessage order processing)
+          // Process order (same flow as the /pesan wizard)
           const conversation = await getOrCreateConversation(
             chatId,
             message.from?.first_name || message.from?.username || 'Unknown',
-            userId
+            userId,
+            message.platform || PLATFORMS.TELEGRAM
           );
-          
-          const orderId = await generateOrderId();
-          const orderData = {
-            id: orderId,
-            conversation_id: conversation.id,
-            customer_name: parsedOrder.customer_name,
-            phone_number: parsedOrder.phone_number,
-            address: parsedOrder.address,
-            event_name: parsedOrder.event_name,
-            event_duration: parsedOrder.event_duration,
-            event_date: parsedOrder.event_date,
-            delivery_time: parsedOrder.delivery_time,
-            items: parsedOrder.items,
-            notes: parsedOrder.notes,
-            delivery_fee: parsedOrder.delivery_fee !== null && parsedOrder.delivery_fee !== undefined ? parsedOrder.delivery_fee : null,
-            delivery_method: parsedOrder.delivery_method || null,
-            status: 'pending',
-            created_at: new Date().toISOString(),
-          };
-
-          // Check if order date is in the future
-          const isFuture = isFutureDate(orderData.event_date);
-          
-          if (isFuture) {
-            // Save to Orders sheet with "pending_confirmation" status (reminders handled by daily job)
-            orderData.status = 'pending_confirmation';
-            await saveOrder(orderData);
-            
-            const priceList = await getPriceList();
-            const orderSummary = formatOrderSummary(orderData);
-            const calculation = calculateOrderTotal(orderData.items, priceList);
-            
-            // Create confirmation message using shared formatter
-            const confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary);
-            
-            const replyToId = chatType !== 'private' ? message.message_id : null;
-            await sendTelegramMessage(chatId, confirmationText, null, replyToId);
-          } else {
-            // Save order to Google Sheets with status "pending_confirmation" (current date or past)
-            orderData.status = 'pending_confirmation';
-            await saveOrder(orderData);
-            
-            const priceList = await getPriceList();
-            const orderSummary = formatOrderSummary(orderData);
-            const calculation = calculateOrderTotal(orderData.items, priceList);
-            
-            // Create confirmation message using shared formatter
-            const confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary);
-            
-            const replyToId = chatType !== 'private' ? message.message_id : null;
-            await sendTelegramMessage(chatId, confirmationText, null, replyToId);
-          }
+          const replyToId = chatType !== 'private' ? message.message_id : null;
+          await submitOrder({ chatId, conversation, parsedOrder, priceList, replyToId }, sendMessage);
         } else {
           // Invalid order - send error with missing fields
           const errorMessage = `❌ **Format pesanan belum lengkap**\n\n` +
@@ -268,34 +218,38 @@ export async function handleTelegramCommand(message) {
             `Silakan perbaiki dan coba lagi.\n` +
             `Ketik /help untuk melihat template lengkap.`;
           const replyToId = chatType !== 'private' ? message.message_id : null;
-          await sendTelegramMessage(chatId, errorMessage, null, replyToId);
+          await sendMessage(chatId, errorMessage, null, replyToId);
         }
+      } else if (isOrderWizardAvailable(message)) {
+        // No payload in a private chat with buttons - ask the order one field at a time
+        await startOrderWizard(message, sendMessage);
       } else {
         // No payload - set state to AWAITING_FORM and send instruction
-        setOrderState(chatId, userId, chatType, 'AWAITING_FORM');
+        await setOrderState(chatId, userId, chatType, 'AWAITING_FORM');
         const instruction = chatType === 'private' 
           ? 'Silakan paste format pesanan yang sudah diisi ya kak 😊\n(Template ada di /help)'
           : 'Silakan kirim /pesan@dawetkemayumenteng_bot + format pesanan dalam 1 pesan ya kak 😊 (template di /help).';
-        await sendTelegramMessage(chatId, instruction);
+        await sendMessage(chatId, instruction);
       }
       break;
-    case '/menu':
-      formatMenuMessage().then(menu => {
-        sendTelegramMessage(chatId, menu);
-      });
+    case '/menu': {
+      const menu = await formatMenuMessage();
+      await sendMessage(chatId, menu);
       break;
+    }
     case '/lokasi':
     case '/location':
-      sendTelegramMessage(chatId,
+      await sendMessage(chatId,
         '📍 **Lokasi:**\n\n' +
-        'Dawet Kemayu Menteng\n' +
-        'Jl. Kemayu Menteng, Jakarta\n\n' +
+        formatBusinessLocation() +
         'Untuk informasi lebih detail, silakan hubungi kami!'
       );
       break;
     case '/help':
-      sendTelegramMessage(chatId, 
-        '📝 Silakan kirim pesanan Anda dengan format berikut:\n\n' +
+      await sendMessage(chatId, 
+        (isOrderWizardAvailable(message)
+          ? '📝 Ketik /pesan untuk pesan langkah demi langkah, atau kirim pesanan Anda dengan format berikut:\n\n'
+          : '📝 Silakan kirim pesanan Anda dengan format berikut:\n\n') +
         'Nama Pemesan:\n' +
         'Nama Penerima:\n' +
         'No HP Penerima:\n' +
@@ -313,147 +267,205 @@ export async function handleTelegramCommand(message) {
         'Pickup / GrabExpress / Custom\n\n' +
         'Biaya Pengiriman (Rp):\n' +
         '(diisi oleh Admin)\n\n' +
+        'Kode Promo (jika ada):\n\n' +
         'Notes:\n\n' +
-        'Mendapatkan info Dawet Kemayu Menteng dari:\n' +
+        'Mendapatkan info ' + getTenantBranding().businessName + ' dari:\n' +
         'Teman / Instagram / Facebook / TikTok / Lainnya'
       );
       break;
     // Admin commands (PRD requirements)
     case '/new_order':
-      handleNewOrder(chatId, userId, sendTelegramMessage).catch(error => {
+      handleNewOrder(chatId, userId, sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /new_order handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     case '/parse_order':
       const replyToMessage = message.reply_to_message;
-      handleParseOrder(chatId, userId, messageText, sendTelegramMessage, replyToMessage).catch(error => {
+      handleParseOrder(chatId, userId, messageText, sendMessage, replyToMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /parse_order handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     case '/order_detail': {
       const orderId = args[0];
-      handleOrderDetail(chatId, userId, orderId, sendTelegramMessage).catch(error => {
+      handleOrderDetail(chatId, userId, orderId, sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /order_detail handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/edit': {
       const replyToMessage = message.reply_to_message;
-      handleEditOrder(chatId, userId, messageText, sendTelegramMessage, replyToMessage).catch(error => {
+      handleEditOrder(chatId, userId, messageText, sendMessage, replyToMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /edit handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/status': {
       const parts = message.text.split(' ');
       const orderId = parts[1];
-      handleStatus(chatId, message.from?.id, orderId, sendTelegramMessage);
+      const newStatus = parts[2];
+      handleStatus(chatId, message.from?.id, orderId, sendMessage, newStatus);
       break;
     }
     case '/pay': {
       const parts = (message.text || message.caption || '').split(' ');
       const orderId = parts[1];
       const amount = parts[2];
-      handlePay(chatId, message.from?.id, orderId, amount, sendTelegramMessage);
+      handlePay(chatId, message.from?.id, orderId, amount, sendMessage);
       break;
     }
     case '/payment_status': {
       const parts = (message.text || message.caption || '').split(' ');
       const orderId = parts[1];
-      handlePaymentStatus(chatId, message.from?.id, orderId, sendTelegramMessage);
+      handlePaymentStatus(chatId, message.from?.id, orderId, sendMessage);
       break;
     }
-    case '/cancel': {
+    case '/invoice': {
       const parts = (message.text || message.caption || '').split(' ');
       const orderId = parts[1];
-      handleCancel(chatId, message.from?.id, orderId, sendTelegramMessage);
+      await handleInvoice(chatId, message.from?.id, orderId, sendMessage);
+      break;
+    }
+    case '/history': {
+      const orderId = args[0];
+      await handleOrderHistory(chatId, message.from?.id, orderId, sendMessage);
+      break;
+    }
+    case '/ongkir': {
+      const orderId = args[0];
+      const amountText = args.slice(1).join(' ');
+      await handleDeliveryFee(chatId, message.from?.id, orderId, amountText, sendMessage);
+      break;
+    }
+    case '/pesanan_saya':
+      await handleMyOrders(chatId, message.from?.id, sendMessage);
+      break;
+    case '/lacak': {
+      const orderId = args[0];
+      await handleTrackOrder(chatId, message.from?.id, orderId, sendMessage);
+      break;
+    }
+    case '/cancel': {
+      const parts = (message.text || message.caption || '').trim().split(/\s+/);
+      const orderId = parts[1];
+      const reason = parts.slice(2).join(' ');
+      await handleCancel(chatId, message.from?.id, orderId, sendMessage, reason);
       break;
     }
     case '/complete': {
       const parts = (message.text || message.caption || '').split(' ');
       const orderId = parts[1];
-      handleComplete(chatId, message.from?.id, orderId, sendTelegramMessage);
+      handleComplete(chatId, message.from?.id, orderId, sendMessage);
       break;
     }
     case '/today_reminder': {
-      isAdmin(userId).then(async (isUserAdmin) => {
-        if (isUserAdmin) {
-          await checkAndSendRemindersForToday(sendTelegramMessage);
-          await sendTelegramMessage(chatId, '✅ Reminder check completed. Check logs for details.');
-        } else {
-          await sendTelegramMessage(chatId, '❌ Anda tidak memiliki akses ke perintah ini.');
-        }
-      }).catch(error => {
+      // Permission (REMINDERS_RUN) already checked above
+      (async () => {
+        await checkAndSendRemindersForToday(sendMessage);
+        await sendMessage(chatId, '✅ Reminder check completed. Check logs for details.');
+      })().catch(error => {
         console.error('❌ [COMMAND] Error in /today_reminder handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/admin_auth': {
-      handleAdminAuth(chatId, userId, messageText, sendTelegramMessage).catch(error => {
+      handleAdminAuth(chatId, userId, messageText, sendMessage).then(() => {
+        invalidateUserRoleCache(userId); // Role may have changed to admin
+      }).catch(error => {
         console.error('❌ [COMMAND] Error in /admin_auth handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/recap_h1': {
-      handleRecapH1(chatId, userId, sendTelegramMessage).catch(error => {
+      handleRecapH1(chatId, userId, sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /recap_h1 handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/orders_date': {
       const dateStr = args[0];
       if (!dateStr) {
-        sendTelegramMessage(chatId, '❌ Format: /orders_date YYYY-MM-DD\n\nContoh: /orders_date 2026-01-18\nAtau gunakan: /orders_today, /orders_tomorrow');
+        sendMessage(chatId, '❌ Format: /orders_date YYYY-MM-DD\n\nContoh: /orders_date 2026-01-18\nAtau gunakan: /orders_today, /orders_tomorrow');
         break;
       }
-      handleOrdersDate(chatId, userId, dateStr, sendTelegramMessage).catch(error => {
+      handleOrdersDate(chatId, userId, dateStr, sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /orders_date handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/orders_today': {
-      handleOrdersDate(chatId, userId, 'today', sendTelegramMessage).catch(error => {
+      handleOrdersDate(chatId, userId, 'today', sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /orders_today handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/orders_tomorrow': {
-      handleOrdersDate(chatId, userId, 'tomorrow', sendTelegramMessage).catch(error => {
+      handleOrdersDate(chatId, userId, 'tomorrow', sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /orders_tomorrow handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     case '/orders_unpaid': {
-      handleOrdersUnpaid(chatId, userId, sendTelegramMessage).catch(error => {
+      handleOrdersUnpaid(chatId, userId, sendMessage).catch(error => {
         console.error('❌ [COMMAND] Error in /orders_unpaid handler:', error);
         console.error('❌ [COMMAND] Stack:', error.stack);
-        sendTelegramMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+      });
+      break;
+    }
+    case '/capacity': {
+      const dateStr = args[0];
+      if (!dateStr) {
+        sendMessage(chatId, '❌ Format: /capacity YYYY-MM-DD\n\nContoh: /capacity 2026-01-18\nAtau: /capacity today, /capacity besok');
+        break;
+      }
+      handleCapacity(chatId, userId, dateStr, sendMessage).catch(error => {
+        console.error('❌ [COMMAND] Error in /capacity handler:', error);
+        console.error('❌ [COMMAND] Stack:', error.stack);
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+      });
+      break;
+    }
+    case '/role': {
+      // parseCommand strips "@word" (bot mentions), so read "@username" from the raw text
+      const roleArgs = messageText.split('\n')[0].trim().split(/\s+/).slice(1);
+      handleSetRole(chatId, userId, roleArgs, sendMessage, message.reply_to_message).catch(error => {
+        console.error('❌ [COMMAND] Error in /role handler:', error);
+        console.error('❌ [COMMAND] Stack:', error.stack);
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
+      });
+      break;
+    }
+    case '/roles': {
+      handleListRoles(chatId, userId, sendMessage).catch(error => {
+        console.error('❌ [COMMAND] Error in /roles handler:', error);
+        console.error('❌ [COMMAND] Stack:', error.stack);
+        sendMessage(chatId, '❌ Maaf, ada error saat memproses perintah ini. Coba lagi ya.');
       });
       break;
     }
     default:
       // Unknown command - respond with friendly message
-      sendTelegramMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk daftar perintah.');
+      sendMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk daftar perintah.');
       break;
   }
 }
@@ -15,7 +15,10 @@ import {
 } from '../services/order-parser.js';
 import { calculateOrderTotal, separateItemsFromNotes } from '../services/price-calculator.js';
 import { formatOrderConfirmation } from '../utils/order-formatter.js';
+import { checkOrderCapacity, isCapacityRejected, formatCapacityRejection } from '../services/capacity-checker.js';
+import { resolveOrderItems, formatItemClarification } from '../services/item-resolver.js';
 import { isFutureDate } from '../utils/date-utils.js';
+import { getTenantBranding } from '../config/tenant-context.js';
 import {
   formatMenuMessage,
   isMenuRequest,
@@ -33,18 +36,20 @@ import {
 /**
  * Handle customer order completion keywords
  */
-async function handleCustomerOrderCompletion(chatId, customerTelegramId, messageText) {
+async function handleCustomerOrderCompletion(chatId, customerTelegramId, messageText, sendMessage) {
   // This is a placeholder - implement if needed
   // Currently just acknowledges the message
-  await sendTelegramMessage(chatId, '✅ Terima kasih! Pesanan Anda sudah diterima.');
+  await sendMessage(chatId, '✅ Terima kasih! Pesanan Anda sudah diterima.');
 }
 
 /**
  * Handle non-command Telegram messages
+ * Also used for WhatsApp messages (normalized to the Telegram message shape by whatsappRouter)
  * @param {Object} message - Telegram message object
  * @param {Object} conversation - Conversation object from database
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
  */
-export async function handleTelegramMessage(message, conversation) {
+export async function handleTelegramMessage(message, conversation, sendMessage = sendTelegramMessage) {
   const chatType = message.chat?.type || 'unknown';
   const chatId = message.chat.id;
   const userId = message.from?.id;
@@ -55,7 +60,7 @@ export async function handleTelegramMessage(message, conversation) {
   let orderProcessed = false;
   if (chatType === 'private') {
     // Check if we're awaiting a form (from previous /pesan command)
-    const state = getOrderState(chatId, userId, chatType);
+    const state = await getOrderState(chatId, userId, chatType);
     const shouldParse = state?.mode === 'AWAITING_FORM' || detectOrderFormat(message.text);
     
     if (shouldParse) {
@@ -69,13 +74,13 @@ export async function handleTelegramMessage(message, conversation) {
 
           // Clear state if order was successfully parsed
           if (parsedOrder.customer_name || parsedOrder.items.length > 0) {
-            clearOrderState(chatId, userId, chatType);
+            await clearOrderState(chatId, userId, chatType);
           }
         } catch (parseError) {
           // Handle parsing errors (e.g., invalid delivery_fee)
           if (parseError.field === 'delivery_fee') {
             const errorMessage = `❌ ${parseError.message}`;
-            await sendTelegramMessage(message.chat.id, errorMessage);
+            await sendMessage(message.chat.id, errorMessage);
             orderProcessed = true;
             return;
           }
@@ -96,6 +101,14 @@ export async function handleTelegramMessage(message, conversation) {
           // Mark as processed IMMEDIATELY to prevent fall-through
           orderProcessed = true;
 
+          // Resolve items to product variants (size, toppings); ask the customer when one is unclear
+          const resolution = await resolveOrderItems(parsedOrder.items, priceList);
+          if (resolution.ambiguities.length > 0) {
+            await sendMessage(message.chat.id, formatItemClarification(resolution.ambiguities));
+            return;
+          }
+          parsedOrder.items = resolution.items;
+
           // Generate order ID (MUST be done before any operations)
           const orderId = await generateOrderId();
           if (!orderId) {
@@ -118,11 +131,20 @@ export async function handleTelegramMessage(message, conversation) {
             items: parsedOrder.items,
             notes: parsedOrder.notes,
             delivery_fee: parsedOrder.delivery_fee !== null && parsedOrder.delivery_fee !== undefined ? parsedOrder.delivery_fee : null,
+            delivery_fee_source: parsedOrder.delivery_fee_source || null,
             delivery_method: parsedOrder.delivery_method || null,
+            promo_code: parsedOrder.promo_code || null,
             status: 'pending',
             created_at: new Date().toISOString(),
           };
 
+          // Check daily production capacity before saving
+          const capacity = await checkOrderCapacity(orderData);
+          if (isCapacityRejected(capacity)) {
+            await sendMessage(message.chat.id, formatCapacityRejection(capacity));
+            return;
+          }
+
           // Check if order date is in the future
           const isFuture = isFutureDate(orderData.event_date);
           
@@ -142,10 +164,10 @@ export async function handleTelegramMessage(message, conversation) {
             const calculation = calculateOrderTotal(orderData.items, priceList);
 
             // Use formatOrderConfirmation for consistent formatting
-            const confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary);
+            const confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary, { capacity });
 
             // Send confirmation message
-            await sendTelegramMessage(message.chat.id, confirmationText);
+            await sendMessage(message.chat.id, confirmationText);
             orderProcessed = true;
             console.log(`✅ [ORDER_HANDLER] Order confirmation sent (future date), orderProcessed=true, returning early`);
             return; // CRITICAL: Return immediately to prevent fall-through
@@ -196,7 +218,7 @@ export async function handleTelegramMessage(message, conversation) {
             }
 
             // Use formatOrderConfirmation for consistent formatting
-            let confirmationText = formatOrderConfirmation(orderData, calculation, orderSummary);
+            let confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary, { capacity });
             
             // Add warning if order save failed
             if (!orderSaved) {
@@ -208,7 +230,7 @@ export async function handleTelegramMessage(message, conversation) {
             console.log(`[ORDER_FLOW] sending confirmation... (chatId: ${message.chat.id})`);
             try {
               const replyToId = message.chat.type !== 'private' ? message.message_id : null;
-              const result = await sendTelegramMessage(message.chat.id, confirmationText, null, replyToId);
+              const result = await sendMessage(message.chat.id, confirmationText, null, replyToId);
               console.log(`✅ [ORDER_CREATE] Confirmation message sent successfully for order: ${orderData.id}`);
               console.log(`[ORDER_FLOW] confirmation sent ok (order_id: ${orderData.id}, chatId: ${message.chat.id})`);
               orderProcessed = true;
@@ -219,7 +241,7 @@ export async function handleTelegramMessage(message, conversation) {
               console.error(`[ORDER_FLOW] confirmation send failed stack:`, error.stack);
               // Try one more time with simpler message
               try {
-                await sendTelegramMessage(message.chat.id, `✅ Pesanan diterima dengan ID: ${orderData.id}\n\nSilakan konfirmasi dengan mengetik "Ya" atau "Y".`);
+                await sendMessage(message.chat.id, `✅ Pesanan diterima dengan ID: ${orderData.id}\n\nSilakan konfirmasi dengan mengetik "Ya" atau "Y".`);
                 console.log(`[ORDER_FLOW] confirmation sent ok (fallback message, order_id: ${orderData.id})`);
                 orderProcessed = true;
               } catch (retryError) {
@@ -256,11 +278,12 @@ export async function handleTelegramMessage(message, conversation) {
               `Packaging Styrofoam (1 box 40K untuk 50 cup): YA/TIDAK\n` +
               `Metode pengiriman: Pickup/GrabExpress/Custom\n` +
               `Biaya Pengiriman (Rp): [Nominal]\n` +
+              `Kode Promo: [Kode] (opsional)\n` +
               `Notes: [Catatan]\n\n` +
-              `Mendapatkan info Dawet Kemayu Menteng dari: [Sumber]`;
+              `Mendapatkan info ${getTenantBranding().businessName} dari: [Sumber]`;
             
             const fullMessage = incompleteMessage + formatTemplate;
-            await sendTelegramMessage(message.chat.id, fullMessage);
+            await sendMessage(message.chat.id, fullMessage);
 
             orderProcessed = true; // Mark as processed (even if incomplete)
             return; // CRITICAL: Return immediately to prevent fall-through
@@ -280,7 +303,7 @@ export async function handleTelegramMessage(message, conversation) {
           
           // Send error message to user
           const errorMessage = '❌ Maaf, terjadi kesalahan saat menyimpan pesanan Anda. Silakan coba lagi atau hubungi admin.';
-          await sendTelegramMessage(message.chat.id, errorMessage);
+          await sendMessage(message.chat.id, errorMessage);
           orderProcessed = true; // Mark as processed to prevent fall-through
           return; // Exit handler
         } else {
@@ -312,7 +335,7 @@ export async function handleTelegramMessage(message, conversation) {
     );
     
     if (isCompletionKeyword) {
-      await handleCustomerOrderCompletion(message.chat.id, message.from?.id, message.text);
+      await handleCustomerOrderCompletion(message.chat.id, message.from?.id, message.text, sendMessage);
       return;
     }
 
@@ -320,7 +343,7 @@ export async function handleTelegramMessage(message, conversation) {
     if (isMenuRequest(message.text)) {
       const menuMessage = await formatMenuMessage();
       const replyToId = message.chat.type !== 'private' ? message.message_id : null;
-      await sendTelegramMessage(message.chat.id, menuMessage, null, replyToId);
+      await sendMessage(message.chat.id, menuMessage, null, replyToId);
       return;
     }
 
@@ -329,7 +352,7 @@ export async function handleTelegramMessage(message, conversation) {
       console.log(`🔍 [FAQ_HANDLER] FAQ question detected: ${message.text.substring(0, 50)}...`);
       const faqAnswer = getFAQAnswer(message.text);
       const replyToId = message.chat.type !== 'private' ? message.message_id : null;
-      await sendTelegramMessage(message.chat.id, faqAnswer, null, replyToId);
+      await sendMessage(message.chat.id, faqAnswer, null, replyToId);
       return;
     }
     
@@ -340,7 +363,7 @@ export async function handleTelegramMessage(message, conversation) {
       const fallbackMessage = getFallbackMessage(isEnglish);
       const replyToId = message.chat.type !== 'private' ? message.message_id : null;
       
-      await sendTelegramMessage(message.chat.id, fallbackMessage, null, replyToId);
+      await sendMessage(message.chat.id, fallbackMessage, null, replyToId);
       markFallbackSent(message.chat.id);
       console.log('📤 [FALLBACK] Sent fallback message to user (no location)');
     } else {
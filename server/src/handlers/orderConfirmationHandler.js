@@ -3,127 +3,37 @@
  * Handles order confirmation and cancellation
  */
 
-import { processedConfirmations, sentInvoices, acquireOrderLock, releaseOrderLock } from '../state/store.js';
+import {
+  PROCESSED_NAMESPACES,
+  INVOICE_SENT_TTL_MS,
+  markProcessed,
+  isProcessed,
+  unmarkProcessed,
+  acquireOrderLock,
+  releaseOrderLock,
+} from '../state/store.js';
 import { sendTelegramMessage } from '../services/telegramService.js';
-import { getOrderById, updateOrderStatus, saveOrder } from '../repos/orders.repo.js';
+import { getMessenger } from '../services/messaging/index.js';
+import { getOrderById, updateOrderStatus, saveOrder, getOrdersByConversationId } from '../repos/orders.repo.js';
 import { getPriceList } from '../repos/price-list.repo.js';
 import { formatInvoice, calculateOrderTotal } from '../services/price-calculator.js';
+import { getOrderPackaging } from '../services/packaging-calculator.js';
 import { ORDER_NOT_FOUND, INVOICE_ERROR } from '../utils/messages.js';
-
-const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
-
-/**
- * Edit message text (to update confirmation message)
- */
-async function editMessageText(chatId, messageId, text) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  if (!botToken) return;
-
-  // Guard: Never send null or undefined text
-  if (!text || typeof text !== 'string' || text.trim().length === 0) {
-    console.warn('⚠️ [EDIT_MESSAGE] Attempted to edit message with invalid text:', text);
-    return;
-  }
-
-  try {
-    const url = `${TELEGRAM_API_BASE}${botToken}/editMessageText`;
-    
-    // Try with Markdown first
-    let payload = {
-      chat_id: chatId,
-      message_id: messageId,
-      text: text,
-      parse_mode: 'Markdown',
-    };
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      
-      // If markdown parsing error, retry without parse_mode
-      if (error.error_code === 400 && error.description && error.description.includes("can't parse entities")) {
-        console.warn('⚠️ [EDIT_MESSAGE] Markdown parsing error, retrying as plain text:', error.description);
-        
-        payload = {
-          chat_id: chatId,
-          message_id: messageId,
-          text: text,
-        };
-        
-        const retryResponse = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(payload),
-        });
-        
-        if (!retryResponse.ok) {
-          const retryError = await retryResponse.json();
-          console.error('❌ Error editing message (plain text retry):', retryError);
-        }
-        return;
-      }
-      
-      console.error('❌ Error editing message:', error);
-    }
-  } catch (error) {
-    console.error('❌ Error editing message:', error);
-  }
-}
-
-/**
- * Edit message reply markup (remove inline keyboard)
- */
-async function editMessageReplyMarkup(chatId, messageId, replyMarkup = null) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  if (!botToken) return;
-
-  try {
-    const url = `${TELEGRAM_API_BASE}${botToken}/editMessageReplyMarkup`;
-    const payload = {
-      chat_id: chatId,
-      message_id: messageId,
-    };
-    
-    // If replyMarkup is explicitly null, remove keyboard
-    if (replyMarkup === null) {
-      payload.reply_markup = { inline_keyboard: [] };
-    } else if (replyMarkup) {
-      payload.reply_markup = replyMarkup;
-    }
-    
-    await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-  } catch (error) {
-    console.error('❌ [EDIT_KEYBOARD] Error editing message reply markup:', error);
-    // Non-critical, continue execution
-  }
-}
+import { checkOrderCapacity, isCapacityRejected, formatCapacityRejection } from '../services/capacity-checker.js';
+import { ORDER_EVENT_SOURCES } from '../utils/constants.js';
 
 /**
  * Finalize order - centralized function to handle order confirmation
  * This ensures idempotency and prevents duplicate writes
  * Uses concurrency lock to prevent race conditions
  * @param {string} orderId - Order ID to finalize
+ * @param {Object} audit - Who confirmed the order: { actorId, source } (recorded in Order_Events)
  * @returns {Promise<Object|null>} Finalized order data or null if not found/already confirmed
  */
-export async function finalizeOrder(orderId) {
-  // Acquire lock to prevent concurrent processing
-  if (!acquireOrderLock(orderId)) {
+export async function finalizeOrder(orderId, audit = {}) {
+  // Acquire lock to prevent concurrent processing (shared by all instances with the redis state backend)
+  const lockToken = await acquireOrderLock(orderId);
+  if (!lockToken) {
     // Return existing order if available
     try {
       const existingOrder = await getOrderById(orderId);
@@ -185,8 +95,17 @@ export async function finalizeOrder(orderId) {
       }
     }
 
+    // Re-check daily production capacity (other orders may have been confirmed since the order was placed)
+    const capacity = await checkOrderCapacity(order);
+    if (isCapacityRejected(capacity)) {
+      const capacityError = new Error(`Order ${orderId} exceeds production capacity on ${capacity.date}`);
+      capacityError.isCapacityExceeded = true;
+      capacityError.capacity = capacity;
+      throw capacityError;
+    }
+
     // Update order status to "confirmed" in Orders sheet
-    await updateOrderStatus(orderId, 'confirmed');
+    await updateOrderStatus(orderId, 'confirmed', audit);
 
     // Ensure order exists in Orders sheet (UPSERT - update if exists, append if not)
     order.status = 'confirmed';
@@ -196,7 +115,7 @@ export async function finalizeOrder(orderId) {
     // Create Google Calendar event for confirmed order
     if (order.event_date) {
       try {
-        const { createCalendarEvent } = await import('../../google-calendar.js');
+        const { createCalendarEvent } = await import('../services/google-calendar.js');
         const calendarEventId = await createCalendarEvent(order);
         if (calendarEventId) {
           console.log(`✅ [FINALIZE_ORDER] Calendar event created: ${calendarEventId}`);
@@ -225,7 +144,7 @@ export async function finalizeOrder(orderId) {
     throw error;
   } finally {
     // Always release lock, even on error
-    releaseOrderLock(orderId);
+    await releaseOrderLock(orderId, lockToken);
   }
 }
 
@@ -233,50 +152,44 @@ export async function finalizeOrder(orderId) {
  * Handle order confirmation (Yes button clicked or Y/Ya response)
  * This is the ONLY entry point for order confirmation
  * All order finalization goes through finalizeOrder() which has locking
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
  */
-export async function handleOrderConfirmation(chatId, orderId, messageId) {
-  // Prevent duplicate processing (in-memory guard - additional safety)
+export async function handleOrderConfirmation(chatId, orderId, messageId, sendMessage = sendTelegramMessage) {
+  // Prevent duplicate processing (state store guard - additional safety)
   // For button clicks: use orderId + messageId
   // For manual responses: use orderId only (invoice sent check will handle duplicates)
   const confirmationKey = messageId ? `${orderId}_${messageId}` : orderId;
-  if (processedConfirmations.has(confirmationKey)) {
-    console.log(`⚠️ [ORDER_CONFIRM] Order confirmation already processed (in-memory), skipping: ${orderId}`);
+  if (!(await markProcessed(PROCESSED_NAMESPACES.CONFIRMATIONS, confirmationKey))) {
+    console.log(`⚠️ [ORDER_CONFIRM] Order confirmation already processed, skipping: ${orderId}`);
     return;
   }
-  processedConfirmations.add(confirmationKey);
-  
-  // Clean up old entries (keep only last 1000)
-  if (processedConfirmations.size > 1000) {
-    const firstKey = processedConfirmations.values().next().value;
-    processedConfirmations.delete(firstKey);
-  }
   
   // Additional guard: Check if invoice was already sent for this order (within last 10 seconds)
-  const invoiceSent = sentInvoices.get(orderId);
-  if (invoiceSent && (Date.now() - invoiceSent.sentAt) < 10000) {
+  if (await isProcessed(PROCESSED_NAMESPACES.INVOICES, orderId)) {
     console.log(`⚠️ [ORDER_CONFIRM] Invoice already sent for order ${orderId} (within last 10s), skipping duplicate send`);
     return;
   }
 
   try {
     // Finalize order (centralized function handles all writes, locking, and checks)
-    const order = await finalizeOrder(orderId);
+    const order = await finalizeOrder(orderId, { actorId: chatId, source: ORDER_EVENT_SOURCES.CUSTOMER_CHAT });
     
     if (!order) {
-      await sendTelegramMessage(chatId, ORDER_NOT_FOUND);
+      await sendMessage(chatId, ORDER_NOT_FOUND);
       return;
     }
 
     // Get price list and generate invoice
     const priceList = await getPriceList();
-    const invoice = formatInvoice(order, priceList);
+    const packaging = await getOrderPackaging(order, priceList);
+    const invoice = formatInvoice(order, priceList, { packaging });
     const calculation = calculateOrderTotal(order.items, priceList);
 
-    // Remove inline keyboard only if messageId is provided (button click)
+    // Remove buttons only if messageId is provided (button click)
     // For manual responses (Y/Ya), messageId will be null, so skip this
     if (messageId) {
       try {
-        await editMessageReplyMarkup(chatId, messageId, null);
+        await getMessenger(sendMessage).clearButtons(chatId, messageId);
       } catch (error) {
         console.warn(`⚠️ [ORDER_CONFIRM] Could not remove keyboard (non-critical):`, error.message);
       }
@@ -285,62 +198,103 @@ export async function handleOrderConfirmation(chatId, orderId, messageId) {
     // Guard: Ensure invoice is valid before sending
     if (!invoice || typeof invoice !== 'string' || invoice.trim().length === 0) {
       console.error('❌ [ORDER_CONFIRM] Invoice is invalid:', invoice);
-      await sendTelegramMessage(chatId, INVOICE_ERROR);
+      await sendMessage(chatId, INVOICE_ERROR);
       return;
     }
 
     // Send invoice (ONLY ONCE) - This is the ONLY message sent on confirmation
     console.log('📄 [ORDER_CONFIRM] Sending invoice (recap) for order:', orderId);
-    await sendTelegramMessage(chatId, invoice);
+    await sendMessage(chatId, invoice);
     
-    // Mark invoice as sent (with TTL for cleanup)
-    sentInvoices.set(orderId, { sentAt: Date.now() });
-    
-    // Clean up old invoice tracking entries (older than 60 seconds)
-    const now = Date.now();
-    for (const [oid, data] of sentInvoices.entries()) {
-      if (now - data.sentAt > 60000) {
-        sentInvoices.delete(oid);
-      }
-    }
+    // Mark invoice as sent (expires after 10 seconds)
+    await markProcessed(PROCESSED_NAMESPACES.INVOICES, orderId, INVOICE_SENT_TTL_MS);
 
     // NOTE: Payment notification (💰 PEMBAYARAN PENUH) is NOT sent during confirmation.
     // Payment reminders are handled separately by the reminder system (H-4, H-3, H-1).
 
     return; // CRITICAL: Return early to prevent any other processing
   } catch (error) {
+    if (error.isCapacityExceeded) {
+      // Allow confirming again once capacity frees up (e.g. another order is cancelled)
+      await unmarkProcessed(PROCESSED_NAMESPACES.CONFIRMATIONS, confirmationKey);
+      await sendMessage(chatId, formatCapacityRejection(error.capacity));
+      return;
+    }
     console.error('❌ [ORDER_CONFIRM] Error confirming order:', error);
     console.error('❌ [ORDER_CONFIRM] Stack:', error.stack);
-    await sendTelegramMessage(chatId, '❌ Terjadi kesalahan saat mengkonfirmasi pesanan. Silakan coba lagi.');
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat mengkonfirmasi pesanan. Silakan coba lagi.');
     return; // CRITICAL: Return early even on error
   }
 }
 
 /**
  * Handle order cancellation (No button clicked or T/Tidak response)
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
  */
-export async function handleOrderCancellation(chatId, orderId, messageId) {
+export async function handleOrderCancellation(chatId, orderId, messageId, sendMessage = sendTelegramMessage) {
   try {
     // Update order status to "cancelled"
-    await updateOrderStatus(orderId, 'cancelled');
+    await updateOrderStatus(orderId, 'cancelled', { actorId: chatId, source: ORDER_EVENT_SOURCES.CUSTOMER_CHAT });
+
+    const cancellationText =
+      '❌ **Pesanan Dibatalkan**\n\nSilakan kirim ulang pesanan Anda dengan format yang benar.\n\nKetik /help untuk melihat format pesanan.';
 
     // Edit the confirmation message only if messageId is provided (button click)
     // For manual responses (T/Tidak), send a new message instead
     if (messageId) {
-      await editMessageText(
-        chatId,
-        messageId,
-        '❌ **Pesanan Dibatalkan**\n\nSilakan kirim ulang pesanan Anda dengan format yang benar.\n\nKetik /help untuk melihat format pesanan.'
-      );
-    } else {
-      // Manual response - send cancellation message
-      await sendTelegramMessage(
-        chatId,
-        '❌ **Pesanan Dibatalkan**\n\nSilakan kirim ulang pesanan Anda dengan format yang benar.\n\nKetik /help untuk melihat format pesanan.'
-      );
+      try {
+        await getMessenger(sendMessage).editText(chatId, messageId, cancellationText);
+        return;
+      } catch (error) {
+        console.warn(`⚠️ [ORDER_CANCEL] Could not edit confirmation message, sending a new one:`, error.message);
+      }
     }
+
+    // Manual response (or edit failed) - send cancellation message
+    await sendMessage(chatId, cancellationText);
   } catch (error) {
     console.error('❌ Error cancelling order:', error);
-    await sendTelegramMessage(chatId, '❌ Terjadi kesalahan saat membatalkan pesanan. Silakan coba lagi.');
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat membatalkan pesanan. Silakan coba lagi.');
+  }
+}
+
+/**
+ * Handle a Y/Ya/T/Tidak reply for the most recent pending order of a conversation
+ * @param {number|string} chatId - Chat ID
+ * @param {number|string} userId - User ID
+ * @param {Object} conversation - Conversation object (orders are matched by conversation_id)
+ * @param {string} messageText - Reply text
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ * @returns {Promise<boolean>} True if the text was a confirmation reply (handled), false otherwise
+ */
+export async function handleOrderConfirmationReply(chatId, userId, conversation, messageText, sendMessage = sendTelegramMessage) {
+  // Support case-insensitive: y, ya, yes, t, tidak, no
+  const normalizedText = (messageText || '').toLowerCase().trim();
+  const isOrderConfirmation = normalizedText === 'y' || normalizedText === 'ya' || normalizedText === 'yes';
+  const isOrderCancellation = normalizedText === 't' || normalizedText === 'tidak' || normalizedText === 'no';
+
+  if (!isOrderConfirmation && !isOrderCancellation) {
+    return false;
+  }
+
+  // Find most recent pending order for this conversation (all of its orders, newest first)
+  const customerOrders = await getOrdersByConversationId(conversation.id);
+  const pendingOrder = customerOrders.find(order => order.status === 'pending_confirmation') || null;
+
+  if (!pendingOrder) {
+    // Confirmation reply but no pending order - respond safely
+    console.log(`⚠️ [ORDER_CONFIRM] Confirmation reply but no pending order: chatId=${chatId}, userId=${userId}, reply="${normalizedText}"`);
+    await sendMessage(chatId, 'Tidak ada pesanan yang menunggu konfirmasi.');
+    return true;
+  }
+
+  console.log(`✅ [ORDER_CONFIRM] Processing ${isOrderConfirmation ? 'confirmation' : 'cancellation'}: chatId=${chatId}, userId=${userId}, orderId=${pendingOrder.id}, reply="${normalizedText}"`);
+
+  if (isOrderConfirmation) {
+    // Process confirmation (same as button click)
+    await handleOrderConfirmation(chatId, pendingOrder.id, null, sendMessage);
+  } else {
+    await handleOrderCancellation(chatId, pendingOrder.id, null, sendMessage);
   }
+  return true;
 }
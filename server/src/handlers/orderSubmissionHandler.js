@@ -0,0 +1,77 @@
+/**
+ * Order Submission Handler
+ * Turns a complete customer order (template sent with /pesan, or the /pesan wizard) into a saved order
+ * waiting for confirmation: items are resolved to product variants, the daily capacity is checked, the order
+ * is saved with status "pending_confirmation" and the confirmation message (Ya/Tidak) is sent.
+ */
+
+import { sendTelegramMessage } from '../services/telegramService.js';
+import { generateOrderId, saveOrder } from '../repos/orders.repo.js';
+import { getPriceList } from '../repos/price-list.repo.js';
+import { formatOrderSummary } from '../services/order-parser.js';
+import { calculateOrderTotal } from '../services/price-calculator.js';
+import { formatOrderConfirmation } from '../utils/order-formatter.js';
+import { checkOrderCapacity, isCapacityRejected, formatCapacityRejection } from '../services/capacity-checker.js';
+import { resolveOrderItems, formatItemClarification } from '../services/item-resolver.js';
+
+/**
+ * Save a validated order and send its confirmation
+ * @param {Object} params - { chatId, conversation, parsedOrder, priceList, replyToId }
+ *   parsedOrder: order fields as returned by the order parsers (validateOrder already passed)
+ *   replyToId: message to reply to (group chats)
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ * @returns {Promise<{submitted: boolean, orderId?: string, reason?: string}>}
+ *   reason: 'ambiguous_items' (clarification sent) or 'capacity' (rejection sent)
+ */
+export async function submitOrder({ chatId, conversation, parsedOrder, priceList = null, replyToId = null }, sendMessage = sendTelegramMessage) {
+  const prices = priceList || await getPriceList();
+
+  // Resolve items to product variants (size, toppings); ask the customer when one is unclear
+  const resolution = await resolveOrderItems(parsedOrder.items, prices);
+  if (resolution.ambiguities.length > 0) {
+    await sendMessage(chatId, formatItemClarification(resolution.ambiguities), null, replyToId);
+    return { submitted: false, reason: 'ambiguous_items' };
+  }
+
+  const orderId = await generateOrderId();
+  const orderData = {
+    id: orderId,
+    conversation_id: conversation.id,
+    customer_name: parsedOrder.customer_name,
+    phone_number: parsedOrder.phone_number,
+    address: parsedOrder.address,
+    event_name: parsedOrder.event_name,
+    event_duration: parsedOrder.event_duration,
+    event_date: parsedOrder.event_date,
+    delivery_time: parsedOrder.delivery_time,
+    items: resolution.items,
+    notes: parsedOrder.notes,
+    delivery_fee: parsedOrder.delivery_fee !== null && parsedOrder.delivery_fee !== undefined ? parsedOrder.delivery_fee : null,
+    delivery_fee_source: parsedOrder.delivery_fee_source || null,
+    delivery_method: parsedOrder.delivery_method || null,
+    promo_code: parsedOrder.promo_code || null,
+    status: 'pending',
+    created_at: new Date().toISOString(),
+  };
+
+  // Check daily production capacity before saving
+  const capacity = await checkOrderCapacity(orderData);
+  if (isCapacityRejected(capacity)) {
+    await sendMessage(chatId, formatCapacityRejection(capacity), null, replyToId);
+    return { submitted: false, reason: 'capacity' };
+  }
+
+  // Save with "pending_confirmation" status (reminders are handled by the daily job)
+  orderData.status = 'pending_confirmation';
+  await saveOrder(orderData);
+  console.log(`[ORDER_FLOW] saved order ok (order_id: ${orderId})`);
+
+  const orderSummary = formatOrderSummary(orderData);
+  const calculation = calculateOrderTotal(orderData.items, prices);
+
+  // Create confirmation message using shared formatter
+  const confirmationText = await formatOrderConfirmation(orderData, calculation, orderSummary, { capacity });
+  await sendMessage(chatId, confirmationText, null, replyToId);
+
+  return { submitted: true, orderId };
+}
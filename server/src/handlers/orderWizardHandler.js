@@ -0,0 +1,856 @@
+/**
+ * Order Wizard Handler
+ * Step-by-step order taking for /pesan without a template: the bot asks one field at a time and the customer
+ * answers by typing or with buttons (calendar for the date, Pickup/GrabExpress/Custom, menu items from the
+ * PriceList). "Kembali" goes one step back, the summary has "Ubah" to change any field, and "Kirim Pesanan"
+ * sends the order through the same confirmation flow as template orders (submitOrder).
+ *
+ * Only in private chats on channels with button grids (Telegram, web chat). WhatsApp allows 3 buttons or a
+ * 10-row list per message - no calendar - so /pesan there keeps asking for the template.
+ *
+ * The session is the order state of the chat (mode 'WIZARD', see state/store.js), so it expires after
+ * ORDER_STATE_TTL_MS without an answer. Button actions: ORDER_WIZARD_ACTION_PREFIX + "<command>[:<value>]".
+ */
+
+import { getOrderState, setOrderState, clearOrderState, getChatStateKey, acquireLock, releaseLock } from '../state/store.js';
+import { sendTelegramMessage } from '../services/telegramService.js';
+import { getMessenger, createButton, createTextMessage } from '../services/messaging/index.js';
+import { getOrCreateConversation } from '../repos/conversations.repo.js';
+import { getPriceList } from '../repos/price-list.repo.js';
+import { getPackagingRules } from '../repos/packaging-rules.repo.js';
+import { detectOrderFormat, validateOrder } from '../services/order-parser.js';
+import { getUnitPriceFromPriceList, normalizeDeliveryTime } from '../services/price-calculator.js';
+import { resolveOrderItems, formatItemClarification } from '../services/item-resolver.js';
+import { normalizeEventDate, getTodayJakarta } from '../utils/date-utils.js';
+import { normalizeDeliveryMethod } from '../utils/text-normalizer.js';
+import { formatCurrencyIDR } from '../utils/formatting.js';
+import { PLATFORMS, DELIVERY_METHODS, DELIVERY_FEE_SOURCE, ORDER_WIZARD_ACTION_PREFIX } from '../utils/constants.js';
+import { submitOrder } from './orderSubmissionHandler.js';
+
+const WIZARD_MODE = 'WIZARD';
+
+// Channels whose buttons can carry the calendar and the menu
+const WIZARD_PLATFORMS = [PLATFORMS.TELEGRAM, PLATFORMS.WEB];
+
+// Questions in order; the summary comes after the last one
+const STEPS = ['name', 'phone', 'address', 'date', 'time', 'items', 'packaging', 'delivery', 'promo', 'notes'];
+
+// Steps outside the sequence
+const SUMMARY_STEP = 'summary';
+const QUANTITY_STEP = 'quantity'; // Quantity of the menu item just picked (back to 'items')
+const EDIT_STEP = 'edit'; // Field picker opened with "Ubah" (back to the summary)
+
+// Field names on the "Ubah" picker
+const STEP_LABELS = {
+  name: 'Nama',
+  phone: 'No HP',
+  address: 'Alamat',
+  date: 'Tanggal',
+  time: 'Jam Kirim',
+  items: 'Pesanan',
+  packaging: 'Packaging',
+  delivery: 'Pengiriman',
+  promo: 'Kode Promo',
+  notes: 'Catatan',
+};
+
+// Buttons accepted by each step (back, cancel and noop work everywhere)
+const STEP_ACTIONS = {
+  date: ['cal', 'date'],
+  items: ['item', 'items_done', 'items_clear'],
+  [QUANTITY_STEP]: ['qty'],
+  packaging: ['pack'],
+  delivery: ['delivery'],
+  promo: ['skip'],
+  notes: ['skip'],
+  [SUMMARY_STEP]: ['submit', 'edit'],
+  [EDIT_STEP]: ['field'],
+};
+
+const QUANTITY_OPTIONS = [1, 5, 10, 25, 50, 100];
+const MAX_QUANTITY = 9999;
+const MAX_CALENDAR_MONTHS_AHEAD = 6;
+
+const MONTH_NAMES = ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni', 'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'];
+const WEEKDAY_LABELS = ['Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab', 'Min'];
+
+// Typed answers that skip an optional field or answer a yes/no question
+const NONE_ANSWERS = ['-', 'tidak ada', 'tidak', 'gak ada', 'ga ada', 'skip', 'lewati'];
+const YES_ANSWERS = ['ya', 'y', 'yes', 'iya', 'mau'];
+const NO_ANSWERS = ['tidak', 't', 'no', 'tdk', 'gak', 'nggak', 'ga'];
+
+/**
+ * Build a wizard button
+ */
+function wizardButton(label, command, value = null) {
+  return createButton(label, `${ORDER_WIZARD_ACTION_PREFIX}${command}${value !== null ? `:${value}` : ''}`);
+}
+
+/**
+ * Check whether the wizard can run for a /pesan message
+ * @param {Object} message - Telegram-shaped message (platform set by the WhatsApp/web routers)
+ * @returns {boolean} True in private chats on Telegram and web chat
+ */
+export function isOrderWizardAvailable(message) {
+  return message.chat?.type === 'private' && WIZARD_PLATFORMS.includes(message.platform || PLATFORMS.TELEGRAM);
+}
+
+/**
+ * Get the menu items that can be picked: PriceList names without item_code aliases and packaging
+ * (packaging is its own question)
+ * @returns {Array} [{ name, price }]
+ */
+function buildMenu(priceList, rules) {
+  const packagingItems = new Set(rules.map(rule => rule.priceItem.toLowerCase()));
+  return Object.entries(priceList || {})
+    .filter(([name]) => !/^[A-Z0-9][A-Z0-9_+-]*$/.test(name)) // item_code aliases, e.g. "DWT-S"
+    .filter(([name]) => !packagingItems.has(name.toLowerCase()))
+    .map(([name, price]) => ({ name, price }));
+}
+
+/**
+ * Get the packaging rules the customer chooses (opt-in)
+ */
+async function getOptInRules() {
+  return (await getPackagingRules()).filter(rule => rule.optIn);
+}
+
+/**
+ * Save the wizard session (restarts the expiry)
+ */
+async function saveSession(session) {
+  await setOrderState(session.chatId, session.userId, session.chatType, WIZARD_MODE, session);
+}
+
+/**
+ * Start the wizard (replaces any session or AWAITING_FORM state of the chat)
+ * @param {Object} message - /pesan message
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ */
+export async function startOrderWizard(message, sendMessage = sendTelegramMessage) {
+  const chatId = message.chat.id;
+  const [priceList, rules] = await Promise.all([getPriceList(), getPackagingRules()]);
+  const menu = buildMenu(priceList, rules);
+
+  if (menu.length === 0) {
+    console.warn('⚠️ [ORDER_WIZARD] PriceList is empty, asking for the template instead');
+    await setOrderState(chatId, message.from?.id, message.chat.type, 'AWAITING_FORM');
+    await sendMessage(chatId, 'Silakan paste format pesanan yang sudah diisi ya kak 😊\n(Template ada di /help)');
+    return;
+  }
+
+  const session = {
+    chatId,
+    userId: message.from?.id,
+    chatType: message.chat.type,
+    platform: message.platform || PLATFORMS.TELEGRAM,
+    userName: message.from?.first_name || message.from?.username || 'Unknown',
+    step: STEPS[0],
+    editing: false,
+    menu,
+    selectedItem: null,
+    calendarMonth: getTodayJakarta().slice(0, 7),
+    packagingIndex: 0,
+    order: {
+      customer_name: null,
+      phone_number: null,
+      address: null,
+      event_date: null, // DD/MM/YYYY, as in the template
+      delivery_time: null,
+      items: [],
+      packaging: {}, // rule name → true/false
+      delivery_method: null,
+      promo_code: null,
+      notes: null,
+    },
+  };
+
+  await saveSession(session);
+  console.log(`🧭 [ORDER_WIZARD] Started for chat ${chatId} (${menu.length} menu items)`);
+  await sendMessage(chatId,
+    '📝 **Pesan lewat bot**\n\n' +
+    'Aku akan tanya detail pesanan satu per satu ya kak 😊\n' +
+    'Ketik "kembali" untuk mengubah jawaban sebelumnya atau "batal" untuk berhenti.\n' +
+    '(Sudah punya format pesanan lengkap? Paste saja langsung.)'
+  );
+  await sendPrompt(session, sendMessage);
+}
+
+/**
+ * Format the items of the session ("• 2 x Dawet Kemayu Small")
+ */
+function formatItems(items) {
+  return items.map(item => `• ${item.quantity} x ${item.name}`).join('\n');
+}
+
+/**
+ * Format DD/MM/YYYY with the Indonesian month name ("19 Oktober 2026")
+ */
+function formatDisplayDate(eventDate) {
+  const [day, month, year] = String(eventDate || '').split('/').map(part => parseInt(part, 10));
+  return day && month && year ? `${day} ${MONTH_NAMES[month - 1]} ${year}` : (eventDate || '-');
+}
+
+/**
+ * Get the price of one package of a rule (for the packaging question)
+ */
+function getRulePrice(rule, priceList) {
+  return rule.price !== null ? rule.price : getUnitPriceFromPriceList(rule.priceItem, priceList || {});
+}
+
+/**
+ * Build the calendar buttons of a month ("YYYY-MM"): navigation, weekdays, then one button per day
+ * Days before today are shown as "·" and cannot be picked
+ * @returns {{buttons: Array, layout: Array}}
+ */
+function buildCalendar(month, todayISO) {
+  const [year, monthNumber] = month.split('-').map(part => parseInt(part, 10));
+  const firstWeekday = (new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay() + 6) % 7; // Monday = 0
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+  const shiftMonth = (delta) => {
+    const date = new Date(Date.UTC(year, monthNumber - 1 + delta, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  };
+  const firstMonth = todayISO.slice(0, 7);
+  const lastMonth = (() => {
+    const [todayYear, todayMonth] = firstMonth.split('-').map(part => parseInt(part, 10));
+    const date = new Date(Date.UTC(todayYear, todayMonth - 1 + MAX_CALENDAR_MONTHS_AHEAD, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  })();
+
+  const buttons = [
+    month > firstMonth ? wizardButton('◀️', 'cal', shiftMonth(-1)) : wizardButton('·', 'noop'),
+    wizardButton(`${MONTH_NAMES[monthNumber - 1]} ${year}`, 'noop'),
+    month < lastMonth ? wizardButton('▶️', 'cal', shiftMonth(1)) : wizardButton('·', 'noop'),
+    ...WEEKDAY_LABELS.map(label => wizardButton(label, 'noop')),
+  ];
+  const layout = [3, 7];
+
+  const cells = firstWeekday + daysInMonth;
+  const totalCells = Math.ceil(cells / 7) * 7;
+  for (let cell = 0; cell < totalCells; cell++) {
+    const day = cell - firstWeekday + 1;
+    const dateISO = `${month}-${String(day).padStart(2, '0')}`;
+    if (day < 1 || day > daysInMonth || dateISO < todayISO) {
+      buttons.push(wizardButton('·', 'noop'));
+    } else {
+      buttons.push(wizardButton(String(day), 'date', dateISO));
+    }
+    if (cell % 7 === 6) {
+      layout.push(7);
+    }
+  }
+
+  return { buttons, layout };
+}
+
+/**
+ * Build the prompt of the current step
+ * @returns {Promise<Object>} Message
+ */
+async function buildPrompt(session) {
+  const { order } = session;
+  const navigation = session.step === STEPS[0] && !session.editing
+    ? [wizardButton('❌ Batal', 'cancel')]
+    : [wizardButton('⬅️ Kembali', 'back'), wizardButton('❌ Batal', 'cancel')];
+  const withNavigation = (text, buttons = [], layout = null) => createTextMessage(text, {
+    buttons: [...buttons, ...navigation],
+    layout: [...(layout || buttons.map(() => 1)), navigation.length],
+  });
+
+  switch (session.step) {
+    case 'name':
+      return withNavigation('👤 Siapa **nama pemesan**?');
+    case 'phone':
+      return withNavigation('📞 **No HP penerima**? (contoh: 081234567890)');
+    case 'address':
+      return withNavigation('📍 **Alamat penerima** lengkap? (jalan, nomor, kelurahan/kecamatan, patokan)');
+    case 'date': {
+      const { buttons, layout } = buildCalendar(session.calendarMonth, getTodayJakarta());
+      return withNavigation('📅 Pilih **tanggal pengiriman** (atau ketik DD/MM/YYYY):', buttons, layout);
+    }
+    case 'time':
+      return withNavigation('🕐 **Jam kirim**? Ketik jamnya, contoh: 10:00');
+    case 'items': {
+      const cart = new Map(order.items.map(item => [item.name, item.quantity]));
+      const buttons = session.menu.map((menuItem, index) => {
+        const quantity = cart.get(menuItem.name);
+        const label = quantity
+          ? `✅ ${quantity} x ${menuItem.name}`
+          : `${menuItem.name} · ${formatCurrencyIDR(menuItem.price)}`;
+        return wizardButton(label, 'item', index);
+      });
+      const cartButtons = order.items.length > 0
+        ? [wizardButton('✅ Selesai', 'items_done'), wizardButton('🗑️ Kosongkan', 'items_clear')]
+        : [];
+      const text = order.items.length > 0
+        ? `🧾 **Pesanan:**\n${formatItems(order.items)}\n\nPilih item lagi untuk menambah/mengubah jumlah, atau tekan **Selesai**.`
+        : '🧾 Pilih **item pesanan** dari menu (atau ketik, contoh: 20 x Dawet Kemayu Small):';
+      return withNavigation(text, [...buttons, ...cartButtons], [...buttons.map(() => 1), ...(cartButtons.length ? [2] : [])]);
+    }
+    case QUANTITY_STEP: {
+      const menuItem = session.menu[session.selectedItem];
+      const current = order.items.find(item => item.name === menuItem.name);
+      const buttons = QUANTITY_OPTIONS.map(quantity => wizardButton(String(quantity), 'qty', quantity));
+      return withNavigation(
+        `🔢 Berapa **${menuItem.name}**? (${formatCurrencyIDR(menuItem.price)} per item)\n` +
+        'Pilih atau ketik jumlahnya' + (current ? ` - sekarang ${current.quantity}, ketik 0 untuk menghapus.` : '.'),
+        buttons,
+        [3, 3]
+      );
+    }
+    case 'packaging': {
+      const rules = await getOptInRules();
+      const rule = rules[session.packagingIndex];
+      const price = getRulePrice(rule, await getPriceList());
+      const capacity = rule.unitsPerPackage > 1 && rule.unit ? ` untuk ${rule.unitsPerPackage} ${rule.unit}` : '';
+      const priceText = price ? ` (1 box ${formatCurrencyIDR(price)}${capacity})` : '';
+      return withNavigation(
+        `📦 Pakai **${rule.name}**${priceText}?`,
+        [wizardButton('Ya', 'pack', 'yes'), wizardButton('Tidak', 'pack', 'no')],
+        [2]
+      );
+    }
+    case 'delivery':
+      return withNavigation(
+        '🚚 **Metode pengiriman**?',
+        [DELIVERY_METHODS.PICKUP, DELIVERY_METHODS.GRAB_EXPRESS, DELIVERY_METHODS.CUSTOM].map(method => wizardButton(method, 'delivery', method)),
+        [3]
+      );
+    case 'promo':
+      return withNavigation('🎟️ Punya **kode promo**? Ketik kodenya, atau tekan Tidak Ada.', [wizardButton('Tidak Ada', 'skip')]);
+    case 'notes':
+      return withNavigation('📝 Ada **catatan** untuk pesanan ini? Ketik catatannya, atau tekan Tidak Ada.', [wizardButton('Tidak Ada', 'skip')]);
+    case SUMMARY_STEP:
+      return createTextMessage(await formatSummary(session), {
+        buttons: [wizardButton('✅ Kirim Pesanan', 'submit'), wizardButton('✏️ Ubah', 'edit'), wizardButton('❌ Batal', 'cancel')],
+        layout: [1, 2],
+      });
+    case EDIT_STEP: {
+      const rules = await getOptInRules();
+      const fields = STEPS.filter(step => step !== 'packaging' || rules.length > 0);
+      const layout = fields.map((field, index) => index % 2 === 0 ? Math.min(2, fields.length - index) : 0).filter(Boolean);
+      return createTextMessage('✏️ Bagian mana yang mau diubah?', {
+        buttons: [...fields.map(step => wizardButton(STEP_LABELS[step], 'field', step)), wizardButton('⬅️ Kembali', 'back')],
+        layout: [...layout, 1],
+      });
+    }
+    default:
+      throw new Error(`Unknown order wizard step "${session.step}"`);
+  }
+}
+
+/**
+ * Format the summary shown before the order is sent
+ */
+async function formatSummary(session) {
+  const { order } = session;
+  const rules = await getOptInRules();
+
+  let text = '📋 **Ringkasan Pesanan**\n\n';
+  text += `👤 Nama: ${order.customer_name || '-'}\n`;
+  text += `📞 HP: ${order.phone_number || '-'}\n`;
+  text += `📍 Alamat: ${order.address || '-'}\n\n`;
+  text += `📅 Tanggal: ${formatDisplayDate(order.event_date)}\n`;
+  text += `🕐 Jam Kirim: ${order.delivery_time || '-'}\n`;
+  text += `🚚 Pengiriman: ${order.delivery_method || '-'}\n\n`;
+  text += `🧾 Pesanan:\n${formatItems(order.items)}\n`;
+  for (const rule of rules) {
+    text += `📦 ${rule.name}: ${order.packaging[rule.name] ? 'Ya' : 'Tidak'}\n`;
+  }
+  text += `\n🎟️ Kode Promo: ${order.promo_code || '-'}\n`;
+  text += `📝 Catatan: ${order.notes || '-'}\n\n`;
+  text += 'Harga, ongkir dan total dihitung setelah pesanan dikirim. Sudah benar?';
+  return text;
+}
+
+/**
+ * Send the prompt of the current step
+ */
+async function sendPrompt(session, sendMessage) {
+  await getMessenger(sendMessage).send(session.chatId, await buildPrompt(session));
+}
+
+/**
+ * Move to the next question (or back to the summary when a field is being changed)
+ */
+async function goForward(session) {
+  if (session.editing) {
+    session.editing = false;
+    session.step = SUMMARY_STEP;
+    return;
+  }
+
+  let index = STEPS.indexOf(session.step) + 1;
+  if (STEPS[index] === 'packaging' && (await getOptInRules()).length === 0) {
+    index++;
+  }
+  session.step = index < STEPS.length ? STEPS[index] : SUMMARY_STEP;
+  session.packagingIndex = 0;
+}
+
+/**
+ * Move one step back
+ */
+async function goBack(session) {
+  if (session.step === QUANTITY_STEP) {
+    session.step = 'items';
+    return;
+  }
+  if (session.step === EDIT_STEP || session.editing) {
+    session.editing = false;
+    session.step = SUMMARY_STEP;
+    return;
+  }
+  if (session.step === 'packaging' && session.packagingIndex > 0) {
+    session.packagingIndex--;
+    return;
+  }
+
+  const rules = await getOptInRules();
+  let index = session.step === SUMMARY_STEP ? STEPS.length - 1 : STEPS.indexOf(session.step) - 1;
+  if (STEPS[index] === 'packaging' && rules.length === 0) {
+    index--;
+  }
+  if (index < 0) {
+    return; // First question: nothing before it
+  }
+  session.step = STEPS[index];
+  session.packagingIndex = session.step === 'packaging' ? rules.length - 1 : 0;
+}
+
+/**
+ * Answer the packaging question of the current rule (next rule, or the next step after the last one)
+ */
+async function answerPackaging(session, wanted) {
+  const rules = await getOptInRules();
+  session.order.packaging[rules[session.packagingIndex].name] = wanted;
+  if (session.packagingIndex < rules.length - 1) {
+    session.packagingIndex++;
+    return;
+  }
+  await goForward(session);
+}
+
+/**
+ * Set the quantity of the picked menu item (0 removes it) and go back to the menu
+ */
+function setItemQuantity(session, quantity) {
+  const { name } = session.menu[session.selectedItem];
+  const { items } = session.order;
+  if (quantity <= 0) {
+    session.order.items = items.filter(item => item.name !== name);
+  } else if (items.some(item => item.name === name)) {
+    session.order.items = items.map(item => item.name === name ? { name, quantity } : item);
+  } else {
+    session.order.items = [...items, { name, quantity }];
+  }
+  session.selectedItem = null;
+  session.step = 'items';
+}
+
+/**
+ * Pick a date (YYYY-MM-DD, today or later)
+ * @returns {string|null} Error message, or null when accepted
+ */
+async function setEventDate(session, dateISO) {
+  if (dateISO < getTodayJakarta()) {
+    return '❌ Tanggal sudah lewat. Pilih tanggal hari ini atau setelahnya ya kak.';
+  }
+  const [year, month, day] = dateISO.split('-');
+  session.order.event_date = `${day}/${month}/${year}`;
+  session.calendarMonth = `${year}-${month}`;
+  await goForward(session);
+  return null;
+}
+
+/**
+ * Parse typed order lines ("20 x Dawet Kemayu Small") against the menu
+ * @returns {{items: Array, unknown: Array}}
+ */
+function parseTypedItems(text, menu) {
+  const items = [];
+  const unknown = [];
+  for (const line of text.split('\n').map(part => part.trim()).filter(Boolean)) {
+    const match = line.match(/^(?:[•\-*]\s*)?(\d+)\s*(?:x|\*)?\s*(.+)$/i);
+    const menuItem = match && menu.find(candidate => candidate.name.toLowerCase() === match[2].trim().toLowerCase());
+    if (menuItem && parseInt(match[1], 10) > 0) {
+      items.push({ name: menuItem.name, quantity: Math.min(parseInt(match[1], 10), MAX_QUANTITY) });
+    } else {
+      unknown.push(line);
+    }
+  }
+  return { items, unknown };
+}
+
+/**
+ * Apply a typed answer to the current step
+ * @returns {Promise<string|null>} Error message (the question is asked again), or null when accepted
+ */
+async function applyTextAnswer(session, text) {
+  const { order } = session;
+  const lower = text.toLowerCase();
+
+  switch (session.step) {
+    case 'name':
+      if (text.length < 2 || text.length > 100) {
+        return '❌ Nama belum valid. Ketik nama pemesan ya kak.';
+      }
+      order.customer_name = text;
+      break;
+    case 'phone': {
+      const digits = text.replace(/[\s().-]/g, '').replace(/^\+/, '');
+      if (!/^\d{8,15}$/.test(digits)) {
+        return '❌ No HP belum valid. Contoh: 081234567890';
+      }
+      order.phone_number = text;
+      break;
+    }
+    case 'address':
+      if (text.length < 5) {
+        return '❌ Alamat terlalu pendek. Mohon tulis alamat lengkap ya kak.';
+      }
+      order.address = text;
+      break;
+    case 'date': {
+      let dateISO;
+      try {
+        dateISO = normalizeEventDate(text);
+      } catch (error) {
+        return '❌ Format tanggal belum sesuai. Pilih dari kalender atau ketik DD/MM/YYYY, contoh: 25/12/2026';
+      }
+      return await setEventDate(session, dateISO);
+    }
+    case 'time':
+      try {
+        order.delivery_time = normalizeDeliveryTime(text.replace(/\./g, ':'));
+      } catch (error) {
+        return '❌ Format jam belum sesuai. Contoh: 10:00';
+      }
+      break;
+    case 'items': {
+      const { items, unknown } = parseTypedItems(text, session.menu);
+      if (unknown.length > 0) {
+        return `❌ Item tidak ada di menu: ${unknown.join(', ')}\nPilih dari tombol menu ya kak.`;
+      }
+      for (const item of items) {
+        session.selectedItem = session.menu.findIndex(menuItem => menuItem.name === item.name);
+        setItemQuantity(session, item.quantity);
+      }
+      return null; // Stay on the menu: more items can be added before "Selesai"
+    }
+    case QUANTITY_STEP: {
+      const quantity = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+      if (isNaN(quantity) || quantity > MAX_QUANTITY) {
+        return `❌ Jumlah belum valid. Ketik angka 1-${MAX_QUANTITY} (0 untuk menghapus).`;
+      }
+      setItemQuantity(session, quantity);
+      return null;
+    }
+    case 'packaging':
+      if (YES_ANSWERS.includes(lower) || NO_ANSWERS.includes(lower)) {
+        await answerPackaging(session, YES_ANSWERS.includes(lower));
+        return null;
+      }
+      return '❌ Jawab Ya atau Tidak ya kak.';
+    case 'delivery': {
+      const method = normalizeDeliveryMethod(text);
+      if (![DELIVERY_METHODS.PICKUP, DELIVERY_METHODS.GRAB_EXPRESS, DELIVERY_METHODS.CUSTOM].includes(method)) {
+        return '❌ Pilih Pickup, GrabExpress atau Custom ya kak.';
+      }
+      order.delivery_method = method;
+      break;
+    }
+    case 'promo':
+      order.promo_code = NONE_ANSWERS.includes(lower) ? null : text.toUpperCase();
+      break;
+    case 'notes':
+      order.notes = NONE_ANSWERS.includes(lower) ? null : text;
+      break;
+    default:
+      return '👆 Silakan pilih dengan tombol di atas ya kak.';
+  }
+
+  await goForward(session);
+  return null;
+}
+
+/**
+ * Apply a button action to the current step
+ * @returns {Promise<string|null>} Error message, or null when accepted
+ */
+async function applyAction(session, command, value) {
+  switch (command) {
+    case 'back':
+      await goBack(session);
+      return null;
+    case 'cal':
+      if (!/^\d{4}-\d{2}$/.test(value || '')) {
+        return '❌ Bulan tidak valid.';
+      }
+      session.calendarMonth = value;
+      return null;
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        return '❌ Tanggal tidak valid.';
+      }
+      return await setEventDate(session, value);
+    case 'item': {
+      const index = parseInt(value, 10);
+      if (!session.menu[index]) {
+        return '❌ Item tidak ditemukan.';
+      }
+      session.selectedItem = index;
+      session.step = QUANTITY_STEP;
+      return null;
+    }
+    case 'qty': {
+      const quantity = parseInt(value, 10);
+      if (isNaN(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        return '❌ Jumlah tidak valid.';
+      }
+      setItemQuantity(session, quantity);
+      return null;
+    }
+    case 'items_clear':
+      session.order.items = [];
+      return null;
+    case 'items_done':
+      await goForward(session);
+      return null;
+    case 'pack':
+      await answerPackaging(session, value === 'yes');
+      return null;
+    case 'delivery':
+      session.order.delivery_method = value;
+      await goForward(session);
+      return null;
+    case 'skip':
+      session.order[session.step === 'promo' ? 'promo_code' : 'notes'] = null;
+      await goForward(session);
+      return null;
+    case 'edit':
+      session.step = EDIT_STEP;
+      return null;
+    case 'field':
+      if (!STEPS.includes(value)) {
+        return '❌ Bagian tidak dikenali.';
+      }
+      session.step = value;
+      session.editing = true;
+      session.packagingIndex = 0;
+      return null;
+    default:
+      return '❌ Aksi tidak dikenali.';
+  }
+}
+
+/**
+ * Build the order fields expected by submitOrder (same shape as the template parsers)
+ */
+async function toParsedOrder(session) {
+  const { order } = session;
+  const rules = await getOptInRules();
+  const packagingNotes = rules
+    .filter(rule => order.packaging[rule.name])
+    .map(rule => `${rule.name}: YA`); // Read by the packaging calculator like the template line
+
+  return {
+    customer_name: order.customer_name,
+    phone_number: order.phone_number,
+    address: order.address,
+    event_name: null,
+    event_duration: null,
+    event_date: order.event_date,
+    delivery_time: order.delivery_time,
+    items: order.items.map(item => ({ name: item.name, quantity: item.quantity })),
+    notes: [...packagingNotes, ...(order.notes ? [order.notes] : [])],
+    delivery_fee: 0,
+    delivery_fee_source: DELIVERY_FEE_SOURCE.NOT_PROVIDED, // Ongkir is set by admin (or Delivery_Zones) like template orders
+    delivery_method: order.delivery_method,
+    promo_code: order.promo_code,
+  };
+}
+
+/**
+ * Send the order: same flow as a template sent with /pesan
+ * The session is cleared first, so the Ya/Tidak reply reaches the order confirmation; it is restored at the
+ * summary when the order could not be saved as it is (unclear item, capacity full).
+ */
+async function submitWizardOrder(session, conversation, sendMessage) {
+  const parsedOrder = await toParsedOrder(session);
+  const validation = validateOrder(parsedOrder);
+  if (!validation.valid) {
+    const missing = STEPS.find(step => (step === 'name' && !parsedOrder.customer_name) ||
+      (step === 'phone' && !parsedOrder.phone_number) ||
+      (step === 'address' && !parsedOrder.address) ||
+      (step === 'items' && parsedOrder.items.length === 0));
+    session.step = missing || SUMMARY_STEP;
+    session.editing = true;
+    await saveSession(session);
+    await sendMessage(session.chatId, '❌ Data pesanan belum lengkap, mohon dilengkapi dulu ya kak.');
+    await sendPrompt(session, sendMessage);
+    return;
+  }
+
+  // Unclear items (e.g. a size to choose) are asked here, so the customer can fix them in the wizard
+  const priceList = await getPriceList();
+  const resolution = await resolveOrderItems(parsedOrder.items, priceList);
+  if (resolution.ambiguities.length > 0) {
+    session.step = 'items';
+    session.editing = true;
+    await saveSession(session);
+    await sendMessage(session.chatId, formatItemClarification(resolution.ambiguities, 'Silakan ubah pesanan di bawah ya kak 🙏'));
+    await sendPrompt(session, sendMessage);
+    return;
+  }
+
+  await clearOrderState(session.chatId, session.userId, session.chatType);
+  const customerConversation = conversation ||
+    await getOrCreateConversation(session.chatId, session.userName, session.userId, session.platform);
+
+  const result = await submitOrder({ chatId: session.chatId, conversation: customerConversation, parsedOrder, priceList }, sendMessage);
+  if (result.submitted) {
+    console.log(`✅ [ORDER_WIZARD] Order ${result.orderId} sent for confirmation (chat ${session.chatId})`);
+    return;
+  }
+
+  session.step = SUMMARY_STEP;
+  session.editing = false;
+  await saveSession(session);
+  await sendPrompt(session, sendMessage);
+}
+
+/**
+ * Send the order once per tap on "Kirim Pesanan"
+ * A second tap (or a retried callback with a new ID) finds the chat's lock taken, or the wizard no longer
+ * at the summary when the state is read again under the lock, and does nothing.
+ */
+async function submitWizardOrderOnce(session, conversation, sendMessage) {
+  const lockName = `order_wizard:${getChatStateKey(session.chatId, session.userId, session.chatType)}`;
+  const lockToken = await acquireLock(lockName);
+  if (!lockToken) {
+    console.log(`🔒 [ORDER_WIZARD] Order of chat ${session.chatId} is already being sent`);
+    return;
+  }
+
+  try {
+    const state = await getOrderState(session.chatId, session.userId, session.chatType);
+    if (state?.mode !== WIZARD_MODE || state.data?.step !== SUMMARY_STEP) {
+      console.log(`🔒 [ORDER_WIZARD] Order of chat ${session.chatId} was already sent`);
+      return;
+    }
+    await submitWizardOrder(state.data, conversation, sendMessage);
+  } finally {
+    await releaseLock(lockName, lockToken);
+  }
+}
+
+/**
+ * Cancel the wizard
+ */
+async function cancelWizard(session, sendMessage) {
+  await clearOrderState(session.chatId, session.userId, session.chatType);
+  console.log(`🧭 [ORDER_WIZARD] Cancelled for chat ${session.chatId}`);
+  await sendMessage(session.chatId, '❌ Pemesanan dibatalkan. Ketik /pesan untuk mulai lagi kapan saja 😊');
+}
+
+/**
+ * Handle a typed message while the wizard is running
+ * A full order template pasted mid-wizard ends the wizard and is parsed as a template order.
+ * @param {Object} message - Telegram-shaped message (private chat)
+ * @param {Object} conversation - Conversation object
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ * @returns {Promise<boolean>} True if the message was an answer to the wizard
+ */
+export async function handleOrderWizardMessage(message, conversation, sendMessage = sendTelegramMessage) {
+  const state = await getOrderState(message.chat.id, message.from?.id, message.chat.type);
+  if (state?.mode !== WIZARD_MODE || !state.data) {
+    return false;
+  }
+
+  const session = state.data;
+  const text = String(message.text || '').trim();
+  if (!text) {
+    return false;
+  }
+
+  if (detectOrderFormat(text) === 'v2') {
+    await clearOrderState(session.chatId, session.userId, session.chatType);
+    console.log(`🧭 [ORDER_WIZARD] Template pasted, wizard ended for chat ${session.chatId}`);
+    return false;
+  }
+
+  const lower = text.toLowerCase();
+  if (lower === 'batal') {
+    await cancelWizard(session, sendMessage);
+    return true;
+  }
+
+  const error = lower === 'kembali'
+    ? (await goBack(session), null)
+    : await applyTextAnswer(session, text);
+  if (error) {
+    await sendMessage(session.chatId, error);
+  }
+
+  await saveSession(session);
+  await sendPrompt(session, sendMessage);
+  return true;
+}
+
+/**
+ * Handle a wizard button
+ * @param {Object} params - { chatId, userId, chatType, action, messageId, conversation }
+ *   conversation (optional): the customer's conversation (web chat); looked up when the order is sent otherwise
+ * @param {Function} sendMessage - Function to send reply (default: sendTelegramMessage)
+ */
+export async function handleOrderWizardAction({ chatId, userId, chatType, action, messageId = null, conversation = null }, sendMessage = sendTelegramMessage) {
+  const [command, ...rest] = action.slice(ORDER_WIZARD_ACTION_PREFIX.length).split(':');
+  const value = rest.join(':') || null;
+  if (command === 'noop') {
+    return;
+  }
+
+  const state = await getOrderState(chatId, userId, chatType);
+  if (state?.mode !== WIZARD_MODE || !state.data) {
+    await sendMessage(chatId, '⏱️ Sesi pemesanan sudah berakhir. Ketik /pesan untuk mulai lagi.');
+    return;
+  }
+  const session = state.data;
+
+  // Buttons of an earlier question do nothing (back/cancel always work)
+  const isGlobal = command === 'back' || command === 'cancel';
+  if (!isGlobal && !(STEP_ACTIONS[session.step] || []).includes(command)) {
+    await sendMessage(chatId, '⚠️ Tombol ini sudah tidak berlaku.');
+    await sendPrompt(session, sendMessage);
+    return;
+  }
+
+  // Remove buttons of the answered question to prevent double-click
+  if (messageId) {
+    try {
+      await getMessenger(sendMessage).clearButtons(chatId, messageId);
+    } catch (error) {
+      console.warn(`⚠️ [ORDER_WIZARD] Could not remove buttons (non-critical):`, error.message);
+    }
+  }
+
+  if (command === 'cancel') {
+    await cancelWizard(session, sendMessage);
+    return;
+  }
+  if (command === 'submit') {
+    await submitWizardOrderOnce(session, conversation, sendMessage);
+    return;
+  }
+
+  const error = await applyAction(session, command, value);
+  if (error) {
+    await sendMessage(chatId, error);
+  }
+
+  await saveSession(session);
+  await sendPrompt(session, sendMessage);
+}
@@ -3,10 +3,11 @@
  * Handles payment confirmation responses (Ya/Y or Tidak/T)
  */
 
-import { pendingPaymentConfirmations } from '../state/store.js';
+import { takePendingPaymentConfirmation } from '../state/store.js';
 import { recalculateOrderPaymentSummary } from '../repos/orders.repo.js';
 import { createPaymentRecord } from '../repos/payment-history.repo.js';
 import { formatCurrencyIDR } from '../utils/formatting.js';
+import { ORDER_EVENT_SOURCES } from '../utils/constants.js';
 
 /**
  * Handle payment confirmation (Ya/Y or Tidak/T response)
@@ -26,22 +27,12 @@ export async function handlePaymentConfirmation(chatId, userId, response, sendMe
     return false; // Not a payment confirmation
   }
 
-  // Find pending confirmation for this user
-  let foundKey = null;
-  for (const [key, data] of pendingPaymentConfirmations.entries()) {
-    if (key.startsWith(`${userId}:`)) {
-      foundKey = key;
-      break;
-    }
-  }
-  
-  if (!foundKey) {
+  // Find (and consume) pending confirmation for this user
+  const confirmation = await takePendingPaymentConfirmation(userId);
+  if (!confirmation) {
     return false; // No pending confirmation
   }
   
-  const confirmation = pendingPaymentConfirmations.get(foundKey);
-  pendingPaymentConfirmations.delete(foundKey);
-  
   if (isConfirm) {
     // AUTO-APPROVE: User confirmed payment
     try {
@@ -80,7 +71,11 @@ export async function handlePaymentConfirmation(chatId, userId, response, sendMe
       // Recalculate order payment summary from Payment_History
       let summary;
       try {
-        summary = await recalculateOrderPaymentSummary(confirmation.orderId);
+        summary = await recalculateOrderPaymentSummary(confirmation.orderId, {
+          actorId: userId,
+          source: ORDER_EVENT_SOURCES.BOT_COMMAND,
+          note: `Payment ${paymentRecord.payment_id} (${paymentMethod})`,
+        });
       } catch (recalcError) {
         console.error(`❌ [PAY_CONFIRM] Error recalculating payment summary:`, recalcError);
         console.error(`❌ [PAY_CONFIRM] Stack:`, recalcError.stack);
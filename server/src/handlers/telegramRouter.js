@@ -5,13 +5,19 @@
  */
 
 import { sendTelegramMessage } from '../services/telegramService.js';
-import { processedCommands } from '../state/store.js';
 import { getOrCreateConversation, saveMessage } from '../repos/conversations.repo.js';
 import { getAllOrders } from '../repos/orders.repo.js';
 import { handleTelegramCommand } from './commandHandler.js';
 import { handleTelegramMessage } from './messageHandler.js';
+import { handleOrderWizardMessage } from './orderWizardHandler.js';
 import { handlePaymentConfirmation } from './paymentConfirmationHandler.js';
 import { handlePayWithEvidence } from '../../admin-bot-commands.js';
+import { handleBankStatementImport } from '../commands/reconciliation.commands.js';
+import { isBankStatementFile } from '../services/payment-reconciliation.js';
+import { enforceConversationLimit } from '../services/plan-limits.js';
+import { hasPermission, getTelegramUserRole } from '../middleware/permissions.js';
+import { PERMISSIONS, PLATFORMS, USER_ROLES } from '../utils/constants.js';
+import { getOrderIdPattern } from '../utils/order-id.js';
 
 /**
  * Main router for Telegram messages
@@ -35,12 +41,19 @@ export async function routeTelegramMessage(message) {
     hasDocument: !!message.document,
   });
 
+  // Bank statement CSV from an admin: propose payment matches (other users' CSVs are handled like any document)
+  if (message.document && isBankStatementFile(message.document.file_name, message.document.mime_type) &&
+      await hasPermission(userId, PERMISSIONS.PAYMENTS_RECORD)) {
+    await handleBankStatementImport(chatId, userId, message, sendTelegramMessage);
+    return;
+  }
+
   // Check for photo/document with /pay command or order_id pattern
   // Check both caption and text (user might type /pay in text and upload photo)
   const captionText = (message.caption || '').trim();
   const messageTextForPay = (message.text || '').trim();
   const hasPayCommand = captionText.toLowerCase().includes('/pay') || messageTextForPay.toLowerCase().includes('/pay');
-  const hasOrderIdPattern = /DKM\/\d{8}\/\d{6}/i.test(captionText) || /DKM\/\d{8}\/\d{6}/i.test(messageTextForPay);
+  const hasOrderIdPattern = getOrderIdPattern().test(captionText) || getOrderIdPattern().test(messageTextForPay);
   
   if ((message.photo || message.document) && (hasPayCommand || hasOrderIdPattern)) {
     await handlePayWithEvidence(chatId, userId, message, sendTelegramMessage);
@@ -100,6 +113,12 @@ export async function routeTelegramMessage(message) {
     // Commands are allowed - will be processed below
   }
 
+  // Plan limit: private chats of customers count as conversations (staff and admins don't)
+  if (chatType === 'private' && (await getTelegramUserRole(userId)) === USER_ROLES.CUSTOMER &&
+      !(await enforceConversationLimit(PLATFORMS.TELEGRAM, chatId, sendTelegramMessage))) {
+    return;
+  }
+
   try {
     // Get or create conversation
     const conversation = await getOrCreateConversation(
@@ -133,10 +152,14 @@ export async function routeTelegramMessage(message) {
       return;
     }
 
+    // Answers to the /pesan wizard (private chats; before Ya/Tidak, which can answer a wizard question)
+    if (chatType === 'private' && (await handleOrderWizardMessage(message, conversation))) {
+      return;
+    }
+
     // Check for payment confirmation FIRST (Ya/Y/Tidak/T or YES/NO)
     // This must be checked before order confirmation to prevent mixing states
     const messageTextUpper = (messageText || '').toUpperCase().trim();
-    const messageTextLower = (messageText || '').toLowerCase().trim();
     
     // Check if this is a payment confirmation response
     const isPaymentConfirm = messageTextUpper === 'YA' || messageTextUpper === 'Y' || messageTextUpper === 'YES';
@@ -151,49 +174,10 @@ export async function routeTelegramMessage(message) {
 
     // Check for order confirmation/cancellation responses (Y/Ya/T/Tidak)
     // Only check if payment confirmation was NOT handled
-    // Support case-insensitive: y, ya, yes, t, tidak, no
-    const normalizedText = messageTextLower.trim();
-    const isOrderConfirmation = normalizedText === 'y' || normalizedText === 'ya' || normalizedText === 'yes';
-    const isOrderCancellation = normalizedText === 't' || normalizedText === 'tidak' || normalizedText === 'no';
-    
-    if (isOrderConfirmation || isOrderCancellation) {
-      // Find most recent pending order for this conversation
-      const allOrders = await getAllOrders(1000);
-      const pendingOrders = allOrders.filter(order => 
-        order.conversation_id === conversation.id && 
-        order.status === 'pending_confirmation'
-      );
-      
-      // Sort by created_at (most recent first) and get the first one
-      const pendingOrder = pendingOrders.length > 0 
-        ? pendingOrders.sort((a, b) => {
-            const dateA = new Date(a.created_at || 0);
-            const dateB = new Date(b.created_at || 0);
-            return dateB - dateA; // Most recent first
-          })[0]
-        : null;
-      
-      if (pendingOrder) {
-        console.log(`✅ [ORDER_CONFIRM] Processing ${isOrderConfirmation ? 'confirmation' : 'cancellation'}: chatId=${chatId}, userId=${userId}, orderId=${pendingOrder.id}, reply="${normalizedText}"`);
-        
-        // Import handlers dynamically to avoid circular dependencies
-        const { handleOrderConfirmation, handleOrderCancellation } = await import('./orderConfirmationHandler.js');
-        
-        if (isOrderConfirmation) {
-          // Process confirmation (same as button click)
-          await handleOrderConfirmation(chatId, pendingOrder.id, null);
-          return; // Exit early
-        } else {
-          // Process cancellation
-          await handleOrderCancellation(chatId, pendingOrder.id, null);
-          return; // Exit early
-        }
-      } else {
-        // Confirmation reply but no pending order - respond safely
-        console.log(`⚠️ [ORDER_CONFIRM] Confirmation reply but no pending order: chatId=${chatId}, userId=${userId}, reply="${normalizedText}"`);
-        await sendTelegramMessage(chatId, 'Tidak ada pesanan yang menunggu konfirmasi.');
-        return; // Exit early
-      }
+    // Import handler dynamically to avoid circular dependencies
+    const { handleOrderConfirmationReply } = await import('./orderConfirmationHandler.js');
+    if (await handleOrderConfirmationReply(chatId, userId, conversation, messageText, sendTelegramMessage)) {
+      return; // Exit early
     }
 
     // Handle non-command messages (order parsing, fallback, etc.)
@@ -0,0 +1,131 @@
+/**
+ * Web Chat Router
+ * Entry point for customer chat from the web (POST /api/chat/web)
+ *
+ * Like the WhatsApp router, web messages are normalized to the Telegram message shape and
+ * handled by the shared command/order/confirmation handlers. Replies are collected by a
+ * web messenger and returned in the HTTP response instead of being pushed to the client.
+ */
+
+import { getOrCreateConversation, saveMessage } from '../repos/conversations.repo.js';
+import { createMessenger } from '../services/messaging/index.js';
+import { enforceConversationLimit } from '../services/plan-limits.js';
+import { handleTelegramCommand } from './commandHandler.js';
+import { handleTelegramMessage } from './messageHandler.js';
+import { handleOrderConfirmationReply } from './orderConfirmationHandler.js';
+import { handleButtonAction } from './callbackHandler.js';
+import { handleOrderWizardMessage } from './orderWizardHandler.js';
+import { PLATFORMS, CUSTOMER_CHANNEL_COMMANDS } from '../utils/constants.js';
+
+// Session IDs are generated by the web client (e.g. crypto.randomUUID())
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Inbound message IDs must be unique: commands are deduplicated by chatId:message_id
+let inboundMessageCounter = 0;
+
+/**
+ * Check if a web chat session ID is valid
+ * @param {string} sessionId - Session ID from the client
+ * @returns {boolean} True if valid
+ */
+export function isValidWebSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Route a web chat message or button action
+ * @param {Object} input - { sessionId, name, text, action, messageId }
+ *   action/messageId: button action and the ID of the message the button belongs to
+ * @returns {Promise<Array>} Rendered reply messages (see renderWebMessage)
+ */
+export async function routeWebChatMessage({ sessionId, name, text, action, messageId = null }) {
+  if (!isValidWebSessionId(sessionId)) {
+    throw new Error('Invalid web chat session ID');
+  }
+
+  const outbox = [];
+  const { sendMessage } = createMessenger(PLATFORMS.WEB, { outbox });
+  const chatId = sessionId;
+  const userName = String(name || '').trim() || 'Web Customer';
+  const messageText = String(text || '').trim();
+
+  const message = {
+    platform: PLATFORMS.WEB,
+    message_id: `web_in_${Date.now()}_${++inboundMessageCounter}`,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: chatId, type: 'private' },
+    from: { id: chatId, first_name: userName },
+    text: messageText,
+  };
+
+  console.log('💬 New web chat message received:', {
+    from: userName,
+    sessionId,
+    text: messageText.substring(0, 100),
+    action: action || null,
+  });
+
+  // Plan limit: every web chat session is a customer conversation
+  if (!(await enforceConversationLimit(PLATFORMS.WEB, chatId, sendMessage))) {
+    return outbox;
+  }
+
+  try {
+    const conversation = await getOrCreateConversation(chatId, userName, chatId, PLATFORMS.WEB);
+
+    await saveMessage({
+      id: message.message_id,
+      conversationId: conversation.id,
+      from: chatId,
+      fromName: userName,
+      text: action ? `[button: ${action}]` : messageText,
+      messageType: action ? 'button' : 'text',
+      direction: 'inbound',
+      source: PLATFORMS.WEB,
+      status: 'delivered',
+    });
+
+    // Button press - actions come from the client, so only orders of this conversation are accepted
+    if (action) {
+      const handled = await handleButtonAction({ chatId, action: String(action), messageId, conversation }, sendMessage);
+      if (!handled) {
+        await sendMessage(chatId, '❌ Aksi tidak dikenali.');
+      }
+      return outbox;
+    }
+
+    if (!messageText) {
+      return outbox;
+    }
+
+    // Customer commands (/pesan, /help, ...)
+    if (messageText.startsWith('/')) {
+      const command = messageText.split(/\s+/)[0].toLowerCase();
+      if (!CUSTOMER_CHANNEL_COMMANDS.includes(command)) {
+        await sendMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk melihat format pesanan.');
+        return outbox;
+      }
+      await handleTelegramCommand(message, sendMessage);
+      return outbox;
+    }
+
+    // Answers to the /pesan wizard (before Y/Ya/T/Tidak, which can answer a wizard question)
+    if (await handleOrderWizardMessage(message, conversation, sendMessage)) {
+      return outbox;
+    }
+
+    // Order confirmation/cancellation responses (Y/Ya/T/Tidak)
+    if (await handleOrderConfirmationReply(chatId, chatId, conversation, messageText, sendMessage)) {
+      return outbox;
+    }
+
+    // Order parsing, menu, FAQ, fallback
+    await handleTelegramMessage(message, conversation, sendMessage);
+  } catch (error) {
+    console.error('❌ [WEB_CHAT_ROUTER] Error processing web chat message:', error);
+    console.error('❌ [WEB_CHAT_ROUTER] Stack:', error.stack);
+    await sendMessage(chatId, '❌ Terjadi kesalahan saat memproses pesan. Silakan coba lagi.');
+  }
+
+  return outbox;
+}
@@ -0,0 +1,278 @@
+/**
+ * WhatsApp Router
+ * Main entry point for WhatsApp Cloud API webhooks
+ *
+ * Incoming WhatsApp messages are normalized to the Telegram message shape
+ * ({ chat, from, text, message_id, platform }) so the same order parsing,
+ * confirmation and payment handlers used by routeTelegramMessage can be reused.
+ * Replies are sent through the WhatsApp messenger (src/services/messaging) instead of sendTelegramMessage.
+ */
+
+import { normalizeWhatsAppId } from '../services/whatsappService.js';
+import { sendTelegramMessage } from '../services/telegramService.js';
+import { getChannelSender } from '../services/messaging/index.js';
+import { PROCESSED_NAMESPACES, markProcessed } from '../state/store.js';
+import { enforceConversationLimit } from '../services/plan-limits.js';
+import { getOrCreateConversation, saveMessage } from '../repos/conversations.repo.js';
+import { getOrderById } from '../repos/orders.repo.js';
+import { handleTelegramCommand } from './commandHandler.js';
+import { handleTelegramMessage } from './messageHandler.js';
+import { handleOrderConfirmationReply } from './orderConfirmationHandler.js';
+import { handleButtonAction } from './callbackHandler.js';
+import { PLATFORMS, BUTTON_ACTIONS, CUSTOMER_CHANNEL_COMMANDS } from '../utils/constants.js';
+import { getExampleOrderId, getOrderIdPattern } from '../utils/order-id.js';
+
+const sendWhatsAppMessage = getChannelSender(PLATFORMS.WHATSAPP);
+
+// Message types that may carry a payment proof
+const MEDIA_MESSAGE_TYPES = ['image', 'document'];
+
+/**
+ * Get the text of a WhatsApp message (text body, button title or media caption)
+ * @param {Object} waMessage - WhatsApp message object from the webhook
+ * @returns {string} Message text ('' if none)
+ */
+function getWhatsAppMessageText(waMessage) {
+  switch (waMessage.type) {
+    case 'text':
+      return waMessage.text?.body || '';
+    case 'interactive':
+      return waMessage.interactive?.button_reply?.title || waMessage.interactive?.list_reply?.title || '';
+    case 'button':
+      return waMessage.button?.text || '';
+    case 'image':
+    case 'document':
+      return waMessage[waMessage.type]?.caption || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Get the button action of an interactive reply (reply button / list row ID)
+ * @param {Object} waMessage - WhatsApp message object from the webhook
+ * @returns {string|null} Action (see BUTTON_ACTIONS) or null if not a known button action
+ */
+function getWhatsAppButtonAction(waMessage) {
+  const action = waMessage.interactive?.button_reply?.id || waMessage.interactive?.list_reply?.id || waMessage.button?.payload;
+  if (!action || !Object.values(BUTTON_ACTIONS).some(prefix => action.startsWith(prefix))) {
+    return null;
+  }
+  return action;
+}
+
+/**
+ * Normalize a WhatsApp message to the Telegram message shape used by the shared handlers
+ * WhatsApp chats are always 1:1, so chat type is "private" and chat ID = sender WhatsApp ID
+ * @param {Object} waMessage - WhatsApp message object from the webhook
+ * @param {Object|null} contact - Matching contact object from the webhook (profile name)
+ * @returns {Object} Telegram-shaped message
+ */
+function toTelegramShapedMessage(waMessage, contact) {
+  const waId = normalizeWhatsAppId(waMessage.from);
+  const text = getWhatsAppMessageText(waMessage);
+  const isMedia = MEDIA_MESSAGE_TYPES.includes(waMessage.type);
+
+  return {
+    platform: PLATFORMS.WHATSAPP,
+    message_id: waMessage.id,
+    date: parseInt(waMessage.timestamp) || Math.floor(Date.now() / 1000),
+    chat: { id: waId, type: 'private' },
+    from: {
+      id: waId,
+      first_name: contact?.profile?.name || waId,
+    },
+    text: isMedia ? undefined : text,
+    caption: isMedia ? text : undefined,
+    media: isMedia ? { type: waMessage.type, id: waMessage[waMessage.type]?.id || null } : null,
+  };
+}
+
+/**
+ * Handle payment proof (image/document) sent by a WhatsApp customer
+ * The proof is forwarded to admins on Telegram, who record it with /pay after checking it
+ * @param {Object} message - Telegram-shaped message
+ * @param {Object} conversation - Conversation object
+ */
+async function handleWhatsAppPaymentProof(message, conversation) {
+  const chatId = message.chat.id;
+  const orderIdMatch = (message.caption || '').match(getOrderIdPattern());
+
+  if (!orderIdMatch) {
+    await sendWhatsAppMessage(
+      chatId,
+      '📎 Bukti pembayaran diterima.\n\n' +
+      'Mohon kirim ulang bukti pembayaran dengan menuliskan Order ID di caption, contoh:\n' +
+      '`' + getExampleOrderId() + '`'
+    );
+    return;
+  }
+
+  const orderId = orderIdMatch[0].toUpperCase();
+  const order = await getOrderById(orderId);
+
+  // Only accept proofs for the customer's own orders
+  if (!order || order.conversation_id !== conversation.id) {
+    await sendWhatsAppMessage(
+      chatId,
+      `❌ Order \`${orderId}\` tidak ditemukan.\n\n` +
+      'Silakan periksa order ID dari pesan konfirmasi pesanan Anda.'
+    );
+    return;
+  }
+
+  // Notify admins on Telegram (same recipients as reminders)
+  const { sendReminderToAdmins } = await import('../services/reminder-system.js');
+  const adminMessage =
+    '📎 **Bukti Pembayaran via WhatsApp**\n\n' +
+    `📋 Order: \`${orderId}\`\n` +
+    `👤 Customer: ${order.customer_name || message.from.first_name}\n` +
+    `📱 WhatsApp: +${chatId}\n` +
+    `🗂️ Media ID: ${message.media?.id || '-'}\n\n` +
+    `Cek bukti di WhatsApp Business, lalu catat dengan \`/pay ${orderId} <nominal>\`.`;
+  const result = await sendReminderToAdmins(adminMessage, sendTelegramMessage);
+
+  if (!result.success) {
+    console.warn(`⚠️ [WHATSAPP_ROUTER] Payment proof for ${orderId} not forwarded to admins: ${result.errorMessage}`);
+  }
+
+  await sendWhatsAppMessage(
+    chatId,
+    '✅ **Bukti pembayaran diterima.**\n\n' +
+    `📋 Order: \`${orderId}\`\n\n` +
+    'Admin akan memverifikasi pembayaran Anda. Terima kasih! 🙏'
+  );
+}
+
+/**
+ * Route a single incoming WhatsApp message
+ * @param {Object} waMessage - WhatsApp message object from the webhook
+ * @param {Object|null} contact - Matching contact object from the webhook
+ */
+export async function routeWhatsAppMessage(waMessage, contact = null) {
+  // Deduplication: Cloud API retries webhooks that were not acknowledged fast enough
+  if (!(await markProcessed(PROCESSED_NAMESPACES.WHATSAPP_MESSAGES, waMessage.id))) {
+    console.log(`[DEDUP] skip WhatsApp message ${waMessage.id}`);
+    return;
+  }
+
+  const message = toTelegramShapedMessage(waMessage, contact);
+  const chatId = message.chat.id;
+  const userId = message.from.id;
+  const userName = message.from.first_name;
+  const messageText = message.text || message.caption || '';
+
+  console.log('💬 New WhatsApp message received:', {
+    from: userName,
+    waId: chatId,
+    type: waMessage.type,
+    text: messageText.substring(0, 100),
+    messageId: waMessage.id,
+  });
+
+  // Plan limit: every WhatsApp chat is a customer conversation
+  if (!(await enforceConversationLimit(PLATFORMS.WHATSAPP, chatId, sendWhatsAppMessage))) {
+    return;
+  }
+
+  try {
+    // Get or create conversation
+    const conversation = await getOrCreateConversation(chatId, userName, userId, PLATFORMS.WHATSAPP);
+
+    // Save to storage
+    await saveMessage({
+      id: `whatsapp_${waMessage.id}`,
+      conversationId: conversation.id,
+      from: chatId,
+      fromName: userName,
+      text: messageText,
+      messageType: waMessage.type,
+      direction: 'inbound',
+      source: PLATFORMS.WHATSAPP,
+      status: 'delivered',
+    });
+
+    // Payment proof (photo/document)
+    if (message.media) {
+      await handleWhatsAppPaymentProof(message, conversation);
+      return;
+    }
+
+    // Button press (confirm/cancel order buttons)
+    const buttonAction = getWhatsAppButtonAction(waMessage);
+    if (buttonAction) {
+      await handleButtonAction({
+        chatId,
+        action: buttonAction,
+        messageId: waMessage.context?.id || null,
+        conversation,
+      }, sendWhatsAppMessage);
+      return;
+    }
+
+    if (!messageText) {
+      console.log(`⏸️ [WHATSAPP_ROUTER] Ignoring ${waMessage.type} message without text`);
+      return;
+    }
+
+    // Customer commands (/pesan, /help, ...)
+    if (messageText.startsWith('/')) {
+      const command = messageText.split(/\s+/)[0].toLowerCase();
+      if (!CUSTOMER_CHANNEL_COMMANDS.includes(command)) {
+        await sendWhatsAppMessage(chatId, '❌ Command tidak dikenali. Ketik /help untuk melihat format pesanan.');
+        return;
+      }
+      await handleTelegramCommand(message, sendWhatsAppMessage);
+      return;
+    }
+
+    // Order confirmation/cancellation responses (Y/Ya/T/Tidak)
+    if (await handleOrderConfirmationReply(chatId, userId, conversation, messageText, sendWhatsAppMessage)) {
+      return;
+    }
+
+    // Order parsing, menu, FAQ, fallback
+    await handleTelegramMessage(message, conversation, sendWhatsAppMessage);
+  } catch (error) {
+    console.error('❌ [WHATSAPP_ROUTER] Error processing WhatsApp message:', error);
+    console.error('❌ [WHATSAPP_ROUTER] Stack:', error.stack);
+
+    // Send error message to user
+    try {
+      await sendWhatsAppMessage(chatId, '❌ Terjadi kesalahan saat memproses pesan. Silakan coba lagi.');
+    } catch (sendError) {
+      console.error('❌ [WHATSAPP_ROUTER] Failed to send error message:', sendError.message);
+    }
+  }
+}
+
+/**
+ * Route a WhatsApp Cloud API webhook payload
+ * Payload: { object: 'whatsapp_business_account', entry: [{ changes: [{ value: { contacts, messages, statuses } }] }] }
+ * @param {Object} payload - Webhook request body
+ */
+export async function routeWhatsAppWebhook(payload) {
+  if (payload?.object !== 'whatsapp_business_account') {
+    console.log(`⏸️ [WHATSAPP_ROUTER] Ignoring webhook for object "${payload?.object}"`);
+    return;
+  }
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+
+      // Delivery status updates (sent/delivered/read/failed)
+      for (const status of value.statuses || []) {
+        if (status.status === 'failed') {
+          console.error(`❌ [WHATSAPP_ROUTER] Message ${status.id} to ${status.recipient_id} failed:`, JSON.stringify(status.errors || []));
+        }
+      }
+
+      // Incoming messages (processed one by one to keep per-chat order)
+      for (const waMessage of value.messages || []) {
+        const contact = (value.contacts || []).find(c => c.wa_id === waMessage.from) || null;
+        await routeWhatsAppMessage(waMessage, contact);
+      }
+    }
+  }
+}
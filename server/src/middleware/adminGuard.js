@@ -4,6 +4,7 @@
  */
 
 import { getUserRole } from '../repos/users.repo.js';
+import { getTenantAdminIds } from '../config/tenant-context.js';
 
 /**
  * Check if a Telegram user is an admin
@@ -37,9 +38,7 @@ export async function isAdmin(telegramUserId) {
     }
     
     // Fallback to env var for backward compatibility
-    const adminIds = process.env.ADMIN_TELEGRAM_USER_IDS 
-      ? process.env.ADMIN_TELEGRAM_USER_IDS.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
-      : [];
+    const adminIds = getTenantAdminIds();
     
     const isEnvAdmin = adminIds.includes(userIdNumber);
     if (isEnvAdmin) {
@@ -54,9 +53,7 @@ export async function isAdmin(telegramUserId) {
     console.error('❌ [ADMIN_CHECK] Stack:', error.stack);
     
     // Fallback to env var on error
-    const adminIds = process.env.ADMIN_TELEGRAM_USER_IDS 
-      ? process.env.ADMIN_TELEGRAM_USER_IDS.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
-      : [];
+    const adminIds = getTenantAdminIds();
     
     const isEnvAdmin = adminIds.includes(userIdNumber);
     if (isEnvAdmin) {
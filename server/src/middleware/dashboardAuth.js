@@ -0,0 +1,161 @@
+/**
+ * Dashboard Auth Middleware
+ * Authenticates dashboard REST API requests (session token or API key), sets req.auth and req.tenant and
+ * runs the rest of the request in the tenant's context (see src/config/tenant-context.js)
+ *
+ * req.auth = { type: 'session' | 'api_key', userId, name, username, photoUrl, role }
+ * The tenant comes from the session token or API key; without credentials (login, web chat, auth disabled)
+ * from the X-Tenant-Id header or ?tenant= (default tenant if neither is set).
+ * Route permissions are checked afterwards with requireApiPermission() (middleware/permissions.js).
+ */
+
+import {
+  isDashboardAuthDisabled,
+  verifySessionToken,
+  findApiKey,
+} from '../services/dashboard-auth.js';
+import { getTelegramUserRole } from './permissions.js';
+import { getTenant, getDefaultTenant } from '../config/tenants.js';
+import { runWithTenant } from '../config/tenant-context.js';
+
+// API routes that don't need a dashboard login (they have their own verification or are customer-facing)
+const PUBLIC_API_PATHS = [
+  /^\/api\/webhooks\//, // X-Telegram-Bot-Api-Secret-Token / X-Hub-Signature-256, checked by the routes (tenant from the URL)
+  /^\/api\/chat\/web$/, // Customer web chat (session ID)
+  /^\/api\/calendar\/deliveries\.ics$/, // CALENDAR_FEED_TOKENS
+  /^\/api\/auth\/(config|telegram)$/, // Login
+];
+
+// API routes that also accept the session token as ?access_token= (EventSource can't send headers)
+const QUERY_TOKEN_PATHS = [
+  /^\/api\/events$/, // Live dashboard updates (SSE)
+];
+
+/**
+ * Check if an API path is public
+ * @param {string} path - Request path
+ * @returns {boolean} True if no dashboard login is needed
+ */
+export function isPublicApiPath(path) {
+  return PUBLIC_API_PATHS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Get the tenant a request asks for (X-Tenant-Id header or ?tenant=)
+ * @returns {{requested: string, tenant: Object|null}} tenant is the default tenant if none was requested,
+ *   null if the requested tenant is unknown
+ */
+function getRequestedTenant(req) {
+  const requested = String(req.get('X-Tenant-Id') || (typeof req.query.tenant === 'string' ? req.query.tenant : '')).trim();
+  return { requested, tenant: requested ? getTenant(requested) : getDefaultTenant() };
+}
+
+/**
+ * Continue the request in a tenant's context
+ */
+function continueAsTenant(req, tenant, next) {
+  req.tenant = tenant;
+  return runWithTenant(tenant, next);
+}
+
+/**
+ * Express middleware: restore the tenant context after a body parser
+ * Body parsers (express.raw) call next() from stream events, which run outside the request's tenant
+ * context; add this right after them.
+ */
+export function restoreTenantContext(req, res, next) {
+  return runWithTenant(req.tenant || getDefaultTenant(), next);
+}
+
+/**
+ * Get the bearer token from the Authorization header (or ?access_token= on QUERY_TOKEN_PATHS)
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  if (QUERY_TOKEN_PATHS.some(pattern => pattern.test(req.path)) && typeof req.query.access_token === 'string') {
+    return req.query.access_token.trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Express middleware: authenticate /api requests
+ * Responds 401 if a non-public API route has no valid session token (Authorization: Bearer) or API key (X-API-Key)
+ */
+export async function authenticateDashboardRequest(req, res, next) {
+  // Webhooks pick their tenant from the URL (/api/webhooks/telegram/:tenantId)
+  if (!req.path.startsWith('/api/') || /^\/api\/webhooks\//.test(req.path)) {
+    return next();
+  }
+
+  const { requested, tenant: requestedTenant } = getRequestedTenant(req);
+  if (!requestedTenant) {
+    return res.status(404).json({ error: `Unknown tenant "${requested}"` });
+  }
+
+  if (isPublicApiPath(req.path)) {
+    return continueAsTenant(req, requestedTenant, next);
+  }
+
+  if (isDashboardAuthDisabled()) {
+    req.auth = null; // Role comes from DASHBOARD_DEFAULT_ROLE (see getRequestRole)
+    return continueAsTenant(req, requestedTenant, next);
+  }
+
+  try {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      const keyEntry = findApiKey(apiKey);
+      if (!keyEntry) {
+        console.log(`❌ [DASHBOARD_AUTH] ${req.method} ${req.path} rejected: invalid API key`);
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      if (requested && requestedTenant.id !== keyEntry.tenantId) {
+        return res.status(403).json({ error: 'API key belongs to another tenant' });
+      }
+      req.auth = {
+        type: 'api_key',
+        userId: `api_key:${keyEntry.name}`,
+        name: keyEntry.name,
+        username: '',
+        photoUrl: '',
+        role: keyEntry.role,
+      };
+      return continueAsTenant(req, getTenant(keyEntry.tenantId), next);
+    }
+
+    const token = getBearerToken(req);
+    const session = token ? await verifySessionToken(token) : null;
+    if (!session) {
+      return res.status(401).json({ error: token ? 'Session expired, please log in again' : 'Login required' });
+    }
+
+    // Sessions from before multi-tenant support have no tid and belong to the default tenant
+    const sessionTenant = session.tid ? getTenant(session.tid) : getDefaultTenant();
+    if (!sessionTenant) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+    if (requested && requestedTenant.id !== sessionTenant.id) {
+      return res.status(403).json({ error: 'Logged in to another tenant' });
+    }
+
+    // The role is looked up in the session tenant's Users sheet
+    req.auth = await runWithTenant(sessionTenant, async () => ({
+      type: 'session',
+      userId: session.sub,
+      name: session.name,
+      username: session.username,
+      photoUrl: session.photo_url,
+      role: await getTelegramUserRole(session.sub), // Current role (changes with /role apply immediately)
+      session,
+    }));
+    continueAsTenant(req, sessionTenant, next);
+  } catch (error) {
+    console.error('❌ [DASHBOARD_AUTH] Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
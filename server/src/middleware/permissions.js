@@ -0,0 +1,180 @@
+/**
+ * Permissions Middleware
+ * Role-based access control (admin / staff / customer) for Telegram commands and dashboard API routes
+ *
+ * The permission matrix lives in ROLE_PERMISSIONS (utils/constants.js), the command → permission map
+ * in COMMAND_PERMISSIONS. Roles come from the tenant's Users sheet (managed with /role), with
+ * ADMIN_TELEGRAM_USER_IDS (the tenant's adminIds) always treated as admin.
+ */
+
+import { getUserRole } from '../repos/users.repo.js';
+import { getEnv } from '../config/env.js';
+import { createTenantState, getTenantAdminIds } from '../config/tenant-context.js';
+import { isDashboardAuthDisabled } from '../services/dashboard-auth.js';
+import {
+  USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PROGRESS_STATUSES,
+  ORDER_STATUS,
+  PLATFORMS,
+  CACHE_TTL,
+} from '../utils/constants.js';
+
+// Role cache per tenant and Telegram user ID: Map<string, { role: string, fetchedAtMs: number }>
+const getUserRoleCache = createTenantState(() => new Map());
+
+/**
+ * Check if a Telegram user is an admin through ADMIN_TELEGRAM_USER_IDS (adminIds in TENANTS_FILE for other tenants)
+ * These users are always admin (bootstrap / lockout protection), whatever the Users sheet says
+ * @param {number|string} telegramUserId - Telegram user ID
+ * @returns {boolean} True if listed in the current tenant's admin IDs
+ */
+export function isEnvAdmin(telegramUserId) {
+  const userIdNumber = parseInt(String(telegramUserId));
+  return !isNaN(userIdNumber) && getTenantAdminIds().includes(userIdNumber);
+}
+
+/**
+ * Normalize a role value (unknown/empty roles are customers)
+ * @param {string} role - Role from the Users sheet or request
+ * @returns {string} USER_ROLES value
+ */
+export function normalizeRole(role) {
+  const normalized = String(role || '').toLowerCase().trim();
+  return Object.values(USER_ROLES).includes(normalized) ? normalized : USER_ROLES.CUSTOMER;
+}
+
+/**
+ * Get the role of a Telegram user (cached for CACHE_TTL.USER_ROLES)
+ * @param {number|string} telegramUserId - Telegram user ID
+ * @returns {Promise<string>} USER_ROLES value
+ */
+export async function getTelegramUserRole(telegramUserId) {
+  if (!telegramUserId) {
+    return USER_ROLES.CUSTOMER;
+  }
+
+  if (isEnvAdmin(telegramUserId)) {
+    return USER_ROLES.ADMIN;
+  }
+
+  const cacheKey = String(telegramUserId);
+  const cached = getUserRoleCache().get(cacheKey);
+  if (cached && (Date.now() - cached.fetchedAtMs) < CACHE_TTL.USER_ROLES) {
+    return cached.role;
+  }
+
+  const role = normalizeRole(await getUserRole(PLATFORMS.TELEGRAM, cacheKey));
+  getUserRoleCache().set(cacheKey, { role, fetchedAtMs: Date.now() });
+  return role;
+}
+
+/**
+ * Invalidate the role cache (call after changing a role)
+ * @param {number|string|null} telegramUserId - User to forget, or null for everyone
+ */
+export function invalidateUserRoleCache(telegramUserId = null) {
+  if (telegramUserId === null || telegramUserId === undefined) {
+    getUserRoleCache().clear();
+    return;
+  }
+  getUserRoleCache().delete(String(telegramUserId));
+}
+
+/**
+ * Check if a role has a permission
+ * @param {string} role - USER_ROLES value
+ * @param {string} permission - PERMISSIONS value
+ * @returns {boolean} True if ROLE_PERMISSIONS grants it
+ */
+export function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[normalizeRole(role)] || []).includes(permission);
+}
+
+/**
+ * Check if a Telegram user has a permission
+ * @param {number|string} telegramUserId - Telegram user ID
+ * @param {string} permission - PERMISSIONS value
+ * @returns {Promise<boolean>} True if the user's role grants it
+ */
+export async function hasPermission(telegramUserId, permission) {
+  const role = await getTelegramUserRole(telegramUserId);
+  return roleHasPermission(role, permission);
+}
+
+/**
+ * Require a permission - sends error message if the user's role doesn't have it
+ * @param {number|string} userId - Telegram user ID
+ * @param {string} permission - PERMISSIONS value
+ * @param {Function} sendMessage - Function to send error message
+ * @param {number|string} chatId - Telegram chat ID
+ * @returns {Promise<boolean>} True if allowed, false otherwise (sends error message)
+ */
+export async function requirePermission(userId, permission, sendMessage, chatId) {
+  const role = await getTelegramUserRole(userId);
+  if (!roleHasPermission(role, permission)) {
+    console.log(`❌ [PERMISSION] User ${userId} (role: ${role}) lacks permission "${permission}"`);
+    await sendMessage(
+      chatId,
+      role === USER_ROLES.STAFF
+        ? '❌ Anda tidak memiliki akses ke perintah ini. Perintah ini hanya untuk admin.'
+        : '❌ Anda tidak memiliki akses ke perintah ini.'
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the permission needed to move an order to a status
+ * Progress statuses (processing/ready/delivering) → ORDERS_STATUS_UPDATE, cancel/complete → their own
+ * permission, anything else (confirm, back to pending, waiting list) → ORDERS_EDIT
+ * @param {string} status - Target status
+ * @returns {string} PERMISSIONS value
+ */
+export function getStatusChangePermission(status) {
+  if (PROGRESS_STATUSES.includes(status)) {
+    return PERMISSIONS.ORDERS_STATUS_UPDATE;
+  }
+  if (status === ORDER_STATUS.CANCELLED) {
+    return PERMISSIONS.ORDERS_CANCEL;
+  }
+  if (status === ORDER_STATUS.COMPLETED) {
+    return PERMISSIONS.ORDERS_COMPLETE;
+  }
+  return PERMISSIONS.ORDERS_EDIT;
+}
+
+/**
+ * Get the role of a dashboard API request
+ * Uses req.auth.role (set by authenticateDashboardRequest); with DASHBOARD_AUTH_DISABLED=true
+ * (local development) every request gets DASHBOARD_DEFAULT_ROLE (default: admin)
+ * @param {Object} req - Express request
+ * @returns {string} USER_ROLES value
+ */
+export function getRequestRole(req) {
+  if (req.auth?.role) {
+    return normalizeRole(req.auth.role);
+  }
+  if (isDashboardAuthDisabled()) {
+    return normalizeRole(getEnv('DASHBOARD_DEFAULT_ROLE', USER_ROLES.ADMIN));
+  }
+  return USER_ROLES.CUSTOMER;
+}
+
+/**
+ * Express middleware: require a permission on a dashboard API route
+ * @param {string} permission - PERMISSIONS value
+ * @returns {Function} Express middleware (responds 403 if the request's role lacks the permission)
+ */
+export function requireApiPermission(permission) {
+  return (req, res, next) => {
+    const role = getRequestRole(req);
+    if (!roleHasPermission(role, permission)) {
+      console.log(`❌ [PERMISSION] ${req.method} ${req.path} denied (role: ${role}, needs "${permission}")`);
+      return res.status(403).json({ error: 'Forbidden', role, requiredPermission: permission });
+    }
+    next();
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Cached Sheet Reader
+ * Shared loader for small admin-edited config sheets (Capacity, Promos, Settings, ...)
+ *
+ * Every reader:
+ * - caches the parsed result per tenant for ttlMs
+ * - single-flights concurrent loads (one READ request per expiry)
+ * - treats a missing sheet ("Unable to parse range") as an empty sheet
+ * - maps header names case-insensitively, so columns can be reordered in the sheet
+ * - fails open: a read error logs and returns the fallback value instead of throwing
+ *
+ * The repo only provides the row parser (and optionally how to build the result).
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { createTenantState } from '../config/tenant-context.js';
+
+/**
+ * Parse an is_active cell (empty = active)
+ * @param {*} raw - Cell value
+ * @returns {boolean} True if the row is active
+ */
+export function isActiveValue(raw) {
+  const value = String(raw ?? '').trim().toUpperCase();
+  return !value || value === 'TRUE' || value === '1';
+}
+
+/**
+ * Create a tenant-aware cached reader for one sheet
+ * @param {Object} options
+ * @param {string} options.sheetName - Sheet to read
+ * @param {number} options.ttlMs - Cache TTL in milliseconds
+ * @param {Function} options.parseRow - (row, headerMap, rowNumber) => item, or null to skip the row
+ * @param {string} options.tag - Log tag (e.g. "CAPACITY")
+ * @param {string} options.label - What is read, for logs (e.g. "capacity rules")
+ * @param {Function} [options.buildResult] - (items) => cached result (default: the items array)
+ * @param {Function} [options.describe] - (result) => text for the "Loaded ..." log (omit to skip the log)
+ * @param {*} [options.fallback] - Returned when the sheet cannot be read (default: [])
+ * @param {string} [options.columns] - Column range to read (default: "A:Z")
+ * @returns {{ get: () => Promise<*>, invalidate: () => void }} Reader
+ */
+export function createCachedSheetReader({
+  sheetName,
+  ttlMs,
+  parseRow,
+  tag,
+  label,
+  buildResult = (items) => items,
+  describe = null,
+  fallback = [],
+  columns = 'A:Z',
+}) {
+  const getCacheState = createTenantState(() => ({
+    cache: null, // { result: *, fetchedAtMs: number }
+    inflight: null, // Promise<*> (single-flight pattern)
+  }));
+
+  async function load() {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    let rows;
+    try {
+      const response = await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.get({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${sheetName}!${columns}`,
+        });
+      });
+      rows = response.data.values || [];
+    } catch (error) {
+      if (error.message?.includes('Unable to parse range')) {
+        // Sheet doesn't exist yet - nothing configured
+        rows = [];
+      } else {
+        throw error;
+      }
+    }
+
+    const headerMap = {};
+    (rows[0] || []).forEach((header, index) => {
+      headerMap[String(header).toLowerCase().trim()] = index;
+    });
+
+    const items = [];
+    for (let i = 1; i < rows.length; i++) {
+      const item = parseRow(rows[i] || [], headerMap, i + 1);
+      if (item) {
+        items.push(item);
+      }
+    }
+
+    return buildResult(items);
+  }
+
+  /**
+   * Get the parsed sheet (cached)
+   * @returns {Promise<*>} Parsed result, or the fallback if the sheet cannot be read
+   */
+  async function get() {
+    const cacheState = getCacheState();
+    try {
+      const now = Date.now();
+      if (cacheState.cache && (now - cacheState.cache.fetchedAtMs) < ttlMs) {
+        return cacheState.cache.result;
+      }
+
+      // Single-flight: if a fetch is in progress, await the same promise
+      if (cacheState.inflight) {
+        return await cacheState.inflight;
+      }
+
+      const fetchPromise = (async () => {
+        try {
+          const result = await load();
+          cacheState.cache = { result, fetchedAtMs: Date.now() };
+          if (describe) {
+            console.log(`[${tag}] Loaded ${describe(result)}`);
+          }
+          return result;
+        } finally {
+          cacheState.inflight = null;
+        }
+      })();
+
+      cacheState.inflight = fetchPromise;
+
+      return await fetchPromise;
+    } catch (error) {
+      console.error(`❌ [${tag}] Error getting ${label}:`, error.message);
+      cacheState.inflight = null;
+      return fallback;
+    }
+  }
+
+  /**
+   * Drop the cached result (call after editing the sheet programmatically)
+   */
+  function invalidate() {
+    getCacheState().cache = null;
+  }
+
+  return { get, invalidate };
+}
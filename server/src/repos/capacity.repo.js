@@ -0,0 +1,196 @@
+/**
+ * Capacity Repository
+ * Handles the Capacity sheet (daily production limits per PriceList item or category)
+ *
+ * Each row is one limit:
+ * - scope: "item" or "category"
+ * - name: PriceList item name (scope=item) or category (scope=category)
+ * - date: YYYY-MM-DD for a one-day override, empty for the default limit of every day
+ * - max_qty: maximum quantity (cups/units) per day
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: free text for the kitchen
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { toISODateJakarta } from '../utils/date-utils.js';
+import { SHEET_NAMES, CAPACITY_SCOPES, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+
+const CAPACITY_SHEET = SHEET_NAMES.CAPACITY;
+
+// Capacity sheet schema - REQUIRED COLUMNS (in logical order)
+const CAPACITY_SCHEMA = [
+  'scope',
+  'name',
+  'date',
+  'max_qty',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Ensure Capacity sheet exists with headers
+ * Idempotent - safe to call multiple times
+ */
+export async function ensureCapacitySheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (!existingSheets.includes(CAPACITY_SHEET)) {
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: SPREADSHEET_ID,
+          requestBody: {
+            requests: [{
+              addSheet: {
+                properties: {
+                  title: CAPACITY_SHEET,
+                },
+              },
+            }],
+          },
+        });
+      });
+      console.log(`✅ [CAPACITY] Created ${CAPACITY_SHEET} sheet`);
+    }
+
+    const headerResponse = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${CAPACITY_SHEET}!A1:Z1`,
+      });
+    });
+
+    const existingHeaders = headerResponse.data.values?.[0] || [];
+    if (existingHeaders.length === 0) {
+      const lastColumn = columnIndexToLetter(CAPACITY_SCHEMA.length - 1);
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${CAPACITY_SHEET}!A1:${lastColumn}1`,
+          valueInputOption: 'RAW',
+          requestBody: {
+            values: [CAPACITY_SCHEMA],
+          },
+        });
+      });
+    }
+  } catch (error) {
+    console.error('❌ [CAPACITY] Error ensuring Capacity sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parse one Capacity row into a rule object
+ * @returns {Object|null} Rule { scope, name, date, maxQty, notes } or null if row is invalid/inactive
+ */
+function parseCapacityRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const scope = getValue('scope').toLowerCase();
+  const name = getValue('name');
+  const maxQtyRaw = getValue('max_qty');
+
+  if (!scope && !name && !maxQtyRaw) {
+    return null; // Empty row
+  }
+
+  if (!isActiveValue(getValue('is_active'))) {
+    return null;
+  }
+
+  if (!Object.values(CAPACITY_SCOPES).includes(scope) || !name) {
+    console.warn(`⚠️ [CAPACITY] Skipping row ${rowNumber} - invalid scope "${scope}" or empty name`);
+    return null;
+  }
+
+  const maxQty = parseInt(maxQtyRaw.replace(/[.,]/g, ''), 10);
+  if (isNaN(maxQty) || maxQty < 0) {
+    console.warn(`⚠️ [CAPACITY] Skipping row ${rowNumber} - invalid max_qty "${maxQtyRaw}"`);
+    return null;
+  }
+
+  const dateRaw = getValue('date');
+  let date = null;
+  if (dateRaw) {
+    date = toISODateJakarta(dateRaw);
+    if (!date) {
+      console.warn(`⚠️ [CAPACITY] Skipping row ${rowNumber} - invalid date "${dateRaw}"`);
+      return null;
+    }
+  }
+
+  return {
+    scope,
+    name,
+    date,
+    maxQty,
+    notes: getValue('notes'),
+  };
+}
+
+// Capacity rules reader (rules change rarely, orders read them often) - cached per tenant
+const capacityRulesReader = createCachedSheetReader({
+  sheetName: CAPACITY_SHEET,
+  ttlMs: CACHE_TTL.CAPACITY_RULES,
+  parseRow: parseCapacityRow,
+  tag: 'CAPACITY',
+  label: 'capacity rules',
+  describe: (rules) => `${rules.length} capacity rule(s)`,
+});
+
+/**
+ * Get all active capacity rules (cached)
+ * Returns empty array if the Capacity sheet does not exist (no limits configured)
+ * or cannot be read (fail open: without rules no order is blocked)
+ * @returns {Promise<Array>} Rules [{ scope, name, date, maxQty, notes }]
+ */
+export async function getCapacityRules() {
+  return await capacityRulesReader.get();
+}
+
+/**
+ * Get the capacity rules that apply on a specific date
+ * A date-specific row replaces the default (dateless) row with the same scope and name
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Rules effective on that date
+ */
+export async function getCapacityRulesForDate(dateISO) {
+  const rules = await getCapacityRules();
+  const effective = new Map();
+
+  for (const rule of rules) {
+    if (rule.date && rule.date !== dateISO) {
+      continue;
+    }
+    const key = `${rule.scope}:${rule.name.toLowerCase()}`;
+    const existing = effective.get(key);
+    // Date-specific override wins over the default row
+    if (!existing || (!existing.date && rule.date)) {
+      effective.set(key, rule);
+    }
+  }
+
+  return Array.from(effective.values());
+}
+
+/**
+ * Invalidate capacity rules cache (call after editing the Capacity sheet programmatically)
+ */
+export function invalidateCapacityRulesCache() {
+  capacityRulesReader.invalidate();
+}
@@ -6,6 +6,7 @@
 import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
 
 import { SHEET_NAMES } from '../utils/constants.js';
+import { publishDashboardEvent, DASHBOARD_EVENT_TYPES } from '../services/dashboard-events.js';
 
 const MESSAGES_SHEET = SHEET_NAMES.MESSAGES;
 const CONVERSATIONS_SHEET = SHEET_NAMES.CONVERSATIONS;
@@ -24,7 +25,7 @@ const CONVERSATIONS_SCHEMA = [
 import { PLATFORMS } from '../utils/constants.js';
 
 // Allowed platform reference values (validation)
-const ALLOWED_PLATFORMS = [PLATFORMS.TELEGRAM, PLATFORMS.WHATSAPP];
+const ALLOWED_PLATFORMS = [PLATFORMS.TELEGRAM, PLATFORMS.WHATSAPP, PLATFORMS.WEB];
 
 // Messages sheet schema - ENFORCED COLUMN ORDER (MANDATORY)
 const MESSAGES_SCHEMA = [
@@ -343,6 +344,12 @@ export async function saveMessage(messageData) {
       },
     });
 
+    publishDashboardEvent(DASHBOARD_EVENT_TYPES.MESSAGE_CREATED, {
+      conversationId: row[1],
+      direction: row[4],
+      platform: row[3],
+    });
+
     return messageData;
   } catch (error) {
     console.error('❌ Error saving message to Google Sheets:', error.message);
@@ -425,8 +432,12 @@ export async function getMessagesByConversation(conversationId, limit = 50) {
 /**
  * Get or create conversation with strict schema enforcement
  * Schema: [conversation_id, external_user_id, platform_reference, customer_name, status, first_seen_at, last_message_at]
+ * @param {number|string} telegramChatId - Chat ID on the platform (Telegram chat ID or WhatsApp ID)
+ * @param {string} fromName - Sender display name
+ * @param {number|string} fromId - Sender user ID
+ * @param {string} platform - Platform (PLATFORMS.TELEGRAM or PLATFORMS.WHATSAPP, default: telegram)
  */
-export async function getOrCreateConversation(telegramChatId, fromName, fromId) {
+export async function getOrCreateConversation(telegramChatId, fromName, fromId, platform = PLATFORMS.TELEGRAM) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
@@ -444,10 +455,12 @@ export async function getOrCreateConversation(telegramChatId, fromName, fromId)
     
     // Skip header row (row 0), search for existing conversation
     // Look for match by external_user_id (column B) which contains telegramChatId
+    // and platform_reference (column C) so a Telegram chat ID never matches a WhatsApp number
     for (let i = 1; i < rows.length; i++) {
       const row = rows[i];
       // Column B (index 1) is external_user_id
-      if (row[1] === String(telegramChatId)) {
+      const rowPlatform = String(row[2] || PLATFORMS.TELEGRAM).toLowerCase().trim();
+      if (row[1] === String(telegramChatId) && rowPlatform === platform) {
         // Found existing conversation - UPDATE last_message_at (column G, index 6)
         const rowNumber = i + 1; // Google Sheets is 1-indexed
         
@@ -474,14 +487,14 @@ export async function getOrCreateConversation(telegramChatId, fromName, fromId)
     }
 
     // Conversation doesn't exist - CREATE new one
-    const conversationId = `conv_telegram_${telegramChatId}_${Date.now()}`;
+    const conversationId = `conv_${platform}_${telegramChatId}_${Date.now()}`;
     const now = new Date().toISOString();
     
     // Build row array matching EXACT schema order (7 columns, starting from A)
     const newRow = [
       conversationId,                    // Column A: conversation_id
       String(telegramChatId),            // Column B: external_user_id
-      'telegram',                        // Column C: platform_reference
+      platform,                          // Column C: platform_reference
       fromName || 'Unknown',             // Column D: customer_name
       'active',                          // Column E: status
       now,                               // Column F: first_seen_at
@@ -505,7 +518,7 @@ export async function getOrCreateConversation(telegramChatId, fromName, fromId)
     return {
       id: conversationId,
       external_user_id: String(telegramChatId),
-      platform_reference: 'telegram',
+      platform_reference: platform,
       customer_name: fromName || 'Unknown',
       status: 'active',
       first_seen_at: now,
@@ -556,6 +569,48 @@ export async function getConversationById(conversationId) {
   }
 }
 
+/**
+ * Find an existing conversation by chat (read-only, unlike getOrCreateConversation)
+ * @param {number|string} externalUserId - Chat ID (Telegram chat ID, WhatsApp number, web session ID)
+ * @param {string} platform - Platform (PLATFORMS value)
+ * @returns {Promise<Object|null>} Conversation or null if the chat has no conversation yet
+ */
+export async function findConversation(externalUserId, platform = PLATFORMS.TELEGRAM) {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${CONVERSATIONS_SHEET}!A:G`,
+    });
+
+    const rows = response.data.values || [];
+
+    // Same match as getOrCreateConversation: external_user_id (column B) + platform_reference (column C)
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      const rowPlatform = String(row[2] || PLATFORMS.TELEGRAM).toLowerCase().trim();
+      if (row[1] === String(externalUserId) && rowPlatform === platform) {
+        return {
+          id: row[0] || '',
+          external_user_id: row[1] || '',
+          platform_reference: row[2] || '',
+          customer_name: row[3] || '',
+          status: row[4] || 'active',
+          first_seen_at: row[5] || '',
+          last_message_at: row[6] || '',
+        };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error finding conversation:', error.message);
+    return null;
+  }
+}
+
 /**
  * Get all conversations
  */
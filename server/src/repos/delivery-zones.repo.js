@@ -0,0 +1,178 @@
+/**
+ * Delivery Zones Repository
+ * Handles the Delivery_Zones sheet (ongkir per area, used to estimate the delivery fee)
+ *
+ * Each row is one zone:
+ * - type: "postal_code", "kelurahan" or "kecamatan"
+ * - area: kode pos (e.g. "10310") or kelurahan/kecamatan name (e.g. "Menteng")
+ * - fee: ongkir in rupiah (e.g. "25000" or "Rp 25.000")
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: description shown to admins
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { SHEET_NAMES, DELIVERY_ZONE_TYPES, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+
+const DELIVERY_ZONES_SHEET = SHEET_NAMES.DELIVERY_ZONES;
+
+// Delivery_Zones sheet schema - REQUIRED COLUMNS (in logical order)
+const DELIVERY_ZONES_SCHEMA = [
+  'type',
+  'area',
+  'fee',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Normalize an area name or address for matching
+ * Lowercase, punctuation removed, "Kel."/"Kec." prefixes dropped, single spaces
+ * @param {string} text - Area name or address
+ * @returns {string} Normalized text ('' if empty)
+ */
+export function normalizeAreaName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\b(kelurahan|kecamatan|kel|kec)\b\.?/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Ensure Delivery_Zones sheet exists with headers
+ * Idempotent - safe to call multiple times
+ */
+export async function ensureDeliveryZonesSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (!existingSheets.includes(DELIVERY_ZONES_SHEET)) {
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: SPREADSHEET_ID,
+          requestBody: {
+            requests: [{
+              addSheet: {
+                properties: {
+                  title: DELIVERY_ZONES_SHEET,
+                },
+              },
+            }],
+          },
+        });
+      });
+      console.log(`✅ [DELIVERY_ZONES] Created ${DELIVERY_ZONES_SHEET} sheet`);
+    }
+
+    const headerResponse = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${DELIVERY_ZONES_SHEET}!A1:Z1`,
+      });
+    });
+
+    const existingHeaders = headerResponse.data.values?.[0] || [];
+    if (existingHeaders.length === 0) {
+      const lastColumn = columnIndexToLetter(DELIVERY_ZONES_SCHEMA.length - 1);
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${DELIVERY_ZONES_SHEET}!A1:${lastColumn}1`,
+          valueInputOption: 'RAW',
+          requestBody: {
+            values: [DELIVERY_ZONES_SCHEMA],
+          },
+        });
+      });
+    }
+  } catch (error) {
+    console.error('❌ [DELIVERY_ZONES] Error ensuring Delivery_Zones sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parse one Delivery_Zones row into a zone object
+ * @returns {Object|null} Zone { type, area, areaKey, fee, isActive, notes } or null if row is invalid
+ */
+function parseZoneRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const type = getValue('type').toLowerCase();
+  const area = getValue('area');
+  const feeRaw = getValue('fee');
+
+  if (!type && !area && !feeRaw) {
+    return null; // Empty row
+  }
+
+  if (!area || !Object.values(DELIVERY_ZONE_TYPES).includes(type)) {
+    console.warn(`⚠️ [DELIVERY_ZONES] Skipping row ${rowNumber} - empty area or invalid type "${type}"`);
+    return null;
+  }
+
+  const areaKey = type === DELIVERY_ZONE_TYPES.POSTAL_CODE
+    ? area.replace(/\D/g, '')
+    : normalizeAreaName(area);
+  if (!areaKey || (type === DELIVERY_ZONE_TYPES.POSTAL_CODE && areaKey.length !== 5)) {
+    console.warn(`⚠️ [DELIVERY_ZONES] Skipping row ${rowNumber} - invalid ${type} "${area}"`);
+    return null;
+  }
+
+  const fee = parseInt(feeRaw.replace(/rp/gi, '').replace(/[\s.,]/g, ''), 10);
+  if (isNaN(fee) || fee < 0) {
+    console.warn(`⚠️ [DELIVERY_ZONES] Skipping row ${rowNumber} (${area}) - invalid fee "${feeRaw}"`);
+    return null;
+  }
+
+  return {
+    type,
+    area,
+    areaKey,
+    fee,
+    isActive: isActiveValue(getValue('is_active')),
+    notes: getValue('notes'),
+  };
+}
+
+// Delivery zones reader (zones change rarely, every new delivery order may look one up) - cached per tenant
+const deliveryZonesReader = createCachedSheetReader({
+  sheetName: DELIVERY_ZONES_SHEET,
+  ttlMs: CACHE_TTL.DELIVERY_ZONES,
+  parseRow: parseZoneRow,
+  tag: 'DELIVERY_ZONES',
+  label: 'delivery zones',
+  buildResult: (zones) => zones.filter(zone => zone.isActive),
+  describe: (zones) => `${zones.length} active zone(s)`,
+});
+
+/**
+ * Get all active delivery zones (cached)
+ * Returns empty array if the Delivery_Zones sheet does not exist
+ * @returns {Promise<Array>} Zones
+ */
+export async function getDeliveryZones() {
+  return await deliveryZonesReader.get();
+}
+
+/**
+ * Invalidate delivery zones cache (call after editing the Delivery_Zones sheet programmatically)
+ */
+export function invalidateDeliveryZonesCache() {
+  deliveryZonesReader.invalidate();
+}
@@ -0,0 +1,252 @@
+/**
+ * Order Events Repository
+ * Handles the Order_Events sheet - append-only audit log of order changes
+ *
+ * Orders rows are updated in place, so every status transition, payment update, edit and
+ * cancellation is also appended here with who made it, when, and the old/new value.
+ * Rows are never updated or deleted.
+ *
+ * Each row is one change:
+ * - event_id: EVT/YYYYMMDD/HHMMSS/RANDOM
+ * - order_id: Order ID
+ * - event_type: ORDER_EVENT_TYPES value
+ * - field: changed field (status, paid_amount, delivery_time, items, ...)
+ * - old_value / new_value: value before/after the change (objects/arrays as JSON)
+ * - actor_id: user ID of whoever made the change (empty for scheduler/system)
+ * - source: ORDER_EVENT_SOURCES value
+ * - note: free text (e.g. payment ID, auto-cancel reason)
+ * - created_at: ISO timestamp
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { SHEET_NAMES, ORDER_EVENT_SOURCES } from '../utils/constants.js';
+import { createTenantState } from '../config/tenant-context.js';
+
+const ORDER_EVENTS_SHEET = SHEET_NAMES.ORDER_EVENTS;
+
+// Order_Events sheet schema (in column order)
+const ORDER_EVENTS_SCHEMA = [
+  'event_id',
+  'order_id',
+  'event_type',
+  'field',
+  'old_value',
+  'new_value',
+  'actor_id',
+  'source',
+  'note',
+  'created_at',
+];
+
+const getOrderEventsSheetState = createTenantState(() => ({ ready: false })); // Sheet is checked once per process and tenant
+
+/**
+ * Generate unique event ID
+ * Format: EVT/YYYYMMDD/HHMMSS/RANDOM (same shape as payment IDs)
+ * Example: EVT/20260110/065129/2615
+ */
+function generateEventId() {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  const seconds = String(now.getSeconds()).padStart(2, '0');
+  const random = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+
+  return `EVT/${year}${month}${day}/${hours}${minutes}${seconds}/${random}`;
+}
+
+/**
+ * Convert a field value to a cell value (objects/arrays as JSON)
+ * @param {*} value - Field value
+ * @returns {string} Cell value
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Ensure Order_Events sheet exists with headers
+ * Idempotent - safe to call multiple times
+ */
+export async function ensureOrderEventsSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (!existingSheets.includes(ORDER_EVENTS_SHEET)) {
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: SPREADSHEET_ID,
+          requestBody: {
+            requests: [{
+              addSheet: {
+                properties: {
+                  title: ORDER_EVENTS_SHEET,
+                },
+              },
+            }],
+          },
+        });
+      });
+      console.log(`✅ [ORDER_EVENTS] Created ${ORDER_EVENTS_SHEET} sheet`);
+    }
+
+    const headerResponse = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${ORDER_EVENTS_SHEET}!A1:Z1`,
+      });
+    });
+
+    const existingHeaders = headerResponse.data.values?.[0] || [];
+    if (existingHeaders.length === 0) {
+      const lastColumn = columnIndexToLetter(ORDER_EVENTS_SCHEMA.length - 1);
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${ORDER_EVENTS_SHEET}!A1:${lastColumn}1`,
+          valueInputOption: 'RAW',
+          requestBody: {
+            values: [ORDER_EVENTS_SCHEMA],
+          },
+        });
+      });
+    }
+
+    getOrderEventsSheetState().ready = true;
+  } catch (error) {
+    console.error('❌ [ORDER_EVENTS] Error ensuring Order_Events sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Append an event to the Order_Events log
+ * Never throws: the audit log must not break the change it records (failures are logged)
+ * @param {Object} event - Event data
+ * @param {string} event.orderId - Order ID
+ * @param {string} event.eventType - ORDER_EVENT_TYPES value
+ * @param {string} event.field - Changed field
+ * @param {*} event.oldValue - Value before the change
+ * @param {*} event.newValue - Value after the change
+ * @param {number|string} event.actorId - User ID of whoever made the change (optional)
+ * @param {string} event.source - ORDER_EVENT_SOURCES value (default: system)
+ * @param {string} event.note - Optional note
+ * @returns {Promise<Object|null>} Saved event, or null if it could not be saved
+ */
+export async function recordOrderEvent(event) {
+  try {
+    if (!getOrderEventsSheetState().ready) {
+      await ensureOrderEventsSheet();
+    }
+
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const record = {
+      event_id: generateEventId(),
+      order_id: String(event.orderId || ''),
+      event_type: event.eventType,
+      field: event.field || '',
+      old_value: toCellValue(event.oldValue),
+      new_value: toCellValue(event.newValue),
+      actor_id: toCellValue(event.actorId),
+      source: event.source || ORDER_EVENT_SOURCES.SYSTEM,
+      note: event.note || '',
+      created_at: new Date().toISOString(),
+    };
+
+    const lastColumn = columnIndexToLetter(ORDER_EVENTS_SCHEMA.length - 1);
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.append({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${ORDER_EVENTS_SHEET}!A:${lastColumn}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+          values: [ORDER_EVENTS_SCHEMA.map(key => record[key])],
+        },
+      });
+    });
+
+    console.log(`📝 [ORDER_EVENTS] ${record.order_id}: ${record.event_type} ${record.field} "${record.old_value}" → "${record.new_value}" (source: ${record.source}, actor: ${record.actor_id || '-'})`);
+    return record;
+  } catch (error) {
+    console.error(`❌ [ORDER_EVENTS] Error recording event for order ${event?.orderId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get all events for an order (oldest first)
+ * Returns empty array if the Order_Events sheet does not exist yet
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} Events { event_id, order_id, event_type, field, old_value, new_value, actor_id, source, note, created_at }
+ */
+export async function getOrderEvents(orderId) {
+  const sheets = getSheetsClient();
+  const SPREADSHEET_ID = getSpreadsheetId();
+
+  let rows;
+  try {
+    const response = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${ORDER_EVENTS_SHEET}!A:Z`,
+      });
+    });
+    rows = response.data.values || [];
+  } catch (error) {
+    if (error.message?.includes('Unable to parse range')) {
+      // Sheet doesn't exist yet - no events recorded
+      return [];
+    }
+    throw error;
+  }
+
+  const headerMap = {};
+  (rows[0] || []).forEach((header, index) => {
+    headerMap[String(header).toLowerCase().trim()] = index;
+  });
+
+  const targetOrderId = String(orderId || '').trim();
+  const events = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const getValue = (key) => {
+      const colIndex = headerMap[key];
+      if (colIndex === undefined) return '';
+      return String(row[colIndex] ?? '');
+    };
+
+    if (getValue('order_id').trim() !== targetOrderId) {
+      continue;
+    }
+
+    const event = {};
+    ORDER_EVENTS_SCHEMA.forEach(key => {
+      event[key] = getValue(key);
+    });
+    events.push(event);
+  }
+
+  // Appended in order, but sort anyway in case rows were moved by hand
+  return events.sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+}
@@ -0,0 +1,250 @@
+/**
+ * Orders Cache
+ * Read-through, in-process snapshot of the Orders sheet, indexed by order ID and event date
+ *
+ * Dashboard polling, reminders, capacity checks and reports all read the full Orders sheet. The snapshot
+ * serves those reads from memory and is reloaded with a single values.get when it expires, when a write
+ * in orders.repo.js invalidates it, or by the periodic refresh (startOrdersCacheRefresh).
+ *
+ * - ORDERS_CACHE_TTL_SECONDS: snapshot lifetime (default: 60, 0 = disabled, every read goes to the sheet)
+ * - Edits made directly in Google Sheets show up after the TTL at the latest
+ * - Write paths never use the snapshot: they locate rows with findRowByOrderId() against the sheet
+ * - The snapshot is per server instance and tenant; writes from another instance show up after the TTL
+ *
+ * The snapshot holds raw rows; callers map them (orders.repo.js) so every read gets fresh objects.
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff, getSheetsRequestStats } from './sheets.client.js';
+import { getSheetHeaderMap, normalizeOrderId, columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { toISODateJakarta } from '../utils/date-utils.js';
+import { getEnv } from '../config/env.js';
+import { SHEET_NAMES } from '../utils/constants.js';
+import { createTenantState } from '../config/tenant-context.js';
+
+const ORDERS_SHEET = SHEET_NAMES.ORDERS;
+
+// Snapshot cache and counters, per tenant (every tenant has its own Orders sheet)
+const getCacheState = createTenantState(() => ({
+  snapshot: null, // { headerMap, rows, byId, byEventDate, fetchedAtMs }
+  inflight: null, // Promise<Object> (single-flight pattern)
+  generation: 0, // Bumped on invalidation so a load started before a write is not cached
+  lastReadAtMs: 0, // Last getOrdersSnapshot() call (the periodic refresh skips idle servers)
+  refreshTimer: null,
+  stats: {
+    hits: 0,
+    misses: 0,
+    loads: 0,
+    loadErrors: 0,
+    invalidations: 0,
+    lastLoadedAt: null,
+    lastLoadMs: null,
+    lastInvalidationReason: null,
+  },
+}));
+
+/**
+ * Snapshot lifetime in milliseconds (0 = cache disabled)
+ * @returns {number}
+ */
+function getOrdersCacheTtlMs() {
+  const seconds = parseInt(getEnv('ORDERS_CACHE_TTL_SECONDS', '60'), 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Build the order ID and event date indexes for the data rows
+ * @param {Array<Array>} rows - Data rows (without header)
+ * @param {Object} headerMap - Header map from getSheetHeaderMap()
+ */
+function buildSnapshot(rows, headerMap) {
+  const idIndex = headerMap.order_id;
+  const eventDateIndex = headerMap.event_date;
+  const byId = new Map();
+  const byEventDate = new Map();
+
+  rows.forEach(row => {
+    const orderId = idIndex !== undefined ? normalizeOrderId(String(row[idIndex] ?? '')) : '';
+    // First row wins, same as findRowByOrderId()
+    if (orderId && !byId.has(orderId)) {
+      byId.set(orderId, row);
+    }
+
+    const eventDate = eventDateIndex !== undefined ? toISODateJakarta(row[eventDateIndex]) : null;
+    if (eventDate) {
+      if (!byEventDate.has(eventDate)) {
+        byEventDate.set(eventDate, []);
+      }
+      byEventDate.get(eventDate).push(row);
+    }
+  });
+
+  return { headerMap, rows, byId, byEventDate, fetchedAtMs: Date.now() };
+}
+
+/**
+ * Read the whole Orders sheet and build a snapshot
+ * @returns {Promise<Object>} Snapshot
+ */
+async function loadOrdersSnapshot() {
+  const cacheState = getCacheState();
+  const sheets = getSheetsClient();
+  const SPREADSHEET_ID = getSpreadsheetId();
+  const startedAtMs = Date.now();
+
+  // Get header map using alias-based mapping (enforce snake_case for Orders)
+  const headerMap = await getSheetHeaderMap(ORDERS_SHEET, { requireSnakeCase: true, sheetType: 'Orders' });
+  const range = `${ORDERS_SHEET}!A:${columnIndexToLetter(headerMap.__headersLength - 1)}`;
+
+  const response = await retryWithBackoff(async () => {
+    return await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: range,
+    });
+  });
+
+  const rows = (response.data.values || []).slice(1);
+  const snapshot = buildSnapshot(rows, headerMap);
+
+  cacheState.stats.loads++;
+  cacheState.stats.lastLoadedAt = new Date().toISOString();
+  cacheState.stats.lastLoadMs = Date.now() - startedAtMs;
+  return snapshot;
+}
+
+/**
+ * Get the Orders snapshot (read-through: loads the sheet on a miss)
+ * Throws if the sheet cannot be read, like a direct read would.
+ * @returns {Promise<Object>} { headerMap, rows, byId, byEventDate, fetchedAtMs }
+ */
+export async function getOrdersSnapshot() {
+  const cacheState = getCacheState();
+  const ttlMs = getOrdersCacheTtlMs();
+  cacheState.lastReadAtMs = Date.now();
+
+  if (cacheState.snapshot && ttlMs > 0 && (cacheState.lastReadAtMs - cacheState.snapshot.fetchedAtMs) < ttlMs) {
+    cacheState.stats.hits++;
+    return cacheState.snapshot;
+  }
+  cacheState.stats.misses++;
+
+  // Single-flight: if a load is in progress, await the same promise
+  if (cacheState.inflight) {
+    return await cacheState.inflight;
+  }
+
+  const generation = cacheState.generation;
+  const loadPromise = (async () => {
+    try {
+      const snapshot = await loadOrdersSnapshot();
+      // Don't cache a snapshot that may predate a write made while it was loading
+      if (ttlMs > 0 && generation === cacheState.generation) {
+        cacheState.snapshot = snapshot;
+      }
+      return snapshot;
+    } catch (error) {
+      cacheState.stats.loadErrors++;
+      throw error;
+    } finally {
+      cacheState.inflight = null;
+    }
+  })();
+
+  cacheState.inflight = loadPromise;
+
+  return await loadPromise;
+}
+
+/**
+ * Find an order row by order ID in the snapshot
+ * @param {string} orderId - Order ID (normalized before lookup)
+ * @returns {Promise<Object|null>} { row, headerMap } or null if the order is not in the snapshot
+ */
+export async function findCachedOrderRow(orderId) {
+  const normalizedId = normalizeOrderId(orderId);
+  if (!normalizedId) {
+    return null;
+  }
+  const snapshot = await getOrdersSnapshot();
+  const row = snapshot.byId.get(normalizedId);
+  return row ? { row, headerMap: snapshot.headerMap } : null;
+}
+
+/**
+ * Get order rows for an event date from the snapshot
+ * @param {string} eventDate - Event date (YYYY-MM-DD, DD/MM/YYYY, ...)
+ * @returns {Promise<Object>} { rows, headerMap } (rows is empty for invalid dates)
+ */
+export async function getCachedOrderRowsByEventDate(eventDate) {
+  const dateISO = toISODateJakarta(eventDate);
+  const snapshot = await getOrdersSnapshot();
+  return {
+    rows: (dateISO && snapshot.byEventDate.get(dateISO)) || [],
+    headerMap: snapshot.headerMap,
+  };
+}
+
+/**
+ * Invalidate the Orders snapshot (call after every write to the Orders sheet)
+ * @param {string} reason - What changed (shown in getOrdersCacheStats())
+ */
+export function invalidateOrdersCache(reason = 'write') {
+  const cacheState = getCacheState();
+  cacheState.snapshot = null;
+  cacheState.generation++;
+  cacheState.stats.invalidations++;
+  cacheState.stats.lastInvalidationReason = reason;
+}
+
+/**
+ * Start the periodic refresh
+ * Reloads the snapshot every ORDERS_CACHE_TTL_SECONDS so reads rarely wait for the sheet. Skipped when
+ * nothing read the snapshot since the last load, so an idle server uses no read quota.
+ */
+export function startOrdersCacheRefresh() {
+  const cacheState = getCacheState();
+  const ttlMs = getOrdersCacheTtlMs();
+  if (!ttlMs) {
+    console.log('ℹ️ [ORDERS_CACHE] Orders cache disabled (ORDERS_CACHE_TTL_SECONDS=0)');
+    return;
+  }
+  if (cacheState.refreshTimer) {
+    return;
+  }
+
+  cacheState.refreshTimer = setInterval(async () => {
+    if (cacheState.inflight || !cacheState.snapshot || cacheState.lastReadAtMs < cacheState.snapshot.fetchedAtMs) {
+      return;
+    }
+    const generation = cacheState.generation;
+    try {
+      const snapshot = await loadOrdersSnapshot();
+      if (generation === cacheState.generation) {
+        cacheState.snapshot = snapshot;
+      }
+    } catch (error) {
+      cacheState.stats.loadErrors++;
+      console.error('❌ [ORDERS_CACHE] Periodic refresh failed:', error.message);
+    }
+  }, ttlMs);
+  cacheState.refreshTimer.unref?.();
+
+  console.log(`✅ [ORDERS_CACHE] Orders cache refresh started (every ${ttlMs / 1000} second(s))`);
+}
+
+/**
+ * Get cache hit/miss counters and Google Sheets quota usage
+ * @returns {Object} Cache stats with `sheets` request counts (see getSheetsRequestStats())
+ */
+export function getOrdersCacheStats() {
+  const cacheState = getCacheState();
+  const lookups = cacheState.stats.hits + cacheState.stats.misses;
+  return {
+    ...cacheState.stats,
+    hitRate: lookups > 0 ? Math.round((cacheState.stats.hits / lookups) * 1000) / 1000 : null,
+    enabled: getOrdersCacheTtlMs() > 0,
+    ttlSeconds: getOrdersCacheTtlMs() / 1000,
+    rows: cacheState.snapshot ? cacheState.snapshot.rows.length : 0,
+    snapshotAgeSeconds: cacheState.snapshot ? Math.round((Date.now() - cacheState.snapshot.fetchedAtMs) / 1000) : null,
+    sheets: getSheetsRequestStats(),
+  };
+}
@@ -13,9 +13,19 @@ import {
   columnIndexToLetter,
   invalidateHeaderCache,
 } from '../utils/sheets-helpers.js';
-import { SHEET_NAMES, ORDER_STATUS } from '../utils/constants.js';
+import { SHEET_NAMES, ORDER_STATUS, ORDER_EVENT_TYPES, DELIVERY_FEE_SOURCE } from '../utils/constants.js';
+import { createTenantState } from '../config/tenant-context.js';
+import { formatOrderId, getOrderIdPrefix } from '../utils/order-id.js';
 
 import { getPriceList } from './price-list.repo.js';
+import { recordOrderEvent } from './order-events.repo.js';
+import { publishDashboardEvent, DASHBOARD_EVENT_TYPES } from '../services/dashboard-events.js';
+import {
+  getOrdersSnapshot,
+  findCachedOrderRow,
+  getCachedOrderRowsByEventDate,
+  invalidateOrdersCache,
+} from './orders-cache.js';
 
 const ORDERS_SHEET = SHEET_NAMES.ORDERS;
 
@@ -33,102 +43,32 @@ async function computeOrderTotals(orderData, priceList) {
   const calculation = calculateOrderTotal(orderData.items || [], priceList);
   const productTotal = calculation.subtotal || 0;
   
-  // Calculate packaging fee
-  // Check if Packaging Styrofoam is in notes or items
-  // Format: "Packaging Styrofoam: YA" or "Packaging Styrofoam (1 box Rp40.000 untuk 50 cup): YA"
-  let packagingFee = 0;
-  let packagingRequested = false;
-  
-  // Check notes for packaging request
-  const packagingNotes = (orderData.notes || []).filter(note => {
-    const noteLower = note.toLowerCase();
-    return noteLower.includes('packaging') || noteLower.includes('styrofoam');
-  });
+  // Apply promo code (Kode Promo) - only valid codes are stored on the order
+  const { resolveOrderPromo } = await import('../services/promo-validator.js');
+  const promoResult = await resolveOrderPromo(orderData, priceList);
+  const discountAmount = promoResult?.valid ? promoResult.discount : 0;
+  orderData.promo_code = promoResult?.valid ? promoResult.code : '';
+  orderData.discount_amount = discountAmount;
+  // Not saved - lets the confirmation message explain why the code was not applied
+  orderData.promo_error = promoResult && !promoResult.valid ? promoResult.reason : null;
   
-  // Parse packaging override (e.g., "Packaging Styrofoam: 1 box" or "Styrofoam Boxes: 1")
-  let styrofoamBoxesOverride = null;
-  let usePlasticBag = false;
+  // Packaging fee from the Packaging_Rules sheet (e.g. "Packaging Styrofoam: YA" → 1 box per 50 cups)
+  const { calculateOrderPackaging } = await import('../services/packaging-calculator.js');
+  const packaging = await calculateOrderPackaging(orderData, priceList);
+  const packagingFee = packaging.packagingFee;
+  // Saved as packaging_json, so invoices, recaps and the dashboard show the same lines
+  orderData.packaging = packaging.lines;
   
-  for (const note of packagingNotes) {
-    const noteLower = note.toLowerCase();
-    
-    // Check for explicit box count (e.g., "1 box", "2 box", "Packaging Styrofoam: 1 box")
-    const boxCountMatch = noteLower.match(/(\d+)\s*box/i);
-    if (boxCountMatch) {
-      styrofoamBoxesOverride = parseInt(boxCountMatch[1], 10);
-      console.log(`🔍 [COMPUTE_TOTALS] Packaging override detected: ${styrofoamBoxesOverride} box(es)`);
-    }
-    
-    // Check for plastic bag mention (e.g., "sisanya plastic bag", "plastic bag: ya")
-    if (noteLower.includes('plastic bag') || noteLower.includes('sisanya plastic')) {
-      usePlasticBag = true;
-    }
-    
-    // Check if packaging is explicitly requested (YA)
-    if (noteLower.includes('ya') && !noteLower.includes('tidak')) {
-      packagingRequested = true;
-    }
-    // If note contains packaging/styrofoam but no explicit TIDAK, assume yes
-    if (!noteLower.includes('tidak')) {
-      packagingRequested = true;
-    }
+  // Estimate ongkir from the Delivery_Zones sheet when the customer left "Biaya Pengiriman" empty (GrabExpress/Custom)
+  const { resolveDeliveryFee } = await import('../services/delivery-fee-calculator.js');
+  const deliveryEstimate = await resolveDeliveryFee(orderData);
+  if (deliveryEstimate) {
+    orderData.delivery_fee = deliveryEstimate.fee;
+    orderData.delivery_fee_source = DELIVERY_FEE_SOURCE.ZONE_ESTIMATE;
+    // Not saved - lets the confirmation message name the matched area
+    orderData.delivery_zone = deliveryEstimate.label;
   }
-  
-  // Also check items for packaging
-  const packagingInItems = (orderData.items || []).some(item => 
-    item.name.toLowerCase().includes('packaging') || 
-    item.name.toLowerCase().includes('styrofoam')
-  );
-  
-  if (packagingRequested || packagingInItems || styrofoamBoxesOverride !== null) {
-    // Calculate total cups from items
-    let totalCups = 0;
-    (orderData.items || []).forEach(item => {
-      // Skip packaging/styrofoam items themselves
-      const itemNameLower = (item.name || '').toLowerCase();
-      if (itemNameLower.includes('packaging') || itemNameLower.includes('styrofoam')) {
-        return; // Skip packaging items
-      }
-      
-      // Check if item is a cup-based product (Dawet Small/Medium/Large)
-      // Handle items with toppings (e.g., "Dawet Medium + Nangka", "Dawet Medium Original")
-      if (itemNameLower.includes('dawet') && 
-          (itemNameLower.includes('small') || 
-           itemNameLower.includes('medium') || 
-           itemNameLower.includes('large'))) {
-        // Exclude botol items (they're not cups)
-        if (!itemNameLower.includes('botol')) {
-          totalCups += parseInt(item.quantity || 0);
-        }
-      }
-    });
-    
-    // Use override if provided, otherwise calculate default
-    let boxes = 0;
-    if (styrofoamBoxesOverride !== null) {
-      boxes = styrofoamBoxesOverride;
-    } else if (totalCups > 0) {
-      boxes = Math.ceil(totalCups / 50);
-    } else {
-      // If no cups detected but packaging requested, assume 1 box
-      boxes = 1;
-    }
-    
-    // Calculate packaging fee (only styrofoam boxes, plastic bag is free)
-    packagingFee = boxes * 40000;
-    
-    // Store packaging plan for transparency
-    const packagingPlan = {
-      styrofoam_boxes: boxes,
-      plastic_bags: usePlasticBag,
-      total_cups: totalCups,
-    };
-    // Store in orderData for later saving (will be stored in notes_json or a dedicated column)
-    orderData.packaging_plan = JSON.stringify(packagingPlan);
-    
-    console.log(`🔍 [COMPUTE_TOTALS] Total cups: ${totalCups}, Boxes: ${boxes}${styrofoamBoxesOverride !== null ? ' (override)' : ''}, Plastic bag: ${usePlasticBag ? 'YES' : 'NO'}, Packaging fee: Rp ${packagingFee}`);
-  }
-  
+
   // Delivery fee (from orderData.delivery_fee, default 0)
   // Use the parsed delivery_fee directly from orderData
   const deliveryFee = orderData.delivery_fee !== null && orderData.delivery_fee !== undefined 
@@ -136,9 +76,9 @@ async function computeOrderTotals(orderData, priceList) {
     : 0;
 
   // Total amount (canonical - replaces final_total)
-  const totalAmount = productTotal + packagingFee + deliveryFee;
+  const totalAmount = productTotal + packagingFee + deliveryFee - discountAmount;
   
-  // DP minimum (50% of total amount)
+  // DP minimum (payment policy DP percentage of total amount)
   const dpMinAmount = calculateMinDP(totalAmount);
   
   // Paid amount (default 0 at creation)
@@ -158,6 +98,8 @@ async function computeOrderTotals(orderData, priceList) {
     productTotal,
     packagingFee,
     deliveryFee,
+    discountAmount,
+    promoCode: orderData.promo_code,
     totalAmount, // Canonical field (replaces finalTotal)
     finalTotal: totalAmount, // Keep for backward compatibility (deprecated)
     dpMinAmount,
@@ -167,18 +109,19 @@ async function computeOrderTotals(orderData, priceList) {
   };
 }
 
-// Cache for order ID generation (per date) to minimize read requests
-const orderIdCache = {
+// Cache for order ID generation (per tenant and date) to minimize read requests
+const getOrderIdCache = createTenantState(() => ({
   date: null,
   maxOrderNumber: 0,
   lastFetchedAt: null,
   cacheTTL: 5 * 60 * 1000, // 5 minutes cache
-};
+}));
 
 /**
- * Generate order ID in format: DKM/YYYYMMDD/000005 (increments by date, resets each day)
+ * Generate order ID in format: DKM/YYYYMMDD/000005 (tenant's orderIdPrefix; increments by date, resets each day)
  */
 export async function generateOrderId() {
+  const orderIdCache = getOrderIdCache();
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
@@ -197,9 +140,8 @@ export async function generateOrderId() {
         (now - orderIdCache.lastFetchedAt) < orderIdCache.cacheTTL) {
       // Use cached max order number
       orderIdCache.maxOrderNumber += 1;
-      const orderNumberStr = String(orderIdCache.maxOrderNumber).padStart(6, '0');
       logger.debug(`[GENERATE_ORDER_ID] Using cached max order number: ${orderIdCache.maxOrderNumber}`);
-      return `DKM/${dateStr}/${orderNumberStr}`;
+      return formatOrderId(dateStr, orderIdCache.maxOrderNumber);
     }
     
     // Reset cache if date changed
@@ -223,7 +165,7 @@ export async function generateOrderId() {
         // Find orders from today (format: DKM/YYYYMMDD/000005)
         const todayOrders = rows.slice(1).filter(row => {
           const orderId = (row[0] || '').toString().trim();
-          return orderId.startsWith(`DKM/${dateStr}/`);
+          return orderId.toUpperCase().startsWith(`${getOrderIdPrefix()}/${dateStr}/`);
         });
         
         if (todayOrders.length > 0) {
@@ -253,10 +195,7 @@ export async function generateOrderId() {
       logger.debug(`[GENERATE_ORDER_ID] Sheet doesn't exist or error, starting from 1`);
     }
     
-    // Format order number with 6 digits
-    const orderNumberStr = String(orderNumber).padStart(6, '0');
-    
-    return `DKM/${dateStr}/${orderNumberStr}`;
+    return formatOrderId(dateStr, orderNumber);
   } catch (error) {
     console.error('❌ Error generating order ID:', error.message);
     // Fallback to timestamp-based ID
@@ -265,7 +204,7 @@ export async function generateOrderId() {
     const month = String(today.getMonth() + 1).padStart(2, '0');
     const day = String(today.getDate()).padStart(2, '0');
     const dateStr = `${year}${month}${day}`;
-    return `DKM/${dateStr}/${Date.now().toString().slice(-6)}`;
+    return formatOrderId(dateStr, Date.now().toString().slice(-6));
   }
 }
 
@@ -281,7 +220,7 @@ export async function ensureOrdersPaymentHeaders() {
     const response = await retryWithBackoff(async () => {
       return await sheets.spreadsheets.values.get({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${ORDERS_SHEET}!A1:Z1`,
+        range: `${ORDERS_SHEET}!A1:ZZ1`, // Wide range (Orders has more than 26 columns)
       });
     });
 
@@ -301,6 +240,10 @@ export async function ensureOrdersPaymentHeaders() {
       'paid_amount',
       'payment_status',
       'remaining_balance',
+      'promo_code',
+      'discount_amount',
+      'delivery_fee_source',
+      'packaging_json',
     ];
     
     // Also ensure delivery_method column exists (shipping method)
@@ -331,6 +274,7 @@ export async function ensureOrdersPaymentHeaders() {
       
       // Invalidate header cache after adding columns
       invalidateHeaderCache(ORDERS_SHEET);
+      invalidateOrdersCache('orders_headers');
     }
   } catch (error) {
     console.error('⚠️ Error ensuring payment headers (non-critical):', error.message);
@@ -507,7 +451,7 @@ export async function saveOrder(orderData, options = {}) {
       // Add headers (original + payment columns)
       await sheets.spreadsheets.values.update({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${ORDERS_SHEET}!A1:X1`,
+        range: `${ORDERS_SHEET}!A1:ZZ1`, // Wide range (Orders has more than 26 columns)
         valueInputOption: 'RAW',
         requestBody: {
           values: [[
@@ -536,6 +480,10 @@ export async function saveOrder(orderData, options = {}) {
             'paid_amount',
             'payment_status',
             'remaining_balance',
+            'promo_code',
+            'discount_amount',
+            'delivery_fee_source',
+            'packaging_json',
           ]],
         },
       });
@@ -632,6 +580,10 @@ export async function saveOrder(orderData, options = {}) {
       paid_amount: totals.paidAmount,
       payment_status: totals.paymentStatus,
       remaining_balance: totals.remainingBalance,
+      promo_code: totals.promoCode,
+      discount_amount: totals.discountAmount,
+      delivery_fee_source: orderData.delivery_fee_source || '',
+      packaging_json: JSON.stringify(orderData.packaging || []),
     };
     
     // Build row using header map
@@ -762,6 +714,7 @@ export async function saveOrder(orderData, options = {}) {
       });
       logger.debug(`[SAVE_ORDER] saved invoice ${orderId} with delivery_fee=${totals.deliveryFee}`);
     }
+    invalidateOrdersCache('saveOrder');
 
     // Post-write validation: Check for duplicates (safety net)
     // Get final row index after write (for append case, existingRowIndex was null)
@@ -789,6 +742,12 @@ export async function saveOrder(orderData, options = {}) {
       operation: existingRowIndex ? 'UPDATED' : 'APPENDED',
       rowIndex: existingRowIndex || 'NEW',
     });
+
+    publishDashboardEvent(DASHBOARD_EVENT_TYPES.ORDER_SAVED, {
+      orderId,
+      status: orderData.status || 'pending',
+      created: !existingRowIndex,
+    });
     
     // Return order data with calculated totals
     // CRITICAL: Include all computed totals so caller can use them
@@ -798,6 +757,7 @@ export async function saveOrder(orderData, options = {}) {
       productTotal: totals.productTotal,
       packagingFee: totals.packagingFee,
       deliveryFee: totals.deliveryFee,
+      discountAmount: totals.discountAmount,
       totalAmount: totals.totalAmount,
       finalTotal: totals.finalTotal,
       dpMinAmount: totals.dpMinAmount,
@@ -812,127 +772,254 @@ export async function saveOrder(orderData, options = {}) {
 }
 
 /**
- * Get all orders from Google Sheets
+ * Parse the packaging_json column (packaging lines, see services/packaging-calculator.js)
+ * @param {string} value - Column value
+ * @returns {Array|null} Lines, or null for orders saved before the column existed
  */
-export async function getAllOrders(limit = 100) {
+function parsePackagingJson(value) {
+  if (!value) {
+    return null;
+  }
   try {
-    const sheets = getSheetsClient();
-    const SPREADSHEET_ID = getSpreadsheetId();
-    
-    // Get header map using alias-based mapping (enforce snake_case for Orders)
-    const headerMap = await getSheetHeaderMap(ORDERS_SHEET, { requireSnakeCase: true, sheetType: 'Orders' });
-    
-    const range = `${ORDERS_SHEET}!A:${columnIndexToLetter(headerMap.__headersLength - 1)}`;
+    const lines = JSON.parse(value);
+    return Array.isArray(lines) ? lines : null;
+  } catch (e) {
+    console.warn(`⚠️ [GET_ORDER] Error parsing packaging JSON:`, e.message);
+    return null;
+  }
+}
 
-    // Read extended range to include all columns
-    const response = await retryWithBackoff(async () => {
-      return await sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: range,
-      });
-    });
+/**
+ * Map an Orders sheet row to an order (getAllOrders - also fills shipping_method)
+ * @param {Array} row - Row values
+ * @param {Object} headerMap - Header map from getSheetHeaderMap()
+ * @returns {Object} Order
+ */
+function mapOrderListRow(row, headerMap) {
+  // Helper to get value by internal key
+  const getValue = (internalKey, defaultValue = '') => {
+    const colIndex = headerMap[internalKey];
+    if (colIndex === undefined) {
+      return defaultValue;
+    }
+    return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
+  };
 
-    const rows = response.data.values || [];
-    if (rows.length <= 1) {
+  // Parse items and notes JSON
+  let items = [];
+  let notes = [];
+  try {
+    const itemsJson = getValue('items_json', '[]');
+    const notesJson = getValue('notes_json', '[]');
+    items = JSON.parse(itemsJson);
+    notes = JSON.parse(notesJson);
+  } catch (e) {
+    console.warn(`⚠️ [GET_ALL_ORDERS] Error parsing items/notes JSON:`, e.message);
+    // Invalid JSON, keep empty arrays
+  }
+
+  return {
+    id: getValue('order_id', ''),
+    customer_name: getValue('customer_name', ''),
+    phone_number: getValue('phone_number', ''),
+    address: getValue('address', ''),
+    event_name: getValue('event_name', ''),
+    event_duration: getValue('event_duration', ''),
+    event_date: getValue('event_date', ''),
+    delivery_time: getValue('delivery_time', ''),
+    items: items,
+    notes: notes,
+    status: getValue('status', 'pending'),
+    total_items: parseInt(getValue('total_items', '0')) || 0,
+    created_at: getValue('created_at', ''),
+    updated_at: getValue('updated_at', ''),
+    conversation_id: getValue('conversation_id', ''),
+    // Payment fields (with defaults for backward compatibility)
+    product_total: (() => {
+      const val = getValue('product_total', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    packaging_fee: (() => {
+      const val = getValue('packaging_fee', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    delivery_fee: (() => {
+      const val = getValue('delivery_fee', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    // total_amount is canonical (replaces final_total)
+    total_amount: (() => {
+      const totalAmountVal = getValue('total_amount', null);
+      if (totalAmountVal !== null && totalAmountVal !== '') {
+        const parsed = typeof totalAmountVal === 'string' ? parseFloat(totalAmountVal.replace(/[.,]/g, '')) || 0 : parseFloat(totalAmountVal) || 0;
+        if (parsed > 0) {
+          return parsed;
+        }
+      }
+      // Fallback to final_total for legacy data
+      const finalTotalVal = getValue('final_total', '0');
+      const parsed = typeof finalTotalVal === 'string' ? parseFloat(finalTotalVal.replace(/[.,]/g, '')) || 0 : parseFloat(finalTotalVal) || 0;
+      return parsed;
+    })(),
+    final_total: (() => {
+      const val = getValue('final_total', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    dp_min_amount: (() => {
+      const val = getValue('dp_min_amount', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    paid_amount: (() => {
+      const val = getValue('paid_amount', '0');
+      if (typeof val === 'string') {
+        const cleaned = val.replace(/^rp\s*/i, '').replace(/\s+/g, '').replace(/[.,]/g, '');
+        return parseFloat(cleaned) || 0;
+      }
+      return parseFloat(val) || 0;
+    })(),
+    delivery_method: getValue('delivery_method', '') || getValue('shipping_method', '') || '-',
+    shipping_method: getValue('delivery_method', '') || getValue('shipping_method', '') || '-',
+    payment_status: getValue('payment_status', 'UNPAID'),
+    remaining_balance: (() => {
+      const val = getValue('remaining_balance', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    promo_code: getValue('promo_code', ''),
+    delivery_fee_source: getValue('delivery_fee_source', ''),
+    packaging: parsePackagingJson(getValue('packaging_json', '')),
+    discount_amount: (() => {
+      const val = getValue('discount_amount', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+  };
+}
+
+/**
+ * Map an Orders sheet row to an order (getOrderById)
+ * @param {Array} row - Row values
+ * @param {Object} headerMap - Header map from getSheetHeaderMap()
+ * @returns {Object} Order
+ */
+function mapOrderRow(row, headerMap) {
+  // Helper to get value by internal key (same pattern as getAllOrders)
+  const getValue = (internalKey, defaultValue = '') => {
+    const colIndex = headerMap[internalKey];
+    if (colIndex === undefined) {
+      return defaultValue;
+    }
+    return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
+  };
+
+  // Parse items and notes JSON
+  let items = [];
+  let notes = [];
+  try {
+    const itemsJson = getValue('items_json', '[]');
+    const notesJson = getValue('notes_json', '[]');
+    items = JSON.parse(itemsJson);
+    notes = JSON.parse(notesJson);
+  } catch (e) {
+    logger.warn(`⚠️ [GET_ORDER] Error parsing items/notes JSON:`, e.message);
+    // Invalid JSON, keep empty arrays
+  }
+
+  return {
+    id: getValue('order_id', ''),
+    customer_name: getValue('customer_name', ''),
+    phone_number: getValue('phone_number', ''),
+    address: getValue('address', ''),
+    event_name: getValue('event_name', ''),
+    event_duration: getValue('event_duration', ''),
+    event_date: getValue('event_date', ''),
+    delivery_time: getValue('delivery_time', ''),
+    delivery_method: getValue('delivery_method', ''),
+    items: items,
+    notes: notes,
+    status: getValue('status', 'pending'),
+    total_items: parseInt(getValue('total_items', '0')) || 0,
+    created_at: getValue('created_at', ''),
+    updated_at: getValue('updated_at', ''),
+    conversation_id: getValue('conversation_id', ''),
+    // Payment fields (with defaults for backward compatibility)
+    product_total: (() => {
+      const val = getValue('product_total', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    packaging_fee: (() => {
+      const val = getValue('packaging_fee', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    delivery_fee: (() => {
+      const val = getValue('delivery_fee', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    // total_amount is canonical (replaces final_total)
+    total_amount: (() => {
+      const totalAmountVal = getValue('total_amount', null);
+      if (totalAmountVal !== null && totalAmountVal !== '') {
+        const parsed = typeof totalAmountVal === 'string' ? parseFloat(totalAmountVal.replace(/[.,]/g, '')) || 0 : parseFloat(totalAmountVal) || 0;
+        if (parsed > 0) return parsed;
+      }
+      // Fallback to final_total if total_amount is empty
+      const finalTotalVal = getValue('final_total', null);
+      if (finalTotalVal !== null && finalTotalVal !== '') {
+        return typeof finalTotalVal === 'string' ? parseFloat(finalTotalVal.replace(/[.,]/g, '')) || 0 : parseFloat(finalTotalVal) || 0;
+      }
+      return 0;
+    })(),
+    final_total: (() => {
+      const val = getValue('final_total', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    dp_min_amount: (() => {
+      const val = getValue('dp_min_amount', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    paid_amount: (() => {
+      const val = getValue('paid_amount', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    payment_status: getValue('payment_status', 'UNPAID'),
+    remaining_balance: (() => {
+      const val = getValue('remaining_balance', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+    promo_code: getValue('promo_code', ''),
+    delivery_fee_source: getValue('delivery_fee_source', ''),
+    packaging: parsePackagingJson(getValue('packaging_json', '')),
+    discount_amount: (() => {
+      const val = getValue('discount_amount', '0');
+      return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
+    })(),
+  };
+}
+
+/**
+ * Sort orders newest first (by created_at)
+ * @param {Array} orders - Orders
+ * @returns {Array} Same array, sorted
+ */
+function sortOrdersNewestFirst(orders) {
+  return orders.sort((a, b) => 
+    new Date(b.created_at || 0) - new Date(a.created_at || 0)
+  );
+}
+
+/**
+ * Get all orders from Google Sheets
+ * Served from the Orders cache (orders-cache.js); reads the sheet only when the snapshot is stale.
+ */
+export async function getAllOrders(limit = 100) {
+  try {
+    const { rows, headerMap } = await getOrdersSnapshot();
+    if (rows.length === 0) {
       console.log(`⚠️ [GET_ALL_ORDERS] No data rows found (only headers)`);
       return [];
     }
     
-    const orders = rows.slice(1, limit + 1).map(row => {
-      // Helper to get value by internal key
-      const getValue = (internalKey, defaultValue = '') => {
-        const colIndex = headerMap[internalKey];
-        if (colIndex === undefined) {
-          return defaultValue;
-        }
-        return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
-      };
-      
-      // Parse items and notes JSON
-      let items = [];
-      let notes = [];
-      try {
-        const itemsJson = getValue('items_json', '[]');
-        const notesJson = getValue('notes_json', '[]');
-        items = JSON.parse(itemsJson);
-        notes = JSON.parse(notesJson);
-      } catch (e) {
-        console.warn(`⚠️ [GET_ALL_ORDERS] Error parsing items/notes JSON:`, e.message);
-        // Invalid JSON, keep empty arrays
-      }
+    const orders = rows.slice(0, limit).map(row => mapOrderListRow(row, headerMap));
 
-      return {
-        id: getValue('order_id', ''),
-        customer_name: getValue('customer_name', ''),
-        phone_number: getValue('phone_number', ''),
-        address: getValue('address', ''),
-        event_name: getValue('event_name', ''),
-        event_duration: getValue('event_duration', ''),
-        event_date: getValue('event_date', ''),
-        delivery_time: getValue('delivery_time', ''),
-        items: items,
-        notes: notes,
-        status: getValue('status', 'pending'),
-        total_items: parseInt(getValue('total_items', '0')) || 0,
-        created_at: getValue('created_at', ''),
-        updated_at: getValue('updated_at', ''),
-        conversation_id: getValue('conversation_id', ''),
-        // Payment fields (with defaults for backward compatibility)
-        product_total: (() => {
-          const val = getValue('product_total', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-        packaging_fee: (() => {
-          const val = getValue('packaging_fee', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-        delivery_fee: (() => {
-          const val = getValue('delivery_fee', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-        // total_amount is canonical (replaces final_total)
-        total_amount: (() => {
-          const totalAmountVal = getValue('total_amount', null);
-          if (totalAmountVal !== null && totalAmountVal !== '') {
-            const parsed = typeof totalAmountVal === 'string' ? parseFloat(totalAmountVal.replace(/[.,]/g, '')) || 0 : parseFloat(totalAmountVal) || 0;
-            if (parsed > 0) {
-              return parsed;
-            }
-          }
-          // Fallback to final_total for legacy data
-          const finalTotalVal = getValue('final_total', '0');
-          const parsed = typeof finalTotalVal === 'string' ? parseFloat(finalTotalVal.replace(/[.,]/g, '')) || 0 : parseFloat(finalTotalVal) || 0;
-          return parsed;
-        })(),
-        final_total: (() => {
-          const val = getValue('final_total', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-        dp_min_amount: (() => {
-          const val = getValue('dp_min_amount', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-        paid_amount: (() => {
-          const val = getValue('paid_amount', '0');
-          if (typeof val === 'string') {
-            const cleaned = val.replace(/^rp\s*/i, '').replace(/\s+/g, '').replace(/[.,]/g, '');
-            return parseFloat(cleaned) || 0;
-          }
-          return parseFloat(val) || 0;
-        })(),
-        delivery_method: getValue('delivery_method', '') || getValue('shipping_method', '') || '-',
-        shipping_method: getValue('delivery_method', '') || getValue('shipping_method', '') || '-',
-        payment_status: getValue('payment_status', 'UNPAID'),
-        remaining_balance: (() => {
-          const val = getValue('remaining_balance', '0');
-          return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-        })(),
-      };
-    });
-
-    const sortedOrders = orders.sort((a, b) => 
-      new Date(b.created_at || 0) - new Date(a.created_at || 0)
-    );
+    const sortedOrders = sortOrdersNewestFirst(orders);
     
     logger.debug(`[GET_ALL_ORDERS] Retrieved ${sortedOrders.length} order(s)`);
     return sortedOrders;
@@ -944,11 +1031,55 @@ export async function getAllOrders(limit = 100) {
   }
 }
 
+/**
+ * Get orders for an event date (served from the Orders cache event date index)
+ * @param {string} eventDate - Event date (YYYY-MM-DD, DD/MM/YYYY, ...)
+ * @returns {Promise<Array>} Orders newest first (empty for invalid dates)
+ */
+export async function getOrdersByEventDate(eventDate) {
+  try {
+    const { rows, headerMap } = await getCachedOrderRowsByEventDate(eventDate);
+    const orders = sortOrdersNewestFirst(rows.map(row => mapOrderListRow(row, headerMap)));
+    logger.debug(`[GET_ORDERS_BY_DATE] Retrieved ${orders.length} order(s) for ${eventDate}`);
+    return orders;
+  } catch (error) {
+    logger.error('[GET_ORDERS_BY_DATE] Error getting orders:', error?.message || 'Unknown error');
+    throw error;
+  }
+}
+
+/**
+ * Get all orders of a customer conversation (served from the Orders cache, no limit)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array>} Orders newest first
+ */
+export async function getOrdersByConversationId(conversationId) {
+  try {
+    const { rows, headerMap } = await getOrdersSnapshot();
+    const colIndex = headerMap.conversation_id;
+    if (!conversationId || colIndex === undefined) {
+      return [];
+    }
+    const target = String(conversationId);
+    const orders = sortOrdersNewestFirst(
+      rows.filter(row => String(row[colIndex] ?? '') === target).map(row => mapOrderListRow(row, headerMap))
+    );
+    logger.debug(`[GET_ORDERS_BY_CONVERSATION] Retrieved ${orders.length} order(s) for ${conversationId}`);
+    return orders;
+  } catch (error) {
+    logger.error('[GET_ORDERS_BY_CONVERSATION] Error getting orders:', error?.message || 'Unknown error');
+    throw error;
+  }
+}
+
 /**
  * Get order by ID (optimized to minimize read requests)
- * Uses findRowByOrderId to locate the row, then reads only that row
+ * Served from the Orders cache when the order is in the snapshot; otherwise uses findRowByOrderId
+ * to locate the row, then reads only that row (orders added by another instance or by hand).
+ * @param {string} orderId - Order ID
+ * @param {Object} options - { fresh } to skip the cache (read-modify-write paths such as payment totals)
  */
-export async function getOrderById(orderId) {
+export async function getOrderById(orderId, options = {}) {
   try {
     if (!orderId) {
       logger.warn(`⚠️ [GET_ORDER] Missing orderId`);
@@ -959,6 +1090,15 @@ export async function getOrderById(orderId) {
     const normalizedInputId = normalizeOrderId(orderId);
     logger.debug(`[GET_ORDER] Looking up order_id: "${normalizedInputId}" (original: "${orderId}")`);
     
+    const cached = !options.fresh && await findCachedOrderRow(orderId).catch(error => {
+      logger.warn(`⚠️ [GET_ORDER] Orders cache unavailable, reading sheet:`, error.message);
+      return null;
+    });
+    if (cached) {
+      logger.debug(`✅ [GET_ORDER] Found order ${normalizedInputId} in Orders cache`);
+      return mapOrderRow(cached.row, cached.headerMap);
+    }
+    
     // OPTIMIZATION: Use findRowByOrderId to locate the row first (minimizes read requests)
     // Then read only that specific row instead of reading all orders
     const rowIndex = await findRowByOrderId(ORDERS_SHEET, orderId);
@@ -980,91 +1120,7 @@ export async function getOrderById(orderId) {
       
       const row = response.data.values?.[0] || [];
       if (row.length > 0) {
-        // Helper to get value by internal key (same pattern as getAllOrders)
-        const getValue = (internalKey, defaultValue = '') => {
-          const colIndex = headerMap[internalKey];
-          if (colIndex === undefined) {
-            return defaultValue;
-          }
-          return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
-        };
-        
-        // Parse items and notes JSON
-        let items = [];
-        let notes = [];
-        try {
-          const itemsJson = getValue('items_json', '[]');
-          const notesJson = getValue('notes_json', '[]');
-          items = JSON.parse(itemsJson);
-          notes = JSON.parse(notesJson);
-        } catch (e) {
-          logger.warn(`⚠️ [GET_ORDER] Error parsing items/notes JSON:`, e.message);
-          // Invalid JSON, keep empty arrays
-        }
-        
-        // Build order object (same structure as getAllOrders)
-        const order = {
-          id: getValue('order_id', ''),
-          customer_name: getValue('customer_name', ''),
-          phone_number: getValue('phone_number', ''),
-          address: getValue('address', ''),
-          event_name: getValue('event_name', ''),
-          event_duration: getValue('event_duration', ''),
-          event_date: getValue('event_date', ''),
-          delivery_time: getValue('delivery_time', ''),
-          delivery_method: getValue('delivery_method', ''),
-          items: items,
-          notes: notes,
-          status: getValue('status', 'pending'),
-          total_items: parseInt(getValue('total_items', '0')) || 0,
-          created_at: getValue('created_at', ''),
-          updated_at: getValue('updated_at', ''),
-          conversation_id: getValue('conversation_id', ''),
-          // Payment fields (with defaults for backward compatibility)
-          product_total: (() => {
-            const val = getValue('product_total', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          packaging_fee: (() => {
-            const val = getValue('packaging_fee', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          delivery_fee: (() => {
-            const val = getValue('delivery_fee', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          // total_amount is canonical (replaces final_total)
-          total_amount: (() => {
-            const totalAmountVal = getValue('total_amount', null);
-            if (totalAmountVal !== null && totalAmountVal !== '') {
-              const parsed = typeof totalAmountVal === 'string' ? parseFloat(totalAmountVal.replace(/[.,]/g, '')) || 0 : parseFloat(totalAmountVal) || 0;
-              if (parsed > 0) return parsed;
-            }
-            // Fallback to final_total if total_amount is empty
-            const finalTotalVal = getValue('final_total', null);
-            if (finalTotalVal !== null && finalTotalVal !== '') {
-              return typeof finalTotalVal === 'string' ? parseFloat(finalTotalVal.replace(/[.,]/g, '')) || 0 : parseFloat(finalTotalVal) || 0;
-            }
-            return 0;
-          })(),
-          final_total: (() => {
-            const val = getValue('final_total', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          dp_min_amount: (() => {
-            const val = getValue('dp_min_amount', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          paid_amount: (() => {
-            const val = getValue('paid_amount', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-          payment_status: getValue('payment_status', 'UNPAID'),
-          remaining_balance: (() => {
-            const val = getValue('remaining_balance', '0');
-            return typeof val === 'string' ? parseFloat(val.replace(/[.,]/g, '')) || 0 : parseFloat(val) || 0;
-          })(),
-        };
+        const order = mapOrderRow(row, headerMap);
         
         logger.debug(`✅ [GET_ORDER] Found order in Orders sheet at row ${rowIndex}`);
         return order;
@@ -1083,8 +1139,12 @@ export async function getOrderById(orderId) {
 
 /**
  * Update order status
+ * The transition is recorded in Order_Events (cancellations as ORDER_CANCELLED)
+ * @param {string} orderId - Order ID
+ * @param {string} newStatus - New status
+ * @param {Object} audit - Who made the change: { actorId, source, note } (see ORDER_EVENT_SOURCES)
  */
-export async function updateOrderStatus(orderId, newStatus) {
+export async function updateOrderStatus(orderId, newStatus, audit = {}) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
@@ -1107,6 +1167,14 @@ export async function updateOrderStatus(orderId, newStatus) {
     }
     
     const statusCol = columnIndexToLetter(statusColIndex);
+
+    // Read current status for the audit log (the cell is overwritten below)
+    const currentStatusResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${ORDERS_SHEET}!${statusCol}${rowIndex}`,
+    });
+    const oldStatus = currentStatusResponse.data.values?.[0]?.[0] || '';
+
     await sheets.spreadsheets.values.update({
       spreadsheetId: SPREADSHEET_ID,
       range: `${ORDERS_SHEET}!${statusCol}${rowIndex}`,
@@ -1128,6 +1196,19 @@ export async function updateOrderStatus(orderId, newStatus) {
         },
       });
     }
+    invalidateOrdersCache('updateOrderStatus');
+
+    if (oldStatus !== newStatus) {
+      await recordOrderEvent({
+        ...audit,
+        orderId,
+        eventType: newStatus === ORDER_STATUS.CANCELLED ? ORDER_EVENT_TYPES.ORDER_CANCELLED : ORDER_EVENT_TYPES.STATUS_CHANGED,
+        field: 'status',
+        oldValue: oldStatus,
+        newValue: newStatus,
+      });
+      publishDashboardEvent(DASHBOARD_EVENT_TYPES.ORDER_STATUS_CHANGED, { orderId, oldStatus, newStatus });
+    }
 
     return true;
   } catch (error) {
@@ -1141,8 +1222,11 @@ export async function updateOrderStatus(orderId, newStatus) {
  * Update order payment (paid amount and payment status)
  * ACCUMULATES payments instead of overwriting
  * Uses header-based mapping for column updates
+ * @param {string} orderId - Order ID
+ * @param {number} newPaymentAmount - Amount paid now
+ * @param {Object} audit - Who made the change: { actorId, source, note } (see ORDER_EVENT_SOURCES)
  */
-export async function updateOrderPayment(orderId, newPaymentAmount) {
+export async function updateOrderPayment(orderId, newPaymentAmount, audit = {}) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
@@ -1158,7 +1242,7 @@ export async function updateOrderPayment(orderId, newPaymentAmount) {
     console.log(`🔍 [UPDATE_PAYMENT] Looking up order_id: "${normalizedOrderId}" (original: "${orderId}")`);
     
     // Get order to calculate totals and get existing paid amount
-    const order = await getOrderById(orderId);
+    const order = await getOrderById(orderId, { fresh: true });
     if (!order) {
       throw new Error(`Order ${orderId} tidak ditemukan.`);
     }
@@ -1190,12 +1274,12 @@ export async function updateOrderPayment(orderId, newPaymentAmount) {
     const remainingBalance = calculateRemainingBalance(totalAmount, newTotalPaid);
     const paymentStatus = calculatePaymentStatus(newTotalPaid, totalAmount);
     
-    // Calculate or preserve dp_min_amount (50% of total_amount, only if empty or 0)
+    // Calculate or preserve dp_min_amount (DP percentage of total_amount, only if empty or 0)
     let dpMinAmount = order.dp_min_amount || 0;
     if (!dpMinAmount || dpMinAmount <= 0) {
       const { calculateMinDP } = await import('../services/payment-tracker.js');
       dpMinAmount = calculateMinDP(totalAmount);
-      console.log(`🔍 [UPDATE_PAYMENT] Calculated dp_min_amount: ${dpMinAmount} (50% of ${totalAmount})`);
+      console.log(`🔍 [UPDATE_PAYMENT] Calculated dp_min_amount: ${dpMinAmount} (min DP of ${totalAmount})`);
     }
 
     // Find row index using header mapping
@@ -1249,7 +1333,21 @@ export async function updateOrderPayment(orderId, newPaymentAmount) {
       });
     }
 
+    invalidateOrdersCache('updateOrderPayment');
+
     console.log(`✅ [UPDATE_PAYMENT] Order ${orderId} payment updated: +${newPaymentAmount} (Total Paid: ${newTotalPaid}, Status: ${paymentStatus}, Remaining: ${remainingBalance})`);
+
+    await recordOrderEvent({
+      ...audit,
+      orderId,
+      eventType: ORDER_EVENT_TYPES.PAYMENT_UPDATED,
+      field: 'paid_amount',
+      oldValue: existingPaidAmount,
+      newValue: newTotalPaid,
+      note: [`payment_status: ${order.payment_status || 'UNPAID'} → ${paymentStatus}`, audit.note].filter(Boolean).join('\n'),
+    });
+    publishDashboardEvent(DASHBOARD_EVENT_TYPES.ORDER_PAYMENT_UPDATED, { orderId, paidAmount: newTotalPaid, paymentStatus });
+
     return {
       orderId,
       paidAmount: newTotalPaid, // Return accumulated total
@@ -1269,17 +1367,17 @@ export async function updateOrderPayment(orderId, newPaymentAmount) {
  * Update order payment with evidence (photo/document)
  * Similar to updateOrderPayment but stores evidence file_id
  */
-export async function updateOrderPaymentWithEvidence(orderId, paymentAmount, evidenceFileId, evidenceType, telegramMessageId) {
+export async function updateOrderPaymentWithEvidence(orderId, paymentAmount, evidenceFileId, evidenceType, telegramMessageId, audit = {}) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
     
     // First update payment (same as regular updateOrderPayment)
-    const paymentResult = await updateOrderPayment(orderId, paymentAmount);
+    const paymentResult = await updateOrderPayment(orderId, paymentAmount, audit);
     
     // Store evidence reference (in notes_json or a dedicated column if available)
     // For now, append to notes_json as JSON
-    const order = await getOrderById(orderId);
+    const order = await getOrderById(orderId, { fresh: true });
     if (order) {
       const rowIndex = await findRowByOrderId(ORDERS_SHEET, orderId);
       if (rowIndex) {
@@ -1321,6 +1419,7 @@ export async function updateOrderPaymentWithEvidence(orderId, paymentAmount, evi
               values: [[JSON.stringify(notes)]],
             },
           });
+          invalidateOrdersCache('updateOrderPaymentWithEvidence');
         }
       }
     }
@@ -1336,16 +1435,18 @@ export async function updateOrderPaymentWithEvidence(orderId, paymentAmount, evi
 /**
  * Recalculate order payment summary from Payment_History (source of truth)
  * This function reads Payment_History and updates Orders totals deterministically
+ * A change of the paid amount is recorded in Order_Events
  * @param {string} orderId - Order ID
+ * @param {Object} audit - Who made the change: { actorId, source, note } (see ORDER_EVENT_SOURCES)
  * @returns {Promise<Object>} Updated payment summary
  */
-export async function recalculateOrderPaymentSummary(orderId) {
+export async function recalculateOrderPaymentSummary(orderId, audit = {}) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
     
     // Get order to read total_amount
-    const order = await getOrderById(orderId);
+    const order = await getOrderById(orderId, { fresh: true });
     if (!order) {
       throw new Error(`Order ${orderId} tidak ditemukan.`);
     }
@@ -1497,11 +1598,26 @@ export async function recalculateOrderPaymentSummary(orderId) {
         });
       });
       logger.info(`[PAY_SUMMARY] Orders update success: Updated ${updateData.length} column(s) at row ${rowIndex}`);
+      invalidateOrdersCache('recalculateOrderPaymentSummary');
     } else {
       logger.warn(`[PAY_SUMMARY] No columns to update (all columns missing from header map?)`);
     }
     
     logger.info(`✅ [PAY_SUMMARY] Updated Orders for ${orderId} at row ${rowIndex}: total_amount=${totalAmount}, total_paid=${totalPaid}, remaining_balance=${remainingBalance}, status=${paymentStatus}`);
+
+    const previousPaid = parseFloat(order.paid_amount) || 0;
+    if (previousPaid !== totalPaid) {
+      await recordOrderEvent({
+        ...audit,
+        orderId,
+        eventType: ORDER_EVENT_TYPES.PAYMENT_UPDATED,
+        field: 'paid_amount',
+        oldValue: previousPaid,
+        newValue: totalPaid,
+        note: [`payment_status: ${order.payment_status || 'UNPAID'} → ${paymentStatus}`, audit.note].filter(Boolean).join('\n'),
+      });
+    }
+    publishDashboardEvent(DASHBOARD_EVENT_TYPES.ORDER_PAYMENT_UPDATED, { orderId, paidAmount: totalPaid, paymentStatus });
     
     return {
       orderId,
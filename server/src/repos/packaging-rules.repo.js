@@ -0,0 +1,208 @@
+/**
+ * Packaging Rules Repository
+ * Handles the Packaging_Rules sheet (packaging charged per order, e.g. styrofoam boxes for dawet cups)
+ *
+ * Each row is one packaging type:
+ * - packaging: name shown on confirmations, invoices and recaps (e.g. "Packaging Styrofoam")
+ * - applies_to: comma-separated SKUs of the items it packs (e.g. "DWT-S, DWT-M, DWT-L"); a SKU also covers its
+ *   add-on lines ("DWT-M" covers "DWT-M+NGK") and a product code covers all its variants ("DWT"); "*" = all items
+ * - units_per_package: how many item units fit one package (e.g. "50"); 1 = one package per unit
+ * - unit: name of the packed unit shown with the capacity (e.g. "cup" → "Packaging Styrofoam (50 cup)")
+ * - price: price per package (e.g. "40000" or "Rp 40.000")
+ * - price_item: PriceList item whose price is used when price is empty (e.g. "Packaging Styrofoam")
+ * - opt_in: TRUE = only charged when the customer asks for it (template line "Packaging Styrofoam (...): YA",
+ *   a note or an item naming it); FALSE = always charged for matching items
+ * - aliases: comma-separated other words that name it in notes (e.g. "styrofoam")
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: description shown to admins
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { SHEET_NAMES, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+import { normalizeVariantName } from './product-variants.repo.js';
+
+const PACKAGING_RULES_SHEET = SHEET_NAMES.PACKAGING_RULES;
+
+// Packaging_Rules sheet schema - REQUIRED COLUMNS (in logical order)
+const PACKAGING_RULES_SCHEMA = [
+  'packaging',
+  'applies_to',
+  'units_per_package',
+  'unit',
+  'price',
+  'price_item',
+  'opt_in',
+  'aliases',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Rows written when the sheet is created: the styrofoam box for dawet cups (not botol)
+ * The price stays in the PriceList (price_item "Packaging Styrofoam").
+ */
+const DEFAULT_PACKAGING_RULE_ROWS = [
+  ['Packaging Styrofoam', 'DWT-S, DWT-M, DWT-L', '50', 'cup', '', 'Packaging Styrofoam', 'TRUE', 'styrofoam, packaging', 'TRUE', 'Opsional (template: Packaging Styrofoam: YA). Plastic bag gratis'],
+];
+
+/**
+ * Ensure Packaging_Rules sheet exists with headers and the default rows
+ * Idempotent - safe to call multiple times (default rows are only written when the sheet is created)
+ */
+export async function ensurePackagingRulesSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (existingSheets.includes(PACKAGING_RULES_SHEET)) {
+      return;
+    }
+
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: PACKAGING_RULES_SHEET,
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    const lastColumn = columnIndexToLetter(PACKAGING_RULES_SCHEMA.length - 1);
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PACKAGING_RULES_SHEET}!A1:${lastColumn}${DEFAULT_PACKAGING_RULE_ROWS.length + 1}`,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [PACKAGING_RULES_SCHEMA, ...DEFAULT_PACKAGING_RULE_ROWS],
+        },
+      });
+    });
+
+    invalidatePackagingRulesCache();
+    console.log(`✅ [PACKAGING_RULES] Created ${PACKAGING_RULES_SHEET} sheet with ${DEFAULT_PACKAGING_RULE_ROWS.length} default row(s)`);
+  } catch (error) {
+    console.error('❌ [PACKAGING_RULES] Error ensuring Packaging_Rules sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Split a comma-separated list into trimmed, non-empty values
+ */
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse one Packaging_Rules row
+ * @returns {Object|null} Rule { name, key, aliases, appliesTo, unitsPerPackage, unit, price, priceItem, optIn, notes }
+ *   or null if the row is empty, inactive or invalid
+ */
+function parsePackagingRuleRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const name = getValue('packaging');
+  const appliesTo = splitList(getValue('applies_to')).map(code => code.toUpperCase());
+  if (!name) {
+    if (appliesTo.length > 0) {
+      console.warn(`⚠️ [PACKAGING_RULES] Skipping row ${rowNumber} - empty packaging`);
+    }
+    return null;
+  }
+
+  if (!isActiveValue(getValue('is_active'))) {
+    return null;
+  }
+
+  if (appliesTo.length === 0) {
+    console.warn(`⚠️ [PACKAGING_RULES] Skipping row ${rowNumber} (${name}) - empty applies_to`);
+    return null;
+  }
+
+  const unitsRaw = getValue('units_per_package');
+  const unitsPerPackage = unitsRaw ? parseInt(unitsRaw, 10) : 1;
+  if (isNaN(unitsPerPackage) || unitsPerPackage < 1) {
+    console.warn(`⚠️ [PACKAGING_RULES] Skipping row ${rowNumber} (${name}) - invalid units_per_package "${unitsRaw}"`);
+    return null;
+  }
+
+  const priceRaw = getValue('price').replace(/rp/gi, '').replace(/[\s.,]/g, '');
+  let price = null;
+  if (priceRaw) {
+    price = parseInt(priceRaw, 10);
+    if (isNaN(price) || price < 0) {
+      console.warn(`⚠️ [PACKAGING_RULES] Skipping row ${rowNumber} (${name}) - invalid price "${getValue('price')}"`);
+      return null;
+    }
+  }
+
+  const priceItem = getValue('price_item');
+  if (price === null && !priceItem) {
+    console.warn(`⚠️ [PACKAGING_RULES] Skipping row ${rowNumber} (${name}) - price or price_item is required`);
+    return null;
+  }
+
+  const optInRaw = getValue('opt_in').toUpperCase();
+
+  return {
+    name,
+    key: normalizeVariantName(name),
+    aliases: splitList(getValue('aliases')).map(alias => normalizeVariantName(alias)).filter(Boolean),
+    appliesTo,
+    unitsPerPackage,
+    unit: getValue('unit'),
+    price,
+    priceItem,
+    optIn: optInRaw === 'TRUE' || optInRaw === '1',
+    notes: getValue('notes'),
+  };
+}
+
+// Packaging rules reader (change rarely, every order total uses them) - cached per tenant
+const packagingRulesReader = createCachedSheetReader({
+  sheetName: PACKAGING_RULES_SHEET,
+  ttlMs: CACHE_TTL.PACKAGING_RULES,
+  parseRow: parsePackagingRuleRow,
+  tag: 'PACKAGING_RULES',
+  label: 'packaging rules',
+  describe: (rules) => `${rules.length} active rule(s)`,
+});
+
+/**
+ * Get all active packaging rules (cached)
+ * Returns empty array if the Packaging_Rules sheet does not exist (no packaging is charged)
+ * @returns {Promise<Array>} Rules (see parsePackagingRuleRow)
+ */
+export async function getPackagingRules() {
+  return await packagingRulesReader.get();
+}
+
+/**
+ * Invalidate packaging rules cache (call after editing the Packaging_Rules sheet programmatically)
+ */
+export function invalidatePackagingRulesCache() {
+  packagingRulesReader.invalidate();
+}
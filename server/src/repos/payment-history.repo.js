@@ -11,9 +11,11 @@ import {
   buildRowFromMap,
   validateRequiredKeys,
   columnIndexToLetter,
+  invalidateHeaderCache,
 } from '../utils/sheets-helpers.js';
 import { SHEET_NAMES } from '../utils/constants.js';
 import { parseIDRAmount } from '../services/payment-tracker.js';
+import { publishDashboardEvent, DASHBOARD_EVENT_TYPES } from '../services/dashboard-events.js';
 
 const PAYMENT_HISTORY_SHEET = SHEET_NAMES.PAYMENT_HISTORY;
 
@@ -109,6 +111,20 @@ export async function ensurePaymentHistorySheet() {
         });
       });
       
+      // New sheet: write headers so required columns exist
+      const lastColumn = columnIndexToLetter(ALL_COLUMNS.length - 1);
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${PAYMENT_HISTORY_SHEET}!A1:${lastColumn}1`,
+          valueInputOption: 'RAW',
+          requestBody: {
+            values: [ALL_COLUMNS],
+          },
+        });
+      });
+      invalidateHeaderCache(PAYMENT_HISTORY_SHEET);
+      
       logger.info(`✅ [PAYMENT_HISTORY] Created ${PAYMENT_HISTORY_SHEET} sheet`);
     }
     
@@ -216,6 +232,11 @@ export async function createPaymentRecord(paymentData) {
     });
     
     logger.info(`✅ [PAYMENT_HISTORY] Created payment record: ${paymentId} for order: ${paymentData.order_id}`);
+    publishDashboardEvent(DASHBOARD_EVENT_TYPES.PAYMENT_RECORDED, {
+      orderId: paymentRecord.order_id,
+      paymentId,
+      status: paymentRecord.status,
+    });
     
     return paymentRecord;
   } catch (error) {
@@ -224,6 +245,37 @@ export async function createPaymentRecord(paymentData) {
   }
 }
 
+/**
+ * Map a Payment_History row to a payment record
+ * @param {Array} row - Row values
+ * @param {Object} headerMap - Header map from getSheetHeaderMap()
+ * @returns {Object} Payment record
+ */
+function mapPaymentRow(row, headerMap) {
+  const getValue = (key, defaultValue = '') => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return defaultValue;
+    return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
+  };
+
+  return {
+    payment_id: getValue('payment_id'),
+    order_id: getValue('order_id'),
+    payment_date: getValue('payment_date'),
+    payment_method: getValue('payment_method'),
+    amount_input: parseFloat(getValue('amount_input', '0')) || 0,
+    amount_confirmed: parseFloat(getValue('amount_confirmed', '0')) || 0,
+    currency: getValue('currency', 'IDR'),
+    status: getValue('status', 'approved'),
+    note: getValue('note'),
+    proof_file_id: getValue('proof_file_id'),
+    proof_caption: getValue('proof_caption'),
+    created_by: getValue('created_by'),
+    created_at: getValue('created_at'),
+    updated_at: getValue('updated_at'),
+  };
+}
+
 /**
  * Get all payment records for an order
  * @param {string} orderId - Order ID
@@ -265,29 +317,7 @@ export async function getPaymentsByOrderId(orderId) {
       const rowOrderId = row[orderIdColIndex];
       
       if (rowOrderId && String(rowOrderId).trim() === String(orderId).trim()) {
-        // Build payment object
-        const getValue = (key, defaultValue = '') => {
-          const colIndex = headerMap[key];
-          if (colIndex === undefined) return defaultValue;
-          return row[colIndex] !== undefined && row[colIndex] !== '' ? row[colIndex] : defaultValue;
-        };
-        
-        payments.push({
-          payment_id: getValue('payment_id'),
-          order_id: getValue('order_id'),
-          payment_date: getValue('payment_date'),
-          payment_method: getValue('payment_method'),
-          amount_input: parseFloat(getValue('amount_input', '0')) || 0,
-          amount_confirmed: parseFloat(getValue('amount_confirmed', '0')) || 0,
-          currency: getValue('currency', 'IDR'),
-          status: getValue('status', 'approved'),
-          note: getValue('note'),
-          proof_file_id: getValue('proof_file_id'),
-          proof_caption: getValue('proof_caption'),
-          created_by: getValue('created_by'),
-          created_at: getValue('created_at'),
-          updated_at: getValue('updated_at'),
-        });
+        payments.push(mapPaymentRow(row, headerMap));
       }
     }
     
@@ -297,3 +327,68 @@ export async function getPaymentsByOrderId(orderId) {
     throw error;
   }
 }
+
+/**
+ * Get the proof captions of all payments (one read of Payment_History)
+ * Used to detect bank statement lines that were already recorded (see payment-reconciliation.js).
+ * @returns {Promise<Array<string>>} Non-empty proof_caption values
+ */
+export async function getPaymentProofCaptions() {
+  try {
+    await ensurePaymentHistorySheet();
+
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const headerMap = await getSheetHeaderMap(PAYMENT_HISTORY_SHEET, { requireSnakeCase: false, sheetType: 'Payment_History' });
+    const captionColIndex = headerMap.proof_caption;
+    if (captionColIndex === undefined) {
+      return [];
+    }
+
+    const captionCol = columnIndexToLetter(captionColIndex);
+    const response = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PAYMENT_HISTORY_SHEET}!${captionCol}2:${captionCol}`,
+      });
+    });
+
+    return (response.data.values || [])
+      .map(row => String(row[0] || '').trim())
+      .filter(Boolean);
+  } catch (error) {
+    logger.error(`❌ [PAYMENT_HISTORY] Error getting proof captions:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get all payment records (one read of Payment_History, for reports)
+ * @returns {Promise<Array>} Array of payment records, in sheet order
+ */
+export async function getAllPayments() {
+  try {
+    await ensurePaymentHistorySheet();
+
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const headerMap = await getSheetHeaderMap(PAYMENT_HISTORY_SHEET, { requireSnakeCase: false, sheetType: 'Payment_History' });
+    const lastColumn = columnIndexToLetter(headerMap.__headersLength - 1);
+    const response = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PAYMENT_HISTORY_SHEET}!A:${lastColumn}`,
+      });
+    });
+
+    const rows = response.data.values || [];
+    return rows.slice(1)
+      .filter(row => row.some(cell => cell !== undefined && cell !== ''))
+      .map(row => mapPaymentRow(row, headerMap));
+  } catch (error) {
+    logger.error(`❌ [PAYMENT_HISTORY] Error getting all payments:`, error.message);
+    throw error;
+  }
+}
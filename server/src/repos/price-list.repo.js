@@ -122,6 +122,56 @@ export async function getPriceList() {
   }
 }
 
+/**
+ * Get item categories from Google Sheets
+ * Only available with the new PriceList schema (C=category); old schema returns empty object
+ * @returns {Promise<Object>} Map of item name (and item_code) → category
+ */
+export async function getPriceListCategories() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    let response;
+    try {
+      response = await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PRICE_LIST_SHEET}!A:F`,
+      });
+    } catch (error) {
+      // Sheet doesn't exist, no categories
+      return {};
+    }
+
+    const rows = response.data.values || [];
+    const headerRow = rows[0] || [];
+    const hasNewSchema = headerRow[0]?.toLowerCase().includes('item_code') || 
+                         headerRow[3]?.toLowerCase().includes('unit_price');
+    if (!hasNewSchema) {
+      return {};
+    }
+
+    const categories = {};
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i] || [];
+      const itemCode = row[0]?.trim();
+      const itemName = row[1]?.trim();
+      const category = row[2]?.trim();
+      if (!itemName || !category) continue;
+
+      categories[itemName] = category;
+      if (itemCode && itemCode !== itemName) {
+        categories[itemCode] = category;
+      }
+    }
+
+    return categories;
+  } catch (error) {
+    console.error('❌ Error getting price list categories:', error.message);
+    return {};
+  }
+}
+
 /**
  * Initialize price list sheet with default prices
  */
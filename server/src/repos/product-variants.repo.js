@@ -0,0 +1,289 @@
+/**
+ * Product Variants Repository
+ * Handles the Product_Variants sheet (base products with variant groups such as size, topping add-ons or botol vs. cup)
+ *
+ * Each row is a product or one option of a variant group:
+ * - product: base product name (e.g. "Dawet Kemayu"); its PriceList price is the base price (0 if not in PriceList)
+ * - group: variant group (e.g. "size", "topping"); empty on the product row
+ * - option: option name (e.g. "Medium", "Nangka"); empty on the product row
+ * - price_delta: price added to the base price for this option (e.g. "2000", "-1000")
+ * - price_item: PriceList item whose price is used when price_delta is empty (e.g. "Topping Nangka")
+ * - selection: "one" (exactly one option, e.g. size) or "many" (any number, e.g. toppings); read from the
+ *   group's first row, empty = "one"
+ * - is_default: TRUE = used when the customer names no option of a "one" group
+ * - aliases: comma-separated other words customers use (product row: for the product, e.g. "dawet";
+ *   option rows: for the option, e.g. "sedang, M")
+ * - code: SKU part (product row: product code, e.g. "DWT"; option rows: option code, e.g. "M")
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: description shown to admins
+ *
+ * The product row is optional (without it the code comes from the product name and only the name matches).
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { SHEET_NAMES, VARIANT_SELECTION, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+
+const PRODUCT_VARIANTS_SHEET = SHEET_NAMES.PRODUCT_VARIANTS;
+
+// Product_Variants sheet schema - REQUIRED COLUMNS (in logical order)
+const PRODUCT_VARIANTS_SCHEMA = [
+  'product',
+  'group',
+  'option',
+  'price_delta',
+  'price_item',
+  'selection',
+  'is_default',
+  'aliases',
+  'code',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Rows written when the sheet is created: the dawet cups/botol and toppings of the default PriceList
+ * Prices stay in the PriceList (price_item); "Dawet Kemayu" itself has no PriceList price, so the size
+ * prices are the full prices.
+ */
+const DEFAULT_PRODUCT_VARIANT_ROWS = [
+  ['Dawet Kemayu', '', '', '', '', '', '', 'dawet', 'DWT', 'TRUE', 'Harga dasar dari PriceList (0 jika tidak ada)'],
+  ['Dawet Kemayu', 'size', 'Small', '', 'Dawet Kemayu Small', VARIANT_SELECTION.ONE, 'FALSE', 'kecil', 'S', 'TRUE', 'Cup'],
+  ['Dawet Kemayu', 'size', 'Medium', '', 'Dawet Kemayu Medium', VARIANT_SELECTION.ONE, 'FALSE', 'sedang', 'M', 'TRUE', 'Cup'],
+  ['Dawet Kemayu', 'size', 'Large', '', 'Dawet Kemayu Large', VARIANT_SELECTION.ONE, 'FALSE', 'besar', 'L', 'TRUE', 'Cup'],
+  ['Dawet Kemayu', 'size', 'Botol 250ml', '', 'Dawet Kemayu Botol 250ml', VARIANT_SELECTION.ONE, 'FALSE', '250ml, 250 ml', 'B250', 'TRUE', 'Botol'],
+  ['Dawet Kemayu', 'size', 'Botol 1L', '', 'Dawet Kemayu Botol 1L', VARIANT_SELECTION.ONE, 'FALSE', '1l, 1 liter, 1000ml', 'B1L', 'TRUE', 'Botol'],
+  ['Dawet Kemayu', 'topping', 'Nangka', '', 'Topping Nangka', VARIANT_SELECTION.MANY, 'FALSE', '', 'NGK', 'TRUE', 'Tambahan topping'],
+  ['Dawet Kemayu', 'topping', 'Durian', '', 'Topping Durian', VARIANT_SELECTION.MANY, 'FALSE', '', 'DRN', 'TRUE', 'Tambahan topping'],
+];
+
+/**
+ * Normalize a product, option or alias name for matching
+ * Lowercase, "toping" typo fixed, punctuation removed, single spaces
+ * @param {string} text - Name or customer text
+ * @returns {string} Normalized text ('' if empty)
+ */
+export function normalizeVariantName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\btoping\b/g, 'topping')
+    .replace(/[^a-z0-9+]+/g, ' ')
+    .replace(/\+/g, ' + ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Build a SKU code from a name ("Botol 250ml" → "BOTOL-250ML")
+ * @param {string} name - Product, option or PriceList item name
+ * @returns {string} Code
+ */
+export function toSkuCode(name) {
+  return String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Ensure Product_Variants sheet exists with headers and the default rows
+ * Idempotent - safe to call multiple times (default rows are only written when the sheet is created)
+ */
+export async function ensureProductVariantsSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (existingSheets.includes(PRODUCT_VARIANTS_SHEET)) {
+      return;
+    }
+
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: PRODUCT_VARIANTS_SHEET,
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    const lastColumn = columnIndexToLetter(PRODUCT_VARIANTS_SCHEMA.length - 1);
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PRODUCT_VARIANTS_SHEET}!A1:${lastColumn}${DEFAULT_PRODUCT_VARIANT_ROWS.length + 1}`,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [PRODUCT_VARIANTS_SCHEMA, ...DEFAULT_PRODUCT_VARIANT_ROWS],
+        },
+      });
+    });
+
+    invalidateProductVariantsCache();
+    console.log(`✅ [PRODUCT_VARIANTS] Created ${PRODUCT_VARIANTS_SHEET} sheet with ${DEFAULT_PRODUCT_VARIANT_ROWS.length} default row(s)`);
+  } catch (error) {
+    console.error('❌ [PRODUCT_VARIANTS] Error ensuring Product_Variants sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Split a comma-separated alias list into normalized aliases
+ */
+function parseAliases(value) {
+  return String(value || '')
+    .split(',')
+    .map(alias => normalizeVariantName(alias))
+    .filter(Boolean);
+}
+
+/**
+ * Parse one Product_Variants row
+ * @returns {Object|null} { product, group, option, priceDelta, priceItem, selection, isDefault, aliases, code }
+ *   (group/option '' on the product row) or null if the row is empty, inactive or invalid
+ */
+function parseVariantRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const product = getValue('product');
+  const group = getValue('group').toLowerCase();
+  const option = getValue('option');
+  if (!product) {
+    if (group || option) {
+      console.warn(`⚠️ [PRODUCT_VARIANTS] Skipping row ${rowNumber} - empty product`);
+    }
+    return null;
+  }
+
+  if (!isActiveValue(getValue('is_active'))) {
+    return null;
+  }
+
+  if (!group !== !option) {
+    console.warn(`⚠️ [PRODUCT_VARIANTS] Skipping row ${rowNumber} (${product}) - group and option must both be set (or both empty for the product row)`);
+    return null;
+  }
+
+  const priceDeltaRaw = getValue('price_delta').replace(/rp/gi, '').replace(/[\s.,]/g, '');
+  let priceDelta = null;
+  if (priceDeltaRaw) {
+    priceDelta = parseInt(priceDeltaRaw, 10);
+    if (isNaN(priceDelta) || String(priceDelta) !== priceDeltaRaw.replace(/^\+/, '')) {
+      console.warn(`⚠️ [PRODUCT_VARIANTS] Skipping row ${rowNumber} (${product} ${option}) - invalid price_delta "${getValue('price_delta')}"`);
+      return null;
+    }
+  }
+
+  const selectionRaw = getValue('selection').toLowerCase();
+  if (selectionRaw && !Object.values(VARIANT_SELECTION).includes(selectionRaw)) {
+    console.warn(`⚠️ [PRODUCT_VARIANTS] Skipping row ${rowNumber} (${product} ${option}) - invalid selection "${selectionRaw}"`);
+    return null;
+  }
+
+  const isDefaultRaw = getValue('is_default').toUpperCase();
+
+  return {
+    product,
+    group,
+    option,
+    priceDelta,
+    priceItem: getValue('price_item'),
+    selection: selectionRaw,
+    isDefault: isDefaultRaw === 'TRUE' || isDefaultRaw === '1',
+    aliases: parseAliases(getValue('aliases')),
+    code: getValue('code').toUpperCase(),
+  };
+}
+
+/**
+ * Group parsed rows into products
+ * @param {Array} rows - Parsed rows (parseVariantRow)
+ * @returns {Array} Products { name, key, code, aliases, groups: [{ name, selection, options: [{ name, key, code,
+ *   priceDelta, priceItem, isDefault, aliases }] }] } - only products with at least one option
+ */
+function buildProducts(rows) {
+  const productsByKey = new Map();
+  const getProduct = (name) => {
+    const key = normalizeVariantName(name);
+    if (!productsByKey.has(key)) {
+      productsByKey.set(key, { name, key, code: toSkuCode(name), aliases: [], groups: [] });
+    }
+    return productsByKey.get(key);
+  };
+
+  for (const row of rows) {
+    const product = getProduct(row.product);
+
+    if (!row.group) {
+      product.name = row.product;
+      product.code = row.code || product.code;
+      product.aliases = row.aliases;
+      continue;
+    }
+
+    let group = product.groups.find(g => g.name === row.group);
+    if (!group) {
+      group = { name: row.group, selection: row.selection || VARIANT_SELECTION.ONE, options: [] };
+      product.groups.push(group);
+    }
+
+    const optionKey = normalizeVariantName(row.option);
+    if (group.options.some(option => option.key === optionKey)) {
+      console.warn(`⚠️ [PRODUCT_VARIANTS] Duplicate option "${row.option}" in ${row.product} / ${row.group} - keeping the first row`);
+      continue;
+    }
+    group.options.push({
+      name: row.option,
+      key: optionKey,
+      code: row.code || toSkuCode(row.option),
+      priceDelta: row.priceDelta,
+      priceItem: row.priceItem,
+      isDefault: row.isDefault && group.selection === VARIANT_SELECTION.ONE,
+      aliases: row.aliases,
+    });
+  }
+
+  return [...productsByKey.values()].filter(product => product.groups.length > 0);
+}
+
+// Product variants reader (changes rarely, every new order resolves its items) - cached per tenant
+const productVariantsReader = createCachedSheetReader({
+  sheetName: PRODUCT_VARIANTS_SHEET,
+  ttlMs: CACHE_TTL.PRODUCT_VARIANTS,
+  parseRow: parseVariantRow,
+  tag: 'PRODUCT_VARIANTS',
+  label: 'product variants',
+  buildResult: buildProducts,
+  describe: (products) => `${products.length} product(s) with variants`,
+});
+
+/**
+ * Get all products with variants (cached)
+ * Returns empty array if the Product_Variants sheet does not exist (items are priced by name only)
+ * @returns {Promise<Array>} Products (see buildProducts)
+ */
+export async function getProductVariants() {
+  return await productVariantsReader.get();
+}
+
+/**
+ * Invalidate product variants cache (call after editing the Product_Variants sheet programmatically)
+ */
+export function invalidateProductVariantsCache() {
+  productVariantsReader.invalidate();
+}
@@ -0,0 +1,213 @@
+/**
+ * Promos Repository
+ * Handles the Promos sheet (promo codes customers can enter in the "Kode Promo" line)
+ *
+ * Each row is one promo code:
+ * - code: code the customer types (case-insensitive, e.g. "LEBARAN10")
+ * - type: "percent" or "fixed"
+ * - value: percentage (type=percent) or rupiah amount (type=fixed)
+ * - min_cups: minimum number of cups in the order (empty = no minimum)
+ * - item: PriceList item the promo is limited to (empty = whole order)
+ * - valid_from / valid_until: YYYY-MM-DD validity window, inclusive (empty = open-ended)
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: description shown to admins
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import { toISODateJakarta } from '../utils/date-utils.js';
+import { SHEET_NAMES, PROMO_TYPES, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+
+const PROMOS_SHEET = SHEET_NAMES.PROMOS;
+
+// Promos sheet schema - REQUIRED COLUMNS (in logical order)
+const PROMOS_SCHEMA = [
+  'code',
+  'type',
+  'value',
+  'min_cups',
+  'item',
+  'valid_from',
+  'valid_until',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Normalize a promo code for lookup (uppercase, no spaces)
+ * @param {string} code - Promo code as typed by the customer
+ * @returns {string} Normalized code ('' if empty)
+ */
+export function normalizePromoCode(code) {
+  return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Ensure Promos sheet exists with headers
+ * Idempotent - safe to call multiple times
+ */
+export async function ensurePromosSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (!existingSheets.includes(PROMOS_SHEET)) {
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: SPREADSHEET_ID,
+          requestBody: {
+            requests: [{
+              addSheet: {
+                properties: {
+                  title: PROMOS_SHEET,
+                },
+              },
+            }],
+          },
+        });
+      });
+      console.log(`✅ [PROMOS] Created ${PROMOS_SHEET} sheet`);
+    }
+
+    const headerResponse = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${PROMOS_SHEET}!A1:Z1`,
+      });
+    });
+
+    const existingHeaders = headerResponse.data.values?.[0] || [];
+    if (existingHeaders.length === 0) {
+      const lastColumn = columnIndexToLetter(PROMOS_SCHEMA.length - 1);
+      await retryWithBackoff(async () => {
+        return await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `${PROMOS_SHEET}!A1:${lastColumn}1`,
+          valueInputOption: 'RAW',
+          requestBody: {
+            values: [PROMOS_SCHEMA],
+          },
+        });
+      });
+    }
+  } catch (error) {
+    console.error('❌ [PROMOS] Error ensuring Promos sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parse a numeric cell ("10", "25.000", "Rp 25.000", "12,5")
+ * @returns {number|null} Parsed number or null if empty/invalid
+ */
+function parsePromoNumber(raw, { allowDecimal = false } = {}) {
+  const cleaned = String(raw || '').replace(/rp/gi, '').replace(/%/g, '').replace(/\s/g, '');
+  if (!cleaned) return null;
+  const normalized = allowDecimal
+    ? cleaned.replace(',', '.')
+    : cleaned.replace(/[.,]/g, '');
+  const value = parseFloat(normalized);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse one Promos row into a promo object
+ * @returns {Object|null} Promo { code, type, value, minCups, item, validFrom, validUntil, isActive, notes } or null if row is invalid
+ */
+function parsePromoRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const code = normalizePromoCode(getValue('code'));
+  const type = getValue('type').toLowerCase();
+  const valueRaw = getValue('value');
+
+  if (!code && !type && !valueRaw) {
+    return null; // Empty row
+  }
+
+  if (!code || !Object.values(PROMO_TYPES).includes(type)) {
+    console.warn(`⚠️ [PROMOS] Skipping row ${rowNumber} - empty code or invalid type "${type}"`);
+    return null;
+  }
+
+  const value = parsePromoNumber(valueRaw, { allowDecimal: type === PROMO_TYPES.PERCENT });
+  if (value === null || value <= 0 || (type === PROMO_TYPES.PERCENT && value > 100)) {
+    console.warn(`⚠️ [PROMOS] Skipping row ${rowNumber} (${code}) - invalid value "${valueRaw}"`);
+    return null;
+  }
+
+  const parseDate = (key) => {
+    const raw = getValue(key);
+    if (!raw) return null;
+    const date = toISODateJakarta(raw);
+    if (!date) {
+      console.warn(`⚠️ [PROMOS] Row ${rowNumber} (${code}) - invalid ${key} "${raw}", ignoring`);
+    }
+    return date;
+  };
+
+  return {
+    code,
+    type,
+    value,
+    minCups: parsePromoNumber(getValue('min_cups')) || 0,
+    item: getValue('item') || null,
+    validFrom: parseDate('valid_from'),
+    validUntil: parseDate('valid_until'),
+    isActive: isActiveValue(getValue('is_active')),
+    notes: getValue('notes'),
+  };
+}
+
+// Promos reader (promo codes change rarely, every new order may look one up) - cached per tenant
+const promosReader = createCachedSheetReader({
+  sheetName: PROMOS_SHEET,
+  ttlMs: CACHE_TTL.PROMOS,
+  parseRow: parsePromoRow,
+  tag: 'PROMOS',
+  label: 'promos',
+  describe: (promos) => `${promos.length} promo code(s)`,
+});
+
+/**
+ * Get all promos (cached)
+ * Inactive and expired promos are included so callers can explain why a code is rejected
+ * Returns empty array if the Promos sheet does not exist
+ * @returns {Promise<Array>} Promos
+ */
+export async function getPromos() {
+  return await promosReader.get();
+}
+
+/**
+ * Find a promo by code (case-insensitive)
+ * @param {string} code - Promo code
+ * @returns {Promise<Object|null>} Promo or null if not found
+ */
+export async function getPromoByCode(code) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    return null;
+  }
+  const promos = await getPromos();
+  return promos.find(promo => promo.code === normalizedCode) || null;
+}
+
+/**
+ * Invalidate promos cache (call after editing the Promos sheet programmatically)
+ */
+export function invalidatePromosCache() {
+  promosReader.invalidate();
+}
@@ -0,0 +1,261 @@
+/**
+ * Reminder Rules Repository
+ * Handles the Reminder_Rules sheet (which reminders the daily job sends, to whom and when)
+ *
+ * Each row is one rule:
+ * - rule_id: unique name, also written to Reminders.reminder_type (e.g. "H1_PREPARATION")
+ * - offset_days: days before delivery (1 = H-1), or "cutoff" for the full payment cutoff from Settings
+ * - audience: "admin", "staff" or "customer"
+ * - template: built-in template name (REMINDER_TEMPLATES) or custom text with {placeholders}
+ * - condition: "always", "unpaid", "not_fully_paid" or "fully_paid" (empty = always)
+ * - is_active: TRUE/FALSE (empty = active)
+ * - notes: description shown to admins
+ *
+ * Rows override the built-in DEFAULT_REMINDER_RULES with the same rule_id (is_active=FALSE turns a
+ * default off); rows with a new rule_id add a rule.
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { columnIndexToLetter } from '../utils/sheets-helpers.js';
+import {
+  SHEET_NAMES,
+  REMINDER_AUDIENCES,
+  REMINDER_CONDITIONS,
+  REMINDER_TEMPLATES,
+  REMINDER_OFFSET_PAYMENT_CUTOFF,
+  CACHE_TTL,
+} from '../utils/constants.js';
+import { createCachedSheetReader, isActiveValue } from './cached-sheet-reader.js';
+
+const REMINDER_RULES_SHEET = SHEET_NAMES.REMINDER_RULES;
+
+// Reminder_Rules sheet schema - REQUIRED COLUMNS (in logical order)
+const REMINDER_RULES_SCHEMA = [
+  'rule_id',
+  'offset_days',
+  'audience',
+  'template',
+  'condition',
+  'is_active',
+  'notes',
+];
+
+/**
+ * Built-in reminder rules (used when the sheet has no row for the rule_id)
+ * The admin rules match the original fixed H-4/H-3/H-1 reminders
+ */
+export const DEFAULT_REMINDER_RULES = [
+  {
+    ruleId: 'H4_PAYMENT',
+    offsetDays: REMINDER_OFFSET_PAYMENT_CUTOFF,
+    audience: REMINDER_AUDIENCES.ADMIN,
+    template: REMINDER_TEMPLATES.H4_PAYMENT,
+    condition: REMINDER_CONDITIONS.NOT_FULLY_PAID,
+    isActive: true,
+    notes: 'Teks pengingat pelunasan untuk diteruskan admin ke customer',
+  },
+  {
+    ruleId: 'H3_ORDER_BAHAN',
+    offsetDays: 3,
+    audience: REMINDER_AUDIENCES.ADMIN,
+    template: REMINDER_TEMPLATES.H3_ORDER_BAHAN,
+    condition: REMINDER_CONDITIONS.ALWAYS,
+    isActive: true,
+    notes: 'Internal: order bahan',
+  },
+  {
+    ruleId: 'H1_PREPARATION',
+    offsetDays: 1,
+    audience: REMINDER_AUDIENCES.ADMIN,
+    template: REMINDER_TEMPLATES.H1_PREPARATION,
+    condition: REMINDER_CONDITIONS.ALWAYS,
+    isActive: true,
+    notes: 'Internal: checklist persiapan outlet',
+  },
+  {
+    ruleId: 'CUSTOMER_PAYMENT_DUE',
+    offsetDays: REMINDER_OFFSET_PAYMENT_CUTOFF,
+    audience: REMINDER_AUDIENCES.CUSTOMER,
+    template: REMINDER_TEMPLATES.CUSTOMER_PAYMENT_DUE,
+    condition: REMINDER_CONDITIONS.NOT_FULLY_PAID,
+    isActive: true,
+    notes: 'Customer: mohon pelunasan sisa pembayaran',
+  },
+  {
+    ruleId: 'CUSTOMER_DELIVERY_H1',
+    offsetDays: 1,
+    audience: REMINDER_AUDIENCES.CUSTOMER,
+    template: REMINDER_TEMPLATES.CUSTOMER_DELIVERY_H1,
+    condition: REMINDER_CONDITIONS.ALWAYS,
+    isActive: true,
+    notes: 'Customer: pesanan dikirim besok',
+  },
+];
+
+/**
+ * Ensure Reminder_Rules sheet exists with headers and the default rules
+ * Idempotent - safe to call multiple times (default rows are only written when the sheet is created)
+ */
+export async function ensureReminderRulesSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (existingSheets.includes(REMINDER_RULES_SHEET)) {
+      return;
+    }
+
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: REMINDER_RULES_SHEET,
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    // Write the defaults so admins can see (and edit) the schedule
+    const defaultRows = DEFAULT_REMINDER_RULES.map(rule => [
+      rule.ruleId,
+      String(rule.offsetDays),
+      rule.audience,
+      rule.template,
+      rule.condition,
+      'TRUE',
+      rule.notes,
+    ]);
+    const lastColumn = columnIndexToLetter(REMINDER_RULES_SCHEMA.length - 1);
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${REMINDER_RULES_SHEET}!A1:${lastColumn}${defaultRows.length + 1}`,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [REMINDER_RULES_SCHEMA, ...defaultRows],
+        },
+      });
+    });
+
+    invalidateReminderRulesCache();
+    console.log(`✅ [REMINDER_RULES] Created ${REMINDER_RULES_SHEET} sheet with ${defaultRows.length} default rule(s)`);
+  } catch (error) {
+    console.error('❌ [REMINDER_RULES] Error ensuring Reminder_Rules sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parse one Reminder_Rules row into a rule object
+ * @returns {Object|null} Rule { ruleId, offsetDays, audience, template, condition, isActive, notes } or null if row is invalid
+ */
+function parseRuleRow(row, headerMap, rowNumber) {
+  const getValue = (key) => {
+    const colIndex = headerMap[key];
+    if (colIndex === undefined) return '';
+    return String(row[colIndex] ?? '').trim();
+  };
+
+  const ruleId = getValue('rule_id').toUpperCase();
+  if (!ruleId) {
+    return null; // Empty row
+  }
+
+  // Inactive rows only need a rule_id (they switch a default rule off)
+  if (!isActiveValue(getValue('is_active'))) {
+    return { ruleId, isActive: false };
+  }
+
+  const offsetRaw = getValue('offset_days').toLowerCase().replace(/^h-/, '');
+  let offsetDays;
+  if (offsetRaw === REMINDER_OFFSET_PAYMENT_CUTOFF) {
+    offsetDays = REMINDER_OFFSET_PAYMENT_CUTOFF;
+  } else {
+    offsetDays = parseInt(offsetRaw, 10);
+    if (isNaN(offsetDays) || offsetDays < 0 || String(offsetDays) !== offsetRaw) {
+      console.warn(`⚠️ [REMINDER_RULES] Skipping row ${rowNumber} (${ruleId}) - invalid offset_days "${offsetRaw}"`);
+      return null;
+    }
+  }
+
+  const audience = getValue('audience').toLowerCase();
+  if (!Object.values(REMINDER_AUDIENCES).includes(audience)) {
+    console.warn(`⚠️ [REMINDER_RULES] Skipping row ${rowNumber} (${ruleId}) - invalid audience "${audience}"`);
+    return null;
+  }
+
+  const template = getValue('template');
+  if (!template) {
+    console.warn(`⚠️ [REMINDER_RULES] Skipping row ${rowNumber} (${ruleId}) - empty template`);
+    return null;
+  }
+
+  const condition = getValue('condition').toLowerCase() || REMINDER_CONDITIONS.ALWAYS;
+  if (!Object.values(REMINDER_CONDITIONS).includes(condition)) {
+    console.warn(`⚠️ [REMINDER_RULES] Skipping row ${rowNumber} (${ruleId}) - invalid condition "${condition}"`);
+    return null;
+  }
+
+  return {
+    ruleId,
+    offsetDays,
+    audience,
+    template,
+    condition,
+    isActive: true,
+    notes: getValue('notes'),
+  };
+}
+
+// Reminder rules reader (rules change rarely, read by the daily job) - cached per tenant
+const reminderRulesReader = createCachedSheetReader({
+  sheetName: REMINDER_RULES_SHEET,
+  ttlMs: CACHE_TTL.REMINDER_RULES,
+  parseRow: parseRuleRow,
+  tag: 'REMINDER_RULES',
+  label: 'reminder rules',
+  describe: (rules) => `${rules.length} rule row(s)`,
+});
+
+/**
+ * Get the rules defined in the Reminder_Rules sheet (cached)
+ * Returns empty array if the sheet does not exist (only the defaults apply)
+ * @returns {Promise<Array>} Rules, including inactive ones ({ ruleId, isActive: false })
+ */
+export async function getReminderRuleRows() {
+  return await reminderRulesReader.get();
+}
+
+/**
+ * Get the active reminder rules: defaults merged with the sheet rows (same rule_id = override)
+ * @returns {Promise<Array>} Active rules { ruleId, offsetDays, audience, template, condition, notes }
+ */
+export async function getReminderRules() {
+  const rows = await getReminderRuleRows();
+
+  const rulesById = new Map(DEFAULT_REMINDER_RULES.map(rule => [rule.ruleId, rule]));
+  for (const row of rows) {
+    rulesById.set(row.ruleId, row);
+  }
+
+  return [...rulesById.values()].filter(rule => rule.isActive);
+}
+
+/**
+ * Invalidate reminder rules cache (call after editing the Reminder_Rules sheet programmatically)
+ */
+export function invalidateReminderRulesCache() {
+  reminderRulesReader.invalidate();
+}
@@ -0,0 +1,117 @@
+/**
+ * Settings Repository
+ * Handles the Settings sheet (key/value business settings editable by admins)
+ *
+ * Each row is one setting:
+ * - key: setting name (e.g. "dp_percentage")
+ * - value: setting value (empty = use config/env default)
+ * - notes: what the setting does
+ */
+
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
+import { SHEET_NAMES, PAYMENT_SETTING_KEYS, CACHE_TTL } from '../utils/constants.js';
+import { createCachedSheetReader } from './cached-sheet-reader.js';
+
+const SETTINGS_SHEET = SHEET_NAMES.SETTINGS;
+
+// Settings sheet schema
+const SETTINGS_SCHEMA = ['key', 'value', 'notes'];
+
+// Rows written when the sheet is created, so admins can see which settings exist
+const DEFAULT_SETTING_ROWS = [
+  [PAYMENT_SETTING_KEYS.DP_PERCENTAGE, '', 'Persentase DP minimal (contoh: 50). Kosong = default'],
+  [PAYMENT_SETTING_KEYS.FULL_PAYMENT_CUTOFF_DAYS, '', 'Wajib bayar penuh jika pengiriman H-N atau lebih dekat (contoh: 4). Kosong = default'],
+  [PAYMENT_SETTING_KEYS.MIN_DP_ORDER_AMOUNT, '', 'Total pesanan minimal agar boleh DP (contoh: 500000). Kosong = default'],
+];
+
+/**
+ * Ensure Settings sheet exists with headers and default keys
+ * Idempotent - safe to call multiple times
+ */
+export async function ensureSettingsSheet() {
+  try {
+    const sheets = getSheetsClient();
+    const SPREADSHEET_ID = getSpreadsheetId();
+
+    const spreadsheet = await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.get({
+        spreadsheetId: SPREADSHEET_ID,
+      });
+    });
+    const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+
+    if (existingSheets.includes(SETTINGS_SHEET)) {
+      return;
+    }
+
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: SETTINGS_SHEET,
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    await retryWithBackoff(async () => {
+      return await sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${SETTINGS_SHEET}!A1:C${DEFAULT_SETTING_ROWS.length + 1}`,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [SETTINGS_SCHEMA, ...DEFAULT_SETTING_ROWS],
+        },
+      });
+    });
+
+    invalidateSettingsCache();
+    console.log(`✅ [SETTINGS] Created ${SETTINGS_SHEET} sheet`);
+  } catch (error) {
+    console.error('❌ [SETTINGS] Error ensuring Settings sheet:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Parse one Settings row (column A = key, column B = value)
+ * @returns {Object|null} Setting { key, value } or null if the key or value is empty
+ */
+function parseSettingRow(row) {
+  const key = String(row[0] || '').trim().toLowerCase();
+  const value = String(row[1] ?? '').trim();
+  return key && value ? { key, value } : null;
+}
+
+// Settings reader - cached per tenant
+const settingsReader = createCachedSheetReader({
+  sheetName: SETTINGS_SHEET,
+  ttlMs: CACHE_TTL.SETTINGS,
+  parseRow: parseSettingRow,
+  tag: 'SETTINGS',
+  label: 'settings',
+  buildResult: (rows) => Object.fromEntries(rows.map(({ key, value }) => [key, value])),
+  fallback: {},
+  columns: 'A:C',
+});
+
+/**
+ * Get all settings with a non-empty value (cached)
+ * Returns empty object if the Settings sheet does not exist or cannot be read
+ * @returns {Promise<Object>} Map of key → value (string)
+ */
+export async function getSettings() {
+  return await settingsReader.get();
+}
+
+/**
+ * Invalidate settings cache (call after editing the Settings sheet programmatically)
+ */
+export function invalidateSettingsCache() {
+  settingsReader.invalidate();
+}
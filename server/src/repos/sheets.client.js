@@ -1,13 +1,13 @@
 /**
  * Google Sheets Client
- * Shared authentication and client setup for all repository modules
+ * Shared client access for all repository modules
+ * The client comes from the configured storage adapter (Google Sheets or local file)
  */
 
-import { google } from 'googleapis';
 import dotenv from 'dotenv';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { getStorageAdapter } from './storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,86 +20,92 @@ if (process.env.NODE_ENV !== 'production' || !process.env.RENDER) {
   dotenv.config({ path: envPath });
 }
 
-// Google Sheets API setup
-// Support both file-based (Render Secret Files) and environment variable-based authentication
-let auth;
-const keyFile = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE;
-const keyJson = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+// Sheets API methods that count against the read quota (all other calls are writes)
+const READ_METHODS = new Set(['get', 'batchGet', 'batchGetByDataFilter']);
 
-let rawJson;
-let authMethod;
+// Google Sheets quotas are per minute (default: 300 read and 300 write requests per project)
+const QUOTA_WINDOW_MS = 60 * 1000;
 
-if (keyFile) {
-  // Render Secret File or local file: Read file and parse JSON
-  authMethod = 'file';
-  let keyFileAbsolute;
-  
-  if (keyFile.startsWith('./server/')) {
-    // Remove ./server/ prefix and resolve from server root
-    const relativePath = keyFile.replace('./server/', '');
-    const serverRoot = path.resolve(__dirname, '../..'); // Go up from src/repos/ to server/
-    keyFileAbsolute = path.resolve(serverRoot, relativePath);
-  } else if (keyFile.startsWith('./')) {
-    // Relative path, resolve from server root
-    const serverRoot = path.resolve(__dirname, '../..'); // Go up from src/repos/ to server/
-    keyFileAbsolute = path.resolve(serverRoot, keyFile.replace('./', ''));
-  } else {
-    // Absolute path (e.g., /etc/secrets/service-account.json on Render) or path relative to current working directory
-    keyFileAbsolute = path.isAbsolute(keyFile) 
-      ? keyFile 
-      : path.resolve(process.cwd(), keyFile);
-  }
-  
-  try {
-    rawJson = fs.readFileSync(keyFileAbsolute, 'utf8');
-    console.log(`✅ [GOOGLE_AUTH] Using service account key from file: ${keyFileAbsolute}`);
-  } catch (error) {
-    throw new Error(`Failed to read service account key file at ${keyFileAbsolute}: ${error.message}`);
-  }
-} else if (keyJson) {
-  // Environment variable: Parse JSON string directly
-  authMethod = 'env';
-  rawJson = keyJson;
-  console.log(`✅ [GOOGLE_AUTH] Using service account key from environment variable`);
-} else {
-  throw new Error('Either GOOGLE_SERVICE_ACCOUNT_KEY_FILE or GOOGLE_SERVICE_ACCOUNT_KEY must be set');
-}
+const requestTotals = { reads: 0, writes: 0, since: new Date().toISOString() };
+const recentRequests = []; // { atMs, isRead } within the last QUOTA_WINDOW_MS
+const countingProxies = new WeakMap(); // API object → proxy that counts its calls
 
-// Parse JSON and normalize private_key newlines
-let serviceAccountKey;
-try {
-  serviceAccountKey = JSON.parse(rawJson);
-} catch (error) {
-  throw new Error(`Failed to parse service account key JSON (method: ${authMethod}): ${error.message}`);
+/**
+ * Drop requests older than the quota window
+ */
+function pruneRecentRequests(nowMs) {
+  while (recentRequests.length > 0 && nowMs - recentRequests[0].atMs > QUOTA_WINDOW_MS) {
+    recentRequests.shift();
+  }
 }
 
-// Normalize private_key: convert \\n to \n (handles Render's escaped newlines)
-if (serviceAccountKey.private_key) {
-  serviceAccountKey.private_key = serviceAccountKey.private_key.replace(/\\n/g, '\n');
+/**
+ * Count a Sheets API request
+ * @param {string} method - Called method (e.g. 'get', 'append', 'batchUpdate')
+ */
+function recordSheetsRequest(method) {
+  const isRead = READ_METHODS.has(method);
+  const nowMs = Date.now();
+  requestTotals[isRead ? 'reads' : 'writes']++;
+  recentRequests.push({ atMs: nowMs, isRead });
+  pruneRecentRequests(nowMs);
 }
 
-// Create Google Auth instance
-auth = new google.auth.GoogleAuth({
-  credentials: serviceAccountKey,
-  scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
-
-const sheets = google.sheets({ version: 'v4', auth });
-
-// Spreadsheet ID from .env
-const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
-
-// Validate Google Sheets configuration on module load
-if (!SPREADSHEET_ID) {
-  console.warn('⚠️  GOOGLE_SPREADSHEET_ID not set. Google Sheets features will not work.');
+/**
+ * Wrap a Sheets API object (spreadsheets, spreadsheets.values) so every method call is counted
+ */
+function withRequestCounting(apiObject) {
+  if (!apiObject || typeof apiObject !== 'object') {
+    return apiObject;
+  }
+  if (!countingProxies.has(apiObject)) {
+    countingProxies.set(apiObject, new Proxy(apiObject, {
+      get(target, prop) {
+        const value = Reflect.get(target, prop);
+        if (typeof value === 'function') {
+          return (...args) => {
+            recordSheetsRequest(String(prop));
+            return value.apply(target, args);
+          };
+        }
+        return prop === 'values' ? withRequestCounting(value) : value;
+      },
+    }));
+  }
+  return countingProxies.get(apiObject);
 }
 
 /**
  * Get the Google Sheets API client instance
+ * With the local backend this is a file-backed client with the same API surface.
+ * Calls through client.spreadsheets are counted for getSheetsRequestStats().
  * @returns {Object} Google Sheets API client
  */
 export function getSheetsClient() {
-  return sheets;
+  const client = getStorageAdapter().getClient();
+  if (!countingProxies.has(client)) {
+    countingProxies.set(client, new Proxy(client, {
+      get(target, prop) {
+        const value = Reflect.get(target, prop);
+        return prop === 'spreadsheets' ? withRequestCounting(value) : value;
+      },
+    }));
+  }
+  return countingProxies.get(client);
+}
+
+/**
+ * Get Sheets API request counts (quota usage)
+ * @returns {Object} { reads, writes, since, readsLastMinute, writesLastMinute }
+ */
+export function getSheetsRequestStats() {
+  pruneRecentRequests(Date.now());
+  const readsLastMinute = recentRequests.filter(request => request.isRead).length;
+  return {
+    ...requestTotals,
+    readsLastMinute,
+    writesLastMinute: recentRequests.length - readsLastMinute,
+  };
 }
 
 /**
@@ -107,7 +113,7 @@ export function getSheetsClient() {
  * @returns {string} Spreadsheet ID
  */
 export function getSpreadsheetId() {
-  return SPREADSHEET_ID;
+  return getStorageAdapter().getSpreadsheetId();
 }
 
 /**
@@ -0,0 +1,59 @@
+/**
+ * Storage Adapter
+ * Selects the storage backend behind the repos (configured via STORAGE_BACKEND in src/config/env.js)
+ *
+ * Every adapter exposes:
+ * - name: backend name (see STORAGE_BACKENDS)
+ * - getClient(): client implementing the Google Sheets v4 surface used by the repos
+ * - getSpreadsheetId(): spreadsheet ID passed to every client call
+ *
+ * Every tenant has its own adapter: its own spreadsheet (spreadsheetId) or local file (localStorageFile),
+ * see src/config/tenants.js.
+ */
+
+import { STORAGE_BACKENDS, getStorageBackend } from '../../config/env.js';
+import { getCurrentTenant } from '../../config/tenant-context.js';
+import { createSheetsAdapter } from './sheets.adapter.js';
+import { createLocalAdapter } from './local.adapter.js';
+
+const adapters = new Map(); // tenant ID -> adapter
+
+/**
+ * Get the storage adapter of the current tenant (created on first use)
+ * @returns {Object} Storage adapter
+ */
+export function getStorageAdapter() {
+  const tenant = getCurrentTenant();
+  if (adapters.has(tenant.id)) {
+    return adapters.get(tenant.id);
+  }
+
+  const backend = getStorageBackend();
+  let adapter;
+
+  if (backend === STORAGE_BACKENDS.LOCAL) {
+    adapter = createLocalAdapter({ filePath: tenant.localStorageFile });
+    console.log(`💾 [STORAGE] Using local storage backend for tenant ${tenant.id} (${tenant.localStorageFile})`);
+  } else {
+    adapter = createSheetsAdapter({ spreadsheetId: tenant.spreadsheetId });
+    console.log(`💾 [STORAGE] Using Google Sheets storage backend for tenant ${tenant.id}`);
+  }
+
+  adapters.set(tenant.id, adapter);
+  return adapter;
+}
+
+/**
+ * Replace the storage adapter of the current tenant
+ * Intended for tests and scripts that need a specific backend (e.g. createLocalAdapter({ filePath: ':memory:' }))
+ * @param {Object|null} newAdapter - Adapter to use, or null to re-read configuration of every tenant on next use
+ */
+export function setStorageAdapter(newAdapter) {
+  if (newAdapter === null) {
+    adapters.clear();
+    return;
+  }
+  adapters.set(getCurrentTenant().id, newAdapter);
+}
+
+export { createSheetsAdapter, createLocalAdapter };
@@ -0,0 +1,375 @@
+/**
+ * Local File Storage Adapter
+ * Stores every sheet as a 2D array in a single JSON file and implements the subset of the
+ * Google Sheets v4 client used by the repos (values.get/update/append/batchUpdate,
+ * spreadsheets.get/batchUpdate), so repos run unchanged without a live spreadsheet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_BACKENDS } from '../../config/env.js';
+
+const LOCAL_SPREADSHEET_ID = 'local';
+const IN_MEMORY = ':memory:';
+
+/**
+ * Convert column letters to 0-based index (A → 0, Z → 25, AA → 26)
+ * @param {string} letters - Column letters
+ * @returns {number} 0-based column index
+ */
+function columnLettersToIndex(letters) {
+  let index = 0;
+  for (const char of letters.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Convert 0-based column index to letters (0 → A, 26 → AA)
+ * @param {number} index - 0-based column index
+ * @returns {string} Column letters
+ */
+function indexToColumnLetters(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Build the error Google returns for an unknown sheet or malformed range
+ * Repos check for "Unable to parse range" to detect missing sheets
+ */
+function rangeError(range) {
+  const error = new Error(`Unable to parse range: ${range}`);
+  error.code = 400;
+  return error;
+}
+
+/**
+ * Parse an A1 range like "Orders!A1:Z", "'Payment History'!A:A", "Users!1:1" or "Orders"
+ * @param {string} range - A1 notation range
+ * @returns {Object} { title, startRow, startCol, endRow, endCol } (0-based, end inclusive, Infinity if open)
+ */
+function parseRange(range) {
+  if (!range || typeof range !== 'string') {
+    throw rangeError(range);
+  }
+
+  const bangIndex = range.lastIndexOf('!');
+  let title = bangIndex === -1 ? range : range.slice(0, bangIndex);
+  const a1 = bangIndex === -1 ? '' : range.slice(bangIndex + 1);
+
+  if (title.startsWith("'") && title.endsWith("'")) {
+    title = title.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (!a1) {
+    return { title, startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity };
+  }
+
+  const [startRef, endRef] = a1.split(':');
+  const parseRef = (ref) => {
+    const match = /^([A-Za-z]*)(\d*)$/.exec(ref || '');
+    if (!match || (!match[1] && !match[2])) {
+      throw rangeError(range);
+    }
+    return {
+      col: match[1] ? columnLettersToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2], 10) - 1 : null,
+    };
+  };
+
+  const start = parseRef(startRef);
+  const end = endRef !== undefined ? parseRef(endRef) : start;
+
+  return {
+    title,
+    startRow: start.row ?? 0,
+    startCol: start.col ?? 0,
+    endRow: end.row ?? Infinity,
+    endCol: end.col ?? Infinity,
+  };
+}
+
+/**
+ * Render a stored cell the way Sheets FORMATTED_VALUE does (everything is a string)
+ */
+function formatCell(value, valueRenderOption) {
+  if (valueRenderOption === 'UNFORMATTED_VALUE') {
+    return value;
+  }
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return String(value);
+}
+
+/**
+ * Remove trailing empty cells from a row and trailing empty rows from a grid (Sheets omits them)
+ */
+function trimGrid(rows) {
+  const trimmed = rows.map(row => {
+    const copy = [...row];
+    while (copy.length > 0 && (copy[copy.length - 1] === '' || copy[copy.length - 1] === null || copy[copy.length - 1] === undefined)) {
+      copy.pop();
+    }
+    return copy;
+  });
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Create the local file storage adapter
+ * @param {Object} options - { filePath } (":memory:" keeps data in memory only)
+ * @returns {Object} Storage adapter { name, getClient, getSpreadsheetId, reset }
+ */
+export function createLocalAdapter({ filePath }) {
+  const persistent = filePath !== IN_MEMORY;
+  let workbook = null;
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Load workbook from disk on first use
+   */
+  function getWorkbook() {
+    if (workbook) {
+      return workbook;
+    }
+
+    workbook = { sheets: [], nextSheetId: 1 };
+
+    if (persistent && fs.existsSync(filePath)) {
+      try {
+        workbook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`✅ [LOCAL_STORAGE] Loaded ${workbook.sheets.length} sheet(s) from ${filePath}`);
+      } catch (error) {
+        throw new Error(`Failed to read local storage file at ${filePath}: ${error.message}`);
+      }
+    } else if (persistent) {
+      console.log(`📁 [LOCAL_STORAGE] Creating new local storage file at ${filePath}`);
+    }
+
+    return workbook;
+  }
+
+  /**
+   * Write workbook to disk (serialized, atomic rename)
+   */
+  function persist() {
+    if (!persistent) {
+      return Promise.resolve();
+    }
+
+    const snapshot = JSON.stringify(workbook, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    return writeQueue;
+  }
+
+  function findSheet(title) {
+    return getWorkbook().sheets.find(s => s.title === title) || null;
+  }
+
+  function requireSheet(range) {
+    const { title } = parseRange(range);
+    const sheet = findSheet(title);
+    if (!sheet) {
+      throw rangeError(range);
+    }
+    return sheet;
+  }
+
+  /**
+   * Write a 2D block of values starting at the top-left cell of the range
+   * null/undefined cells are left unchanged, like the Sheets API
+   */
+  function writeValues(range, values) {
+    const sheet = requireSheet(range);
+    const { startRow, startCol } = parseRange(range);
+    const rows = values || [];
+
+    rows.forEach((rowValues, rowOffset) => {
+      const rowIndex = startRow + rowOffset;
+      while (sheet.values.length <= rowIndex) {
+        sheet.values.push([]);
+      }
+      const row = sheet.values[rowIndex];
+      (rowValues || []).forEach((value, colOffset) => {
+        if (value === null || value === undefined) {
+          return;
+        }
+        const colIndex = startCol + colOffset;
+        while (row.length <= colIndex) {
+          row.push('');
+        }
+        row[colIndex] = value;
+      });
+    });
+
+    const width = rows.reduce((max, row) => Math.max(max, (row || []).length), 0);
+    const updatedRange = `${sheet.title}!${indexToColumnLetters(startCol)}${startRow + 1}:${indexToColumnLetters(startCol + Math.max(width, 1) - 1)}${startRow + Math.max(rows.length, 1)}`;
+
+    return {
+      updatedRange,
+      updatedRows: rows.length,
+      updatedColumns: width,
+    };
+  }
+
+  const client = {
+    spreadsheets: {
+      async get() {
+        const { sheets } = getWorkbook();
+        return {
+          data: {
+            spreadsheetId: LOCAL_SPREADSHEET_ID,
+            properties: { title: 'Local Storage' },
+            sheets: sheets.map((sheet, index) => ({
+              properties: {
+                sheetId: sheet.sheetId,
+                title: sheet.title,
+                index,
+                gridProperties: {
+                  rowCount: Math.max(sheet.values.length, 1000),
+                  columnCount: Math.max(...sheet.values.map(r => r.length), 26),
+                },
+              },
+            })),
+          },
+        };
+      },
+
+      async batchUpdate({ requestBody }) {
+        const wb = getWorkbook();
+        const replies = [];
+
+        for (const request of requestBody?.requests || []) {
+          if (request.addSheet) {
+            const title = request.addSheet.properties?.title;
+            if (findSheet(title)) {
+              const error = new Error(`Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+              error.code = 400;
+              throw error;
+            }
+            const sheet = { sheetId: wb.nextSheetId++, title, values: [] };
+            wb.sheets.push(sheet);
+            replies.push({ addSheet: { properties: { sheetId: sheet.sheetId, title } } });
+          } else if (request.insertDimension || request.deleteDimension) {
+            const { range } = request.insertDimension || request.deleteDimension;
+            const sheet = wb.sheets.find(s => s.sheetId === range.sheetId);
+            if (!sheet) {
+              throw new Error(`No grid with id: ${range.sheetId}`);
+            }
+            if (range.dimension !== 'ROWS') {
+              console.warn(`⚠️ [LOCAL_STORAGE] Ignoring ${range.dimension} dimension change (only ROWS supported)`);
+            } else if (request.insertDimension) {
+              const emptyRows = Array.from({ length: range.endIndex - range.startIndex }, () => []);
+              sheet.values.splice(range.startIndex, 0, ...emptyRows);
+            } else {
+              sheet.values.splice(range.startIndex, range.endIndex - range.startIndex);
+            }
+            replies.push({});
+          } else {
+            // Formatting requests (repeatCell, updateSheetProperties, ...) have no effect on stored data
+            console.warn(`⚠️ [LOCAL_STORAGE] Ignoring unsupported request: ${Object.keys(request).join(', ')}`);
+            replies.push({});
+          }
+        }
+
+        await persist();
+        return { data: { spreadsheetId: LOCAL_SPREADSHEET_ID, replies } };
+      },
+
+      values: {
+        async get({ range, valueRenderOption }) {
+          const sheet = requireSheet(range);
+          const { startRow, startCol, endRow, endCol } = parseRange(range);
+
+          const rows = sheet.values
+            .slice(startRow, endRow === Infinity ? undefined : endRow + 1)
+            .map(row => row
+              .slice(startCol, endCol === Infinity ? undefined : endCol + 1)
+              .map(cell => formatCell(cell, valueRenderOption)));
+
+          const values = trimGrid(rows);
+          return {
+            data: {
+              range,
+              majorDimension: 'ROWS',
+              ...(values.length > 0 ? { values } : {}),
+            },
+          };
+        },
+
+        async update({ range, requestBody }) {
+          const result = writeValues(range, requestBody?.values);
+          await persist();
+          return { data: { spreadsheetId: LOCAL_SPREADSHEET_ID, ...result } };
+        },
+
+        async append({ range, requestBody }) {
+          const sheet = requireSheet(range);
+          const { startRow, startCol } = parseRange(range);
+
+          // Append after the last non-empty row of the table, like Sheets does
+          const lastRow = trimGrid(sheet.values).length;
+          const appendRow = Math.max(lastRow, startRow);
+          const appendRange = `${sheet.title}!${indexToColumnLetters(startCol)}${appendRow + 1}`;
+
+          const result = writeValues(appendRange, requestBody?.values);
+          await persist();
+          return {
+            data: {
+              spreadsheetId: LOCAL_SPREADSHEET_ID,
+              tableRange: `${sheet.title}!${indexToColumnLetters(startCol)}1:${indexToColumnLetters(startCol)}${Math.max(lastRow, 1)}`,
+              updates: { spreadsheetId: LOCAL_SPREADSHEET_ID, ...result },
+            },
+          };
+        },
+
+        async batchUpdate({ requestBody }) {
+          const responses = (requestBody?.data || []).map(({ range, values }) => writeValues(range, values));
+          await persist();
+          return {
+            data: {
+              spreadsheetId: LOCAL_SPREADSHEET_ID,
+              totalUpdatedRows: responses.reduce((sum, r) => sum + r.updatedRows, 0),
+              responses,
+            },
+          };
+        },
+      },
+    },
+  };
+
+  return {
+    name: STORAGE_BACKENDS.LOCAL,
+    getClient: () => client,
+    getSpreadsheetId: () => LOCAL_SPREADSHEET_ID,
+    /**
+     * Drop all sheets (used to get a clean state between test runs)
+     */
+    async reset() {
+      workbook = { sheets: [], nextSheetId: 1 };
+      await persist();
+    },
+  };
+}
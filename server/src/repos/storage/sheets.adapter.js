@@ -0,0 +1,101 @@
+/**
+ * Google Sheets Storage Adapter
+ * Authenticates with a service account and exposes the Sheets v4 client
+ */
+
+import { google } from 'googleapis';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { STORAGE_BACKENDS } from '../../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Read and parse the service account key
+ * Supports both file-based (Render Secret Files) and environment variable-based authentication
+ * Also used by the Google Calendar integration (same service account)
+ * @returns {Object} Parsed service account key
+ */
+export function loadServiceAccountKey() {
+  const keyFile = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE;
+  const keyJson = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+
+  let rawJson;
+  let authMethod;
+
+  if (keyFile) {
+    // Render Secret File or local file: Read file and parse JSON
+    authMethod = 'file';
+    let keyFileAbsolute;
+    const serverRoot = path.resolve(__dirname, '../../..'); // Go up from src/repos/storage/ to server/
+
+    if (keyFile.startsWith('./server/')) {
+      // Remove ./server/ prefix and resolve from server root
+      const relativePath = keyFile.replace('./server/', '');
+      keyFileAbsolute = path.resolve(serverRoot, relativePath);
+    } else if (keyFile.startsWith('./')) {
+      // Relative path, resolve from server root
+      keyFileAbsolute = path.resolve(serverRoot, keyFile.replace('./', ''));
+    } else {
+      // Absolute path (e.g., /etc/secrets/service-account.json on Render) or path relative to current working directory
+      keyFileAbsolute = path.isAbsolute(keyFile) 
+        ? keyFile 
+        : path.resolve(process.cwd(), keyFile);
+    }
+
+    try {
+      rawJson = fs.readFileSync(keyFileAbsolute, 'utf8');
+      console.log(`✅ [GOOGLE_AUTH] Using service account key from file: ${keyFileAbsolute}`);
+    } catch (error) {
+      throw new Error(`Failed to read service account key file at ${keyFileAbsolute}: ${error.message}`);
+    }
+  } else if (keyJson) {
+    // Environment variable: Parse JSON string directly
+    authMethod = 'env';
+    rawJson = keyJson;
+    console.log(`✅ [GOOGLE_AUTH] Using service account key from environment variable`);
+  } else {
+    throw new Error('Either GOOGLE_SERVICE_ACCOUNT_KEY_FILE or GOOGLE_SERVICE_ACCOUNT_KEY must be set');
+  }
+
+  // Parse JSON and normalize private_key newlines
+  let serviceAccountKey;
+  try {
+    serviceAccountKey = JSON.parse(rawJson);
+  } catch (error) {
+    throw new Error(`Failed to parse service account key JSON (method: ${authMethod}): ${error.message}`);
+  }
+
+  // Normalize private_key: convert \\n to \n (handles Render's escaped newlines)
+  if (serviceAccountKey.private_key) {
+    serviceAccountKey.private_key = serviceAccountKey.private_key.replace(/\\n/g, '\n');
+  }
+
+  return serviceAccountKey;
+}
+
+/**
+ * Create the Google Sheets storage adapter
+ * @param {Object} options - { spreadsheetId } (default: GOOGLE_SPREADSHEET_ID)
+ * @returns {Object} Storage adapter { name, getClient, getSpreadsheetId }
+ */
+export function createSheetsAdapter({ spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID } = {}) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: loadServiceAccountKey(),
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const sheets = google.sheets({ version: 'v4', auth });
+
+  if (!spreadsheetId) {
+    console.warn('⚠️  GOOGLE_SPREADSHEET_ID not set. Google Sheets features will not work.');
+  }
+
+  return {
+    name: STORAGE_BACKENDS.SHEETS,
+    getClient: () => sheets,
+    getSpreadsheetId: () => spreadsheetId,
+  };
+}
@@ -6,7 +6,8 @@
 import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from './sheets.client.js';
 import { columnIndexToLetter } from '../utils/sheets-helpers.js';
 
-import { SHEET_NAMES } from '../utils/constants.js';
+import { SHEET_NAMES, USER_ROLES } from '../utils/constants.js';
+import { createTenantState } from '../config/tenant-context.js';
 
 const USERS_SHEET = SHEET_NAMES.USERS;
 
@@ -18,13 +19,16 @@ const USERS_SCHEMA = [
   'role',
   'is_active',
   'created_at',
-  'updated_at'
+  'updated_at',
+  'username'
 ];
 
-// Admin chat IDs cache (for reminder recipients)
+// Admin chat IDs cache (for reminder recipients) - per tenant
 const ADMIN_CHAT_IDS_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
-let adminChatIdsCache = null; // { chatIds: number[], fetchedAtMs: number }
-let adminChatIdsInflight = null; // Promise<number[]> (single-flight pattern)
+const getAdminChatIdsCacheState = createTenantState(() => ({
+  cache: null, // { chatIds: number[], fetchedAtMs: number }
+  inflight: null, // Promise<number[]> (single-flight pattern)
+}));
 
 /**
  * Ensure Users sheet exists with correct headers
@@ -103,7 +107,7 @@ async function ensureUsersHeaders() {
     if (existingHeaders.length === 0) {
       await sheets.spreadsheets.values.update({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${USERS_SHEET}!A1:G1`,
+        range: `${USERS_SHEET}!A1:${columnIndexToLetter(USERS_SCHEMA.length - 1)}1`,
         valueInputOption: 'RAW',
         requestBody: {
           values: [USERS_SCHEMA],
@@ -259,8 +263,14 @@ export async function getUserRole(platform, userId) {
 
 /**
  * Upsert user role in Users sheet
+ * @param {string} platform - Platform (e.g. 'telegram')
+ * @param {string} userId - Platform user ID
+ * @param {string} displayName - Display name
+ * @param {string} role - USER_ROLES value
+ * @param {boolean} isActive - Whether the user is active (default: true)
+ * @param {Object} options - { username } Telegram @username without "@" (kept if not given)
  */
-export async function upsertUserRole(platform, userId, displayName, role, isActive = true) {
+export async function upsertUserRole(platform, userId, displayName, role, isActive = true, { username = null } = {}) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
@@ -292,6 +302,7 @@ export async function upsertUserRole(platform, userId, displayName, role, isActi
     const isActiveCol = headerMap['is_active'] ?? 4;
     const createdAtCol = headerMap['created_at'] ?? 5;
     const updatedAtCol = headerMap['updated_at'] ?? 6;
+    const usernameCol = headerMap['username'] ?? 7;
     
     // Check if user exists
     let userRowIndex = -1;
@@ -308,8 +319,9 @@ export async function upsertUserRole(platform, userId, displayName, role, isActi
     }
     
     // Build row data array with all columns (preserve existing values where possible)
-    const maxCols = Math.max(7, headerRow.length); // At least 7 columns, or more if headers exist
-    const rowData = new Array(maxCols).fill('');
+    const maxCols = Math.max(USERS_SCHEMA.length, headerRow.length); // At least the schema columns, or more if headers exist
+    const existingRow = userRowIndex > 0 ? rows[userRowIndex - 1] : [];
+    const rowData = Array.from({ length: maxCols }, (_, index) => existingRow[index] ?? '');
     
     // Set values in correct column positions
     rowData[userIdCol] = String(userId);
@@ -317,6 +329,9 @@ export async function upsertUserRole(platform, userId, displayName, role, isActi
     rowData[displayNameCol] = String(displayName || '');
     rowData[roleCol] = String(role || 'customer');
     rowData[isActiveCol] = isActive ? 'TRUE' : 'FALSE';
+    if (username) {
+      rowData[usernameCol] = String(username).replace(/^@/, '');
+    }
     
     // Preserve created_at if user exists, otherwise set to now
     if (userRowIndex > 0 && rows[userRowIndex - 1][createdAtCol]) {
@@ -363,120 +378,204 @@ export async function upsertUserRole(platform, userId, displayName, role, isActi
   }
 }
 
+/**
+ * Get all users from Users sheet (uncached - used by role management commands)
+ * @returns {Promise<Array<{userId: string, platform: string, displayName: string, username: string, role: string, isActive: boolean, updatedAt: string}>>}
+ */
+export async function getUsers() {
+  const sheets = getSheetsClient();
+  const SPREADSHEET_ID = getSpreadsheetId();
+
+  await ensureUsersSheet();
+
+  const response = await retryWithBackoff(async () => {
+    return await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${USERS_SHEET}!A:Z`,
+    });
+  });
+
+  const rows = response.data.values || [];
+  if (rows.length <= 1) return []; // Only headers
+
+  const headerRow = rows[0] || [];
+  const headerMap = {};
+  headerRow.forEach((header, index) => {
+    const headerLower = String(header).toLowerCase().trim();
+    headerMap[headerLower] = index;
+  });
+
+  const userIdCol = headerMap['user_id'] ?? 0;
+  const platformCol = headerMap['platform'] ?? 1;
+  const displayNameCol = headerMap['display_name'] ?? 2;
+  const roleCol = headerMap['role'] ?? 3;
+  const isActiveCol = headerMap['is_active'] ?? 4;
+  const updatedAtCol = headerMap['updated_at'] ?? 6;
+  const usernameCol = headerMap['username'] ?? 7;
+
+  const users = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || row.length === 0) continue;
+
+    const userId = String(row[userIdCol] || '').trim();
+    if (!userId) continue;
+
+    const isActiveValue = row[isActiveCol];
+    users.push({
+      userId,
+      platform: String(row[platformCol] || '').toLowerCase().trim(),
+      displayName: String(row[displayNameCol] || ''),
+      username: String(row[usernameCol] || '').replace(/^@/, '').trim(),
+      role: String(row[roleCol] || USER_ROLES.CUSTOMER).toLowerCase().trim(),
+      // is_active: default to true if empty or missing
+      isActive: isActiveValue === 'TRUE' || isActiveValue === true || isActiveValue === 'true' ||
+        isActiveValue === '' || isActiveValue === undefined || isActiveValue === null,
+      updatedAt: row[updatedAtCol] || '',
+    });
+  }
+
+  return users;
+}
+
+/**
+ * Read the Telegram chat IDs of all active users with a role (uncached)
+ * @param {string} targetRole - USER_ROLES value
+ * @returns {Promise<number[]>} Telegram chat IDs
+ */
+async function readTelegramChatIdsByRole(targetRole) {
+  const sheets = getSheetsClient();
+  const SPREADSHEET_ID = getSpreadsheetId();
+  const logTag = `${targetRole.toUpperCase()}_RECIPIENTS`;
+
+  await ensureUsersSheet();
+  
+  // Read Users sheet ONCE
+  const response = await retryWithBackoff(async () => {
+    return await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${USERS_SHEET}!A:Z`,
+    });
+  });
+  
+  const rows = response.data.values || [];
+  if (rows.length <= 1) {
+    // Only headers, no users
+    console.log(`[${logTag}] count=0 (no users in sheet)`);
+    return [];
+  }
+  
+  // Map headers to column indices
+  const headerRow = rows[0] || [];
+  const headerMap = {};
+  headerRow.forEach((header, index) => {
+    const headerLower = String(header).toLowerCase().trim();
+    headerMap[headerLower] = index;
+  });
+  
+  const userIdCol = headerMap['user_id'] ?? 0;
+  const platformCol = headerMap['platform'] ?? 1;
+  const roleCol = headerMap['role'] ?? 3;
+  const isActiveCol = headerMap['is_active'] ?? 4;
+  
+  // Filter users with the target role
+  const chatIds = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || row.length === 0) continue;
+    
+    const userId = row[userIdCol];
+    const platform = String(row[platformCol] || '').toLowerCase().trim();
+    const role = String(row[roleCol] || '').toLowerCase().trim();
+    const isActiveValue = row[isActiveCol];
+    const isActive = isActiveValue === 'TRUE' || 
+                    isActiveValue === true || 
+                    isActiveValue === 'true' ||
+                    isActiveValue === '' ||
+                    isActiveValue === undefined ||
+                    isActiveValue === null; // Default to true if empty/missing
+    
+    // Filter: platform == "telegram", role == targetRole, is_active == true
+    if (platform === 'telegram' && role === targetRole && isActive) {
+      // Validate user_id is numeric
+      const userIdStr = String(userId || '').trim();
+      if (!userIdStr) continue; // Skip empty user_id
+      
+      const chatId = parseInt(userIdStr);
+      if (isNaN(chatId)) {
+        console.warn(`⚠️ [${logTag}] Invalid user_id (non-numeric): "${userIdStr}" in row ${i + 1}, skipping`);
+        continue;
+      }
+      
+      chatIds.push(chatId);
+    }
+  }
+
+  return chatIds;
+}
+
 /**
  * Get all admin chat IDs (cached)
  * Returns array of Telegram chat IDs for users with role='admin' and platform='telegram'
  */
 export async function getAdminChatIds() {
+  const cacheState = getAdminChatIdsCacheState();
   try {
-    const sheets = getSheetsClient();
-    const SPREADSHEET_ID = getSpreadsheetId();
-    
     // Check cache first
     const now = Date.now();
-    if (adminChatIdsCache && (now - adminChatIdsCache.fetchedAtMs) < ADMIN_CHAT_IDS_CACHE_TTL_MS) {
-      console.log(`[ADMIN_RECIPIENTS] Using cached admin chat IDs (age: ${Math.round((now - adminChatIdsCache.fetchedAtMs) / 1000)}s)`);
-      return adminChatIdsCache.chatIds;
+    if (cacheState.cache && (now - cacheState.cache.fetchedAtMs) < ADMIN_CHAT_IDS_CACHE_TTL_MS) {
+      console.log(`[ADMIN_RECIPIENTS] Using cached admin chat IDs (age: ${Math.round((now - cacheState.cache.fetchedAtMs) / 1000)}s)`);
+      return cacheState.cache.chatIds;
     }
     
     // Single-flight: if a fetch is in progress, await the same promise
-    if (adminChatIdsInflight) {
-      return await adminChatIdsInflight;
+    if (cacheState.inflight) {
+      return await cacheState.inflight;
     }
     
     // Start fetch
     const fetchPromise = (async () => {
       try {
-        await ensureUsersSheet();
-        
-        // Read Users sheet ONCE
-        const response = await retryWithBackoff(async () => {
-          return await sheets.spreadsheets.values.get({
-            spreadsheetId: SPREADSHEET_ID,
-            range: `${USERS_SHEET}!A:Z`,
-          });
-        });
-        
-        const rows = response.data.values || [];
-        if (rows.length <= 1) {
-          // Only headers, no users
-          const result = [];
-          adminChatIdsCache = { chatIds: result, fetchedAtMs: Date.now() };
-          console.log(`[ADMIN_RECIPIENTS] count=0 (no users in sheet)`);
-          return result;
-        }
-        
-        // Map headers to column indices
-        const headerRow = rows[0] || [];
-        const headerMap = {};
-        headerRow.forEach((header, index) => {
-          const headerLower = String(header).toLowerCase().trim();
-          headerMap[headerLower] = index;
-        });
-        
-        const userIdCol = headerMap['user_id'] ?? 0;
-        const platformCol = headerMap['platform'] ?? 1;
-        const roleCol = headerMap['role'] ?? 3;
-        const isActiveCol = headerMap['is_active'] ?? 4;
-        
-        // Filter admin users
-        const chatIds = [];
-        for (let i = 1; i < rows.length; i++) {
-          const row = rows[i];
-          if (!row || row.length === 0) continue;
-          
-          const userId = row[userIdCol];
-          const platform = String(row[platformCol] || '').toLowerCase().trim();
-          const role = String(row[roleCol] || '').toLowerCase().trim();
-          const isActiveValue = row[isActiveCol];
-          const isActive = isActiveValue === 'TRUE' || 
-                          isActiveValue === true || 
-                          isActiveValue === 'true' ||
-                          isActiveValue === '' ||
-                          isActiveValue === undefined ||
-                          isActiveValue === null; // Default to true if empty/missing
-          
-          // Filter: platform == "telegram", role == "admin", is_active == true
-          if (platform === 'telegram' && role === 'admin' && isActive) {
-            // Validate user_id is numeric
-            const userIdStr = String(userId || '').trim();
-            if (!userIdStr) continue; // Skip empty user_id
-            
-            const chatId = parseInt(userIdStr);
-            if (isNaN(chatId)) {
-              console.warn(`⚠️ [ADMIN_RECIPIENTS] Invalid user_id (non-numeric): "${userIdStr}" in row ${i + 1}, skipping`);
-              continue;
-            }
-            
-            chatIds.push(chatId);
-          }
-        }
+        const chatIds = await readTelegramChatIdsByRole(USER_ROLES.ADMIN);
         
         // Cache result
-        adminChatIdsCache = { chatIds, fetchedAtMs: Date.now() };
+        cacheState.cache = { chatIds, fetchedAtMs: Date.now() };
 
         return chatIds;
       } finally {
         // Clear inflight promise
-        adminChatIdsInflight = null;
+        cacheState.inflight = null;
       }
     })();
     
     // Store inflight promise
-    adminChatIdsInflight = fetchPromise;
+    cacheState.inflight = fetchPromise;
     
     return await fetchPromise;
   } catch (error) {
     console.error('❌ [ADMIN_RECIPIENTS] Error getting admin chat IDs:', error.message);
-    adminChatIdsInflight = null; // Clear on error
+    cacheState.inflight = null; // Clear on error
     // Return empty array on error (fail gracefully)
     return [];
   }
 }
 
+/**
+ * Get all staff chat IDs (uncached - only read by the daily reminder job)
+ * Returns array of Telegram chat IDs for users with role='staff' and platform='telegram'
+ */
+export async function getStaffChatIds() {
+  try {
+    return await readTelegramChatIdsByRole(USER_ROLES.STAFF);
+  } catch (error) {
+    console.error('❌ [STAFF_RECIPIENTS] Error getting staff chat IDs:', error.message);
+    return [];
+  }
+}
+
 /**
  * Invalidate admin chat IDs cache (call if Users sheet is updated)
  */
 export function invalidateAdminChatIdsCache() {
-  adminChatIdsCache = null;
+  getAdminChatIdsCacheState().cache = null;
 }
@@ -26,78 +26,8 @@ async function computeOrderTotals(orderData, priceList) {
   const calculation = calculateOrderTotal(orderData.items || [], priceList);
   const productTotal = calculation.subtotal || 0;
   
-  let packagingFee = 0;
-  let packagingRequested = false;
-  
-  const packagingNotes = (orderData.notes || []).filter(note => {
-    const noteLower = note.toLowerCase();
-    return noteLower.includes('packaging') || noteLower.includes('styrofoam');
-  });
-  
-  let styrofoamBoxesOverride = null;
-  let usePlasticBag = false;
-  
-  for (const note of packagingNotes) {
-    const noteLower = note.toLowerCase();
-    
-    const boxCountMatch = noteLower.match(/(\d+)\s*box/i);
-    if (boxCountMatch) {
-      styrofoamBoxesOverride = parseInt(boxCountMatch[1], 10);
-    }
-    
-    if (noteLower.includes('plastic bag') || noteLower.includes('sisanya plastic')) {
-      usePlasticBag = true;
-    }
-    
-    if (noteLower.includes('ya') && !noteLower.includes('tidak')) {
-      packagingRequested = true;
-    }
-    if (!noteLower.includes('tidak')) {
-      packagingRequested = true;
-    }
-  }
-  
-  const packagingInItems = (orderData.items || []).some(item => 
-    item.name.toLowerCase().includes('packaging') || 
-    item.name.toLowerCase().includes('styrofoam')
-  );
-  
-  if (packagingRequested || packagingInItems || styrofoamBoxesOverride !== null) {
-    let totalCups = 0;
-    (orderData.items || []).forEach(item => {
-      const itemNameLower = (item.name || '').toLowerCase();
-      if (itemNameLower.includes('packaging') || itemNameLower.includes('styrofoam')) {
-        return;
-      }
-      
-      if (itemNameLower.includes('dawet') && 
-          (itemNameLower.includes('small') || 
-           itemNameLower.includes('medium') || 
-           itemNameLower.includes('large'))) {
-        if (!itemNameLower.includes('botol')) {
-          totalCups += parseInt(item.quantity || 0);
-        }
-      }
-    });
-    
-    let boxes = 0;
-    if (styrofoamBoxesOverride !== null) {
-      boxes = styrofoamBoxesOverride;
-    } else if (totalCups > 0) {
-      boxes = Math.ceil(totalCups / 50);
-    } else {
-      boxes = 1;
-    }
-    
-    packagingFee = boxes * 40000;
-    
-    const packagingPlan = {
-      styrofoam_boxes: boxes,
-      plastic_bags: usePlasticBag,
-      total_cups: totalCups,
-    };
-    orderData.packaging_plan = JSON.stringify(packagingPlan);
-  }
+  const { calculateOrderPackaging } = await import('../services/packaging-calculator.js');
+  const { packagingFee } = await calculateOrderPackaging(orderData, priceList);
   
   const deliveryFee = orderData.delivery_fee !== null && orderData.delivery_fee !== undefined 
     ? (typeof orderData.delivery_fee === 'number' ? orderData.delivery_fee : parseFloat(orderData.delivery_fee) || 0)
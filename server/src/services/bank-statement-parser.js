@@ -0,0 +1,303 @@
+/**
+ * Bank Statement Parser
+ * Reads bank mutation exports (CSV) into credit transactions for payment reconciliation
+ *
+ * Supported layouts (detected from the header row, comma or semicolon separated):
+ * - BCA (KlikBCA / myBCA "Mutasi Rekening"): Tanggal Transaksi, Keterangan, Cabang, Jumlah, CR/DB, Saldo.
+ *   Dates are DD/MM (year taken from the "Periode" line), "PEND" rows are pending and skipped.
+ * - Mandiri (Livin' / Mandiri Online / MCM): Date/Tanggal, Description/Keterangan (one or more columns),
+ *   Reference No., Debit, Credit/Kredit.
+ * - Any other export with a date column and either a credit column or an amount + CR/DB column.
+ *
+ * Only credits (incoming transfers) are returned; debits are counted and skipped.
+ */
+
+import { createHash } from 'crypto';
+
+export const BANKS = {
+  BCA: 'bca',
+  MANDIRI: 'mandiri',
+  OTHER: 'other',
+};
+
+// Header cell patterns (lowercase, trimmed)
+const HEADER_PATTERNS = {
+  date: /^(tanggal( transaksi)?|tgl\.?( transaksi)?|date|posting date|transaction date)$/,
+  description: /^(keterangan|description|deskripsi|uraian( transaksi)?|remark|remarks)$/,
+  reference: /^(reference( no\.?)?|ref\.?( no\.?)?|no\.? referensi|referensi)$/,
+  credit: /^(credit|kredit|cr)$/,
+  debit: /^(debit|debet|db)$/,
+  amount: /^(jumlah|amount|nominal|mutasi)$/,
+  accountNumber: /^(account no\.?|no\.? rekening)$/,
+};
+
+// Lines searched for the header row (BCA exports start with account info lines)
+const MAX_HEADER_SEARCH_LINES = 20;
+
+/**
+ * Split one CSV line into cells (quoted cells may contain the delimiter and "" escapes)
+ * @param {string} line - CSV line
+ * @param {string} delimiter - ',' or ';'
+ * @returns {Array<string>} Cells (trimmed, BCA's leading apostrophe removed)
+ */
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+
+  // BCA prefixes text cells with ' so spreadsheet apps keep leading zeros
+  return cells.map(cell => cell.trim().replace(/^'/, '').trim());
+}
+
+/**
+ * Parse an amount as written in bank exports
+ * Accepts "150000.00", "150,000.00", "150.000,00", "1.500.000", "Rp 150.000" (rounded to whole rupiah)
+ * @param {string} value - Amount text
+ * @returns {number|null} Amount, or null if not a number
+ */
+export function parseStatementAmount(value) {
+  let text = String(value ?? '').replace(/rp\.?/i, '').replace(/\s+/g, '');
+  if (!text || !/\d/.test(text)) {
+    return null;
+  }
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both separators: the last one is the decimal separator
+    const decimalSeparator = lastDot > lastComma ? '.' : ',';
+    const thousandsSeparator = decimalSeparator === '.' ? ',' : '.';
+    text = text.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    // One separator: decimal only if it is used once and followed by 1-2 digits ("150000.00", "150000,5")
+    const separator = lastDot !== -1 ? '.' : ',';
+    const isDecimal = text.split(separator).length === 2 && /^\d{1,2}$/.test(text.slice(text.lastIndexOf(separator) + 1));
+    text = isDecimal ? text.replace(separator, '.') : text.split(separator).join('');
+  }
+
+  const amount = parseFloat(text.replace(/[^\d.-]/g, ''));
+  return isNaN(amount) ? null : Math.round(amount);
+}
+
+/**
+ * Parse a statement date to YYYY-MM-DD
+ * @param {string} value - Date text (DD/MM, DD/MM/YY, DD/MM/YYYY, DD-MM-YYYY, YYYY-MM-DD)
+ * @param {number} defaultYear - Year for DD/MM dates
+ * @returns {string|null} YYYY-MM-DD, or null if not a date
+ */
+function parseStatementDate(value, defaultYear) {
+  const text = String(value || '').trim();
+
+  const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+  }
+
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?/);
+  if (!match) {
+    return null;
+  }
+  const day = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  let year = match[3] ? parseInt(match[3], 10) : defaultYear;
+  if (year < 100) {
+    year += 2000;
+  }
+  if (day < 1 || day > 31 || month < 1 || month > 12) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Read the statement period from BCA's "Periode : 01/10/2026 - 19/10/2026" line
+ * @param {Array<string>} lines - Lines before the header row
+ * @returns {Object|null} { start, end } (YYYY-MM-DD) or null
+ */
+function findStatementPeriod(lines) {
+  for (const line of lines) {
+    const match = line.match(/periode\s*[:=]?\s*'?(\d{1,2}\/\d{1,2}\/\d{2,4})\s*-\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
+    if (match) {
+      return { start: parseStatementDate(match[1]), end: parseStatementDate(match[2]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the account number in the lines before the header ("No. rekening : 1234567890")
+ */
+function findAccountNumber(lines) {
+  for (const line of lines) {
+    const match = line.match(/(?:no\.?\s*rekening|account\s*no\.?)\s*[:=]\s*'?([\d-]+)/i);
+    if (match) {
+      return match[1];
+    }
+  }
+  return '';
+}
+
+/**
+ * Map header cells to column indexes
+ * @param {Array<string>} cells - Header row cells
+ * @returns {Object|null} Column map, or null if this is not a transaction header row
+ */
+function mapHeaderColumns(cells) {
+  const columns = { description: [] };
+  cells.forEach((cell, index) => {
+    const name = cell.toLowerCase().replace(/\s+/g, ' ').trim();
+    for (const [key, pattern] of Object.entries(HEADER_PATTERNS)) {
+      if (!pattern.test(name)) continue;
+      if (key === 'description') {
+        columns.description.push(index);
+      } else if (columns[key] === undefined) {
+        columns[key] = index;
+      }
+      break;
+    }
+  });
+
+  if (columns.date === undefined || (columns.credit === undefined && columns.amount === undefined)) {
+    return null;
+  }
+  // BCA: the CR/DB flag is the unnamed column after "Jumlah"
+  if (columns.credit === undefined && columns.amount !== undefined && !cells[columns.amount + 1]) {
+    columns.creditDebitFlag = columns.amount + 1;
+  }
+  return columns;
+}
+
+/**
+ * Stable ID of a statement line (used to detect lines that were already recorded)
+ * Identical lines in one file (two equal transfers on one day) get different IDs through `occurrence`.
+ */
+function getTransactionFingerprint(bank, credit, occurrence) {
+  const key = [bank, credit.date, credit.amount, credit.description.toLowerCase().replace(/\s+/g, ' '), occurrence].join('|');
+  return createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Parse a bank statement CSV export
+ * @param {string} csvText - File content
+ * @param {Object} options - { fileName } (used to detect the bank when the layout is ambiguous)
+ * @returns {Object} { bank, accountNumber, period, credits: [{ lineNumber, date, amount, description, fingerprint }], debitCount, skippedLines }
+ * @throws {Error} If no transaction header row is found
+ */
+export function parseBankStatementCsv(csvText, options = {}) {
+  const text = String(csvText || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const lines = text.split(/\r?\n/);
+
+  // Find the header row (and the delimiter it uses)
+  let headerIndex = -1;
+  let delimiter = ',';
+  let columns = null;
+  for (let i = 0; i < Math.min(lines.length, MAX_HEADER_SEARCH_LINES) && !columns; i++) {
+    for (const candidate of [',', ';']) {
+      columns = mapHeaderColumns(splitCsvLine(lines[i], candidate));
+      if (columns) {
+        headerIndex = i;
+        delimiter = candidate;
+        break;
+      }
+    }
+  }
+  if (!columns) {
+    throw new Error('No transaction header row found (expected columns like Tanggal/Date, Keterangan/Description and Kredit/Credit or Jumlah)');
+  }
+
+  const preamble = lines.slice(0, headerIndex);
+  const headerText = lines[headerIndex].toLowerCase();
+  const fileName = String(options.fileName || '').toLowerCase();
+  let bank = BANKS.OTHER;
+  if (columns.creditDebitFlag !== undefined || /bca/.test(fileName) || preamble.some(line => /kode mata uang/i.test(line))) {
+    bank = BANKS.BCA;
+  } else if (/mandiri/.test(fileName) || /val\.? date|account no/.test(headerText)) {
+    bank = BANKS.MANDIRI;
+  }
+
+  const period = findStatementPeriod(preamble);
+  const defaultYear = parseInt((period?.end || new Date().toISOString()).slice(0, 4), 10);
+  const credits = [];
+  const occurrences = new Map();
+  let debitCount = 0;
+  let skippedLines = 0;
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = splitCsvLine(lines[i], delimiter);
+
+    let date = parseStatementDate(cells[columns.date], defaultYear);
+    if (!date) {
+      // Footer rows (Saldo Awal, Mutasi Kredit, ...) and pending rows (PEND)
+      skippedLines++;
+      continue;
+    }
+    // DD/MM dates of a period spanning the new year belong to the previous year
+    if (period?.end && date > period.end && !/\d{1,2}\/\d{1,2}\/\d{2,4}/.test(cells[columns.date])) {
+      date = `${defaultYear - 1}${date.slice(4)}`;
+    }
+
+    let amount = null;
+    if (columns.credit !== undefined) {
+      amount = parseStatementAmount(cells[columns.credit]);
+    } else {
+      const flag = String(cells[columns.creditDebitFlag] || '').toUpperCase();
+      const signedAmount = parseStatementAmount(cells[columns.amount]);
+      const isCredit = flag ? flag.startsWith('CR') || flag === 'K' : signedAmount > 0;
+      amount = isCredit ? Math.abs(signedAmount || 0) : null;
+    }
+    if (!amount || amount <= 0) {
+      debitCount++;
+      continue;
+    }
+
+    const description = [
+      ...columns.description.map(index => cells[index]),
+      columns.reference !== undefined ? cells[columns.reference] : '',
+    ].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+
+    const credit = { lineNumber: i + 1, date, amount, description };
+    const occurrenceKey = `${date}|${amount}|${description}`;
+    const occurrence = (occurrences.get(occurrenceKey) || 0) + 1;
+    occurrences.set(occurrenceKey, occurrence);
+    credit.fingerprint = getTransactionFingerprint(bank, credit, occurrence);
+    credits.push(credit);
+  }
+
+  // Mandiri repeats the account number in an "Account No" column
+  let accountNumber = findAccountNumber(preamble);
+  if (!accountNumber && columns.accountNumber !== undefined) {
+    accountNumber = splitCsvLine(lines[headerIndex + 1] || '', delimiter)[columns.accountNumber] || '';
+  }
+
+  return {
+    bank,
+    accountNumber,
+    period,
+    credits,
+    debitCount,
+    skippedLines,
+  };
+}
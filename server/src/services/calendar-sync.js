@@ -0,0 +1,319 @@
+/**
+ * Google Calendar Sync
+ * Reconciles the Orders sheet with Google Calendar (two-way):
+ * - Orders → Calendar: every upcoming confirmed order gets one event; changed orders are rewritten,
+ *   events of cancelled orders (and duplicates) are removed
+ * - Calendar → Orders: when an admin moves an order event in Calendar, the order's event_date /
+ *   delivery_time follow it (recorded in Order_Events with source "calendar")
+ * - Optional: one all-day "production summary" event per delivery date with total cups per size
+ *   (GOOGLE_CALENDAR_PRODUCTION_SUMMARY=true)
+ *
+ * Runs on a schedule (server.js, GOOGLE_CALENDAR_SYNC_INTERVAL_MINUTES). Uses the Calendar client from
+ * google-calendar.js, so it can be tested against a stub passed to setCalendarClient().
+ */
+
+import { getAllOrders, saveOrder } from '../repos/orders.repo.js';
+import { recordOrderEvent } from '../repos/order-events.repo.js';
+import { acquireLock, releaseLock } from '../state/store.js';
+import { CUP_SIZES, getCupSize } from './price-calculator.js';
+import {
+  getCalendarClient,
+  isProductionSummaryEnabled,
+  getOrderSchedule,
+  getMovedEventSchedule,
+  buildOrderEvent,
+  buildProductionSummaryEvent,
+  listCalendarEvents,
+  insertCalendarEvent,
+  replaceCalendarEvent,
+  deleteCalendarEvent,
+} from './google-calendar.js';
+import { getTodayJakarta, toISODateJakarta } from '../utils/date-utils.js';
+import {
+  ORDER_EVENT_TYPES,
+  ORDER_EVENT_SOURCES,
+  CALENDAR_EVENT_TYPES,
+  CALENDAR_EXCLUDED_STATUSES,
+} from '../utils/constants.js';
+
+const SYNC_LOCK_NAME = 'calendar_sync';
+const SYNC_LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Check whether an order should have a calendar event
+ * (existing events of CALENDAR_EXCLUDED_STATUSES orders are removed)
+ */
+function hasCalendarEvent(order) {
+  const status = String(order.status || '').toLowerCase();
+  return !!order.event_date && !CALENDAR_EXCLUDED_STATUSES.includes(status);
+}
+
+/**
+ * Apply a schedule moved in Calendar to the order (Orders sheet + Order_Events)
+ * @param {Object} order - Order (updated in place)
+ * @param {{ eventDate: string, deliveryTime: string }} schedule - New schedule from getMovedEventSchedule()
+ * @param {boolean} orderChanged - True if the order schedule was also changed since the last sync (calendar wins)
+ */
+async function applyCalendarMove(order, schedule, orderChanged) {
+  const changes = [
+    { field: 'event_date', oldValue: order.event_date || '', newValue: schedule.eventDate },
+    { field: 'delivery_time', oldValue: order.delivery_time || '', newValue: schedule.deliveryTime },
+  ].filter(change => change.oldValue !== change.newValue);
+
+  if (changes.length === 0) {
+    return false;
+  }
+
+  // Re-save the whole order (payment_status is recalculated from paid_amount, as in /ongkir)
+  await saveOrder({
+    ...order,
+    event_date: schedule.eventDate,
+    delivery_time: schedule.deliveryTime,
+    payment_status: undefined,
+  });
+
+  const note = orderChanged
+    ? 'Dipindah di Google Calendar (perubahan jadwal di order ditimpa)'
+    : 'Dipindah di Google Calendar';
+  for (const change of changes) {
+    await recordOrderEvent({
+      ...change,
+      orderId: order.id,
+      eventType: ORDER_EVENT_TYPES.ORDER_EDITED,
+      source: ORDER_EVENT_SOURCES.CALENDAR,
+      note,
+    });
+  }
+
+  order.event_date = schedule.eventDate;
+  order.delivery_time = schedule.deliveryTime;
+  console.log(`📅 [CALENDAR_SYNC] Order ${order.id} moved in Calendar → ${schedule.eventDate} ${schedule.deliveryTime || ''}`.trim());
+  return true;
+}
+
+/**
+ * Sync one order with its existing calendar event
+ * @returns {Promise<string>} 'moved', 'updated' or 'unchanged'
+ */
+async function syncOrderEvent(order, event) {
+  const synced = event.extendedProperties?.private || {};
+  const movedSchedule = getMovedEventSchedule(event);
+
+  let result = 'unchanged';
+  if (movedSchedule) {
+    const orderSchedule = getOrderSchedule(order);
+    const orderChanged = orderSchedule.eventDate !== synced.synced_event_date ||
+      orderSchedule.deliveryTime !== (synced.synced_delivery_time || '');
+    if (orderChanged) {
+      console.warn(`⚠️ [CALENDAR_SYNC] Order ${order.id} was changed in the sheet and moved in Calendar - Calendar wins`);
+    }
+    if (await applyCalendarMove(order, movedSchedule, orderChanged)) {
+      result = 'moved';
+    }
+  }
+
+  // Rewrite the event if its content changed (also refreshes synced_* after a move)
+  const expected = buildOrderEvent(order);
+  if (movedSchedule || expected.extendedProperties.private.sync_hash !== synced.sync_hash) {
+    await replaceCalendarEvent(event.id, expected);
+    if (result === 'unchanged') {
+      result = 'updated';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build production summaries per delivery date
+ * @param {Array} orders - Orders with calendar events
+ * @returns {Map<string, Object>} date → { date, totalCups, cupsBySize, otherItems, orders }
+ */
+export function buildProductionSummaries(orders) {
+  const summaries = new Map();
+
+  for (const order of orders) {
+    const date = toISODateJakarta(order.event_date);
+    if (!date) continue;
+
+    if (!summaries.has(date)) {
+      summaries.set(date, { date, totalCups: 0, cupsBySize: {}, otherItems: {}, orders: [] });
+    }
+    const summary = summaries.get(date);
+    summary.orders.push(order);
+
+    for (const item of order.items || []) {
+      const quantity = parseInt(item.quantity, 10) || 0;
+      const size = getCupSize(item.name);
+      if (size) {
+        summary.totalCups += quantity;
+        summary.cupsBySize[size] = (summary.cupsBySize[size] || 0) + quantity;
+      } else {
+        summary.otherItems[item.name] = (summary.otherItems[item.name] || 0) + quantity;
+      }
+    }
+  }
+
+  for (const summary of summaries.values()) {
+    // Stable order: sizes small → large, orders by delivery time
+    summary.cupsBySize = Object.fromEntries(
+      CUP_SIZES.filter(size => summary.cupsBySize[size]).map(size => [size, summary.cupsBySize[size]])
+    );
+    summary.orders.sort((a, b) => String(a.delivery_time || '').localeCompare(String(b.delivery_time || '')));
+  }
+
+  return summaries;
+}
+
+/**
+ * Sync the production summary events (one all-day event per delivery date)
+ * @returns {Promise<{ created: number, updated: number, deleted: number }>}
+ */
+async function syncProductionSummaries(orders, today) {
+  const result = { created: 0, updated: 0, deleted: 0 };
+  const summaries = buildProductionSummaries(orders);
+  const events = await listCalendarEvents(CALENDAR_EVENT_TYPES.PRODUCTION_SUMMARY, today);
+
+  const handledDates = new Set();
+  for (const event of events) {
+    const date = event.extendedProperties?.private?.summary_date;
+    const summary = summaries.get(date);
+
+    // No orders that day any more (or a duplicate event) → remove
+    if (!summary || handledDates.has(date)) {
+      await deleteCalendarEvent(event.id, `summary ${date}`);
+      result.deleted++;
+      continue;
+    }
+    handledDates.add(date);
+
+    const expected = buildProductionSummaryEvent(summary);
+    if (expected.extendedProperties.private.sync_hash !== event.extendedProperties.private.sync_hash) {
+      await replaceCalendarEvent(event.id, expected);
+      result.updated++;
+    }
+  }
+
+  for (const summary of summaries.values()) {
+    if (handledDates.has(summary.date) || summary.date < today) continue;
+    await insertCalendarEvent(buildProductionSummaryEvent(summary));
+    result.created++;
+  }
+
+  return result;
+}
+
+/**
+ * Run the calendar sync
+ * Only one instance runs it at a time (state store lock)
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time (default: now), for testing
+ * @returns {Promise<Object|null>} Summary { created, updated, moved, deleted, unchanged, failed, summaries },
+ *   or null if Calendar is not configured or another sync is running
+ */
+export async function syncCalendarWithOrders({ now = new Date() } = {}) {
+  if (!getCalendarClient()) {
+    console.log('ℹ️ [CALENDAR_SYNC] Google Calendar not configured - skipping sync');
+    return null;
+  }
+
+  const lockToken = await acquireLock(SYNC_LOCK_NAME, SYNC_LOCK_TTL_MS);
+  if (!lockToken) {
+    console.log('⏭️ [CALENDAR_SYNC] Another calendar sync is running - skipping');
+    return null;
+  }
+
+  const result = { created: 0, updated: 0, moved: 0, deleted: 0, unchanged: 0, failed: 0, summaries: null };
+
+  try {
+    const today = getTodayJakarta(now);
+
+    // STEP 1: Read Orders and order events ONCE
+    // All orders (Orders cache): with a limit, new orders would get no event and their events would look orphaned
+    const allOrders = await getAllOrders(Infinity);
+    const ordersById = new Map(allOrders.map(order => [order.id, order]));
+    const events = await listCalendarEvents(CALENDAR_EVENT_TYPES.ORDER, today);
+    console.log(`📖 [CALENDAR_SYNC] ${allOrders.length} order(s), ${events.length} calendar event(s) from ${today}`);
+
+    // Group events by order (more than one = duplicate, e.g. from a retried create)
+    const eventsByOrderId = new Map();
+    for (const event of events) {
+      const orderId = event.extendedProperties?.private?.order_id;
+      if (!orderId) continue;
+      if (!eventsByOrderId.has(orderId)) {
+        eventsByOrderId.set(orderId, []);
+      }
+      eventsByOrderId.get(orderId).push(event);
+    }
+
+    // STEP 2: Existing events - remove, sync both ways
+    const orderIdsWithEvent = new Set();
+    for (const [orderId, orderEvents] of eventsByOrderId) {
+      const [event, ...duplicates] = orderEvents;
+      for (const duplicate of duplicates) {
+        await deleteCalendarEvent(duplicate.id, orderId);
+        result.deleted++;
+      }
+
+      const order = ordersById.get(orderId);
+      if (!order) {
+        console.warn(`⚠️ [CALENDAR_SYNC] Event ${event.id} belongs to order ${orderId}, which is not in the Orders sheet - leaving it`);
+        continue;
+      }
+      orderIdsWithEvent.add(orderId);
+
+      try {
+        if (!hasCalendarEvent(order)) {
+          await deleteCalendarEvent(event.id, orderId);
+          console.log(`🗑️ [CALENDAR_SYNC] Removed event of order ${orderId} (status: ${order.status})`);
+          result.deleted++;
+          continue;
+        }
+
+        const outcome = await syncOrderEvent(order, event);
+        result[outcome]++;
+      } catch (error) {
+        console.error(`❌ [CALENDAR_SYNC] Error syncing order ${orderId}:`, error.message);
+        result.failed++;
+      }
+    }
+
+    // STEP 3: Upcoming orders without an event - create
+    for (const order of allOrders) {
+      if (orderIdsWithEvent.has(order.id) || !hasCalendarEvent(order)) continue;
+      const eventDate = toISODateJakarta(order.event_date);
+      if (!eventDate || eventDate < today) continue;
+
+      try {
+        await insertCalendarEvent(buildOrderEvent(order));
+        result.created++;
+      } catch (error) {
+        console.error(`❌ [CALENDAR_SYNC] Error creating event for order ${order.id}:`, error.message);
+        result.failed++;
+      }
+    }
+
+    // STEP 4: Production summary per delivery date (optional)
+    if (isProductionSummaryEnabled()) {
+      try {
+        const upcomingOrders = allOrders.filter(order => {
+          const eventDate = toISODateJakarta(order.event_date);
+          return hasCalendarEvent(order) && eventDate && eventDate >= today;
+        });
+        result.summaries = await syncProductionSummaries(upcomingOrders, today);
+      } catch (error) {
+        console.error('❌ [CALENDAR_SYNC] Error syncing production summaries:', error.message);
+        result.failed++;
+      }
+    }
+
+    console.log(`✅ [CALENDAR_SYNC] Done - created: ${result.created}, updated: ${result.updated}, moved: ${result.moved}, deleted: ${result.deleted}, unchanged: ${result.unchanged}, failed: ${result.failed}` +
+      (result.summaries ? `, summaries: +${result.summaries.created} ~${result.summaries.updated} -${result.summaries.deleted}` : ''));
+    return result;
+  } catch (error) {
+    console.error('❌ [CALENDAR_SYNC] Error running calendar sync:', error.message);
+    throw error;
+  } finally {
+    await releaseLock(SYNC_LOCK_NAME, lockToken);
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Capacity Checker
+ * Compares orders for a delivery date against daily production limits (Capacity sheet)
+ */
+
+import { getOrdersByEventDate } from '../repos/orders.repo.js';
+import { getCapacityRulesForDate } from '../repos/capacity.repo.js';
+import { getPriceListCategories } from '../repos/price-list.repo.js';
+import { parseItemName, normalizeProductName } from './price-calculator.js';
+import { toISODateJakarta } from '../utils/date-utils.js';
+import { formatPrice } from '../utils/formatting.js';
+import { getEnv } from '../config/env.js';
+import { CAPACITY_SCOPES, CAPACITY_ENFORCEMENT, ORDER_STATUS } from '../utils/constants.js';
+
+/**
+ * Order statuses that do NOT use production capacity
+ * pending_confirmation orders are not counted until the customer confirms them
+ */
+const NON_COUNTED_STATUSES = [
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.PENDING_CONFIRMATION,
+];
+
+/**
+ * Get capacity enforcement mode from CAPACITY_ENFORCEMENT env var
+ * - warn (default): order is accepted, confirmation shows a warning
+ * - reject: order is refused until quantity or date changes
+ * @returns {string} One of CAPACITY_ENFORCEMENT values
+ */
+export function getCapacityEnforcement() {
+  const mode = String(getEnv('CAPACITY_ENFORCEMENT', CAPACITY_ENFORCEMENT.WARN)).trim().toLowerCase();
+  return mode === CAPACITY_ENFORCEMENT.REJECT ? CAPACITY_ENFORCEMENT.REJECT : CAPACITY_ENFORCEMENT.WARN;
+}
+
+/**
+ * Parse order items (array or JSON string) into an array
+ */
+function toItemsArray(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === 'string' && items.trim()) {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Check whether an order item is covered by a capacity rule
+ * Items match by full name or base name, so "Dawet Medium + Nangka" counts towards "Dawet Kemayu Medium"
+ * @param {string} itemName - Order item name
+ * @param {Object} rule - Capacity rule
+ * @param {Object} categories - Item name → category map from PriceList
+ * @returns {boolean} True if the item counts towards the rule
+ */
+function itemMatchesRule(itemName, rule, categories) {
+  if (!itemName) return false;
+
+  const baseName = parseItemName(itemName).base;
+
+  if (rule.scope === CAPACITY_SCOPES.ITEM) {
+    const ruleName = normalizeProductName(rule.name);
+    return normalizeProductName(itemName) === ruleName || normalizeProductName(baseName) === ruleName;
+  }
+
+  if (rule.scope === CAPACITY_SCOPES.CATEGORY) {
+    const category = categories[itemName] || categories[baseName];
+    return !!category && category.toLowerCase().trim() === rule.name.toLowerCase().trim();
+  }
+
+  return false;
+}
+
+/**
+ * Sum quantities of items covered by a rule
+ */
+function sumRuleQuantity(items, rule, categories) {
+  return items.reduce((sum, item) => {
+    if (!itemMatchesRule(item.name, rule, categories)) {
+      return sum;
+    }
+    return sum + (parseInt(item.quantity, 10) || 0);
+  }, 0);
+}
+
+/**
+ * Load rules, categories and counted orders for a delivery date
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @param {string|null} excludeOrderId - Order to leave out of the usage (e.g. the order being edited)
+ * @returns {Promise<Object>} { rules, categories, orders }
+ */
+async function loadCapacityContext(dateISO, excludeOrderId) {
+  const rules = await getCapacityRulesForDate(dateISO);
+  if (rules.length === 0) {
+    return { rules, categories: {}, orders: [] };
+  }
+
+  const [dateOrders, categories] = await Promise.all([
+    getOrdersByEventDate(dateISO),
+    getPriceListCategories(),
+  ]);
+
+  const orders = dateOrders.filter(order => {
+    if (excludeOrderId && order.id === excludeOrderId) return false;
+    return !NON_COUNTED_STATUSES.includes(String(order.status || '').toLowerCase());
+  });
+
+  return { rules, categories, orders };
+}
+
+/**
+ * Sum a rule's usage over all counted orders
+ */
+function getRuleUsage(rule, orders, categories) {
+  return orders.reduce(
+    (sum, order) => sum + sumRuleQuantity(toItemsArray(order.items), rule, categories),
+    0
+  );
+}
+
+/**
+ * Get capacity usage for a delivery date
+ * @param {string} date - Delivery date (YYYY-MM-DD, DD/MM/YYYY, ...)
+ * @param {Object} options - { excludeOrderId } to leave one order out of the usage
+ * @returns {Promise<Object|null>} { date, entries: [{ scope, name, maxQty, used, remaining, notes }] } or null if date is invalid
+ */
+export async function getDailyCapacity(date, options = {}) {
+  const { excludeOrderId = null } = options;
+
+  const dateISO = toISODateJakarta(date);
+  if (!dateISO) {
+    return null;
+  }
+
+  const { rules, categories, orders } = await loadCapacityContext(dateISO, excludeOrderId);
+
+  const entries = rules.map(rule => {
+    const used = getRuleUsage(rule, orders, categories);
+    return {
+      scope: rule.scope,
+      name: rule.name,
+      maxQty: rule.maxQty,
+      used,
+      remaining: Math.max(rule.maxQty - used, 0),
+      notes: rule.notes,
+    };
+  });
+
+  return { date: dateISO, entries };
+}
+
+/**
+ * Check whether an order fits in the remaining capacity of its delivery date
+ * Fails open: if capacity cannot be read, the order is treated as within capacity
+ * @param {Object} order - Order with event_date and items
+ * @param {Object} options - { excludeOrderId } (defaults to order.id)
+ * @returns {Promise<Object>} { date, enforcement, exceeded, entries: [{ scope, name, maxQty, used, requested, available, remaining, exceeded }] }
+ */
+export async function checkOrderCapacity(order, options = {}) {
+  const enforcement = getCapacityEnforcement();
+  const dateISO = toISODateJakarta(order?.event_date);
+  const emptyResult = { date: dateISO, enforcement, exceeded: false, entries: [] };
+
+  if (!dateISO) {
+    return emptyResult;
+  }
+
+  try {
+    const excludeOrderId = options.excludeOrderId ?? order.id ?? null;
+    const { rules, categories, orders } = await loadCapacityContext(dateISO, excludeOrderId);
+    const items = toItemsArray(order.items);
+    const entries = [];
+
+    for (const rule of rules) {
+      const requested = sumRuleQuantity(items, rule, categories);
+      if (requested === 0) {
+        continue; // Rule not affected by this order
+      }
+      const used = getRuleUsage(rule, orders, categories);
+      const remaining = rule.maxQty - used - requested;
+      entries.push({
+        scope: rule.scope,
+        name: rule.name,
+        maxQty: rule.maxQty,
+        used,
+        requested,
+        available: Math.max(rule.maxQty - used, 0),
+        remaining: Math.max(remaining, 0),
+        exceeded: remaining < 0,
+      });
+    }
+
+    const exceeded = entries.some(entry => entry.exceeded);
+    if (exceeded) {
+      console.warn(`⚠️ [CAPACITY] Order ${order.id || '(new)'} exceeds capacity on ${dateISO} (enforcement: ${enforcement})`);
+    }
+
+    return { date: dateISO, enforcement, exceeded, entries };
+  } catch (error) {
+    console.error('❌ [CAPACITY] Error checking order capacity:', error.message);
+    return emptyResult;
+  }
+}
+
+/**
+ * Format remaining capacity section for the order confirmation
+ * @param {Object} capacity - Result from checkOrderCapacity
+ * @returns {string} Capacity section (empty string if no limits apply)
+ */
+export function formatCapacityNotice(capacity) {
+  if (!capacity || !capacity.entries || capacity.entries.length === 0) {
+    return '';
+  }
+
+  let text = `\n📊 Sisa Kapasitas (${capacity.date}):\n`;
+  capacity.entries.forEach(entry => {
+    if (entry.exceeded) {
+      text += `⚠️ ${entry.name}: melebihi kapasitas (tersedia ${formatPrice(entry.available)}, dipesan ${formatPrice(entry.requested)})\n`;
+    } else {
+      text += `• ${entry.name}: sisa ${formatPrice(entry.remaining)} setelah pesanan ini\n`;
+    }
+  });
+
+  if (capacity.exceeded) {
+    text += `Pesanan melebihi kapasitas produksi harian, admin akan mengonfirmasi ketersediaan.\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Format rejection message when an order exceeds capacity (enforcement = reject)
+ * @param {Object} capacity - Result from checkOrderCapacity
+ * @returns {string} Rejection message
+ */
+export function formatCapacityRejection(capacity) {
+  let message = `❌ **Kapasitas produksi penuh** untuk tanggal ${capacity.date}\n\n`;
+  capacity.entries
+    .filter(entry => entry.exceeded)
+    .forEach(entry => {
+      message += `• ${entry.name}: tersedia ${formatPrice(entry.available)}, dipesan ${formatPrice(entry.requested)}\n`;
+    });
+  message += `\nSilakan kurangi jumlah pesanan atau pilih tanggal lain ya kak 🙏`;
+  return message;
+}
+
+/**
+ * Check if an order must be refused because of capacity
+ * @param {Object} capacity - Result from checkOrderCapacity
+ * @returns {boolean} True if exceeded and enforcement is reject
+ */
+export function isCapacityRejected(capacity) {
+  return !!capacity?.exceeded && capacity.enforcement === CAPACITY_ENFORCEMENT.REJECT;
+}
@@ -0,0 +1,261 @@
+/**
+ * Dashboard Authentication
+ * Login for the web dashboard (Telegram Login Widget → signed session token) and API keys for integrations
+ *
+ * - Telegram login: the widget's data is verified with the tenant's bot token (HMAC-SHA256, see
+ *   https://core.telegram.org/widgets/login#checking-authorization); only admins and staff from the
+ *   tenant's Users sheet (or ADMIN_TELEGRAM_USER_IDS / adminIds) may log in.
+ * - Sessions: stateless HS256 JWT signed with DASHBOARD_JWT_SECRET. The token only proves *who* the user
+ *   is and which tenant they logged in to (tid); the role is looked up on every request, so /role
+ *   changes apply without logging out.
+ * - API keys: DASHBOARD_API_KEYS entries "name:role:key" (apiKeys in TENANTS_FILE for other tenants),
+ *   sent in the X-API-Key header. The key decides the tenant.
+ */
+
+import { createHmac, createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { getEnv } from '../config/env.js';
+import { getTenants, getDefaultTenant } from '../config/tenants.js';
+import { getCurrentTenant, getCurrentTenantId, getTelegramBotToken, runWithTenant } from '../config/tenant-context.js';
+import { PROCESSED_NAMESPACES, markProcessed, isProcessed } from '../state/store.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const TELEGRAM_LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60; // Widget data older than 1 day is rejected
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+// Fallback signing secret when DASHBOARD_JWT_SECRET is not set (sessions end on restart)
+let generatedJwtSecret = null;
+
+// Parsed API keys per tenant ID (re-parsed when the configured value changes): { raw: string, keys: Array }
+const apiKeysCache = new Map();
+
+/**
+ * Check if dashboard authentication is disabled (local development only)
+ * @returns {boolean} True if DASHBOARD_AUTH_DISABLED=true
+ */
+export function isDashboardAuthDisabled() {
+  return String(getEnv('DASHBOARD_AUTH_DISABLED', 'false')).toLowerCase() === 'true';
+}
+
+/**
+ * Get the session token lifetime
+ * @returns {number} Lifetime in seconds (DASHBOARD_SESSION_TTL_HOURS, default 12 hours)
+ */
+export function getSessionTtlSeconds() {
+  const hours = parseFloat(getEnv('DASHBOARD_SESSION_TTL_HOURS', String(DEFAULT_SESSION_TTL_HOURS)));
+  return Math.round((hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60);
+}
+
+/**
+ * Get the session signing secret
+ * Without DASHBOARD_JWT_SECRET a random secret is generated per process (logins are lost on restart
+ * and don't work across instances)
+ */
+function getJwtSecret() {
+  const secret = getEnv('DASHBOARD_JWT_SECRET');
+  if (secret) {
+    return secret;
+  }
+  if (!generatedJwtSecret) {
+    generatedJwtSecret = randomBytes(32).toString('hex');
+    console.warn('⚠️ [DASHBOARD_AUTH] DASHBOARD_JWT_SECRET not set - using a random secret (dashboard sessions end on restart)');
+  }
+  return generatedJwtSecret;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Base64url-encode a string or buffer
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Verify Telegram Login Widget data
+ * @param {Object} data - Fields from the widget callback (id, first_name, last_name, username, photo_url, auth_date, hash)
+ * @param {Object} options - { now: Date }
+ * @returns {{valid: boolean, error?: string, user?: Object}} user = { id, firstName, lastName, username, photoUrl }
+ */
+export function verifyTelegramLogin(data, { now = new Date() } = {}) {
+  const botToken = getTelegramBotToken();
+  if (!botToken) {
+    return { valid: false, error: 'TELEGRAM_BOT_TOKEN not configured' };
+  }
+  if (!data || typeof data !== 'object' || !data.hash || !data.id || !data.auth_date) {
+    return { valid: false, error: 'Missing Telegram login data' };
+  }
+
+  // data_check_string: all received fields except hash, sorted, "key=value" joined by \n
+  const dataCheckString = Object.keys(data)
+    .filter(key => key !== 'hash' && data[key] !== undefined && data[key] !== null)
+    .sort()
+    .map(key => `${key}=${data[key]}`)
+    .join('\n');
+  const secretKey = createHash('sha256').update(botToken).digest();
+  const expectedHash = createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  if (!safeEqual(expectedHash, String(data.hash).toLowerCase())) {
+    return { valid: false, error: 'Invalid Telegram login signature' };
+  }
+
+  const ageSeconds = Math.floor(now.getTime() / 1000) - parseInt(data.auth_date);
+  if (isNaN(ageSeconds) || ageSeconds > TELEGRAM_LOGIN_MAX_AGE_SECONDS) {
+    return { valid: false, error: 'Telegram login expired, please log in again' };
+  }
+
+  return {
+    valid: true,
+    user: {
+      id: String(data.id),
+      firstName: data.first_name || '',
+      lastName: data.last_name || '',
+      username: data.username || '',
+      photoUrl: data.photo_url || '',
+    },
+  };
+}
+
+/**
+ * Create a dashboard session token for the current tenant
+ * @param {Object} user - { id, name, username, photoUrl }
+ * @param {Object} options - { now: Date }
+ * @returns {{token: string, expiresAt: string}} Signed token and its expiry (ISO)
+ */
+export function createSessionToken(user, { now = new Date() } = {}) {
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const expiresAt = issuedAt + getSessionTtlSeconds();
+  const payload = {
+    sub: String(user.id),
+    name: user.name || '',
+    username: user.username || '',
+    photo_url: user.photoUrl || '',
+    tid: getCurrentTenantId(),
+    iat: issuedAt,
+    exp: expiresAt,
+    jti: randomUUID(),
+  };
+
+  const unsigned = `${base64url(JSON.stringify(JWT_HEADER))}.${base64url(JSON.stringify(payload))}`;
+  const signature = createHmac('sha256', getJwtSecret()).update(unsigned).digest('base64url');
+
+  return {
+    token: `${unsigned}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a dashboard session token (signature, expiry, logout)
+ * @param {string} token - Token from the Authorization header
+ * @param {Object} options - { now: Date }
+ * @returns {Promise<Object|null>} Token payload, or null if invalid/expired/revoked
+ */
+export async function verifySessionToken(token, { now = new Date() } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expectedSignature = createHmac('sha256', getJwtSecret()).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  if (!safeEqual(expectedSignature, signature)) {
+    return null;
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (header.alg !== JWT_HEADER.alg || !payload.sub || !payload.exp) {
+    return null;
+  }
+  if (payload.exp <= Math.floor(now.getTime() / 1000)) {
+    return null;
+  }
+  if (payload.jti && await runWithTenant(getDefaultTenant(), () => isProcessed(PROCESSED_NAMESPACES.REVOKED_SESSIONS, payload.jti))) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Revoke a session (logout) until the token would have expired
+ * @param {Object} payload - Verified token payload
+ * @param {Object} options - { now: Date }
+ */
+export async function revokeSession(payload, { now = new Date() } = {}) {
+  if (!payload?.jti) {
+    return;
+  }
+  const remainingMs = payload.exp * 1000 - now.getTime();
+  if (remainingMs > 0) {
+    // Kept in the default tenant's state: verifySessionToken runs before the tenant is known
+    await runWithTenant(getDefaultTenant(), () => markProcessed(PROCESSED_NAMESPACES.REVOKED_SESSIONS, payload.jti, remainingMs));
+  }
+}
+
+/**
+ * Get the API keys of a tenant
+ * DASHBOARD_API_KEYS (apiKeys in TENANTS_FILE): comma-separated "name:role:key" entries (role = admin or staff)
+ * @param {Object} tenant - Tenant (default: current tenant)
+ * @returns {Array<{name: string, role: string, key: string}>} Valid keys (invalid entries are skipped with a warning)
+ */
+export function getApiKeys(tenant = getCurrentTenant()) {
+  const raw = String(tenant.apiKeys || '');
+  const cached = apiKeysCache.get(tenant.id);
+  if (cached && cached.raw === raw) {
+    return cached.keys;
+  }
+
+  const keys = raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...keyParts] = entry.split(':');
+      const key = keyParts.join(':');
+      const normalizedRole = String(role || '').toLowerCase().trim();
+      if (!name || !key || ![USER_ROLES.ADMIN, USER_ROLES.STAFF].includes(normalizedRole)) {
+        console.warn(`⚠️ [DASHBOARD_AUTH] Invalid API key entry "${name || '?'}" of tenant ${tenant.id} (expected name:admin|staff:key), skipping`);
+        return null;
+      }
+      return { name: name.trim(), role: normalizedRole, key: key.trim() };
+    })
+    .filter(Boolean);
+
+  apiKeysCache.set(tenant.id, { raw, keys });
+  return keys;
+}
+
+/**
+ * Find the API key entry for a key in all tenants (constant-time comparison)
+ * @param {string} key - Key from the X-API-Key header
+ * @returns {{name: string, role: string, tenantId: string}|null} Matching entry, or null
+ */
+export function findApiKey(key) {
+  if (!key || typeof key !== 'string') {
+    return null;
+  }
+  for (const tenant of getTenants()) {
+    const match = getApiKeys(tenant).find(entry => safeEqual(entry.key, key));
+    if (match) {
+      return { name: match.name, role: match.role, tenantId: tenant.id };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,78 @@
+/**
+ * Dashboard Events
+ * In-process publish/subscribe for live dashboard updates (streamed to the browser by GET /api/events)
+ *
+ * Repos publish an event after every write the dashboard shows (messages, orders, status changes,
+ * payments), so the dashboard refetches only what changed instead of polling Google Sheets.
+ * Events carry IDs and a few summary fields, never full rows: the dashboard loads the data itself
+ * through the regular (permission-checked) API routes.
+ *
+ * Events only reach dashboards connected to the same server instance; dashboards fall back to
+ * polling whenever the stream is down. Each event carries the tenant it was published in (tenantId),
+ * so a dashboard only receives its own tenant's events.
+ */
+
+import { EventEmitter } from 'events';
+import { getCurrentTenantId } from '../config/tenant-context.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+// Event types (SSE "event:" field)
+export const DASHBOARD_EVENT_TYPES = {
+  MESSAGE_CREATED: 'message.created', // { conversationId, direction, platform }
+  ORDER_SAVED: 'order.saved', // { orderId, status, created }
+  ORDER_STATUS_CHANGED: 'order.status_changed', // { orderId, oldStatus, newStatus }
+  ORDER_PAYMENT_UPDATED: 'order.payment_updated', // { orderId, paidAmount, paymentStatus }
+  PAYMENT_RECORDED: 'payment.recorded', // { orderId, paymentId, status }
+};
+
+// Permission a dashboard user needs to receive each event type
+export const DASHBOARD_EVENT_PERMISSIONS = {
+  [DASHBOARD_EVENT_TYPES.MESSAGE_CREATED]: PERMISSIONS.MESSAGES_VIEW,
+  [DASHBOARD_EVENT_TYPES.ORDER_SAVED]: PERMISSIONS.ORDERS_VIEW,
+  [DASHBOARD_EVENT_TYPES.ORDER_STATUS_CHANGED]: PERMISSIONS.ORDERS_VIEW,
+  [DASHBOARD_EVENT_TYPES.ORDER_PAYMENT_UPDATED]: PERMISSIONS.PAYMENTS_VIEW,
+  [DASHBOARD_EVENT_TYPES.PAYMENT_RECORDED]: PERMISSIONS.PAYMENTS_VIEW,
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open dashboard tab
+
+let lastEventId = 0;
+
+/**
+ * Publish a dashboard event
+ * Never throws: a failing listener must not break the write that triggered the event.
+ * @param {string} type - DASHBOARD_EVENT_TYPES value
+ * @param {Object} data - Event payload (IDs and summary fields)
+ */
+export function publishDashboardEvent(type, data = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    tenantId: getCurrentTenantId(),
+    data: { ...data, at: new Date().toISOString() },
+  };
+  try {
+    emitter.emit('event', event);
+  } catch (error) {
+    console.error(`❌ [DASHBOARD_EVENTS] Error publishing ${type}:`, error.message);
+  }
+}
+
+/**
+ * Subscribe to dashboard events
+ * @param {Function} listener - Called with { id, type, tenantId, data }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeDashboardEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Number of open subscriptions (connected dashboard tabs)
+ * @returns {number}
+ */
+export function getDashboardSubscriberCount() {
+  return emitter.listenerCount('event');
+}
@@ -0,0 +1,111 @@
+/**
+ * Delivery Fee Calculator
+ * Estimates the ongkir of GrabExpress/Custom orders from the address, using the Delivery_Zones sheet
+ *
+ * Only orders where the customer left "Biaya Pengiriman" empty are estimated; a fee typed by the
+ * customer or set by an admin (/ongkir, /edit) is never replaced.
+ */
+
+import { getDeliveryZones, normalizeAreaName } from '../repos/delivery-zones.repo.js';
+import { formatPrice } from '../utils/formatting.js';
+import { DELIVERY_FEE_SOURCE, DELIVERY_ZONE_TYPES, ZONE_FEE_DELIVERY_METHODS } from '../utils/constants.js';
+
+// Zone types in match order (most specific first)
+const ZONE_TYPE_PRIORITY = [
+  DELIVERY_ZONE_TYPES.POSTAL_CODE,
+  DELIVERY_ZONE_TYPES.KELURAHAN,
+  DELIVERY_ZONE_TYPES.KECAMATAN,
+];
+
+/**
+ * Check whether the ongkir of a delivery method can be estimated from the delivery zones
+ * @param {string} deliveryMethod - Order delivery method
+ * @returns {boolean} True for GrabExpress/Custom
+ */
+export function isZoneFeeMethod(deliveryMethod) {
+  return ZONE_FEE_DELIVERY_METHODS.includes(deliveryMethod);
+}
+
+/**
+ * Check whether the delivery fee is still open (customer left "Biaya Pengiriman" empty)
+ * @param {Object} order - Order with delivery_fee_source
+ * @returns {boolean} True if the fee can be estimated
+ */
+function isDeliveryFeeOpen(order) {
+  return order?.delivery_fee_source === DELIVERY_FEE_SOURCE.USER_EMPTY ||
+    order?.delivery_fee_source === DELIVERY_FEE_SOURCE.NOT_PROVIDED;
+}
+
+/**
+ * Find the delivery zone of an address
+ * Kode pos matches first, then kelurahan, then kecamatan; within a type the longest area name wins
+ * ("Menteng Atas" over "Menteng")
+ * @param {string} address - Delivery address
+ * @returns {Promise<Object|null>} Zone { type, area, fee, ... } or null if no zone matches
+ */
+export async function findDeliveryZone(address) {
+  const normalizedAddress = normalizeAreaName(address);
+  if (!normalizedAddress) {
+    return null;
+  }
+
+  const paddedAddress = ` ${normalizedAddress} `;
+  const postalCodes = String(address).match(/\b\d{5}\b/g) || [];
+  const zones = await getDeliveryZones();
+
+  for (const type of ZONE_TYPE_PRIORITY) {
+    const matches = zones.filter(zone => zone.type === type && (
+      type === DELIVERY_ZONE_TYPES.POSTAL_CODE
+        ? postalCodes.includes(zone.areaKey)
+        : paddedAddress.includes(` ${zone.areaKey} `)
+    ));
+    if (matches.length > 0) {
+      return matches.sort((a, b) => b.areaKey.length - a.areaKey.length)[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate the delivery fee of an order from its address
+ * @param {Object} order - Order with address, delivery_method and delivery_fee_source
+ * @returns {Promise<Object|null>} { fee, zone, label } or null if the fee is not estimated (fee given, pickup, no zone match)
+ */
+export async function resolveDeliveryFee(order) {
+  if (!isDeliveryFeeOpen(order) || !isZoneFeeMethod(order.delivery_method)) {
+    return null;
+  }
+
+  const zone = await findDeliveryZone(order.address);
+  if (!zone) {
+    console.log(`ℹ️ [DELIVERY_FEE] No delivery zone matches the address of order ${order.id || '(new)'}, ongkir left open`);
+    return null;
+  }
+
+  console.log(`✅ [DELIVERY_FEE] Order ${order.id || '(new)'}: ongkir estimated Rp ${zone.fee} (${zone.type} ${zone.area})`);
+  const label = zone.type === DELIVERY_ZONE_TYPES.POSTAL_CODE ? `kode pos ${zone.area}` : zone.area;
+  return { fee: zone.fee, zone, label };
+}
+
+/**
+ * Format delivery fee notice for the order confirmation
+ * @param {Object} order - Order with delivery_method, delivery_fee, delivery_fee_source and delivery_zone (set by saveOrder)
+ * @returns {string} Delivery fee notice (empty string if there is nothing to report)
+ */
+export function formatDeliveryFeeNotice(order) {
+  if (!isZoneFeeMethod(order?.delivery_method)) {
+    return '';
+  }
+
+  if (order.delivery_fee_source === DELIVERY_FEE_SOURCE.ZONE_ESTIMATE) {
+    const area = order.delivery_zone ? ` untuk ${order.delivery_zone}` : '';
+    return `\n🚚 Ongkir Rp ${formatPrice(order.delivery_fee)} adalah estimasi${area}, admin akan mengonfirmasi biaya pengiriman final.\n`;
+  }
+
+  if (isDeliveryFeeOpen(order)) {
+    return `\n🚚 Ongkir belum termasuk dalam total, admin akan menginformasikan biaya pengiriman.\n`;
+  }
+
+  return '';
+}
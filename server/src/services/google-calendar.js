@@ -1,171 +1,435 @@
 /**
  * Google Calendar Integration
- * Creates, updates, and deletes calendar events for waiting list orders
+ * Creates, updates, and deletes calendar events for orders (one event per order) and the optional
+ * per-day production summary events.
+ *
+ * Every event we create carries private extended properties:
+ * - dawet_type: CALENDAR_EVENT_TYPES value (order / production_summary)
+ * - order_id or summary_date: what the event belongs to
+ * - synced_event_date / synced_delivery_time: schedule last written by us, so the sync job
+ *   (calendar-sync.js) can tell when an admin moved the event in Calendar
+ * - sync_hash: hash of the event content, so unchanged events are not rewritten
+ *
+ * The Calendar client is created on first use from the service account key used for Google Sheets
+ * (GOOGLE_SERVICE_ACCOUNT_KEY / GOOGLE_SERVICE_ACCOUNT_KEY_FILE). Tests and scripts can replace it
+ * with setCalendarClient() - any object with events.list/insert/update/delete works.
  */
 
+import { createHash } from 'crypto';
 import { google } from 'googleapis';
+import { getEnv } from '../config/env.js';
+import { getCurrentTenant } from '../config/tenant-context.js';
+import { loadServiceAccountKey } from '../repos/storage/sheets.adapter.js';
+import { normalizeEventDate } from '../utils/date-utils.js';
+import { CALENDAR_EVENT_TYPES } from '../utils/constants.js';
 
-// Initialize Google Calendar API
-const auth = new google.auth.GoogleAuth({
-  keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY) : undefined,
-  keyFilename: process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH,
-  scopes: ['https://www.googleapis.com/auth/calendar.events'],
-});
+const CALENDAR_TIME_ZONE = 'Asia/Jakarta';
+const DEFAULT_DELIVERY_TIME = '10:00';
+const EVENT_DURATION_MINUTES = 60;
 
-const calendar = auth ? google.calendar({ version: 'v3', auth }) : null;
+let calendarClient = null;
+let calendarClientInitialized = false;
 
-// Get calendar ID from environment variable (default: 'primary')
-const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'primary';
+/**
+ * Get the Google Calendar ID events are written to
+ * The current tenant's calendarId (GOOGLE_CALENDAR_ID for the default tenant, default: "primary")
+ * @returns {string} Calendar ID (empty if the tenant has no calendar)
+ */
+export function getCalendarId() {
+  return getCurrentTenant().calendarId || '';
+}
 
 /**
- * Parse date and time from order
- * Format: event_date = "DD/MM/YYYY", delivery_time = "HH.MM" (optional)
- * Returns: { startDateTime, endDateTime } in ISO 8601 format
+ * Get the Google Calendar client (created on first use)
+ * The client is shared by all tenants; tenants without a calendarId get null.
+ * @returns {Object|null} Calendar v3 client, or null if no service account key or calendar is configured
+ */
+export function getCalendarClient() {
+  if (!getCalendarId()) {
+    return null;
+  }
+  if (calendarClientInitialized) {
+    return calendarClient;
+  }
+  calendarClientInitialized = true;
+
+  if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY && !process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE) {
+    console.log('ℹ️ [CALENDAR] No service account key configured - Google Calendar integration disabled');
+    return null;
+  }
+
+  try {
+    const auth = new google.auth.GoogleAuth({
+      credentials: loadServiceAccountKey(),
+      scopes: ['https://www.googleapis.com/auth/calendar.events'],
+    });
+    calendarClient = google.calendar({ version: 'v3', auth });
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error creating Google Calendar client:', error.message);
+    calendarClient = null;
+  }
+
+  return calendarClient;
+}
+
+/**
+ * Replace the Google Calendar client
+ * Intended for tests and scripts (e.g. a stub with in-memory events)
+ * @param {Object|null} client - Client exposing events.list/insert/update/delete, or null to disable Calendar
+ */
+export function setCalendarClient(client) {
+  calendarClient = client;
+  calendarClientInitialized = true;
+}
+
+/**
+ * Check whether the daily production summary events are enabled
+ * Reads GOOGLE_CALENDAR_PRODUCTION_SUMMARY (default: false)
+ */
+export function isProductionSummaryEnabled() {
+  return String(getEnv('GOOGLE_CALENDAR_PRODUCTION_SUMMARY', 'false')).trim().toLowerCase() === 'true';
+}
+
+/**
+ * Normalize an order delivery time to HH:MM (empty string if missing or invalid)
+ */
+function normalizeTime(deliveryTime) {
+  const match = String(deliveryTime || '').trim().match(/^(\d{1,2})[.:](\d{2})/);
+  if (!match) {
+    return '';
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return '';
+  }
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Get the delivery schedule of an order
+ * @param {Object} order - Order with event_date (YYYY-MM-DD or DD/MM/YYYY) and delivery_time (HH:MM or HH.MM)
+ * @returns {{ eventDate: string, deliveryTime: string }} Date in YYYY-MM-DD and time in HH:MM ('' if not set)
+ * @throws {Error} If event_date is missing or invalid
  */
-function parseOrderDateTime(eventDate, deliveryTime) {
-  if (!eventDate) {
+export function getOrderSchedule(order) {
+  if (!order.event_date) {
     throw new Error('Event date is required');
   }
+  return {
+    eventDate: normalizeEventDate(String(order.event_date)),
+    deliveryTime: normalizeTime(order.delivery_time),
+  };
+}
 
-  // Parse date (format: DD/MM/YYYY)
-  const dateParts = eventDate.split('/');
-  if (dateParts.length !== 3) {
-    throw new Error(`Invalid date format: ${eventDate}. Expected DD/MM/YYYY`);
+/**
+ * Get the schedule of a calendar event in Asia/Jakarta
+ * @param {Object} event - Calendar event
+ * @returns {{ eventDate: string, deliveryTime: string }|null} Date in YYYY-MM-DD and time in HH:MM
+ *   ('' for all-day events), or null if the event has no start
+ */
+export function getEventSchedule(event) {
+  if (event?.start?.date) {
+    return { eventDate: event.start.date, deliveryTime: '' };
+  }
+  if (!event?.start?.dateTime) {
+    return null;
   }
 
-  const day = parseInt(dateParts[0]);
-  const month = parseInt(dateParts[1]) - 1; // Month is 0-indexed
-  let year = parseInt(dateParts[2]);
-  if (year < 100) year += 2000; // Handle 2-digit years
-
-  // Parse time (format: HH.MM or HH:MM, default: 10:00)
-  let hours = 10;
-  let minutes = 0;
-
-  if (deliveryTime) {
-    // Support both "HH.MM" and "HH:MM" formats
-    const timeStr = deliveryTime.replace('.', ':');
-    const timeParts = timeStr.split(':');
-    if (timeParts.length >= 2) {
-      hours = parseInt(timeParts[0]) || 10;
-      minutes = parseInt(timeParts[1]) || 0;
-    }
+  // Without an offset the time is wall-clock in the event timezone (we always write Asia/Jakarta)
+  const wallClock = String(event.start.dateTime).match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/);
+  if (wallClock) {
+    return { eventDate: wallClock[1], deliveryTime: wallClock[2] };
   }
 
-  // Create date object in Asia/Jakarta timezone
-  const startDate = new Date(year, month, day, hours, minutes);
-  
-  // End time is 1 hour after start (default event duration)
-  const endDate = new Date(startDate);
-  endDate.setHours(endDate.getHours() + 1);
+  const start = new Date(event.start.dateTime);
+  if (isNaN(start.getTime())) {
+    return null;
+  }
 
-  // Format as ISO 8601 with timezone
-  const startDateTime = startDate.toISOString();
-  const endDateTime = endDate.toISOString();
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: CALENDAR_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(start);
+  const get = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    eventDate: `${get('year')}-${get('month')}-${get('day')}`,
+    deliveryTime: `${get('hour')}:${get('minute')}`,
+  };
+}
 
-  return { startDateTime, endDateTime };
+/**
+ * Get the new schedule of an order event that an admin moved in Calendar
+ * Compares the event start with the schedule we last wrote (synced_event_date / synced_delivery_time).
+ * Orders without delivery_time are written at 10:00, so that time does not count as a move; all-day
+ * events only move the date.
+ * @param {Object} event - Order calendar event
+ * @returns {{ eventDate: string, deliveryTime: string }|null} New order schedule, or null if not moved
+ */
+export function getMovedEventSchedule(event) {
+  const synced = event?.extendedProperties?.private || {};
+  if (!synced.synced_event_date) {
+    return null; // Not written by the sync - cannot tell
+  }
+
+  const current = getEventSchedule(event);
+  if (!current) {
+    return null;
+  }
+
+  const syncedTime = synced.synced_delivery_time || '';
+  const writtenTime = syncedTime || DEFAULT_DELIVERY_TIME;
+  const timeMoved = current.deliveryTime !== '' && current.deliveryTime !== writtenTime;
+
+  if (current.eventDate === synced.synced_event_date && !timeMoved) {
+    return null;
+  }
+
+  return {
+    eventDate: current.eventDate,
+    deliveryTime: timeMoved ? current.deliveryTime : syncedTime,
+  };
 }
 
 /**
- * Format order details for calendar event description
+ * Parse date and time from order
+ * Format: event_date = "YYYY-MM-DD" or "DD/MM/YYYY", delivery_time = "HH:MM" or "HH.MM" (optional, default 10:00)
+ * Returns: { startDateTime, endDateTime } as local Asia/Jakarta times (used together with timeZone)
+ */
+function parseOrderDateTime(order) {
+  const { eventDate, deliveryTime } = getOrderSchedule(order);
+  const [hours, minutes] = (deliveryTime || DEFAULT_DELIVERY_TIME).split(':').map(Number);
+  const [year, month, day] = eventDate.split('-').map(Number);
+
+  // Wall-clock arithmetic in UTC, so the server timezone does not matter
+  const start = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+  const toLocal = (date) => date.toISOString().slice(0, 19);
+
+  return { startDateTime: toLocal(start), endDateTime: toLocal(end) };
+}
+
+/**
+ * Format order details for calendar event description (plain text - Calendar does not render Markdown)
  */
 function formatOrderDescription(order) {
-  let description = `📋 **Order Details**\n\n`;
-  description += `**Order ID:** ${order.id}\n`;
-  description += `**Customer:** ${order.customer_name}\n`;
-  description += `**Phone:** ${order.phone_number}\n`;
-  description += `**Address:** ${order.address}\n\n`;
+  const lines = [
+    `Order ID: ${order.id}`,
+    `Customer: ${order.customer_name || '-'}`,
+    `Phone: ${order.phone_number || '-'}`,
+    `Address: ${order.address || '-'}`,
+  ];
 
   if (order.event_name) {
-    description += `**Event Name:** ${order.event_name}\n`;
+    lines.push(`Event Name: ${order.event_name}`);
   }
   if (order.event_duration) {
-    description += `**Event Duration:** ${order.event_duration}\n`;
+    lines.push(`Event Duration: ${order.event_duration}`);
   }
-  description += `**Delivery Date:** ${order.event_date}\n`;
+  lines.push(`Delivery Date: ${order.event_date}`);
   if (order.delivery_time) {
-    description += `**Delivery Time:** ${order.delivery_time}\n`;
+    lines.push(`Delivery Time: ${order.delivery_time}`);
   }
+  lines.push(`Delivery Method: ${order.delivery_method || order.shipping_method || '-'}`);
 
-  description += `\n**Items:**\n`;
+  lines.push('', 'Items:');
   (order.items || []).forEach(item => {
-    description += `• ${item.quantity}x ${item.name}\n`;
+    lines.push(`• ${item.quantity}x ${item.name}`);
   });
 
-  if (order.notes && order.notes.length > 0) {
-    description += `\n**Notes:**\n`;
+  if (Array.isArray(order.notes) && order.notes.length > 0) {
+    lines.push('', 'Notes:');
     order.notes.forEach(note => {
-      description += `• ${note}\n`;
+      lines.push(`• ${note}`);
     });
   }
 
-  description += `\n**Status:** ${order.status || 'pending'}`;
+  lines.push('', `Status: ${order.status || 'pending'}`);
+  if (order.payment_status) {
+    lines.push(`Payment: ${order.payment_status}`);
+  }
+
+  return lines.join('\n');
+}
 
-  return description;
+/**
+ * Hash the synced content of an event (sync_hash property)
+ */
+function hashEventContent(event) {
+  const content = JSON.stringify([event.summary, event.description, event.location || '', event.start, event.end]);
+  return createHash('sha1').update(content).digest('hex');
 }
 
 /**
- * Create calendar event for waiting list order
- * @param {Object} order - Order object from waiting list
- * @returns {Promise<string>} Calendar event ID
+ * Build the calendar event for an order
+ * @param {Object} order - Order object
+ * @returns {Object} Event resource (with private extended properties, see module doc)
+ * @throws {Error} If event_date is missing or invalid
+ */
+export function buildOrderEvent(order) {
+  const { eventDate, deliveryTime } = getOrderSchedule(order);
+  const { startDateTime, endDateTime } = parseOrderDateTime(order);
+
+  const event = {
+    summary: `Order ${order.id} - ${order.customer_name}`,
+    description: formatOrderDescription(order),
+    location: order.address || '',
+    start: {
+      dateTime: startDateTime,
+      timeZone: CALENDAR_TIME_ZONE,
+    },
+    end: {
+      dateTime: endDateTime,
+      timeZone: CALENDAR_TIME_ZONE,
+    },
+    reminders: {
+      useDefault: false,
+      overrides: [
+        { method: 'popup', minutes: 1440 }, // 1 day before
+        { method: 'popup', minutes: 120 },  // 2 hours before
+      ],
+    },
+  };
+
+  event.extendedProperties = {
+    private: {
+      dawet_type: CALENDAR_EVENT_TYPES.ORDER,
+      order_id: String(order.id),
+      synced_event_date: eventDate,
+      synced_delivery_time: deliveryTime,
+      sync_hash: hashEventContent(event),
+    },
+  };
+
+  return event;
+}
+
+/**
+ * Build the all-day production summary event for a delivery date
+ * @param {Object} summary - { date: 'YYYY-MM-DD', totalCups, cupsBySize: { Small: n, ... }, otherItems: { name: qty }, orders: [...] }
+ * @returns {Object} Event resource
+ */
+export function buildProductionSummaryEvent(summary) {
+  const sizeText = Object.entries(summary.cupsBySize)
+    .map(([size, cups]) => `${size} ${cups}`)
+    .join(', ');
+
+  const lines = [`Total: ${summary.totalCups} cup${sizeText ? ` (${sizeText})` : ''}`];
+  const otherItems = Object.entries(summary.otherItems);
+  if (otherItems.length > 0) {
+    lines.push('', 'Lainnya:');
+    otherItems.forEach(([name, quantity]) => lines.push(`• ${quantity}x ${name}`));
+  }
+  lines.push('', `Pesanan (${summary.orders.length}):`);
+  summary.orders.forEach(order => {
+    lines.push(`• ${order.delivery_time || '-'} ${order.id} - ${order.customer_name || '-'}`);
+  });
+
+  // All-day event: end date is exclusive
+  const [year, month, day] = summary.date.split('-').map(Number);
+  const endDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+
+  const event = {
+    summary: `🥤 Produksi: ${summary.totalCups} cup${sizeText ? ` (${sizeText})` : ''}`,
+    description: lines.join('\n'),
+    start: { date: summary.date },
+    end: { date: endDate },
+    transparency: 'transparent',
+  };
+
+  event.extendedProperties = {
+    private: {
+      dawet_type: CALENDAR_EVENT_TYPES.PRODUCTION_SUMMARY,
+      summary_date: summary.date,
+      sync_hash: hashEventContent(event),
+    },
+  };
+
+  return event;
+}
+
+/**
+ * List our events of one kind from a date on (all pages)
+ * @param {string} eventType - CALENDAR_EVENT_TYPES value
+ * @param {string} fromDate - YYYY-MM-DD (Asia/Jakarta); events ending before this date are not returned
+ * @returns {Promise<Array>} Calendar events
+ * @throws {Error} If Calendar is not configured or the API call fails
+ */
+export async function listCalendarEvents(eventType, fromDate) {
+  const calendar = getCalendarClient();
+  if (!calendar) {
+    throw new Error('Google Calendar is not configured');
+  }
+
+  const events = [];
+  let pageToken;
+  do {
+    const response = await calendar.events.list({
+      calendarId: getCalendarId(),
+      privateExtendedProperty: [`dawet_type=${eventType}`],
+      timeMin: `${fromDate}T00:00:00+07:00`,
+      singleEvents: true,
+      showDeleted: false,
+      maxResults: 250,
+      pageToken,
+    });
+    events.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return events;
+}
+
+/**
+ * Insert an event resource
+ * @returns {Promise<string>} Created event ID
+ */
+export async function insertCalendarEvent(event) {
+  const response = await getCalendarClient().events.insert({
+    calendarId: getCalendarId(),
+    requestBody: event,
+  });
+  return response.data.id;
+}
+
+/**
+ * Replace an existing event resource
+ */
+export async function replaceCalendarEvent(eventId, event) {
+  await getCalendarClient().events.update({
+    calendarId: getCalendarId(),
+    eventId,
+    requestBody: event,
+  });
+}
+
+/**
+ * Create calendar event for a confirmed order
+ * @param {Object} order - Order object
+ * @returns {Promise<string|null>} Calendar event ID, or null if Calendar is not configured or creation failed
  */
 export async function createCalendarEvent(order) {
   try {
     // Check if calendar API is available
-    if (!calendar) {
-      return null;
-    }
-
-    // Check if calendar ID is configured
-    if (!CALENDAR_ID) {
+    if (!getCalendarClient()) {
       return null;
     }
 
-    // Parse date and time
-    let startDateTime, endDateTime;
+    let event;
     try {
-      const parsed = parseOrderDateTime(order.event_date, order.delivery_time);
-      startDateTime = parsed.startDateTime;
-      endDateTime = parsed.endDateTime;
+      event = buildOrderEvent(order);
     } catch (error) {
       console.error(`❌ Error parsing date/time for order ${order.id}:`, error.message);
       return null;
     }
 
-    // Format event data
-    const eventTitle = `Order ${order.id} - ${order.customer_name}`;
-    const eventDescription = formatOrderDescription(order);
-    const eventLocation = order.address || '';
-
-    const event = {
-      summary: eventTitle,
-      description: eventDescription,
-      start: {
-        dateTime: startDateTime,
-        timeZone: 'Asia/Jakarta',
-      },
-      end: {
-        dateTime: endDateTime,
-        timeZone: 'Asia/Jakarta',
-      },
-      location: eventLocation,
-      reminders: {
-        useDefault: false,
-        overrides: [
-          { method: 'popup', minutes: 1440 }, // 1 day before
-          { method: 'popup', minutes: 120 },  // 2 hours before
-        ],
-      },
-    };
-
-    // Create event
-    const response = await calendar.events.insert({
-      calendarId: CALENDAR_ID,
-      requestBody: event,
-    });
-
-    const eventId = response.data.id;
-    return eventId;
+    return await insertCalendarEvent(event);
   } catch (error) {
     console.error(`❌ Error creating calendar event for order ${order.id}:`, error.message);
     // Don't throw - allow order saving to continue
@@ -174,15 +438,15 @@ export async function createCalendarEvent(order) {
 }
 
 /**
- * Update calendar event for waiting list order
+ * Update calendar event for an order
  * @param {string} eventId - Calendar event ID
  * @param {Object} order - Updated order object
- * @returns {Promise<string>} Updated calendar event ID (same as input)
+ * @returns {Promise<string>} Updated calendar event ID (same as input, or a new ID if the event was gone)
  */
 export async function updateCalendarEvent(eventId, order) {
   try {
     // Check if calendar API is available
-    if (!calendar) {
+    if (!getCalendarClient()) {
       return eventId;
     }
 
@@ -191,97 +455,52 @@ export async function updateCalendarEvent(eventId, order) {
       return await createCalendarEvent(order);
     }
 
-    if (!CALENDAR_ID) {
-      return eventId;
-    }
-
-    // Parse date and time
-    let startDateTime, endDateTime;
+    let event;
     try {
-      const parsed = parseOrderDateTime(order.event_date, order.delivery_time);
-      startDateTime = parsed.startDateTime;
-      endDateTime = parsed.endDateTime;
+      event = buildOrderEvent(order);
     } catch (error) {
       console.error(`❌ Error parsing date/time for order ${order.id}:`, error.message);
       return eventId; // Return existing event ID
     }
 
-    // Format event data
-    const eventTitle = `Order ${order.id} - ${order.customer_name}`;
-    const eventDescription = formatOrderDescription(order);
-    const eventLocation = order.address || '';
-
-    const event = {
-      summary: eventTitle,
-      description: eventDescription,
-      start: {
-        dateTime: startDateTime,
-        timeZone: 'Asia/Jakarta',
-      },
-      end: {
-        dateTime: endDateTime,
-        timeZone: 'Asia/Jakarta',
-      },
-      location: eventLocation,
-      reminders: {
-        useDefault: false,
-        overrides: [
-          { method: 'popup', minutes: 1440 }, // 1 day before
-          { method: 'popup', minutes: 120 },  // 2 hours before
-        ],
-      },
-    };
-
-    // Update event
-    await calendar.events.update({
-      calendarId: CALENDAR_ID,
-      eventId: eventId,
-      requestBody: event,
-    });
+    await replaceCalendarEvent(eventId, event);
     return eventId;
   } catch (error) {
     // If event not found, try creating new one
-    if (error.code === 404) {
+    if (error.code === 404 || error.code === 410) {
       return await createCalendarEvent(order);
     }
-    
+
     console.error(`❌ Error updating calendar event for order ${order.id}:`, error.message);
     return eventId; // Return existing event ID on error
   }
 }
 
 /**
- * Delete calendar event for waiting list order
+ * Delete a calendar event
  * @param {string} eventId - Calendar event ID
  * @param {string} orderId - Order ID (for logging)
  * @returns {Promise<boolean>} Success status
  */
 export async function deleteCalendarEvent(eventId, orderId) {
   try {
+    const calendar = getCalendarClient();
     // Check if calendar API is available
-    if (!calendar) {
-      return false;
-    }
-
-    if (!eventId) {
-      return false;
-    }
-
-    if (!CALENDAR_ID) {
+    if (!calendar || !eventId) {
       return false;
     }
 
     await calendar.events.delete({
-      calendarId: CALENDAR_ID,
+      calendarId: getCalendarId(),
       eventId: eventId,
     });
     return true;
   } catch (error) {
     // If event not found, that's okay (already deleted)
-    if (error.code === 404) {
+    if (error.code === 404 || error.code === 410) {
       return true;
     }
-    
+
     console.error(`❌ Error deleting calendar event for order ${orderId}:`, error.message);
     return false;
   }
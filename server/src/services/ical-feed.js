@@ -0,0 +1,226 @@
+/**
+ * iCal Delivery Feed
+ * Builds a read-only iCalendar (.ics, RFC 5545) feed of upcoming deliveries, for drivers and kitchen
+ * staff to subscribe to on their own phones (served by GET /api/calendar/deliveries.ics).
+ *
+ * One VEVENT per confirmed order (same statuses as the Google Calendar sync), with delivery time,
+ * address, items and remaining balance. Access requires a token from CALENDAR_FEED_TOKENS (other tenants:
+ * calendarFeedTokens in TENANTS_FILE; pass ?tenant=<id>).
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { getCurrentTenant, getTenantBranding } from '../config/tenant-context.js';
+import { getOrderSchedule } from './google-calendar.js';
+import { getTodayJakarta } from '../utils/date-utils.js';
+import { formatRupiah } from '../utils/formatting.js';
+import { CALENDAR_EXCLUDED_STATUSES, DELIVERY_METHODS } from '../utils/constants.js';
+
+const UID_DOMAIN = 'dawet-kemayu-menteng';
+const DEFAULT_DELIVERY_TIME = '10:00';
+const EVENT_DURATION_MINUTES = 60;
+const JAKARTA_UTC_OFFSET_HOURS = 7; // Asia/Jakarta has no DST
+
+/**
+ * Get the configured feed tokens of the current tenant
+ * CALENDAR_FEED_TOKENS for the default tenant (comma-separated, so each driver/device can get its own token)
+ * @returns {Array<string>} Tokens (empty = feed disabled)
+ */
+export function getCalendarFeedTokens() {
+  return String(getCurrentTenant().calendarFeedTokens || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check a feed token (constant-time comparison)
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if the token is one of CALENDAR_FEED_TOKENS
+ */
+export function isValidCalendarFeedToken(token) {
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+  const given = Buffer.from(token);
+  return getCalendarFeedTokens().some(expected => {
+    const expectedBuffer = Buffer.from(expected);
+    return expectedBuffer.length === given.length && timingSafeEqual(expectedBuffer, given);
+  });
+}
+
+/**
+ * Parse the delivery method filter (?method=Pickup,GrabExpress)
+ * @param {string|Array|undefined} value - Query value
+ * @returns {Array<string>|null} DELIVERY_METHODS values, or null for no filter
+ * @throws {Error} If a method is unknown
+ */
+export function parseDeliveryMethodFilter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const requested = [].concat(value).join(',').split(',').map(method => method.trim()).filter(Boolean);
+  if (requested.length === 0) {
+    return null;
+  }
+
+  const knownMethods = Object.values(DELIVERY_METHODS).filter(method => method !== DELIVERY_METHODS.NOT_SELECTED);
+  return requested.map(method => {
+    const match = knownMethods.find(known => known.toLowerCase() === method.toLowerCase());
+    if (!match) {
+      throw new Error(`Unknown delivery method "${method}" (use ${knownMethods.join(', ')})`);
+    }
+    return match;
+  });
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1), without splitting UTF-8 characters
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a UTC date as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the VEVENT lines of an order
+ * @returns {Array<string>} Content lines (unfolded)
+ */
+function buildOrderVEvent(order, dtStamp) {
+  const { eventDate, deliveryTime } = getOrderSchedule(order);
+  const [year, month, day] = eventDate.split('-').map(Number);
+  const [hours, minutes] = (deliveryTime || DEFAULT_DELIVERY_TIME).split(':').map(Number);
+
+  // Jakarta wall clock → UTC
+  const start = new Date(Date.UTC(year, month - 1, day, hours - JAKARTA_UTC_OFFSET_HOURS, minutes));
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+
+  const deliveryMethod = order.delivery_method || order.shipping_method || '-';
+  const isPickup = deliveryMethod === DELIVERY_METHODS.PICKUP;
+  const totalAmount = order.total_amount || order.final_total || 0;
+  const remainingBalance = order.remaining_balance ?? Math.max(0, totalAmount - (order.paid_amount || 0));
+
+  const description = [
+    `Invoice: ${order.id}`,
+    `Pemesan: ${order.customer_name || '-'}`,
+    `No HP: ${order.phone_number || '-'}`,
+    `Metode: ${deliveryMethod}`,
+    isPickup ? null : `Alamat: ${order.address || '-'}`,
+    deliveryTime ? null : 'Jam kirim belum ditentukan',
+    '',
+    'Pesanan:',
+    ...(order.items || []).map(item => `• ${item.quantity}x ${item.name}`),
+    '',
+    remainingBalance > 0 ? `Sisa Pembayaran: Rp${formatRupiah(remainingBalance)}` : 'Sudah LUNAS',
+  ].filter(line => line !== null);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(`${order.id}@${UID_DOMAIN}`)}`,
+    `DTSTAMP:${dtStamp}`,
+    `DTSTART:${formatUtcDateTime(start)}`,
+    `DTEND:${formatUtcDateTime(end)}`,
+    `SUMMARY:${escapeText(`${isPickup ? '🛍️ Pickup' : '🚚 Kirim'} ${order.id} - ${order.customer_name || '-'}`)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+  ];
+  if (!isPickup && order.address) {
+    lines.push(`LOCATION:${escapeText(order.address)}`);
+  }
+  lines.push('STATUS:CONFIRMED', 'TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Select the orders shown in the feed
+ * @param {Array} orders - Orders from getAllOrders()
+ * @param {Object} options - { deliveryMethods: Array|null, now: Date }
+ * @returns {Array} Upcoming confirmed orders (today or later, Asia/Jakarta), by delivery date/time
+ */
+export function selectFeedOrders(orders, { deliveryMethods = null, now = new Date() } = {}) {
+  const today = getTodayJakarta(now);
+
+  return orders
+    .filter(order => {
+      const status = String(order.status || '').toLowerCase();
+      if (!order.event_date || CALENDAR_EXCLUDED_STATUSES.includes(status)) return false;
+      if (deliveryMethods && !deliveryMethods.includes(order.delivery_method || order.shipping_method)) return false;
+      try {
+        return getOrderSchedule(order).eventDate >= today;
+      } catch (error) {
+        return false; // Invalid event_date
+      }
+    })
+    .sort((a, b) => {
+      const scheduleA = getOrderSchedule(a);
+      const scheduleB = getOrderSchedule(b);
+      return `${scheduleA.eventDate} ${scheduleA.deliveryTime}`.localeCompare(`${scheduleB.eventDate} ${scheduleB.deliveryTime}`);
+    });
+}
+
+/**
+ * Build the deliveries feed
+ * @param {Array} orders - Orders from getAllOrders()
+ * @param {Object} options - { deliveryMethods: Array|null (from parseDeliveryMethodFilter), now: Date }
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildDeliveriesIcs(orders, { deliveryMethods = null, now = new Date() } = {}) {
+  const dtStamp = formatUtcDateTime(now);
+  const feedOrders = selectFeedOrders(orders, { deliveryMethods, now });
+  const { businessName } = getTenantBranding();
+  const baseName = `${businessName} - Pengiriman`;
+  const calendarName = deliveryMethods ? `${baseName} (${deliveryMethods.join(', ')})` : baseName;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(businessName)}//Deliveries//ID`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    'X-WR-TIMEZONE:Asia/Jakarta',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  for (const order of feedOrders) {
+    lines.push(...buildOrderVEvent(order, dtStamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
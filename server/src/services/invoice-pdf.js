@@ -0,0 +1,401 @@
+/**
+ * Invoice PDF
+ * Renders an order as a PDF invoice, or as a "LUNAS" receipt once the order is fully paid
+ *
+ * Used by the /invoice command (sent as a document) and GET /api/orders/:id/invoice.pdf (dashboard download).
+ * Amounts come from the same calculators as the chat recaps (calculateOrderTotal + calculatePaymentTotals,
+ * packaging lines from getOrderPackaging), so the PDF always matches formatInvoice().
+ *
+ * Business name, address, logo and bank account come from the tenant (src/config/tenants.js):
+ * - INVOICE_LOGO_PATH (branding.logoPath): PNG/JPEG logo shown in the header (business name is shown as text if not set)
+ */
+
+import PDFDocument from 'pdfkit';
+import { calculateOrderTotal } from './price-calculator.js';
+import { calculatePaymentTotals } from './payment.calculator.js';
+import { getOrderPackaging, getPackagingFee, formatPackagingLineName } from './packaging-calculator.js';
+import { calculatePaymentStatus, calculateRemainingBalance, calculateMinDP } from './payment-tracker.js';
+import { getDPPercentageLabel } from './payment-policy.js';
+import { normalizeEventDate, getTodayJakarta } from '../utils/date-utils.js';
+import { formatRupiah } from '../utils/formatting.js';
+import { THANK_YOU_TRUST, THANK_YOU_PAYMENT_COMPLETE } from '../utils/messages.js';
+import { PAYMENT_STATUS, INVOICE_VARIANTS } from '../utils/constants.js';
+import { getTenantBranding, getBankTransferAccount } from '../config/tenant-context.js';
+import { parseOrderId } from '../utils/order-id.js';
+
+// Document number prefixes (invoice / receipt = kwitansi)
+const INVOICE_NUMBER_PREFIX = 'INV';
+const RECEIPT_NUMBER_PREFIX = 'KWT';
+
+// Layout (A4, points)
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 595.28 - PAGE_MARGIN * 2;
+const COLORS = {
+  PRIMARY: '#2f6b3a',
+  TEXT: '#222222',
+  MUTED: '#666666',
+  BORDER: '#cccccc',
+  TABLE_HEADER: '#eef4ef',
+  PAID: '#1a8f3c',
+};
+
+// Items table columns: [label, width, align]
+const TABLE_COLUMNS = [
+  ['No', 30, 'left'],
+  ['Item', 215, 'left'],
+  ['Qty', 50, 'right'],
+  ['Harga Satuan', 100, 'right'],
+  ['Jumlah', 100, 'right'],
+];
+
+/**
+ * Get document number from order ID (DKM/20260110/000005 -> INV/20260110/000005)
+ * @param {string} orderId - Order ID
+ * @param {string} variant - INVOICE_VARIANTS.INVOICE | INVOICE_VARIANTS.RECEIPT
+ * @returns {string} Invoice or receipt number
+ */
+export function getInvoiceNumber(orderId, variant = INVOICE_VARIANTS.INVOICE) {
+  const prefix = variant === INVOICE_VARIANTS.RECEIPT ? RECEIPT_NUMBER_PREFIX : INVOICE_NUMBER_PREFIX;
+  const parsed = parseOrderId(orderId);
+  if (!parsed) {
+    return `${prefix}/${String(orderId || 'N/A').trim()}`;
+  }
+  return `${prefix}/${parsed.date}/${parsed.number}`;
+}
+
+/**
+ * Get the payment status of an order (stored status, or derived from paid amount)
+ * @param {Object} order - Order object
+ * @returns {string} PAYMENT_STATUS value
+ */
+function getOrderPaymentStatus(order) {
+  if (order.payment_status) {
+    return order.payment_status;
+  }
+  const totalAmount = parseFloat(order.total_amount || order.final_total || 0) || 0;
+  return calculatePaymentStatus(parseFloat(order.paid_amount || 0) || 0, totalAmount);
+}
+
+/**
+ * Get the PDF variant for an order: "LUNAS" receipt once fully paid, otherwise invoice
+ * @param {Object} order - Order object
+ * @returns {string} INVOICE_VARIANTS value
+ */
+export function getInvoiceVariant(order) {
+  return getOrderPaymentStatus(order) === PAYMENT_STATUS.FULL_PAID ? INVOICE_VARIANTS.RECEIPT : INVOICE_VARIANTS.INVOICE;
+}
+
+/**
+ * Get the PDF file name (e.g. Invoice-DKM-20260110-000005.pdf, Kwitansi-DKM-20260110-000005.pdf)
+ * @param {Object} order - Order object
+ * @param {string} variant - INVOICE_VARIANTS value
+ * @returns {string} File name
+ */
+export function getInvoiceFilename(order, variant = getInvoiceVariant(order)) {
+  const label = variant === INVOICE_VARIANTS.RECEIPT ? 'Kwitansi' : 'Invoice';
+  const safeId = String(order.id || 'order').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${label}-${safeId}.pdf`;
+}
+
+/**
+ * Format a date for the document (e.g. "6 Desember 2026")
+ * @param {string} value - Date in YYYY-MM-DD or DD/MM/YYYY format
+ * @returns {string} Formatted date, or the original value if it cannot be parsed
+ */
+function formatDocumentDate(value) {
+  if (!value) {
+    return '-';
+  }
+  try {
+    const [year, month, day] = normalizeEventDate(String(value)).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('id-ID', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Build the invoice data (lines and totals) from an order
+ * @param {Object} order - Order object
+ * @param {Object} priceList - Price list
+ * @param {Array} packagingLines - Packaging lines (getOrderPackaging)
+ * @returns {Object} { lines: [{ name, quantity, unitPrice, amount }], totals, payment }
+ */
+function buildInvoiceData(order, priceList, packagingLines) {
+  const calculation = calculateOrderTotal(order.items || [], priceList);
+  const totals = calculatePaymentTotals(order, calculation, getPackagingFee(packagingLines));
+
+  const isPackagingItem = (name) => {
+    const lower = String(name || '').toLowerCase();
+    return lower.includes('packaging') || lower.includes('styrofoam');
+  };
+
+  const lines = calculation.itemDetails
+    .filter(detail => !(totals.packagingFee > 0 && isPackagingItem(detail.name)))
+    .map(detail => ({
+      name: detail.name,
+      quantity: detail.quantity,
+      unitPrice: detail.priceFound ? detail.basePrice : null,
+      amount: detail.priceFound ? detail.itemTotal : null,
+    }));
+
+  packagingLines.forEach((line) => {
+    lines.push({
+      name: formatPackagingLineName(line),
+      quantity: line.quantity,
+      unitPrice: line.unit_price,
+      amount: line.total,
+    });
+  });
+
+  const paidAmount = parseFloat(order.paid_amount || 0) || 0;
+  const payment = {
+    status: getOrderPaymentStatus(order),
+    paidAmount,
+    remainingBalance: calculateRemainingBalance(totals.totalAmount, paidAmount),
+    minDP: calculateMinDP(totals.totalAmount),
+  };
+
+  return { lines, totals, payment };
+}
+
+/**
+ * Write a label/value pair block (used for customer and delivery details)
+ */
+function writeDetailsBlock(doc, title, rows, x, y, width) {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.PRIMARY).text(title, x, y, { width });
+  let currentY = doc.y + 4;
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.MUTED).text(label, x, currentY, { width });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.TEXT).text(value || '-', x, doc.y, { width });
+    currentY = doc.y + 4;
+  });
+  return currentY;
+}
+
+/**
+ * Write the items table
+ * @returns {number} Y position after the table
+ */
+function writeItemsTable(doc, lines, y) {
+  const rowPadding = 5;
+
+  const writeRow = (cells, rowY, options = {}) => {
+    let x = PAGE_MARGIN;
+    let rowHeight = 0;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.TEXT);
+    cells.forEach((cell, index) => {
+      const [, width, align] = TABLE_COLUMNS[index];
+      const height = doc.heightOfString(cell, { width: width - 8 });
+      rowHeight = Math.max(rowHeight, height);
+      doc.text(cell, x + 4, rowY + rowPadding, { width: width - 8, align });
+      x += width;
+    });
+    return rowY + rowHeight + rowPadding * 2;
+  };
+
+  // Header
+  const headerHeight = 9 + rowPadding * 2 + 2;
+  doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, headerHeight).fill(COLORS.TABLE_HEADER);
+  let currentY = writeRow(TABLE_COLUMNS.map(([label]) => label), y, { bold: true });
+
+  lines.forEach((line, index) => {
+    // New page if the row does not fit
+    if (currentY > doc.page.height - PAGE_MARGIN - 60) {
+      doc.addPage();
+      currentY = PAGE_MARGIN;
+    }
+    doc.moveTo(PAGE_MARGIN, currentY).lineTo(PAGE_MARGIN + CONTENT_WIDTH, currentY).strokeColor(COLORS.BORDER).lineWidth(0.5).stroke();
+    currentY = writeRow([
+      String(index + 1),
+      line.name,
+      String(line.quantity),
+      line.unitPrice !== null ? `Rp ${formatRupiah(line.unitPrice)}` : '-',
+      line.amount !== null ? `Rp ${formatRupiah(line.amount)}` : 'Harga belum tersedia',
+    ], currentY);
+  });
+
+  doc.moveTo(PAGE_MARGIN, currentY).lineTo(PAGE_MARGIN + CONTENT_WIDTH, currentY).strokeColor(COLORS.BORDER).lineWidth(0.5).stroke();
+  return currentY;
+}
+
+/**
+ * Write right-aligned summary rows (totals and payment)
+ * @returns {number} Y position after the rows
+ */
+function writeSummaryRows(doc, rows, y) {
+  const labelX = PAGE_MARGIN + CONTENT_WIDTH - 250;
+  let currentY = y;
+  rows.forEach(({ label, value, bold, color }) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10).fillColor(color || COLORS.TEXT);
+    doc.text(label, labelX, currentY, { width: 140 });
+    doc.text(value, labelX + 140, currentY, { width: 110, align: 'right' });
+    currentY = doc.y + 4;
+  });
+  return currentY;
+}
+
+/**
+ * Draw the "LUNAS" stamp
+ */
+function drawPaidStamp(doc, x, y) {
+  doc.save();
+  doc.rotate(-15, { origin: [x + 70, y + 25] });
+  doc.roundedRect(x, y, 140, 50, 6).lineWidth(3).strokeColor(COLORS.PAID).stroke();
+  doc.font('Helvetica-Bold').fontSize(30).fillColor(COLORS.PAID).text('LUNAS', x, y + 11, { width: 140, align: 'center' });
+  doc.restore();
+}
+
+/**
+ * Render the PDF document
+ */
+function renderInvoice(doc, order, data, variant) {
+  const isReceipt = variant === INVOICE_VARIANTS.RECEIPT;
+  const { lines, totals, payment } = data;
+
+  // Header: logo (or business name) + document title, from the tenant's branding
+  const { businessName, address, logoPath } = getTenantBranding();
+  let hasLogo = false;
+  if (logoPath) {
+    try {
+      doc.image(logoPath, PAGE_MARGIN, PAGE_MARGIN, { fit: [120, 60] });
+      hasLogo = true;
+    } catch (error) {
+      console.warn(`⚠️ [INVOICE_PDF] Could not load logo "${logoPath}", using business name:`, error.message);
+    }
+  }
+  const brandY = hasLogo ? PAGE_MARGIN + 64 : PAGE_MARGIN;
+  doc.font('Helvetica-Bold').fontSize(hasLogo ? 11 : 18).fillColor(COLORS.PRIMARY).text(businessName, PAGE_MARGIN, brandY);
+  if (address) {
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.MUTED).text(address, PAGE_MARGIN, doc.y + 2);
+  }
+
+  const titleX = PAGE_MARGIN + CONTENT_WIDTH - 220;
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.TEXT)
+    .text(isReceipt ? 'KWITANSI' : 'INVOICE', titleX, PAGE_MARGIN, { width: 220, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.TEXT);
+  [
+    `No: ${getInvoiceNumber(order.id, variant)}`,
+    `Order ID: ${order.id}`,
+    `Tanggal: ${formatDocumentDate(getTodayJakarta())}`,
+  ].forEach(line => doc.text(line, titleX, doc.y + 2, { width: 220, align: 'right' }));
+
+  let y = Math.max(doc.y, brandY + 40) + 20;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y).strokeColor(COLORS.PRIMARY).lineWidth(1.5).stroke();
+  y += 15;
+
+  // Customer and delivery details
+  const columnWidth = CONTENT_WIDTH / 2 - 10;
+  const leftEnd = writeDetailsBlock(doc, isReceipt ? 'Diterima dari' : 'Ditagihkan kepada', [
+    ['Nama Pemesan', order.customer_name],
+    ['No HP', order.phone_number],
+    ['Alamat', order.address],
+  ], PAGE_MARGIN, y, columnWidth);
+  const rightEnd = writeDetailsBlock(doc, 'Detail Pengiriman', [
+    ['Nama Penerima', order.receiver_name || order.customer_name],
+    ['Nama Event', order.event_name],
+    ['Tanggal Event', formatDocumentDate(order.event_date)],
+    ['Waktu Kirim', order.delivery_time],
+    ['Metode Pengiriman', order.delivery_method || order.shipping_method],
+  ], PAGE_MARGIN + columnWidth + 20, y, columnWidth);
+  y = Math.max(leftEnd, rightEnd) + 15;
+
+  // Items
+  y = writeItemsTable(doc, lines, y) + 10;
+
+  // Totals
+  const summaryRows = [
+    { label: 'Subtotal Produk', value: `Rp ${formatRupiah(totals.subtotal)}` },
+    { label: 'Packaging', value: `Rp ${formatRupiah(totals.packagingFee)}` },
+    { label: 'Ongkir', value: `Rp ${formatRupiah(totals.deliveryFee)}` },
+  ];
+  if (totals.discount > 0) {
+    summaryRows.push({
+      label: totals.promoCode ? `Diskon (${totals.promoCode})` : 'Diskon',
+      value: `-Rp ${formatRupiah(totals.discount)}`,
+    });
+  }
+  summaryRows.push({ label: 'Total', value: `Rp ${formatRupiah(totals.totalAmount)}`, bold: true });
+  y = writeSummaryRows(doc, summaryRows, y) + 10;
+
+  // Payment
+  const paymentRows = [{ label: 'Sudah Dibayar', value: `Rp ${formatRupiah(payment.paidAmount)}` }];
+  if (isReceipt) {
+    paymentRows.push({ label: 'Status', value: 'LUNAS', bold: true, color: COLORS.PAID });
+  } else {
+    if (payment.status === PAYMENT_STATUS.UNPAID && payment.minDP < totals.totalAmount) {
+      paymentRows.push({ label: `DP Minimal (${getDPPercentageLabel()}%)`, value: `Rp ${formatRupiah(payment.minDP)}` });
+    }
+    paymentRows.push({ label: 'Sisa Pembayaran', value: `Rp ${formatRupiah(payment.remainingBalance)}`, bold: true });
+  }
+  const paymentStartY = y;
+  y = writeSummaryRows(doc, paymentRows, y) + 20;
+
+  if (isReceipt) {
+    drawPaidStamp(doc, PAGE_MARGIN + 20, paymentStartY - 40);
+    y = Math.max(y, paymentStartY + 50);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.TEXT).text(THANK_YOU_PAYMENT_COMPLETE, PAGE_MARGIN, y, { width: CONTENT_WIDTH });
+  } else {
+    // Bank details
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.PRIMARY).text('Pembayaran Transfer Bank', PAGE_MARGIN, y);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.TEXT);
+    const bankAccount = getBankTransferAccount();
+    doc.text(bankAccount.BANK_NAME, PAGE_MARGIN, doc.y + 4);
+    doc.text(`No. Rekening: ${bankAccount.ACCOUNT_NUMBER}`);
+    doc.text(`a.n. ${bankAccount.ACCOUNT_NAME}`);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.MUTED)
+      .text(`Cantumkan Order ID ${order.id} pada berita transfer.`, PAGE_MARGIN, doc.y + 6, { width: CONTENT_WIDTH });
+  }
+
+  doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.MUTED)
+    .text(THANK_YOU_TRUST, PAGE_MARGIN, doc.y + 25, { width: CONTENT_WIDTH, align: 'center' });
+}
+
+/**
+ * Generate an invoice (or "LUNAS" receipt) PDF for an order
+ * @param {Object} order - Order object
+ * @param {Object} priceList - Price list
+ * @param {Object} options - { variant } - INVOICE_VARIANTS value (default: receipt if fully paid, else invoice)
+ * @returns {Promise<Buffer>} PDF file content
+ */
+export async function generateInvoicePdf(order, priceList, options = {}) {
+  const variant = options.variant || getInvoiceVariant(order);
+
+  if (!Object.values(INVOICE_VARIANTS).includes(variant)) {
+    throw new Error(`Unknown invoice variant "${variant}"`);
+  }
+
+  if (variant === INVOICE_VARIANTS.RECEIPT && getOrderPaymentStatus(order) !== PAYMENT_STATUS.FULL_PAID) {
+    throw new Error(`Order ${order.id} is not fully paid, receipt cannot be generated`);
+  }
+
+  const data = buildInvoiceData(order, priceList, await getOrderPackaging(order, priceList));
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${variant === INVOICE_VARIANTS.RECEIPT ? 'Kwitansi' : 'Invoice'} ${getInvoiceNumber(order.id, variant)}`,
+      Author: getTenantBranding().businessName,
+    },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  renderInvoice(doc, order, data, variant);
+  doc.end();
+
+  const buffer = await done;
+  console.log(`✅ [INVOICE_PDF] Generated ${variant} for order ${order.id} (${buffer.length} bytes)`);
+  return buffer;
+}
@@ -0,0 +1,293 @@
+/**
+ * Item Resolver
+ * Resolves free-text order items ("2 x Dawet Medium + Nangka") to structured order lines using the
+ * products and variant groups of the Product_Variants sheet:
+ *
+ *   { name: "Dawet Kemayu Medium + Nangka", quantity: 2, sku: "DWT-M+NGK",
+ *     variants: [{ group: "size", option: "Medium", code: "M", price_delta: 15000 }, ...], unit_price: 18000 }
+ *
+ * - name is the canonical name (product + options), so capacity rules, promos and invoices keep matching by name
+ * - unit_price = base price (PriceList price of the product, 0 if none) + the options' price deltas; it is
+ *   stored on the order, so later PriceList changes don't change existing orders
+ * - Items that aren't a variant product become plain lines (sku from the name, PriceList price, no variants);
+ *   items without a price stay { name, quantity } and show "Harga belum tersedia" as before
+ * - Items that can't be resolved to one variant (no size, two sizes, unknown "+ topping") are reported as
+ *   ambiguities, and the customer is asked to clarify (formatItemClarification)
+ */
+
+import { getProductVariants, normalizeVariantName, toSkuCode } from '../repos/product-variants.repo.js';
+import { getPriceList } from '../repos/price-list.repo.js';
+import { getUnitPriceFromPriceList, normalizeProductName } from './price-calculator.js';
+import { VARIANT_SELECTION, ITEM_AMBIGUITY_REASONS } from '../utils/constants.js';
+
+// Words in a "+ ..." part that don't name an option ("+ topping nangka", "+ extra durian")
+const ADD_ON_FILLER_WORDS = ['topping', 'extra', 'tambah', 'tambahan', 'pakai', 'original'];
+
+/**
+ * Check whether normalized text contains a normalized phrase as whole words
+ */
+function hasPhrase(text, phrase) {
+  return !!phrase && ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Get the longest phrase (name or alias) of a product/option found in the text
+ * @returns {string|null} Matched phrase, or null if none matches
+ */
+function findLongestPhrase(text, entry) {
+  return [entry.key, ...entry.aliases]
+    .filter(phrase => hasPhrase(text, phrase))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Get the price of a PriceList item by exact or normalized name
+ * @returns {number|null} Price, or null if the item is not in the PriceList
+ */
+function getPriceListPrice(name, priceList) {
+  if (!name) return null;
+  if (priceList[name] !== undefined) {
+    return priceList[name];
+  }
+  const normalizedName = normalizeProductName(name);
+  const key = Object.keys(priceList).find(priceListKey => normalizeProductName(priceListKey) === normalizedName);
+  return key !== undefined ? priceList[key] : null;
+}
+
+/**
+ * Get the options of a group the text names, without options only named inside a longer match
+ * (so "botol 1l" doesn't also pick an option named "botol")
+ */
+function findNamedOptions(text, group) {
+  const matches = group.options
+    .map(option => ({ option, phrase: findLongestPhrase(text, option) }))
+    .filter(match => match.phrase);
+  return matches
+    .filter(match => !matches.some(other =>
+      other !== match && other.phrase.length > match.phrase.length && hasPhrase(other.phrase, match.phrase)
+    ))
+    .map(match => match.option);
+}
+
+/**
+ * Resolve the variants of one item of a known product
+ * @returns {{variants: Array, ambiguities: Array}} variants = [{ group, option }] (option objects)
+ */
+function resolveVariants(item, text, product, productPhrase) {
+  const variants = [];
+  const ambiguities = [];
+  const ambiguity = (group, reason, options, value = '') => ({
+    item: item.name,
+    quantity: item.quantity,
+    product: product.name,
+    group: group ? group.name : '',
+    reason,
+    value,
+    options,
+  });
+
+  // Words that aren't the product name, used to narrow the options we ask about ("dawet botol" → botol options)
+  const extraText = ` ${text} `.replace(` ${productPhrase} `, ' ').trim();
+  const extraWords = extraText.split(' ');
+
+  for (const group of product.groups) {
+    const named = findNamedOptions(text, group);
+
+    if (group.selection === VARIANT_SELECTION.MANY) {
+      named.forEach(option => variants.push({ group, option }));
+      continue;
+    }
+
+    if (named.length === 1) {
+      variants.push({ group, option: named[0] });
+    } else if (named.length > 1) {
+      ambiguities.push(ambiguity(group, ITEM_AMBIGUITY_REASONS.MULTIPLE_OPTIONS, named.map(option => option.name)));
+    } else {
+      const defaultOption = group.options.find(option => option.isDefault);
+      if (defaultOption) {
+        variants.push({ group, option: defaultOption });
+      } else {
+        const narrowed = group.options.filter(option =>
+          option.key.split(' ').some(word => word.length > 2 && extraWords.includes(word))
+        );
+        const options = narrowed.length > 0 ? narrowed : group.options;
+        ambiguities.push(ambiguity(group, ITEM_AMBIGUITY_REASONS.MISSING_OPTION, options.map(option => option.name)));
+      }
+    }
+  }
+
+  // Every "+ ..." part must name an option ("Dawet Medium + Alpukat" without an Alpukat option is asked about)
+  const addOnParts = extraText.split(' + ').slice(1);
+  for (const part of addOnParts) {
+    const words = part.split(' ').filter(word => word && word !== '+' && !ADD_ON_FILLER_WORDS.includes(word));
+    if (words.length === 0) continue;
+    const namesOption = product.groups.some(group => group.options.some(option => findLongestPhrase(part, option)));
+    if (!namesOption) {
+      const addOnGroups = product.groups.filter(group => group.selection === VARIANT_SELECTION.MANY);
+      const options = (addOnGroups.length > 0 ? addOnGroups : product.groups).flatMap(group => group.options.map(option => option.name));
+      ambiguities.push(ambiguity(addOnGroups[0] || null, ITEM_AMBIGUITY_REASONS.UNKNOWN_OPTION, options, words.join(' ')));
+    }
+  }
+
+  return { variants, ambiguities };
+}
+
+/**
+ * Build the structured line of a resolved variant item
+ * @returns {Object} { name, quantity, sku, variants, unit_price } (unit_price null if an option has no price)
+ */
+function buildVariantLine(item, product, variants, priceList) {
+  const basePrice = getPriceListPrice(product.name, priceList) ?? getPriceListPrice(product.code, priceList) ?? 0;
+
+  let unitPrice = basePrice;
+  const lineVariants = variants.map(({ group, option }) => {
+    const priceDelta = option.priceDelta ?? getPriceListPrice(option.priceItem, priceList);
+    if (priceDelta === null) {
+      console.warn(`⚠️ [ITEM_RESOLVER] No price for option "${option.name}" of ${product.name} (price_delta empty, price_item "${option.priceItem}" not in PriceList)`);
+      unitPrice = null;
+    } else if (unitPrice !== null) {
+      unitPrice += priceDelta;
+    }
+    return { group: group.name, option: option.name, code: option.code, price_delta: priceDelta ?? 0 };
+  });
+
+  const chosen = variants.filter(({ group }) => group.selection === VARIANT_SELECTION.ONE).map(({ option }) => option);
+  const addOns = variants.filter(({ group }) => group.selection === VARIANT_SELECTION.MANY).map(({ option }) => option);
+
+  const name = [product.name, ...chosen.map(option => option.name)].join(' ') +
+    addOns.map(option => ` + ${option.name}`).join('');
+  const sku = [product.code, ...chosen.map(option => option.code)].join('-') +
+    addOns.map(option => `+${option.code}`).join('');
+
+  return {
+    name,
+    quantity: item.quantity,
+    sku,
+    variants: lineVariants,
+    unit_price: unitPrice !== null && unitPrice > 0 ? unitPrice : null,
+  };
+}
+
+/**
+ * Resolve one order item
+ * @param {Object} item - { name, quantity }
+ * @param {Array} products - Products from getProductVariants()
+ * @param {Object} priceList - Price list (name → price)
+ * @returns {{line: Object, ambiguities: Array}} line is the item unchanged when it is ambiguous
+ */
+export function resolveOrderItem(item, products, priceList) {
+  const text = normalizeVariantName(item.name);
+
+  const matches = products
+    .map(product => ({ product, phrase: findLongestPhrase(text, product) }))
+    .filter(match => match.phrase);
+  const longest = Math.max(0, ...matches.map(match => match.phrase.length));
+  const bestMatches = matches.filter(match => match.phrase.length === longest);
+
+  if (bestMatches.length === 0) {
+    // Not a variant product: plain PriceList item
+    const unitPrice = getUnitPriceFromPriceList(item.name, priceList);
+    const line = unitPrice !== null && unitPrice > 0
+      ? { name: item.name, quantity: item.quantity, sku: toSkuCode(item.name), variants: [], unit_price: unitPrice }
+      : { name: item.name, quantity: item.quantity };
+    return { line, ambiguities: [] };
+  }
+
+  if (bestMatches.length > 1) {
+    return {
+      line: item,
+      ambiguities: [{
+        item: item.name,
+        quantity: item.quantity,
+        product: '',
+        group: '',
+        reason: ITEM_AMBIGUITY_REASONS.PRODUCT,
+        value: '',
+        options: bestMatches.map(match => match.product.name),
+      }],
+    };
+  }
+
+  const { product, phrase } = bestMatches[0];
+  const { variants, ambiguities } = resolveVariants(item, text, product, phrase);
+  if (ambiguities.length > 0) {
+    return { line: item, ambiguities };
+  }
+  return { line: buildVariantLine(item, product, variants, priceList), ambiguities: [] };
+}
+
+/**
+ * Resolve order items to structured lines
+ * @param {Array} items - Parsed items [{ name, quantity }]
+ * @param {Object|null} priceList - Price list (fetched if not given)
+ * @returns {Promise<{items: Array, ambiguities: Array}>} items = resolved lines (ambiguous items unchanged),
+ *   ambiguities = [{ item, quantity, product, group, reason, value, options }] (reason = ITEM_AMBIGUITY_REASONS value)
+ */
+export async function resolveOrderItems(items, priceList = null) {
+  const [products, prices] = await Promise.all([
+    getProductVariants(),
+    priceList ? Promise.resolve(priceList) : getPriceList(),
+  ]);
+
+  const resolvedItems = [];
+  const ambiguities = [];
+  for (const item of items || []) {
+    const result = resolveOrderItem(item, products, prices);
+    resolvedItems.push(result.line);
+    ambiguities.push(...result.ambiguities);
+  }
+
+  if (ambiguities.length > 0) {
+    console.log(`[ITEM_RESOLVER] ${ambiguities.length} item(s) need clarification: ${ambiguities.map(a => `"${a.item}" (${a.reason})`).join(', ')}`);
+  }
+
+  return { items: resolvedItems, ambiguities };
+}
+
+/**
+ * Check whether two item lists have the same names and quantities (prices and variants aside)
+ * Edits keep the existing lines when the items didn't change, so their stored unit prices stay.
+ * @param {Array} a - Items
+ * @param {Array} b - Items
+ * @returns {boolean} True if equal
+ */
+export function haveSameItems(a, b) {
+  const key = (items) => JSON.stringify((items || []).map(item => [String(item.name || ''), parseInt(item.quantity, 10) || 0]));
+  return key(a) === key(b);
+}
+
+/**
+ * Format the question sent to the customer for ambiguous items
+ * @param {Array} ambiguities - From resolveOrderItems
+ * @param {string} closing - Last line (default: asks to send the template again)
+ * @returns {string} Message (Indonesian)
+ */
+export function formatItemClarification(ambiguities, closing = 'Silakan kirim ulang format pesanan dengan detail yang sudah dilengkapi 🙏') {
+  let message = '❓ **Mohon lengkapi detail pesanan berikut ya kak:**\n\n';
+  for (const ambiguity of ambiguities) {
+    const options = ambiguity.options.join(', ');
+    const itemLabel = `${ambiguity.quantity} x ${ambiguity.item}`;
+    if (ambiguity.reason === ITEM_AMBIGUITY_REASONS.PRODUCT) {
+      message += `• ${itemLabel}: produk yang mana? Pilihan: ${options}\n`;
+    } else if (ambiguity.reason === ITEM_AMBIGUITY_REASONS.MULTIPLE_OPTIONS) {
+      message += `• ${itemLabel}: pilih satu ${ambiguity.group} saja: ${options}\n`;
+    } else if (ambiguity.reason === ITEM_AMBIGUITY_REASONS.UNKNOWN_OPTION) {
+      message += `• ${itemLabel}: "${ambiguity.value}" tidak tersedia. Pilihan ${ambiguity.group || 'varian'}: ${options}\n`;
+    } else {
+      message += `• ${itemLabel}: ${ambiguity.group} belum dipilih. Pilihan: ${options}\n`;
+    }
+  }
+  message += `\n${closing}`;
+  return message;
+}
+
+/**
+ * Format ambiguities as one English line for the dashboard API
+ * @param {Array} ambiguities - From resolveOrderItems
+ * @returns {string} Error message
+ */
+export function formatItemAmbiguityError(ambiguities) {
+  return 'Items need a variant choice: ' + ambiguities
+    .map(ambiguity => `${ambiguity.item} (${ambiguity.reason}${ambiguity.group ? ` ${ambiguity.group}` : ''}: ${ambiguity.options.join(' / ')})`)
+    .join('; ');
+}
@@ -0,0 +1,194 @@
+/**
+ * Messaging Layer
+ * Sends neutral messages (text, buttons, images, documents) through per-channel renderers
+ *
+ * Every messenger exposes:
+ * - platform: channel name (see PLATFORMS)
+ * - send(chatId, message, { replyToMessageId }): send a neutral message
+ * - editText(chatId, messageId, text): replace a sent message (channels without editing send a new message)
+ * - clearButtons(chatId, messageId): remove buttons from a sent message (no-op where unsupported)
+ * - sendMessage(chatId, textOrMessage, replyMarkup?, replyToMessageId?): drop-in replacement for
+ *   sendTelegramMessage(), passed as the `sendMessage` function to the shared handlers
+ *
+ * Handlers only receive `sendMessage`; they get the full messenger with getMessenger(sendMessage).
+ */
+
+import { sendTelegramMessage, sendTelegramMedia, editTelegramMessageText, editTelegramReplyMarkup } from '../telegramService.js';
+import { sendWhatsAppContent } from '../whatsappService.js';
+import { toMessage, createTextMessage, MESSAGE_TYPES } from './message.js';
+import { renderTelegramMessage, renderTelegramKeyboard } from './telegram.renderer.js';
+import { renderWebMessage } from './web.renderer.js';
+import { PLATFORMS } from '../../utils/constants.js';
+
+export * from './message.js';
+
+const messengers = new Map(); // platform -> messenger (Telegram/WhatsApp are stateless)
+
+/**
+ * Attach the backward-compatible sendMessage() function to a messenger
+ * @param {Object} messenger - Messenger without sendMessage
+ * @returns {Object} Messenger
+ */
+function withSendMessage(messenger) {
+  const sendMessage = async (chatId, input, replyMarkup = null, replyToMessageId = null) => {
+    return await messenger.send(chatId, toMessage(input, replyMarkup), { replyToMessageId });
+  };
+  sendMessage.messenger = messenger;
+  messenger.sendMessage = sendMessage;
+  return messenger;
+}
+
+/**
+ * Create Telegram messenger
+ */
+function createTelegramMessenger() {
+  return withSendMessage({
+    platform: PLATFORMS.TELEGRAM,
+    async send(chatId, message, options = {}) {
+      const rendered = renderTelegramMessage(message);
+      if (rendered.method === 'text') {
+        return await sendTelegramMessage(chatId, rendered.text, rendered.replyMarkup, options.replyToMessageId || null);
+      }
+      return await sendTelegramMedia(chatId, { ...rendered.media, replyToMessageId: options.replyToMessageId || null });
+    },
+    async editText(chatId, messageId, text) {
+      return await editTelegramMessageText(chatId, messageId, text);
+    },
+    async clearButtons(chatId, messageId) {
+      return await editTelegramReplyMarkup(chatId, messageId, null);
+    },
+  });
+}
+
+/**
+ * Create WhatsApp messenger
+ * WhatsApp messages cannot be edited, so editText() sends the new text as a new message
+ */
+function createWhatsAppMessenger() {
+  return withSendMessage({
+    platform: PLATFORMS.WHATSAPP,
+    async send(chatId, message, options = {}) {
+      return await sendWhatsAppContent(chatId, message, options);
+    },
+    async editText(chatId, messageId, text) {
+      return await sendWhatsAppContent(chatId, createTextMessage(text));
+    },
+    async clearButtons() {
+      return null;
+    },
+  });
+}
+
+/**
+ * Create web messenger
+ * Rendered messages are appended to `outbox`; the caller returns them to the web client
+ * @param {Object} options - { outbox: Array }
+ */
+function createWebMessenger(options = {}) {
+  const outbox = options.outbox || [];
+  let messageCounter = 0;
+
+  return withSendMessage({
+    platform: PLATFORMS.WEB,
+    outbox,
+    async send(chatId, message, sendOptions = {}) {
+      const rendered = {
+        id: `web_${Date.now()}_${++messageCounter}`,
+        chatId,
+        replyTo: sendOptions.replyToMessageId || null,
+        ...renderWebMessage(message),
+      };
+      outbox.push(rendered);
+      return { message_id: rendered.id };
+    },
+    async editText(chatId, messageId, text) {
+      const rendered = {
+        id: messageId,
+        chatId,
+        edit: true,
+        ...renderWebMessage(createTextMessage(text)),
+      };
+      outbox.push(rendered);
+      return { message_id: messageId };
+    },
+    async clearButtons(chatId, messageId) {
+      outbox.push({ id: messageId, chatId, edit: true, type: 'clear_buttons' });
+      return { message_id: messageId };
+    },
+  });
+}
+
+/**
+ * Create a messenger for a channel
+ * @param {string} platform - PLATFORMS.TELEGRAM | PLATFORMS.WHATSAPP | PLATFORMS.WEB
+ * @param {Object} options - Web only: { outbox: Array }
+ * @returns {Object} Messenger
+ */
+export function createMessenger(platform, options = {}) {
+  switch (platform) {
+    case PLATFORMS.TELEGRAM:
+      return createTelegramMessenger();
+    case PLATFORMS.WHATSAPP:
+      return createWhatsAppMessenger();
+    case PLATFORMS.WEB:
+      return createWebMessenger(options);
+    default:
+      throw new Error(`Unknown messaging platform "${platform}"`);
+  }
+}
+
+/**
+ * Get the shared messenger for a stateless channel (Telegram, WhatsApp)
+ * @param {string} platform - PLATFORMS.TELEGRAM | PLATFORMS.WHATSAPP
+ * @returns {Object} Messenger
+ */
+function getSharedMessenger(platform) {
+  if (!messengers.has(platform)) {
+    messengers.set(platform, createMessenger(platform));
+  }
+  return messengers.get(platform);
+}
+
+/**
+ * Get the sendMessage() function for a channel (to pass to the shared handlers)
+ * @param {string} platform - PLATFORMS.TELEGRAM | PLATFORMS.WHATSAPP
+ * @returns {Function} sendMessage(chatId, textOrMessage, replyMarkup?, replyToMessageId?)
+ */
+export function getChannelSender(platform) {
+  return getSharedMessenger(platform).sendMessage;
+}
+
+/**
+ * Get the messenger behind a sendMessage() function
+ * - Functions from createMessenger()/getChannelSender() return their own messenger
+ * - sendTelegramMessage (the handlers' default) returns the Telegram messenger
+ * - Any other function is wrapped: text only, editText() sends a new message, clearButtons() is a no-op
+ * @param {Function} sendMessage - sendMessage function passed to a handler
+ * @returns {Object} Messenger
+ */
+export function getMessenger(sendMessage = sendTelegramMessage) {
+  if (sendMessage?.messenger) {
+    return sendMessage.messenger;
+  }
+
+  if (sendMessage === sendTelegramMessage) {
+    return getSharedMessenger(PLATFORMS.TELEGRAM);
+  }
+
+  return withSendMessage({
+    platform: null,
+    async send(chatId, message, options = {}) {
+      let text = message.text || '';
+      if (message.type !== MESSAGE_TYPES.TEXT && message.media?.url) {
+        text = text ? `${text}\n${message.media.url}` : message.media.url;
+      }
+      return await sendMessage(chatId, text, renderTelegramKeyboard(message.buttons, message.layout), options.replyToMessageId || null);
+    },
+    async editText(chatId, messageId, text) {
+      return await sendMessage(chatId, text);
+    },
+    async clearButtons() {
+      return null;
+    },
+  });
+}
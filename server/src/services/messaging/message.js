@@ -0,0 +1,140 @@
+/**
+ * Message Model
+ * Channel-neutral outbound message used by the messaging layer
+ *
+ * Message shape:
+ * - type: MESSAGE_TYPES.TEXT | IMAGE | DOCUMENT
+ * - text: message text (TEXT) or caption (IMAGE/DOCUMENT)
+ * - buttons: [{ label, action }] - action is the callback data (see BUTTON_ACTIONS)
+ * - layout: buttons per row for channels with button grids (e.g. [3, 7, 7, 1]); null = renderer default
+ * - media: { url, buffer, filename, mimeType } (IMAGE/DOCUMENT only)
+ *
+ * Text uses the same Markdown as the shared message formatters (**bold**, `code`,
+ * escapeMarkdown for user input). Each channel renderer converts it to its own format.
+ */
+
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image',
+  DOCUMENT: 'document',
+};
+
+/**
+ * Create a button
+ * @param {string} label - Button label shown to the user
+ * @param {string} action - Action sent back when the button is pressed (e.g. "confirm_order_DKM/...")
+ * @returns {Object} Button { label, action }
+ */
+export function createButton(label, action) {
+  if (!label || !action) {
+    throw new Error('Cannot create button: label and action are required');
+  }
+  return { label: String(label), action: String(action) };
+}
+
+/**
+ * Create a text message
+ * @param {string} text - Message text
+ * @param {Object} options - { buttons: [{ label, action }], layout: [buttons per row] }
+ * @returns {Object} Message
+ */
+export function createTextMessage(text, options = {}) {
+  return {
+    type: MESSAGE_TYPES.TEXT,
+    text,
+    buttons: options.buttons || [],
+    layout: options.layout || null,
+    media: null,
+  };
+}
+
+/**
+ * Create an image message
+ * @param {Object} media - { url } or { buffer, filename, mimeType }
+ * @param {Object} options - { caption, buttons }
+ * @returns {Object} Message
+ */
+export function createImageMessage(media, options = {}) {
+  return {
+    type: MESSAGE_TYPES.IMAGE,
+    text: options.caption || '',
+    buttons: options.buttons || [],
+    media: { mimeType: 'image/jpeg', ...media },
+  };
+}
+
+/**
+ * Create a document message (e.g. PDF invoice)
+ * @param {Object} media - { url } or { buffer, filename, mimeType }
+ * @param {Object} options - { caption, buttons }
+ * @returns {Object} Message
+ */
+export function createDocumentMessage(media, options = {}) {
+  return {
+    type: MESSAGE_TYPES.DOCUMENT,
+    text: options.caption || '',
+    buttons: options.buttons || [],
+    media: { mimeType: 'application/octet-stream', ...media },
+  };
+}
+
+/**
+ * Check whether a value is a message created by this module
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a message object
+ */
+export function isMessage(value) {
+  return !!value && typeof value === 'object' && Object.values(MESSAGE_TYPES).includes(value.type);
+}
+
+/**
+ * Convert a legacy Telegram reply markup ({ inline_keyboard }) to buttons
+ * URL buttons are skipped (no action to route back)
+ * @param {Object|null} replyMarkup - Telegram reply markup
+ * @returns {Array} Buttons [{ label, action }]
+ */
+export function buttonsFromReplyMarkup(replyMarkup) {
+  if (!replyMarkup || !Array.isArray(replyMarkup.inline_keyboard)) {
+    return [];
+  }
+  return replyMarkup.inline_keyboard
+    .flat()
+    .filter(button => button && button.text && button.callback_data)
+    .map(button => createButton(button.text, button.callback_data));
+}
+
+/**
+ * Normalize sendMessage() input to a message
+ * Accepts a message object or (text, replyMarkup) as passed to sendTelegramMessage()
+ * @param {Object|string} input - Message or text
+ * @param {Object|null} replyMarkup - Legacy Telegram reply markup (ignored for message objects)
+ * @returns {Object} Message
+ */
+export function toMessage(input, replyMarkup = null) {
+  if (isMessage(input)) {
+    return { buttons: [], layout: null, media: null, text: '', ...input };
+  }
+
+  // Guard: Never send null or undefined text
+  if (!input || typeof input !== 'string' || input.trim().length === 0) {
+    throw new Error('Cannot send message: text must be a non-empty string');
+  }
+
+  return createTextMessage(input, { buttons: buttonsFromReplyMarkup(replyMarkup) });
+}
+
+/**
+ * Convert Telegram Markdown to plain text
+ * - **bold** / *bold* / __italic__ / `code` markers are removed
+ * - Escapes (\_, \*, \[ ...) become plain characters
+ * @param {string} text - Text with Telegram Markdown
+ * @returns {string} Plain text
+ */
+export function toPlainText(text) {
+  return String(text || '')
+    .replace(/\*\*(.+?)\*\*/gs, '$1')
+    .replace(/(^|[^\\])\*(\S(?:.*?\S)?)\*/g, '$1$2')
+    .replace(/(^|[^\\])__(.+?)__/g, '$1$2')
+    .replace(/(^|[^\\])`([^`]+)`/g, '$1$2')
+    .replace(/\\([\\_*[\]()~`>#+\-=|{}.!])/g, '$1');
+}
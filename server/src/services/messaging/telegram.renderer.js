@@ -0,0 +1,87 @@
+/**
+ * Telegram Renderer
+ * Converts neutral messages to Telegram Bot API parameters
+ *
+ * - Text is sent as-is (the shared formatters already produce Telegram Markdown)
+ * - Buttons become an inline keyboard (callback_data = action), laid out by message.layout when set
+ * - Images/documents become sendPhoto/sendDocument
+ */
+
+import { MESSAGE_TYPES } from './message.js';
+
+// Telegram limits callback_data to 64 bytes
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+// Up to this many buttons are shown side by side, more are stacked one per row
+const MAX_BUTTONS_PER_ROW = 2;
+
+/**
+ * Split keyboard buttons into rows of the given sizes (buttons left over go one per row)
+ */
+function toLayoutRows(keyboardButtons, layout) {
+  const rows = [];
+  let index = 0;
+  for (const size of layout) {
+    if (index >= keyboardButtons.length) break;
+    rows.push(keyboardButtons.slice(index, index + size));
+    index += size;
+  }
+  return [...rows, ...keyboardButtons.slice(index).map(button => [button])];
+}
+
+/**
+ * Render buttons as a Telegram inline keyboard
+ * @param {Array} buttons - Buttons [{ label, action }]
+ * @param {Array|null} layout - Buttons per row (e.g. [3, 7, 7]); null = side by side up to MAX_BUTTONS_PER_ROW
+ * @returns {Object|null} Reply markup { inline_keyboard } or null if no buttons
+ */
+export function renderTelegramKeyboard(buttons = [], layout = null) {
+  if (!buttons || buttons.length === 0) {
+    return null;
+  }
+
+  const keyboardButtons = buttons.map(button => {
+    if (Buffer.byteLength(button.action, 'utf8') > MAX_CALLBACK_DATA_BYTES) {
+      throw new Error(`Button action too long for Telegram callback_data: "${button.action}"`);
+    }
+    return { text: button.label, callback_data: button.action };
+  });
+
+  if (Array.isArray(layout) && layout.length > 0) {
+    return { inline_keyboard: toLayoutRows(keyboardButtons, layout) };
+  }
+
+  const rows = keyboardButtons.length <= MAX_BUTTONS_PER_ROW
+    ? [keyboardButtons]
+    : keyboardButtons.map(button => [button]);
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Render a message for Telegram
+ * @param {Object} message - Neutral message
+ * @returns {Object} { method: 'text'|'photo'|'document', text, replyMarkup, media }
+ */
+export function renderTelegramMessage(message) {
+  const replyMarkup = renderTelegramKeyboard(message.buttons, message.layout);
+
+  if (message.type === MESSAGE_TYPES.TEXT) {
+    return { method: 'text', text: message.text, replyMarkup, media: null };
+  }
+
+  return {
+    method: message.type === MESSAGE_TYPES.IMAGE ? 'photo' : 'document',
+    text: message.text || '',
+    replyMarkup,
+    media: {
+      kind: message.type === MESSAGE_TYPES.IMAGE ? 'photo' : 'document',
+      url: message.media.url,
+      buffer: message.media.buffer,
+      filename: message.media.filename,
+      mimeType: message.media.mimeType,
+      caption: message.text || '',
+      replyMarkup,
+    },
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Web Renderer
+ * Converts neutral messages to JSON for the web dashboard / web chat
+ *
+ * - text: plain text (Markdown markers and escapes removed)
+ * - markdown: original text, for clients that render Markdown themselves
+ * - buttons: [{ label, action }] - the client posts the action back to /api/chat/web
+ * - layout: buttons per row (e.g. [3, 7, 7]) or null
+ * - media: { url, filename, mimeType, data } - data is base64 for media sent as buffer
+ */
+
+import { MESSAGE_TYPES, toPlainText } from './message.js';
+
+/**
+ * Render a message for the web client
+ * @param {Object} message - Neutral message
+ * @returns {Object} { type, text, markdown, buttons, layout, media }
+ */
+export function renderWebMessage(message) {
+  const rendered = {
+    type: message.type,
+    text: toPlainText(message.text),
+    markdown: message.text || '',
+    buttons: (message.buttons || []).map(button => ({ label: button.label, action: button.action })),
+    layout: message.layout || null,
+    media: null,
+  };
+
+  if (message.type !== MESSAGE_TYPES.TEXT && message.media) {
+    rendered.media = {
+      url: message.media.url || null,
+      filename: message.media.filename || null,
+      mimeType: message.media.mimeType || null,
+      data: message.media.buffer ? Buffer.from(message.media.buffer).toString('base64') : null,
+    };
+  }
+
+  return rendered;
+}
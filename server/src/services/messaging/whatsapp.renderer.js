@@ -0,0 +1,148 @@
+/**
+ * WhatsApp Renderer
+ * Converts neutral messages to WhatsApp Cloud API message payloads
+ *
+ * - Telegram Markdown is converted to WhatsApp formatting (**bold** -> *bold*, escapes removed)
+ * - 1-3 buttons become interactive reply buttons, 4-10 become an interactive list
+ *   (button/list reply ID = action)
+ * - Images/documents are sent by link, or by media ID after upload (see uploadWhatsAppMedia)
+ */
+
+import { MESSAGE_TYPES } from './message.js';
+
+// WhatsApp limits
+const MAX_TEXT_LENGTH = 4096;
+const MAX_INTERACTIVE_BODY_LENGTH = 1024;
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_REPLY_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_LIST_ROW_TITLE_LENGTH = 24;
+
+// Label of the button that opens an interactive list
+const LIST_BUTTON_LABEL = 'Pilih';
+
+// Body of the follow-up interactive message when the text is too long to carry the buttons
+const BUTTONS_FOLLOW_UP_TEXT = 'Silakan pilih:';
+
+/**
+ * Convert Telegram Markdown (as used by the shared message formatters) to WhatsApp formatting
+ * - **bold** -> *bold*
+ * - Telegram escapes (\_, \*, \[ ...) -> plain characters
+ * @param {string} text - Message text with Telegram Markdown
+ * @returns {string} Text with WhatsApp formatting
+ */
+export function formatWhatsAppText(text) {
+  return String(text || '')
+    .replace(/\*\*(.+?)\*\*/gs, '*$1*')
+    .replace(/\\([\\_*[\]()~`>#+\-=|{}.!])/g, '$1');
+}
+
+/**
+ * Truncate text to a maximum length (adds "..." when truncated)
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+/**
+ * Build the interactive part for buttons
+ * @param {string} body - Body text (already formatted, <= 1024 chars)
+ * @param {Array} buttons - Buttons [{ label, action }]
+ * @returns {Object} Interactive payload
+ */
+function renderInteractive(body, buttons) {
+  if (buttons.length <= MAX_REPLY_BUTTONS) {
+    return {
+      type: 'button',
+      body: { text: body },
+      action: {
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          reply: { id: button.action, title: truncate(button.label, MAX_BUTTON_TITLE_LENGTH) },
+        })),
+      },
+    };
+  }
+
+  if (buttons.length > MAX_LIST_ROWS) {
+    console.warn(`⚠️ [WHATSAPP_RENDERER] ${buttons.length} buttons, only the first ${MAX_LIST_ROWS} are shown`);
+  }
+
+  return {
+    type: 'list',
+    body: { text: body },
+    action: {
+      button: LIST_BUTTON_LABEL,
+      sections: [{
+        rows: buttons.slice(0, MAX_LIST_ROWS).map(button => ({
+          id: button.action,
+          title: truncate(button.label, MAX_LIST_ROW_TITLE_LENGTH),
+        })),
+      }],
+    },
+  };
+}
+
+/**
+ * Render a message as WhatsApp Cloud API payloads (without messaging_product / to)
+ * Most messages render to one payload; media with buttons and long text with buttons
+ * render to two (content first, then the buttons)
+ * @param {Object} message - Neutral message
+ * @param {Object} options - { mediaId } - uploaded media ID (for media sent as buffer)
+ * @returns {Array} Payloads in send order
+ */
+export function renderWhatsAppMessage(message, options = {}) {
+  const text = formatWhatsAppText(message.text);
+  const buttons = message.buttons || [];
+  const payloads = [];
+
+  if (message.type === MESSAGE_TYPES.IMAGE || message.type === MESSAGE_TYPES.DOCUMENT) {
+    const mediaRef = options.mediaId ? { id: options.mediaId } : { link: message.media.url };
+    if (!mediaRef.id && !mediaRef.link) {
+      throw new Error('Cannot render WhatsApp media: media URL or uploaded media ID is required');
+    }
+
+    const media = { ...mediaRef };
+    if (text) {
+      media.caption = truncate(text, MAX_CAPTION_LENGTH);
+    }
+    if (message.type === MESSAGE_TYPES.DOCUMENT && message.media.filename) {
+      media.filename = message.media.filename;
+    }
+    payloads.push({ type: message.type, [message.type]: media });
+
+    if (buttons.length > 0) {
+      payloads.push({ type: 'interactive', interactive: renderInteractive(BUTTONS_FOLLOW_UP_TEXT, buttons) });
+    }
+    return payloads;
+  }
+
+  if (buttons.length > 0 && text.length <= MAX_INTERACTIVE_BODY_LENGTH) {
+    return [{ type: 'interactive', interactive: renderInteractive(text, buttons) }];
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    console.warn(`⚠️ [WHATSAPP_RENDERER] Message too long (${text.length} chars), truncating to ${MAX_TEXT_LENGTH}`);
+  }
+  payloads.push({ type: 'text', text: { preview_url: false, body: truncate(text, MAX_TEXT_LENGTH) } });
+
+  // Text too long for an interactive body: send the buttons separately
+  if (buttons.length > 0) {
+    payloads.push({ type: 'interactive', interactive: renderInteractive(BUTTONS_FOLLOW_UP_TEXT, buttons) });
+  }
+
+  return payloads;
+}
+
+/**
+ * Get the text of a payload (used for the notification template fallback)
+ * @param {Object} payload - WhatsApp message payload
+ * @returns {string} Text body, interactive body or caption
+ */
+export function getWhatsAppPayloadText(payload) {
+  return payload.text?.body
+    || payload.interactive?.body?.text
+    || payload[payload.type]?.caption
+    || '';
+}
@@ -0,0 +1,408 @@
+/**
+ * Order Lifecycle
+ * Order actions shared by the Telegram bot commands and the dashboard API:
+ * create, edit, status change (incl. cancel with reason) and payment recording.
+ *
+ * Every action records Order_Events with the caller's audit info ({ actorId, source }) and sends the
+ * same customer notification whichever channel triggered it. Actions return a result object instead of
+ * throwing for expected failures: { success: true, ... } or { success: false, errorCode, error, ... }
+ * (errorCode = ORDER_ACTION_ERRORS value, error = English message for the API/logs).
+ */
+
+import { getOrderById, saveOrder, generateOrderId, updateOrderStatus, recalculateOrderPaymentSummary } from '../repos/orders.repo.js';
+import { recordOrderEvent } from '../repos/order-events.repo.js';
+import { createPaymentRecord } from '../repos/payment-history.repo.js';
+import { validateOrder } from './order-parser.js';
+import { parseIDRAmount } from './payment-tracker.js';
+import { checkOrderCapacity, isCapacityRejected } from './capacity-checker.js';
+import { resolveOrderItems, formatItemAmbiguityError, haveSameItems } from './item-resolver.js';
+import {
+  validateStatusTransition,
+  getStatusNotificationMessage,
+  sendCustomerNotification,
+} from './order-status-notifications.js';
+import { ORDER_STATUS, ORDER_EVENT_TYPES, DELIVERY_FEE_SOURCE } from '../utils/constants.js';
+
+/**
+ * Error codes of failed order actions
+ */
+export const ORDER_ACTION_ERRORS = {
+  NOT_FOUND: 'not_found',
+  VALIDATION_FAILED: 'validation_failed',
+  INVALID_TRANSITION: 'invalid_transition',
+  CAPACITY_EXCEEDED: 'capacity_exceeded',
+  AMBIGUOUS_ITEMS: 'ambiguous_items', // An item needs a variant choice (size, topping); see ambiguities
+  ORDER_CLOSED: 'order_closed', // Cancelled/completed orders can't be edited or paid
+};
+
+/**
+ * Order fields that can be set when creating or editing an order
+ */
+export const EDITABLE_ORDER_FIELDS = [
+  'customer_name',
+  'phone_number',
+  'address',
+  'receiver_name',
+  'event_name',
+  'event_duration',
+  'event_date',
+  'delivery_time',
+  'delivery_method',
+  'items',
+  'notes',
+  'promo_code',
+  'delivery_fee',
+];
+
+// Statuses the customer is told about (same list for bot commands and dashboard)
+const CUSTOMER_NOTIFICATION_STATUSES = ['processing', 'ready', 'delivering', 'completed', 'cancelled'];
+
+// Changing these fields can change the day's production load
+const CAPACITY_FIELDS = ['items', 'event_date'];
+
+/**
+ * Normalize order items from a form/API body
+ * @param {Array} items - [{ name, quantity }]
+ * @returns {Array<{name: string, quantity: number}>} Items with a name and a positive whole quantity
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items
+    .map(item => ({
+      name: String(item?.name || '').trim(),
+      quantity: parseInt(item?.quantity),
+    }))
+    .filter(item => item.name && item.quantity > 0);
+}
+
+/**
+ * Normalize order notes (array of lines, or one multi-line string)
+ */
+function normalizeNotes(notes) {
+  const lines = Array.isArray(notes) ? notes : String(notes || '').split('\n');
+  return lines.map(note => String(note || '').trim()).filter(Boolean);
+}
+
+/**
+ * Normalize the delivery fee (empty → null = not provided)
+ */
+function normalizeDeliveryFee(fee) {
+  if (fee === null || fee === undefined || fee === '') {
+    return null;
+  }
+  const amount = typeof fee === 'number' ? fee : parseIDRAmount(String(fee));
+  return amount !== null && !isNaN(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Pick and normalize editable fields from an API body
+ * @param {Object} input - Raw body
+ * @returns {Object} Only the EDITABLE_ORDER_FIELDS present in the input
+ */
+function pickOrderFields(input = {}) {
+  const fields = {};
+  for (const field of EDITABLE_ORDER_FIELDS) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (field === 'items') {
+      fields.items = normalizeItems(input.items);
+    } else if (field === 'notes') {
+      fields.notes = normalizeNotes(input.notes);
+    } else if (field === 'delivery_fee') {
+      fields.delivery_fee = normalizeDeliveryFee(input.delivery_fee);
+    } else {
+      fields[field] = String(input[field] ?? '').trim();
+    }
+  }
+  return fields;
+}
+
+/**
+ * Check if an order is closed (cancelled or completed)
+ */
+function isClosedOrder(order) {
+  const status = String(order.status || '').toLowerCase();
+  return status === ORDER_STATUS.CANCELLED || status === ORDER_STATUS.COMPLETED;
+}
+
+/**
+ * Create a new order (status "pending")
+ * @param {Object} input - Order fields (see EDITABLE_ORDER_FIELDS); items = [{ name, quantity }], resolved to
+ *   product variants (see item-resolver.js)
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} { success, order, capacity } or { success: false, errorCode, error, errors?, capacity?, ambiguities? }
+ */
+export async function createOrder(input, audit = {}) {
+  const fields = pickOrderFields(input);
+  const orderData = {
+    customer_name: '',
+    phone_number: '',
+    address: '',
+    items: [],
+    notes: [],
+    delivery_method: 'Pickup',
+    ...fields,
+  };
+
+  const validation = validateOrder(orderData);
+  if (!validation.valid) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.VALIDATION_FAILED, error: validation.errors.join(', '), errors: validation.errors };
+  }
+
+  const resolution = await resolveOrderItems(orderData.items);
+  if (resolution.ambiguities.length > 0) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.AMBIGUOUS_ITEMS, error: formatItemAmbiguityError(resolution.ambiguities), ambiguities: resolution.ambiguities };
+  }
+  orderData.items = resolution.items;
+
+  const capacity = await checkOrderCapacity(orderData);
+  if (isCapacityRejected(capacity)) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.CAPACITY_EXCEEDED, error: `Order exceeds production capacity on ${capacity.date}`, capacity };
+  }
+
+  const orderId = await generateOrderId();
+  await saveOrder({
+    ...orderData,
+    id: orderId,
+    delivery_fee_source: orderData.delivery_fee !== null && orderData.delivery_fee !== undefined ? DELIVERY_FEE_SOURCE.ADMIN_OVERRIDE : '',
+    status: 'pending',
+    created_at: new Date().toISOString(),
+  });
+
+  console.log(`✅ [ORDER_LIFECYCLE] Order ${orderId} created (actor: ${audit.actorId || '-'}, source: ${audit.source || '-'})`);
+
+  return { success: true, order: await getOrderById(orderId), capacity };
+}
+
+/**
+ * Save an edited order and record one Order_Events row per changed field (plus the resulting total)
+ * Status, created_at, conversation_id and the paid amount are kept from the existing order.
+ * @param {Object} existingOrder - Order before the edit
+ * @param {Object} updatedOrderData - Full order data to save (same id)
+ * @param {Array<string>} changedFields - Fields that changed
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} saveOrder result (productTotal, packagingFee, deliveryFee, totalAmount, ...)
+ */
+export async function saveOrderEdit(existingOrder, updatedOrderData, changedFields, audit = {}) {
+  const savedOrder = await saveOrder({
+    ...updatedOrderData,
+    status: existingOrder.status || 'pending',
+    created_at: existingOrder.created_at,
+    conversation_id: existingOrder.conversation_id || '',
+    paid_amount: existingOrder.paid_amount || 0,
+    payment_status: undefined, // Recalculated from the paid amount and the new total
+  });
+
+  // Skip fields that only differ in format (e.g. event_date parsed from DD/MM/YYYY)
+  const editEvents = changedFields
+    .map(field => ({
+      field,
+      oldValue: existingOrder[field],
+      newValue: updatedOrderData[field],
+    }))
+    .filter(({ oldValue, newValue }) => JSON.stringify(oldValue ?? '') !== JSON.stringify(newValue ?? ''));
+  const previousTotal = existingOrder.total_amount || existingOrder.final_total || 0;
+  if (changedFields.length > 0 && savedOrder.totalAmount !== undefined && savedOrder.totalAmount !== previousTotal) {
+    editEvents.push({ field: 'total_amount', oldValue: previousTotal, newValue: savedOrder.totalAmount });
+  }
+  for (const editEvent of editEvents) {
+    await recordOrderEvent({
+      ...editEvent,
+      orderId: existingOrder.id,
+      eventType: ORDER_EVENT_TYPES.ORDER_EDITED,
+      actorId: audit.actorId,
+      source: audit.source,
+    });
+  }
+
+  return savedOrder;
+}
+
+/**
+ * Edit an order (partial update: only the given fields change)
+ * @param {string} orderId - Order ID
+ * @param {Object} changes - Fields to change (see EDITABLE_ORDER_FIELDS)
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} { success, order, changedFields, capacity } or { success: false, errorCode, error, ... }
+ */
+export async function editOrder(orderId, changes, audit = {}) {
+  const existingOrder = await getOrderById(orderId);
+  if (!existingOrder) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.NOT_FOUND, error: 'Order not found' };
+  }
+  if (isClosedOrder(existingOrder)) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.ORDER_CLOSED, error: `Order is ${existingOrder.status} and can no longer be edited` };
+  }
+
+  const fields = pickOrderFields(changes);
+  if (fields.items) {
+    if (haveSameItems(fields.items, existingOrder.items)) {
+      // Unchanged items keep their resolved lines and prices
+      fields.items = existingOrder.items;
+    } else {
+      const resolution = await resolveOrderItems(fields.items);
+      if (resolution.ambiguities.length > 0) {
+        return { success: false, errorCode: ORDER_ACTION_ERRORS.AMBIGUOUS_ITEMS, error: formatItemAmbiguityError(resolution.ambiguities), ambiguities: resolution.ambiguities };
+      }
+      fields.items = resolution.items;
+    }
+  }
+  const changedFields = Object.keys(fields).filter(
+    field => JSON.stringify(fields[field] ?? '') !== JSON.stringify(existingOrder[field] ?? '')
+  );
+  if (changedFields.length === 0) {
+    return { success: true, order: existingOrder, changedFields, capacity: null };
+  }
+
+  const updatedOrderData = { ...existingOrder, ...fields, id: existingOrder.id };
+  if (changedFields.includes('delivery_fee')) {
+    // A fee changed by the admin is no longer an estimate
+    updatedOrderData.delivery_fee_source = DELIVERY_FEE_SOURCE.ADMIN_OVERRIDE;
+  }
+
+  const validation = validateOrder(updatedOrderData);
+  if (!validation.valid) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.VALIDATION_FAILED, error: validation.errors.join(', '), errors: validation.errors };
+  }
+
+  // Edits don't count the order's previous quantities
+  let capacity = null;
+  if (changedFields.some(field => CAPACITY_FIELDS.includes(field))) {
+    capacity = await checkOrderCapacity(updatedOrderData, { excludeOrderId: existingOrder.id });
+    if (isCapacityRejected(capacity)) {
+      return { success: false, errorCode: ORDER_ACTION_ERRORS.CAPACITY_EXCEEDED, error: `Order exceeds production capacity on ${capacity.date}`, capacity };
+    }
+  }
+
+  await saveOrderEdit(existingOrder, updatedOrderData, changedFields, audit);
+  console.log(`✅ [ORDER_LIFECYCLE] Order ${orderId} edited: ${changedFields.join(', ')}`);
+
+  return { success: true, order: await getOrderById(orderId), changedFields, capacity };
+}
+
+/**
+ * Move an order to a new status (merchant action, validated with MERCHANT_STATUS_TRANSITIONS)
+ * Confirming goes through finalizeOrder (capacity re-check, calendar event); the customer is notified of
+ * processing/ready/delivering/completed/cancelled.
+ * @param {string} orderId - Order ID
+ * @param {string} newStatus - Target status
+ * @param {Object} audit - { actorId, source }
+ * @param {Object} options - { reason: cancellation reason (recorded in Order_Events and sent to the customer) }
+ * @returns {Promise<Object>} { success, order, previousStatus, changed, customerNotified } or { success: false, errorCode, error, ... }
+ */
+export async function changeOrderStatus(orderId, newStatus, audit = {}, { reason = '' } = {}) {
+  const order = await getOrderById(orderId);
+  if (!order) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.NOT_FOUND, error: 'Order not found' };
+  }
+
+  const previousStatus = order.status || 'pending';
+  const validation = validateStatusTransition(previousStatus, newStatus, true); // true = merchant action
+  if (!validation.valid) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.INVALID_TRANSITION, error: validation.error, previousStatus };
+  }
+
+  if (previousStatus === newStatus) {
+    return { success: true, order, previousStatus, changed: false, customerNotified: false };
+  }
+
+  const trimmedReason = String(reason || '').trim();
+  if (newStatus === ORDER_STATUS.CONFIRMED) {
+    // Imported lazily: the confirmation handler pulls in the messaging layer
+    const { finalizeOrder } = await import('../handlers/orderConfirmationHandler.js');
+    try {
+      await finalizeOrder(orderId, audit);
+    } catch (error) {
+      if (error.isCapacityExceeded) {
+        return { success: false, errorCode: ORDER_ACTION_ERRORS.CAPACITY_EXCEEDED, error: error.message, capacity: error.capacity, previousStatus };
+      }
+      throw error;
+    }
+  } else {
+    await updateOrderStatus(orderId, newStatus, { ...audit, note: trimmedReason ? `Alasan: ${trimmedReason}` : audit.note });
+  }
+
+  console.log(`✅ [ORDER_LIFECYCLE] Order ${orderId}: ${previousStatus} → ${newStatus} (actor: ${audit.actorId || '-'}, source: ${audit.source || '-'})`);
+
+  const updatedOrder = (await getOrderById(orderId)) || { ...order, status: newStatus };
+
+  let customerNotified = false;
+  if (CUSTOMER_NOTIFICATION_STATUSES.includes(newStatus)) {
+    try {
+      customerNotified = await sendCustomerNotification(
+        updatedOrder,
+        getStatusNotificationMessage(newStatus, updatedOrder, { reason: trimmedReason })
+      );
+    } catch (error) {
+      console.error(`❌ [ORDER_LIFECYCLE] Error sending status notification for order ${orderId}:`, error);
+      // Don't fail the status change if the notification fails
+    }
+  }
+
+  return { success: true, order: updatedOrder, previousStatus, changed: true, customerNotified };
+}
+
+/**
+ * Cancel an order with a reason
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the order was cancelled (shown to the customer)
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} Same result as changeOrderStatus
+ */
+export async function cancelOrder(orderId, reason, audit = {}) {
+  return await changeOrderStatus(orderId, ORDER_STATUS.CANCELLED, audit, { reason });
+}
+
+/**
+ * Record a confirmed payment for an order and recalculate its payment summary
+ * @param {string} orderId - Order ID
+ * @param {Object} payment - { amount (number or "Rp 235.000"), method: 'manual'|'transfer', note, proofFileId, proofCaption,
+ *   paymentDate (when the money arrived, default: now) }
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} { success, payment, summary, order } or { success: false, errorCode, error }
+ */
+export async function recordOrderPayment(orderId, payment, audit = {}) {
+  const order = await getOrderById(orderId);
+  if (!order) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.NOT_FOUND, error: 'Order not found' };
+  }
+  if (String(order.status || '').toLowerCase() === ORDER_STATUS.CANCELLED) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.ORDER_CLOSED, error: 'Order is cancelled' };
+  }
+
+  const amount = typeof payment.amount === 'number' ? payment.amount : parseIDRAmount(String(payment.amount ?? ''));
+  if (amount === null || isNaN(amount) || amount <= 0) {
+    return { success: false, errorCode: ORDER_ACTION_ERRORS.VALIDATION_FAILED, error: 'Payment amount must be a positive number' };
+  }
+
+  const paymentMethod = payment.method === 'manual' ? 'manual' : 'transfer';
+  const confirmedBy = `Dikonfirmasi oleh ${audit.actorId ? `user ${audit.actorId}` : 'admin'} (${audit.source || 'system'})`;
+  const note = [String(payment.note || '').trim(), confirmedBy].filter(Boolean).join('\n');
+
+  const paymentRecord = await createPaymentRecord({
+    order_id: orderId,
+    payment_date: payment.paymentDate || undefined,
+    amount_input: amount,
+    amount_confirmed: amount,
+    payment_method: paymentMethod,
+    status: 'confirmed',
+    currency: 'IDR',
+    note,
+    proof_file_id: payment.proofFileId || '',
+    proof_caption: payment.proofCaption || '',
+    created_by: String(audit.actorId || ''),
+  });
+
+  const summary = await recalculateOrderPaymentSummary(orderId, {
+    actorId: audit.actorId,
+    source: audit.source,
+    note: `Payment ${paymentRecord.payment_id} (${paymentMethod})`,
+  });
+
+  console.log(`✅ [ORDER_LIFECYCLE] Payment ${paymentRecord.payment_id} recorded for order ${orderId}: ${amount}`);
+
+  return { success: true, payment: paymentRecord, summary, order: await getOrderById(orderId) };
+}
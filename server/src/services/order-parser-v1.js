@@ -36,6 +36,7 @@ export function parseOrderFromMessage(messageText) {
     notes: [],
     shipping_fee: null, // Biaya Pengiriman (Ongkir) - canonical field
     shipping_fee_source: null, // 'USER_INPUT', 'USER_EMPTY', 'NOT_PROVIDED'
+    promo_code: null, // Kode Promo (validated against Promos sheet when the order is saved); '' = stated as none
   };
 
   const lines = normalizedText.split('\n').map(line => line.trim()).filter(line => line);
@@ -257,6 +258,14 @@ export function parseOrderFromMessage(messageText) {
       continue;
     }
 
+    // Parse Kode Promo / Kode Promo (jika ada) - "-" or empty means no promo ('' so /edit can remove a promo)
+    if (line.match(/^Kode\s+Promo(?:\s*\(jika\s+ada\))?\s*:?\s*(.*)$/i)) {
+      const code = line.replace(/^Kode\s+Promo(?:\s*\(jika\s+ada\))?\s*:?\s*/i, '').trim();
+      order.promo_code = code && code !== '-' ? code.toUpperCase() : '';
+      orderDetailsStarted = false;
+      continue;
+    }
+
     // Parse order items and notes
     if (orderDetailsStarted) {
       // Line is already normalized by normalizeText() at the start
@@ -23,6 +23,7 @@ import { normalizeDeliveryTime } from './price-calculator.js';
  * Packaging Styrofoam (1 box 40K untuk 50 cup): YA
  * Metode pengiriman: Pickup / GrabExpress / Custom
  * Biaya Pengiriman (Rp): 100000
+ * Kode Promo: LEBARAN10
  * Notes:
  * Mendapatkan info Dawet Kemayu Menteng dari: Teman / Instagram / Facebook / TikTok / Lainnya (sebutkan)
  */
@@ -48,6 +49,7 @@ export function parseOrderMessageV2(messageText) {
     delivery_fee: null, // Biaya Pengiriman (Ongkir) - canonical field for Google Sheets
     delivery_fee_source: null, // 'USER_INPUT', 'USER_EMPTY', 'NOT_PROVIDED'
     delivery_method: null, // Metode pengiriman (Pickup, GrabExpress, Custom, etc.) - stored in Orders.delivery_method
+    promo_code: null, // Kode Promo (validated against Promos sheet when the order is saved); '' = stated as none
   };
 
   if (!normalizedText || normalizedText.length === 0) {
@@ -119,6 +121,7 @@ export function parseOrderMessageV2(messageText) {
           line.match(/^Packaging/i) ||
           line.match(/^Metode/i) ||
           line.match(/^Biaya/i) ||
+          line.match(/^Kode\s+Promo/i) ||
           line.match(/^Notes/i) ||
           line.match(/^Mendapatkan/i)) {
         if (addressLines.length > 0) {
@@ -189,6 +192,7 @@ export function parseOrderMessageV2(messageText) {
       if (line.match(/^Packaging/i) || 
           line.match(/^Metode/i) || 
           line.match(/^Biaya/i) || 
+          line.match(/^Kode\s+Promo/i) ||
           line.match(/^Notes?\s*:?\s*$/i) ||
           line.match(/^Mendapatkan/i) ||
           line.match(/^Nama\s+Event/i) ||
@@ -334,6 +338,13 @@ export function parseOrderMessageV2(messageText) {
       continue;
     }
 
+    // Parse Kode Promo / Kode Promo (jika ada) - "-" or empty means no promo ('' so /edit can remove a promo)
+    if (line.match(/^Kode\s+Promo(?:\s*\(jika\s+ada\))?\s*:?\s*(.*)$/i)) {
+      const code = line.replace(/^Kode\s+Promo(?:\s*\(jika\s+ada\))?\s*:?\s*/i, '').trim();
+      order.promo_code = code && code !== '-' ? code.toUpperCase() : '';
+      continue;
+    }
+
     // Parse Notes section
     if (line.match(/^Notes?\s*:?\s*$/i)) {
       notesStarted = true;
@@ -355,8 +366,8 @@ export function parseOrderMessageV2(messageText) {
     }
 
     // Parse referral source
-    if (line.match(/^Mendapatkan\s+info\s+Dawet\s+Kemayu\s+Menteng\s+dari\s*:?\s*(.+)$/i)) {
-      const source = line.replace(/^Mendapatkan\s+info\s+Dawet\s+Kemayu\s+Menteng\s+dari\s*:?\s*/i, '').trim();
+    if (line.match(/^Mendapatkan\s+info\s+.+?\s+dari\s*:?\s*(.+)$/i)) {
+      const source = line.replace(/^Mendapatkan\s+info\s+.+?\s+dari\s*:?\s*/i, '').trim();
       if (source && source !== '-') {
         order.notes.push(`Referral: ${source}`);
       }
@@ -48,7 +48,7 @@ export function detectOrderFormat(messageText) {
     /Packaging\s+Styrofoam\s*\([^)]+\)\s*:/i,
     /Metode\s+pengiriman\s*:/i,
     /Biaya\s+Pengiriman\s*\(Rp\)\s*:/i,
-    /Mendapatkan\s+info\s+Dawet\s+Kemayu\s+Menteng\s+dari\s*:/i,
+    /Mendapatkan\s+info\s+.+?\s+dari\s*:/i,
   ];
 
   // Count V2 indicators
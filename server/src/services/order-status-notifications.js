@@ -5,6 +5,7 @@
 
 import { getConversationById } from '../repos/conversations.repo.js';
 import { THANK_YOU_TRUST_EMOJI } from '../utils/messages.js';
+import { PLATFORMS } from '../utils/constants.js';
 
 /**
  * Valid status transitions (for system/customer actions)
@@ -51,8 +52,22 @@ const STATUS_DISPLAY_NAMES = {
   'completed': 'Selesai',
   'cancelled': 'Dibatalkan',
   'waiting': 'Menunggu',
+  'closed': 'Ditutup',
 };
 
+/**
+ * Order progress shown to customers (status timeline), in order
+ * 'cancelled' and 'waiting' are off the main path and shown on their own
+ */
+const STATUS_TIMELINE = [
+  'pending_confirmation',
+  'confirmed',
+  'processing',
+  'ready',
+  'delivering',
+  'completed',
+];
+
 /**
  * Validate status transition
  * @param {string} currentStatus - Current order status
@@ -93,13 +108,61 @@ export function validateStatusTransition(currentStatus, newStatus, isMerchantAct
   return { valid: true };
 }
 
+/**
+ * Get status display name in Indonesian
+ * @param {string} status - Order status
+ * @returns {string} Display name (the raw status if unknown)
+ */
+export function getStatusDisplayName(status) {
+  return STATUS_DISPLAY_NAMES[status] || status || '-';
+}
+
+/**
+ * Format the status timeline for an order (customer-facing)
+ * Example for 'processing':
+ *   ✅ Menunggu Konfirmasi
+ *   ✅ Dikonfirmasi
+ *   ▶️ Sedang Diproses
+ *   ▫️ Siap Dikirim ...
+ * @param {string} status - Current order status
+ * @returns {string} Timeline (one step per line)
+ */
+export function formatStatusTimeline(status) {
+  if (status === 'cancelled') {
+    return `❌ ${STATUS_DISPLAY_NAMES.cancelled}`;
+  }
+  if (status === 'waiting') {
+    return `⏳ Masuk daftar tunggu (kapasitas produksi penuh)`;
+  }
+
+  // Legacy 'pending' orders are awaiting confirmation; 'closed' orders are past completion
+  let currentIndex = STATUS_TIMELINE.indexOf(status);
+  if (status === 'pending') {
+    currentIndex = 0;
+  } else if (status === 'closed') {
+    currentIndex = STATUS_TIMELINE.length - 1;
+  }
+
+  if (currentIndex === -1) {
+    return `📋 ${getStatusDisplayName(status)}`;
+  }
+
+  return STATUS_TIMELINE.map((step, index) => {
+    // The last step is done once reached; earlier steps are "in progress" while current
+    const isDone = index < currentIndex || (index === currentIndex && index === STATUS_TIMELINE.length - 1);
+    const marker = isDone ? '✅' : index === currentIndex ? '▶️' : '▫️';
+    return `${marker} ${STATUS_DISPLAY_NAMES[step]}`;
+  }).join('\n');
+}
+
 /**
  * Get status notification message in Indonesian
  * @param {string} status - Order status
  * @param {Object} order - Order object
+ * @param {Object} options - { reason: cancellation reason shown to the customer }
  * @returns {string} Notification message
  */
-export function getStatusNotificationMessage(status, order) {
+export function getStatusNotificationMessage(status, order, { reason = '' } = {}) {
   const statusName = STATUS_DISPLAY_NAMES[status] || status;
   const orderId = order.id || 'N/A';
   const customerName = order.customer_name || 'Pelanggan';
@@ -142,6 +205,7 @@ export function getStatusNotificationMessage(status, order) {
         `📋 Order ID: ${orderId}\n` +
         `👤 Pelanggan: ${customerName}\n\n` +
         `Pesanan Anda telah dibatalkan.\n` +
+        (reason ? `Alasan: ${reason}\n` : '') +
         `Jika Anda memiliki pertanyaan, silakan hubungi kami.`;
     
     default:
@@ -186,3 +250,55 @@ export async function getTelegramChatIdFromOrder(order) {
     return null;
   }
 }
+
+/**
+ * Get the customer's chat (platform + chat ID) from order
+ * @param {Object} order - Order object with conversation_id
+ * @returns {Promise<Object|null>} { platform, chatId } or null if the order has no customer chat
+ */
+export async function getCustomerChatFromOrder(order) {
+  try {
+    if (!order?.conversation_id) {
+      return null;
+    }
+
+    const conversation = await getConversationById(order.conversation_id);
+    if (!conversation || !conversation.external_user_id) {
+      return null;
+    }
+
+    const platform = String(conversation.platform_reference || '').toLowerCase();
+    if (platform === PLATFORMS.TELEGRAM) {
+      const chatId = parseInt(conversation.external_user_id);
+      return isNaN(chatId) ? null : { platform, chatId };
+    }
+    if (platform === PLATFORMS.WHATSAPP) {
+      return { platform, chatId: conversation.external_user_id };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error getting customer chat from order:', error);
+    return null;
+  }
+}
+
+/**
+ * Send a notification to the customer on the platform the order came from (Telegram or WhatsApp)
+ * @param {Object} order - Order object with conversation_id
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if sent, false if the order has no customer chat
+ */
+export async function sendCustomerNotification(order, text) {
+  const customerChat = await getCustomerChatFromOrder(order);
+  if (!customerChat) {
+    return false;
+  }
+
+  // Import messaging layer dynamically to avoid loading both API clients for every status check
+  const { getChannelSender } = await import('./messaging/index.js');
+  await getChannelSender(customerChat.platform)(customerChat.chatId, text);
+
+  console.log(`✅ [CUSTOMER_NOTIFY] Notification sent to ${customerChat.platform} chat for order ${order.id}`);
+  return true;
+}
@@ -0,0 +1,241 @@
+/**
+ * Packaging Calculator
+ * Single source of truth for the packaging charged on an order, from the rules of the Packaging_Rules sheet.
+ * Order totals (computeOrderTotals), confirmations, invoices, recaps and the dashboard all read its lines:
+ *
+ *   { name: "Packaging Styrofoam", quantity: 2, units: 75, units_per_package: 50, unit: "cup",
+ *     unit_price: 40000, total: 80000 }
+ *
+ * - units = quantity of the order items whose SKU the rule applies to (items without a SKU, saved before
+ *   product variants, are resolved by name first)
+ * - quantity = ceil(units / units_per_package); an opt-in rule asked for without matching items is 1 package
+ * - opt-in rules are only charged when a note names them (template line "Packaging Styrofoam: YA") and doesn't
+ *   say "tidak", or an item is the packaging itself; "Packaging Styrofoam: 2 box" sets the number of packages
+ * - the lines are saved on the order (Orders.packaging_json), so later rule changes don't change existing orders
+ */
+
+import { getPackagingRules } from '../repos/packaging-rules.repo.js';
+import { getProductVariants, normalizeVariantName, toSkuCode } from '../repos/product-variants.repo.js';
+import { getPriceList } from '../repos/price-list.repo.js';
+import { getUnitPriceFromPriceList } from './price-calculator.js';
+import { resolveOrderItem } from './item-resolver.js';
+
+// Words in a note that decline the packaging ("Packaging Styrofoam: TIDAK")
+const DECLINE_WORDS = ['tidak', 'tdk', 'no', 'nggak', 'gak'];
+
+/**
+ * Check whether normalized text contains a normalized phrase as whole words
+ */
+function hasPhrase(text, phrase) {
+  return !!phrase && ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Check whether a text (note or item name) names the packaging of a rule
+ */
+function namesRule(text, rule) {
+  const normalized = normalizeVariantName(text);
+  return [rule.key, ...rule.aliases].some(phrase => hasPhrase(normalized, phrase));
+}
+
+/**
+ * Check whether an item is the packaging of a rule itself (e.g. "1 x Packaging Styrofoam")
+ */
+function isRulePackagingItem(item, rules) {
+  const name = normalizeVariantName(item.name);
+  return rules.some(rule => hasPhrase(name, rule.key));
+}
+
+/**
+ * Get the SKU of an order item
+ * Items saved before product variants have no SKU: they are resolved by name (falls back to a code of the name)
+ */
+function getItemSku(item, products, priceList) {
+  if (item.sku) {
+    return String(item.sku).toUpperCase();
+  }
+  const { line } = resolveOrderItem(item, products, priceList);
+  return (line.sku || toSkuCode(item.name)).toUpperCase();
+}
+
+/**
+ * Check whether a rule applies to a SKU ("DWT-M" matches "DWT-M" and "DWT-M+NGK", "DWT" matches "DWT-M")
+ */
+function ruleAppliesToSku(rule, sku) {
+  return rule.appliesTo.some(code =>
+    code === '*' || sku === code || sku.startsWith(`${code}-`) || sku.startsWith(`${code}+`)
+  );
+}
+
+/**
+ * Read what the notes say about an opt-in rule
+ * @returns {{requested: boolean, packagesOverride: number|null}} packagesOverride from "N box"
+ */
+function readPackagingNotes(notes, rule) {
+  let requested = false;
+  let packagesOverride = null;
+
+  for (const note of notes || []) {
+    const text = String(note || '');
+    if (!namesRule(text, rule)) {
+      continue;
+    }
+
+    // The template line's own "(1 box Rp40.000 untuk 50 cup)" is not a box count
+    const boxCountMatch = text.replace(/\([^)]*\)/g, ' ').match(/(\d+)\s*box/i);
+    if (boxCountMatch) {
+      packagesOverride = parseInt(boxCountMatch[1], 10);
+    }
+
+    const normalized = normalizeVariantName(text);
+    if (!DECLINE_WORDS.some(word => hasPhrase(normalized, word))) {
+      requested = true;
+    }
+  }
+
+  return { requested, packagesOverride };
+}
+
+/**
+ * Get the price of one package of a rule
+ */
+function getPackagePrice(rule, priceList) {
+  if (rule.price !== null) {
+    return rule.price;
+  }
+  const price = getUnitPriceFromPriceList(rule.priceItem, priceList || {});
+  if (price === null) {
+    console.warn(`⚠️ [PACKAGING] PriceList item "${rule.priceItem}" of ${rule.name} not found - charging Rp 0`);
+    return 0;
+  }
+  return price;
+}
+
+/**
+ * Calculate the packaging of an order
+ * @param {Array} items - Order items ({ name, quantity, sku? })
+ * @param {Array} notes - Order notes
+ * @param {Object} context - { rules, products, priceList } (getPackagingRules, getProductVariants, getPriceList)
+ * @returns {{lines: Array, packagingFee: number}} One line per charged rule (see file header)
+ */
+export function calculatePackaging(items, notes, { rules, products = [], priceList = {} }) {
+  const lines = [];
+  const productItems = (items || []).filter(item => !isRulePackagingItem(item, rules));
+  const skus = productItems.map(item => ({
+    sku: getItemSku(item, products, priceList),
+    quantity: parseInt(item.quantity, 10) || 0,
+  }));
+
+  for (const rule of rules) {
+    const units = skus
+      .filter(({ sku }) => ruleAppliesToSku(rule, sku))
+      .reduce((sum, { quantity }) => sum + quantity, 0);
+
+    let packages;
+    let packagesOverride = null;
+    if (rule.optIn) {
+      const fromNotes = readPackagingNotes(notes, rule);
+      const inItems = (items || []).some(item => hasPhrase(normalizeVariantName(item.name), rule.key));
+      if (!fromNotes.requested && !inItems && fromNotes.packagesOverride === null) {
+        continue;
+      }
+      packagesOverride = fromNotes.packagesOverride;
+      packages = packagesOverride !== null
+        ? packagesOverride
+        : Math.max(1, Math.ceil(units / rule.unitsPerPackage));
+    } else {
+      packages = Math.ceil(units / rule.unitsPerPackage);
+    }
+
+    if (packages <= 0) {
+      continue;
+    }
+
+    const unitPrice = getPackagePrice(rule, priceList);
+    lines.push({
+      name: rule.name,
+      quantity: packages,
+      units,
+      units_per_package: rule.unitsPerPackage,
+      unit: rule.unit,
+      unit_price: unitPrice,
+      total: packages * unitPrice,
+      ...(packagesOverride !== null && { override: true }),
+    });
+    console.log(`🔍 [PACKAGING] ${rule.name}: ${units} unit(s) → ${packages} package(s)${packagesOverride !== null ? ' (override)' : ''}, Rp ${packages * unitPrice}`);
+  }
+
+  return { lines, packagingFee: getPackagingFee(lines) };
+}
+
+/**
+ * Calculate the packaging of an order with the current rules
+ * @param {Object} order - Order (items, notes)
+ * @param {Object|null} priceList - Price list (fetched if not given)
+ * @returns {Promise<{lines: Array, packagingFee: number}>}
+ */
+export async function calculateOrderPackaging(order, priceList = null) {
+  const [rules, products, prices] = await Promise.all([
+    getPackagingRules(),
+    getProductVariants(),
+    priceList ? Promise.resolve(priceList) : getPriceList(),
+  ]);
+  return calculatePackaging(order.items || [], order.notes || [], { rules, products, priceList: prices });
+}
+
+/**
+ * Sum the totals of packaging lines
+ * @param {Array} lines - Packaging lines
+ * @returns {number} Packaging fee
+ */
+export function getPackagingFee(lines) {
+  return (lines || []).reduce((sum, line) => sum + (parseFloat(line.total) || 0), 0);
+}
+
+/**
+ * Get the packaging lines saved on an order (no sheet reads)
+ * Orders saved before packaging rules only have packaging_fee: it is shown as one "Packaging" line.
+ * @param {Object} order - Order (packaging, packaging_fee)
+ * @returns {Array} Packaging lines
+ */
+export function getSavedPackagingLines(order) {
+  if (Array.isArray(order.packaging)) {
+    return order.packaging;
+  }
+  const packagingFee = parseFloat(order.packaging_fee) || 0;
+  return packagingFee > 0
+    ? [{ name: 'Packaging', quantity: 1, units: 0, units_per_package: 1, unit: '', unit_price: packagingFee, total: packagingFee }]
+    : [];
+}
+
+/**
+ * Get the packaging lines of an order
+ * Saved lines are used as they are; orders without them (new orders before saving, orders saved before
+ * packaging rules) are calculated with the current rules. A saved packaging_fee the rules no longer give
+ * wins (one "Packaging" line), so the lines always add up to the order total.
+ * @param {Object} order - Order
+ * @param {Object|null} priceList - Price list (fetched if needed and not given)
+ * @returns {Promise<Array>} Packaging lines
+ */
+export async function getOrderPackaging(order, priceList = null) {
+  if (Array.isArray(order.packaging)) {
+    return order.packaging;
+  }
+  const { lines, packagingFee } = await calculateOrderPackaging(order, priceList);
+  const hasSavedFee = order.packaging_fee !== undefined && order.packaging_fee !== null && order.packaging_fee !== '';
+  if (hasSavedFee && packagingFee !== (parseFloat(order.packaging_fee) || 0)) {
+    return getSavedPackagingLines(order);
+  }
+  return lines;
+}
+
+/**
+ * Format the display name of a packaging line ("Packaging Styrofoam (50 cup)")
+ * @param {Object} line - Packaging line
+ * @returns {string} Name
+ */
+export function formatPackagingLineName(line) {
+  return line.units_per_package > 1 && line.unit
+    ? `${line.name} (${line.units_per_package} ${line.unit})`
+    : line.name;
+}
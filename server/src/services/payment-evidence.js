@@ -0,0 +1,110 @@
+/**
+ * Payment Evidence
+ * Stores transfer proofs uploaded from the dashboard in Telegram, like evidence sent to the bot
+ *
+ * The file is posted to PAYMENT_EVIDENCE_CHAT_ID (default: the first ADMIN_TELEGRAM_USER_IDS admin) and
+ * its Telegram file_id is saved in Payment_History.proof_file_id, so bot and dashboard payments keep their
+ * evidence the same way.
+ */
+
+import { getEnv } from '../config/env.js';
+import { getCurrentTenant, getTenantAdminIds } from '../config/tenant-context.js';
+import { sendTelegramMedia, downloadTelegramFile } from './telegramService.js';
+
+// Upload limit for evidence files (Telegram bots can send documents up to 50 MB, photos up to 10 MB)
+export const MAX_EVIDENCE_BYTES = 10 * 1024 * 1024;
+
+// Accepted evidence types → file extension
+const EVIDENCE_MIME_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+// File extension → Content-Type when downloading evidence
+const EXTENSION_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Check if a MIME type is accepted as payment evidence
+ * @param {string} mimeType - Upload Content-Type
+ * @returns {boolean} True for JPEG/PNG/WebP images and PDF
+ */
+export function isAllowedEvidenceType(mimeType) {
+  return Boolean(EVIDENCE_MIME_TYPES[String(mimeType || '').split(';')[0].trim().toLowerCase()]);
+}
+
+/**
+ * Get the Telegram chat that receives dashboard evidence uploads
+ * @returns {string|null} PAYMENT_EVIDENCE_CHAT_ID (default tenant only), or the tenant's first admin ID,
+ *   or null if neither is set
+ */
+export function getEvidenceChatId() {
+  const configured = String(getEnv('PAYMENT_EVIDENCE_CHAT_ID', '') || '').trim();
+  if (configured && getCurrentTenant().isDefault) {
+    return configured;
+  }
+  const [firstAdmin] = getTenantAdminIds();
+  return firstAdmin ? String(firstAdmin) : null;
+}
+
+/**
+ * Upload payment evidence to Telegram
+ * @param {string} orderId - Order ID (shown in the caption)
+ * @param {Object} file - { buffer: Buffer, mimeType: string }
+ * @param {Object} uploader - { name } (shown in the caption)
+ * @returns {Promise<{fileId: string, evidenceType: string}>} Telegram file_id and 'photo' | 'document'
+ */
+export async function uploadPaymentEvidence(orderId, file, uploader = {}) {
+  const mimeType = String(file.mimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = EVIDENCE_MIME_TYPES[mimeType];
+  if (!extension) {
+    throw new Error(`Unsupported evidence type: ${mimeType || 'unknown'}`);
+  }
+
+  const chatId = getEvidenceChatId();
+  if (!chatId) {
+    throw new Error('No chat for payment evidence: set PAYMENT_EVIDENCE_CHAT_ID or ADMIN_TELEGRAM_USER_IDS');
+  }
+
+  // Photos are recompressed by Telegram; PDFs and large images are kept as documents
+  const evidenceType = mimeType.startsWith('image/') && file.buffer.length <= 5 * 1024 * 1024 ? 'photo' : 'document';
+  const result = await sendTelegramMedia(chatId, {
+    kind: evidenceType,
+    buffer: file.buffer,
+    mimeType,
+    filename: `bukti-${orderId.replace(/\//g, '-')}.${extension}`,
+    caption: `🧾 Bukti pembayaran ${orderId}\nDiunggah dari dashboard${uploader.name ? ` oleh ${uploader.name}` : ''}`,
+  });
+
+  const fileId = evidenceType === 'photo'
+    ? result?.photo?.[result.photo.length - 1]?.file_id
+    : result?.document?.file_id;
+  if (!fileId) {
+    throw new Error('Telegram did not return a file ID for the evidence');
+  }
+
+  console.log(`✅ [PAYMENT_EVIDENCE] Evidence for order ${orderId} stored in Telegram (${evidenceType})`);
+  return { fileId, evidenceType };
+}
+
+/**
+ * Download payment evidence from Telegram
+ * @param {string} fileId - Payment_History.proof_file_id
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>} File content and type
+ */
+export async function downloadPaymentEvidence(fileId) {
+  const { buffer, filePath } = await downloadTelegramFile(fileId);
+  const extension = (filePath.split('.').pop() || '').toLowerCase();
+  return {
+    buffer,
+    contentType: EXTENSION_CONTENT_TYPES[extension] || 'application/octet-stream',
+    extension,
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Payment Policy
+ * Single source of truth for DP percentage, full-payment cutoff and minimum order value for DP
+ *
+ * Precedence (highest first):
+ * 1. Settings sheet (dp_percentage, full_payment_cutoff_days, min_dp_order_amount)
+ * 2. Env vars (PAYMENT_DP_PERCENTAGE, PAYMENT_FULL_CUTOFF_DAYS, PAYMENT_MIN_DP_ORDER_AMOUNT)
+ * 3. PAYMENT_THRESHOLDS defaults (50%, H-4, no minimum)
+ *
+ * Message formatters are synchronous, so getPaymentPolicy() returns the last loaded policy
+ * and refreshes it from the Settings sheet in the background once the cache expires.
+ */
+
+import { getSettings } from '../repos/settings.repo.js';
+import { getEnv } from '../config/env.js';
+import { PAYMENT_THRESHOLDS, PAYMENT_SETTING_KEYS, CACHE_TTL } from '../utils/constants.js';
+import { createTenantState } from '../config/tenant-context.js';
+
+// Payment policy cache - per tenant
+const getPaymentPolicyCacheState = createTenantState(() => ({
+  cache: null, // { policy: Object, fetchedAtMs: number }
+  inflight: null, // Promise<Object> (single-flight pattern)
+}));
+
+/**
+ * Parse a percentage ("50", "50%", "0.5") into a fraction (0.5)
+ * @returns {number|null} Fraction between 0 (exclusive) and 1 (inclusive), or null if invalid
+ */
+function parsePercentage(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  const value = parseFloat(String(raw).replace('%', '').replace(',', '.').trim());
+  if (isNaN(value) || value <= 0) return null;
+  const fraction = value > 1 ? value / 100 : value;
+  return fraction <= 1 ? fraction : null;
+}
+
+/**
+ * Parse a non-negative integer ("4", "500.000", "Rp 500.000")
+ * @returns {number|null} Parsed integer or null if invalid
+ */
+function parseNonNegativeInt(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  const value = parseInt(String(raw).replace(/rp/gi, '').replace(/[\s.,]/g, ''), 10);
+  return isNaN(value) || value < 0 ? null : value;
+}
+
+/**
+ * Merge one source of policy values over a base policy, ignoring invalid values
+ */
+function mergePolicy(base, source, sourceName) {
+  const policy = { ...base };
+
+  const dpPercentage = parsePercentage(source.dpPercentage);
+  if (dpPercentage !== null) {
+    policy.dpPercentage = dpPercentage;
+  } else if (source.dpPercentage) {
+    console.warn(`⚠️ [PAYMENT_POLICY] Ignoring invalid DP percentage "${source.dpPercentage}" from ${sourceName}`);
+  }
+
+  const cutoffDays = parseNonNegativeInt(source.fullPaymentCutoffDays);
+  if (cutoffDays !== null) {
+    policy.fullPaymentCutoffDays = cutoffDays;
+  } else if (source.fullPaymentCutoffDays) {
+    console.warn(`⚠️ [PAYMENT_POLICY] Ignoring invalid full payment cutoff "${source.fullPaymentCutoffDays}" from ${sourceName}`);
+  }
+
+  const minDpOrderAmount = parseNonNegativeInt(source.minDpOrderAmount);
+  if (minDpOrderAmount !== null) {
+    policy.minDpOrderAmount = minDpOrderAmount;
+  } else if (source.minDpOrderAmount) {
+    console.warn(`⚠️ [PAYMENT_POLICY] Ignoring invalid minimum DP order amount "${source.minDpOrderAmount}" from ${sourceName}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Get policy from defaults and env vars (no Settings sheet)
+ * @returns {Object} { dpPercentage, fullPaymentCutoffDays, minDpOrderAmount }
+ */
+function getConfigPolicy() {
+  const defaults = {
+    dpPercentage: PAYMENT_THRESHOLDS.DP_PERCENTAGE,
+    fullPaymentCutoffDays: PAYMENT_THRESHOLDS.FULL_PAYMENT_CUTOFF_DAYS,
+    minDpOrderAmount: PAYMENT_THRESHOLDS.MIN_DP_ORDER_AMOUNT,
+  };
+
+  return mergePolicy(defaults, {
+    dpPercentage: getEnv('PAYMENT_DP_PERCENTAGE', ''),
+    fullPaymentCutoffDays: getEnv('PAYMENT_FULL_CUTOFF_DAYS', ''),
+    minDpOrderAmount: getEnv('PAYMENT_MIN_DP_ORDER_AMOUNT', ''),
+  }, 'env');
+}
+
+/**
+ * Load payment policy from the Settings sheet (over config defaults)
+ * Falls back to config policy if the sheet cannot be read
+ * @returns {Promise<Object>} Policy { dpPercentage, fullPaymentCutoffDays, minDpOrderAmount }
+ */
+export async function loadPaymentPolicy() {
+  const cacheState = getPaymentPolicyCacheState();
+  if (cacheState.inflight) {
+    return await cacheState.inflight;
+  }
+
+  const fetchPromise = (async () => {
+    try {
+      const settings = await getSettings();
+      const policy = mergePolicy(getConfigPolicy(), {
+        dpPercentage: settings[PAYMENT_SETTING_KEYS.DP_PERCENTAGE],
+        fullPaymentCutoffDays: settings[PAYMENT_SETTING_KEYS.FULL_PAYMENT_CUTOFF_DAYS],
+        minDpOrderAmount: settings[PAYMENT_SETTING_KEYS.MIN_DP_ORDER_AMOUNT],
+      }, 'Settings sheet');
+
+      cacheState.cache = { policy, fetchedAtMs: Date.now() };
+      return policy;
+    } catch (error) {
+      console.error('❌ [PAYMENT_POLICY] Error loading payment policy:', error.message);
+      return cacheState.cache?.policy || getConfigPolicy();
+    } finally {
+      cacheState.inflight = null;
+    }
+  })();
+
+  cacheState.inflight = fetchPromise;
+
+  return await fetchPromise;
+}
+
+/**
+ * Get current payment policy (synchronous)
+ * Returns the last loaded policy (or config policy before the first load)
+ * and triggers a background reload when the cache is stale
+ * @returns {Object} Policy { dpPercentage, fullPaymentCutoffDays, minDpOrderAmount }
+ */
+export function getPaymentPolicy() {
+  const cacheState = getPaymentPolicyCacheState();
+  const isStale = !cacheState.cache || (Date.now() - cacheState.cache.fetchedAtMs) >= CACHE_TTL.SETTINGS;
+  if (isStale && !cacheState.inflight) {
+    loadPaymentPolicy().catch(() => {}); // Errors are logged in loadPaymentPolicy
+  }
+  return cacheState.cache?.policy || getConfigPolicy();
+}
+
+/**
+ * Get DP percentage for display (e.g. 50)
+ * @param {Object} policy - Payment policy (optional, defaults to current policy)
+ * @returns {number} Percentage (0-100)
+ */
+export function getDPPercentageLabel(policy = getPaymentPolicy()) {
+  return Math.round(policy.dpPercentage * 10000) / 100;
+}
+
+/**
+ * Get the last day before delivery (H-N) on which an unpaid order can still be paid
+ * Orders not fully paid by then are auto-cancelled by the reminder job
+ * @param {Object} policy - Payment policy (optional, defaults to current policy)
+ * @returns {number} Days before delivery
+ */
+export function getPaymentDeadlineDays(policy = getPaymentPolicy()) {
+  return Math.max(policy.fullPaymentCutoffDays - 1, 0);
+}
+
+/**
+ * Check whether an order must be paid in full instead of DP
+ * @param {number|null} daysUntil - Days until delivery (null if unknown)
+ * @param {number} totalAmount - Order total (0 if not known yet)
+ * @param {Object} policy - Payment policy (optional, defaults to current policy)
+ * @returns {boolean} True if full payment is required
+ */
+export function requiresFullPayment(daysUntil, totalAmount, policy = getPaymentPolicy()) {
+  if (daysUntil !== null && daysUntil !== undefined && daysUntil <= policy.fullPaymentCutoffDays) {
+    return true;
+  }
+  return totalAmount > 0 && totalAmount < policy.minDpOrderAmount;
+}
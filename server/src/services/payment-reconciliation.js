@@ -0,0 +1,438 @@
+/**
+ * Payment Reconciliation
+ * Matches bank statement credits (BCA/Mandiri CSV exports) to open orders and records the confirmed
+ * matches as payments - the bulk alternative to /pay and transfer screenshots.
+ *
+ * Flow (dashboard upload or Telegram document):
+ * 1. proposeReconciliation() parses the CSV and proposes an order per credit:
+ *    - reference: the transfer description contains an order ID (DKM/20261019/000001, DKM20261019000001, ...)
+ *    - amount: exactly one open order expects this amount (remaining balance, or the DP of an unpaid order)
+ *      within its order → event date window; the customer name in the description breaks ties
+ *    Lines matching several orders are AMBIGUOUS (admin picks), lines matching none are UNMATCHED.
+ *    A reference match to an order that is already paid, or with an unexpected amount, is NEEDS_REVIEW:
+ *    it is only recorded when the admin selects it.
+ * 2. The batch is kept in the state store (RECONCILIATION_TTL_MS) for review.
+ * 3. confirmReconciliation() records each confirmed line through recordOrderPayment()
+ *    (createPaymentRecord + recalculateOrderPaymentSummary, same as dashboard payments).
+ *
+ * Recorded lines are tagged in proof_caption ([bank:<fingerprint>]), so importing an overlapping statement
+ * again marks them ALREADY_RECORDED instead of paying an order twice.
+ */
+
+import { randomBytes } from 'crypto';
+import { getAllOrders } from '../repos/orders.repo.js';
+import { getPaymentProofCaptions } from '../repos/payment-history.repo.js';
+import { saveReconciliationBatch, getReconciliationBatch, acquireLock, releaseLock } from '../state/store.js';
+import { parseBankStatementCsv, BANKS } from './bank-statement-parser.js';
+import { recordOrderPayment } from './order-lifecycle.js';
+import { toISODateJakarta } from '../utils/date-utils.js';
+import { normalizeOrderId } from '../utils/sheets-helpers.js';
+import { formatOrderId, getOrderIdPrefix } from '../utils/order-id.js';
+import { ORDER_STATUS } from '../utils/constants.js';
+
+/**
+ * Status of a statement line
+ */
+export const RECONCILIATION_LINE_STATUS = {
+  MATCHED: 'matched', // One proposed order (recorded on confirm unless deselected)
+  NEEDS_REVIEW: 'needs_review', // Order ID found, but the order is paid or the amount differs - recorded only when selected
+  AMBIGUOUS: 'ambiguous', // Several candidate orders, admin picks one
+  UNMATCHED: 'unmatched', // No open order found - check manually
+  ALREADY_RECORDED: 'already_recorded', // Recorded by an earlier import
+  RECORDED: 'recorded', // Recorded by this batch
+  FAILED: 'failed', // Recording failed (see error)
+};
+
+/**
+ * How a line was matched
+ */
+export const RECONCILIATION_MATCH_TYPES = {
+  REFERENCE: 'reference', // Order ID in the transfer description
+  AMOUNT: 'amount', // Only open order expecting this amount
+  AMOUNT_NAME: 'amount_name', // Several orders expect this amount, customer name in the description
+  MANUAL: 'manual', // Picked by the admin
+};
+
+/**
+ * Why a line was not matched, or what to check on a match
+ */
+export const RECONCILIATION_REASONS = {
+  ORDER_NOT_FOUND: 'order_not_found', // Referenced order does not exist
+  ORDER_CANCELLED: 'order_cancelled', // Referenced order is cancelled
+  NO_MATCHING_ORDER: 'no_matching_order', // No open order expects this amount around this date
+  AMOUNT_DIFFERS: 'amount_differs', // Reference match, amount is not what the order expects (needs review)
+  ORDER_ALREADY_PAID: 'order_already_paid', // Reference match, order has no balance left (needs review)
+};
+
+/**
+ * Error codes of failed reconciliation actions
+ */
+export const RECONCILIATION_ERRORS = {
+  INVALID_FILE: 'invalid_file',
+  NOT_FOUND: 'not_found',
+  BUSY: 'busy', // Another confirmation of the same batch is running
+  VALIDATION_FAILED: 'validation_failed',
+};
+
+// Largest statement file accepted (a month of mutations is far below this)
+export const MAX_STATEMENT_BYTES = 2 * 1024 * 1024;
+
+// Days after the event date a transfer is still matched by amount (payment of the remaining balance)
+const MAX_DAYS_AFTER_EVENT = 30;
+
+// Candidate orders listed for an ambiguous line
+const MAX_CANDIDATES = 5;
+
+/**
+ * Check whether an uploaded file looks like a bank statement export
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True for CSV files
+ */
+export function isBankStatementFile(fileName, mimeType) {
+  return /\.csv$/i.test(String(fileName || '')) || /^(text\/csv|application\/csv|text\/comma-separated-values)/i.test(String(mimeType || ''));
+}
+
+/**
+ * Tag written to proof_caption so a statement line is recognized when imported again
+ * @param {string} fingerprint - Statement line fingerprint (bank-statement-parser.js)
+ */
+function getBankReferenceTag(fingerprint) {
+  return `[bank:${fingerprint}]`;
+}
+
+/**
+ * Find an order ID in a transfer description
+ * Banks drop or replace the slashes: "DKM20261019000001", "DKM 20261019 000001", "DKM-20261019-000001"
+ * @param {string} description - Transfer description
+ * @returns {string|null} Order ID (<tenant prefix>/YYYYMMDD/NNNNNN) or null
+ */
+export function findOrderReference(description) {
+  const pattern = new RegExp(`${getOrderIdPrefix()}[\\s/\\-_.]*(\\d{8})[\\s/\\-_.]*(\\d{6})(?!\\d)`, 'i');
+  const match = String(description || '').match(pattern);
+  return match ? formatOrderId(match[1], match[2]) : null;
+}
+
+/**
+ * Amount still expected for an order
+ */
+function getOutstandingAmount(order) {
+  const total = order.total_amount || order.final_total || 0;
+  const paid = order.paid_amount || 0;
+  return order.remaining_balance > 0 ? order.remaining_balance : Math.max(0, total - paid);
+}
+
+/**
+ * Amounts a transfer for an order can have: the outstanding balance, or the DP if nothing was paid yet
+ */
+function getExpectedAmounts(order) {
+  const amounts = [getOutstandingAmount(order)];
+  if (!(order.paid_amount > 0) && order.dp_min_amount > 0) {
+    amounts.push(order.dp_min_amount);
+  }
+  return amounts.filter(amount => amount > 0);
+}
+
+/**
+ * Check whether a transfer date fits an order (from the day before it was created until after the event)
+ */
+function isWithinOrderWindow(order, date) {
+  const createdDate = toISODateJakarta(order.created_at ? new Date(order.created_at) : null);
+  if (createdDate && date < shiftDate(createdDate, -1)) {
+    return false;
+  }
+  const eventDate = toISODateJakarta(order.event_date);
+  return !eventDate || date <= shiftDate(eventDate, MAX_DAYS_AFTER_EVENT);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function shiftDate(dateISO, days) {
+  const date = new Date(`${dateISO}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether the customer's name appears in the transfer description (banks show the sender name)
+ */
+function descriptionMentionsCustomer(description, order) {
+  const text = String(description || '').toLowerCase();
+  const nameParts = String(order.customer_name || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(part => part.length >= 3);
+  return nameParts.length > 0 && nameParts.some(part => text.includes(part));
+}
+
+/**
+ * Order summary shown with a proposed match or candidate
+ */
+function toCandidate(order) {
+  return {
+    orderId: order.id,
+    customerName: order.customer_name,
+    eventDate: order.event_date,
+    totalAmount: order.total_amount || order.final_total || 0,
+    outstandingAmount: getOutstandingAmount(order),
+    paymentStatus: order.payment_status,
+  };
+}
+
+/**
+ * Propose an order for one credit
+ * @param {Object} credit - { date, amount, description }
+ * @param {Array} orders - All orders
+ * @param {Set<string>} claimedOrderIds - Orders already proposed for an earlier line (by amount)
+ * @returns {Object} Match fields of the line { status, matchType, orderId, candidates, reasons }
+ */
+function matchCredit(credit, orders, claimedOrderIds) {
+  const reference = findOrderReference(credit.description);
+  if (reference) {
+    const order = orders.find(o => normalizeOrderId(o.id) === normalizeOrderId(reference));
+    if (!order) {
+      return { status: RECONCILIATION_LINE_STATUS.UNMATCHED, reference, reasons: [RECONCILIATION_REASONS.ORDER_NOT_FOUND] };
+    }
+    if (String(order.status || '').toLowerCase() === ORDER_STATUS.CANCELLED) {
+      return { status: RECONCILIATION_LINE_STATUS.UNMATCHED, reference, candidates: [toCandidate(order)], reasons: [RECONCILIATION_REASONS.ORDER_CANCELLED] };
+    }
+
+    const reasons = [];
+    if (getOutstandingAmount(order) <= 0) {
+      reasons.push(RECONCILIATION_REASONS.ORDER_ALREADY_PAID);
+    } else if (!getExpectedAmounts(order).includes(credit.amount)) {
+      reasons.push(RECONCILIATION_REASONS.AMOUNT_DIFFERS);
+    }
+    return {
+      status: reasons.length > 0 ? RECONCILIATION_LINE_STATUS.NEEDS_REVIEW : RECONCILIATION_LINE_STATUS.MATCHED,
+      matchType: RECONCILIATION_MATCH_TYPES.REFERENCE,
+      reference,
+      orderId: order.id,
+      candidates: [toCandidate(order)],
+      reasons,
+    };
+  }
+
+  const candidates = orders.filter(order =>
+    !claimedOrderIds.has(order.id) &&
+    String(order.status || '').toLowerCase() !== ORDER_STATUS.CANCELLED &&
+    getExpectedAmounts(order).includes(credit.amount) &&
+    isWithinOrderWindow(order, credit.date)
+  );
+
+  if (candidates.length === 0) {
+    return { status: RECONCILIATION_LINE_STATUS.UNMATCHED, reasons: [RECONCILIATION_REASONS.NO_MATCHING_ORDER] };
+  }
+  if (candidates.length === 1) {
+    return {
+      status: RECONCILIATION_LINE_STATUS.MATCHED,
+      matchType: RECONCILIATION_MATCH_TYPES.AMOUNT,
+      orderId: candidates[0].id,
+      candidates: [toCandidate(candidates[0])],
+      reasons: [],
+    };
+  }
+
+  const nameMatches = candidates.filter(order => descriptionMentionsCustomer(credit.description, order));
+  if (nameMatches.length === 1) {
+    return {
+      status: RECONCILIATION_LINE_STATUS.MATCHED,
+      matchType: RECONCILIATION_MATCH_TYPES.AMOUNT_NAME,
+      orderId: nameMatches[0].id,
+      candidates: [toCandidate(nameMatches[0])],
+      reasons: [],
+    };
+  }
+
+  // Nearest event date first
+  const byEventDate = (nameMatches.length > 1 ? nameMatches : candidates)
+    .map(order => ({ order, distance: Math.abs(new Date(toISODateJakarta(order.event_date) || credit.date) - new Date(credit.date)) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ order }) => toCandidate(order));
+
+  return { status: RECONCILIATION_LINE_STATUS.AMBIGUOUS, candidates: byEventDate, reasons: [] };
+}
+
+/**
+ * Count lines per status
+ * @param {Array} lines - Batch lines
+ * @returns {Object} { credits, totalAmount, matched, needsReview, ambiguous, unmatched, alreadyRecorded, recorded, failed }
+ */
+export function summarizeReconciliation(lines) {
+  const count = (status) => lines.filter(line => line.status === status).length;
+  return {
+    credits: lines.length,
+    totalAmount: lines.reduce((sum, line) => sum + line.amount, 0),
+    matched: count(RECONCILIATION_LINE_STATUS.MATCHED),
+    needsReview: count(RECONCILIATION_LINE_STATUS.NEEDS_REVIEW),
+    ambiguous: count(RECONCILIATION_LINE_STATUS.AMBIGUOUS),
+    unmatched: count(RECONCILIATION_LINE_STATUS.UNMATCHED),
+    alreadyRecorded: count(RECONCILIATION_LINE_STATUS.ALREADY_RECORDED),
+    recorded: count(RECONCILIATION_LINE_STATUS.RECORDED),
+    failed: count(RECONCILIATION_LINE_STATUS.FAILED),
+  };
+}
+
+/**
+ * Parse a bank statement and propose an order for every credit
+ * @param {string} csvText - CSV file content
+ * @param {Object} options - { fileName, uploadedBy: { actorId, source } }
+ * @returns {Promise<Object>} { success: true, batch } or { success: false, errorCode, error }
+ */
+export async function proposeReconciliation(csvText, options = {}) {
+  let statement;
+  try {
+    statement = parseBankStatementCsv(csvText, { fileName: options.fileName });
+  } catch (error) {
+    return { success: false, errorCode: RECONCILIATION_ERRORS.INVALID_FILE, error: error.message };
+  }
+  if (statement.credits.length === 0) {
+    return { success: false, errorCode: RECONCILIATION_ERRORS.INVALID_FILE, error: 'The statement has no credit transactions' };
+  }
+
+  // Every order (Orders cache) - a limit would keep the oldest rows and leave new orders unmatched
+  const [orders, proofCaptions] = await Promise.all([
+    getAllOrders(Infinity),
+    getPaymentProofCaptions(),
+  ]);
+
+  const claimedOrderIds = new Set();
+  const lines = statement.credits.map(credit => {
+    // Every line has the same fields (unset ones are null) so the dashboard can rely on them
+    const emptyMatch = { matchType: null, reference: null, orderId: null, candidates: [], reasons: [] };
+    if (proofCaptions.some(caption => caption.includes(getBankReferenceTag(credit.fingerprint)))) {
+      return { ...credit, ...emptyMatch, status: RECONCILIATION_LINE_STATUS.ALREADY_RECORDED };
+    }
+    const match = matchCredit(credit, orders, claimedOrderIds);
+    if (match.matchType === RECONCILIATION_MATCH_TYPES.AMOUNT || match.matchType === RECONCILIATION_MATCH_TYPES.AMOUNT_NAME) {
+      claimedOrderIds.add(match.orderId);
+    }
+    return { ...credit, ...emptyMatch, ...match };
+  });
+
+  const batch = {
+    id: randomBytes(6).toString('hex'),
+    bank: statement.bank,
+    accountNumber: statement.accountNumber,
+    period: statement.period,
+    fileName: options.fileName || '',
+    debitCount: statement.debitCount,
+    createdAt: new Date().toISOString(),
+    createdBy: String(options.uploadedBy?.actorId || ''),
+    confirmedAt: null,
+    lines,
+    summary: summarizeReconciliation(lines),
+  };
+  await saveReconciliationBatch(batch);
+
+  console.log(`✅ [RECONCILIATION] Batch ${batch.id} (${batch.bank}): ${batch.summary.credits} credit(s), ${batch.summary.matched} matched, ${batch.summary.needsReview} to review, ${batch.summary.ambiguous} ambiguous, ${batch.summary.unmatched} unmatched`);
+  return { success: true, batch };
+}
+
+/**
+ * Get a reconciliation batch
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Batch or null (unknown or expired)
+ */
+export async function getReconciliation(batchId) {
+  return await getReconciliationBatch(batchId);
+}
+
+/**
+ * Record the confirmed lines of a batch as payments
+ * @param {string} batchId - Batch ID
+ * @param {Array|null} selections - [{ lineNumber, orderId }] to record; null = every MATCHED line with its proposed order
+ *   (NEEDS_REVIEW lines are never included by default)
+ * @param {Object} audit - { actorId, source }
+ * @returns {Promise<Object>} { success: true, batch, recorded, failed } or { success: false, errorCode, error }
+ */
+export async function confirmReconciliation(batchId, selections, audit = {}) {
+  const lockName = `reconciliation:${batchId}`;
+  const lockToken = await acquireLock(lockName);
+  if (!lockToken) {
+    return { success: false, errorCode: RECONCILIATION_ERRORS.BUSY, error: 'This statement is already being recorded' };
+  }
+
+  try {
+    const batch = await getReconciliationBatch(batchId);
+    if (!batch) {
+      return { success: false, errorCode: RECONCILIATION_ERRORS.NOT_FOUND, error: 'Reconciliation not found or expired' };
+    }
+
+    const confirmed = selections
+      ? selections.map(selection => ({ lineNumber: Number(selection.lineNumber), orderId: String(selection.orderId || '').trim() }))
+      : batch.lines
+        .filter(line => line.status === RECONCILIATION_LINE_STATUS.MATCHED)
+        .map(line => ({ lineNumber: line.lineNumber, orderId: line.orderId }));
+
+    for (const selection of confirmed) {
+      const line = batch.lines.find(l => l.lineNumber === selection.lineNumber);
+      if (!line) {
+        return { success: false, errorCode: RECONCILIATION_ERRORS.VALIDATION_FAILED, error: `Unknown statement line ${selection.lineNumber}` };
+      }
+      if (!selection.orderId) {
+        return { success: false, errorCode: RECONCILIATION_ERRORS.VALIDATION_FAILED, error: `Line ${selection.lineNumber} has no order` };
+      }
+    }
+
+    // Another batch (same statement uploaded twice) may have recorded lines since this one was proposed
+    const proofCaptions = await getPaymentProofCaptions();
+    const bankName = batch.bank === BANKS.OTHER ? 'bank' : batch.bank.toUpperCase();
+    const recorded = [];
+    const failed = [];
+
+    for (const selection of confirmed) {
+      const line = batch.lines.find(l => l.lineNumber === selection.lineNumber);
+      const tag = getBankReferenceTag(line.fingerprint);
+      if (line.status === RECONCILIATION_LINE_STATUS.RECORDED || proofCaptions.some(caption => caption.includes(tag))) {
+        if (line.status !== RECONCILIATION_LINE_STATUS.RECORDED) {
+          line.status = RECONCILIATION_LINE_STATUS.ALREADY_RECORDED;
+        }
+        continue;
+      }
+
+      try {
+        const result = await recordOrderPayment(
+          selection.orderId,
+          {
+            amount: line.amount,
+            method: 'transfer',
+            paymentDate: line.date,
+            note: `Rekonsiliasi mutasi ${bankName} ${line.date}: ${line.description}`,
+            proofCaption: `Mutasi ${bankName} ${line.date} ${tag}`,
+          },
+          audit
+        );
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        if (selection.orderId !== line.orderId) {
+          line.matchType = RECONCILIATION_MATCH_TYPES.MANUAL;
+          line.orderId = selection.orderId;
+        }
+        line.status = RECONCILIATION_LINE_STATUS.RECORDED;
+        line.paymentId = result.payment.payment_id;
+        line.error = null;
+        recorded.push(line);
+      } catch (error) {
+        console.error(`❌ [RECONCILIATION] Line ${line.lineNumber} → ${selection.orderId} failed:`, error.message);
+        line.status = RECONCILIATION_LINE_STATUS.FAILED;
+        line.orderId = selection.orderId;
+        line.error = error.message;
+        failed.push(line);
+      }
+    }
+
+    batch.confirmedAt = new Date().toISOString();
+    batch.confirmedBy = String(audit.actorId || '');
+    batch.summary = summarizeReconciliation(batch.lines);
+    await saveReconciliationBatch(batch);
+
+    console.log(`✅ [RECONCILIATION] Batch ${batch.id} confirmed: ${recorded.length} recorded, ${failed.length} failed, ${batch.summary.unmatched + batch.summary.ambiguous + batch.summary.needsReview} left for review`);
+    return { success: true, batch, recorded, failed };
+  } finally {
+    await releaseLock(lockName, lockToken);
+  }
+}
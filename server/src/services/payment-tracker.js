@@ -7,6 +7,7 @@
 import { PAYMENT_STATUS } from '../utils/constants.js';
 import { formatRupiah, escapeMarkdown } from '../utils/formatting.js';
 import { THANK_YOU_PAYMENT_COMPLETE } from '../utils/messages.js';
+import { getPaymentPolicy } from './payment-policy.js';
 
 /**
  * Calculate payment status based on paid amount and total
@@ -20,10 +21,11 @@ export function calculatePaymentStatus(paidAmount, finalTotal) {
   }
 
   const percentage = (paidAmount / finalTotal) * 100;
+  const dpPercentage = getPaymentPolicy().dpPercentage * 100;
 
   if (percentage >= 100) {
     return PAYMENT_STATUS.FULL_PAID;
-  } else if (percentage >= 50) {
+  } else if (percentage >= dpPercentage) {
     return PAYMENT_STATUS.DP_PAID;
   } else {
     return PAYMENT_STATUS.UNPAID;
@@ -42,12 +44,17 @@ export function calculateRemainingBalance(finalTotal, paidAmount) {
 }
 
 /**
- * Calculate minimum DP amount (50% of total)
+ * Calculate minimum DP amount (payment policy DP percentage of total)
+ * Orders below the policy's minimum order value for DP must be paid in full
  * @param {number} finalTotal - Final total amount
  * @returns {number} Minimum DP amount
  */
 export function calculateMinDP(finalTotal) {
-  return Math.ceil(finalTotal * 0.5);
+  const policy = getPaymentPolicy();
+  if (finalTotal > 0 && finalTotal < policy.minDpOrderAmount) {
+    return finalTotal;
+  }
+  return Math.ceil(finalTotal * policy.dpPercentage);
 }
 
 /**
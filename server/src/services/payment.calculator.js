@@ -4,15 +4,17 @@
  * Used by both confirmation and detail message formatters
  */
 
+import { getPackagingFee, getSavedPackagingLines } from './packaging-calculator.js';
+
 /**
  * Calculate payment totals for an order
  * Returns numeric values (formatting happens in formatters)
  * 
  * @param {Object} order - Order object
  * @param {Object} calculation - Calculation result from calculateOrderTotal (optional, for fallback)
- * @param {number} packagingFee - Packaging fee (optional, will be calculated if not provided)
+ * @param {number} packagingFee - Packaging fee (optional, fallback to the order's packaging lines)
  * @param {number} deliveryFee - Delivery fee (optional, fallback to order.delivery_fee)
- * @returns {Object} { subtotal, deliveryFee, packagingFee, totalAmount }
+ * @returns {Object} { subtotal, deliveryFee, packagingFee, discount, promoCode, totalAmount }
  */
 export function calculatePaymentTotals(order, calculation, packagingFee, deliveryFee) {
   // Subtotal = product_total (items only, no packaging, no delivery)
@@ -25,46 +27,30 @@ export function calculatePaymentTotals(order, calculation, packagingFee, deliver
   const deliveryFeeFromOrder = parseFloat(order.delivery_fee || 0);
   const finalDeliveryFee = deliveryFee !== undefined ? deliveryFee : deliveryFeeFromOrder;
   
-  // Packaging fee: Use provided value, then order value, then calculate if needed
-  let finalPackagingFee = packagingFee !== undefined ? packagingFee : parseFloat(order.packaging_fee || 0);
+  // Packaging fee: Use provided value, then the order's packaging lines (or packaging_fee for older orders)
+  const finalPackagingFee = packagingFee !== undefined
+    ? packagingFee
+    : getPackagingFee(getSavedPackagingLines(order));
   
-  // If packaging fee not provided and not in order, calculate it
-  if (finalPackagingFee === 0 && order.items && order.notes) {
-    const hasPackaging = (order.notes || []).some(note => {
-      const noteStr = String(note || '').toLowerCase();
-      return noteStr.includes('packaging') && 
-             (noteStr.includes('ya') || noteStr.includes('yes'));
-    });
-    
-    if (hasPackaging) {
-      const totalCups = (order.items || []).reduce((sum, item) => {
-        const name = (item.name || '').toLowerCase();
-        if (name.includes('dawet') && 
-            (name.includes('small') || name.includes('medium') || name.includes('large')) && 
-            !name.includes('botol')) {
-          return sum + (item.quantity || 0);
-        }
-        return sum;
-      }, 0);
-      
-      const packagingBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-      finalPackagingFee = packagingBoxes * 40000;
-    }
-  }
+  // Promo discount: Use order value (saved orders), otherwise use calculation (promo passed to calculateOrderTotal)
+  const discountFromOrder = parseFloat(order.discount_amount || 0);
+  const discount = discountFromOrder > 0 ? discountFromOrder : (calculation?.discount || 0);
+  const promoCode = order.promo_code || calculation?.promo?.code || '';
   
   // Calculate expected total from components
-  const calculatedTotal = subtotal + finalPackagingFee + finalDeliveryFee;
+  const calculatedTotal = subtotal + finalPackagingFee + finalDeliveryFee - discount;
   
   // Total amount: Use order value if available, otherwise calculate from components
   const totalAmountFromOrder = parseFloat(order.total_amount || order.final_total || 0);
   const totalAmount = totalAmountFromOrder > 0 ? totalAmountFromOrder : calculatedTotal;
   
   // Defensive checks
-  if (isNaN(subtotal) || isNaN(finalDeliveryFee) || isNaN(finalPackagingFee) || isNaN(totalAmount)) {
+  if (isNaN(subtotal) || isNaN(finalDeliveryFee) || isNaN(finalPackagingFee) || isNaN(discount) || isNaN(totalAmount)) {
     console.error('❌ [PAYMENT_CALC] NaN detected in calculation:', {
       subtotal,
       finalDeliveryFee,
       finalPackagingFee,
+      discount,
       totalAmount,
       orderId: order.id,
     });
@@ -88,7 +74,7 @@ export function calculatePaymentTotals(order, calculation, packagingFee, deliver
     console.warn('⚠️ [PAYMENT_CALC] Order ID:', order.id);
     console.warn('⚠️ [PAYMENT_CALC] Stored total:', totalAmountFromOrder);
     console.warn('⚠️ [PAYMENT_CALC] Calculated total:', calculatedTotal);
-    console.warn('⚠️ [PAYMENT_CALC] Components:', { subtotal, finalPackagingFee, finalDeliveryFee });
+    console.warn('⚠️ [PAYMENT_CALC] Components:', { subtotal, finalPackagingFee, finalDeliveryFee, discount });
     // Note: We return the stored total but formatter will use calculated for display if mismatch
   }
   
@@ -96,6 +82,8 @@ export function calculatePaymentTotals(order, calculation, packagingFee, deliver
     subtotal,
     deliveryFee: finalDeliveryFee,
     packagingFee: finalPackagingFee,
+    discount,
+    promoCode,
     totalAmount,
   };
 }
@@ -0,0 +1,193 @@
+/**
+ * Plan Limits
+ * Enforces the limits of the current tenant's plan (TENANT_PLANS in config/tenants.js) against usage counters
+ *
+ * - Conversations per month: a customer chat counts once per calendar month (Jakarta time), from its first
+ *   message that month. Counted chats (usage:conversations:<YYYY-MM>:<platform>:<chatId>) and the month's
+ *   total (usage:conversation_count:<YYYY-MM>, an atomic counter) live in the state store, so they are per
+ *   tenant and shared by all instances with the redis backend.
+ * - Team members: active admins and staff in Users plus the tenant's adminIds (ADMIN_TELEGRAM_USER_IDS)
+ *
+ * Chats that already counted this month keep working when the limit is reached; new chats get a short notice
+ * and the tenant's admins are told once per month. Staff and admins never count as conversations.
+ */
+
+import { getStateStore } from '../state/stores/index.js';
+import { getUsers, getAdminChatIds } from '../repos/users.repo.js';
+import { getCurrentTenant, getCurrentTenantPlan, getTenantAdminIds } from '../config/tenant-context.js';
+import { getTenantSummary } from '../config/tenants.js';
+import { sendTelegramMessage } from './telegramService.js';
+import { getJakartaTodayISO } from '../utils/date-utils.js';
+import { PLATFORMS, USER_ROLES } from '../utils/constants.js';
+
+// Counters outlive their month a little, so the usage of last month can still be read early in the next
+const USAGE_TTL_MS = 40 * 24 * 60 * 60 * 1000;
+
+const KEY_PREFIXES = {
+  CONVERSATIONS: 'usage:conversations:',
+  CONVERSATION_COUNT: 'usage:conversation_count:',
+  LIMIT_NOTICE: 'usage:limit_notice:',
+};
+
+const TEAM_ROLES = [USER_ROLES.ADMIN, USER_ROLES.STAFF];
+
+export const CONVERSATION_LIMIT_MESSAGE =
+  '🙏 Mohon maaf, layanan chat kami sedang penuh untuk bulan ini.\n\n' +
+  'Silakan hubungi admin kami secara langsung. Terima kasih atas pengertiannya.';
+
+/**
+ * Get the usage month (Jakarta time)
+ * @param {Date} now - Current time
+ * @returns {string} YYYY-MM
+ */
+export function getUsageMonth(now = new Date()) {
+  return getJakartaTodayISO(now).slice(0, 7);
+}
+
+/**
+ * Count the conversations of the current tenant in a month
+ * @param {string} month - YYYY-MM (default: this month)
+ * @returns {Promise<number>} Conversations
+ */
+export async function countConversations(month = getUsageMonth()) {
+  return Number(await getStateStore().get(`${KEY_PREFIXES.CONVERSATION_COUNT}${month}`)) || 0;
+}
+
+/**
+ * Tell the tenant's admins that the conversation limit was reached (once per month)
+ */
+async function notifyConversationLimitReached(month, limit) {
+  const store = getStateStore();
+  const isFirstNotice = await store.setIfAbsent(`${KEY_PREFIXES.LIMIT_NOTICE}${month}`, { notifiedAt: Date.now() }, USAGE_TTL_MS);
+  if (!isFirstNotice) {
+    return;
+  }
+
+  const plan = getCurrentTenantPlan();
+  const chatIds = new Set([...getTenantAdminIds(), ...(await getAdminChatIds())].map(String));
+  const text =
+    `⚠️ **Batas Percakapan Tercapai**\n\n` +
+    `Paket ${plan.name} mencakup ${limit} percakapan per bulan, dan batas bulan ${month} sudah tercapai.\n` +
+    `Customer baru tidak dilayani bot sampai bulan depan. Upgrade paket untuk menambah batas.`;
+
+  for (const chatId of chatIds) {
+    try {
+      await sendTelegramMessage(chatId, text);
+    } catch (error) {
+      console.error(`❌ [PLAN_LIMITS] Failed to notify admin ${chatId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Count a customer chat towards this month's conversations and check the plan limit
+ * @param {string} platform - PLATFORMS value
+ * @param {string|number} chatId - Chat ID on that platform
+ * @returns {Promise<{allowed: boolean, used: number|null, limit: number|null}>} allowed is false when the chat is
+ *   new this month and the limit is reached (the chat is not counted then); used is null for a chat that was
+ *   already counted (nothing is read then)
+ */
+export async function recordConversation(platform, chatId) {
+  const limit = getCurrentTenantPlan().maxConversationsPerMonth;
+  const month = getUsageMonth();
+  const store = getStateStore();
+  const key = `${KEY_PREFIXES.CONVERSATIONS}${month}:${platform}:${chatId}`;
+  const countKey = `${KEY_PREFIXES.CONVERSATION_COUNT}${month}`;
+
+  const isNew = await store.setIfAbsent(key, { firstMessageAt: Date.now() }, USAGE_TTL_MS);
+  if (!isNew) {
+    return { allowed: true, used: null, limit };
+  }
+
+  // Atomic, so two new chats at the last free slot get different counts (one is served, one is not)
+  const used = await store.increment(countKey, 1, USAGE_TTL_MS);
+  if (limit === null || used <= limit) {
+    return { allowed: true, used, limit };
+  }
+
+  // Over the limit: forget this chat again, so it isn't counted as served
+  await store.increment(countKey, -1);
+  await store.delete(key);
+  console.warn(`⚠️ [PLAN_LIMITS] Tenant ${getCurrentTenant().id} reached ${limit} conversations in ${month} - ${platform}:${chatId} not served`);
+  await notifyConversationLimitReached(month, limit);
+  return { allowed: false, used: used - 1, limit };
+}
+
+/**
+ * Enforce the conversation limit for an incoming customer message
+ * Sends CONVERSATION_LIMIT_MESSAGE to the customer when the chat can't be served.
+ * @param {string} platform - PLATFORMS value
+ * @param {string|number} chatId - Chat ID on that platform
+ * @param {Function} sendMessage - Function to send a message (chatId, text)
+ * @returns {Promise<boolean>} True if the message may be handled
+ */
+export async function enforceConversationLimit(platform, chatId, sendMessage) {
+  try {
+    const { allowed } = await recordConversation(platform, chatId);
+    if (!allowed) {
+      await sendMessage(chatId, CONVERSATION_LIMIT_MESSAGE);
+    }
+    return allowed;
+  } catch (error) {
+    // Counting must not take the bot down: serve the customer
+    console.error('❌ [PLAN_LIMITS] Error recording conversation:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Get the team members of the current tenant
+ * @returns {Promise<Set<string>>} Members as "platform:userId"
+ */
+async function getTeamMembers() {
+  const members = new Set(getTenantAdminIds().map(id => `${PLATFORMS.TELEGRAM}:${id}`));
+  (await getUsers())
+    .filter(user => user.isActive && TEAM_ROLES.includes(user.role))
+    .forEach(user => members.add(`${user.platform}:${user.userId}`));
+  return members;
+}
+
+/**
+ * Check whether a user may become admin or staff under the plan's team member limit
+ * @param {string} platform - PLATFORMS value
+ * @param {string|number} userId - User ID on that platform
+ * @returns {Promise<{allowed: boolean, used: number, limit: number|null}>} Users who are already members are allowed
+ */
+export async function checkTeamMemberLimit(platform, userId) {
+  const limit = getCurrentTenantPlan().maxTeamMembers;
+  const members = await getTeamMembers();
+  const allowed = limit === null || members.has(`${platform}:${userId}`) || members.size < limit;
+  return { allowed, used: members.size, limit };
+}
+
+/**
+ * Format the message shown when the team member limit is reached
+ * @param {number} limit - Team member limit
+ * @returns {string} Message (Indonesian)
+ */
+export function formatTeamMemberLimitMessage(limit) {
+  const plan = getCurrentTenantPlan();
+  return `❌ Paket ${plan.name} hanya mencakup ${limit} anggota tim (admin/staff), dan semuanya sudah terpakai.\n\n` +
+    'Ubah role anggota lain ke customer terlebih dahulu, atau upgrade paket.';
+}
+
+/**
+ * Get the plan and usage of the current tenant (GET /api/tenant)
+ * @returns {Promise<Object>} { tenant, plan, usage: { month, conversations: { used, limit }, teamMembers: { used, limit } } }
+ */
+export async function getTenantUsage() {
+  const tenant = getCurrentTenant();
+  const plan = getCurrentTenantPlan();
+  const month = getUsageMonth();
+  const [conversations, teamMembers] = await Promise.all([countConversations(month), getTeamMembers()]);
+
+  return {
+    tenant: getTenantSummary(tenant),
+    plan,
+    usage: {
+      month,
+      conversations: { used: conversations, limit: plan.maxConversationsPerMonth },
+      teamMembers: { used: teamMembers.size, limit: plan.maxTeamMembers },
+    },
+  };
+}
@@ -5,10 +5,14 @@
 
 import { daysUntilDelivery, getDaysDiffJakarta } from '../utils/date-utils.js';
 import { calculateMinDP } from './payment-tracker.js';
+import { getPaymentPolicy, getDPPercentageLabel, requiresFullPayment } from './payment-policy.js';
 import { formatPrice, escapeMarkdown } from '../utils/formatting.js';
 import { THANK_YOU_TRUST, PAYMENT_DP_REQUIRED, PAYMENT_FULL_REQUIRED } from '../utils/messages.js';
 import { formatPaymentSummary } from '../utils/order-message-formatter.js';
 import { calculatePaymentTotals } from './payment.calculator.js';
+import { getSavedPackagingLines, getPackagingFee } from './packaging-calculator.js';
+import { PROMO_TYPES } from '../utils/constants.js';
+import { getBankTransferAccount, getTenantBranding } from '../config/tenant-context.js';
 
 /**
  * Parse item name to extract base item and toppings
@@ -232,10 +236,90 @@ export function getUnitPriceFromPriceList(itemName, priceList) {
   return null;
 }
 
+// Cup sizes, smallest first (matched in the base item name)
+export const CUP_SIZES = ['Small', 'Medium', 'Large'];
+
+/**
+ * Get the cup size of an order item ("Dawet Medium + Nangka" → "Medium"), or null for non-cup items
+ * Used for the production summary (calendar sync) and sales analytics
+ */
+export function getCupSize(itemName) {
+  const baseName = parseItemName(String(itemName || '')).base;
+  return CUP_SIZES.find(size => new RegExp(`\\b${size}\\b`, 'i').test(baseName)) || null;
+}
+
+/**
+ * Check whether an order item is a dawet cup (Small/Medium/Large, not botol)
+ */
+function isCupItem(itemName) {
+  const name = (itemName || '').toLowerCase();
+  return name.includes('dawet') &&
+    (name.includes('small') || name.includes('medium') || name.includes('large')) &&
+    !name.includes('botol');
+}
+
+/**
+ * Calculate the discount of a promo for the priced items of an order
+ * - Promo with item: only matching items (full or base name, so "Dawet Medium + Nangka" counts for "Dawet Kemayu Medium")
+ *   are discounted, and min_cups counts the quantity of those items
+ * - Promo without item: all priced items except packaging are discounted, and min_cups counts dawet cups
+ * Validity window and is_active are checked by the promo validator, not here
+ * @param {Object} promo - Promo from Promos sheet ({ code, type, value, minCups, item })
+ * @param {Array} itemDetails - Item details from calculateOrderTotal
+ * @returns {Object} { code, discount, eligibleSubtotal, eligibleQuantity, cups, minCupsMet }
+ */
+export function calculatePromoDiscount(promo, itemDetails) {
+  const promoItem = promo.item ? normalizeProductName(promo.item) : null;
+
+  const eligibleItems = (itemDetails || []).filter(detail => {
+    const nameLower = (detail.name || '').toLowerCase();
+    if (!detail.priceFound || nameLower.includes('packaging') || nameLower.includes('styrofoam')) {
+      return false;
+    }
+    if (!promoItem) {
+      return true;
+    }
+    return normalizeProductName(detail.name) === promoItem ||
+      normalizeProductName(parseItemName(detail.name).base) === promoItem;
+  });
+
+  const eligibleSubtotal = eligibleItems.reduce((sum, detail) => sum + detail.itemTotal, 0);
+  const eligibleQuantity = eligibleItems.reduce((sum, detail) => sum + (parseInt(detail.quantity, 10) || 0), 0);
+  const cups = promoItem
+    ? eligibleQuantity
+    : eligibleItems
+      .filter(detail => isCupItem(detail.name))
+      .reduce((sum, detail) => sum + (parseInt(detail.quantity, 10) || 0), 0);
+  const minCupsMet = cups >= (promo.minCups || 0);
+
+  let discount = 0;
+  if (eligibleSubtotal > 0 && minCupsMet) {
+    discount = promo.type === PROMO_TYPES.PERCENT
+      ? Math.round(eligibleSubtotal * promo.value / 100)
+      : promo.value;
+    // Discount never exceeds the discounted items
+    discount = Math.min(discount, eligibleSubtotal);
+  }
+
+  return {
+    code: promo.code,
+    discount,
+    eligibleSubtotal,
+    eligibleQuantity,
+    cups,
+    minCupsMet,
+  };
+}
+
 /**
  * Calculate total price for an order
+ * Items with a unit_price (resolved lines, see item-resolver.js) use it; others are priced by name from the price list
+ * @param {Array|string} items - Order items (array or JSON string)
+ * @param {Object} priceList - Price list
+ * @param {Object|null} promo - Validated promo to apply (optional, see calculatePromoDiscount)
+ * @returns {Object} { subtotal, itemDetails, discount, promo } (promo = calculatePromoDiscount result or null)
  */
-export function calculateOrderTotal(items, priceList) {
+export function calculateOrderTotal(items, priceList, promo = null) {
   let subtotal = 0;
   const itemDetails = [];
   
@@ -256,8 +340,11 @@ export function calculateOrderTotal(items, priceList) {
   
   for (const item of itemsArray) {
 
-    // Use improved price lookup with normalization
-    let unitPrice = getUnitPriceFromPriceList(item.name, priceList);
+    // Resolved lines (see item-resolver.js) carry the unit price from when the order was placed
+    const hasResolvedPrice = typeof item.unit_price === 'number' && item.unit_price > 0;
+
+    // Otherwise use improved price lookup with normalization
+    let unitPrice = hasResolvedPrice ? item.unit_price : getUnitPriceFromPriceList(item.name, priceList);
     let parsed = null;
     let toppingPrices = [];
     
@@ -304,6 +391,8 @@ export function calculateOrderTotal(items, priceList) {
     itemDetails.push({
       name: item.name,
       quantity: item.quantity,
+      sku: item.sku || null,
+      variants: Array.isArray(item.variants) ? item.variants : [],
       basePrice: unitPrice || 0, // 0 if not found (will show "Harga belum tersedia")
       toppings: parsed ? parsed.toppings : [],
       toppingPrices: toppingPrices,
@@ -312,9 +401,13 @@ export function calculateOrderTotal(items, priceList) {
     });
   }
   
+  const promoResult = promo ? calculatePromoDiscount(promo, itemDetails) : null;
+  
   return {
     subtotal: subtotal,
     itemDetails: itemDetails,
+    discount: promoResult ? promoResult.discount : 0,
+    promo: promoResult,
   };
 }
 
@@ -432,14 +525,15 @@ function formatTime(timeStr) {
  */
 
 /**
- * Generate recap message with H-4 threshold logic
+ * Generate recap message with the payment policy full-payment cutoff (default H-4)
  * @param {Object} order - Order object
  * @param {Object} priceList - Price list
- * @param {Object} options - Options: { todayDateOverride?: Date }
+ * @param {Object} options - Options: { todayDateOverride?: Date, packaging?: Array } (packaging lines from
+ *   getOrderPackaging(), default: the lines saved on the order)
  * @returns {string} Formatted invoice/recap message
  */
 export function formatInvoice(order, priceList, options = {}) {
-  const { todayDateOverride } = options;
+  const { todayDateOverride, packaging } = options;
   
   // Calculate days difference to determine template
   let daysDiff = null;
@@ -448,22 +542,24 @@ export function formatInvoice(order, priceList, options = {}) {
 
   }
   
-  // Choose template: FULL PAYMENT if days_diff <= 4 (includes H-4), DP if days_diff > 4
-  // H-4 (daysDiff === 4) requires full payment, so use full payment format
-  const useFullPaymentFormat = daysDiff !== null && daysDiff <= 4;
+  // Choose template: FULL PAYMENT if days_diff <= cutoff (includes H-cutoff) or the order is below
+  // the minimum order value for DP, otherwise DP. Unknown event date keeps the DP template.
+  const totalAmount = parseFloat(order.total_amount || order.final_total || 0) || 0;
+  const useFullPaymentFormat = requiresFullPayment(daysDiff, totalAmount);
   
   if (useFullPaymentFormat) {
-    return formatFullPaymentRecap(order, priceList);
+    return formatFullPaymentRecap(order, priceList, packaging);
   } else {
-    return formatDPRecap(order, priceList);
+    return formatDPRecap(order, priceList, packaging);
   }
 }
 
 /**
- * Format FULL PAYMENT recap (for orders within H-4)
+ * Format FULL PAYMENT recap (for orders within the full-payment cutoff)
  * No DP section, only one note line
  */
-function formatFullPaymentRecap(order, priceList) {
+function formatFullPaymentRecap(order, priceList, packaging) {
+  const bankAccount = getBankTransferAccount();
   const calculation = calculateOrderTotal(order.items, priceList);
   
   // Helper to format empty fields as "-"
@@ -486,44 +582,10 @@ function formatFullPaymentRecap(order, priceList) {
   // Calculate totals
   const subtotal = calculation.subtotal;
   
-  // Use packaging_fee from order and calculate packaging boxes
-  let packagingPrice = 0;
-  let packagingFound = false;
-  let packagingBoxes = 0;
-  
-  if (order.packaging_fee !== undefined && order.packaging_fee !== null) {
-    packagingPrice = parseFloat(order.packaging_fee) || 0;
-    packagingFound = packagingPrice > 0;
-    // Calculate boxes from price (1 box = 40,000)
-    packagingBoxes = packagingFound ? Math.ceil(packagingPrice / 40000) : 0;
-  } else {
-    const packagingItem = calculation.itemDetails.find(detail => 
-      detail.name.toLowerCase().includes('packaging') || 
-      detail.name.toLowerCase().includes('styrofoam')
-    );
-    if (packagingItem) {
-      packagingPrice = packagingItem.itemTotal;
-      packagingFound = true;
-      packagingBoxes = packagingItem.quantity || Math.ceil(packagingPrice / 40000);
-    }
-  }
-  
-  // If packaging found but boxes not calculated, calculate from total cups
-  if (packagingFound && packagingBoxes === 0) {
-    let totalCups = 0;
-    (order.items || []).forEach(item => {
-      const itemName = (item.name || '').toLowerCase();
-      if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-        return; // Skip packaging items
-      }
-      if (itemName.includes('dawet') && 
-          (itemName.includes('small') || itemName.includes('medium') || itemName.includes('large')) &&
-          !itemName.includes('botol')) {
-        totalCups += parseInt(item.quantity || 0);
-      }
-    });
-    packagingBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 1;
-  }
+  // Packaging lines saved on the order (services/packaging-calculator.js)
+  const packagingLines = packaging || getSavedPackagingLines(order);
+  const packagingPrice = getPackagingFee(packagingLines);
+  const packagingFound = packagingLines.length > 0;
   
   // Parse delivery_fee
   let shippingPrice = 0;
@@ -567,7 +629,7 @@ function formatFullPaymentRecap(order, priceList) {
   
   // Build FULL PAYMENT invoice (no DP section)
   let invoice = `🧾 REKAP PESANAN & PEMBAYARAN\n`;
-  invoice += `Dawet Kemayu Menteng 🌿\n\n`;
+  invoice += `${getTenantBranding().businessName} 🌿\n\n`;
   invoice += `Nomor Invoice:\n\`${invoiceNumber}\`\n\n`;
   invoice += `--------------------------------\n`;
   invoice += `👤 INFORMASI PEMESAN\n`;
@@ -583,9 +645,9 @@ function formatFullPaymentRecap(order, priceList) {
   invoice += `--------------------------------\n`;
   invoice += `Pesanan:\n${itemList}`;
   
-  if (packagingFound && packagingBoxes > 0) {
-    invoice += `${packagingBoxes}x Packaging Styrofoam: Rp${formatPrice(packagingPrice)}\n`;
-  }
+  packagingLines.forEach((line) => {
+    invoice += `${line.quantity}x ${line.name}: Rp${formatPrice(line.total)}\n`;
+  });
   
   // Display delivery_method (never "-" if provided)
   const displayPengiriman = pengiriman && pengiriman !== '-' ? pengiriman : '-';
@@ -596,9 +658,9 @@ function formatFullPaymentRecap(order, priceList) {
   // Add separator after Total Pembayaran, before bank section
   invoice += `--------------------------------\n`;
   invoice += `🏦 PEMBAYARAN TRANSFER BANK\n`;
-  invoice += `Bank Jago\n`;
-  invoice += `No. Rekening: 102730840011\n`;
-  invoice += `a.n. Septina Eka Kartika Dewi\n\n`;
+  invoice += `${bankAccount.BANK_NAME}\n`;
+  invoice += `No. Rekening: ${bankAccount.ACCOUNT_NUMBER}\n`;
+  invoice += `a.n. ${bankAccount.ACCOUNT_NAME}\n\n`;
   invoice += `--------------------------------\n`;
   invoice += `Catatan:\n`;
   invoice += `• Silahkan lakukan pembayaran penuh untuk melanjutkan proses pesanan Anda\n\n`;
@@ -609,10 +671,11 @@ function formatFullPaymentRecap(order, priceList) {
 }
 
 /**
- * Format DP recap (for orders farther than H-4)
+ * Format DP recap (for orders farther than the full-payment cutoff)
  * Includes DP section and pelunasan rules
  */
-function formatDPRecap(order, priceList) {
+function formatDPRecap(order, priceList, packaging) {
+  const bankAccount = getBankTransferAccount();
   const calculation = calculateOrderTotal(order.items, priceList);
   
   // Helper to format empty fields as "-"
@@ -635,44 +698,10 @@ function formatDPRecap(order, priceList) {
   // Calculate totals
   const subtotal = calculation.subtotal;
   
-  // Use packaging_fee from order and calculate packaging boxes
-  let packagingPrice = 0;
-  let packagingFound = false;
-  let packagingBoxes = 0;
-  
-  if (order.packaging_fee !== undefined && order.packaging_fee !== null) {
-    packagingPrice = parseFloat(order.packaging_fee) || 0;
-    packagingFound = packagingPrice > 0;
-    // Calculate boxes from price (1 box = 40,000)
-    packagingBoxes = packagingFound ? Math.ceil(packagingPrice / 40000) : 0;
-  } else {
-    const packagingItem = calculation.itemDetails.find(detail => 
-      detail.name.toLowerCase().includes('packaging') || 
-      detail.name.toLowerCase().includes('styrofoam')
-    );
-    if (packagingItem) {
-      packagingPrice = packagingItem.itemTotal;
-      packagingFound = true;
-      packagingBoxes = packagingItem.quantity || Math.ceil(packagingPrice / 40000);
-    }
-  }
-  
-  // If packaging found but boxes not calculated, calculate from total cups
-  if (packagingFound && packagingBoxes === 0) {
-    let totalCups = 0;
-    (order.items || []).forEach(item => {
-      const itemName = (item.name || '').toLowerCase();
-      if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-        return; // Skip packaging items
-      }
-      if (itemName.includes('dawet') && 
-          (itemName.includes('small') || itemName.includes('medium') || itemName.includes('large')) &&
-          !itemName.includes('botol')) {
-        totalCups += parseInt(item.quantity || 0);
-      }
-    });
-    packagingBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 1;
-  }
+  // Packaging lines saved on the order (services/packaging-calculator.js)
+  const packagingLines = packaging || getSavedPackagingLines(order);
+  const packagingPrice = getPackagingFee(packagingLines);
+  const packagingFound = packagingLines.length > 0;
   
   // Parse delivery_fee
   let shippingPrice = 0;
@@ -718,10 +747,12 @@ function formatDPRecap(order, priceList) {
   const totals = calculatePaymentTotals(order, calculation, packagingPrice, shippingPrice);
   const totalAmount = totals.totalAmount;
   const dpMinimum = calculateMinDP(totalAmount);
+  const policy = getPaymentPolicy();
+  const dpPercentageLabel = getDPPercentageLabel(policy);
   
   // Build DP invoice (with DP section)
   let invoice = `🧾 REKAP PESANAN & PEMBAYARAN\n`;
-  invoice += `Dawet Kemayu Menteng 🌿\n\n`;
+  invoice += `${getTenantBranding().businessName} 🌿\n\n`;
   invoice += `Nomor Invoice:\n\`${invoiceNumber}\`\n\n`;
   invoice += `--------------------------------\n`;
   invoice += `👤 INFORMASI PEMESAN\n`;
@@ -737,9 +768,9 @@ function formatDPRecap(order, priceList) {
   invoice += `--------------------------------\n`;
   invoice += `Pesanan:\n${itemList}`;
   
-  if (packagingFound && packagingBoxes > 0) {
-    invoice += `${packagingBoxes}x Packaging Styrofoam: Rp${formatPrice(packagingPrice)}\n`;
-  }
+  packagingLines.forEach((line) => {
+    invoice += `${line.quantity}x ${line.name}: Rp${formatPrice(line.total)}\n`;
+  });
   
   // Display delivery_method (never "-" if provided)
   const displayPengiriman = pengiriman && pengiriman !== '-' ? pengiriman : '-';
@@ -747,19 +778,19 @@ function formatDPRecap(order, priceList) {
   
   // Use shared payment breakdown format (matches KONFIRMASI PESANAN)
   invoice += paymentBreakdown;
-  invoice += `Minimal DP (50%):\n`;
+  invoice += `Minimal DP (${dpPercentageLabel}%):\n`;
   invoice += `Rp${formatPrice(dpMinimum)}\n\n`;
   // Add separator after Total Pembayaran and DP info, before bank section
   invoice += `--------------------------------\n`;
   invoice += `🏦 PEMBAYARAN TRANSFER BANK\n`;
-  invoice += `Bank Jago\n`;
-  invoice += `No. Rekening: 102730840011\n`;
-  invoice += `a.n. Septina Eka Kartika Dewi\n\n`;
+  invoice += `${bankAccount.BANK_NAME}\n`;
+  invoice += `No. Rekening: ${bankAccount.ACCOUNT_NUMBER}\n`;
+  invoice += `a.n. ${bankAccount.ACCOUNT_NAME}\n\n`;
   invoice += `--------------------------------\n`;
   invoice += `Catatan:\n`;
   invoice += `• Silahkan lakukan pembayaran untuk melanjutkan proses pesanan Anda\n`;
-  invoice += `• DP minimal 50% dari total pesanan\n`;
-  invoice += `• Pelunasan maksimal H-4 sebelum pengiriman\n\n`;
+  invoice += `• DP minimal ${dpPercentageLabel}% dari total pesanan\n`;
+  invoice += `• Pelunasan maksimal H-${policy.fullPaymentCutoffDays} sebelum pengiriman\n\n`;
   invoice += `--------------------------------\n`;
   invoice += THANK_YOU_TRUST;
   
@@ -849,9 +880,9 @@ export function separateItemsFromNotes(items, notes, priceList) {
 // formatPrice is now imported from formatting.js
 
 /**
- * Format payment notification message based on delivery date
- * - If delivery date is more than 3 days away: 50% down payment
- * - If delivery date is 3 days or less: full payment
+ * Format payment notification message based on delivery date and payment policy
+ * - If delivery date is farther than the full-payment cutoff: down payment (policy DP percentage)
+ * - If delivery date is within the cutoff, or the order is below the minimum for DP: full payment
  */
 export function formatPaymentNotification(order, totalAmount) {
   let daysUntil = null;
@@ -883,12 +914,12 @@ export function formatPaymentNotification(order, totalAmount) {
     return formatFullPaymentMessage(order, totalAmount);
   }
   
-  if (daysUntil > 3) {
-    // More than 3 days away - 50% down payment
-    const downPayment = Math.ceil(totalAmount * 0.5);
+  if (!requiresFullPayment(daysUntil, totalAmount)) {
+    // Farther than the cutoff - down payment
+    const downPayment = calculateMinDP(totalAmount);
     return formatDownPaymentMessage(order, totalAmount, downPayment, daysUntil);
   } else {
-    // 3 days or less - full payment
+    // Within the cutoff (or below minimum order for DP) - full payment
     return formatFullPaymentMessage(order, totalAmount, daysUntil);
   }
 }
@@ -896,7 +927,7 @@ export function formatPaymentNotification(order, totalAmount) {
 // escapeMarkdownText is now imported from formatting.js (as escapeMarkdown)
 
 /**
- * Format down payment message (50%)
+ * Format down payment message (policy DP percentage)
  */
 function formatDownPaymentMessage(order, totalAmount, downPayment, daysUntil) {
   // Escape user-provided data to prevent markdown parsing errors
@@ -905,15 +936,17 @@ function formatDownPaymentMessage(order, totalAmount, downPayment, daysUntil) {
   // Do NOT escape date - dates in YYYY-MM-DD format are safe in Telegram Markdown
   const eventDate = order.event_date || '-';
   const deliveryTime = formatTime(order.delivery_time);
+  const policy = getPaymentPolicy();
+  const dpPercentageLabel = getDPPercentageLabel(policy);
 
   let message = `💰 **PEMBAYARAN DP (Down Payment)**\n\n`;
   message += `📋 **Order ID:** \`${orderId}\`\n`;
   message += `👤 **Customer:** ${customerName}\n`;
   message += `📅 **Tanggal Pengiriman:** ${eventDate}\n`;
   message += `Waktu Kirim: ${deliveryTime}\n\n`;
-  message += `Karena tanggal pengiriman lebih dari 3 hari (${daysUntil} hari lagi), mohon melakukan pembayaran DP (Down Payment) sebesar **50%** dari total pesanan.\n\n`;
+  message += `Karena tanggal pengiriman lebih dari ${policy.fullPaymentCutoffDays} hari (${daysUntil} hari lagi), mohon melakukan pembayaran DP (Down Payment) sebesar **${dpPercentageLabel}%** dari total pesanan.\n\n`;
   message += `💵 **Total Pesanan:** Rp ${formatPrice(totalAmount)}\n`;
-  message += `💳 **DP yang harus dibayar (50%):** Rp ${formatPrice(downPayment)}\n\n`;
+  message += `💳 **DP yang harus dibayar (${dpPercentageLabel}%):** Rp ${formatPrice(downPayment)}\n\n`;
   message += `**Metode Pembayaran:**\n`;
   message += `• QRIS\n`;
   message += `• Transfer Bank\n`;
@@ -933,6 +966,7 @@ function formatFullPaymentMessage(order, totalAmount, daysUntil = null) {
   // Do NOT escape date - dates in YYYY-MM-DD format are safe in Telegram Markdown
   const eventDate = order.event_date || '-';
   const deliveryTime = formatTime(order.delivery_time);
+  const policy = getPaymentPolicy();
 
   let message = `💰 **PEMBAYARAN PENUH**\n\n`;
   message += `📋 **Order ID:** \`${orderId}\`\n`;
@@ -940,8 +974,10 @@ function formatFullPaymentMessage(order, totalAmount, daysUntil = null) {
   message += `📅 **Tanggal Pengiriman:** ${eventDate}\n`;
   message += `Waktu Kirim: ${deliveryTime}\n\n`;
   
-  if (daysUntil !== null && daysUntil <= 3) {
-    message += `Karena tanggal pengiriman ${daysUntil <= 0 ? 'sudah dekat' : `kurang dari 3 hari (${daysUntil} hari lagi)`}, mohon melakukan pembayaran penuh.\n\n`;
+  if (daysUntil !== null && daysUntil <= policy.fullPaymentCutoffDays) {
+    message += `Karena tanggal pengiriman ${daysUntil <= 0 ? 'sudah dekat' : `${policy.fullPaymentCutoffDays} hari atau kurang (${daysUntil} hari lagi)`}, mohon melakukan pembayaran penuh.\n\n`;
+  } else if (totalAmount < policy.minDpOrderAmount) {
+    message += `Pesanan di bawah Rp ${formatPrice(policy.minDpOrderAmount)} wajib dibayar penuh (tanpa DP).\n\n`;
   } else {
     message += `Mohon melakukan pembayaran penuh untuk melanjutkan proses pesanan Anda.\n\n`;
   }
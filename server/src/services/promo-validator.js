@@ -0,0 +1,90 @@
+/**
+ * Promo Validator
+ * Checks the "Kode Promo" of an order against the Promos sheet and computes its discount
+ */
+
+import { getPromoByCode, normalizePromoCode } from '../repos/promos.repo.js';
+import { calculateOrderTotal } from './price-calculator.js';
+import { getJakartaTodayISO, toISODateJakarta } from '../utils/date-utils.js';
+import { formatPrice } from '../utils/formatting.js';
+
+/**
+ * Get the date a promo is checked against
+ * Existing orders keep the date they were created on, so editing an order does not drop a promo that expired since
+ * @param {Object} order - Order (created_at optional)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getPromoReferenceDate(order) {
+  if (order?.created_at) {
+    const createdAt = new Date(order.created_at);
+    if (!isNaN(createdAt.getTime())) {
+      return toISODateJakarta(createdAt);
+    }
+  }
+  return getJakartaTodayISO();
+}
+
+/**
+ * Validate an order's promo code and compute the discount
+ * @param {Object} order - Order with promo_code, items and created_at
+ * @param {Object} priceList - Price list
+ * @returns {Promise<Object|null>} { code, valid, discount, reason, calculation } or null if the order has no promo code
+ */
+export async function resolveOrderPromo(order, priceList) {
+  const code = normalizePromoCode(order?.promo_code);
+  if (!code) {
+    return null;
+  }
+
+  const invalid = (reason) => {
+    console.log(`⚠️ [PROMO] Code ${code} not applied to order ${order.id || '(new)'}: ${reason}`);
+    return { code, valid: false, discount: 0, reason, calculation: null };
+  };
+
+  const promo = await getPromoByCode(code);
+  if (!promo) {
+    return invalid(`Kode promo ${code} tidak ditemukan`);
+  }
+
+  if (!promo.isActive) {
+    return invalid(`Kode promo ${code} sudah tidak aktif`);
+  }
+
+  const referenceDate = getPromoReferenceDate(order);
+  if (promo.validFrom && referenceDate < promo.validFrom) {
+    return invalid(`Kode promo ${code} baru berlaku mulai ${promo.validFrom}`);
+  }
+  if (promo.validUntil && referenceDate > promo.validUntil) {
+    return invalid(`Kode promo ${code} sudah berakhir pada ${promo.validUntil}`);
+  }
+
+  const calculation = calculateOrderTotal(order.items || [], priceList, promo);
+  const result = calculation.promo;
+
+  if (promo.item && result.eligibleQuantity === 0) {
+    return invalid(`Kode promo ${code} hanya berlaku untuk ${promo.item}`);
+  }
+
+  if (!result.minCupsMet) {
+    return invalid(`Kode promo ${code} berlaku untuk minimal ${formatPrice(promo.minCups)} cup${promo.item ? ` ${promo.item}` : ''}`);
+  }
+
+  if (result.discount <= 0) {
+    return invalid(`Kode promo ${code} tidak berlaku untuk item pesanan ini`);
+  }
+
+  console.log(`✅ [PROMO] Code ${code} applied to order ${order.id || '(new)'}: discount Rp ${result.discount}`);
+  return { code, valid: true, discount: result.discount, reason: null, calculation };
+}
+
+/**
+ * Format promo notice for the order confirmation (only shown when the code was rejected)
+ * @param {Object} order - Order with promo_code and promo_error (set by saveOrder)
+ * @returns {string} Promo notice (empty string if there is nothing to report)
+ */
+export function formatPromoNotice(order) {
+  if (!order?.promo_error) {
+    return '';
+  }
+  return `\n🏷️ ${order.promo_error}, pesanan dihitung tanpa diskon.\n`;
+}
@@ -1,15 +1,31 @@
 /**
  * Reminder System
- * Handles H-4, H-3, H-1 reminders for orders based on event date
+ * Sends the H-N reminders defined in the Reminder_Rules sheet (default: H-4 payment, H-3 order bahan,
+ * H-1 preparation for admins, plus payment and delivery reminders for customers)
  * Implements PRD reminder requirements
  */
 
 import { getAllOrders, getOrderById } from '../repos/orders.repo.js';
-import { getAdminChatIds } from '../repos/users.repo.js';
-import { getSheetsClient, getSpreadsheetId } from '../repos/sheets.client.js';
-
-import { SHEET_NAMES, REMINDER_STATUS, ORDER_STATUS } from '../utils/constants.js';
+import { getAdminChatIds, getStaffChatIds } from '../repos/users.repo.js';
+import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from '../repos/sheets.client.js';
+import { getReminderRules } from '../repos/reminder-rules.repo.js';
+
+import {
+  SHEET_NAMES,
+  REMINDER_STATUS,
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  ORDER_EVENT_SOURCES,
+  DELIVERY_METHODS,
+  REMINDER_AUDIENCES,
+  REMINDER_CONDITIONS,
+  REMINDER_TEMPLATES,
+  REMINDER_OFFSET_PAYMENT_CUTOFF,
+} from '../utils/constants.js';
 import { THANK_YOU_ATTENTION } from '../utils/messages.js';
+import { normalizeEventDate } from '../utils/date-utils.js';
+import { getPaymentPolicy, getPaymentDeadlineDays } from './payment-policy.js';
+import { getBankTransferAccount, getTenantBranding } from '../config/tenant-context.js';
 
 const REMINDERS_SHEET = SHEET_NAMES.REMINDERS;
 
@@ -440,11 +456,14 @@ function parseEventDate(input) {
 }
 
 /**
- * Calculate reminder dates for an order (H-4, H-3, H-1)
+ * Calculate reminder dates for an order
  * Expects eventDate in YYYY-MM-DD format (normalized)
  * Uses safe date parsing and normalizes all dates to start of day
+ * @param {string} eventDate - Event date
+ * @param {Array} rules - Optional rules with numeric offsetDays (see resolveReminderSchedule); default H-4, H-3, H-1
+ * @returns {Object|null} Map of reminder type (rule ID) → YYYY-MM-DD, or null if the event is not in the future
  */
-export function calculateReminderDates(eventDate) {
+export function calculateReminderDates(eventDate, rules = null) {
   if (!eventDate) {
 
     return null;
@@ -481,24 +500,18 @@ export function calculateReminderDates(eventDate) {
       return null;
     }
     
-    // Calculate reminder dates (H-4, H-3, H-1)
-    const h4Date = new Date(date);
-    h4Date.setDate(h4Date.getDate() - 4);
-    h4Date.setHours(0, 0, 0, 0);
-    
-    const h3Date = new Date(date);
-    h3Date.setDate(h3Date.getDate() - 3);
-    h3Date.setHours(0, 0, 0, 0);
-    
-    const h1Date = new Date(date);
-    h1Date.setDate(h1Date.getDate() - 1);
-    h1Date.setHours(0, 0, 0, 0);
+    // Calculate reminder dates (one per rule, or the legacy H-4, H-3, H-1)
+    const offsets = rules
+      ? Object.fromEntries(rules.map(rule => [rule.ruleId, rule.offsetDays]))
+      : { 'H-4': 4, 'H-3': 3, 'H-1': 1 };
     
-    const reminderDates = {
-      'H-4': h4Date.toISOString().split('T')[0],
-      'H-3': h3Date.toISOString().split('T')[0],
-      'H-1': h1Date.toISOString().split('T')[0],
-    };
+    const reminderDates = {};
+    for (const [type, offsetDays] of Object.entries(offsets)) {
+      const reminderDate = new Date(date);
+      reminderDate.setDate(reminderDate.getDate() - offsetDays);
+      reminderDate.setHours(0, 0, 0, 0);
+      reminderDates[type] = reminderDate.toISOString().split('T')[0];
+    }
 
     return reminderDates;
   } catch (error) {
@@ -627,8 +640,12 @@ import { formatRupiah, formatPrice } from '../utils/formatting.js';
 
 /**
  * Get reminder message based on type (exact templates as specified)
+ * Unknown types are custom templates from Reminder_Rules, rendered with renderCustomReminderTemplate()
+ * @param {Object} order - Order
+ * @param {string} reminderType - REMINDER_TEMPLATES value or custom template text
+ * @param {number|null} daysBefore - H-N of the rule being sent (default: payment cutoff for payment reminders)
  */
-function getReminderMessage(order, reminderType) {
+function getReminderMessage(order, reminderType, daysBefore = null) {
   const orderId = order.id || 'N/A';
   const customerName = order.customer_name || 'N/A';
   const eventDate = order.event_date || 'N/A';
@@ -638,6 +655,9 @@ function getReminderMessage(order, reminderType) {
   const paymentStatus = order.payment_status || 'UNPAID';
   const remainingBalance = totalAmount - paidAmount;
   const shippingMethod = order.shipping_method || order.delivery_method || '-';
+  const address = order.address || '-';
+  const bankAccount = getBankTransferAccount();
+  const { businessName } = getTenantBranding();
   
   // Format items list
   let itemsList = '';
@@ -654,32 +674,36 @@ function getReminderMessage(order, reminderType) {
   // Check packaging
   const packagingStatus = order.packaging_fee > 0 ? 'YA' : 'TIDAK';
   
+  // Payment reminder/deadline days follow the payment policy (default H-4 / H-3)
+  const policy = getPaymentPolicy();
+  const paymentDeadlineDays = getPaymentDeadlineDays(policy);
+  
   let message = '';
   
   switch (reminderType) {
-    case 'H4_PAYMENT':
-      // REMINDER H-4 (Customer: Pelunasan – WAJIB) with FULL PAYMENT confirmation
+    case REMINDER_TEMPLATES.H4_PAYMENT:
+      // REMINDER H-cutoff (Customer: Pelunasan – WAJIB) with FULL PAYMENT confirmation
       message = `Halo ${customerName} 👋\n\n`;
-      message += `Kami dari Dawet Kemayu Menteng ingin mengingatkan bahwa\n`;
-      message += `jadwal pengiriman pesanan Anda tinggal H-4.\n\n`;
+      message += `Kami dari ${businessName} ingin mengingatkan bahwa\n`;
+      message += `jadwal pengiriman pesanan Anda tinggal H-${policy.fullPaymentCutoffDays}.\n\n`;
       message += `Detail pesanan:\n`;
       message += `Invoice: \`${orderId}\`\n`;
       message += `Total Pesanan: Rp${formatRupiah(totalAmount)}\n`;
       message += `Sisa Pembayaran: Rp${formatRupiah(remainingBalance)}\n\n`;
       message += `⚠️ **PENTING: PELUNASAN PENUH WAJIB**\n\n`;
       message += `Mohon melakukan **pelunasan pembayaran penuh**\n`;
-      message += `paling lambat H-3 sebelum pengiriman.\n`;
-      message += `Jika pembayaran tidak diterima hingga H-3, pesanan akan **dibatalkan secara otomatis**.\n\n`;
+      message += `paling lambat H-${paymentDeadlineDays} sebelum pengiriman.\n`;
+      message += `Jika pembayaran tidak diterima hingga H-${paymentDeadlineDays}, pesanan akan **dibatalkan secara otomatis**.\n\n`;
       message += `--------------------------------\n`;
       message += `🏦 PEMBAYARAN TRANSFER BANK\n`;
-      message += `Bank Jago\n`;
-      message += `No. Rekening: 102730840011\n`;
-      message += `a.n. Septina Eka Kartika Dewi\n`;
+      message += `${bankAccount.BANK_NAME}\n`;
+      message += `No. Rekening: ${bankAccount.ACCOUNT_NUMBER}\n`;
+      message += `a.n. ${bankAccount.ACCOUNT_NAME}\n`;
       message += `--------------------------------\n\n`;
       message += THANK_YOU_ATTENTION;
       break;
       
-    case 'H3_ORDER_BAHAN':
+    case REMINDER_TEMPLATES.H3_ORDER_BAHAN:
       // REMINDER H-3 – ORDER BAHAN (INTERNAL)
       message = `⏰ REMINDER H-3 – ORDER BAHAN\n\n`;
       message += `Pesanan:\n`;
@@ -696,10 +720,10 @@ function getReminderMessage(order, reminderType) {
       message += `Harap segera lakukan order bahan.`;
       break;
       
-    case 'H1_PREPARATION':
+    case REMINDER_TEMPLATES.H1_PREPARATION:
       // REMINDER H-1 – PREPARATION (OUTLET)
       message = `⏰ REMINDER H-1 – PREPARATION\n`;
-      message += `Dawet Kemayu Menteng\n\n`;
+      message += `${businessName}\n\n`;
       message += `Pesanan:\n`;
       message += `Invoice: \`${orderId}\`\n`;
       message += `Nama Pemesan: ${customerName}\n`;
@@ -723,13 +747,152 @@ function getReminderMessage(order, reminderType) {
       message += `Harap pastikan semua persiapan selesai hari ini.`;
       break;
       
+    case REMINDER_TEMPLATES.CUSTOMER_PAYMENT_DUE: {
+      // REMINDER PELUNASAN (dikirim langsung ke customer)
+      const daysLeft = daysBefore ?? policy.fullPaymentCutoffDays;
+      message = `Halo ${customerName} 👋\n\n`;
+      message += `Pesanan ${businessName} Anda akan dikirim tinggal H-${daysLeft}.\n\n`;
+      message += `Invoice: \`${orderId}\`\n`;
+      message += `Total Pesanan: Rp${formatRupiah(totalAmount)}\n`;
+      message += `Sudah Dibayar: Rp${formatRupiah(paidAmount)}\n`;
+      message += `Sisa Pembayaran: Rp${formatRupiah(remainingBalance)}\n\n`;
+      message += `Mohon melakukan pelunasan paling lambat H-${paymentDeadlineDays} sebelum pengiriman.\n`;
+      message += `Jika pembayaran belum diterima hingga H-${paymentDeadlineDays}, pesanan akan dibatalkan secara otomatis.\n\n`;
+      message += `--------------------------------\n`;
+      message += `🏦 PEMBAYARAN TRANSFER BANK\n`;
+      message += `${bankAccount.BANK_NAME}\n`;
+      message += `No. Rekening: ${bankAccount.ACCOUNT_NUMBER}\n`;
+      message += `a.n. ${bankAccount.ACCOUNT_NAME}\n`;
+      message += `--------------------------------\n\n`;
+      message += `Setelah transfer, silakan kirim bukti pembayaran di chat ini.\n\n`;
+      message += THANK_YOU_ATTENTION;
+      break;
+    }
+      
+    case REMINDER_TEMPLATES.CUSTOMER_DELIVERY_H1: {
+      // REMINDER PENGIRIMAN (dikirim langsung ke customer)
+      const isPickup = shippingMethod === DELIVERY_METHODS.PICKUP;
+      const when = daysBefore === 1 ? 'besok' : `H-${daysBefore ?? 1}`;
+      message = `Halo ${customerName} 👋\n\n`;
+      message += isPickup
+        ? `Pesanan Anda siap diambil ${when}.\n\n`
+        : `Pesanan Anda akan dikirim ${when}.\n\n`;
+      message += `Invoice: \`${orderId}\`\n`;
+      message += `Tanggal: ${formatReminderDate(eventDate)}\n`;
+      message += `${isPickup ? 'Jam Ambil' : 'Jam Kirim'}: ${String(deliveryTime).replace(':', '.')}\n`;
+      if (!isPickup) {
+        message += `Alamat: ${address}\n`;
+      }
+      message += `\n📦 Pesanan:\n${itemsList}\n`;
+      if (remainingBalance > 0) {
+        message += `\nSisa Pembayaran: Rp${formatRupiah(remainingBalance)}\n`;
+      }
+      message += `\nJika ada perubahan, silakan balas chat ini.\n\n`;
+      message += THANK_YOU_ATTENTION;
+      break;
+    }
+      
     default:
-      message = `🔔 **REMINDER**\n\nOrder ID: \`${orderId}\``;
+      message = renderCustomReminderTemplate(reminderType, {
+        customer_name: customerName,
+        order_id: orderId,
+        event_date: eventDate,
+        delivery_time: deliveryTime,
+        delivery_method: shippingMethod,
+        address,
+        items: itemsList,
+        total_amount: `Rp${formatRupiah(totalAmount)}`,
+        paid_amount: `Rp${formatRupiah(paidAmount)}`,
+        remaining_balance: `Rp${formatRupiah(remainingBalance)}`,
+        days: daysBefore ?? '',
+      });
   }
 
   return message;
 }
 
+/**
+ * Format an event date for customers (e.g. "Sabtu, 24 Oktober 2026")
+ * @param {string} value - Date in YYYY-MM-DD or DD/MM/YYYY format
+ * @returns {string} Formatted date, or the original value if it cannot be parsed
+ */
+function formatReminderDate(value) {
+  try {
+    const [year, month, day] = normalizeEventDate(String(value)).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('id-ID', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Render a custom reminder template from the Reminder_Rules sheet
+ * Placeholders: {customer_name}, {order_id}, {event_date}, {delivery_time}, {delivery_method},
+ * {address}, {items}, {total_amount}, {paid_amount}, {remaining_balance}, {days}
+ * A literal "\n" in the sheet cell becomes a line break; unknown placeholders are left as-is
+ */
+function renderCustomReminderTemplate(template, values) {
+  return String(template)
+    .replace(/\\n/g, '\n')
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Send a reminder to a list of Telegram chats and summarize the result
+ * @param {Array<string>} chatIds - Telegram chat IDs
+ * @param {string} messageText - Message text to send
+ * @param {Function} sendMessage - Function to send Telegram message (chatId, text)
+ * @param {Object} options - { logTag, label } used in logs and error messages (e.g. "SEND_REMINDER_ADMINS", "admin")
+ * @returns {Promise<{success: boolean, successCount: number, failCount: number, errorMessage?: string}>}
+ */
+async function sendReminderToChats(chatIds, messageText, sendMessage, { logTag, label }) {
+  console.log(`📤 [${logTag}] Sending to ${chatIds.length} ${label}(s)...`);
+  
+  let successCount = 0;
+  let failCount = 0;
+  let firstError = null;
+  
+  // Send to each recipient
+  for (const chatId of chatIds) {
+    try {
+      await sendMessage(chatId, messageText);
+      successCount++;
+
+    } catch (error) {
+      failCount++;
+      if (!firstError) {
+        firstError = error.message || String(error);
+      }
+      console.error(`❌ [${logTag}] Failed to send to ${label} chat ${chatId}:`, error.message);
+    }
+  }
+  
+  if (successCount > 0) {
+    console.log(`✅ [${logTag}] Successfully sent to ${successCount}/${chatIds.length} ${label}(s)`);
+    return {
+      success: true,
+      successCount,
+      failCount,
+    };
+  }
+
+  // All sends failed
+  const errorMsg = `Telegram send failed for all ${label} recipients: ${firstError || 'Unknown error'}`;
+  console.error(`❌ [${logTag}] ${errorMsg}`);
+  return {
+    success: false,
+    successCount: 0,
+    failCount,
+    errorMessage: errorMsg,
+  };
+}
+
 /**
  * Send reminder to all active admin Telegram users
  * Reads admin chat IDs from Users sheet (platform=telegram, role=admin, is_active=true)
@@ -755,45 +918,10 @@ export async function sendReminderToAdmins(messageText, sendMessage) {
       };
     }
     
-    console.log(`📤 [SEND_REMINDER_ADMINS] Sending to ${chatIds.length} admin(s)...`);
-    
-    let successCount = 0;
-    let failCount = 0;
-    let firstError = null;
-    
-    // Send to each admin
-    for (const chatId of chatIds) {
-      try {
-        await sendMessage(chatId, messageText);
-        successCount++;
-
-      } catch (error) {
-        failCount++;
-        if (!firstError) {
-          firstError = error.message || String(error);
-        }
-        console.error(`❌ [SEND_REMINDER_ADMINS] Failed to send to admin chat ${chatId}:`, error.message);
-      }
-    }
-    
-    if (successCount > 0) {
-      console.log(`✅ [SEND_REMINDER_ADMINS] Successfully sent to ${successCount}/${chatIds.length} admin(s)`);
-      return {
-        success: true,
-        successCount,
-        failCount,
-      };
-    } else {
-      // All sends failed
-      const errorMsg = `Telegram send failed for all admins: ${firstError || 'Unknown error'}`;
-      console.error(`❌ [SEND_REMINDER_ADMINS] ${errorMsg}`);
-      return {
-        success: false,
-        successCount: 0,
-        failCount,
-        errorMessage: errorMsg,
-      };
-    }
+    return await sendReminderToChats(chatIds, messageText, sendMessage, {
+      logTag: 'SEND_REMINDER_ADMINS',
+      label: 'admin',
+    });
   } catch (error) {
     const errorMsg = `Error getting admin recipients: ${error.message || String(error)}`;
     console.error(`❌ [SEND_REMINDER_ADMINS] ${errorMsg}`);
@@ -806,6 +934,29 @@ export async function sendReminderToAdmins(messageText, sendMessage) {
   }
 }
 
+/**
+ * Send reminder to all active staff Telegram users
+ * Reads staff chat IDs from Users sheet (platform=telegram, role=staff, is_active=true)
+ * Falls back to the admins when no staff is registered, so internal reminders are never lost
+ * 
+ * @param {string} messageText - Message text to send
+ * @param {Function} sendMessage - Function to send Telegram message (chatId, text)
+ * @returns {Promise<{success: boolean, successCount: number, failCount: number, errorMessage?: string}>}
+ */
+export async function sendReminderToStaff(messageText, sendMessage) {
+  const chatIds = await getStaffChatIds();
+  
+  if (chatIds.length === 0) {
+    console.warn('⚠️ [SEND_REMINDER_STAFF] No staff recipients found in Users (platform=telegram, role=staff, is_active=true), sending to admins');
+    return await sendReminderToAdmins(messageText, sendMessage);
+  }
+  
+  return await sendReminderToChats(chatIds, messageText, sendMessage, {
+    logTag: 'SEND_REMINDER_STAFF',
+    label: 'staff',
+  });
+}
+
 /**
  * Send reminder to admin (DEPRECATED - use sendReminderToAdmins instead)
  * @deprecated Use sendReminderToAdmins() which reads from Users sheet
@@ -817,14 +968,107 @@ export async function sendReminderToAdmin(order, reminderType, sendMessage) {
   return result.success;
 }
 
+/**
+ * Resolve the H-N offset of each reminder rule
+ * "cutoff" rules follow the payment policy (Settings full_payment_cutoff_days, default H-4)
+ * @param {Array} rules - Active rules from getReminderRules()
+ * @param {Object} policy - Payment policy from loadPaymentPolicy()
+ * @returns {Array} Rules with numeric offsetDays
+ */
+export function resolveReminderSchedule(rules, policy) {
+  return rules.map(rule => ({
+    ...rule,
+    offsetDays: rule.offsetDays === REMINDER_OFFSET_PAYMENT_CUTOFF ? policy.fullPaymentCutoffDays : rule.offsetDays,
+  }));
+}
+
+/**
+ * Check whether an order is fully paid (accepts legacy "FULLPAID"/"PAID" values)
+ */
+function isOrderFullyPaid(order) {
+  const paymentStatus = (order.payment_status || PAYMENT_STATUS.UNPAID).toUpperCase();
+  return paymentStatus === PAYMENT_STATUS.FULL_PAID || paymentStatus === 'FULLPAID' || paymentStatus === 'PAID';
+}
+
+/**
+ * Check a reminder rule condition against the order payment status
+ * @param {string} condition - REMINDER_CONDITIONS value
+ * @param {Object} order - Order with payment_status
+ * @returns {boolean} True if the reminder should be sent
+ */
+export function isReminderConditionMet(condition, order) {
+  const paymentStatus = (order.payment_status || PAYMENT_STATUS.UNPAID).toUpperCase();
+
+  switch (condition) {
+    case REMINDER_CONDITIONS.UNPAID:
+      return paymentStatus === PAYMENT_STATUS.UNPAID;
+    case REMINDER_CONDITIONS.NOT_FULLY_PAID:
+      return !isOrderFullyPaid(order);
+    case REMINDER_CONDITIONS.FULLY_PAID:
+      return isOrderFullyPaid(order);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Send a reminder to the customer of an order (Telegram or WhatsApp, from the order conversation)
+ * @returns {Promise<{success: boolean, skipped?: boolean, successCount: number, failCount: number, errorMessage?: string}>}
+ */
+async function sendReminderToCustomer(order, messageText) {
+  try {
+    const { sendCustomerNotification } = await import('./order-status-notifications.js');
+    const sent = await sendCustomerNotification(order, messageText);
+    if (!sent) {
+      return {
+        success: false,
+        skipped: true,
+        successCount: 0,
+        failCount: 0,
+        errorMessage: 'Order has no customer chat',
+      };
+    }
+    return { success: true, successCount: 1, failCount: 0 };
+  } catch (error) {
+    console.error(`❌ [SEND_REMINDER_CUSTOMER] Failed to send to customer of order ${order.id}:`, error.message);
+    return {
+      success: false,
+      successCount: 0,
+      failCount: 1,
+      errorMessage: `Customer send failed: ${error.message || String(error)}`,
+    };
+  }
+}
+
+/**
+ * Send a reminder to the audience of its rule
+ * @param {Object} rule - Reminder rule
+ * @param {Object} order - Order
+ * @param {string} messageText - Rendered reminder
+ * @param {Function} sendMessage - Function to send Telegram message (admin/staff)
+ * @returns {Promise<{success: boolean, skipped?: boolean, successCount: number, failCount: number, errorMessage?: string}>}
+ */
+async function sendReminderToAudience(rule, order, messageText, sendMessage) {
+  switch (rule.audience) {
+    case REMINDER_AUDIENCES.CUSTOMER:
+      return await sendReminderToCustomer(order, messageText);
+    case REMINDER_AUDIENCES.STAFF:
+      return await sendReminderToStaff(messageText, sendMessage);
+    default:
+      return await sendReminderToAdmins(messageText, sendMessage);
+  }
+}
+
 /**
  * Run daily reminders job (quota-friendly, reads Orders and Reminders once)
  * Algorithm:
  * 1. Get today's date in Asia/Jakarta
- * 2. Read Orders ONCE (filter orders with event_date in [today+1 .. today+4])
- * 3. Read Reminders ONCE (build idempotency set)
- * 4. For each eligible order, determine reminder type and send if not already sent
- * 5. Append reminder log row only when sending (treat Reminders as send log)
+ * 2. Load the reminder rules (Reminder_Rules sheet merged with the defaults) and resolve their H-N offsets
+ * 3. Read Orders ONCE (filter orders whose event_date is H-N for a rule, or the payment deadline)
+ * 4. Read Reminders ONCE (build idempotency sets)
+ * 5. For each eligible order and each rule due today: check the condition, render the template and
+ *    send it to the rule's audience (admin, staff or customer)
+ * 6. Append reminder log row only when sending/skipping (treat Reminders as send log)
  * 
  * @param {Function} sendMessage - Function to send Telegram message
  * @param {Date} todayOverride - Optional date override for testing
@@ -837,6 +1081,16 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
     // Get today's date in Asia/Jakarta
     const today = todayOverride ? getTodayJakarta(todayOverride) : getTodayJakarta();
 
+    // Refresh payment policy so reminder/cancel days reflect the latest Settings
+    const { loadPaymentPolicy } = await import('./payment-policy.js');
+    const policy = await loadPaymentPolicy();
+    const paymentDeadlineDays = getPaymentDeadlineDays(policy);
+
+    // Load reminder schedule (rules are data - see Reminder_Rules sheet)
+    const rules = resolveReminderSchedule(await getReminderRules(), policy);
+    const ruleOffsets = new Set(rules.map(rule => rule.offsetDays));
+    console.log(`📋 [DAILY_REMINDERS] ${rules.length} active rule(s): ${rules.map(rule => `${rule.ruleId} (H-${rule.offsetDays}, ${rule.audience})`).join(', ')}`);
+
     // STEP 1: Read Orders ONCE (minimal reads)
     console.log(`📖 [DAILY_REMINDERS] Reading Orders sheet (once)...`);
     const allOrders = await getAllOrders(1000); // Read up to 1000 orders
@@ -844,7 +1098,7 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
     // Import normalizeEventDate for date normalization
     const { normalizeEventDate } = await import('../utils/date-utils.js');
     
-    // Filter orders whose event_date is within [today+1 .. today+4] window
+    // Filter orders whose event_date is H-N for a rule or the payment deadline
     const eligibleOrders = [];
     for (const order of allOrders) {
       if (!order.event_date) continue;
@@ -863,8 +1117,8 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
       }
       
       const daysDiff = getDaysDiffJakarta(eventDateStr, todayOverride || new Date());
-      // Only include orders where reminder is due today (days_diff = 1, 3, or 4)
-      if (daysDiff !== null && (daysDiff === 1 || daysDiff === 3 || daysDiff === 4)) {
+      // Only include orders where a reminder or auto-cancel is due today
+      if (daysDiff !== null && (ruleOffsets.has(daysDiff) || daysDiff === paymentDeadlineDays)) {
         eligibleOrders.push(order);
       }
     }
@@ -879,18 +1133,18 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
     // STEP 2: Read Reminders ONCE (anti-spam + idempotency sets)
     console.log(`📖 [DAILY_REMINDERS] Reading Reminders sheet (once) for anti-spam and idempotency...`);
     
-    // Read ALL reminders (not just today's) to build global per-invoice lock
+    // Read ALL reminders (not just today's) to build the per-rule lock
     const allReminders = await getAllReminders(); // Read all reminders
     
-    // Build anti-spam set: invoices that have ANY SENT reminder (global lock)
-    const sentInvoiceSet = new Set();
+    // Build anti-spam set: each rule is SENT at most once per invoice, key = `${order_id}|${reminder_type}`
+    const sentRuleKeys = new Set();
     for (const reminder of allReminders) {
       if (reminder.status === REMINDER_STATUS.SENT_UPPERCASE && reminder.orderId) {
-        sentInvoiceSet.add(reminder.orderId);
+        sentRuleKeys.add(`${reminder.orderId}|${reminder.reminderType}`);
       }
     }
     
-    console.log(`✅ [DAILY_REMINDERS] Found ${sentInvoiceSet.size} invoice(s) with SENT reminders (anti-spam lock)`);
+    console.log(`✅ [DAILY_REMINDERS] Found ${sentRuleKeys.size} SENT reminder(s) (anti-spam lock)`);
     
     // Build idempotency set for today: key = `${order_id}|${reminder_type}|${reminder_date}`
     const sentKeys = new Set();
@@ -914,42 +1168,29 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
         const eventDateStr = order.event_date;
         const daysDiff = getDaysDiffJakarta(eventDateStr, todayOverride || new Date());
         
-        // Determine reminder type based on days_diff
-        let reminderType = null;
-        if (daysDiff === 4) {
-          reminderType = 'H4_PAYMENT';
-        } else if (daysDiff === 3) {
-          reminderType = 'H3_ORDER_BAHAN';
-        } else if (daysDiff === 1) {
-          reminderType = 'H1_PREPARATION';
-        }
-        
-        // H-3 Auto-cancel logic: If order is not PAID by H-3, cancel it
-        if (daysDiff === 3) {
-          const paymentStatus = (order.payment_status || 'UNPAID').toUpperCase();
-          const isPaid = paymentStatus === 'FULL PAID' || paymentStatus === 'FULLPAID' || paymentStatus === 'PAID';
-          
-          if (!isPaid) {
+        // Auto-cancel logic: If order is not PAID by the payment deadline (default H-3), cancel it
+        if (daysDiff === paymentDeadlineDays) {
+          if (!isOrderFullyPaid(order)) {
             // Auto-cancel order
             try {
               const { updateOrderStatus } = await import('../repos/orders.repo.js');
-              const { getTelegramChatIdFromOrder } = await import('./order-status-notifications.js');
-              await updateOrderStatus(order.id, 'cancelled');
+              const { sendCustomerNotification } = await import('./order-status-notifications.js');
+              await updateOrderStatus(order.id, 'cancelled', {
+                source: ORDER_EVENT_SOURCES.SCHEDULER,
+                note: `Auto-cancel: pembayaran tidak diterima hingga H-${paymentDeadlineDays}`,
+              });
               
-              console.log(`🚫 [DAILY_REMINDERS] Auto-cancelled order ${order.id} (not paid by H-3)`);
+              console.log(`🚫 [DAILY_REMINDERS] Auto-cancelled order ${order.id} (not paid by H-${paymentDeadlineDays})`);
               
-              // Notify customer via sendMessage function (passed as parameter)
+              // Notify customer on the platform the order came from (Telegram or WhatsApp)
               try {
-                const customerChatId = await getTelegramChatIdFromOrder(order.id);
-                if (customerChatId) {
-                  await sendMessage(
-                    customerChatId,
-                    `❌ **Pesanan Dibatalkan**\n\n` +
-                    `Order ID: \`${order.id}\`\n` +
-                    `Alasan: Pembayaran tidak diterima hingga H-3\n\n` +
-                    `Jika Anda ingin memesan ulang, silakan gunakan perintah /pesan.`
-                  );
-                }
+                await sendCustomerNotification(
+                  order,
+                  `❌ **Pesanan Dibatalkan**\n\n` +
+                  `Order ID: \`${order.id}\`\n` +
+                  `Alasan: Pembayaran tidak diterima hingga H-${paymentDeadlineDays}\n\n` +
+                  `Jika Anda ingin memesan ulang, silakan gunakan perintah /pesan.`
+                );
               } catch (notifyError) {
                 console.warn(`⚠️ [DAILY_REMINDERS] Could not notify customer of cancellation:`, notifyError.message);
               }
@@ -964,39 +1205,42 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
           }
         }
         
-        if (!reminderType) {
-          continue; // Skip if no reminder type determined
+        // Rules due today for this order
+        const dueRules = rules.filter(rule => rule.offsetDays === daysDiff);
+        if (dueRules.length === 0) {
+          continue;
         }
         
         // Skip cancelled/completed orders
         const orderStatus = (order.status || '').toLowerCase();
         if (orderStatus === ORDER_STATUS.CANCELLED || orderStatus === ORDER_STATUS.COMPLETED) {
-          console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (status: ${orderStatus})`);
+          console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${dueRules.map(rule => rule.ruleId).join(', ')} (status: ${orderStatus})`);
           skippedCount++;
           continue;
         }
         
-        // ANTI-SPAM CHECK: If invoice has ANY SENT reminder, skip ALL future reminders
-        if (sentInvoiceSet.has(order.id)) {
+        for (const rule of dueRules) {
+          const reminderType = rule.ruleId;
 
-          console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (invoice already has SENT reminder - anti-spam lock)`);
-          continue; // Skip without writing to Reminders sheet (quota-friendly)
-        }
-        
-        // Build idempotency key
-        const key = `${order.id}|${reminderType}|${today}`;
-        
-        // Check if already processed today
-        if (sentKeys.has(key)) {
-          console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (already processed today)`);
-          continue;
-        }
-        
-        // Special handling for H4_PAYMENT: skip if FULL PAID
-        if (reminderType === 'H4_PAYMENT') {
-          const paymentStatus = (order.payment_status || 'UNPAID').toUpperCase();
-          if (paymentStatus === 'FULL PAID' || paymentStatus === 'FULLPAID' || paymentStatus === 'PAID') {
-            console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (payment_status: ${paymentStatus})`);
+          // ANTI-SPAM CHECK: If this rule was already SENT for the invoice, never send it again
+          if (sentRuleKeys.has(`${order.id}|${reminderType}`)) {
+            console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (already SENT - anti-spam lock)`);
+            continue; // Skip without writing to Reminders sheet (quota-friendly)
+          }
+          
+          // Build idempotency key
+          const key = `${order.id}|${reminderType}|${today}`;
+          
+          // Check if already processed today
+          if (sentKeys.has(key)) {
+            console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (already processed today)`);
+            continue;
+          }
+          
+          // Rule condition (e.g. payment reminders only while not FULL PAID)
+          if (!isReminderConditionMet(rule.condition, order)) {
+            const paymentStatus = (order.payment_status || PAYMENT_STATUS.UNPAID).toUpperCase();
+            console.log(`⏭️ [DAILY_REMINDERS] Skipping ${order.id} ${reminderType} (condition ${rule.condition} not met, payment_status: ${paymentStatus})`);
             
             // Append SKIPPED log row
             await saveReminder({
@@ -1005,70 +1249,76 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
               reminderDate: today,
               status: 'SKIPPED',
               attempts: 0,
-              notes: 'Skipped because FULL PAID',
+              notes: `Skipped because ${paymentStatus} (condition: ${rule.condition})`,
             });
             
             sentKeys.add(key); // Mark as processed
             skippedCount++;
             continue;
           }
-        }
-        
-        // Render message by template
-        const message = getReminderMessage(order, reminderType);
-        
-        // ALL reminder types go to ALL active admins (from Users sheet)
-        // Send to all admins and get result summary
-        const sendResult = await sendReminderToAdmins(message, sendMessage);
-        
-        if (sendResult.success) {
-          // At least one admin received the message
-          const notes = sendResult.failCount > 0
-            ? `Sent to ${sendResult.successCount} admin(s), failed ${sendResult.failCount}`
-            : `Sent to ${sendResult.successCount} admin(s)`;
-          
-          // Create Google Calendar event for this reminder
-          try {
-            const { createReminderCalendarEvent } = await import('./google-calendar.js');
-            const calendarEventId = await createReminderCalendarEvent(order, reminderType);
-            if (calendarEventId) {
-              console.log(`✅ [DAILY_REMINDERS] Calendar event created for reminder ${order.id} (${reminderType}): ${calendarEventId}`);
-            }
-          } catch (calendarError) {
-            // Log error but don't fail the reminder sending
-            console.error(`⚠️ [DAILY_REMINDERS] Failed to create calendar event for reminder ${order.id}:`, calendarError.message);
-          }
           
-          // Append ONE SENT log row (not per admin)
-          await saveReminder({
-            orderId: order.id,
-            reminderType: reminderType,
-            reminderDate: today,
-            status: 'SENT',
-            sentAt: new Date().toISOString(),
-            attempts: 1,
-            lastAttemptAt: new Date().toISOString(),
-            notes: notes,
-          });
+          // Render message by template
+          const message = getReminderMessage(order, rule.template, rule.offsetDays);
           
-          sentKeys.add(key); // Mark as processed
-          sentCount++;
-        } else {
-          // No admins found or all sends failed
-          const errorMessage = sendResult.errorMessage || 'Unknown error';
+          // Send to the rule's audience (admins/staff via Telegram, customer via their own chat)
+          const sendResult = await sendReminderToAudience(rule, order, message, sendMessage);
           
-          // Append ONE FAILED log row with specific error message
-          await saveReminder({
-            orderId: order.id,
-            reminderType: reminderType,
-            reminderDate: today,
-            status: 'FAILED',
-            attempts: 1,
-            lastAttemptAt: new Date().toISOString(),
-            notes: errorMessage.substring(0, 200), // Truncate if too long
-          });
-          
-          failedCount++;
+          if (sendResult.success) {
+            const notes = sendResult.failCount > 0
+              ? `Sent to ${sendResult.successCount} ${rule.audience}(s), failed ${sendResult.failCount}`
+              : `Sent to ${sendResult.successCount} ${rule.audience}(s)`;
+            
+            // Create Google Calendar event for internal reminders
+            if (rule.audience !== REMINDER_AUDIENCES.CUSTOMER) {
+              try {
+                const { createReminderCalendarEvent } = await import('./google-calendar.js');
+                const calendarEventId = await createReminderCalendarEvent(order, reminderType);
+                if (calendarEventId) {
+                  console.log(`✅ [DAILY_REMINDERS] Calendar event created for reminder ${order.id} (${reminderType}): ${calendarEventId}`);
+                }
+              } catch (calendarError) {
+                // Log error but don't fail the reminder sending
+                console.error(`⚠️ [DAILY_REMINDERS] Failed to create calendar event for reminder ${order.id}:`, calendarError.message);
+              }
+            }
+            
+            // Append ONE SENT log row (not per recipient)
+            await saveReminder({
+              orderId: order.id,
+              reminderType: reminderType,
+              reminderDate: today,
+              status: 'SENT',
+              sentAt: new Date().toISOString(),
+              attempts: 1,
+              lastAttemptAt: new Date().toISOString(),
+              notes: notes,
+            });
+            
+            sentKeys.add(key); // Mark as processed
+            sentRuleKeys.add(`${order.id}|${reminderType}`);
+            sentCount++;
+          } else {
+            // No recipients (e.g. order without customer chat) or all sends failed
+            const errorMessage = sendResult.errorMessage || 'Unknown error';
+            
+            // Append ONE SKIPPED/FAILED log row with specific error message
+            await saveReminder({
+              orderId: order.id,
+              reminderType: reminderType,
+              reminderDate: today,
+              status: sendResult.skipped ? 'SKIPPED' : 'FAILED',
+              attempts: sendResult.skipped ? 0 : 1,
+              lastAttemptAt: new Date().toISOString(),
+              notes: errorMessage.substring(0, 200), // Truncate if too long
+            });
+            
+            sentKeys.add(key); // Mark as processed
+            if (sendResult.skipped) {
+              skippedCount++;
+            } else {
+              failedCount++;
+            }
+          }
         }
       } catch (error) {
         console.error(`❌ [DAILY_REMINDERS] Error processing order ${order.id}:`, error);
@@ -1076,6 +1326,7 @@ export async function runDailyRemindersJob(sendMessage, todayOverride = null) {
       }
     }
 
+    console.log(`✅ [DAILY_REMINDERS] Done - sent: ${sentCount}, skipped: ${skippedCount}, failed: ${failedCount}`);
   } catch (error) {
     console.error('❌ [DAILY_REMINDERS] Fatal error in daily job:', error);
     console.error('❌ [DAILY_REMINDERS] Stack:', error.stack);
@@ -1091,8 +1342,6 @@ async function getAllReminders() {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
-    const { retryWithBackoff } = await import('./src/repos/sheets.client.js');
-    
     await ensureRemindersSheet();
     
     const { getSheetHeaderMap } = await import('../utils/sheets-helpers.js');
@@ -1145,8 +1394,6 @@ async function getRemindersForDateRange(startDate, endDate) {
   try {
     const sheets = getSheetsClient();
     const SPREADSHEET_ID = getSpreadsheetId();
-    const { retryWithBackoff } = await import('./src/repos/sheets.client.js');
-    
     await ensureRemindersSheet();
     
     const { getSheetHeaderMap } = await import('../utils/sheets-helpers.js');
@@ -0,0 +1,251 @@
+/**
+ * Sales Analytics
+ * Aggregates Orders and Payment_History per day, week or month for the dashboard charts
+ *
+ * Per period:
+ * - revenue, orders, averageOrderValue: orders that are not cancelled (total_amount)
+ * - cups: dawet cups per size (Small/Medium/Large) of those orders
+ * - dpPaidAmount / fullPaidAmount / outstandingAmount: what was paid on orders that are not fully paid yet
+ *   (DP and partial payments), the totals of FULL PAID orders and the remaining balance, from the order
+ *   payment summary (payment_status, paid_amount)
+ * - cancelledOrders / cancelledAmount: cancelled orders (not counted in revenue)
+ * - paymentsReceived / paymentsCount: confirmed payments in Payment_History by payment_date
+ *
+ * Orders are grouped by order date (created_at, Jakarta time) or, with dateBasis "event", by event date.
+ * Weeks start on Monday; every period between from and to is returned, including empty ones.
+ */
+
+import { getAllOrders } from '../repos/orders.repo.js';
+import { getAllPayments } from '../repos/payment-history.repo.js';
+import { CUP_SIZES, getCupSize } from './price-calculator.js';
+import { toISODateJakarta, getJakartaTodayISO, addDaysJakarta } from '../utils/date-utils.js';
+import { ORDER_STATUS, PAYMENT_STATUS } from '../utils/constants.js';
+
+export const ANALYTICS_GRANULARITIES = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+export const ANALYTICS_DATE_BASES = {
+  ORDER: 'order', // created_at
+  EVENT: 'event', // event_date
+};
+
+export const ANALYTICS_ERRORS = {
+  VALIDATION_FAILED: 'validation_failed',
+};
+
+// Default range per granularity when `from` is omitted (periods ending with `to`)
+const DEFAULT_PERIODS = {
+  [ANALYTICS_GRANULARITIES.DAY]: 7,
+  [ANALYTICS_GRANULARITIES.WEEK]: 12,
+  [ANALYTICS_GRANULARITIES.MONTH]: 12,
+};
+
+// Upper bound of returned periods (a year of days)
+const MAX_PERIODS = 366;
+
+// Payment_History statuses counted as received (same as recalculateOrderPaymentSummary)
+const RECEIVED_PAYMENT_STATUSES = ['confirmed', 'approved'];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'Mei', 'Jun', 'Jul', 'Agu', 'Sep', 'Okt', 'Nov', 'Des'];
+
+/**
+ * Get the first day of the period containing a date
+ * @param {string} dateISO - YYYY-MM-DD
+ * @param {string} granularity - ANALYTICS_GRANULARITIES value
+ * @returns {string} Period start (YYYY-MM-DD)
+ */
+function getPeriodStart(dateISO, granularity) {
+  if (granularity === ANALYTICS_GRANULARITIES.MONTH) {
+    return `${dateISO.slice(0, 7)}-01`;
+  }
+  if (granularity === ANALYTICS_GRANULARITIES.WEEK) {
+    const dayOfWeek = new Date(`${dateISO}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return addDaysJakarta(dateISO, -((dayOfWeek + 6) % 7));
+  }
+  return dateISO;
+}
+
+/**
+ * Get the first day of the next period
+ */
+function getNextPeriodStart(periodStart, granularity) {
+  if (granularity === ANALYTICS_GRANULARITIES.MONTH) {
+    const [year, month] = periodStart.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  }
+  return addDaysJakarta(periodStart, granularity === ANALYTICS_GRANULARITIES.WEEK ? 7 : 1);
+}
+
+/**
+ * Short chart label of a period ("19 Okt", "Okt 2026")
+ */
+function getPeriodLabel(periodStart, granularity) {
+  const [year, month, day] = periodStart.split('-').map(Number);
+  if (granularity === ANALYTICS_GRANULARITIES.MONTH) {
+    return `${MONTH_LABELS[month - 1]} ${year}`;
+  }
+  return `${day} ${MONTH_LABELS[month - 1]}`;
+}
+
+/**
+ * Empty totals of one period (or of the whole range)
+ */
+function createTotals() {
+  return {
+    revenue: 0,
+    orders: 0,
+    averageOrderValue: 0,
+    cups: Object.fromEntries([...CUP_SIZES.map(size => [size, 0]), ['total', 0]]),
+    dpPaidAmount: 0,
+    fullPaidAmount: 0,
+    outstandingAmount: 0,
+    cancelledOrders: 0,
+    cancelledAmount: 0,
+    paymentsReceived: 0,
+    paymentsCount: 0,
+  };
+}
+
+/**
+ * Add an order to period totals
+ */
+function addOrder(totals, order) {
+  const amount = order.total_amount || order.final_total || 0;
+  if (String(order.status || '').toLowerCase() === ORDER_STATUS.CANCELLED) {
+    totals.cancelledOrders++;
+    totals.cancelledAmount += amount;
+    return;
+  }
+
+  totals.orders++;
+  totals.revenue += amount;
+
+  (order.items || []).forEach(item => {
+    const size = getCupSize(item.name);
+    if (size) {
+      const quantity = parseInt(item.quantity, 10) || 0;
+      totals.cups[size] += quantity;
+      totals.cups.total += quantity;
+    }
+  });
+
+  const paymentStatus = String(order.payment_status || '').toUpperCase().replace(/\s+/g, ' ').trim();
+  if (paymentStatus === PAYMENT_STATUS.FULL_PAID || paymentStatus === 'FULLPAID' || paymentStatus === 'PAID') {
+    totals.fullPaidAmount += amount;
+  } else {
+    totals.dpPaidAmount += order.paid_amount || 0;
+    totals.outstandingAmount += Math.max(0, amount - (order.paid_amount || 0));
+  }
+}
+
+/**
+ * Validate and complete the query (defaults: today, 7 days / 12 weeks / 12 months)
+ * @returns {Object} { from, to, granularity, dateBasis } or { error }
+ */
+function normalizeQuery(query) {
+  const granularity = query.granularity || ANALYTICS_GRANULARITIES.DAY;
+  if (!Object.values(ANALYTICS_GRANULARITIES).includes(granularity)) {
+    return { error: `granularity must be one of: ${Object.values(ANALYTICS_GRANULARITIES).join(', ')}` };
+  }
+  const dateBasis = query.dateBasis || ANALYTICS_DATE_BASES.ORDER;
+  if (!Object.values(ANALYTICS_DATE_BASES).includes(dateBasis)) {
+    return { error: `dateBasis must be one of: ${Object.values(ANALYTICS_DATE_BASES).join(', ')}` };
+  }
+
+  const to = query.to ? toISODateJakarta(query.to) : getJakartaTodayISO();
+  if (!to) {
+    return { error: 'to must be a date (YYYY-MM-DD)' };
+  }
+
+  let from = query.from ? toISODateJakarta(query.from) : null;
+  if (query.from && !from) {
+    return { error: 'from must be a date (YYYY-MM-DD)' };
+  }
+  if (!from) {
+    from = getPeriodStart(to, granularity);
+    for (let i = 1; i < DEFAULT_PERIODS[granularity]; i++) {
+      from = getPeriodStart(addDaysJakarta(from, -1), granularity);
+    }
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+
+  return { from, to, granularity, dateBasis };
+}
+
+/**
+ * Get sales analytics for a date range
+ * @param {Object} query - { from, to (YYYY-MM-DD, inclusive), granularity: day|week|month, dateBasis: order|event }
+ * @returns {Promise<Object>} { success: true, analytics: { from, to, granularity, dateBasis, periods: [{ period, label, ...totals }], totals } }
+ *   or { success: false, errorCode, error }
+ */
+export async function getSalesAnalytics(query = {}) {
+  const normalized = normalizeQuery(query);
+  if (normalized.error) {
+    return { success: false, errorCode: ANALYTICS_ERRORS.VALIDATION_FAILED, error: normalized.error };
+  }
+  const { from, to, granularity, dateBasis } = normalized;
+
+  // One entry per period, keyed by period start
+  const periods = new Map();
+  for (let start = getPeriodStart(from, granularity); start <= to; start = getNextPeriodStart(start, granularity)) {
+    if (periods.size >= MAX_PERIODS) {
+      return {
+        success: false,
+        errorCode: ANALYTICS_ERRORS.VALIDATION_FAILED,
+        error: `Range too long for granularity "${granularity}" (max ${MAX_PERIODS} periods)`,
+      };
+    }
+    periods.set(start, { period: start, label: getPeriodLabel(start, granularity), ...createTotals() });
+  }
+  const totals = createTotals();
+
+  const [orders, payments] = await Promise.all([
+    getAllOrders(Infinity),
+    getAllPayments(),
+  ]);
+
+  orders.forEach(order => {
+    const date = toISODateJakarta(dateBasis === ANALYTICS_DATE_BASES.EVENT ? order.event_date : order.created_at);
+    if (!date || date < from || date > to) {
+      return;
+    }
+    addOrder(periods.get(getPeriodStart(date, granularity)), order);
+    addOrder(totals, order);
+  });
+
+  payments.forEach(payment => {
+    if (!RECEIVED_PAYMENT_STATUSES.includes(String(payment.status || '').toLowerCase().trim())) {
+      return;
+    }
+    const date = toISODateJakarta(payment.payment_date || payment.created_at);
+    if (!date || date < from || date > to) {
+      return;
+    }
+    const amount = payment.amount_confirmed || payment.amount_input || 0;
+    for (const target of [periods.get(getPeriodStart(date, granularity)), totals]) {
+      target.paymentsReceived += amount;
+      target.paymentsCount++;
+    }
+  });
+
+  [...periods.values(), totals].forEach(entry => {
+    entry.averageOrderValue = entry.orders > 0 ? Math.round(entry.revenue / entry.orders) : 0;
+  });
+
+  return {
+    success: true,
+    analytics: {
+      from,
+      to,
+      granularity,
+      dateBasis,
+      periods: [...periods.values()],
+      totals,
+    },
+  };
+}
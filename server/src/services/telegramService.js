@@ -1,10 +1,51 @@
 /**
  * Telegram Service
- * Handles all Telegram Bot API communication
+ * Handles all Telegram Bot API communication (with the current tenant's bot)
  */
 
+import crypto from 'crypto';
+import { getTelegramBotToken } from '../config/tenant-context.js';
+
 const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
 
+/**
+ * Get the secret token of a tenant's webhook (registered with setWebhook, sent back by Telegram
+ * in the X-Telegram-Bot-Api-Secret-Token header of every update)
+ * TELEGRAM_WEBHOOK_SECRET / webhookSecret in TENANTS_FILE; derived from the bot token when not set
+ * @param {Object} tenant - Tenant (src/config/tenants.js)
+ * @returns {string|null} Secret token, or null if the tenant has no bot token
+ */
+export function getTelegramWebhookSecret(tenant) {
+  if (tenant.webhookSecret) {
+    return tenant.webhookSecret;
+  }
+  if (!tenant.botToken) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(`telegram-webhook:${tenant.botToken}`).digest('hex');
+}
+
+/**
+ * Verify the X-Telegram-Bot-Api-Secret-Token header of a webhook request
+ * @param {Object} tenant - Tenant the webhook URL belongs to
+ * @param {string} secretHeader - Value of the X-Telegram-Bot-Api-Secret-Token header
+ * @returns {boolean} True if the header matches the tenant's webhook secret
+ */
+export function verifyTelegramWebhookSecret(tenant, secretHeader) {
+  const expected = getTelegramWebhookSecret(tenant);
+  if (!expected || !secretHeader) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(secretHeader));
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
 /**
  * Send a message to a Telegram chat
  * @param {number|string} chatId - Telegram chat ID
@@ -14,7 +55,7 @@ const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
  * @returns {Promise<Object>} Telegram API response
  */
 export async function sendTelegramMessage(chatId, text, replyMarkup = null, replyToMessageId = null) {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const botToken = getTelegramBotToken();
 
   if (!botToken) {
     throw new Error('Telegram bot token not configured. Set TELEGRAM_BOT_TOKEN in .env file');
@@ -193,3 +234,180 @@ export async function sendTelegramMessage(chatId, text, replyMarkup = null, repl
     throw error;
   }
 }
+
+/**
+ * POST to a Telegram Bot API method, retrying as plain text on Markdown parse errors
+ * @param {string} method - Bot API method (e.g. editMessageText)
+ * @param {Object} payload - Request payload (parse_mode is removed on retry)
+ * @returns {Promise<Object>} Telegram API result
+ */
+async function callTelegramApi(method, payload) {
+  const botToken = getTelegramBotToken();
+
+  if (!botToken) {
+    throw new Error('Telegram bot token not configured. Set TELEGRAM_BOT_TOKEN in .env file');
+  }
+
+  const url = `${TELEGRAM_API_BASE}${botToken}/${method}`;
+  const post = async (body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    return await response.json();
+  };
+
+  let data = await post(payload);
+
+  // If it's a markdown parsing error, retry without parse_mode
+  if (!data.ok && payload.parse_mode && data.description && data.description.includes("can't parse entities")) {
+    console.warn(`⚠️ [TELEGRAM_API] Markdown parsing error in ${method}, retrying as plain text:`, data.description);
+    const { parse_mode, ...plainPayload } = payload;
+    data = await post(plainPayload);
+  }
+
+  if (!data.ok) {
+    throw new Error(`Telegram API error: ${data.description}`);
+  }
+
+  return data.result;
+}
+
+/**
+ * Edit the text of a message sent by the bot
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to edit
+ * @param {string} text - New message text
+ * @param {Object|null} replyMarkup - Optional inline keyboard
+ * @returns {Promise<Object>} Telegram API result
+ */
+export async function editTelegramMessageText(chatId, messageId, text, replyMarkup = null) {
+  // Guard: Never send null or undefined text
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    console.warn('⚠️ [EDIT_MESSAGE] Attempted to edit message with invalid text:', text);
+    throw new Error('Cannot edit message: text must be a non-empty string');
+  }
+
+  const payload = {
+    chat_id: chatId,
+    message_id: messageId,
+    text: text,
+    parse_mode: 'Markdown',
+  };
+
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  return await callTelegramApi('editMessageText', payload);
+}
+
+/**
+ * Edit message reply markup (null removes the inline keyboard)
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to edit
+ * @param {Object|null} replyMarkup - New inline keyboard, or null to remove it
+ * @returns {Promise<Object>} Telegram API result
+ */
+export async function editTelegramReplyMarkup(chatId, messageId, replyMarkup = null) {
+  return await callTelegramApi('editMessageReplyMarkup', {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] },
+  });
+}
+
+/**
+ * Send a photo or document (by URL or file buffer)
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} media - { kind: 'photo'|'document', url, buffer, filename, mimeType, caption, replyMarkup, replyToMessageId }
+ * @returns {Promise<Object>} Telegram API result
+ */
+export async function sendTelegramMedia(chatId, media) {
+  const botToken = getTelegramBotToken();
+
+  if (!botToken) {
+    throw new Error('Telegram bot token not configured. Set TELEGRAM_BOT_TOKEN in .env file');
+  }
+
+  const field = media.kind === 'photo' ? 'photo' : 'document';
+  const method = media.kind === 'photo' ? 'sendPhoto' : 'sendDocument';
+
+  if (!media.buffer) {
+    // Telegram downloads the file from the URL
+    const payload = {
+      chat_id: chatId,
+      [field]: media.url,
+    };
+    if (media.caption) {
+      payload.caption = media.caption;
+      payload.parse_mode = 'Markdown';
+    }
+    if (media.replyMarkup) {
+      payload.reply_markup = media.replyMarkup;
+    }
+    if (media.replyToMessageId) {
+      payload.reply_to_message_id = media.replyToMessageId;
+    }
+    return await callTelegramApi(method, payload);
+  }
+
+  // Upload file buffer as multipart/form-data
+  const form = new FormData();
+  form.append('chat_id', String(chatId));
+  form.append(field, new Blob([media.buffer], { type: media.mimeType || 'application/octet-stream' }), media.filename || field);
+  if (media.caption) {
+    form.append('caption', media.caption);
+    form.append('parse_mode', 'Markdown');
+  }
+  if (media.replyMarkup) {
+    form.append('reply_markup', JSON.stringify(media.replyMarkup));
+  }
+  if (media.replyToMessageId) {
+    form.append('reply_to_message_id', String(media.replyToMessageId));
+  }
+
+  const response = await fetch(`${TELEGRAM_API_BASE}${botToken}/${method}`, {
+    method: 'POST',
+    body: form,
+  });
+  const data = await response.json();
+
+  if (!data.ok) {
+    throw new Error(`Telegram API error: ${data.description}`);
+  }
+
+  console.log(`✅ [TELEGRAM] ${field} sent to chat ${chatId}`);
+  return data.result;
+}
+
+/**
+ * Download a file the bot has received or sent (e.g. payment evidence)
+ * @param {string} fileId - Telegram file_id
+ * @returns {Promise<{buffer: Buffer, filePath: string}>} File content and Telegram file path (has the extension)
+ */
+export async function downloadTelegramFile(fileId) {
+  const botToken = getTelegramBotToken();
+
+  if (!botToken) {
+    throw new Error('Telegram bot token not configured. Set TELEGRAM_BOT_TOKEN in .env file');
+  }
+
+  const file = await callTelegramApi('getFile', { file_id: fileId });
+  if (!file?.file_path) {
+    throw new Error(`Telegram file ${fileId} has no file path`);
+  }
+
+  const response = await fetch(`https://api.telegram.org/file/bot${botToken}/${file.file_path}`);
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed: HTTP ${response.status}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    filePath: file.file_path,
+  };
+}
@@ -0,0 +1,306 @@
+/**
+ * WhatsApp Service
+ * Handles all WhatsApp Cloud API communication (outbound messages, templates, webhook signatures)
+ *
+ * sendWhatsAppMessage() has the same signature as sendTelegramMessage() so it can be passed
+ * as the `sendMessage` function to the shared order/payment handlers.
+ * Payloads are built by the WhatsApp renderer (src/services/messaging/whatsapp.renderer.js).
+ */
+
+import crypto from 'crypto';
+import { getEnv } from '../config/env.js';
+import { toMessage } from './messaging/message.js';
+import { renderWhatsAppMessage, getWhatsAppPayloadText } from './messaging/whatsapp.renderer.js';
+
+const DEFAULT_WHATSAPP_API_BASE = 'https://graph.facebook.com/v19.0';
+
+// WhatsApp rejects free-form messages outside the 24h customer service window with this error code
+const REENGAGEMENT_ERROR_CODE = 131047;
+
+// Longest body parameter sent with the notification template (WhatsApp allows 1,024 characters for the
+// whole template body, the template's own text included)
+const TEMPLATE_PARAM_MAX_LENGTH = 900;
+
+/**
+ * Get WhatsApp Cloud API configuration from env vars
+ * @returns {Object} { accessToken, phoneNumberId, appSecret, verifyToken, apiBaseUrl, notificationTemplate, templateLanguage }
+ */
+export function getWhatsAppConfig() {
+  return {
+    accessToken: getEnv('WHATSAPP_ACCESS_TOKEN'),
+    phoneNumberId: getEnv('WHATSAPP_PHONE_NUMBER_ID'),
+    appSecret: getEnv('WHATSAPP_APP_SECRET'),
+    verifyToken: getEnv('WHATSAPP_VERIFY_TOKEN'),
+    apiBaseUrl: getEnv('WHATSAPP_API_BASE_URL', DEFAULT_WHATSAPP_API_BASE).replace(/\/+$/, ''),
+    notificationTemplate: getEnv('WHATSAPP_NOTIFICATION_TEMPLATE'),
+    templateLanguage: getEnv('WHATSAPP_TEMPLATE_LANGUAGE', 'id'),
+  };
+}
+
+/**
+ * Check if outbound WhatsApp messaging is configured
+ * @returns {boolean} True if access token and phone number ID are set
+ */
+export function isWhatsAppConfigured() {
+  const config = getWhatsAppConfig();
+  return !!(config.accessToken && config.phoneNumberId);
+}
+
+/**
+ * Normalize a WhatsApp ID / phone number to digits only (e.g. "+62 812-345" -> "62812345")
+ * @param {string|number} phone - Phone number or WhatsApp ID
+ * @returns {string} Digits only
+ */
+export function normalizeWhatsAppId(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Verify X-Hub-Signature-256 header of a webhook request
+ * @param {Buffer|string} rawBody - Raw request body (exactly as received)
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header ("sha256=<hex>")
+ * @returns {boolean} True if the signature matches WHATSAPP_APP_SECRET
+ */
+export function verifyWhatsAppSignature(rawBody, signatureHeader) {
+  const { appSecret } = getWhatsAppConfig();
+  if (!appSecret) {
+    console.warn('⚠️ [WHATSAPP] WHATSAPP_APP_SECRET not set, rejecting webhook (signature cannot be verified)');
+    return false;
+  }
+
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+  const received = signatureHeader.slice('sha256='.length);
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * POST a message payload to the Cloud API /messages endpoint
+ * @param {Object} payload - Message payload (without messaging_product)
+ * @returns {Promise<Object>} { message_id, to }
+ */
+async function postWhatsAppMessage(payload) {
+  const config = getWhatsAppConfig();
+
+  if (!config.accessToken || !config.phoneNumberId) {
+    throw new Error('WhatsApp not configured. Set WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID in .env file');
+  }
+
+  const url = `${config.apiBaseUrl}/${config.phoneNumberId}/messages`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.accessToken}`,
+    },
+    body: JSON.stringify({
+      messaging_product: 'whatsapp',
+      ...payload,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.error) {
+    const apiError = data.error || {};
+    const error = new Error(`WhatsApp API error: ${apiError.message || response.status} (code: ${apiError.code || 'unknown'})`);
+    error.code = apiError.code;
+    throw error;
+  }
+
+  return {
+    message_id: data.messages?.[0]?.id || null,
+    to: data.contacts?.[0]?.wa_id || payload.to,
+  };
+}
+
+/**
+ * Send a template message (required outside the 24h customer service window)
+ * @param {string} to - Recipient WhatsApp ID / phone number
+ * @param {string} templateName - Approved template name
+ * @param {Object} options - { languageCode, bodyParams: string[] }
+ * @returns {Promise<Object>} { message_id, to }
+ */
+export async function sendWhatsAppTemplate(to, templateName, options = {}) {
+  const { languageCode = getWhatsAppConfig().templateLanguage, bodyParams = [] } = options;
+
+  if (!templateName) {
+    throw new Error('Cannot send WhatsApp template: template name is required');
+  }
+
+  const template = {
+    name: templateName,
+    language: { code: languageCode },
+  };
+
+  if (bodyParams.length > 0) {
+    template.components = [{
+      type: 'body',
+      // Template parameters cannot contain newlines, tabs or more than 4 consecutive spaces
+      parameters: bodyParams.map(param => ({
+        type: 'text',
+        text: String(param).replace(/[\n\t]+/g, ' ').replace(/ {4,}/g, '   ').trim(),
+      })),
+    }];
+  }
+
+  const result = await postWhatsAppMessage({
+    to: normalizeWhatsAppId(to),
+    type: 'template',
+    template,
+  });
+
+  console.log(`✅ [WHATSAPP] Template "${templateName}" sent to ${result.to}`);
+  return result;
+}
+
+/**
+ * Upload media (image/document) to WhatsApp, for media that has no public URL
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - MIME type (e.g. application/pdf)
+ * @param {string} filename - File name
+ * @returns {Promise<string>} Media ID
+ */
+export async function uploadWhatsAppMedia(buffer, mimeType, filename = 'file') {
+  const config = getWhatsAppConfig();
+
+  if (!config.accessToken || !config.phoneNumberId) {
+    throw new Error('WhatsApp not configured. Set WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID in .env file');
+  }
+
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimeType);
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+  const response = await fetch(`${config.apiBaseUrl}/${config.phoneNumberId}/media`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${config.accessToken}`,
+    },
+    body: form,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.id) {
+    const apiError = data.error || {};
+    throw new Error(`WhatsApp media upload error: ${apiError.message || response.status} (code: ${apiError.code || 'unknown'})`);
+  }
+
+  return data.id;
+}
+
+/**
+ * Turn an outgoing message into the body parameter of the notification template
+ * Lines are joined with " · " (parameters are single-line); long messages (invoices, recaps, reminders)
+ * keep their first lines and end with "…"
+ * @param {string} text - Message text
+ * @returns {{text: string, truncated: boolean}} Parameter, and whether the message was shortened
+ */
+function toTemplateBodyParam(text) {
+  const full = String(text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' · ');
+  if (full.length <= TEMPLATE_PARAM_MAX_LENGTH) {
+    return { text: full, truncated: false };
+  }
+
+  // Cut after the last whole line that fits (or mid-line when the first line is already too long)
+  const cut = full.slice(0, TEMPLATE_PARAM_MAX_LENGTH - 1);
+  const lastSeparator = cut.lastIndexOf(' · ');
+  return { text: `${lastSeparator > 0 ? cut.slice(0, lastSeparator) : cut}…`, truncated: true };
+}
+
+/**
+ * Send one rendered payload to a WhatsApp user
+ * Falls back to WHATSAPP_NOTIFICATION_TEMPLATE (if set) when the customer service window has closed
+ * @param {string} to - Recipient WhatsApp ID / phone number
+ * @param {Object} payload - Rendered payload (see renderWhatsAppMessage)
+ * @param {string|null} replyToMessageId - Optional WhatsApp message ID to reply to
+ * @returns {Promise<Object>} { message_id, to }
+ */
+async function sendWhatsAppPayload(to, payload, replyToMessageId = null) {
+  const fullPayload = {
+    recipient_type: 'individual',
+    to: normalizeWhatsAppId(to),
+    ...payload,
+  };
+
+  if (replyToMessageId) {
+    fullPayload.context = { message_id: replyToMessageId };
+  }
+
+  try {
+    const result = await postWhatsAppMessage(fullPayload);
+    console.log(`✅ [WHATSAPP] ${payload.type} message sent to ${result.to}`);
+    return result;
+  } catch (error) {
+    const { notificationTemplate } = getWhatsAppConfig();
+    const text = getWhatsAppPayloadText(payload);
+    if (error.code === REENGAGEMENT_ERROR_CODE && notificationTemplate && text) {
+      const param = toTemplateBodyParam(text);
+      console.warn(
+        `⚠️ [WHATSAPP] Customer service window closed for ${fullPayload.to}, sending template "${notificationTemplate}"` +
+        (param.truncated ? ` (message shortened from ${text.length} to ${param.text.length} characters)` : ' (full message)')
+      );
+      return await sendWhatsAppTemplate(to, notificationTemplate, { bodyParams: [param.text] });
+    }
+    console.error(`❌ [WHATSAPP] Failed to send message to ${fullPayload.to}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Send a neutral message (text, buttons, image, document) to a WhatsApp user
+ * @param {string} to - Recipient WhatsApp ID / phone number
+ * @param {Object} message - Neutral message (see src/services/messaging/message.js)
+ * @param {Object} options - { replyToMessageId }
+ * @returns {Promise<Object>} { message_id, to } of the last payload sent
+ */
+export async function sendWhatsAppContent(to, message, options = {}) {
+  let mediaId = null;
+  if (message.media?.buffer) {
+    mediaId = await uploadWhatsAppMedia(message.media.buffer, message.media.mimeType, message.media.filename);
+  }
+
+  const payloads = renderWhatsAppMessage(message, { mediaId });
+
+  let result = null;
+  for (let i = 0; i < payloads.length; i++) {
+    // Only the first payload quotes the original message
+    result = await sendWhatsAppPayload(to, payloads[i], i === 0 ? options.replyToMessageId : null);
+  }
+  return result;
+}
+
+/**
+ * Send a text message to a WhatsApp user
+ * Falls back to WHATSAPP_NOTIFICATION_TEMPLATE (if set) when the customer service window has closed
+ * @param {string} to - Recipient WhatsApp ID / phone number
+ * @param {string} text - Message text (Telegram Markdown is converted to WhatsApp formatting)
+ * @param {Object|null} replyMarkup - Optional Telegram inline keyboard (sent as reply buttons)
+ * @param {string|null} replyToMessageId - Optional WhatsApp message ID to reply to
+ * @returns {Promise<Object>} { message_id, to }
+ */
+export async function sendWhatsAppMessage(to, text, replyMarkup = null, replyToMessageId = null) {
+  // Guard: Never send null or undefined text
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    console.warn('⚠️ [WHATSAPP] Attempted to send message with invalid text:', text);
+    throw new Error('Cannot send message: text must be a non-empty string');
+  }
+
+  return await sendWhatsAppContent(to, toMessage(text, replyMarkup), { replyToMessageId });
+}
@@ -1,39 +1,41 @@
 /**
  * State Store
- * Centralized in-memory state management for the Telegram bot
- * All state is shared across modules and persists for the lifetime of the server
+ * Centralized conversation state for the bot: order sessions, pending payment confirmations,
+ * bank statement reconciliation batches, dedupe keys and order locks.
+ *
+ * State lives in the configured state backend (STATE_BACKEND: memory, file or redis - see
+ * src/state/stores/index.js), so with file/redis it survives restarts and with redis it is
+ * shared by every server instance. All helpers are async.
  */
 
-// Track processed order confirmations to prevent duplicates
-export const processedConfirmations = new Set();
+import { randomUUID } from 'crypto';
+import { getStateStore } from './stores/index.js';
 
-// Track invoices sent to prevent double-sending (10 second TTL)
-// key: orderId, value: { sentAt: timestamp }
-export const sentInvoices = new Map();
-
-// Track processed command messages to prevent duplicate replies
-// key: update_id or `${chatId}:${messageId}`
-export const processedCommands = new Set();
-
-// Track processed callbacks to prevent duplicate handling
-export const processedCallbacks = new Set();
-
-// Chat-scoped order state (prevents state bleeding between chats)
-// key: chatId (string), value: { mode, startedAt, lastCommand, ... }
-export const orderStateByChat = new Map();
 export const ORDER_STATE_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-// Pending payment confirmations
-// key: userId:orderId, value: { orderId, expectedAmount, enteredAmount, timestamp }
-export const pendingPaymentConfirmations = new Map();
-
-// Concurrency lock for order finalization
-// Prevents duplicate processing of the same order_id
-// Key: orderId, Value: { timestamp, timeout }
-export const orderFinalizationLocks = new Map();
 export const LOCK_TTL_MS = 60000; // 60 seconds
-
-const CALLBACK_CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+export const PAYMENT_CONFIRMATION_TTL_MS = 60 * 60 * 1000; // 1 hour
+export const PROCESSED_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours (webhooks are retried within this window)
+export const INVOICE_SENT_TTL_MS = 10000; // 10 seconds
+export const RECONCILIATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours to review an imported bank statement
+
+// Dedupe namespaces for markProcessed()
+export const PROCESSED_NAMESPACES = {
+  CONFIRMATIONS: 'confirmations', // Order confirmations (orderId or orderId_messageId)
+  COMMANDS: 'commands', // Command messages (update_id or chatId:messageId)
+  CALLBACKS: 'callbacks', // Callback queries
+  WHATSAPP_MESSAGES: 'whatsapp_messages', // WhatsApp message IDs (Cloud API may deliver a webhook more than once)
+  INVOICES: 'invoices', // Invoices sent (orderId, short TTL to prevent double-sending)
+  REVOKED_SESSIONS: 'revoked_sessions', // Dashboard session IDs (jti) after logout, kept until the token expires
+};
+
+// Key prefixes in the state backend
+const KEY_PREFIXES = {
+  ORDER_STATE: 'order_state:',
+  PAYMENT_CONFIRMATION: 'payment_confirmation:',
+  RECONCILIATION: 'reconciliation:',
+  PROCESSED: 'processed:',
+  LOCK: 'lock:',
+};
 
 /**
  * Get chat-scoped state key
@@ -51,132 +53,166 @@ export function getChatStateKey(chatId, userId, chatType) {
 
 /**
  * Get order state for a chat
+ * @returns {Promise<Object|null>} State { mode, startedAt, chatId, userId, chatType, data } or null (expired after ORDER_STATE_TTL_MS)
  */
-export function getOrderState(chatId, userId, chatType) {
+export async function getOrderState(chatId, userId, chatType) {
   const key = getChatStateKey(chatId, userId, chatType);
-  const state = orderStateByChat.get(key);
-  
-  // Check TTL
-  if (state && (Date.now() - state.startedAt) > ORDER_STATE_TTL_MS) {
-    orderStateByChat.delete(key);
-    return null;
-  }
-  
-  return state;
+  return await getStateStore().get(`${KEY_PREFIXES.ORDER_STATE}${key}`);
 }
 
 /**
  * Set order state for a chat
+ * Every call restarts the ORDER_STATE_TTL_MS expiry
+ * @param {string} mode - 'AWAITING_FORM' (template expected after /pesan) or 'WIZARD' (/pesan order wizard)
+ * @param {Object|null} data - Mode data (e.g. the wizard session)
  */
-export function setOrderState(chatId, userId, chatType, mode) {
+export async function setOrderState(chatId, userId, chatType, mode, data = null) {
   const key = getChatStateKey(chatId, userId, chatType);
-  orderStateByChat.set(key, {
+  await getStateStore().set(`${KEY_PREFIXES.ORDER_STATE}${key}`, {
     mode,
     startedAt: Date.now(),
     chatId,
     userId,
     chatType,
-  });
+    data,
+  }, ORDER_STATE_TTL_MS);
 }
 
 /**
  * Clear order state for a chat
  */
-export function clearOrderState(chatId, userId, chatType) {
+export async function clearOrderState(chatId, userId, chatType) {
   const key = getChatStateKey(chatId, userId, chatType);
-  const state = orderStateByChat.get(key);
-  if (state) {
-    orderStateByChat.delete(key);
-  }
+  await getStateStore().delete(`${KEY_PREFIXES.ORDER_STATE}${key}`);
 }
 
 /**
- * Acquire lock for order finalization
- * @param {string} orderId - Order ID to lock
- * @returns {boolean} True if lock acquired, false if already locked
- */
-export function acquireOrderLock(orderId) {
-  const now = Date.now();
-  const existingLock = orderFinalizationLocks.get(orderId);
-  
-  if (existingLock) {
-    // Check if lock expired
-    if (now - existingLock.timestamp < LOCK_TTL_MS) {
-      console.log(`🔒 [ORDER_LOCK] Order ${orderId} is already being processed (locked ${Math.floor((now - existingLock.timestamp) / 1000)}s ago)`);
-      return false; // Lock still active
-    } else {
-      // Lock expired, remove it
-      orderFinalizationLocks.delete(orderId);
-    }
-  }
-  
-  // Acquire new lock
-  orderFinalizationLocks.set(orderId, { timestamp: now });
-  return true;
+ * Mark an ID as processed (dedupe for webhooks retried by Telegram/WhatsApp)
+ * Atomic in the state backend, so only one instance handles a retried update
+ * @param {string} namespace - PROCESSED_NAMESPACES value
+ * @param {string|number} id - Update/message/callback ID
+ * @param {number} ttlMs - How long the ID is remembered (default: PROCESSED_TTL_MS)
+ * @returns {Promise<boolean>} True if this is the first time (caller should process), false if already processed
+ */
+export async function markProcessed(namespace, id, ttlMs = PROCESSED_TTL_MS) {
+  return await getStateStore().setIfAbsent(
+    `${KEY_PREFIXES.PROCESSED}${namespace}:${id}`,
+    { processedAt: Date.now() },
+    ttlMs
+  );
 }
 
 /**
- * Release lock for order finalization
- * @param {string} orderId - Order ID to unlock
+ * Check whether an ID was marked as processed (without marking it)
+ * @returns {Promise<boolean>} True if already processed
  */
-export function releaseOrderLock(orderId) {
-  orderFinalizationLocks.delete(orderId);
+export async function isProcessed(namespace, id) {
+  return (await getStateStore().get(`${KEY_PREFIXES.PROCESSED}${namespace}:${id}`)) !== null;
 }
 
 /**
- * Clean up expired locks (periodic cleanup)
+ * Forget a processed ID (allows processing it again, e.g. after a recoverable error)
  */
-export function cleanupExpiredLocks() {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [orderId, lock] of orderFinalizationLocks.entries()) {
-    if (now - lock.timestamp > LOCK_TTL_MS) {
-      orderFinalizationLocks.delete(orderId);
-      cleaned++;
-    }
-  }
-  if (cleaned > 0) {
-    console.log(`🧹 [ORDER_LOCK] Cleaned up ${cleaned} expired locks`);
-  }
+export async function unmarkProcessed(namespace, id) {
+  await getStateStore().delete(`${KEY_PREFIXES.PROCESSED}${namespace}:${id}`);
 }
 
-// Clean up old states periodically
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [key, state] of orderStateByChat.entries()) {
-    if (now - state.startedAt > ORDER_STATE_TTL_MS) {
-      orderStateByChat.delete(key);
-      cleaned++;
-    }
-  }
-  if (cleaned > 0) {
-    console.log(`🧹 [ORDER_STATE] Cleaned up ${cleaned} expired order states`);
-  }
-}, 5 * 60 * 1000); // Every 5 minutes
-
-// Clean up old confirmations periodically (older than 1 hour)
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [key, data] of pendingPaymentConfirmations.entries()) {
-    if (now - data.timestamp > 60 * 60 * 1000) { // 1 hour
-      pendingPaymentConfirmations.delete(key);
-      cleaned++;
+/**
+ * Store a pending payment confirmation (admin must answer YES/NO for a suspicious amount)
+ * @param {string|number} userId - Admin user ID
+ * @param {string} orderId - Order ID
+ * @param {Object} data - { orderId, expectedAmount, enteredAmount, timestamp, source, ... }
+ */
+export async function setPendingPaymentConfirmation(userId, orderId, data) {
+  await getStateStore().set(
+    `${KEY_PREFIXES.PAYMENT_CONFIRMATION}${userId}:${orderId}`,
+    data,
+    PAYMENT_CONFIRMATION_TTL_MS
+  );
+}
+
+/**
+ * Take (get and remove) the pending payment confirmation of a user
+ * @param {string|number} userId - Admin user ID
+ * @returns {Promise<Object|null>} Confirmation data, or null if there is none (or it expired)
+ */
+export async function takePendingPaymentConfirmation(userId) {
+  const store = getStateStore();
+  const keys = await store.keys(`${KEY_PREFIXES.PAYMENT_CONFIRMATION}${userId}:`);
+
+  for (const key of keys) {
+    // take() is atomic, so another instance may have taken it first
+    const confirmation = await store.take(key);
+    if (confirmation) {
+      return confirmation;
     }
   }
-  if (cleaned > 0) {
-    console.log(`🧹 [PAYMENT_CONFIRMATIONS] Cleaned up ${cleaned} expired confirmations`);
+
+  return null;
+}
+
+/**
+ * Store a bank statement reconciliation batch (proposed matches waiting for confirmation)
+ * Saving again (after recording payments) replaces the batch and restarts its expiry.
+ * @param {Object} batch - Batch from payment-reconciliation.js ({ id, lines, ... })
+ */
+export async function saveReconciliationBatch(batch) {
+  await getStateStore().set(`${KEY_PREFIXES.RECONCILIATION}${batch.id}`, batch, RECONCILIATION_TTL_MS);
+}
+
+/**
+ * Get a bank statement reconciliation batch
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Batch, or null if unknown (or expired after RECONCILIATION_TTL_MS)
+ */
+export async function getReconciliationBatch(batchId) {
+  return await getStateStore().get(`${KEY_PREFIXES.RECONCILIATION}${batchId}`);
+}
+
+/**
+ * Acquire a named lock (works across instances with the redis backend)
+ * @param {string} name - Lock name
+ * @param {number} ttlMs - Lock expiry, so a crashed holder cannot block forever (default: LOCK_TTL_MS)
+ * @returns {Promise<string|null>} Lock token (pass to releaseLock), or null if already locked
+ */
+export async function acquireLock(name, ttlMs = LOCK_TTL_MS) {
+  const token = randomUUID();
+  const acquired = await getStateStore().setIfAbsent(`${KEY_PREFIXES.LOCK}${name}`, token, ttlMs);
+  return acquired ? token : null;
+}
+
+/**
+ * Release a named lock
+ * Only the holder (same token) releases it; a lock that expired and was taken by someone else is left alone
+ * @param {string} name - Lock name
+ * @param {string} token - Token returned by acquireLock
+ * @returns {Promise<boolean>} True if released
+ */
+export async function releaseLock(name, token) {
+  if (!token) {
+    return false;
   }
-}, 5 * 60 * 1000); // Every 5 minutes
-
-// Clean up old callback IDs periodically
-setInterval(() => {
-  const before = processedCallbacks.size;
-  // Keep only recent callbacks (this is a simple implementation)
-  // In production, you might want to track timestamps
-  if (before > 1000) {
-    processedCallbacks.clear();
-    console.log(`🧹 [CALLBACKS] Cleaned up ${before} processed callbacks`);
+  return await getStateStore().deleteIfValue(`${KEY_PREFIXES.LOCK}${name}`, token);
+}
+
+/**
+ * Acquire lock for order finalization
+ * @param {string} orderId - Order ID to lock
+ * @returns {Promise<string|null>} Lock token, or null if the order is already being processed
+ */
+export async function acquireOrderLock(orderId) {
+  const token = await acquireLock(`order:${orderId}`);
+  if (!token) {
+    console.log(`🔒 [ORDER_LOCK] Order ${orderId} is already being processed`);
   }
-}, CALLBACK_CLEANUP_INTERVAL);
+  return token;
+}
+
+/**
+ * Release lock for order finalization
+ * @param {string} orderId - Order ID to unlock
+ * @param {string} token - Token returned by acquireOrderLock
+ */
+export async function releaseOrderLock(orderId, token) {
+  await releaseLock(`order:${orderId}`, token);
+}
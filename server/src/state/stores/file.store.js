@@ -0,0 +1,61 @@
+/**
+ * File State Store
+ * Memory store that also writes every change to a JSON file, so order sessions, pending
+ * confirmations and dedupe keys survive a restart of a single instance.
+ * Not safe for several instances sharing one file - use the redis store for that.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STATE_BACKENDS } from '../../config/env.js';
+import { createMemoryStore } from './memory.store.js';
+
+/**
+ * Create the file state store
+ * @param {Object} options - { filePath }
+ * @returns {Object} State store (see createMemoryStore)
+ * @throws {Error} If the state file exists but cannot be read
+ */
+export function createFileStore({ filePath }) {
+  let entries = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || {};
+      console.log(`✅ [STATE] Loaded ${Object.keys(entries).length} state key(s) from ${filePath}`);
+    } catch (error) {
+      throw new Error(`Failed to read state file at ${filePath}: ${error.message}`);
+    }
+  } else {
+    console.log(`📁 [STATE] Creating new state file at ${filePath}`);
+  }
+
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Write entries to disk (serialized, atomic rename)
+   */
+  function persist(currentEntries) {
+    const snapshot = JSON.stringify({ entries: currentEntries }, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    return writeQueue;
+  }
+
+  const store = createMemoryStore({ entries, onChange: persist, name: STATE_BACKENDS.FILE });
+
+  return {
+    ...store,
+
+    async close() {
+      await store.close();
+      await writeQueue.catch(() => {});
+    },
+  };
+}
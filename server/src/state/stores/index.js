@@ -0,0 +1,108 @@
+/**
+ * State Store Backend
+ * Selects where conversation state is kept (configured via STATE_BACKEND in src/config/env.js)
+ *
+ * Every store is async and exposes:
+ * - name: backend name (see STATE_BACKENDS)
+ * - get(key): value or null (expired keys read as missing)
+ * - set(key, value, ttlMs?): store a JSON-serializable value, optionally expiring after ttlMs
+ * - setIfAbsent(key, value, ttlMs?): store only if the key is missing; true if stored
+ * - delete(key)
+ * - deleteIfValue(key, value): delete only if the key still holds value; true if deleted
+ * - take(key): get and delete in one step; value or null
+ * - increment(key, delta, ttlMs?): add delta to an integer value in one step (missing = 0, ttlMs applies
+ *   when the key is created); the new value
+ * - keys(prefix): live keys starting with prefix
+ * - close(): stop timers / connections
+ *
+ * The default tenant uses the store as is; other tenants get a view that prefixes every key with
+ * "tenant:<id>:" (see src/config/tenants.js), so order sessions, locks and dedupe keys never collide.
+ */
+
+import { STATE_BACKENDS, getStateBackend, getStateFilePath, getEnv } from '../../config/env.js';
+import { getCurrentTenant } from '../../config/tenant-context.js';
+import { createMemoryStore } from './memory.store.js';
+import { createFileStore } from './file.store.js';
+import { createRedisStore } from './redis.store.js';
+
+let store = null;
+const tenantStores = new Map(); // tenant ID -> prefixed view of store
+
+/**
+ * Create a view of a store that keeps its keys under a prefix
+ * close() is not forwarded: the underlying store is shared and closed once.
+ * @param {Object} baseStore - State store
+ * @param {string} prefix - Key prefix (e.g. "tenant:kopi-senja:")
+ * @returns {Object} State store
+ */
+function createPrefixedStore(baseStore, prefix) {
+  return {
+    name: baseStore.name,
+    get: (key) => baseStore.get(prefix + key),
+    set: (key, value, ttlMs) => baseStore.set(prefix + key, value, ttlMs),
+    setIfAbsent: (key, value, ttlMs) => baseStore.setIfAbsent(prefix + key, value, ttlMs),
+    delete: (key) => baseStore.delete(prefix + key),
+    deleteIfValue: (key, value) => baseStore.deleteIfValue(prefix + key, value),
+    take: (key) => baseStore.take(prefix + key),
+    increment: (key, delta, ttlMs) => baseStore.increment(prefix + key, delta, ttlMs),
+    keys: async (keyPrefix) => (await baseStore.keys(prefix + keyPrefix)).map(key => key.slice(prefix.length)),
+    close: async () => {},
+  };
+}
+
+/**
+ * Get the state store of the current tenant (the underlying store is created on first use)
+ * @returns {Object} State store
+ */
+export function getStateStore() {
+  const baseStore = getBaseStateStore();
+  const tenant = getCurrentTenant();
+  if (tenant.isDefault) {
+    return baseStore;
+  }
+  if (!tenantStores.has(tenant.id)) {
+    tenantStores.set(tenant.id, createPrefixedStore(baseStore, `tenant:${tenant.id}:`));
+  }
+  return tenantStores.get(tenant.id);
+}
+
+/**
+ * Get the underlying state store shared by all tenants (created on first use)
+ * @returns {Object} State store
+ */
+function getBaseStateStore() {
+  if (store) {
+    return store;
+  }
+
+  const backend = getStateBackend();
+
+  if (backend === STATE_BACKENDS.FILE) {
+    const filePath = getStateFilePath();
+    store = createFileStore({ filePath });
+    console.log(`💾 [STATE] Using file state backend (${filePath})`);
+  } else if (backend === STATE_BACKENDS.REDIS) {
+    store = createRedisStore({
+      url: getEnv('REDIS_URL'),
+      keyPrefix: getEnv('STATE_KEY_PREFIX', 'dawet:state:'),
+    });
+    console.log('💾 [STATE] Using Redis state backend');
+  } else {
+    store = createMemoryStore();
+    console.log('💾 [STATE] Using in-memory state backend (state is lost on restart)');
+  }
+
+  return store;
+}
+
+/**
+ * Replace the active state store
+ * Intended for tests and scripts that need a specific backend (e.g. createFileStore({ filePath }))
+ * @param {Object|null} newStore - Store to use, or null to re-read configuration on next use
+ */
+export function setStateStore(newStore) {
+  store = newStore;
+  tenantStores.clear();
+}
+
+export { createMemoryStore, createFileStore, createRedisStore };
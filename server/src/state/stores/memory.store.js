@@ -0,0 +1,144 @@
+/**
+ * Memory State Store
+ * Keeps conversation state in a Map inside this process (lost on restart, not shared between instances)
+ * Also used by the file store, which persists the same entries to disk.
+ */
+
+import { STATE_BACKENDS } from '../../config/env.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * Create the in-memory state store
+ * Values are stored as JSON so callers never share references with the store (same as Redis)
+ * @param {Object} options - Options
+ * @param {Object} options.entries - Initial entries { key: { value: string, expiresAt: number|null } }
+ * @param {Function} options.onChange - Called with the entries object after every write (used by the file store)
+ * @param {string} options.name - Backend name reported by the store (default: "memory")
+ * @returns {Object} State store { name, get, set, setIfAbsent, delete, deleteIfValue, take, increment, keys, close }
+ */
+export function createMemoryStore({ entries = {}, onChange = null, name = STATE_BACKENDS.MEMORY } = {}) {
+  const data = new Map(Object.entries(entries));
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  /**
+   * Get a live entry (expired entries are removed on read)
+   */
+  function getEntry(key) {
+    const entry = data.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function changed() {
+    if (onChange) {
+      return onChange(Object.fromEntries(data));
+    }
+    return Promise.resolve();
+  }
+
+  function toEntry(value, ttlMs) {
+    return {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    };
+  }
+
+  // Remove expired entries periodically (reads already skip them, this only frees memory)
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [key, entry] of data.entries()) {
+      if (isExpired(entry, now)) {
+        data.delete(key);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) {
+      changed().catch(error => {
+        console.error('❌ [STATE] Error persisting state after cleanup:', error.message);
+      });
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    name,
+
+    async get(key) {
+      const entry = getEntry(key);
+      return entry ? JSON.parse(entry.value) : null;
+    },
+
+    async set(key, value, ttlMs = null) {
+      data.set(key, toEntry(value, ttlMs));
+      await changed();
+    },
+
+    async setIfAbsent(key, value, ttlMs = null) {
+      if (getEntry(key)) {
+        return false;
+      }
+      data.set(key, toEntry(value, ttlMs));
+      await changed();
+      return true;
+    },
+
+    async delete(key) {
+      if (data.delete(key)) {
+        await changed();
+      }
+    },
+
+    async deleteIfValue(key, value) {
+      const entry = getEntry(key);
+      if (!entry || entry.value !== JSON.stringify(value)) {
+        return false;
+      }
+      data.delete(key);
+      await changed();
+      return true;
+    },
+
+    async take(key) {
+      const entry = getEntry(key);
+      if (!entry) {
+        return null;
+      }
+      data.delete(key);
+      await changed();
+      return JSON.parse(entry.value);
+    },
+
+    async increment(key, delta, ttlMs = null) {
+      const entry = getEntry(key);
+      const value = (entry ? Number(JSON.parse(entry.value)) || 0 : 0) + delta;
+      data.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: entry ? entry.expiresAt : toEntry(value, ttlMs).expiresAt,
+      });
+      await changed();
+      return value;
+    },
+
+    async keys(prefix = '') {
+      const now = Date.now();
+      return [...data.entries()]
+        .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry, now))
+        .map(([key]) => key);
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+    },
+  };
+}
@@ -6,9 +6,19 @@
 
 import { getSheetsClient, getSpreadsheetId } from '../repos/sheets.client.js';
 import { SHEET_NAMES } from './constants.js';
+import { getTenantBranding } from '../config/tenant-context.js';
 
 const PRICE_LIST_SHEET = SHEET_NAMES.PRICE_LIST;
 
+/**
+ * Format the business name and address of the current tenant (for /lokasi)
+ * @returns {string} Name and address lines, followed by a blank line
+ */
+export function formatBusinessLocation() {
+  const { businessName, address } = getTenantBranding();
+  return `${businessName}\n` + (address ? `${address}\n` : '') + '\n';
+}
+
 /**
  * Format menu display message
  * Reads from new PriceList schema and displays only item_name (no duplicates)
@@ -26,7 +36,7 @@ export async function formatMenuMessage() {
 
     const rows = response.data.values || [];
     if (rows.length <= 1) {
-      return `📋 MENU DAWET KEMAYU MENTENG\n\nMenu sedang dalam proses update. Silakan hubungi admin.\n\n💡 Cara Pesan\nKirim pesanan dengan format:\nNama: [Nama Anda]\nNo hp: [Nomor HP]\nAlamat: [Alamat]\nDetail pesanan:\n- [Jumlah] x [Nama Item]\n\nKetik /help untuk contoh lengkap`;
+      return `📋 MENU ${getTenantBranding().businessName.toUpperCase()}\n\nMenu sedang dalam proses update. Silakan hubungi admin.\n\n💡 Cara Pesan\nKirim pesanan dengan format:\nNama: [Nama Anda]\nNo hp: [Nomor HP]\nAlamat: [Alamat]\nDetail pesanan:\n- [Jumlah] x [Nama Item]\n\nKetik /help untuk contoh lengkap`;
     }
 
     // Detect schema by checking header row
@@ -138,7 +148,7 @@ export async function formatMenuMessage() {
     }
     
     // Build menu message (NO markdown asterisks)
-    let menu = `📋 MENU DAWET KEMAYU MENTENG\n\n`;
+    let menu = `📋 MENU ${getTenantBranding().businessName.toUpperCase()}\n\n`;
     
     // Define category order
     const categoryOrder = ['Dawet', 'Topping', 'Botol', 'Pack', 'Minuman', 'Snack'];
@@ -176,7 +186,7 @@ export async function formatMenuMessage() {
     console.error('❌ Error generating menu:', error.message);
     console.error('❌ Stack:', error.stack);
     // Fallback to simple message
-    return `📋 MENU DAWET KEMAYU MENTENG\n\nMenu sedang dalam proses update. Silakan hubungi admin.\n\n💡 Cara Pesan\nKirim pesanan dengan format:\nNama: [Nama Anda]\nNo hp: [Nomor HP]\nAlamat: [Alamat]\nDetail pesanan:\n- [Jumlah] x [Nama Item]\n\nKetik /help untuk contoh lengkap`;
+    return `📋 MENU ${getTenantBranding().businessName.toUpperCase()}\n\nMenu sedang dalam proses update. Silakan hubungi admin.\n\n💡 Cara Pesan\nKirim pesanan dengan format:\nNama: [Nama Anda]\nNo hp: [Nomor HP]\nAlamat: [Alamat]\nDetail pesanan:\n- [Jumlah] x [Nama Item]\n\nKetik /help untuk contoh lengkap`;
   }
 }
 
@@ -184,7 +194,7 @@ export async function formatMenuMessage() {
  * Fallback: Format menu from old price list format (2 columns)
  */
 function formatMenuFromPriceList(priceList) {
-  let menu = `📋 MENU DAWET KEMAYU MENTENG\n\n`;
+  let menu = `📋 MENU ${getTenantBranding().businessName.toUpperCase()}\n\n`;
   
   // Group items by category
   const categories = {
@@ -375,8 +385,7 @@ export function getFAQAnswer(text) {
   // Only send location if it's an explicit command, not if "alamat" appears in order format
   if (isExplicitLocationCommand) {
     return `📍 **Lokasi:**\n\n` +
-           `Dawet Kemayu Menteng\n` +
-           `Jl. Kemayu Menteng, Jakarta\n\n` +
+           formatBusinessLocation() +
            `Untuk informasi lebih detail, silakan hubungi kami!`;
   }
   
@@ -398,9 +407,10 @@ export function getFAQAnswer(text) {
   }
   
   // General FAQ
+  const { address } = getTenantBranding();
   return `❓ **Pertanyaan Umum:**\n\n` +
          `• Jam buka: 08:00 - 20:00 WIB\n` +
-         `• Lokasi: Jl. Kemayu Menteng, Jakarta\n` +
+         (address ? `• Lokasi: ${address}\n` : '') +
          `• Pengiriman: Tersedia untuk seluruh Jakarta\n` +
          `• Pembayaran: QRIS, Transfer Bank, E-Wallet\n\n` +
          `Ketik /menu untuk melihat menu lengkap.\n` +
@@ -13,6 +13,14 @@ export const SHEET_NAMES = {
   PRICE_LIST: 'PriceList',
   REMINDERS: 'Reminders',
   PAYMENT_HISTORY: 'Payment_History',
+  CAPACITY: 'Capacity',
+  PROMOS: 'Promos',
+  SETTINGS: 'Settings',
+  ORDER_EVENTS: 'Order_Events',
+  DELIVERY_ZONES: 'Delivery_Zones',
+  REMINDER_RULES: 'Reminder_Rules',
+  PRODUCT_VARIANTS: 'Product_Variants',
+  PACKAGING_RULES: 'Packaging_Rules',
 };
 
 // Order Status Values
@@ -32,6 +40,37 @@ export const PAYMENT_STATUS = {
   FULL_PAID: 'FULL PAID',
 };
 
+// Bank account for transfer payments (shown in recaps and PDF invoices)
+export const BANK_TRANSFER_ACCOUNT = {
+  BANK_NAME: 'Bank Jago',
+  ACCOUNT_NUMBER: '102730840011',
+  ACCOUNT_NAME: 'Septina Eka Kartika Dewi',
+};
+
+// PDF invoice variants (receipt = "LUNAS" receipt once PAYMENT_STATUS.FULL_PAID is reached)
+export const INVOICE_VARIANTS = {
+  INVOICE: 'invoice',
+  RECEIPT: 'receipt',
+};
+
+// Order_Events event types (append-only order audit log)
+export const ORDER_EVENT_TYPES = {
+  STATUS_CHANGED: 'status_changed',
+  PAYMENT_UPDATED: 'payment_updated',
+  ORDER_EDITED: 'order_edited',
+  ORDER_CANCELLED: 'order_cancelled',
+};
+
+// Where an order change came from (Order_Events "source" column)
+export const ORDER_EVENT_SOURCES = {
+  BOT_COMMAND: 'bot_command', // Admin command in Telegram (/cancel, /edit, /pay, ...)
+  CUSTOMER_CHAT: 'customer_chat', // Customer reply/button in any chat channel
+  DASHBOARD: 'dashboard', // Web dashboard / REST API
+  SCHEDULER: 'scheduler', // Reminder job (e.g. auto-cancel)
+  CALENDAR: 'calendar', // Event moved in Google Calendar (calendar sync job)
+  SYSTEM: 'system',
+};
+
 // Reminder Status Values
 export const REMINDER_STATUS = {
   PENDING: 'pending',
@@ -48,6 +87,46 @@ export const REMINDER_TYPES = {
   H_MINUS_1: 'H-1',
 };
 
+// Who receives a reminder (Reminder_Rules "audience" column)
+export const REMINDER_AUDIENCES = {
+  ADMIN: 'admin', // All active Telegram admins (Users sheet)
+  STAFF: 'staff', // All active Telegram staff (falls back to admins if there is no staff)
+  CUSTOMER: 'customer', // The customer's own chat (Telegram or WhatsApp, from the order conversation)
+};
+
+// When a reminder is sent (Reminder_Rules "condition" column), checked against Orders.payment_status
+export const REMINDER_CONDITIONS = {
+  ALWAYS: 'always',
+  UNPAID: 'unpaid', // PAYMENT_STATUS.UNPAID only
+  NOT_FULLY_PAID: 'not_fully_paid', // UNPAID or DP PAID
+  FULLY_PAID: 'fully_paid', // FULL PAID only
+};
+
+// Built-in reminder templates (Reminder_Rules "template" column; any other text is a custom {placeholder} template)
+export const REMINDER_TEMPLATES = {
+  H4_PAYMENT: 'H4_PAYMENT', // Pelunasan reminder text for admins to forward
+  H3_ORDER_BAHAN: 'H3_ORDER_BAHAN', // Internal: order ingredients
+  H1_PREPARATION: 'H1_PREPARATION', // Internal: preparation checklist
+  CUSTOMER_PAYMENT_DUE: 'CUSTOMER_PAYMENT_DUE', // Customer: please settle the remaining balance
+  CUSTOMER_DELIVERY_H1: 'CUSTOMER_DELIVERY_H1', // Customer: your order arrives tomorrow
+};
+
+// Reminder_Rules "offset_days" keyword: use the payment policy's full payment cutoff (H-N from Settings)
+export const REMINDER_OFFSET_PAYMENT_CUTOFF = 'cutoff';
+
+// Google Calendar event kinds (private extended property "dawet_type" on every event we create)
+export const CALENDAR_EVENT_TYPES = {
+  ORDER: 'order', // One event per order at its delivery date/time
+  PRODUCTION_SUMMARY: 'production_summary', // All-day event per delivery date with total cups per size
+};
+
+// Order statuses that are NOT on the delivery calendars (Google Calendar sync, iCal feed)
+export const CALENDAR_EXCLUDED_STATUSES = [
+  ORDER_STATUS.PENDING_CONFIRMATION,
+  ORDER_STATUS.WAITING,
+  ORDER_STATUS.CANCELLED,
+];
+
 // User Roles
 export const USER_ROLES = {
   ADMIN: 'admin',
@@ -55,12 +134,89 @@ export const USER_ROLES = {
   CUSTOMER: 'customer',
 };
 
+// Permissions (what a role may do, see ROLE_PERMISSIONS)
+export const PERMISSIONS = {
+  ORDERS_VIEW: 'orders:view', // Order details, daily order lists, recap, history
+  ORDERS_CREATE: 'orders:create', // /new_order, /parse_order
+  ORDERS_EDIT: 'orders:edit', // /edit (items, prices), /ongkir, other dashboard status changes
+  ORDERS_STATUS_UPDATE: 'orders:status_update', // Mark processing / ready / delivering (PROGRESS_STATUSES)
+  ORDERS_CANCEL: 'orders:cancel',
+  ORDERS_COMPLETE: 'orders:complete',
+  PAYMENTS_VIEW: 'payments:view', // /payment_status, /orders_unpaid
+  PAYMENTS_RECORD: 'payments:record', // /pay, payment evidence
+  CAPACITY_VIEW: 'capacity:view',
+  MESSAGES_VIEW: 'messages:view', // Dashboard conversations
+  MESSAGES_SEND: 'messages:send', // Dashboard replies to customers
+  REMINDERS_RUN: 'reminders:run', // /today_reminder
+  ROLES_MANAGE: 'roles:manage', // /role, /roles
+  SYSTEM_VIEW: 'system:view', // Cache and Google Sheets quota metrics
+};
+
+// Permission matrix per USER_ROLES value (customers only use customer commands, which need no permission)
+export const ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [USER_ROLES.STAFF]: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_STATUS_UPDATE,
+    PERMISSIONS.CAPACITY_VIEW,
+  ],
+  [USER_ROLES.CUSTOMER]: [],
+};
+
+// Production/delivery progress statuses (the ones PERMISSIONS.ORDERS_STATUS_UPDATE may set)
+export const PROGRESS_STATUSES = ['processing', 'ready', 'delivering'];
+
+// Permission required per Telegram command (checked centrally in handleTelegramCommand; unlisted = everyone)
+export const COMMAND_PERMISSIONS = {
+  '/new_order': PERMISSIONS.ORDERS_CREATE,
+  '/parse_order': PERMISSIONS.ORDERS_CREATE,
+  '/order_detail': PERMISSIONS.ORDERS_VIEW,
+  '/status': PERMISSIONS.ORDERS_VIEW, // Updating the status also needs ORDERS_STATUS_UPDATE
+  '/history': PERMISSIONS.ORDERS_VIEW,
+  '/recap_h1': PERMISSIONS.ORDERS_VIEW,
+  '/orders_date': PERMISSIONS.ORDERS_VIEW,
+  '/orders_today': PERMISSIONS.ORDERS_VIEW,
+  '/orders_tomorrow': PERMISSIONS.ORDERS_VIEW,
+  '/edit': PERMISSIONS.ORDERS_EDIT,
+  '/ongkir': PERMISSIONS.ORDERS_EDIT,
+  '/cancel': PERMISSIONS.ORDERS_CANCEL,
+  '/complete': PERMISSIONS.ORDERS_COMPLETE,
+  '/pay': PERMISSIONS.PAYMENTS_RECORD,
+  '/payment_status': PERMISSIONS.PAYMENTS_VIEW,
+  '/orders_unpaid': PERMISSIONS.PAYMENTS_VIEW,
+  '/capacity': PERMISSIONS.CAPACITY_VIEW,
+  '/today_reminder': PERMISSIONS.REMINDERS_RUN,
+  '/role': PERMISSIONS.ROLES_MANAGE,
+  '/roles': PERMISSIONS.ROLES_MANAGE,
+};
+
 // Platforms
 export const PLATFORMS = {
   TELEGRAM: 'telegram',
   WHATSAPP: 'whatsapp',
+  WEB: 'web',
+};
+
+// Button actions (Telegram callback_data / WhatsApp reply button ID / web action)
+// Format: `${prefix}${orderId}`
+export const BUTTON_ACTIONS = {
+  CONFIRM_ORDER: 'confirm_order_',
+  CANCEL_ORDER: 'cancel_order_',
+};
+
+// Bank statement import buttons (Telegram only, admins with payments:record) - followed by the batch ID
+export const RECONCILIATION_ACTIONS = {
+  CONFIRM: 'recon_confirm:',
+  CANCEL: 'recon_cancel:',
+  CONFIRM_LINE: 'recon_line:', // One line to review: "<batchId>:<lineNumber>"
 };
 
+// /pesan order wizard buttons - followed by "<step>:<value>" (e.g. "wiz:date:2026-10-19")
+export const ORDER_WIZARD_ACTION_PREFIX = 'wiz:';
+
+// Commands customers can use on non-Telegram channels (admin commands stay on Telegram)
+export const CUSTOMER_CHANNEL_COMMANDS = ['/start', '/pesan', '/menu', '/help', '/lokasi', '/location', '/invoice', '/pesanan_saya', '/lacak'];
+
 // Delivery Methods
 export const DELIVERY_METHODS = {
   PICKUP: 'Pickup',
@@ -74,18 +230,79 @@ export const DELIVERY_FEE_SOURCE = {
   USER_INPUT: 'USER_INPUT',
   USER_EMPTY: 'USER_EMPTY',
   NOT_PROVIDED: 'NOT_PROVIDED',
+  ZONE_ESTIMATE: 'ZONE_ESTIMATE', // Filled from the Delivery_Zones sheet (customer left "Biaya Pengiriman" empty)
+  ADMIN_OVERRIDE: 'ADMIN_OVERRIDE', // Set by an admin via /ongkir or /edit
+};
+
+// Delivery methods whose ongkir can be estimated from the Delivery_Zones sheet
+export const ZONE_FEE_DELIVERY_METHODS = [DELIVERY_METHODS.GRAB_EXPRESS, DELIVERY_METHODS.CUSTOM];
+
+// Delivery Zone Types (Delivery_Zones sheet "type" column), most specific first
+export const DELIVERY_ZONE_TYPES = {
+  POSTAL_CODE: 'postal_code', // area = 5-digit kode pos (e.g. "10310")
+  KELURAHAN: 'kelurahan', // area = kelurahan name (e.g. "Menteng")
+  KECAMATAN: 'kecamatan', // area = kecamatan name (e.g. "Tanah Abang")
+};
+
+// Production Capacity Scopes (Capacity sheet "scope" column)
+export const CAPACITY_SCOPES = {
+  ITEM: 'item', // Limit applies to one PriceList item (e.g. "Dawet Kemayu Medium")
+  CATEGORY: 'category', // Limit applies to all items of a PriceList category
+};
+
+// What to do when an order exceeds daily capacity (CAPACITY_ENFORCEMENT env var)
+export const CAPACITY_ENFORCEMENT = {
+  WARN: 'warn',
+  REJECT: 'reject',
+};
+
+// How many options of a variant group an item takes (Product_Variants sheet "selection" column)
+export const VARIANT_SELECTION = {
+  ONE: 'one', // Exactly one option (e.g. size) - the is_default option, or the customer is asked
+  MANY: 'many', // Any number of options, none required (e.g. topping add-ons)
+};
+
+// Why an order item could not be resolved to one product variant (customer is asked to clarify)
+export const ITEM_AMBIGUITY_REASONS = {
+  PRODUCT: 'product', // Item name matches more than one product
+  MISSING_OPTION: 'missing_option', // No option of a "one" group and no default (e.g. "Dawet Kemayu" without size)
+  MULTIPLE_OPTIONS: 'multiple_options', // More than one option of a "one" group (e.g. "Dawet Medium Large")
+  UNKNOWN_OPTION: 'unknown_option', // "+ X" add-on that is not an option of the product
+};
+
+// Promo Discount Types (Promos sheet "type" column)
+export const PROMO_TYPES = {
+  PERCENT: 'percent', // value = percentage off the eligible subtotal (e.g. 10 = 10%)
+  FIXED: 'fixed', // value = rupiah amount off the eligible subtotal
 };
 
 // Cache TTL (Time To Live) in milliseconds
 export const CACHE_TTL = {
   HEADER_MAP: 10 * 60 * 1000, // 10 minutes
   ADMIN_CHAT_IDS: 10 * 60 * 1000, // 10 minutes
+  CAPACITY_RULES: 5 * 60 * 1000, // 5 minutes
+  PROMOS: 5 * 60 * 1000, // 5 minutes
+  DELIVERY_ZONES: 5 * 60 * 1000, // 5 minutes
+  SETTINGS: 5 * 60 * 1000, // 5 minutes
+  REMINDER_RULES: 5 * 60 * 1000, // 5 minutes
+  PRODUCT_VARIANTS: 5 * 60 * 1000, // 5 minutes
+  PACKAGING_RULES: 5 * 60 * 1000, // 5 minutes
+  USER_ROLES: 60 * 1000, // 1 minute (permission checks)
 };
 
-// Payment Thresholds
+// Payment Thresholds (defaults of the payment policy, see services/payment-policy.js)
 export const PAYMENT_THRESHOLDS = {
   DP_PERCENTAGE: 0.5, // 50% for down payment
   FULL_PERCENTAGE: 1.0, // 100% for full payment
+  FULL_PAYMENT_CUTOFF_DAYS: 4, // H-4 or closer: full payment required
+  MIN_DP_ORDER_AMOUNT: 0, // Orders below this total must be paid in full (0 = DP always allowed)
+};
+
+// Payment policy keys in the Settings sheet ("key" column)
+export const PAYMENT_SETTING_KEYS = {
+  DP_PERCENTAGE: 'dp_percentage', // e.g. 50 or 50%
+  FULL_PAYMENT_CUTOFF_DAYS: 'full_payment_cutoff_days', // e.g. 4
+  MIN_DP_ORDER_AMOUNT: 'min_dp_order_amount', // e.g. 500000
 };
 
 // Retry Configuration
@@ -4,39 +4,9 @@
  */
 
 import { buildOrderDetailMessage } from './order-message-formatter.js';
-
-/**
- * Calculate packaging fee from order data
- * @param {Array} items - Order items
- * @param {Array} notes - Order notes
- * @returns {Object} { packagingFee: number, packagingBoxes: number }
- */
-function calculatePackagingFee(items, notes) {
-  let packagingFee = 0;
-  let packagingBoxes = 0;
-  
-  const hasPackaging = notes?.some(note => {
-    const noteStr = String(note || '').toLowerCase();
-    return noteStr.includes('packaging') && 
-           (noteStr.includes('ya') || noteStr.includes('yes'));
-  });
-  
-  if (hasPackaging) {
-    const totalCups = items.reduce((sum, item) => {
-      const name = (item.name || '').toLowerCase();
-      if (name.includes('dawet') && 
-          (name.includes('small') || name.includes('medium') || name.includes('large')) && 
-          !name.includes('botol')) {
-        return sum + (item.quantity || 0);
-      }
-      return sum;
-    }, 0);
-    packagingBoxes = Math.ceil(totalCups / 50);
-    packagingFee = packagingBoxes * 40000;
-  }
-  
-  return { packagingFee, packagingBoxes };
-}
+import { formatCapacityNotice } from '../services/capacity-checker.js';
+import { formatPromoNotice } from '../services/promo-validator.js';
+import { formatDeliveryFeeNotice } from '../services/delivery-fee-calculator.js';
 
 /**
  * Filter packaging-related notes from order notes
@@ -80,9 +50,12 @@ function filterPackagingNotes(notes) {
  * @param {Object} orderData - Order data object
  * @param {Object} calculation - Calculation result from calculateOrderTotal
  * @param {string} orderSummary - Formatted order summary (from formatOrderSummary) - DEPRECATED, kept for compatibility
+ * @param {Object} options - { capacity } result from checkOrderCapacity to show remaining capacity
  * @returns {Promise<string>} Formatted confirmation text
  */
-export async function formatOrderConfirmation(orderData, calculation, orderSummary) {
+export async function formatOrderConfirmation(orderData, calculation, orderSummary, options = {}) {
   // Use shared formatter for consistency
-  return await buildOrderDetailMessage(orderData, calculation, 'confirmation');
+  return await buildOrderDetailMessage(orderData, calculation, 'confirmation', {
+    extraSection: formatPromoNotice(orderData) + formatDeliveryFeeNotice(orderData) + formatCapacityNotice(options.capacity),
+  });
 }
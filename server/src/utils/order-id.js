@@ -0,0 +1,61 @@
+/**
+ * Order ID Utilities
+ * Order IDs look like PREFIX/YYYYMMDD/NNNNNN (e.g. DKM/20260110/000005): the current tenant's
+ * orderIdPrefix, the order date and a daily sequence number.
+ */
+
+import { getCurrentTenant } from '../config/tenant-context.js';
+
+/**
+ * Get the order ID prefix of the current tenant
+ * @returns {string} Prefix (e.g. "DKM")
+ */
+export function getOrderIdPrefix() {
+  return getCurrentTenant().orderIdPrefix;
+}
+
+/**
+ * Format an order ID
+ * @param {string} dateStr - Order date (YYYYMMDD)
+ * @param {number|string} orderNumber - Daily sequence number (padded to 6 digits)
+ * @returns {string} Order ID (PREFIX/YYYYMMDD/NNNNNN)
+ */
+export function formatOrderId(dateStr, orderNumber) {
+  return `${getOrderIdPrefix()}/${dateStr}/${String(orderNumber).padStart(6, '0')}`;
+}
+
+/**
+ * Get the regex source matching an order ID of the current tenant (no anchors, no groups)
+ * Use it to build larger patterns, e.g. new RegExp(`^/edit\\s+(${getOrderIdPatternSource()})`, 'i')
+ * @returns {string} Regex source
+ */
+export function getOrderIdPatternSource() {
+  return `${getOrderIdPrefix()}\\/\\d{8}\\/\\d{6}`;
+}
+
+/**
+ * Get a regex matching an order ID of the current tenant anywhere in a text (case-insensitive)
+ * @returns {RegExp}
+ */
+export function getOrderIdPattern() {
+  return new RegExp(getOrderIdPatternSource(), 'i');
+}
+
+/**
+ * Parse an order ID of the current tenant
+ * @param {string} orderId - Order ID
+ * @returns {{date: string, number: string}|null} Date (YYYYMMDD) and sequence number, or null if not an order ID
+ */
+export function parseOrderId(orderId) {
+  const match = String(orderId || '').trim().match(new RegExp(`^${getOrderIdPrefix()}\\/(\\d{8})\\/(\\d{6})$`, 'i'));
+  return match ? { date: match[1], number: match[2] } : null;
+}
+
+/**
+ * Get an example order ID for help messages (e.g. "DKM/20260110/000005")
+ * @param {number} orderNumber - Sequence number of the example
+ * @returns {string} Order ID
+ */
+export function getExampleOrderId(orderNumber = 5) {
+  return formatOrderId('20260110', orderNumber);
+}
@@ -6,6 +6,8 @@
 
 import { formatPrice } from './formatting.js';
 import { calculatePaymentTotals } from '../services/payment.calculator.js';
+import { getOrderPackaging, getPackagingFee, formatPackagingLineName } from '../services/packaging-calculator.js';
+import { DELIVERY_FEE_SOURCE } from './constants.js';
 
 /**
  * Format currency as Indonesian Rupiah (Rp XXX.XXX)
@@ -71,11 +73,10 @@ export function formatOrderItems(items) {
 /**
  * Format order items with prices (for confirmation messages)
  * @param {Array} itemDetails - Item details from calculateOrderTotal
- * @param {number} packagingFee - Packaging fee
- * @param {number} packagingBoxes - Number of packaging boxes
+ * @param {Array} packagingLines - Packaging lines (services/packaging-calculator.js)
  * @returns {string} Formatted items with prices
  */
-export function formatOrderItemsWithPrices(itemDetails, packagingFee, packagingBoxes) {
+export function formatOrderItemsWithPrices(itemDetails, packagingLines) {
   let itemsList = `📦 Daftar Pesanan & Rincian Harga:\n`;
   
   // Add regular items (skip packaging)
@@ -89,16 +90,16 @@ export function formatOrderItemsWithPrices(itemDetails, packagingFee, packagingB
   });
   
   // Add packaging if applicable
-  if (packagingFee > 0) {
-    itemsList += `• ${packagingBoxes}x Packaging Styrofoam (50 cup): ${formatCurrencyIDR(packagingFee)}\n`;
-  }
+  (packagingLines || []).forEach((line) => {
+    itemsList += `• ${line.quantity}x ${formatPackagingLineName(line)}: ${formatCurrencyIDR(line.total)}\n`;
+  });
   
   return itemsList;
 }
 
 /**
  * Format payment summary
- * Uses canonical values from Orders sheet: product_total, packaging_fee, delivery_fee, total_amount
+ * Uses canonical values from Orders sheet: product_total, packaging_fee, delivery_fee, discount_amount, total_amount
  * @param {Object} order - Order object
  * @param {Object} calculation - Calculation result from calculateOrderTotal (optional, for fallback)
  * @param {number} packagingFee - Packaging fee (optional, fallback to order.packaging_fee)
@@ -110,10 +111,10 @@ export function formatPaymentSummary(order, calculation, packagingFee, deliveryF
   // Use shared calculator for consistent totals
   const totals = calculatePaymentTotals(order, calculation, packagingFee, deliveryFee);
   
-  const { subtotal, deliveryFee: finalDeliveryFee, packagingFee: finalPackagingFee, totalAmount } = totals;
+  const { subtotal, deliveryFee: finalDeliveryFee, packagingFee: finalPackagingFee, discount, promoCode, totalAmount } = totals;
   
   // Calculate expected total from components (for validation)
-  const expectedTotal = subtotal + finalPackagingFee + finalDeliveryFee;
+  const expectedTotal = subtotal + finalPackagingFee + finalDeliveryFee - discount;
   
   // Validate total matches components (defensive check)
   const totalMismatch = Math.abs(totalAmount - expectedTotal) > 0.01;
@@ -135,9 +136,14 @@ export function formatPaymentSummary(order, calculation, packagingFee, deliveryF
   // Always show all three lines (even if 0) for clarity
   let paymentText = `\n💰 Rincian Pembayaran:\n`;
   paymentText += `Subtotal: ${formatCurrencyIDR(subtotal)}\n`;
-  paymentText += `Ongkir: ${formatCurrencyIDR(finalDeliveryFee)}\n`;
+  paymentText += `Ongkir: ${formatCurrencyIDR(finalDeliveryFee)}${order.delivery_fee_source === DELIVERY_FEE_SOURCE.ZONE_ESTIMATE ? ' (estimasi)' : ''}\n`;
   paymentText += `Biaya Kemasan: ${formatCurrencyIDR(finalPackagingFee)}\n`;
   
+  // Promo discount (only shown when a promo code was applied)
+  if (discount > 0) {
+    paymentText += `Diskon${promoCode ? ` (${promoCode})` : ''}: -${formatCurrencyIDR(discount)}\n`;
+  }
+  
   // Check for adjustment (mismatch between calculated and stored total) - only for detail mode
   if (mode === 'detail') {
     const adjustment = totalAmount - expectedTotal;
@@ -276,9 +282,10 @@ export function formatNotes(notes) {
  * @param {Object} order - Order object
  * @param {Object} calculation - Calculation result from calculateOrderTotal (optional)
  * @param {string} mode - Message mode: 'confirmation', 'detail', 'unpaid_line'
+ * @param {Object} options - { extraSection } text inserted after notes (before the confirmation prompt)
  * @returns {Promise<string>} Complete formatted message
  */
-export async function buildOrderDetailMessage(order, calculation = null, mode = 'detail') {
+export async function buildOrderDetailMessage(order, calculation = null, mode = 'detail', options = {}) {
   let message = '';
   
   // Header
@@ -294,27 +301,11 @@ export async function buildOrderDetailMessage(order, calculation = null, mode =
   
   // Items
   if (mode === 'confirmation' && calculation) {
-    // Calculate packaging
-    const hasPackaging = (order.notes || []).some(note => {
-      const noteStr = String(note || '').toLowerCase();
-      return noteStr.includes('packaging') && 
-             (noteStr.includes('ya') || noteStr.includes('yes'));
-    });
+    // Packaging lines saved by computeOrderTotals (or calculated from the Packaging_Rules sheet)
+    const packagingLines = await getOrderPackaging(order);
+    const packagingFee = getPackagingFee(packagingLines);
     
-    const totalCups = (order.items || []).reduce((sum, item) => {
-      const name = (item.name || '').toLowerCase();
-      if (name.includes('dawet') && 
-          (name.includes('small') || name.includes('medium') || name.includes('large')) && 
-          !name.includes('botol')) {
-        return sum + (item.quantity || 0);
-      }
-      return sum;
-    }, 0);
-    
-    const packagingBoxes = hasPackaging && totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-    const packagingFee = packagingBoxes * 40000;
-    
-    message += formatOrderItemsWithPrices(calculation.itemDetails, packagingFee, packagingBoxes);
+    message += formatOrderItemsWithPrices(calculation.itemDetails, packagingLines);
     
     // Payment summary (confirmation mode: simple total only)
     const deliveryFee = parseFloat(order.delivery_fee) || 0;
@@ -327,6 +318,11 @@ export async function buildOrderDetailMessage(order, calculation = null, mode =
   // Notes
   message += formatNotes(order.notes || []);
   
+  // Extra section (e.g. remaining production capacity)
+  if (options.extraSection) {
+    message += options.extraSection;
+  }
+  
   // Confirmation prompt (only for confirmation mode)
   if (mode === 'confirmation') {
     const { ORDER_CONFIRMATION_PROMPT } = await import('./messages.js');
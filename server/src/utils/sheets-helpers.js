@@ -4,18 +4,20 @@
  */
 
 import { getSheetsClient, getSpreadsheetId, retryWithBackoff } from '../repos/sheets.client.js';
+import { createTenantState } from '../config/tenant-context.js';
 
 // Header map cache to reduce READ requests (fix 429 rate limit)
 const HEADER_MAP_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
-const headerMapCache = new Map(); // key: sheetName, value: { headerMap, fetchedAtMs }
-const headerMapInflight = new Map(); // key: sheetName, value: Promise<headerMap> (single-flight pattern)
+// Per tenant (every tenant has its own spreadsheet)
+const getHeaderMapCache = createTenantState(() => new Map()); // key: sheetName, value: { headerMap, fetchedAtMs }
+const getHeaderMapInflight = createTenantState(() => new Map()); // key: sheetName, value: Promise<headerMap> (single-flight pattern)
 
 /**
  * Invalidate header cache for a sheet (call if header mismatch detected)
  * @param {string} sheetName - Sheet name to invalidate
  */
 export function invalidateHeaderCache(sheetName) {
-  headerMapCache.delete(sheetName);
+  getHeaderMapCache().delete(sheetName);
 }
 
 /**
@@ -112,6 +114,10 @@ const HEADER_ALIASES = {
   paid_amount: ['paid_amount', 'paidamount'],
   payment_status: ['payment_status', 'paymentstatus'],
   remaining_balance: ['remaining_balance', 'remainingbalance'],
+  promo_code: ['promo_code', 'promocode'],
+  discount_amount: ['discount_amount', 'discountamount'],
+  delivery_fee_source: ['delivery_fee_source', 'deliveryfeesource'],
+  packaging_json: ['packaging_json', 'packagingjson'],
   // Reminders sheet fields
   reminder_date: ['Reminder Date', 'reminder_date', 'reminderdate'],
   reminder_type: ['Reminder Type', 'reminder_type', 'remindertype'],
@@ -189,15 +195,15 @@ export async function getSheetHeaderMap(sheetName, options = {}) {
     const cacheKey = `${sheetName}_${JSON.stringify(options)}`;
     
     // Check cache first
-    const cached = headerMapCache.get(cacheKey);
+    const cached = getHeaderMapCache().get(cacheKey);
     const now = Date.now();
     if (cached && (now - cached.fetchedAtMs) < HEADER_MAP_CACHE_TTL_MS) {
       return cached.headerMap;
     }
     
     // Single-flight: If a fetch is already in progress, await the same promise
-    if (headerMapInflight.has(cacheKey)) {
-      return await headerMapInflight.get(cacheKey);
+    if (getHeaderMapInflight().has(cacheKey)) {
+      return await getHeaderMapInflight().get(cacheKey);
     }
     
     // Start fetch
@@ -319,7 +325,7 @@ export async function getSheetHeaderMap(sheetName, options = {}) {
         };
         
         // Cache the result
-        headerMapCache.set(cacheKey, {
+        getHeaderMapCache().set(cacheKey, {
           headerMap: result,
           fetchedAtMs: now,
         });
@@ -327,12 +333,12 @@ export async function getSheetHeaderMap(sheetName, options = {}) {
         return result;
       } finally {
         // Remove from inflight map
-        headerMapInflight.delete(cacheKey);
+        getHeaderMapInflight().delete(cacheKey);
       }
     })();
     
     // Store promise for single-flight deduplication
-    headerMapInflight.set(cacheKey, fetchPromise);
+    getHeaderMapInflight().set(cacheKey, fetchPromise);
     
     return await fetchPromise;
   } catch (error) {
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * WhatsApp Cloud API Mock Server
+ *
+ * Local stand-in for graph.facebook.com to test the WhatsApp channel end-to-end
+ * without a Meta business account.
+ *
+ * - Receives outbound messages (POST /:version/:phoneNumberId/messages) and records them
+ * - Simulates customer messages by sending signed webhooks to the bot server
+ *
+ * Usage:
+ *   node tools/whatsapp-mock-server.js [--port 4010] [--webhook-url <url>] [--window-closed]
+ *
+ * Options:
+ *   --port <port>         Port to listen on (default: 4010)
+ *   --webhook-url <url>   Bot webhook URL (default: http://localhost:3001/api/webhooks/whatsapp)
+ *   --window-closed       Reject text messages with error 131047 (24h customer service window closed)
+ *
+ * Bot server env (point the bot at the mock):
+ *   WHATSAPP_API_BASE_URL=http://localhost:4010/v19.0
+ *   WHATSAPP_ACCESS_TOKEN=mock-token
+ *   WHATSAPP_PHONE_NUMBER_ID=1234567890
+ *   WHATSAPP_APP_SECRET=mock-secret   (the mock signs webhooks with the same secret)
+ *
+ * Endpoints:
+ *   POST /simulate   { from, text, name? }, { from, image: { caption } }
+ *                    or { from, buttonReply: { id, title?, messageId? } }  -> sends a signed webhook to the bot
+ *   GET  /sent       Outbound messages received from the bot
+ *   DELETE /sent     Clear recorded messages
+ *
+ * Examples:
+ *   curl -X POST localhost:4010/simulate -H 'Content-Type: application/json' -d '{"from":"6281234567890","text":"/help"}'
+ *   curl localhost:4010/sent
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    port: 4010,
+    webhookUrl: 'http://localhost:3001/api/webhooks/whatsapp',
+    windowClosed: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        options.port = parseInt(args[++i]) || options.port;
+        break;
+      case '--webhook-url':
+        options.webhookUrl = args[++i];
+        break;
+      case '--window-closed':
+        options.windowClosed = true;
+        break;
+    }
+  }
+
+  return options;
+}
+
+const options = parseArgs();
+const appSecret = process.env.WHATSAPP_APP_SECRET || 'mock-secret';
+const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || '1234567890';
+
+const sentMessages = [];
+let messageCounter = 0;
+
+const app = express();
+app.use(express.json());
+
+// Outbound messages from the bot (Cloud API /messages endpoint)
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  if (!req.get('Authorization')?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: { message: 'Missing access token', code: 190 } });
+  }
+
+  const payload = req.body;
+  if (options.windowClosed && payload.type === 'text') {
+    return res.status(400).json({
+      error: { message: 'Re-engagement message', code: 131047 },
+    });
+  }
+
+  const messageId = `wamid.mock_${++messageCounter}`;
+  sentMessages.push({ id: messageId, receivedAt: new Date().toISOString(), ...payload });
+
+  const preview = {
+    text: payload.text?.body,
+    interactive: `${payload.interactive?.body?.text}\n[buttons: ${(payload.interactive?.action?.buttons || payload.interactive?.action?.sections?.[0]?.rows || []).map(b => b.reply?.id || b.id).join(', ')}]`,
+    template: `[template: ${payload.template?.name}]`,
+  }[payload.type] || `[${payload.type}: ${payload[payload.type]?.link || payload[payload.type]?.id}]`;
+  console.log(`📤 [MOCK] ${payload.type} to ${payload.to}:\n${preview}\n`);
+
+  res.json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: payload.to, wa_id: payload.to }],
+    messages: [{ id: messageId }],
+  });
+});
+
+// Media upload (multipart body is not parsed, only a media ID is returned)
+app.post('/:version/:phoneNumberId/media', (req, res) => {
+  if (!req.get('Authorization')?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: { message: 'Missing access token', code: 190 } });
+  }
+  req.resume();
+  req.on('end', () => {
+    const mediaId = `media_mock_${++messageCounter}`;
+    console.log(`📎 [MOCK] Media uploaded: ${mediaId}`);
+    res.json({ id: mediaId });
+  });
+});
+
+// Simulate an incoming customer message (signed webhook to the bot)
+app.post('/simulate', async (req, res) => {
+  const { from, text, name, image, buttonReply } = req.body;
+  if (!from || (!text && !image && !buttonReply)) {
+    return res.status(400).json({ error: 'Missing "from" and "text" (or "image" / "buttonReply") field' });
+  }
+
+  const waMessage = {
+    from,
+    id: `wamid.inbound_${Date.now()}`,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...(image
+      ? { type: 'image', image: { id: `media_${Date.now()}`, mime_type: 'image/jpeg', caption: image.caption || '' } }
+      : buttonReply
+        ? {
+            type: 'interactive',
+            context: { id: buttonReply.messageId || null },
+            interactive: { type: 'button_reply', button_reply: { id: buttonReply.id, title: buttonReply.title || buttonReply.id } },
+          }
+        : { type: 'text', text: { body: text } }),
+  };
+
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'mock_waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '620000000000', phone_number_id: phoneNumberId },
+          contacts: [{ profile: { name: name || 'Mock Customer' }, wa_id: from }],
+          messages: [waMessage],
+        },
+      }],
+    }],
+  });
+
+  const signature = crypto.createHmac('sha256', appSecret).update(body).digest('hex');
+
+  try {
+    const response = await fetch(options.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': `sha256=${signature}`,
+      },
+      body,
+    });
+    console.log(`📥 [MOCK] Webhook sent (${waMessage.type} from ${from}): HTTP ${response.status}`);
+    res.json({ success: response.ok, status: response.status, messageId: waMessage.id });
+  } catch (error) {
+    console.error('❌ [MOCK] Failed to send webhook:', error.message);
+    res.status(502).json({ error: 'Failed to reach bot webhook', details: error.message });
+  }
+});
+
+app.get('/sent', (req, res) => {
+  res.json({ messages: sentMessages, count: sentMessages.length });
+});
+
+app.delete('/sent', (req, res) => {
+  sentMessages.length = 0;
+  res.json({ success: true });
+});
+
+app.listen(options.port, () => {
+  console.log(`✅ WhatsApp mock server listening on http://localhost:${options.port}`);
+  console.log(`   Webhook target: ${options.webhookUrl}`);
+  console.log(`   Set WHATSAPP_API_BASE_URL=http://localhost:${options.port}/v19.0 on the bot server`);
+});
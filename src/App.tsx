@@ -2,12 +2,15 @@ import { Toaster } from "@/components/ui/toaster";
 import { Toaster as Sonner } from "@/components/ui/sonner";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { BrowserRouter, Routes, Route, Outlet } from "react-router-dom";
 import Landing from "./pages/Landing";
 import Dashboard from "./pages/Dashboard";
 import Orders from "./pages/Orders";
 import Conversations from "./pages/Conversations";
+import Login from "./pages/Login";
 import NotFound from "./pages/NotFound";
+import { RequireAuth } from "./components/auth/RequireAuth";
+import { LiveUpdates } from "./components/layout/LiveUpdates";
 
 const queryClient = new QueryClient();
 
@@ -19,9 +22,13 @@ const App = () => (
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<Landing />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/orders" element={<Orders />} />
-          <Route path="/conversations" element={<Conversations />} />
+          <Route path="/login" element={<Login />} />
+          {/* Dashboard pages share one login check and one live updates connection */}
+          <Route element={<RequireAuth><LiveUpdates /><Outlet /></RequireAuth>}>
+            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/orders" element={<Orders />} />
+            <Route path="/conversations" element={<Conversations />} />
+          </Route>
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
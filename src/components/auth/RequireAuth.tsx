@@ -0,0 +1,74 @@
+import { ReactNode, useEffect } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { AlertCircle, Loader2 } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useAuthConfig, useCurrentUser } from "@/hooks/useAuth";
+import { getAuthToken, AUTH_EXPIRED_EVENT } from "@/lib/auth";
+
+interface RequireAuthProps {
+  children: ReactNode;
+}
+
+/**
+ * Route guard for dashboard pages
+ * Sends users without a valid session to /login (and back to the page after login)
+ */
+export function RequireAuth({ children }: RequireAuthProps) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { data: config, isLoading: isLoadingConfig } = useAuthConfig();
+  const authDisabled = !!config?.authDisabled;
+  const { data: currentUser, isLoading: isLoadingUser, error } = useCurrentUser({ authDisabled });
+
+  // Any API call answered with 401 (session expired or revoked) ends up here
+  useEffect(() => {
+    const handleExpired = () => {
+      queryClient.removeQueries({ queryKey: ['auth', 'me'] });
+      navigate("/login", { replace: true, state: { from: location } });
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, [navigate, location, queryClient]);
+
+  if (isLoadingConfig) {
+    return <FullPageLoader />;
+  }
+
+  if (!authDisabled && !getAuthToken()) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (isLoadingUser) {
+    return <FullPageLoader />;
+  }
+
+  // A 401 clears the stored token; any other error means the backend couldn't be reached
+  if (error && getAuthToken()) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-background px-4">
+        <Alert className="max-w-md">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            Dashboard cannot reach backend API. Please check API URL or backend status.
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  if (error || !currentUser) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return <>{children}</>;
+}
+
+function FullPageLoader() {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background">
+      <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { Progress } from "@/components/ui/progress";
+import { useTenantUsage } from "@/hooks/useTenant";
+
+function UsageRow({ label, used, limit }: { label: string; used: number; limit: number | null }) {
+  const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-muted-foreground">{label}</span>
+        <span className={`font-medium ${limit !== null && used >= limit ? "text-destructive" : "text-foreground"}`}>
+          {used} / {limit ?? "Unlimited"}
+        </span>
+      </div>
+      {limit !== null && <Progress value={percent} className="h-2" />}
+    </div>
+  );
+}
+
+/**
+ * Plan and usage of this month (GET /api/tenant, admins only)
+ */
+export function PlanUsageCard() {
+  const { data, isLoading, error } = useTenantUsage();
+
+  return (
+    <div className="rounded-xl border border-border bg-card p-6">
+      <div className="mb-4">
+        <h3 className="font-semibold text-foreground">
+          {data ? `${data.plan.name} plan` : "Plan"}
+        </h3>
+        <p className="text-sm text-muted-foreground">
+          {data ? `${data.tenant.branding.businessName} · usage in ${data.usage.month}` : "Usage this month"}
+        </p>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-muted-foreground">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-destructive">{error.message}</p>
+      ) : data ? (
+        <div className="space-y-4">
+          <UsageRow label="Conversations" {...data.usage.conversations} />
+          <UsageRow label="Team members" {...data.usage.teamMembers} />
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
+import { useState } from "react";
 import {
   AreaChart,
   Area,
@@ -7,69 +8,143 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from "recharts";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useSalesAnalytics } from "@/hooks/useAnalytics";
+import type { AnalyticsGranularity } from "@/lib/api";
+
+const rangeOptions: Record<AnalyticsGranularity, { label: string; description: string }> = {
+  day: { label: "Last 7 days", description: "Daily revenue of the last 7 days" },
+  week: { label: "Last 12 weeks", description: "Weekly revenue of the last 12 weeks" },
+  month: { label: "Last 12 months", description: "Monthly revenue of the last 12 months" },
+};
 
-const data = [
-  { name: "Mon", sales: 2400000, orders: 45 },
-  { name: "Tue", sales: 1398000, orders: 32 },
-  { name: "Wed", sales: 3200000, orders: 58 },
-  { name: "Thu", sales: 2780000, orders: 51 },
-  { name: "Fri", sales: 4890000, orders: 89 },
-  { name: "Sat", sales: 5390000, orders: 102 },
-  { name: "Sun", sales: 4490000, orders: 85 },
-];
+const formatIDR = (amount: number): string =>
+  new Intl.NumberFormat("id-ID", {
+    style: "currency",
+    currency: "IDR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
 
+/**
+ * Revenue chart with period totals (GET /api/analytics/sales, orders grouped by order date)
+ */
 export function SalesChart() {
+  const [granularity, setGranularity] = useState<AnalyticsGranularity>("day");
+  const { data, isLoading, error } = useSalesAnalytics({ granularity });
+  const totals = data?.totals;
+
   return (
     <div className="rounded-xl border border-border bg-card p-6">
-      <div className="mb-6">
-        <h3 className="font-semibold text-foreground">Weekly Sales</h3>
-        <p className="text-sm text-muted-foreground">Revenue performance this week</p>
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-foreground">Sales</h3>
+          <p className="text-sm text-muted-foreground">{rangeOptions[granularity].description}</p>
+        </div>
+        <Select value={granularity} onValueChange={(value) => setGranularity(value as AnalyticsGranularity)}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {(Object.keys(rangeOptions) as AnalyticsGranularity[]).map((option) => (
+              <SelectItem key={option} value={option}>{rangeOptions[option].label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
       </div>
-      
+
       <div className="h-[300px]">
-        <ResponsiveContainer width="100%" height="100%">
-          <AreaChart data={data}>
-            <defs>
-              <linearGradient id="salesGradient" x1="0" y1="0" x2="0" y2="1">
-                <stop offset="5%" stopColor="hsl(142, 70%, 45%)" stopOpacity={0.3} />
-                <stop offset="95%" stopColor="hsl(142, 70%, 45%)" stopOpacity={0} />
-              </linearGradient>
-            </defs>
-            <CartesianGrid strokeDasharray="3 3" stroke="hsl(214, 32%, 91%)" />
-            <XAxis
-              dataKey="name"
-              tick={{ fill: "hsl(215, 16%, 47%)", fontSize: 12 }}
-              axisLine={{ stroke: "hsl(214, 32%, 91%)" }}
-              tickLine={false}
-            />
-            <YAxis
-              tick={{ fill: "hsl(215, 16%, 47%)", fontSize: 12 }}
-              axisLine={false}
-              tickLine={false}
-              tickFormatter={(value) => `${(value / 1000000).toFixed(1)}M`}
-            />
-            <Tooltip
-              contentStyle={{
-                backgroundColor: "hsl(0, 0%, 100%)",
-                border: "1px solid hsl(214, 32%, 91%)",
-                borderRadius: "8px",
-                boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1)",
-              }}
-              formatter={(value: number) => [
-                `Rp ${value.toLocaleString("id-ID")}`,
-                "Sales",
-              ]}
-            />
-            <Area
-              type="monotone"
-              dataKey="sales"
-              stroke="hsl(142, 70%, 45%)"
-              strokeWidth={2}
-              fill="url(#salesGradient)"
-            />
-          </AreaChart>
-        </ResponsiveContainer>
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-destructive">{error.message}</p>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={data?.periods || []}>
+              <defs>
+                <linearGradient id="salesGradient" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor="hsl(142, 70%, 45%)" stopOpacity={0.3} />
+                  <stop offset="95%" stopColor="hsl(142, 70%, 45%)" stopOpacity={0} />
+                </linearGradient>
+              </defs>
+              <CartesianGrid strokeDasharray="3 3" stroke="hsl(214, 32%, 91%)" />
+              <XAxis
+                dataKey="label"
+                tick={{ fill: "hsl(215, 16%, 47%)", fontSize: 12 }}
+                axisLine={{ stroke: "hsl(214, 32%, 91%)" }}
+                tickLine={false}
+              />
+              <YAxis
+                tick={{ fill: "hsl(215, 16%, 47%)", fontSize: 12 }}
+                axisLine={false}
+                tickLine={false}
+                tickFormatter={(value) => `${(value / 1000000).toFixed(1)}M`}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: "hsl(0, 0%, 100%)",
+                  border: "1px solid hsl(214, 32%, 91%)",
+                  borderRadius: "8px",
+                  boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1)",
+                }}
+                formatter={(value: number) => [
+                  `Rp ${value.toLocaleString("id-ID")}`,
+                  "Sales",
+                ]}
+                labelFormatter={(label, payload) => `${label} · ${payload?.[0]?.payload?.orders ?? 0} orders`}
+              />
+              <Area
+                type="monotone"
+                dataKey="revenue"
+                stroke="hsl(142, 70%, 45%)"
+                strokeWidth={2}
+                fill="url(#salesGradient)"
+              />
+            </AreaChart>
+          </ResponsiveContainer>
+        )}
       </div>
+
+      {totals && (
+        <div className="mt-6 grid grid-cols-2 gap-4 border-t border-border pt-4 text-sm sm:grid-cols-3">
+          <div>
+            <p className="text-muted-foreground">Revenue</p>
+            <p className="font-semibold text-foreground">{formatIDR(totals.revenue)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Orders</p>
+            <p className="font-semibold text-foreground">{totals.orders}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Avg. order value</p>
+            <p className="font-semibold text-foreground">{formatIDR(totals.averageOrderValue)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Cups (S / M / L)</p>
+            <p className="font-semibold text-foreground">
+              {totals.cups.Small} / {totals.cups.Medium} / {totals.cups.Large}
+            </p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Full paid / DP paid</p>
+            <p className="font-semibold text-foreground">
+              {formatIDR(totals.fullPaidAmount)} / {formatIDR(totals.dpPaidAmount)}
+            </p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Cancelled</p>
+            <p className="font-semibold text-foreground">
+              {totals.cancelledOrders} ({formatIDR(totals.cancelledAmount)})
+            </p>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -3,6 +3,8 @@ import { Sidebar } from "./Sidebar";
 import { Bell, Search } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { getUserInitials } from "@/lib/auth";
 
 interface DashboardLayoutProps {
   children: ReactNode;
@@ -11,6 +13,9 @@ interface DashboardLayoutProps {
 }
 
 export function DashboardLayout({ children, title, subtitle }: DashboardLayoutProps) {
+  const { data: currentUserData } = useCurrentUser();
+  const currentUser = currentUserData?.user;
+
   return (
     <div className="min-h-screen bg-background">
       <Sidebar />
@@ -47,8 +52,20 @@ export function DashboardLayout({ children, title, subtitle }: DashboardLayoutPr
             </Button>
             
             {/* User Avatar */}
-            <div className="h-9 w-9 rounded-full bg-accent flex items-center justify-center">
-              <span className="text-sm font-medium text-accent-foreground">JD</span>
+            <div className="flex items-center gap-2" title={currentUser ? `${currentUser.name} (${currentUser.role})` : undefined}>
+              {currentUser?.photoUrl ? (
+                <img src={currentUser.photoUrl} alt={currentUser.name} className="h-9 w-9 rounded-full object-cover" />
+              ) : (
+                <div className="h-9 w-9 rounded-full bg-accent flex items-center justify-center">
+                  <span className="text-sm font-medium text-accent-foreground">{getUserInitials(currentUser)}</span>
+                </div>
+              )}
+              {currentUser && (
+                <div className="hidden lg:block leading-tight">
+                  <p className="text-sm font-medium text-foreground">{currentUser.name}</p>
+                  <p className="text-xs text-muted-foreground capitalize">{currentUser.role}</p>
+                </div>
+              )}
             </div>
           </div>
         </header>
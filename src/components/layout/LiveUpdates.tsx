@@ -0,0 +1,9 @@
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+
+/**
+ * Keeps dashboard data in sync with the backend's live updates stream (renders nothing)
+ */
+export function LiveUpdates() {
+  useLiveUpdates();
+  return null;
+}
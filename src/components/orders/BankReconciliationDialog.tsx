@@ -0,0 +1,323 @@
+import { useEffect, useState } from "react";
+import { AlertCircle, CheckCircle2, Loader2, Wallet } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useConfirmReconciliation, useImportBankStatement } from "@/hooks/useOrders";
+import { useCurrentUser } from "@/hooks/useAuth";
+import type { Reconciliation, ReconciliationLine } from "@/lib/api";
+
+// Same limit as the backend (MAX_STATEMENT_BYTES)
+const MAX_STATEMENT_SIZE = 2 * 1024 * 1024;
+const STATEMENT_ACCEPT = ".csv,text/csv";
+
+// Lines that can still be recorded (the others were recorded by this or an earlier import)
+const SELECTABLE_STATUSES: ReconciliationLine["status"][] = ["matched", "needs_review", "ambiguous", "unmatched", "failed"];
+
+const lineStatusConfig: Record<ReconciliationLine["status"], { label: string; variant: "success" | "info" | "warning" | "destructive" | "pending" }> = {
+  matched: { label: "Matched", variant: "info" },
+  needs_review: { label: "Check first", variant: "warning" },
+  ambiguous: { label: "Several orders", variant: "warning" },
+  unmatched: { label: "Unmatched", variant: "destructive" },
+  already_recorded: { label: "Already recorded", variant: "pending" },
+  recorded: { label: "Recorded", variant: "success" },
+  failed: { label: "Failed", variant: "destructive" },
+};
+
+const matchTypeLabels: Record<string, string> = {
+  reference: "order ID in description",
+  amount: "amount",
+  amount_name: "amount + customer name",
+  manual: "chosen manually",
+};
+
+const reasonLabels: Record<string, string> = {
+  order_not_found: "Referenced order not found",
+  order_cancelled: "Order is cancelled",
+  no_matching_order: "No open order with this amount",
+  amount_differs: "Amount differs from the DP/remaining balance",
+  order_already_paid: "Order is already paid",
+};
+
+const formatIDR = (amount: number): string =>
+  new Intl.NumberFormat("id-ID", {
+    style: "currency",
+    currency: "IDR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+interface BankReconciliationDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+interface LineSelection {
+  checked: boolean;
+  orderId: string;
+}
+
+/**
+ * Initial selection: proposed matches are checked, everything else (including order ID matches to
+ * review) waits for the admin to check it or choose an order
+ */
+function getInitialSelections(reconciliation: Reconciliation): Record<number, LineSelection> {
+  const selections: Record<number, LineSelection> = {};
+  reconciliation.lines.forEach((line) => {
+    if (SELECTABLE_STATUSES.includes(line.status)) {
+      selections[line.lineNumber] = {
+        checked: line.status === "matched",
+        orderId: line.orderId || line.reference || "",
+      };
+    }
+  });
+  return selections;
+}
+
+/**
+ * Bank statement import: upload a BCA/Mandiri CSV export, review the proposed order for every
+ * incoming transfer, then record the checked lines as payments (same as the bot's CSV import)
+ */
+export function BankReconciliationDialog({ open, onOpenChange }: BankReconciliationDialogProps) {
+  const importMutation = useImportBankStatement();
+  const { data: currentUser } = useCurrentUser();
+  const orderIdPrefix = currentUser?.tenant?.orderIdPrefix || "PREFIX";
+  const confirmMutation = useConfirmReconciliation();
+  const { reset: resetImport } = importMutation;
+  const { reset: resetConfirm } = confirmMutation;
+  const [reconciliation, setReconciliation] = useState<Reconciliation | null>(null);
+  const [selections, setSelections] = useState<Record<number, LineSelection>>({});
+  const [resultMessage, setResultMessage] = useState<string | null>(null);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setReconciliation(null);
+      setSelections({});
+      setResultMessage(null);
+      setFormError(null);
+      resetImport();
+      resetConfirm();
+    }
+  }, [open, resetImport, resetConfirm]);
+
+  const handleFileChange = async (file: File | null) => {
+    setFormError(null);
+    setResultMessage(null);
+    if (!file) return;
+    if (file.size > MAX_STATEMENT_SIZE) {
+      setFormError("Statement file is too large (max 2 MB)");
+      return;
+    }
+
+    try {
+      const data = await importMutation.mutateAsync(file);
+      setReconciliation(data.reconciliation);
+      setSelections(getInitialSelections(data.reconciliation));
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : "Failed to import bank statement");
+    }
+  };
+
+  const updateSelection = (lineNumber: number, changes: Partial<LineSelection>) => {
+    setSelections((current) => ({
+      ...current,
+      [lineNumber]: { ...current[lineNumber], ...changes },
+    }));
+  };
+
+  const checkedLines = Object.entries(selections)
+    .filter(([, selection]) => selection.checked && selection.orderId.trim())
+    .map(([lineNumber, selection]) => ({ lineNumber: Number(lineNumber), orderId: selection.orderId.trim() }));
+
+  const handleConfirm = async () => {
+    if (!reconciliation || checkedLines.length === 0) return;
+    setFormError(null);
+    try {
+      const data = await confirmMutation.mutateAsync({ reconciliationId: reconciliation.id, lines: checkedLines });
+      setReconciliation(data.reconciliation);
+      setSelections(getInitialSelections(data.reconciliation));
+      setResultMessage(data.failed > 0 ? `${data.message}, ${data.failed} failed` : data.message);
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : "Failed to record payments");
+    }
+  };
+
+  const renderOrderCell = (line: ReconciliationLine) => {
+    const selection = selections[line.lineNumber];
+    if (!selection) {
+      return <span className="font-mono text-xs">{line.orderId || "-"}</span>;
+    }
+    if (line.status === "ambiguous" && line.candidates.length > 0) {
+      return (
+        <Select
+          value={selection.orderId}
+          onValueChange={(orderId) => updateSelection(line.lineNumber, { orderId, checked: true })}
+        >
+          <SelectTrigger className="h-8 w-56">
+            <SelectValue placeholder={`${line.candidates.length} orders match`} />
+          </SelectTrigger>
+          <SelectContent>
+            {line.candidates.map((candidate) => (
+              <SelectItem key={candidate.orderId} value={candidate.orderId}>
+                {candidate.orderId} · {candidate.customerName} · {candidate.eventDate}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+    }
+    return (
+      <Input
+        className="h-8 w-56 font-mono text-xs"
+        value={selection.orderId}
+        onChange={(e) => updateSelection(line.lineNumber, { orderId: e.target.value, checked: !!e.target.value.trim() })}
+        placeholder={`${orderIdPrefix}/YYYYMMDD/000001`}
+      />
+    );
+  };
+
+  const isBusy = importMutation.isPending || confirmMutation.isPending;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Bank Statement</DialogTitle>
+          <DialogDescription>
+            Upload a BCA or Mandiri mutation export (CSV). Incoming transfers are matched to open orders by order ID in
+            the description, amount (DP or remaining balance) and event date. Nothing is recorded until you confirm.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor="bank-statement">Statement file</Label>
+          <div className="flex items-center gap-3">
+            <Input
+              id="bank-statement"
+              type="file"
+              accept={STATEMENT_ACCEPT}
+              disabled={isBusy}
+              onChange={(e) => handleFileChange(e.target.files?.[0] || null)}
+            />
+            {importMutation.isPending && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+          </div>
+        </div>
+
+        {reconciliation && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">{reconciliation.bank.toUpperCase()}{reconciliation.accountNumber && ` · ${reconciliation.accountNumber}`}</Badge>
+              <Badge variant="outline">{reconciliation.summary.credits} credits · {formatIDR(reconciliation.summary.totalAmount)}</Badge>
+              <Badge variant="info">{reconciliation.summary.matched} matched</Badge>
+              {reconciliation.summary.needsReview > 0 && <Badge variant="warning">{reconciliation.summary.needsReview} to check</Badge>}
+              {reconciliation.summary.ambiguous > 0 && <Badge variant="warning">{reconciliation.summary.ambiguous} with several orders</Badge>}
+              {reconciliation.summary.unmatched > 0 && <Badge variant="destructive">{reconciliation.summary.unmatched} unmatched</Badge>}
+              {reconciliation.summary.alreadyRecorded > 0 && <Badge variant="pending">{reconciliation.summary.alreadyRecorded} already recorded</Badge>}
+              {reconciliation.summary.recorded > 0 && <Badge variant="success">{reconciliation.summary.recorded} recorded</Badge>}
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-10" />
+                  <TableHead>Date</TableHead>
+                  <TableHead>Amount</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Order</TableHead>
+                  <TableHead>Status</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {reconciliation.lines.map((line) => {
+                  const selection = selections[line.lineNumber];
+                  const status = lineStatusConfig[line.status];
+                  const needsAttention = line.status === "unmatched" || line.status === "ambiguous" || line.status === "failed";
+                  return (
+                    <TableRow key={line.lineNumber} className={needsAttention ? "bg-destructive/5" : undefined}>
+                      <TableCell>
+                        {selection && (
+                          <Checkbox
+                            checked={selection.checked}
+                            disabled={!selection.orderId.trim()}
+                            onCheckedChange={(checked) => updateSelection(line.lineNumber, { checked: checked === true })}
+                            aria-label={`Record line ${line.lineNumber}`}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">{line.date}</TableCell>
+                      <TableCell className="whitespace-nowrap font-medium">{formatIDR(line.amount)}</TableCell>
+                      <TableCell className="max-w-xs text-xs text-muted-foreground">{line.description}</TableCell>
+                      <TableCell>{renderOrderCell(line)}</TableCell>
+                      <TableCell className="space-y-1">
+                        <Badge variant={status.variant}>{status.label}</Badge>
+                        {line.matchType && (line.status === "matched" || line.status === "needs_review") && (
+                          <p className="text-xs text-muted-foreground">by {matchTypeLabels[line.matchType]}</p>
+                        )}
+                        {line.reasons.map((reason) => (
+                          <p key={reason} className="text-xs text-warning">{reasonLabels[reason] || reason}</p>
+                        ))}
+                        {line.error && <p className="text-xs text-destructive">{line.error}</p>}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {resultMessage && (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>{resultMessage}</AlertDescription>
+          </Alert>
+        )}
+        {formError && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{formError}</AlertDescription>
+          </Alert>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={confirmMutation.isPending}>
+            Close
+          </Button>
+          {reconciliation && (
+            <Button onClick={handleConfirm} disabled={checkedLines.length === 0 || isBusy}>
+              {confirmMutation.isPending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Wallet className="h-4 w-4 mr-2" />}
+              Record {checkedLines.length} payment{checkedLines.length === 1 ? "" : "s"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { AlertCircle, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useCancelOrder } from "@/hooks/useOrders";
+
+interface CancelOrderDialogProps {
+  orderId: string | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+/**
+ * Cancel an order with a reason
+ * The reason is recorded in the order history and sent to the customer (same message as /cancel in the bot).
+ */
+export function CancelOrderDialog({ orderId, onOpenChange }: CancelOrderDialogProps) {
+  const [reason, setReason] = useState("");
+  const cancelMutation = useCancelOrder();
+  const { reset } = cancelMutation;
+
+  useEffect(() => {
+    if (orderId) {
+      setReason("");
+      reset();
+    }
+  }, [orderId, reset]);
+
+  const handleConfirm = async () => {
+    if (!orderId || !reason.trim()) return;
+    try {
+      await cancelMutation.mutateAsync({ orderId, reason: reason.trim() });
+      onOpenChange(false);
+    } catch (error) {
+      console.error("Error cancelling order:", error);
+    }
+  };
+
+  return (
+    <Dialog open={!!orderId} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Cancel Order {orderId}</DialogTitle>
+          <DialogDescription>
+            The customer is notified with this reason. Cancelled orders can no longer be changed.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2">
+          <Label htmlFor="cancel-reason">Reason</Label>
+          <Textarea
+            id="cancel-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Contoh: Stok habis untuk tanggal tersebut"
+            rows={3}
+          />
+        </div>
+        {cancelMutation.error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{cancelMutation.error.message}</AlertDescription>
+          </Alert>
+        )}
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={cancelMutation.isPending}>
+            Keep Order
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleConfirm}
+            disabled={!reason.trim() || cancelMutation.isPending}
+          >
+            {cancelMutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Cancel Order
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
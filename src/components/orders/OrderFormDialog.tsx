@@ -0,0 +1,376 @@
+import { useState } from "react";
+import { Loader2, Plus, Trash2, AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useCreateOrder, useUpdateOrder, usePriceList } from "@/hooks/useOrders";
+import type { OrderInput, OrderItemInput } from "@/lib/api";
+
+/**
+ * Delivery methods - matches DELIVERY_METHODS in the backend
+ */
+const DELIVERY_METHOD_OPTIONS = ["Pickup", "GrabExpress", "Custom"];
+
+/**
+ * Order fields the form reads when editing
+ */
+export interface EditableOrder {
+  id: string;
+  customer_name?: string;
+  phone_number?: string;
+  receiver_name?: string;
+  address?: string;
+  event_name?: string;
+  event_date?: string;
+  delivery_time?: string;
+  delivery_method?: string;
+  items?: OrderItemInput[];
+  notes?: string[];
+  delivery_fee?: number | null;
+}
+
+interface OrderFormState {
+  customer_name: string;
+  phone_number: string;
+  receiver_name: string;
+  address: string;
+  event_name: string;
+  event_date: string;
+  delivery_time: string;
+  delivery_method: string;
+  items: OrderItemInput[];
+  notes: string;
+  delivery_fee: string;
+}
+
+interface OrderFormDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  /** Order to edit - without it the dialog creates a new order */
+  order?: EditableOrder | null;
+  onSaved?: (orderId: string) => void;
+}
+
+function toFormState(order?: EditableOrder | null): OrderFormState {
+  return {
+    customer_name: order?.customer_name || "",
+    phone_number: order?.phone_number || "",
+    receiver_name: order?.receiver_name || "",
+    address: order?.address || "",
+    event_name: order?.event_name || "",
+    event_date: order?.event_date || "",
+    delivery_time: order?.delivery_time || "",
+    delivery_method: order?.delivery_method && order.delivery_method !== "-" ? order.delivery_method : "",
+    items: order?.items?.length
+      ? order.items.map((item) => ({ name: item.name, quantity: Number(item.quantity) || 1 }))
+      : [{ name: "", quantity: 1 }],
+    notes: (order?.notes || []).join("\n"),
+    delivery_fee: order?.delivery_fee !== null && order?.delivery_fee !== undefined ? String(order.delivery_fee) : "",
+  };
+}
+
+function toOrderInput(form: OrderFormState): OrderInput {
+  return {
+    customer_name: form.customer_name.trim(),
+    phone_number: form.phone_number.trim(),
+    receiver_name: form.receiver_name.trim(),
+    address: form.address.trim(),
+    event_name: form.event_name.trim(),
+    event_date: form.event_date,
+    delivery_time: form.delivery_time,
+    delivery_method: form.delivery_method,
+    items: form.items.filter((item) => item.name && item.quantity > 0),
+    notes: form.notes.split("\n").map((note) => note.trim()).filter(Boolean),
+    delivery_fee: form.delivery_fee.trim() === "" ? null : Number(form.delivery_fee),
+  };
+}
+
+/**
+ * Create or edit an order
+ * The form starts from the order's values when mounted, so render the dialog only while it is open.
+ * The backend validates the order, checks production capacity and recalculates all totals,
+ * so the total shown here is only an estimate of the product subtotal.
+ */
+export function OrderFormDialog({ open, onOpenChange, order, onSaved }: OrderFormDialogProps) {
+  const isEdit = !!order;
+  const [form, setForm] = useState<OrderFormState>(() => toFormState(order));
+  const [formError, setFormError] = useState<string | null>(null);
+  const { data: priceListData, isLoading: isLoadingPriceList } = usePriceList();
+  const createMutation = useCreateOrder();
+  const updateMutation = useUpdateOrder();
+  const isSaving = createMutation.isPending || updateMutation.isPending;
+
+  const priceList = priceListData?.items || [];
+  const priceByName = new Map(priceList.map((item) => [item.name.toLowerCase(), item.price]));
+  const estimatedProductTotal = form.items.reduce(
+    (sum, item) => sum + (priceByName.get(item.name.toLowerCase()) || 0) * (item.quantity || 0),
+    0
+  );
+
+  const setField = <K extends keyof OrderFormState>(field: K, value: OrderFormState[K]) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateItem = (index: number, changes: Partial<OrderItemInput>) => {
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setFormError(null);
+    const input = toOrderInput(form);
+
+    try {
+      if (isEdit && order) {
+        // Only send fields that changed, so untouched values (e.g. delivery fee) keep their source
+        const original = toOrderInput(toFormState(order));
+        const changes = Object.fromEntries(
+          Object.entries(input).filter(
+            ([field, value]) => JSON.stringify(value) !== JSON.stringify(original[field as keyof OrderInput])
+          )
+        ) as OrderInput;
+        if (Object.keys(changes).length === 0) {
+          onOpenChange(false);
+          return;
+        }
+        await updateMutation.mutateAsync({ orderId: order.id, changes });
+        onSaved?.(order.id);
+      } else {
+        const result = await createMutation.mutateAsync(input);
+        onSaved?.(String(result.order.id));
+      }
+      onOpenChange(false);
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : "Failed to save order");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{isEdit ? `Edit Order: ${order?.id}` : "New Order"}</DialogTitle>
+          <DialogDescription>
+            {isEdit
+              ? "Changes are recorded in the order history. Totals are recalculated from the price list."
+              : "The order is created with status Pending, like orders from the bot."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="order-customer-name">Customer Name</Label>
+              <Input
+                id="order-customer-name"
+                value={form.customer_name}
+                onChange={(e) => setField("customer_name", e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-phone">Phone</Label>
+              <Input
+                id="order-phone"
+                value={form.phone_number}
+                onChange={(e) => setField("phone_number", e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-receiver">Receiver Name</Label>
+              <Input
+                id="order-receiver"
+                value={form.receiver_name}
+                onChange={(e) => setField("receiver_name", e.target.value)}
+                placeholder="Same as customer"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-event-name">Event</Label>
+              <Input
+                id="order-event-name"
+                value={form.event_name}
+                onChange={(e) => setField("event_name", e.target.value)}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="order-address">Address</Label>
+              <Textarea
+                id="order-address"
+                value={form.address}
+                onChange={(e) => setField("address", e.target.value)}
+                rows={2}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-event-date">Event Date</Label>
+              <Input
+                id="order-event-date"
+                type="date"
+                value={form.event_date}
+                onChange={(e) => setField("event_date", e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-delivery-time">Delivery Time</Label>
+              <Input
+                id="order-delivery-time"
+                type="time"
+                value={form.delivery_time}
+                onChange={(e) => setField("delivery_time", e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Delivery Method</Label>
+              <Select value={form.delivery_method} onValueChange={(value) => setField("delivery_method", value)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select method" />
+                </SelectTrigger>
+                <SelectContent>
+                  {DELIVERY_METHOD_OPTIONS.map((method) => (
+                    <SelectItem key={method} value={method}>
+                      {method}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="order-delivery-fee">Delivery Fee (optional)</Label>
+              <Input
+                id="order-delivery-fee"
+                type="number"
+                min={0}
+                value={form.delivery_fee}
+                onChange={(e) => setField("delivery_fee", e.target.value)}
+                placeholder="Calculated by zone"
+              />
+            </div>
+          </div>
+
+          {/* Items from the price list */}
+          <div className="space-y-2">
+            <Label>Items</Label>
+            {isLoadingPriceList ? (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Loading price list...
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {form.items.map((item, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <Select value={item.name} onValueChange={(name) => updateItem(index, { name })}>
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Select item" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {/* Keep items that are no longer in the price list selectable when editing */}
+                        {item.name && !priceByName.has(item.name.toLowerCase()) && (
+                          <SelectItem value={item.name}>{item.name}</SelectItem>
+                        )}
+                        {priceList.map((priceItem) => (
+                          <SelectItem key={priceItem.name} value={priceItem.name}>
+                            {priceItem.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      min={1}
+                      className="w-24"
+                      value={item.quantity}
+                      onChange={(e) => updateItem(index, { quantity: parseInt(e.target.value) || 0 })}
+                      aria-label="Quantity"
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon-sm"
+                      onClick={() => setField("items", form.items.filter((_, i) => i !== index))}
+                      disabled={form.items.length === 1}
+                      title="Remove item"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <div className="flex items-center justify-between">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setField("items", [...form.items, { name: "", quantity: 1 }])}
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Item
+                  </Button>
+                  <span className="text-sm text-muted-foreground">
+                    Product total (estimate):{" "}
+                    {new Intl.NumberFormat("id-ID", {
+                      style: "currency",
+                      currency: "IDR",
+                      maximumFractionDigits: 0,
+                    }).format(estimatedProductTotal)}
+                  </span>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="order-notes">Notes (one per line)</Label>
+            <Textarea
+              id="order-notes"
+              value={form.notes}
+              onChange={(e) => setField("notes", e.target.value)}
+              rows={3}
+              placeholder="Packaging Styrofoam: Ya"
+            />
+          </div>
+
+          {formError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{formError}</AlertDescription>
+            </Alert>
+          )}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSaving}>
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isEdit ? "Save Changes" : "Create Order"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,201 @@
+import { useState } from "react";
+import { AlertCircle, FileText, Loader2, Wallet } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useOrderPayments, useRecordPayment } from "@/hooks/useOrders";
+import { openPaymentEvidence } from "@/lib/api";
+
+// Same limit as the backend (MAX_EVIDENCE_BYTES)
+const MAX_EVIDENCE_SIZE = 10 * 1024 * 1024;
+const EVIDENCE_ACCEPT = "image/jpeg,image/png,image/webp,application/pdf";
+
+interface OrderPaymentsProps {
+  orderId: string;
+  /** Show the record payment form (payments:record permission, order not cancelled) */
+  canRecord: boolean;
+}
+
+const formatIDR = (amount: number): string =>
+  new Intl.NumberFormat("id-ID", {
+    style: "currency",
+    currency: "IDR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+/**
+ * Payments of an order (Payment_History) with a form to record a new payment
+ * Evidence files are stored in Telegram like transfer proofs sent to the bot.
+ */
+export function OrderPayments({ orderId, canRecord }: OrderPaymentsProps) {
+  const { data, isLoading } = useOrderPayments(orderId);
+  const recordMutation = useRecordPayment();
+  const [amount, setAmount] = useState("");
+  const [method, setMethod] = useState<"transfer" | "manual">("transfer");
+  const [note, setNote] = useState("");
+  const [evidence, setEvidence] = useState<File | null>(null);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [openingEvidenceId, setOpeningEvidenceId] = useState<string | null>(null);
+  // Changing the key clears the file input after a payment is recorded
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const payments = data?.payments || [];
+
+  const handleEvidenceChange = (file: File | null) => {
+    setFormError(null);
+    if (file && file.size > MAX_EVIDENCE_SIZE) {
+      setFormError("Evidence file is too large (max 10 MB)");
+      setEvidence(null);
+      return;
+    }
+    setEvidence(file);
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setFormError(null);
+    const parsedAmount = Number(amount);
+    if (!parsedAmount || parsedAmount <= 0) {
+      setFormError("Amount must be greater than 0");
+      return;
+    }
+
+    try {
+      await recordMutation.mutateAsync({ orderId, amount: parsedAmount, method, note: note.trim() || undefined, evidence });
+      setAmount("");
+      setNote("");
+      setEvidence(null);
+      setFileInputKey((key) => key + 1);
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : "Failed to record payment");
+    }
+  };
+
+  const handleOpenEvidence = async (paymentId: string) => {
+    setOpeningEvidenceId(paymentId);
+    try {
+      await openPaymentEvidence(orderId, paymentId);
+    } catch (error) {
+      console.error("Error opening payment evidence:", error);
+      alert(error instanceof Error ? error.message : "Failed to load payment evidence");
+    } finally {
+      setOpeningEvidenceId(null);
+    }
+  };
+
+  return (
+    <div className="pt-4 border-t">
+      <p className="text-sm font-medium text-muted-foreground mb-3 flex items-center gap-2">
+        <Wallet className="h-4 w-4" />
+        Payments
+      </p>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading payments...
+        </div>
+      ) : payments.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No payments recorded yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {payments.map((payment) => (
+            <div key={payment.payment_id} className="flex items-center justify-between gap-2 p-2 bg-muted rounded text-sm">
+              <div className="min-w-0">
+                <p className="text-foreground font-medium">
+                  {formatIDR(Number(payment.amount_confirmed) || 0)}
+                  <span className="text-muted-foreground font-normal"> · {payment.payment_method}</span>
+                </p>
+                <p className="text-xs text-muted-foreground break-words">
+                  {payment.payment_date}
+                  {payment.note ? ` · ${payment.note}` : ""}
+                </p>
+              </div>
+              {payment.has_evidence && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleOpenEvidence(payment.payment_id)}
+                  disabled={openingEvidenceId === payment.payment_id}
+                >
+                  {openingEvidenceId === payment.payment_id ? (
+                    <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                  ) : (
+                    <FileText className="h-4 w-4 mr-1" />
+                  )}
+                  Evidence
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canRecord && (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-3 bg-muted/50 p-3 rounded-lg">
+          <p className="text-sm font-medium text-foreground">Record Payment</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="payment-amount">Amount (Rp)</Label>
+              <Input
+                id="payment-amount"
+                type="number"
+                min={1}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Method</Label>
+              <Select value={method} onValueChange={(value) => setMethod(value as "transfer" | "manual")}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="transfer">Transfer</SelectItem>
+                  <SelectItem value="manual">Manual / Cash</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payment-note">Note</Label>
+              <Input id="payment-note" value={note} onChange={(e) => setNote(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payment-evidence">Evidence (image or PDF)</Label>
+              <Input
+                key={fileInputKey}
+                id="payment-evidence"
+                type="file"
+                accept={EVIDENCE_ACCEPT}
+                onChange={(e) => handleEvidenceChange(e.target.files?.[0] || null)}
+              />
+            </div>
+          </div>
+          {formError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{formError}</AlertDescription>
+            </Alert>
+          )}
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" disabled={recordMutation.isPending}>
+              {recordMutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Record Payment
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * React Query hooks for sales analytics
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { getSalesAnalytics, type AnalyticsGranularity } from '@/lib/api';
+import { pollingInterval } from '@/hooks/useLiveUpdates';
+
+/**
+ * Fetch sales analytics (revenue, orders, cups, payments per period)
+ */
+export function useSalesAnalytics(
+  params: { from?: string; to?: string; granularity?: AnalyticsGranularity; dateBasis?: 'order' | 'event' },
+  options?: { enabled?: boolean }
+) {
+  return useQuery({
+    queryKey: ['analytics', 'sales', params],
+    queryFn: () => getSalesAnalytics(params),
+    enabled: options?.enabled ?? true,
+    refetchInterval: pollingInterval(60000), // Every minute while live updates are down
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * React Query hooks for dashboard authentication
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthConfig, getCurrentUser, loginWithTelegram, logout, type TelegramLoginData } from '@/lib/api';
+import { getAuthToken, setAuthSession, clearAuthSession } from '@/lib/auth';
+
+/**
+ * Fetch login settings (Telegram bot username, auth disabled flag)
+ */
+export function useAuthConfig() {
+  return useQuery({
+    queryKey: ['auth', 'config'],
+    queryFn: getAuthConfig,
+    staleTime: Infinity,
+  });
+}
+
+/**
+ * Fetch the logged-in user
+ * Only runs with a stored session token, unless the backend has auth disabled (local development)
+ */
+export function useCurrentUser(options?: { authDisabled?: boolean }) {
+  const hasToken = !!getAuthToken();
+  return useQuery({
+    queryKey: ['auth', 'me'],
+    queryFn: getCurrentUser,
+    enabled: hasToken || !!options?.authDisabled,
+    retry: false,
+    staleTime: 60000, // Role changes (/role in the bot) show up within a minute
+  });
+}
+
+/**
+ * Log in with Telegram Login Widget data
+ */
+export function useTelegramLogin() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: TelegramLoginData) => loginWithTelegram(data),
+    onSuccess: (result) => {
+      setAuthSession(result.token, result.expiresAt);
+      queryClient.setQueryData(['auth', 'me'], { user: result.user, authType: 'session', expiresAt: result.expiresAt });
+    },
+  });
+}
+
+/**
+ * Log out and drop all cached dashboard data
+ */
+export function useLogout() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    // Always clear the local session, even if the backend is unreachable
+    mutationFn: () => logout().catch(() => null),
+    onSettled: () => {
+      clearAuthSession();
+      queryClient.clear();
+    },
+  });
+}
@@ -4,6 +4,7 @@
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { getConversations, getConversationMessages, sendMessage } from '@/lib/api';
+import { pollingInterval } from '@/hooks/useLiveUpdates';
 
 /**
  * Fetch all conversations
@@ -12,7 +13,7 @@ export function useConversations() {
   return useQuery({
     queryKey: ['conversations'],
     queryFn: getConversations,
-    refetchInterval: 5000, // Refetch every 5 seconds
+    refetchInterval: pollingInterval(5000), // Every 5 seconds while live updates are down
   });
 }
 
@@ -24,7 +25,7 @@ export function useConversationMessages(conversationId: string | null) {
     queryKey: ['conversation-messages', conversationId],
     queryFn: () => conversationId ? getConversationMessages(conversationId) : [],
     enabled: !!conversationId,
-    refetchInterval: 3000, // Refetch every 3 seconds
+    refetchInterval: pollingInterval(3000), // Every 3 seconds while live updates are down
   });
 }
 
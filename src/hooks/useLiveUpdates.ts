@@ -0,0 +1,143 @@
+/**
+ * Live dashboard updates (Server-Sent Events from GET /api/events)
+ *
+ * The backend sends an event when a message arrives or an order, status change or payment is saved.
+ * The affected React Query caches are invalidated (refetched only if a page shows them), and queries
+ * that use pollingInterval() stop polling while the stream is connected - polling is only the fallback.
+ */
+
+import { useEffect } from 'react';
+import { useQueryClient, type QueryKey } from '@tanstack/react-query';
+import { getDashboardEventsUrl } from '@/lib/api';
+
+// Reconnect delay after the stream was closed (401, server restart); EventSource retries network errors itself
+const RECONNECT_DELAY_MS = 10000;
+
+// Events come in bursts (order saved + status changed + payment), so refetch once per burst
+const INVALIDATE_DEBOUNCE_MS = 300;
+
+// Queries kept fresh by live updates (refetched when the stream connects or drops)
+const LIVE_QUERY_KEYS: QueryKey[] = [
+  ['orders'],
+  ['order'],
+  ['orderEvents'],
+  ['orderPayments'],
+  ['analytics'],
+  ['conversations'],
+  ['conversation-messages'],
+];
+
+// Event types sent by the backend (DASHBOARD_EVENT_TYPES in server/src/services/dashboard-events.js)
+const EVENT_TYPES = [
+  'message.created',
+  'order.saved',
+  'order.status_changed',
+  'order.payment_updated',
+  'payment.recorded',
+];
+
+interface LiveEventData {
+  orderId?: string;
+  conversationId?: string;
+}
+
+let isConnected = false;
+
+/**
+ * Check if the live updates stream is connected
+ */
+export function isLiveUpdatesConnected() {
+  return isConnected;
+}
+
+/**
+ * refetchInterval for queries kept fresh by live updates
+ * Polls every `ms` milliseconds only while the stream is down.
+ */
+export function pollingInterval(ms: number) {
+  return () => (isConnected ? false : ms);
+}
+
+/**
+ * Query keys to refetch for a live event
+ */
+function getAffectedQueryKeys(type: string, data: LiveEventData): QueryKey[] {
+  if (type === 'message.created') {
+    return [['conversations'], ['conversation-messages']];
+  }
+  if (!data.orderId) {
+    return [['orders'], ['analytics']];
+  }
+  if (type === 'payment.recorded') {
+    return [['orderPayments', data.orderId], ['analytics']];
+  }
+  return [['orders'], ['order', data.orderId], ['orderEvents', data.orderId], ['analytics']];
+}
+
+/**
+ * Subscribe to live dashboard updates while the component is mounted
+ */
+export function useLiveUpdates() {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return;
+
+    let source: EventSource | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let flushTimer: ReturnType<typeof setTimeout> | undefined;
+    const pendingKeys = new Map<string, QueryKey>();
+
+    const refetchLiveQueries = () => {
+      LIVE_QUERY_KEYS.forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+    };
+
+    // Refetching on every change of state catches up on missed events when connecting, and restarts
+    // polling when the stream drops (refetchInterval is evaluated again after each fetch)
+    const setConnected = (connected: boolean) => {
+      if (isConnected === connected) return;
+      isConnected = connected;
+      refetchLiveQueries();
+    };
+
+    const queueInvalidation = (queryKeys: QueryKey[]) => {
+      queryKeys.forEach((queryKey) => pendingKeys.set(JSON.stringify(queryKey), queryKey));
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(() => {
+        pendingKeys.forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+        pendingKeys.clear();
+      }, INVALIDATE_DEBOUNCE_MS);
+    };
+
+    const handleEvent = (event: MessageEvent) => {
+      try {
+        queueInvalidation(getAffectedQueryKeys(event.type, JSON.parse(event.data)));
+      } catch (error) {
+        console.error('Error handling live update:', error);
+      }
+    };
+
+    const connect = () => {
+      source = new EventSource(getDashboardEventsUrl());
+      source.addEventListener('ready', () => setConnected(true));
+      EVENT_TYPES.forEach((type) => source?.addEventListener(type, handleEvent));
+      source.onerror = () => {
+        setConnected(false);
+        // EventSource gives up after a non-200 response: reconnect later with the current session token
+        if (source?.readyState === EventSource.CLOSED) {
+          source.close();
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      source?.close();
+      clearTimeout(reconnectTimer);
+      clearTimeout(flushTimer);
+      isConnected = false;
+    };
+  }, [queryClient]);
+}
@@ -3,7 +3,24 @@
  */
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { getOrders, getOrder, updateOrderStatus, getOrdersByEventDate } from '@/lib/api';
+import {
+  getOrders,
+  getOrder,
+  getOrderEvents,
+  updateOrderStatus,
+  getOrdersByEventDate,
+  getPriceList,
+  createOrder,
+  updateOrder,
+  cancelOrder,
+  getOrderPayments,
+  uploadPaymentEvidence,
+  recordPayment,
+  importBankStatement,
+  confirmReconciliation,
+  type OrderInput,
+} from '@/lib/api';
+import { pollingInterval } from '@/hooks/useLiveUpdates';
 
 /**
  * Fetch all orders with filters
@@ -18,7 +35,7 @@ export function useOrders(params?: {
   return useQuery({
     queryKey: ['orders', params],
     queryFn: () => getOrders(params),
-    refetchInterval: 10000, // Refetch every 10 seconds
+    refetchInterval: pollingInterval(10000), // Every 10 seconds while live updates are down
   });
 }
 
@@ -33,6 +50,17 @@ export function useOrder(orderId: string | null) {
   });
 }
 
+/**
+ * Fetch order history (Order_Events audit log)
+ */
+export function useOrderEvents(orderId: string | null) {
+  return useQuery({
+    queryKey: ['orderEvents', orderId],
+    queryFn: () => orderId ? getOrderEvents(orderId) : { events: [], count: 0 },
+    enabled: !!orderId,
+  });
+}
+
 /**
  * Fetch orders by event date (for today/tomorrow)
  */
@@ -41,7 +69,7 @@ export function useOrdersByEventDate(eventDate: string | null) {
     queryKey: ['orders', 'eventDate', eventDate],
     queryFn: () => eventDate ? getOrdersByEventDate(eventDate) : { orders: [], count: 0 },
     enabled: !!eventDate,
-    refetchInterval: 10000, // Refetch every 10 seconds
+    refetchInterval: pollingInterval(10000), // Every 10 seconds while live updates are down
   });
 }
 
@@ -52,8 +80,8 @@ export function useUpdateOrderStatus() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ orderId, status }: { orderId: string; status: string }) =>
-      updateOrderStatus(orderId, status),
+    mutationFn: ({ orderId, status, reason }: { orderId: string; status: string; reason?: string }) =>
+      updateOrderStatus(orderId, status, reason),
     onMutate: async ({ orderId, status }) => {
       // Cancel any outgoing refetches to avoid overwriting optimistic update
       await queryClient.cancelQueries({ queryKey: ['orders'] });
@@ -102,6 +130,9 @@ export function useUpdateOrderStatus() {
 
       // Also update single order query if it exists
       queryClient.setQueryData(['order', orderId], data.order);
+
+      // Status change was recorded in the order history
+      queryClient.invalidateQueries({ queryKey: ['orderEvents', orderId] });
     },
     onSettled: () => {
       // Don't invalidate queries - we've already updated the cache
@@ -109,3 +140,128 @@ export function useUpdateOrderStatus() {
     },
   });
 }
+
+/**
+ * Fetch the price list for the order form
+ */
+export function usePriceList() {
+  return useQuery({
+    queryKey: ['priceList'],
+    queryFn: getPriceList,
+    staleTime: 5 * 60 * 1000, // Prices rarely change during a session
+  });
+}
+
+/**
+ * Fetch payments of an order (Payment_History)
+ */
+export function useOrderPayments(orderId: string | null, options?: { enabled?: boolean }) {
+  return useQuery({
+    queryKey: ['orderPayments', orderId],
+    queryFn: () => orderId ? getOrderPayments(orderId) : { payments: [], count: 0 },
+    enabled: !!orderId && (options?.enabled ?? true),
+  });
+}
+
+/**
+ * Refetch everything that shows an order after it changed on the backend
+ */
+function invalidateOrder(queryClient: ReturnType<typeof useQueryClient>, orderId: string) {
+  queryClient.invalidateQueries({ queryKey: ['orders'] });
+  queryClient.invalidateQueries({ queryKey: ['order', orderId] });
+  queryClient.invalidateQueries({ queryKey: ['orderEvents', orderId] });
+}
+
+/**
+ * Create order mutation
+ */
+export function useCreateOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (order: OrderInput) => createOrder(order),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['orders'] });
+    },
+  });
+}
+
+/**
+ * Edit order mutation (items, date, address, ...)
+ */
+export function useUpdateOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ orderId, changes }: { orderId: string; changes: OrderInput }) =>
+      updateOrder(orderId, changes),
+    onSuccess: (_data, { orderId }) => invalidateOrder(queryClient, orderId),
+  });
+}
+
+/**
+ * Cancel order mutation (the reason is sent to the customer)
+ */
+export function useCancelOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ orderId, reason }: { orderId: string; reason: string }) =>
+      cancelOrder(orderId, reason),
+    onSuccess: (_data, { orderId }) => invalidateOrder(queryClient, orderId),
+  });
+}
+
+/**
+ * Record payment mutation
+ * With an evidence file, the file is uploaded first and linked to the payment.
+ */
+export function useRecordPayment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ orderId, amount, method, note, evidence }: {
+      orderId: string;
+      amount: number;
+      method: 'transfer' | 'manual';
+      note?: string;
+      evidence?: File | null;
+    }) => {
+      const proofFileId = evidence ? (await uploadPaymentEvidence(orderId, evidence)).fileId : undefined;
+      return recordPayment(orderId, { amount, method, note, proofFileId });
+    },
+    onSuccess: (_data, { orderId }) => {
+      invalidateOrder(queryClient, orderId);
+      queryClient.invalidateQueries({ queryKey: ['orderPayments', orderId] });
+    },
+  });
+}
+
+/**
+ * Import a bank statement CSV (proposes an order for every credit, nothing is recorded yet)
+ */
+export function useImportBankStatement() {
+  return useMutation({
+    mutationFn: (file: File) => importBankStatement(file),
+  });
+}
+
+/**
+ * Record the confirmed bank statement lines as payments
+ */
+export function useConfirmReconciliation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ reconciliationId, lines }: { reconciliationId: string; lines: { lineNumber: number; orderId: string }[] }) =>
+      confirmReconciliation(reconciliationId, lines),
+    onSuccess: (_data, { lines }) => {
+      queryClient.invalidateQueries({ queryKey: ['orders'] });
+      lines.forEach(({ orderId }) => {
+        queryClient.invalidateQueries({ queryKey: ['order', orderId] });
+        queryClient.invalidateQueries({ queryKey: ['orderEvents', orderId] });
+        queryClient.invalidateQueries({ queryKey: ['orderPayments', orderId] });
+      });
+    },
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * React Query hooks for the merchant (tenant) plan
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { getTenantUsage } from '@/lib/api';
+
+/**
+ * Fetch the tenant's plan and this month's usage (conversations, team members)
+ */
+export function useTenantUsage(options?: { enabled?: boolean }) {
+  return useQuery({
+    queryKey: ['tenant', 'usage'],
+    queryFn: getTenantUsage,
+    enabled: options?.enabled ?? true,
+    refetchInterval: 5 * 60 * 1000, // Usage changes slowly
+  });
+}
@@ -4,16 +4,58 @@
  * API Base URL Configuration:
  * - Production: Set VITE_API_URL environment variable (e.g., https://dawet-kemayu-menteng.onrender.com)
  * - Local Dev: Falls back to http://localhost:3001 if VITE_API_URL not set
+ *
+ * Multi-tenant backends: set VITE_TENANT_ID to the merchant this dashboard belongs to. It is sent as
+ * X-Tenant-Id, so login and other requests without a session land on that tenant.
  */
 
+import { getAuthToken, clearAuthSession, AUTH_EXPIRED_EVENT, type AuthUser } from '@/lib/auth';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+const TENANT_ID: string = import.meta.env.VITE_TENANT_ID || '';
+
+/**
+ * fetch() with the dashboard session token (and X-Tenant-Id when VITE_TENANT_ID is set)
+ * On 401 (no/expired session) the stored session is cleared and AUTH_EXPIRED_EVENT is dispatched,
+ * so RequireAuth sends the user back to /login.
+ */
+async function authFetch(url: string, init: RequestInit = {}) {
+  const headers = new Headers(init.headers);
+  const token = getAuthToken();
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+  if (TENANT_ID) {
+    headers.set('X-Tenant-Id', TENANT_ID);
+  }
+
+  const response = await fetch(url, { ...init, headers });
+  if (response.status === 401) {
+    clearAuthSession();
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+}
+
+/**
+ * URL of the live dashboard updates stream (Server-Sent Events)
+ * EventSource can't send an Authorization header, so the session token goes in the query string.
+ */
+export function getDashboardEventsUrl() {
+  const token = getAuthToken();
+  const queryParams = new URLSearchParams();
+  if (token) queryParams.set('access_token', token);
+  if (TENANT_ID) queryParams.set('tenant', TENANT_ID);
+  const query = queryParams.toString();
+  return `${API_BASE_URL}/api/events${query ? `?${query}` : ''}`;
+}
 
 /**
  * Fetch conversations from backend
  */
 export async function getConversations() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/conversations`);
+    const response = await authFetch(`${API_BASE_URL}/api/conversations`);
     if (!response.ok) {
       throw new Error('Failed to fetch conversations');
     }
@@ -33,7 +75,7 @@ export async function getConversations() {
  */
 export async function getConversationMessages(conversationId: string) {
   try {
-    const response = await fetch(
+    const response = await authFetch(
       `${API_BASE_URL}/api/conversations/${conversationId}/messages`
     );
     if (!response.ok) {
@@ -62,7 +104,7 @@ export async function getConversationMessages(conversationId: string) {
  */
 export async function sendMessage(chatId: string | number, text: string) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/messages/send`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/send`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -89,7 +131,7 @@ export async function sendMessage(chatId: string | number, text: string) {
  */
 export async function addWhatsAppMessage(from: string, text: string) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/messages/whatsapp-manual`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/whatsapp-manual`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -116,7 +158,7 @@ export async function addWhatsAppMessage(from: string, text: string) {
  */
 export async function getAllMessages() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/messages`);
+    const response = await authFetch(`${API_BASE_URL}/api/messages`);
     if (!response.ok) {
       throw new Error('Failed to fetch messages');
     }
@@ -135,7 +177,7 @@ export async function getAllMessages() {
  */
 export async function getSpreadsheetLink() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/spreadsheet`);
+    const response = await authFetch(`${API_BASE_URL}/api/spreadsheet`);
     if (!response.ok) {
       return null;
     }
@@ -165,7 +207,7 @@ export async function getOrders(params?: {
     if (params?.endDate) queryParams.append('endDate', params.endDate);
 
     const url = `${API_BASE_URL}/api/orders${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
-    const response = await fetch(url);
+    const response = await authFetch(url);
     if (!response.ok) {
       throw new Error('Failed to fetch orders');
     }
@@ -185,7 +227,7 @@ export async function getOrder(orderId: string) {
   try {
     // URL encode the order ID to handle slashes (e.g., DKM/20260103/000003)
     const encodedOrderId = encodeURIComponent(orderId);
-    const response = await fetch(`${API_BASE_URL}/api/orders/${encodedOrderId}`);
+    const response = await authFetch(`${API_BASE_URL}/api/orders/${encodedOrderId}`);
     if (!response.ok) {
       throw new Error('Failed to fetch order');
     }
@@ -198,19 +240,93 @@ export async function getOrder(orderId: string) {
   }
 }
 
+/**
+ * Order history event (row of the Order_Events sheet)
+ */
+export interface OrderEvent {
+  event_id: string;
+  order_id: string;
+  event_type: 'status_changed' | 'payment_updated' | 'order_edited' | 'order_cancelled' | string;
+  field: string;
+  old_value: string;
+  new_value: string;
+  actor_id: string;
+  source: string;
+  note: string;
+  created_at: string;
+}
+
+/**
+ * Get order history (status changes, payments, edits, cancellation - oldest first)
+ */
+export async function getOrderEvents(orderId: string): Promise<{ events: OrderEvent[]; count: number }> {
+  try {
+    // URL encode the order ID to handle slashes (e.g., DKM/20260103/000003)
+    const encodedOrderId = encodeURIComponent(orderId);
+    const response = await authFetch(`${API_BASE_URL}/api/orders/${encodedOrderId}/events`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch order history');
+    }
+    return await response.json();
+  } catch (error: any) {
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      throw new Error('Dashboard cannot reach backend API. Please check API URL or backend status.');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get invoice PDF download URL for an order
+ * Without variant, the backend returns the "LUNAS" receipt for fully paid orders and the invoice otherwise
+ */
+export function getOrderInvoiceUrl(orderId: string, variant?: 'invoice' | 'receipt') {
+  // URL encode the order ID to handle slashes (e.g., DKM/20260103/000003)
+  const encodedOrderId = encodeURIComponent(orderId);
+  const query = variant ? `?variant=${variant}` : '';
+  return `${API_BASE_URL}/api/orders/${encodedOrderId}/invoice.pdf${query}`;
+}
+
+/**
+ * Download the invoice PDF for an order
+ * Fetched with the session token (a plain link can't send the Authorization header) and saved via a blob URL
+ */
+export async function downloadOrderInvoice(orderId: string, variant?: 'invoice' | 'receipt') {
+  const response = await authFetch(getOrderInvoiceUrl(orderId, variant));
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Failed to download invoice' }));
+    throw new Error(error.error || 'Failed to download invoice');
+  }
+
+  // Use the backend's filename (Content-Disposition) when CORS exposes it
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filenameMatch = disposition.match(/filename="?([^";]+)"?/);
+  const filename = filenameMatch ? filenameMatch[1] : `invoice-${orderId.replace(/\//g, '-')}.pdf`;
+
+  const blobUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(blobUrl);
+}
+
 /**
  * Update order status
+ * The customer gets the same Telegram notification as with the bot's /status command
  */
-export async function updateOrderStatus(orderId: string, status: string) {
+export async function updateOrderStatus(orderId: string, status: string, reason?: string) {
   try {
     // URL encode the order ID to handle slashes (e.g., DKM/20260103/000003)
     const encodedOrderId = encodeURIComponent(orderId);
-    const response = await fetch(`${API_BASE_URL}/api/orders/${encodedOrderId}/status`, {
+    const response = await authFetch(`${API_BASE_URL}/api/orders/${encodedOrderId}/status`, {
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ status }),
+      body: JSON.stringify({ status, reason }),
     });
 
     if (!response.ok) {
@@ -227,12 +343,345 @@ export async function updateOrderStatus(orderId: string, status: string) {
   }
 }
 
+/**
+ * authFetch() for JSON endpoints
+ * Throws the backend's error message (or fallbackError) for non-2xx responses.
+ */
+async function requestJson<T>(url: string, init: RequestInit, fallbackError: string): Promise<T> {
+  let response: Response;
+  try {
+    response = await authFetch(url, init);
+  } catch (error) {
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw new Error('Dashboard cannot reach backend API. Please check API URL or backend status.');
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: fallbackError }));
+    throw new Error(error.error || fallbackError);
+  }
+  return await response.json();
+}
+
+/**
+ * Order item as sent to the backend (unit price comes from the price list)
+ */
+export interface OrderItemInput {
+  name: string;
+  quantity: number;
+}
+
+/**
+ * Order fields accepted by POST /api/orders and PUT /api/orders/:id
+ */
+export interface OrderInput {
+  customer_name?: string;
+  phone_number?: string;
+  receiver_name?: string;
+  address?: string;
+  event_name?: string;
+  event_date?: string;
+  delivery_time?: string;
+  delivery_method?: string;
+  items?: OrderItemInput[];
+  notes?: string[];
+  delivery_fee?: number | null;
+}
+
+/**
+ * Packaging charged on an order (orders API `packaging`, calculated by the server from the Packaging_Rules sheet)
+ */
+export interface PackagingLine {
+  name: string;
+  quantity: number;
+  units: number;
+  units_per_package: number;
+  unit: string;
+  unit_price: number;
+  total: number;
+  override?: boolean;
+}
+
+/**
+ * Display name of a packaging line ("Packaging Styrofoam (50 cup)")
+ */
+export function formatPackagingLineName(line: PackagingLine): string {
+  return line.units_per_package > 1 && line.unit
+    ? `${line.name} (${line.units_per_package} ${line.unit})`
+    : line.name;
+}
+
+/**
+ * Get the price list (item names and unit prices) for the order form
+ */
+export async function getPriceList(): Promise<{ items: { name: string; price: number }[]; count: number }> {
+  return requestJson(`${API_BASE_URL}/api/price-list`, {}, 'Failed to fetch price list');
+}
+
+/**
+ * Create an order (validated and capacity-checked like orders from the bot)
+ */
+export async function createOrder(order: OrderInput) {
+  return requestJson<{ order: Record<string, unknown>; message: string }>(`${API_BASE_URL}/api/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(order),
+  }, 'Failed to create order');
+}
+
+/**
+ * Edit an order - only the given fields change
+ */
+export async function updateOrder(orderId: string, changes: OrderInput) {
+  return requestJson<{ order: Record<string, unknown>; changedFields: string[]; message: string }>(
+    `${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}`,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    },
+    'Failed to update order'
+  );
+}
+
+/**
+ * Cancel an order - the reason is sent to the customer
+ */
+export async function cancelOrder(orderId: string, reason: string) {
+  return requestJson<{ order: Record<string, unknown>; customerNotified: boolean; message: string }>(
+    `${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/cancel`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason }),
+    },
+    'Failed to cancel order'
+  );
+}
+
+/**
+ * Payment of an order (row of the Payment_History sheet)
+ */
+export interface OrderPayment {
+  payment_id: string;
+  order_id: string;
+  payment_date: string;
+  payment_method: string;
+  amount_input: string;
+  amount_confirmed: number | string;
+  status: string;
+  note: string;
+  created_by: string;
+  has_evidence: boolean;
+}
+
+/**
+ * Get the payments of an order (oldest first)
+ */
+export async function getOrderPayments(orderId: string): Promise<{ payments: OrderPayment[]; count: number }> {
+  return requestJson(`${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/payments`, {}, 'Failed to fetch payments');
+}
+
+/**
+ * Upload a transfer proof (JPEG/PNG/WebP image or PDF, max 10 MB)
+ * Returns the Telegram file ID to pass as proofFileId to recordPayment()
+ */
+export async function uploadPaymentEvidence(orderId: string, file: File): Promise<{ fileId: string; evidenceType: string }> {
+  return requestJson(
+    `${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/payments/evidence`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file,
+    },
+    'Failed to upload payment evidence'
+  );
+}
+
+/**
+ * Record a payment for an order
+ */
+export async function recordPayment(orderId: string, payment: {
+  amount: number;
+  method: 'transfer' | 'manual';
+  note?: string;
+  proofFileId?: string;
+}) {
+  return requestJson<{ payment: OrderPayment; summary: { totalPaid: number; remainingBalance: number; paymentStatus: string }; order: Record<string, unknown> }>(
+    `${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/payments`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payment),
+    },
+    'Failed to record payment'
+  );
+}
+
+/**
+ * Open the evidence of a payment in a new tab
+ */
+export async function openPaymentEvidence(orderId: string, paymentId: string) {
+  const response = await authFetch(
+    `${API_BASE_URL}/api/orders/${encodeURIComponent(orderId)}/payments/${encodeURIComponent(paymentId)}/evidence`
+  );
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Failed to load payment evidence' }));
+    throw new Error(error.error || 'Failed to load payment evidence');
+  }
+
+  const blobUrl = URL.createObjectURL(await response.blob());
+  window.open(blobUrl, '_blank', 'noopener');
+  // Give the new tab time to load the file before releasing it
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+}
+
+/**
+ * Credit line of an imported bank statement with its proposed order
+ */
+export interface ReconciliationLine {
+  lineNumber: number;
+  date: string;
+  amount: number;
+  description: string;
+  fingerprint: string;
+  status: 'matched' | 'needs_review' | 'ambiguous' | 'unmatched' | 'already_recorded' | 'recorded' | 'failed';
+  matchType: 'reference' | 'amount' | 'amount_name' | 'manual' | null;
+  reference: string | null;
+  orderId: string | null;
+  candidates: {
+    orderId: string;
+    customerName: string;
+    eventDate: string;
+    totalAmount: number;
+    outstandingAmount: number;
+    paymentStatus: string;
+  }[];
+  reasons: string[];
+  paymentId?: string;
+  error?: string | null;
+}
+
+/**
+ * Imported bank statement (kept on the backend for 24 hours)
+ */
+export interface Reconciliation {
+  id: string;
+  bank: 'bca' | 'mandiri' | 'other';
+  accountNumber: string;
+  period: { start: string | null; end: string | null } | null;
+  fileName: string;
+  debitCount: number;
+  createdAt: string;
+  confirmedAt: string | null;
+  lines: ReconciliationLine[];
+  summary: {
+    credits: number;
+    totalAmount: number;
+    matched: number;
+    needsReview: number;
+    ambiguous: number;
+    unmatched: number;
+    alreadyRecorded: number;
+    recorded: number;
+    failed: number;
+  };
+}
+
+/**
+ * Import a bank statement CSV export (BCA/Mandiri, max 2 MB) and get the proposed matches
+ */
+export async function importBankStatement(file: File): Promise<{ reconciliation: Reconciliation }> {
+  return requestJson(
+    `${API_BASE_URL}/api/payments/reconciliations?fileName=${encodeURIComponent(file.name)}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: file,
+    },
+    'Failed to import bank statement'
+  );
+}
+
+/**
+ * Get an imported bank statement
+ */
+export async function getReconciliation(reconciliationId: string): Promise<{ reconciliation: Reconciliation }> {
+  return requestJson(
+    `${API_BASE_URL}/api/payments/reconciliations/${encodeURIComponent(reconciliationId)}`,
+    {},
+    'Failed to fetch reconciliation'
+  );
+}
+
+/**
+ * Record the confirmed statement lines as payments
+ */
+export async function confirmReconciliation(reconciliationId: string, lines: { lineNumber: number; orderId: string }[]) {
+  return requestJson<{ reconciliation: Reconciliation; recorded: number; failed: number; message: string }>(
+    `${API_BASE_URL}/api/payments/reconciliations/${encodeURIComponent(reconciliationId)}/confirm`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lines }),
+    },
+    'Failed to record payments'
+  );
+}
+
+export type AnalyticsGranularity = 'day' | 'week' | 'month';
+
+/**
+ * Sales totals of one period (or of the whole range)
+ */
+export interface SalesTotals {
+  revenue: number;
+  orders: number;
+  averageOrderValue: number;
+  cups: { Small: number; Medium: number; Large: number; total: number };
+  dpPaidAmount: number;
+  fullPaidAmount: number;
+  outstandingAmount: number;
+  cancelledOrders: number;
+  cancelledAmount: number;
+  paymentsReceived: number;
+  paymentsCount: number;
+}
+
+export interface SalesAnalytics {
+  from: string;
+  to: string;
+  granularity: AnalyticsGranularity;
+  dateBasis: 'order' | 'event';
+  periods: (SalesTotals & { period: string; label: string })[];
+  totals: SalesTotals;
+}
+
+/**
+ * Get sales analytics per day/week/month (orders by order date unless dateBasis is 'event')
+ * Without from/to: the last 7 days, 12 weeks or 12 months up to today.
+ */
+export async function getSalesAnalytics(params: {
+  from?: string;
+  to?: string;
+  granularity?: AnalyticsGranularity;
+  dateBasis?: 'order' | 'event';
+} = {}): Promise<SalesAnalytics> {
+  const queryParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) queryParams.append(key, value);
+  });
+  return requestJson(`${API_BASE_URL}/api/analytics/sales?${queryParams}`, {}, 'Failed to fetch sales analytics');
+}
+
 /**
  * Get orders by event date (for today/tomorrow filtering)
  */
 export async function getOrdersByEventDate(eventDate: string) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/orders?eventDate=${eventDate}`);
+    const response = await authFetch(`${API_BASE_URL}/api/orders?eventDate=${eventDate}`);
     if (!response.ok) {
       throw new Error('Failed to fetch orders by event date');
     }
@@ -244,3 +693,109 @@ export async function getOrdersByEventDate(eventDate: string) {
     throw error;
   }
 }
+
+/**
+ * Merchant (tenant) the dashboard belongs to
+ */
+export interface TenantSummary {
+  id: string;
+  name: string;
+  plan: string;
+  orderIdPrefix: string;
+  branding: { businessName: string; address: string };
+}
+
+/**
+ * Plan limits (null = unlimited)
+ */
+export interface TenantPlan {
+  id: string;
+  name: string;
+  maxConversationsPerMonth: number | null;
+  maxTeamMembers: number | null;
+}
+
+export interface TenantUsage {
+  tenant: TenantSummary;
+  plan: TenantPlan;
+  usage: {
+    month: string;
+    conversations: { used: number; limit: number | null };
+    teamMembers: { used: number; limit: number | null };
+  };
+}
+
+/**
+ * Get the plan and this month's usage of the tenant (admin only)
+ */
+export async function getTenantUsage(): Promise<TenantUsage> {
+  return requestJson(`${API_BASE_URL}/api/tenant`, {}, 'Failed to fetch plan usage');
+}
+
+/**
+ * Dashboard login settings (public)
+ * botUsername is used for the Telegram Login Widget; authDisabled is true for local development setups
+ */
+export async function getAuthConfig(): Promise<{ botUsername: string | null; authDisabled: boolean; tenant: TenantSummary }> {
+  const response = await authFetch(`${API_BASE_URL}/api/auth/config`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch login settings');
+  }
+  return await response.json();
+}
+
+/**
+ * Telegram Login Widget callback data
+ */
+export interface TelegramLoginData {
+  id: number;
+  first_name: string;
+  last_name?: string;
+  username?: string;
+  photo_url?: string;
+  auth_date: number;
+  hash: string;
+}
+
+/**
+ * Log in with Telegram Login Widget data
+ * Returns the session token (store it with setAuthSession) and the user with role/permissions
+ */
+export async function loginWithTelegram(data: TelegramLoginData): Promise<{ token: string; expiresAt: string; user: AuthUser }> {
+  const response = await authFetch(`${API_BASE_URL}/api/auth/telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(data),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Failed to log in' }));
+    throw new Error(error.error || 'Failed to log in');
+  }
+
+  return await response.json();
+}
+
+/**
+ * Get the logged-in user (401 → AUTH_EXPIRED_EVENT)
+ */
+export async function getCurrentUser(): Promise<{ user: AuthUser; authType: string; expiresAt: string | null; tenant: TenantSummary }> {
+  const response = await authFetch(`${API_BASE_URL}/api/auth/me`);
+  if (!response.ok) {
+    throw new Error(response.status === 401 ? 'Login required' : 'Failed to fetch current user');
+  }
+  return await response.json();
+}
+
+/**
+ * Log out (revokes the session token on the backend)
+ */
+export async function logout() {
+  const response = await authFetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST' });
+  if (!response.ok) {
+    throw new Error('Failed to log out');
+  }
+  return await response.json();
+}
@@ -0,0 +1,87 @@
+/**
+ * Dashboard session storage
+ *
+ * The backend issues a signed session token after Telegram login (POST /api/auth/telegram).
+ * It is kept in localStorage and sent as "Authorization: Bearer <token>" by the API client.
+ */
+
+const SESSION_STORAGE_KEY = 'dawet_dashboard_session';
+
+/**
+ * Dispatched on window when the backend rejects the session (401) - RequireAuth redirects to /login
+ */
+export const AUTH_EXPIRED_EVENT = 'dawet:auth-expired';
+
+export type UserRole = 'admin' | 'staff' | 'customer';
+
+/**
+ * Logged-in dashboard user (from /api/auth/telegram and /api/auth/me)
+ */
+export interface AuthUser {
+  id: string;
+  name: string;
+  username: string;
+  photoUrl: string;
+  role: UserRole;
+  permissions: string[];
+}
+
+interface StoredSession {
+  token: string;
+  expiresAt: string;
+}
+
+/**
+ * Read the stored session (null if missing, unreadable or expired)
+ */
+function readSession(): StoredSession | null {
+  try {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!raw) return null;
+    const session = JSON.parse(raw) as StoredSession;
+    if (!session.token || (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now())) {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the current session token
+ */
+export function getAuthToken(): string | null {
+  return readSession()?.token || null;
+}
+
+/**
+ * Store a session after login
+ */
+export function setAuthSession(token: string, expiresAt: string) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ token, expiresAt }));
+}
+
+/**
+ * Forget the session (logout or expired)
+ */
+export function clearAuthSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Check if a user's role grants a permission (e.g. 'orders:cancel')
+ */
+export function userCan(user: AuthUser | null | undefined, permission: string): boolean {
+  return !!user?.permissions?.includes(permission);
+}
+
+/**
+ * Get initials for the avatar (e.g. "Budi Santoso" → "BS")
+ */
+export function getUserInitials(user: AuthUser | null | undefined): string {
+  const words = (user?.name || user?.username || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+}
@@ -3,6 +3,7 @@ import { StatCard } from "@/components/dashboard/StatCard";
 import { RecentOrders } from "@/components/dashboard/RecentOrders";
 import { ConversationsList } from "@/components/dashboard/ConversationsList";
 import { SalesChart } from "@/components/dashboard/SalesChart";
+import { PlanUsageCard } from "@/components/dashboard/PlanUsageCard";
 import {
   ShoppingCart,
   MessageSquare,
@@ -14,8 +15,12 @@ import {
   CalendarDays,
 } from "lucide-react";
 import { useOrders, useOrdersByEventDate } from "@/hooks/useOrders";
+import { useSalesAnalytics } from "@/hooks/useAnalytics";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { userCan } from "@/lib/auth";
+import { pollingInterval } from "@/hooks/useLiveUpdates";
 import { useQuery } from "@tanstack/react-query";
-import { getConversations } from "@/lib/api";
+import { getConversations, formatPackagingLineName, type PackagingLine } from "@/lib/api";
 import { formatDistanceToNow } from "date-fns";
 
 // Helper function to get today's date in YYYY-MM-DD format (Jakarta timezone)
@@ -76,80 +81,25 @@ function getOrderItems(order: any): any[] {
   return [];
 }
 
-// Helper function to calculate total cups and packaging boxes
-function calculatePackagingInfo(items: any[], notes: string[]): { totalCups: number; packagingBoxes: number } {
-  let totalCups = 0;
-  
-  items.forEach(item => {
-    const itemName = (item.name || '').toLowerCase();
-    // Check if item is a cup-based product (Dawet Small/Medium/Large)
-    if (itemName.includes('dawet') && 
-        (itemName.includes('small') || itemName.includes('medium') || itemName.includes('large'))) {
-      // Exclude botol items (they're not cups)
-      if (!itemName.includes('botol')) {
-        totalCups += parseInt(item.quantity || 0);
-      }
-    }
-  });
-  
-  // Check if packaging is requested in notes
-  const hasPackagingRequest = notes.some(note => {
-    const noteLower = String(note || '').toLowerCase().trim();
-    return noteLower.includes('packaging styrofoam') && 
-           (noteLower.includes(': ya') || noteLower.includes(': yes') || 
-            noteLower === 'packaging styrofoam: ya' || noteLower === 'packaging styrofoam: yes');
-  });
-  
-  const packagingBoxes = hasPackagingRequest && totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-  
-  return { totalCups, packagingBoxes };
-}
-
-// Helper function to get order notes (handles both parsed array and JSON string)
-function getOrderNotes(order: any): string[] {
-  if (!order) return [];
-  
-  // Try notes array first
-  if (Array.isArray(order.notes)) {
-    return order.notes;
-  }
-  
-  // Try notes_json string
-  if (order.notes_json) {
-    try {
-      const parsed = typeof order.notes_json === 'string' 
-        ? JSON.parse(order.notes_json) 
-        : order.notes_json;
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (e) {
-      return [];
-    }
-  }
-  
-  return [];
-}
-
 // Helper function to format order items for display (including packaging)
 function formatOrderItemsForDisplay(order: any): any[] {
   const items = getOrderItems(order);
-  const notes = getOrderNotes(order);
-  
-  const { packagingBoxes } = calculatePackagingInfo(items, notes);
-  
-  // Filter out packaging items from items list (we'll add calculated one)
+  const packaging: PackagingLine[] = Array.isArray(order?.packaging) ? order.packaging : [];
+  const packagingNames = packaging.map(line => line.name.toLowerCase());
+
+  // Packaging items are shown as the order's packaging lines (calculated by the server)
   const filteredItems = items.filter((item: any) => {
     const itemName = (item.name || '').toLowerCase();
-    return !(itemName.includes('packaging') || itemName.includes('styrofoam'));
+    return !packagingNames.some(name => itemName.includes(name));
   });
-  
-  // Add packaging if requested
-  if (packagingBoxes > 0) {
+
+  packaging.forEach(line => {
     filteredItems.push({
-      quantity: packagingBoxes,
-      name: 'Packaging Styrofoam (50 cup)'
+      quantity: line.quantity,
+      name: formatPackagingLineName(line)
     });
-  }
-  
+  });
+
   return filteredItems;
 }
 
@@ -173,25 +123,23 @@ export default function Dashboard() {
   const { data: conversations, isLoading: conversationsLoading } = useQuery({
     queryKey: ['conversations'],
     queryFn: getConversations,
-    refetchInterval: 10000,
+    refetchInterval: pollingInterval(10000),
   });
 
+  // Sales figures come from the analytics API (payments:view)
+  const { data: currentUser } = useCurrentUser();
+  const canViewSales = userCan(currentUser?.user, 'payments:view');
+  const canViewPlan = userCan(currentUser?.user, 'system:view');
+
+  // Today's revenue (orders created today, not event_date; cancelled orders excluded)
+  const { data: todaySales, isLoading: todaySalesLoading } = useSalesAnalytics(
+    { from: todayDate, to: todayDate },
+    { enabled: canViewSales }
+  );
+
   // Calculate statistics
   const totalOrders = orders.length;
   const activeChats = conversations?.length || 0;
-  
-  // Calculate today's revenue (from orders created today, not event_date)
-  const todayRevenue = orders
-    .filter(order => {
-      if (!order.created_at) return false;
-      const orderDate = new Date(order.created_at);
-      const today = new Date();
-      return orderDate.toDateString() === today.toDateString();
-    })
-    .reduce((sum, order) => sum + (order.total_amount || order.final_total || 0), 0);
-
-  // Calculate total revenue
-  const totalRevenue = orders.reduce((sum, order) => sum + (order.total_amount || order.final_total || 0), 0);
 
   // Count unique customers
   const uniqueCustomers = new Set(orders.map(order => order.phone_number).filter(Boolean)).size;
@@ -217,12 +165,14 @@ export default function Dashboard() {
     >
       {/* Stats Grid */}
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4 mb-6">
-        <StatCard
-          title="Today's Revenue"
-          value={formatIDR(todayRevenue)}
-          icon={<DollarSign className="h-5 w-5" />}
-          variant="accent"
-        />
+        {canViewSales && (
+          <StatCard
+            title="Today's Revenue"
+            value={todaySalesLoading ? '...' : formatIDR(todaySales?.totals.revenue)}
+            icon={<DollarSign className="h-5 w-5" />}
+            variant="accent"
+          />
+        )}
         <StatCard
           title="Total Orders"
           value={totalOrders || 0}
@@ -391,7 +341,7 @@ export default function Dashboard() {
 
       {/* Charts & Lists */}
       <div className="grid gap-6 lg:grid-cols-2 mb-6">
-        <SalesChart />
+        {canViewSales && <SalesChart />}
         <div className="space-y-6">
           <div className="grid gap-4 grid-cols-2">
             <StatCard
@@ -407,6 +357,7 @@ export default function Dashboard() {
               variant="success"
             />
           </div>
+          {canViewPlan && <PlanUsageCard />}
           <ConversationsList />
         </div>
       </div>
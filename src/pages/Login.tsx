@@ -0,0 +1,115 @@
+import { useEffect, useRef } from "react";
+import { Navigate, useLocation, useNavigate, type Location } from "react-router-dom";
+import { AlertCircle, Loader2, MessageSquare } from "lucide-react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useAuthConfig, useTelegramLogin } from "@/hooks/useAuth";
+import { getAuthToken } from "@/lib/auth";
+import type { TelegramLoginData } from "@/lib/api";
+
+const TELEGRAM_WIDGET_SRC = "https://telegram.org/js/telegram-widget.js?22";
+
+declare global {
+  interface Window {
+    onTelegramAuth?: (user: TelegramLoginData) => void;
+  }
+}
+
+/**
+ * Dashboard login with the Telegram Login Widget
+ * Only Telegram accounts with the admin or staff role (set with /role in the bot) get a session.
+ */
+export default function Login() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const widgetContainerRef = useRef<HTMLDivElement>(null);
+  const { data: config, isLoading: isLoadingConfig, error: configError } = useAuthConfig();
+  const loginMutation = useTelegramLogin();
+  const { mutate: login } = loginMutation;
+
+  const from = (location.state as { from?: Location } | null)?.from;
+  const redirectTo = from ? `${from.pathname}${from.search}` : "/dashboard";
+  const botUsername = config?.botUsername;
+
+  // Load the Telegram widget once the bot username is known
+  useEffect(() => {
+    const container = widgetContainerRef.current;
+    if (!container || !botUsername) return;
+
+    window.onTelegramAuth = (user: TelegramLoginData) => {
+      login(user, {
+        onSuccess: () => navigate(redirectTo, { replace: true }),
+      });
+    };
+
+    const script = document.createElement("script");
+    script.src = TELEGRAM_WIDGET_SRC;
+    script.async = true;
+    script.setAttribute("data-telegram-login", botUsername);
+    script.setAttribute("data-size", "large");
+    script.setAttribute("data-radius", "8");
+    script.setAttribute("data-onauth", "onTelegramAuth(user)");
+    container.innerHTML = "";
+    container.appendChild(script);
+
+    return () => {
+      container.innerHTML = "";
+      delete window.onTelegramAuth;
+    };
+  }, [botUsername, redirectTo, navigate, login]);
+
+  // Already logged in (or no login needed in local development)
+  if (config?.authDisabled || getAuthToken()) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-muted px-4">
+      <Card className="w-full max-w-sm">
+        <CardHeader className="text-center">
+          <div className="mx-auto mb-2 h-10 w-10 rounded-lg bg-primary flex items-center justify-center">
+            <MessageSquare className="h-6 w-6 text-primary-foreground" />
+          </div>
+          <CardTitle>Dashboard Login</CardTitle>
+          <CardDescription>
+            Log in with the Telegram account that has admin or staff access.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="flex flex-col items-center gap-4">
+          {isLoadingConfig ? (
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          ) : configError ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                Dashboard cannot reach backend API. Please check API URL or backend status.
+              </AlertDescription>
+            </Alert>
+          ) : !botUsername ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                Telegram login is not available: the backend has no Telegram bot configured.
+              </AlertDescription>
+            </Alert>
+          ) : null}
+
+          <div ref={widgetContainerRef} />
+
+          {loginMutation.isPending && (
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Logging in...
+            </div>
+          )}
+          {loginMutation.error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{loginMutation.error.message}</AlertDescription>
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -20,8 +20,18 @@ import {
   MessageSquare,
   Loader2,
   AlertCircle,
+  History,
+  Pencil,
+  Landmark,
 } from "lucide-react";
-import { useOrders, useUpdateOrderStatus, useOrder } from "@/hooks/useOrders";
+import { useOrders, useUpdateOrderStatus, useOrder, useOrderEvents } from "@/hooks/useOrders";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { downloadOrderInvoice, formatPackagingLineName, type OrderEvent, type PackagingLine } from "@/lib/api";
+import { userCan } from "@/lib/auth";
+import { OrderFormDialog } from "@/components/orders/OrderFormDialog";
+import { CancelOrderDialog } from "@/components/orders/CancelOrderDialog";
+import { OrderPayments } from "@/components/orders/OrderPayments";
+import { BankReconciliationDialog } from "@/components/orders/BankReconciliationDialog";
 import { formatDistanceToNow } from "date-fns";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import {
@@ -72,6 +82,18 @@ const STATUS_ACTION_LABELS: Record<string, string> = {
   'cancelled': 'Cancel Order',
 };
 
+/**
+ * Order history source labels (Order_Events "source" column)
+ */
+const EVENT_SOURCE_LABELS: Record<string, string> = {
+  'bot_command': 'Bot command',
+  'customer_chat': 'Customer',
+  'dashboard': 'Dashboard',
+  'scheduler': 'Scheduler',
+  'calendar': 'Google Calendar',
+  'system': 'System',
+};
+
 export default function Orders() {
   const [searchQuery, setSearchQuery] = useState("");
   const [statusFilter, setStatusFilter] = useState<string>("all");
@@ -79,6 +101,20 @@ export default function Orders() {
   // Per-order, per-action loading state - tracks which action is being performed for each order
   // Format: { orderId: 'start_delivery' | 'cancel' | 'start_processing' | 'mark_ready' | null }
   const [loadingActionByOrderId, setLoadingActionByOrderId] = useState<Record<string, string | null>>({});
+  const [isDownloadingInvoice, setIsDownloadingInvoice] = useState(false);
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
+  const [isEditOpen, setIsEditOpen] = useState(false);
+  const [cancelOrderId, setCancelOrderId] = useState<string | null>(null);
+  const [isReconciliationOpen, setIsReconciliationOpen] = useState(false);
+
+  // Actions are shown per role permission (the backend enforces the same matrix)
+  const { data: currentUserData } = useCurrentUser();
+  const currentUser = currentUserData?.user;
+  const canCreate = userCan(currentUser, 'orders:create');
+  const canEdit = userCan(currentUser, 'orders:edit');
+  const canCancel = userCan(currentUser, 'orders:cancel');
+  const canViewPayments = userCan(currentUser, 'payments:view');
+  const canRecordPayments = userCan(currentUser, 'payments:record');
 
   // Fetch orders with filters
   const { data, isLoading, error } = useOrders({
@@ -92,6 +128,8 @@ export default function Orders() {
   
   // Fetch full order details when modal is open (includes all pricing/payment fields)
   const { data: orderDetailData } = useOrder(selectedOrderId);
+  const { data: orderEventsData, isLoading: isLoadingEvents } = useOrderEvents(selectedOrderId);
+  const orderEvents = orderEventsData?.events || [];
   
   // Get selected order for detail view
   // Prefer detailed order data from API, fallback to list order
@@ -105,35 +143,6 @@ export default function Orders() {
     return items.map(item => `${item.quantity}x ${item.name}`).join(", ");
   };
 
-  // Calculate total cups from items (for packaging calculation)
-  const calculateTotalCups = (items: any[]): number => {
-    if (!items || items.length === 0) return 0;
-    let totalCups = 0;
-    items.forEach(item => {
-      const itemName = (item.name || '').toLowerCase();
-      // Check if item is a cup-based product (Dawet Small/Medium/Large)
-      if (itemName.includes('dawet') && 
-          (itemName.includes('small') || itemName.includes('medium') || itemName.includes('large'))) {
-        // Exclude botol items (they're not cups)
-        if (!itemName.includes('botol')) {
-          totalCups += parseInt(item.quantity || 0);
-        }
-      }
-    });
-    return totalCups;
-  };
-
-  // Check if packaging is requested (from notes)
-  const hasPackagingRequest = (notes: string[]): boolean => {
-    if (!notes || notes.length === 0) return false;
-    return notes.some(note => {
-      const noteLower = note.toLowerCase().trim();
-      return noteLower.includes('packaging styrofoam') && 
-             (noteLower.includes(': ya') || noteLower.includes(': yes') || 
-              noteLower === 'packaging styrofoam: ya' || noteLower === 'packaging styrofoam: yes');
-    });
-  };
-
   // Calculate total from items (if not provided)
   const calculateTotal = (order: any) => {
     // For now, we'll show total_items count
@@ -164,6 +173,23 @@ export default function Orders() {
     }).format(amount);
   };
 
+  // Describe an order history event
+  const formatOrderEvent = (event: OrderEvent): string => {
+    const statusLabel = (status: string) => statusConfig[status]?.label || status || '-';
+    switch (event.event_type) {
+      case 'status_changed':
+        return `Status: ${statusLabel(event.old_value)} → ${statusLabel(event.new_value)}`;
+      case 'order_cancelled':
+        return `Cancelled (was ${statusLabel(event.old_value)})`;
+      case 'payment_updated':
+        return `Payment: ${formatIDR(Number(event.old_value) || 0)} → ${formatIDR(Number(event.new_value) || 0)}`;
+      case 'order_edited':
+        return `Edited ${event.field}: ${event.old_value || '-'} → ${event.new_value || '-'}`;
+      default:
+        return `${event.event_type} ${event.field}: ${event.old_value || '-'} → ${event.new_value || '-'}`;
+    }
+  };
+
   // Get action name from status transition
   const getActionName = (newStatus: string): string => {
     const actionMap: Record<string, string> = {
@@ -177,6 +203,19 @@ export default function Orders() {
     return actionMap[newStatus] || newStatus;
   };
 
+  // Download invoice PDF (fetched with the session token, see downloadOrderInvoice)
+  const handleInvoiceDownload = async (orderId: string) => {
+    setIsDownloadingInvoice(true);
+    try {
+      await downloadOrderInvoice(orderId);
+    } catch (error) {
+      console.error("Error downloading invoice:", error);
+      alert(error instanceof Error ? error.message : "Failed to download invoice");
+    } finally {
+      setIsDownloadingInvoice(false);
+    }
+  };
+
   // Handle status update with action-specific loading state
   const handleStatusUpdate = async (orderId: string, newStatus: string) => {
     const actionName = getActionName(newStatus);
@@ -248,10 +287,18 @@ export default function Orders() {
             <Download className="h-4 w-4 mr-2" />
             Export
           </Button>
-          <Button variant="whatsapp">
-            <Plus className="h-4 w-4 mr-2" />
-            New Order
-          </Button>
+          {canRecordPayments && (
+            <Button variant="outline" onClick={() => setIsReconciliationOpen(true)}>
+              <Landmark className="h-4 w-4 mr-2" />
+              Import Bank Statement
+            </Button>
+          )}
+          {canCreate && (
+            <Button variant="whatsapp" onClick={() => setIsCreateOpen(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              New Order
+            </Button>
+          )}
         </div>
       </div>
 
@@ -397,6 +444,7 @@ export default function Orders() {
                                 
                                 return validNextStatuses.map((nextStatus) => {
                                   const isCancelled = nextStatus === 'cancelled';
+                                  if (isCancelled && !canCancel) return null;
                                   const actionLabel = STATUS_ACTION_LABELS[nextStatus] || 
                                     statusConfig[nextStatus]?.label || nextStatus;
                                   
@@ -415,7 +463,10 @@ export default function Orders() {
                                       variant={isCancelled ? "destructive" : "default"}
                                       size="sm"
                                       onClick={() => {
-                                        if (confirm(`Are you sure you want to ${actionLabel.toLowerCase()}?`)) {
+                                        // Cancelling asks for a reason (sent to the customer)
+                                        if (isCancelled) {
+                                          setCancelOrderId(order.id);
+                                        } else if (confirm(`Are you sure you want to ${actionLabel.toLowerCase()}?`)) {
                                           handleStatusUpdate(order.id, nextStatus);
                                         }
                                       }}
@@ -499,44 +550,33 @@ export default function Orders() {
                 <div className="space-y-2">
                   {(() => {
                     const items = selectedOrder.items || [];
-                    const notes = selectedOrder.notes || [];
-                    const totalCups = calculateTotalCups(items);
-                    const packagingRequested = hasPackagingRequest(notes);
-                    const requiredPackagingBoxes = totalCups > 0 ? Math.ceil(totalCups / 50) : 0;
-                    let packagingShown = false;
+                    // Packaging lines calculated by the server from the Packaging_Rules sheet
+                    const packaging: PackagingLine[] = selectedOrder.packaging || [];
+                    const packagingNames = packaging.map(line => line.name.toLowerCase());
 
                     return (
                       <>
-                        {/* Display regular items (excluding packaging items) */}
+                        {/* Display regular items (packaging items are shown as the packaging lines) */}
                         {items.map((item: any, index: number) => {
                           const itemName = (item.name || '').toLowerCase();
-                          // Skip packaging items (they'll be replaced with calculated quantity)
-                          if (itemName.includes('packaging') || itemName.includes('styrofoam')) {
-                            // If packaging is requested, show calculated quantity once
-                            if (packagingRequested && requiredPackagingBoxes > 0 && !packagingShown) {
-                              packagingShown = true;
-                              return (
-                                <div key={`packaging-${index}`} className="flex justify-between p-2 bg-muted rounded">
-                                  <span>{requiredPackagingBoxes}x Packaging Styrofoam (50 cup)</span>
-                                </div>
-                              );
-                            }
-                            // Skip original packaging item
+                          if (packagingNames.some(name => itemName.includes(name))) {
                             return null;
                           }
-                          // Display other items normally
                           return (
                             <div key={index} className="flex justify-between p-2 bg-muted rounded">
                               <span>{item.quantity}x {item.name}</span>
+                              {item.sku && (
+                                <span className="font-mono text-xs text-muted-foreground">{item.sku}</span>
+                              )}
                             </div>
                           );
                         })}
-                        {/* If packaging requested but not found in items, add it */}
-                        {packagingRequested && requiredPackagingBoxes > 0 && !packagingShown && (
-                          <div className="flex justify-between p-2 bg-muted rounded">
-                            <span>{requiredPackagingBoxes}x Packaging Styrofoam (50 cup)</span>
+                        {packaging.map((line, index) => (
+                          <div key={`packaging-${index}`} className="flex justify-between p-2 bg-muted rounded">
+                            <span>{line.quantity}x {formatPackagingLineName(line)}</span>
+                            <span className="text-muted-foreground">{formatIDR(line.total)}</span>
                           </div>
-                        )}
+                        ))}
                       </>
                     );
                   })()}
@@ -593,6 +633,16 @@ export default function Orders() {
                           : '-'}
                       </span>
                     </div>
+                    {selectedOrder.discount_amount > 0 && (
+                      <div className="flex justify-between text-sm">
+                        <span className="text-muted-foreground">
+                          Discount{selectedOrder.promo_code ? ` (${selectedOrder.promo_code})` : ''}
+                        </span>
+                        <span className="text-foreground font-medium">
+                          -{formatIDR(selectedOrder.discount_amount)}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between pt-2 border-t border-border font-semibold">
                       <span className="text-foreground">Total Amount</span>
                       <span className="text-foreground">
@@ -669,10 +719,100 @@ export default function Orders() {
                   <p className="text-lg font-semibold">{selectedOrder.total_items || 0} item(s)</p>
                 </div>
               </div>
+
+              {/* Payments (Payment_History) and recording new payments with evidence */}
+              {canViewPayments && (
+                <OrderPayments
+                  orderId={selectedOrder.id}
+                  canRecord={canRecordPayments && selectedOrder.status !== 'cancelled'}
+                />
+              )}
+
+              <div className="flex justify-end gap-2">
+                {canEdit && !['cancelled', 'completed'].includes(selectedOrder.status) && (
+                  <Button variant="outline" onClick={() => setIsEditOpen(true)}>
+                    <Pencil className="h-4 w-4 mr-2" />
+                    Edit Order
+                  </Button>
+                )}
+                {/* Invoice PDF (receipt once fully paid) */}
+                {!['pending_confirmation', 'cancelled'].includes(selectedOrder.status) && (
+                  <Button
+                    variant="outline"
+                    onClick={() => handleInvoiceDownload(selectedOrder.id)}
+                    disabled={isDownloadingInvoice}
+                  >
+                    {isDownloadingInvoice ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Download className="h-4 w-4 mr-2" />
+                    )}
+                    {selectedOrder.payment_status === 'FULL PAID' ? 'Download Receipt (LUNAS)' : 'Download Invoice'}
+                  </Button>
+                )}
+              </div>
+
+              {/* History Section - status changes, payments, edits (Order_Events) */}
+              <div className="pt-4 border-t">
+                <p className="text-sm font-medium text-muted-foreground mb-3 flex items-center gap-2">
+                  <History className="h-4 w-4" />
+                  History
+                </p>
+                {isLoadingEvents ? (
+                  <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    Loading history...
+                  </div>
+                ) : orderEvents.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No changes recorded yet.</p>
+                ) : (
+                  <ol className="space-y-3 border-l border-border pl-4">
+                    {orderEvents.map((event) => (
+                      <li key={event.event_id} className="text-sm">
+                        <p className="text-foreground break-words">{formatOrderEvent(event)}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {formatDate(event.created_at)}
+                          {' · '}
+                          {EVENT_SOURCE_LABELS[event.source] || event.source}
+                          {event.actor_id ? ` (${event.actor_id})` : ''}
+                        </p>
+                        {event.note && (
+                          <p className="text-xs text-muted-foreground break-words">{event.note}</p>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
             </div>
           </DialogContent>
         </Dialog>
       )}
+
+      {isCreateOpen && (
+        <OrderFormDialog
+          open={isCreateOpen}
+          onOpenChange={setIsCreateOpen}
+          onSaved={(orderId) => setSelectedOrderId(orderId)}
+        />
+      )}
+      {isEditOpen && selectedOrder && (
+        <OrderFormDialog
+          open={isEditOpen}
+          onOpenChange={setIsEditOpen}
+          order={selectedOrder}
+        />
+      )}
+      <CancelOrderDialog
+        orderId={cancelOrderId}
+        onOpenChange={(open) => !open && setCancelOrderId(null)}
+      />
+      {canRecordPayments && (
+        <BankReconciliationDialog
+          open={isReconciliationOpen}
+          onOpenChange={setIsReconciliationOpen}
+        />
+      )}
     </DashboardLayout>
   );
 }